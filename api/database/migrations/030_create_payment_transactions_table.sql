@@ -0,0 +1,28 @@
+-- Payment Transactions Schema
+-- Tracks every charge, refund and payout sent to the payment gateway
+
+CREATE TABLE IF NOT EXISTS payment_transactions (
+    id VARCHAR(36) PRIMARY KEY,
+    gateway VARCHAR(50) NOT NULL, -- 'stripe', 'fake'
+    gateway_payment_id VARCHAR(255) NULL, -- payment intent, refund or transfer ID
+    type ENUM('subscription', 'ppv', 'gift', 'donation', 'payout', 'refund') NOT NULL,
+    reference_id VARCHAR(36) NOT NULL, -- subscription_id, purchase_id, gift_id, donation_id or payout_id
+    user_id INT NULL, -- payer, or creator for payouts
+    amount DECIMAL(10, 2) NOT NULL,
+    refunded_amount DECIMAL(10, 2) DEFAULT 0.00,
+    currency VARCHAR(3) DEFAULT 'USD',
+    status ENUM('pending', 'requires_action', 'processing', 'succeeded', 'failed', 'refunded') DEFAULT 'pending',
+    idempotency_key VARCHAR(255) NOT NULL,
+    failure_code VARCHAR(100) NULL,
+    decline_code VARCHAR(100) NULL,
+    failure_message TEXT NULL,
+    context JSON, -- data needed to fulfil the order once the payment succeeds
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_idempotency_key (idempotency_key),
+    INDEX idx_gateway_payment (gateway_payment_id),
+    INDEX idx_transaction_reference (type, reference_id),
+    INDEX idx_transaction_user (user_id, created_at),
+    INDEX idx_transaction_status (status)
+);
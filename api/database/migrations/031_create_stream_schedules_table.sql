@@ -0,0 +1,39 @@
+-- Stream Schedules Schema
+-- Persists scheduled and recurring broadcasts for the streaming server scheduler
+
+CREATE TABLE IF NOT EXISTS stream_schedules (
+    id VARCHAR(36) PRIMARY KEY,
+    stream_id VARCHAR(36) NOT NULL,
+    user_id INT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    scheduled_time DATETIME NOT NULL, -- next occurrence for recurring schedules
+    auto_start BOOLEAN DEFAULT FALSE,
+
+    -- Reminders (minutes before the start, e.g. [1440, 60, 10])
+    reminder_offsets JSON,
+    next_reminder_at DATETIME NULL,
+
+    -- Recurrence
+    recurrence ENUM('none', 'daily', 'weekly', 'monthly') DEFAULT 'none',
+    recurrence_interval INT DEFAULT 1,
+    recurrence_anchor DATETIME NULL, -- first occurrence, occurrences are counted from it
+    recurrence_until DATETIME NULL,
+    recurrence_count INT NULL, -- total occurrences, NULL for unlimited
+    occurrence_count INT DEFAULT 0,
+
+    status ENUM('scheduled', 'started', 'missed', 'completed', 'cancelled') DEFAULT 'scheduled',
+    last_run_at DATETIME NULL,
+    last_run_status ENUM('started', 'missed', 'skipped') NULL,
+    version INT DEFAULT 0, -- optimistic lock shared by all streaming server instances
+    cancelled_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (stream_id) REFERENCES live_streams(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_schedule_user (user_id, status, scheduled_time),
+    INDEX idx_schedule_stream (stream_id),
+    INDEX idx_schedule_due (status, scheduled_time),
+    INDEX idx_schedule_reminders (status, next_reminder_at)
+);
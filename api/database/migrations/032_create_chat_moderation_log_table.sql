@@ -0,0 +1,22 @@
+-- Chat Moderation Log Schema
+-- Audit trail of moderator actions in stream chat, read by the moderation panel
+
+CREATE TABLE IF NOT EXISTS chat_moderation_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY, -- doubles as the pagination cursor
+    stream_id VARCHAR(36) NOT NULL,
+    action ENUM('timeout', 'untimeout', 'ban', 'unban', 'delete', 'slow', 'followers_only', 'clear') NOT NULL,
+    moderator_id INT NOT NULL,
+    moderator_username VARCHAR(100),
+    target_user_id INT NULL,
+    target_username VARCHAR(100) NULL,
+    message_id VARCHAR(36) NULL,
+    duration_seconds INT NULL, -- timeouts, and the delay for slow mode
+    reason TEXT,
+    details JSON, -- deleted message text, previous and new room settings
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stream_id) REFERENCES live_streams(id) ON DELETE CASCADE,
+    FOREIGN KEY (moderator_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_chat_moderation_stream (stream_id, id),
+    INDEX idx_chat_moderation_target (stream_id, target_user_id, id),
+    INDEX idx_chat_moderation_action (stream_id, action, id)
+);
@@ -0,0 +1,36 @@
+-- Chat Custom Commands and Bots Schema
+-- Creator-defined chat commands per stream, and bot accounts that post through the chat command path
+
+CREATE TABLE IF NOT EXISTS chat_custom_commands (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    stream_id VARCHAR(36) NOT NULL,
+    name VARCHAR(32) NOT NULL,
+    response TEXT NOT NULL, -- supports {user}, {target}, {args} and {count}
+    description VARCHAR(255),
+    permission ENUM('everyone', 'moderator', 'broadcaster') DEFAULT 'everyone',
+    cooldown_seconds INT DEFAULT 0,
+    usage_count INT DEFAULT 0,
+    enabled BOOLEAN DEFAULT TRUE,
+    created_by INT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (stream_id) REFERENCES live_streams(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_stream_command (stream_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS chat_bots (
+    id VARCHAR(36) PRIMARY KEY,
+    stream_id VARCHAR(36) NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    token_hash CHAR(64) NOT NULL, -- sha256 of the bot token, which is only shown once
+    permission ENUM('everyone', 'moderator') DEFAULT 'everyone',
+    enabled BOOLEAN DEFAULT TRUE,
+    created_by INT NOT NULL,
+    last_used_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (stream_id) REFERENCES live_streams(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_bot_token (token_hash),
+    UNIQUE KEY unique_stream_bot_name (stream_id, name)
+);
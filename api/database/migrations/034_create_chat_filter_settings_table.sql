@@ -0,0 +1,14 @@
+-- Chat Filter Settings Schema
+-- Per-stream profanity, link and spam filter settings managed from the ProfanityFilterPanel
+
+CREATE TABLE IF NOT EXISTS chat_filter_settings (
+    stream_id VARCHAR(36) PRIMARY KEY,
+    config JSON NOT NULL, -- methods, replacement, severity actions, link and spam settings
+    blocked_words JSON NOT NULL, -- { mild: [], moderate: [], severe: [], extreme: [] }
+    allowed_words JSON NOT NULL,
+    updated_by INT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (stream_id) REFERENCES live_streams(id) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,5 @@
+-- Stream Latency Mode
+-- standard: HLS with MPEG-TS segments; low: LL-HLS and DASH over chunked CMAF segments
+
+ALTER TABLE live_streams 
+ADD COLUMN IF NOT EXISTS latency_mode ENUM('standard', 'low') DEFAULT 'standard' AFTER quality;
@@ -0,0 +1,22 @@
+-- Restream Destinations Schema
+-- External RTMP targets a stream is relayed to while it is published
+
+CREATE TABLE IF NOT EXISTS restream_destinations (
+    id VARCHAR(36) PRIMARY KEY,
+    stream_id VARCHAR(36) NOT NULL,
+    user_id INT NOT NULL,
+    platform ENUM('youtube', 'twitch', 'facebook', 'linkedin', 'custom') NOT NULL DEFAULT 'custom',
+    name VARCHAR(100) NOT NULL,
+    server_url VARCHAR(500) NOT NULL,
+    stream_key_encrypted TEXT NOT NULL, -- AES-256-GCM iv:tag:ciphertext
+    stream_key_hint VARCHAR(8) NOT NULL, -- last characters, for display
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    status ENUM('connecting', 'live', 'reconnecting', 'failed', 'stopped') NOT NULL DEFAULT 'stopped',
+    last_error VARCHAR(500) NULL,
+    last_connected_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_restream_destinations_stream (stream_id),
+    FOREIGN KEY (stream_id) REFERENCES live_streams(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,44 @@
+-- Stream Keys Schema
+-- Publishing keys per stream (rotatable primaries and one-time backups)
+-- and an audit row for every RTMP publish attempt
+
+CREATE TABLE IF NOT EXISTS stream_keys (
+    id VARCHAR(36) PRIMARY KEY,
+    stream_id VARCHAR(50) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the key; the key itself is never stored
+    key_prefix VARCHAR(8) NOT NULL, -- first characters, for display and audit
+    type ENUM('primary', 'backup') NOT NULL DEFAULT 'primary',
+    status ENUM('active', 'used', 'revoked') NOT NULL DEFAULT 'active',
+    expires_at DATETIME NULL, -- also set to the end of the grace period on rotation
+    allowed_ips JSON NULL, -- addresses or CIDR ranges; empty allows any
+    rotated_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    revoked_reason VARCHAR(255) NULL,
+    revoked_by INT NULL,
+    last_used_at DATETIME NULL,
+    last_used_ip VARCHAR(45) NULL,
+    created_by INT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_stream_keys_stream (stream_id, created_at),
+    FOREIGN KEY (stream_id) REFERENCES live_streams(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS stream_publish_audit (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    stream_id VARCHAR(50) NULL, -- NULL for unknown keys
+    key_id VARCHAR(36) NULL,
+    key_prefix VARCHAR(8) NULL,
+    ip_address VARCHAR(45) NULL,
+    session_id VARCHAR(100) NULL,
+    result ENUM('accepted', 'rejected') NOT NULL,
+    reason VARCHAR(50) NULL, -- unknown_key, key_expired, key_revoked, key_used, ip_not_allowed, stream_not_available, error
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_stream_publish_audit_stream (stream_id, created_at),
+    INDEX idx_stream_publish_audit_ip (ip_address, created_at)
+);
+
+-- Existing streams keep publishing with their current key
+INSERT INTO stream_keys (id, stream_id, key_hash, key_prefix, type, status, created_by, created_at)
+SELECT UUID(), id, SHA2(stream_key, 256), LEFT(stream_key, 4), 'primary', 'active', user_id, created_at
+FROM live_streams
+WHERE NOT EXISTS (SELECT 1 FROM stream_keys k WHERE k.key_hash = SHA2(live_streams.stream_key, 256));
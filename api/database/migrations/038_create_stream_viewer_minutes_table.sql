@@ -0,0 +1,12 @@
+-- Stream Viewer Minutes Schema
+-- Per-minute viewer counts sampled from heartbeat-based presence
+
+CREATE TABLE IF NOT EXISTS stream_viewer_minutes (
+    stream_id VARCHAR(50) NOT NULL,
+    minute DATETIME NOT NULL, -- start of the minute
+    concurrent_viewers INT NOT NULL DEFAULT 0, -- sessions heartbeating when sampled
+    peak_viewers INT NOT NULL DEFAULT 0, -- most concurrent sessions during the minute
+    unique_viewers INT NOT NULL DEFAULT 0, -- distinct viewers since the stream went live
+    PRIMARY KEY (stream_id, minute),
+    FOREIGN KEY (stream_id) REFERENCES live_streams(id) ON DELETE CASCADE
+);
@@ -0,0 +1,39 @@
+-- Recording Editor Schema
+-- Edit decision lists for recordings and the renditions and clips rendered from them
+
+CREATE TABLE IF NOT EXISTS recording_edits (
+    id VARCHAR(36) PRIMARY KEY,
+    recording_id VARCHAR(36) NOT NULL,
+    type ENUM('marker', 'trim', 'split') NOT NULL,
+    start_time DECIMAL(10,3) NOT NULL, -- seconds into the recording; marker and split time
+    end_time DECIMAL(10,3) NULL, -- trims only
+    label VARCHAR(255) NULL, -- chapter title for markers
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (recording_id) REFERENCES stream_recordings(id) ON DELETE CASCADE,
+    INDEX idx_recording_edits (recording_id, start_time)
+);
+
+CREATE TABLE IF NOT EXISTS recording_renditions (
+    id VARCHAR(36) PRIMARY KEY,
+    recording_id VARCHAR(36) NOT NULL,
+    kind ENUM('edit', 'clip') NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    status ENUM('rendering', 'completed', 'failed') NOT NULL DEFAULT 'rendering',
+    share_id VARCHAR(32) NULL UNIQUE, -- clips only
+    edit_plan JSON NOT NULL, -- segments kept from the recording
+    chapters JSON NULL,
+    file_path VARCHAR(500) NULL,
+    storage_url VARCHAR(500) NULL,
+    duration_seconds INT NULL,
+    file_size BIGINT NULL,
+    thumbnail_url VARCHAR(500) NULL,
+    preview_images JSON NULL,
+    error_message TEXT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (recording_id) REFERENCES stream_recordings(id) ON DELETE CASCADE,
+    INDEX idx_recording_renditions (recording_id, created_at)
+);
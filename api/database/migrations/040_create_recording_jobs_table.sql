@@ -0,0 +1,28 @@
+-- Recording Jobs Schema
+-- Durable post-processing queue shared by every streaming server replica
+
+CREATE TABLE IF NOT EXISTS recording_jobs (
+    id VARCHAR(36) PRIMARY KEY,
+    recording_id VARCHAR(36) NOT NULL,
+    type VARCHAR(50) NOT NULL DEFAULT 'process',
+    status ENUM('queued', 'running', 'completed', 'failed', 'cancelled') NOT NULL DEFAULT 'queued',
+    priority TINYINT NOT NULL DEFAULT 5, -- low 0, normal 5, high 10
+    payload JSON NULL,
+    checkpoint JSON NULL, -- results of the finished steps, by step name
+    current_step VARCHAR(50) NULL,
+    progress TINYINT NOT NULL DEFAULT 0, -- percent
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 3,
+    run_at DATETIME NOT NULL, -- not claimed before this (retry backoff)
+    locked_by VARCHAR(100) NULL, -- worker holding the lease
+    locked_until DATETIME NULL, -- lease expiry; reclaimed after this
+    error_message TEXT NULL,
+    created_by INT NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    started_at DATETIME NULL,
+    completed_at DATETIME NULL,
+    FOREIGN KEY (recording_id) REFERENCES stream_recordings(id) ON DELETE CASCADE,
+    INDEX idx_recording_jobs_due (status, priority, run_at),
+    INDEX idx_recording_jobs_recording (recording_id, type, status)
+);
@@ -0,0 +1,16 @@
+-- Recording Captions Schema
+-- Timestamped caption tracks, one per recording and language
+
+CREATE TABLE IF NOT EXISTS recording_captions (
+    id VARCHAR(36) PRIMARY KEY,
+    recording_id VARCHAR(36) NOT NULL,
+    language VARCHAR(16) NOT NULL, -- e.g. en, pt-BR; und when undetected
+    label VARCHAR(100) NOT NULL,
+    source ENUM('auto', 'manual') NOT NULL DEFAULT 'auto',
+    provider VARCHAR(50) NULL, -- speech-to-text engine for auto captions
+    cues JSON NOT NULL, -- [{ start, end, text }], seconds
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    FOREIGN KEY (recording_id) REFERENCES stream_recordings(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_recording_captions_language (recording_id, language)
+);
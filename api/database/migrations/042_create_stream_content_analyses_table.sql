@@ -0,0 +1,25 @@
+-- Stream Content Analyses Schema
+-- Results of ContentManager's text, audio and video analysis, per stream
+
+CREATE TABLE IF NOT EXISTS stream_content_analyses (
+    id VARCHAR(36) PRIMARY KEY,
+    stream_id VARCHAR(36) NOT NULL,
+    recording_id VARCHAR(36) NULL, -- the sampled recording, when not live
+    analysis_type ENUM('full', 'text', 'audio', 'video') NOT NULL,
+    source ENUM('live', 'recording') NULL, -- NULL when no media was sampled
+    status ENUM('processing', 'completed', 'failed') NOT NULL DEFAULT 'processing',
+    content_score TINYINT NULL, -- 0-100
+    video_quality ENUM('good', 'fair', 'poor') NULL,
+    audio_quality ENUM('good', 'fair', 'poor') NULL,
+    sampled_seconds DECIMAL(8,3) NULL,
+    results JSON NULL, -- { text, audio, video } with metrics, issues and plugin detections
+    violations JSON NULL,
+    error_message TEXT NULL,
+    requested_by INT NULL,
+    created_at DATETIME NOT NULL,
+    completed_at DATETIME NULL,
+    FOREIGN KEY (stream_id) REFERENCES live_streams(id) ON DELETE CASCADE,
+    FOREIGN KEY (recording_id) REFERENCES stream_recordings(id) ON DELETE SET NULL,
+    INDEX idx_content_analyses_stream (stream_id, created_at),
+    INDEX idx_content_analyses_status (status, created_at)
+);
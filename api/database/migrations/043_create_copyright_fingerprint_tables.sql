@@ -0,0 +1,75 @@
+-- Copyright Fingerprinting Schema
+-- Reference tracks registered by rights holders, their acoustic fingerprint
+-- index, matches found in streams and recordings, and copyright strikes
+
+CREATE TABLE IF NOT EXISTS copyright_reference_tracks (
+    id VARCHAR(36) PRIMARY KEY,
+    rights_holder_id INT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    artist VARCHAR(255) NULL,
+    isrc VARCHAR(12) NULL,
+    duration_seconds DECIMAL(10,3) NULL,
+    hash_count INT UNSIGNED NOT NULL DEFAULT 0,
+    status ENUM('indexing', 'active', 'failed') NOT NULL DEFAULT 'indexing',
+    error_message TEXT NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NULL,
+    FOREIGN KEY (rights_holder_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_reference_tracks_holder (rights_holder_id, created_at)
+);
+
+-- One row per landmark: a pair of spectrogram peaks hashed with their
+-- distance, at the anchor peak's frame in the track
+CREATE TABLE IF NOT EXISTS copyright_fingerprints (
+    track_id VARCHAR(36) NOT NULL,
+    hash INT UNSIGNED NOT NULL,
+    track_offset INT UNSIGNED NOT NULL, -- in frames of 64 ms
+    FOREIGN KEY (track_id) REFERENCES copyright_reference_tracks(id) ON DELETE CASCADE,
+    INDEX idx_fingerprints_hash (hash)
+);
+
+-- Evidence for review: matches never take content down by themselves
+CREATE TABLE IF NOT EXISTS copyright_matches (
+    id VARCHAR(36) PRIMARY KEY,
+    track_id VARCHAR(36) NOT NULL,
+    stream_id VARCHAR(36) NOT NULL,
+    recording_id VARCHAR(36) NULL, -- NULL for live matches
+    source ENUM('live', 'recording') NOT NULL,
+    confidence DECIMAL(5,4) NOT NULL, -- best window, 0-1
+    matched_hashes INT UNSIGNED NOT NULL,
+    segments JSON NOT NULL, -- [{ start, end, trackStart, trackEnd, confidence, detectedAt }]
+    detections INT UNSIGNED NOT NULL DEFAULT 1,
+    status ENUM('pending', 'confirmed', 'dismissed') NOT NULL DEFAULT 'pending',
+    reviewed_by INT NULL,
+    review_note TEXT NULL,
+    dmca_request_id VARCHAR(36) NULL,
+    first_detected_at DATETIME NOT NULL,
+    last_detected_at DATETIME NOT NULL,
+    reviewed_at DATETIME NULL,
+    FOREIGN KEY (track_id) REFERENCES copyright_reference_tracks(id) ON DELETE CASCADE,
+    FOREIGN KEY (stream_id) REFERENCES live_streams(id) ON DELETE CASCADE,
+    FOREIGN KEY (recording_id) REFERENCES stream_recordings(id) ON DELETE SET NULL,
+    FOREIGN KEY (dmca_request_id) REFERENCES dmca_requests(id) ON DELETE SET NULL,
+    INDEX idx_copyright_matches_status (status, last_detected_at),
+    INDEX idx_copyright_matches_stream (stream_id, track_id, status)
+);
+
+-- Used by ComplianceManager's repeat infringer policy
+CREATE TABLE IF NOT EXISTS copyright_strikes (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id INT NOT NULL,
+    dmca_request_id VARCHAR(36) NULL,
+    match_id VARCHAR(36) NULL, -- the fingerprint match the notice was based on
+    strike_date DATETIME NOT NULL,
+    created_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (dmca_request_id) REFERENCES dmca_requests(id) ON DELETE SET NULL,
+    FOREIGN KEY (match_id) REFERENCES copyright_matches(id) ON DELETE SET NULL,
+    INDEX idx_copyright_strikes_user (user_id, strike_date)
+);
+
+ALTER TABLE dmca_requests
+ADD COLUMN IF NOT EXISTS evidence JSON NULL AFTER sworn_statement;
+
+INSERT IGNORE INTO user_roles (role_name, permissions, description) VALUES
+('rights_holder', JSON_ARRAY('view_content', 'chat', 'manage_reference_tracks'), 'Registers reference tracks and reviews their matches');
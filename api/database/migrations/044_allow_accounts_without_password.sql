@@ -0,0 +1,5 @@
+-- Passwordless Accounts
+-- Accounts created through social login have no password until the user
+-- sets one; their providers are linked in oauth_providers
+
+ALTER TABLE users MODIFY password_hash VARCHAR(255) NULL;
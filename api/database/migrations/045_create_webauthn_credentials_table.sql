@@ -0,0 +1,22 @@
+-- WebAuthn Credentials Schema
+-- Passkeys and security keys registered by users, for passwordless login
+-- and as a second factor. Several per user, each named by its owner.
+
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    credential_id VARCHAR(1400) NOT NULL, -- base64url, as sent by the browser
+    public_key TEXT NOT NULL, -- JWK
+    algorithm SMALLINT NOT NULL, -- COSE algorithm, e.g. -7 (ES256)
+    sign_count INT UNSIGNED NOT NULL DEFAULT 0,
+    transports JSON NULL, -- ['internal', 'hybrid', 'usb', ...]
+    aaguid CHAR(36) NULL, -- authenticator model
+    backup_eligible BOOLEAN NOT NULL DEFAULT FALSE,
+    backed_up BOOLEAN NOT NULL DEFAULT FALSE, -- synced passkey
+    name VARCHAR(100) NOT NULL,
+    created_at DATETIME NOT NULL,
+    last_used_at DATETIME NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_webauthn_credential (credential_id(255)),
+    INDEX idx_webauthn_user (user_id, created_at)
+);
@@ -0,0 +1,11 @@
+-- Session Revocation
+-- Each user_sessions row is one signed-in device and its refresh token
+-- family: the hash is of the current refresh token, which is replaced on
+-- every refresh. Rows are kept after sign-out, for reuse detection and to
+-- recognize devices signed in before.
+
+ALTER TABLE user_sessions
+    ADD COLUMN IF NOT EXISTS rotated_at DATETIME NULL,
+    ADD COLUMN IF NOT EXISTS revoked_at DATETIME NULL,
+    ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50) NULL, -- sign_out, remote_sign_out, session_limit, refresh_token_reuse
+    ADD INDEX idx_user_sessions_device (user_id, device_fingerprint, created_at);
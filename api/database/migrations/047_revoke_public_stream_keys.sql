@@ -0,0 +1,12 @@
+-- Revoke Publishing Keys Equal to Public Stream Keys
+-- 037 backfilled each stream's public stream_key (sent in playback URLs
+-- and stream events) as its publishing key. Revoke those; owners rotate
+-- to get a secret key.
+
+UPDATE stream_keys k
+JOIN live_streams s ON s.id = k.stream_id
+SET k.status = 'revoked',
+    k.revoked_at = NOW(),
+    k.revoked_reason = 'public_stream_key'
+WHERE k.key_hash = SHA2(s.stream_key, 256)
+  AND k.status <> 'revoked';
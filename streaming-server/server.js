@@ -31,8 +31,11 @@ const ChatManager = require('./src/ChatManager');
 const AnalyticsCollector = require('./src/AnalyticsCollector');
 const QualityManager = require('./src/QualityManager');
 const RecordingManager = require('./src/RecordingManager');
+const RestreamManager = require('./src/RestreamManager');
 const BroadcastingTools = require('./src/BroadcastingTools');
+const StreamScheduler = require('./src/StreamScheduler');
 const AnalyticsDashboard = require('./src/AnalyticsDashboard');
+const AnalyticsExporter = require('./src/AnalyticsExporter');
 const MonetizationManager = require('./src/MonetizationManager');
 const ContentManager = require('./src/ContentManager');
 const SecurityManager = require('./src/SecurityManager');
@@ -43,6 +46,9 @@ const PerformanceOptimizer = require('./src/PerformanceOptimizer');
 const MonitoringManager = require('./src/MonitoringManager');
 const CDNManager = require('./src/CDNManager');
 const AuthMiddleware = require('./src/middleware/AuthMiddleware');
+const SecurityMiddleware = require('./src/middleware/SecurityMiddleware');
+const { createPubSubAdapter, createSocketAdapter } = require('./src/cluster');
+const SelectiveForwardingUnit = require('./src/sfu/SelectiveForwardingUnit');
 
 // Configuration
 const config = {
@@ -60,7 +66,24 @@ const config = {
     queueLimit: 0
   },
   jwtSecret: process.env.JWT_SECRET || 'your-secret-key',
-  environment: process.env.NODE_ENV || 'development'
+  // Express trust proxy: how many proxies, or which addresses and subnets
+  // (comma-separated), sit in front of the server; X-Forwarded-For is
+  // ignored unless set
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+    ? parseInt(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY || false,
+  environment: process.env.NODE_ENV || 'development',
+  security: {
+    // Log what SecurityMonitor would refuse instead of refusing it
+    dryRun: process.env.SECURITY_DRY_RUN === 'true',
+    routes: [
+      { path: '/health', rateLimit: false, bot: false, geo: false },
+      // Players poll playlists and segments at steady intervals
+      { path: '/playback', rateLimit: false, bot: false, intrusion: false },
+      // Chat bots are automated by design and sign in with their own token
+      { path: '/api/chat/bots/messages', bot: false }
+    ]
+  }
 };
 
 // Logger setup
@@ -97,15 +120,20 @@ class InterviewsStreamingServer {
     
     this.redisClient = null;
     this.dbPool = null;
+    this.cluster = null;
     this.nms = null;
     this.streamManager = null;
     this.webrtcSignaling = null;
     this.chatManager = null;
     this.analyticsCollector = null;
     this.qualityManager = null;
+    this.sfu = null;
     this.recordingManager = null;
+    this.restreamManager = null;
     this.broadcastingTools = null;
+    this.streamScheduler = null;
     this.analyticsDashboard = null;
+    this.analyticsExporter = null;
     this.monetizationManager = null;
     this.contentManager = null;
     this.securityManager = null;
@@ -115,6 +143,8 @@ class InterviewsStreamingServer {
     this.performanceOptimizer = null;
     this.monitoringManager = null;
     this.cdnManager = null;
+    this.authMiddleware = null;
+    this.securityMiddleware = null;
   }
 
   async initialize() {
@@ -132,6 +162,9 @@ class InterviewsStreamingServer {
       
       // Initialize core services
       this.initializeServices();
+
+      // Share chat and signaling state with other replicas
+      await this.initializeCluster();
       
       // Setup Node Media Server
       this.setupNodeMediaServer();
@@ -190,6 +223,9 @@ class InterviewsStreamingServer {
   }
 
   setupMiddleware() {
+    // Client IPs for security checks and sessions come from req.ip
+    this.app.set('trust proxy', config.trustProxy);
+
     // Security middleware
     this.app.use(helmet());
     
@@ -214,6 +250,8 @@ class InterviewsStreamingServer {
   }
 
   initializeServices() {
+    this.authMiddleware = new AuthMiddleware(config);
+
     // Initialize core services
     this.streamManager = new StreamManager(this.dbPool, this.redisClient, logger);
     this.webrtcSignaling = new WebRTCSignaling(this.io, logger);
@@ -221,14 +259,27 @@ class InterviewsStreamingServer {
     this.chatManager.initializeCommands();
     this.analyticsCollector = new AnalyticsCollector(this.dbPool, this.redisClient, logger);
     this.qualityManager = new QualityManager(logger, this.redisClient);
+    this.sfu = new SelectiveForwardingUnit(this.qualityManager, logger, {
+      icePortRange: process.env.SFU_PORT_MIN && process.env.SFU_PORT_MAX
+        ? [parseInt(process.env.SFU_PORT_MIN), parseInt(process.env.SFU_PORT_MAX)]
+        : undefined,
+      iceAdditionalHostAddresses: process.env.SFU_ANNOUNCED_IPS
+        ? process.env.SFU_ANNOUNCED_IPS.split(',').map(ip => ip.trim())
+        : undefined
+    });
     this.recordingManager = new RecordingManager(this.dbPool, this.redisClient, logger);
+    this.restreamManager = new RestreamManager(this.dbPool, this.redisClient, logger);
     this.broadcastingTools = new BroadcastingTools(this.io, this.redisClient, logger);
+    this.streamScheduler = new StreamScheduler(this.dbPool, this.redisClient, logger);
     this.analyticsDashboard = new AnalyticsDashboard(this.dbPool, this.redisClient, logger);
+    this.analyticsExporter = new AnalyticsExporter(this.analyticsDashboard, this.redisClient, logger);
     this.monetizationManager = new MonetizationManager(this.dbPool, this.redisClient, logger);
+    this.monetizationManager.startPayoutReconciler();
     this.contentManager = new ContentManager(this.dbPool, this.redisClient, logger);
     this.securityManager = new SecurityManager(this.dbPool, this.redisClient, logger);
     this.privacyManager = new PrivacyManager(this.dbPool, this.redisClient, logger);
     this.securityMonitor = new SecurityMonitor(this.dbPool, this.redisClient, logger);
+    this.securityMiddleware = new SecurityMiddleware(this.securityMonitor, logger, config.security);
     this.complianceManager = new ComplianceManager(this.dbPool, this.redisClient, logger);
     this.performanceOptimizer = new PerformanceOptimizer(this.dbPool, this.redisClient, logger);
     this.monitoringManager = new MonitoringManager(this.dbPool, this.redisClient, logger);
@@ -236,6 +287,74 @@ class InterviewsStreamingServer {
 
     // Set up service dependencies
     this.analyticsCollector.io = this.io;
+    this.authMiddleware.streamManager = this.streamManager;
+    this.authMiddleware.roles = this.securityManager.config.roles;
+    this.authMiddleware.sessions = this.securityManager.sessions;
+    this.securityManager.sessions.io = this.io;
+    this.registerOwnership();
+    this.webrtcSignaling.authMiddleware = this.authMiddleware;
+    this.securityMiddleware.authMiddleware = this.authMiddleware;
+    this.streamManager.presence.io = this.io;
+    this.analyticsCollector.presence = this.streamManager.presence;
+    this.chatManager.db = this.dbPool;
+    this.webrtcSignaling.attachSfu(this.sfu);
+    this.streamScheduler.io = this.io;
+    this.restreamManager.io = this.io;
+    this.recordingManager.io = this.io;
+    this.recordingManager.authMiddleware = this.authMiddleware;
+    this.recordingManager.copyright = this.contentManager.copyright;
+    this.contentManager.copyright.compliance = this.complianceManager;
+    this.streamScheduler.broadcastingTools = this.broadcastingTools;
+    this.broadcastingTools.scheduler = this.streamScheduler;
+  }
+
+  /**
+   * How AuthMiddleware.authorize finds who owns what a route acts on
+   */
+  registerOwnership() {
+    this.authMiddleware.registerOwnership('stream', streamId => this.streamManager.getStreamOwner(streamId));
+    this.authMiddleware.registerOwnership('streamKey', async (streamKey) => {
+      const stream = await this.streamManager.getStreamByKey(streamKey);
+      return stream ? stream.userId : null;
+    }, 'stream');
+    this.authMiddleware.registerOwnership('recording', async (recordingId) => {
+      const recording = await this.recordingManager.getRecordingWithOwner(recordingId);
+      return recording ? recording.user_id : null;
+    });
+    // Analytics of a user's own streams
+    this.authMiddleware.registerOwnership('user', async userId => userId);
+  }
+
+  async initializeCluster() {
+    const adapter = process.env.CLUSTER_ADAPTER || (this.redisClient ? 'redis' : 'memory');
+
+    try {
+      this.cluster = createPubSubAdapter(adapter, this.redisClient, logger);
+      await this.cluster.start();
+    } catch (error) {
+      logger.warn(`Cluster adapter ${adapter} unavailable, running as a single replica:`, error.message);
+      this.cluster = createPubSubAdapter('memory', null, logger);
+      await this.cluster.start();
+    }
+
+    this.io.adapter(createSocketAdapter(this.cluster));
+    this.chatManager.cluster = this.cluster;
+    this.webrtcSignaling.cluster = this.cluster;
+    this.streamManager.streamKeys.cluster = this.cluster;
+    this.streamManager.presence.cluster = this.cluster;
+    await this.chatManager.startClusterSync();
+    await this.streamManager.streamKeys.startClusterSync();
+    this.streamManager.presence.start();
+
+    // Claim recording jobs, including those of workers that died once their lease runs out
+    this.recordingManager.jobs.nodeId = this.cluster.nodeId;
+    this.recordingManager.jobs.start();
+
+    // Sample live streams for copyrighted music, one replica per stream
+    this.contentManager.copyright.cluster = this.cluster;
+    this.contentManager.copyright.startLiveMonitor();
+
+    logger.info(`Cluster adapter ${this.cluster.name} started as node ${this.cluster.nodeId}`);
   }
 
   setupNodeMediaServer() {
@@ -278,6 +397,21 @@ class InterviewsStreamingServer {
   }
 
   setupNMSEventHandlers() {
+    // A revoked key ends any publish using it, without touching the stream
+    this.streamManager.streamKeys.on('revoked', async ({ keyId }) => {
+      try {
+        for (const sessionId of await this.streamManager.getSessionsUsingKey(keyId)) {
+          const session = this.nms.getSession(sessionId);
+          if (session) {
+            logger.warn(`[NodeMediaServer] Disconnecting publisher id=${sessionId}: stream key revoked`);
+            session.reject();
+          }
+        }
+      } catch (error) {
+        logger.error(`[NodeMediaServer] Error disconnecting revoked key ${keyId}:`, error);
+      }
+    });
+
     this.nms.on('preConnect', (id, args) => {
       logger.debug(`[NodeMediaServer] preConnect id=${id} args=${JSON.stringify(args)}`);
     });
@@ -291,26 +425,29 @@ class InterviewsStreamingServer {
     });
 
     this.nms.on('prePublish', async (id, StreamPath, args) => {
-      logger.info(`[NodeMediaServer] prePublish id=${id} StreamPath=${StreamPath}`);
+      logger.info(`[NodeMediaServer] prePublish id=${id}`);
       
       try {
-        // Extract stream key from path
-        const streamKey = StreamPath.split('/').pop();
-        
-        // Validate stream key and authenticate
-        const isValid = await this.streamManager.validateStreamKey(streamKey);
-        
-        if (!isValid) {
-          logger.warn(`[NodeMediaServer] Invalid stream key: ${streamKey}`);
-          const session = this.nms.getSession(id);
+        // Extract the publishing key from the path
+        const publishKey = StreamPath.split('/').pop();
+        const session = this.nms.getSession(id);
+
+        // Validate the key against its expiry, allowlist and stream
+        const publish = await this.streamManager.validateStreamKey(publishKey, {
+          ip: session ? session.ip : null,
+          sessionId: id
+        });
+
+        if (!publish) {
+          logger.warn(`[NodeMediaServer] Invalid stream key: ${publishKey.slice(0, 4)}...`);
           session.reject();
           return;
         }
-        
-        // Start stream session
-        await this.streamManager.startStreamSession(streamKey, id);
-        
-        logger.info(`[NodeMediaServer] Stream started: ${streamKey}`);
+
+        // Start stream session under the stream's own key
+        await this.streamManager.startStreamSession(publish.streamKey, id);
+
+        logger.info(`[NodeMediaServer] Stream started: ${publish.streamKey}`);
       } catch (error) {
         logger.error(`[NodeMediaServer] prePublish error:`, error);
         const session = this.nms.getSession(id);
@@ -319,49 +456,67 @@ class InterviewsStreamingServer {
     });
 
     this.nms.on('postPublish', async (id, StreamPath, args) => {
-      logger.info(`[NodeMediaServer] postPublish id=${id} StreamPath=${StreamPath}`);
+      logger.info(`[NodeMediaServer] postPublish id=${id}`);
 
       try {
-        const streamKey = StreamPath.split('/').pop();
+        // Rotated and backup keys publish to the stream's own key
+        const publish = await this.streamManager.getPublishSession(id);
+        if (!publish) {
+          return;
+        }
+        const streamKey = publish.streamKey;
         await this.streamManager.updateStreamStatus(streamKey, 'live');
 
-        // Initialize adaptive bitrate streaming
+        // Initialize adaptive bitrate streaming, capped at the stream's quality
         const inputSource = `rtmp://localhost:${config.rtmpPort}${StreamPath}`;
-        await this.qualityManager.initializeABR(streamKey, inputSource);
+        const streamData = await this.streamManager.getStreamByKey(streamKey);
+        await this.qualityManager.initializeABR(streamKey, inputSource, {
+          maxQuality: streamData?.quality || undefined,
+          latencyMode: streamData?.latencyMode || undefined
+        });
 
         // Start recording if enabled
-        const streamData = await this.streamManager.getStreamByKey(streamKey);
         if (streamData && streamData.recording_enabled) {
           await this.recordingManager.startRecording(streamData.id, streamKey, inputSource);
         }
 
+        // Relay the ingest to the stream's restream destinations
+        if (streamData) {
+          await this.restreamManager.startRestreams(streamData.id, inputSource);
+        }
+
         // Notify connected clients
-        this.io.emit('stream:started', { streamKey, streamPath: StreamPath });
+        this.io.emit('stream:started', { streamKey });
       } catch (error) {
         logger.error(`[NodeMediaServer] postPublish error:`, error);
       }
     });
 
     this.nms.on('donePublish', async (id, StreamPath, args) => {
-      logger.info(`[NodeMediaServer] donePublish id=${id} StreamPath=${StreamPath}`);
+      logger.info(`[NodeMediaServer] donePublish id=${id}`);
 
       try {
-        const streamKey = StreamPath.split('/').pop();
+        const publish = await this.streamManager.endPublishSession(id);
+        if (!publish) {
+          return;
+        }
+        const streamKey = publish.streamKey;
 
         // Stop adaptive bitrate streaming
         await this.qualityManager.stopABR(streamKey);
 
-        // Stop recording
+        // Stop recording and restreams
         const streamData = await this.streamManager.getStreamByKey(streamKey);
         if (streamData) {
           await this.recordingManager.stopRecording(streamData.id);
+          await this.restreamManager.stopRestreams(streamData.id);
         }
 
         // End stream session
         await this.streamManager.endStreamSession(streamKey);
 
         // Notify connected clients
-        this.io.emit('stream:ended', { streamKey, streamPath: StreamPath });
+        this.io.emit('stream:ended', { streamKey });
       } catch (error) {
         logger.error(`[NodeMediaServer] donePublish error:`, error);
       }
@@ -369,6 +524,9 @@ class InterviewsStreamingServer {
   }
 
   setupRoutes() {
+    // Rate limits, DDoS, intrusion, bot and geo checks before any route
+    this.app.use(this.securityMiddleware.protect());
+
     // Root endpoint
     this.app.get('/', (req, res) => {
       res.json({
@@ -377,17 +535,23 @@ class InterviewsStreamingServer {
         status: 'running',
         endpoints: {
           health: '/health',
+          auth: '/api/auth',
           streams: '/api/streams',
+          playback: '/playback',
           webrtc: '/api/webrtc',
           chat: '/api/chat',
-          analytics: '/api/analytics'
+          analytics: '/api/analytics',
+          monetization: '/api/monetization',
+          content: '/api/content',
+          schedules: '/api/schedules',
+          restreams: '/api/restreams'
         },
         rtmp: {
           url: `rtmp://localhost:${config.rtmpPort}/live`,
           port: config.rtmpPort
         },
         hls: {
-          url: `http://localhost:${config.httpPort}/live/{stream_key}/index.m3u8`,
+          url: `http://localhost:${config.httpPort}/live/{stream_key}/master.m3u8`,
           port: config.httpPort
         }
       });
@@ -402,43 +566,76 @@ class InterviewsStreamingServer {
         services: {
           database: this.dbPool ? 'connected' : 'disconnected',
           redis: this.redisClient?.isReady ? 'connected' : 'disconnected',
+          cluster: this.cluster ? `${this.cluster.name}:${this.cluster.nodeId}` : 'stopped',
           nodeMediaServer: this.nms ? 'running' : 'stopped'
         }
       });
     });
 
+    // Social login, passkeys, MFA, linked accounts and signed-in devices
+    this.app.use('/api/auth', require('./src/routes/authRoutes')(this.securityManager, this.authMiddleware));
+
+    // Publishing key routes
+    this.app.use('/api/streams/:streamId/keys', require('./src/routes/streamKeyRoutes')(this.streamManager.streamKeys, this.authMiddleware));
+
     // Stream management routes
-    this.app.use('/api/streams', require('./src/routes/streamRoutes')(this.streamManager, this.analyticsCollector));
+    this.app.use('/api/streams', require('./src/routes/streamRoutes')(this.streamManager, this.analyticsCollector, this.authMiddleware));
 
     // Quality management routes
-    this.app.use('/api/quality', require('./src/routes/qualityRoutes')(this.qualityManager));
+    this.app.use('/api/quality', require('./src/routes/qualityRoutes')(this.qualityManager, this.authMiddleware));
+
+    // Low latency playback (LL-HLS and DASH)
+    this.app.use('/playback', require('./src/routes/playbackRoutes')(this.qualityManager));
+
+    // Recording processing queue, before /api/recordings/:recordingId
+    this.app.use('/api/recordings/jobs', require('./src/routes/recordingJobRoutes')(this.recordingManager, this.authMiddleware));
 
     // Recording management routes
-    this.app.use('/api/recordings', require('./src/routes/recordingRoutes')(this.recordingManager));
+    this.app.use('/api/recordings', require('./src/routes/recordingRoutes')(this.recordingManager, this.authMiddleware));
 
     // WebRTC signaling routes
-    this.app.use('/api/webrtc', require('./src/routes/webrtcRoutes')(this.webrtcSignaling));
+    this.app.use('/api/webrtc', require('./src/routes/webrtcRoutes')(this.webrtcSignaling, this.sfu, this.authMiddleware));
 
     // Chat routes
-    this.app.use('/api/chat', require('./src/routes/chatRoutes')(this.chatManager));
+    this.app.use('/api/chat', require('./src/routes/chatRoutes')(this.chatManager, this.authMiddleware));
 
     // Analytics routes
-    this.app.use('/api/analytics', require('./src/routes/analyticsRoutes')(this.analyticsCollector));
+    this.app.use('/api/analytics', require('./src/routes/analyticsRoutes')(this.analyticsCollector, this.authMiddleware));
 
     // Dashboard routes
-    this.app.use('/api/dashboard', require('./src/routes/dashboardRoutes')(this.analyticsDashboard));
+    this.app.use('/api/dashboard', require('./src/routes/dashboardRoutes')(this.analyticsDashboard, this.analyticsExporter, this.authMiddleware));
 
-    // Monetization routes (placeholder - to be implemented)
-    // this.app.use('/api/monetization', require('./src/routes/monetizationRoutes')(this.monetizationManager));
+    // Monetization routes
+    this.app.use('/api/monetization', require('./src/routes/monetizationRoutes')(this.monetizationManager, this.authMiddleware));
 
-    // Content management routes (placeholder - to be implemented)
-    // this.app.use('/api/content', require('./src/routes/contentRoutes')(this.contentManager));
+    // Content management routes
+    this.app.use('/api/content', require('./src/routes/contentRoutes')(this.contentManager, this.authMiddleware));
+
+    // Stream schedule routes
+    this.app.use('/api/schedules', require('./src/routes/scheduleRoutes')(this.streamScheduler, this.authMiddleware));
+
+    // Restream destination routes
+    this.app.use('/api/restreams', require('./src/routes/restreamRoutes')(this.restreamManager, this.authMiddleware));
   }
 
   setupWebSocketHandlers() {
+    // The HTTP security checks, for handshakes
+    this.io.use(this.securityMiddleware.protectSocket());
+
+    // Same tokens as the API; anonymous sockets are viewers
+    this.io.use((socket, next) => this.authMiddleware.authenticateSocket(socket, next));
+
     this.io.on('connection', (socket) => {
       logger.debug(`Client connected: ${socket.id}`);
-      
+
+      // Rooms for sign-in alerts and for disconnecting signed-out sessions
+      if (socket.user) {
+        socket.join(`user:${socket.user.id}`);
+        if (socket.user.sid) {
+          socket.join(`session:${socket.user.sid}`);
+        }
+      }
+
       // WebRTC signaling
       this.webrtcSignaling.handleConnection(socket);
       
@@ -448,6 +645,12 @@ class InterviewsStreamingServer {
       // Analytics tracking
       this.analyticsCollector.handleConnection(socket);
 
+      // Viewer presence heartbeats
+      this.streamManager.presence.handleConnection(socket);
+
+      // Recording processing progress
+      this.recordingManager.handleConnection(socket);
+
       // Broadcasting tools
       this.broadcastingTools.handleConnection(socket);
 
@@ -456,6 +659,10 @@ class InterviewsStreamingServer {
 
         // Cleanup broadcasting sessions
         this.broadcastingTools.cleanupSession(socket.id);
+
+        // Stop counting the socket as a viewer
+        this.streamManager.presence.handleDisconnect(socket)
+          .catch(error => logger.error('Error removing viewer presence:', error));
       });
     });
   }
@@ -492,10 +699,46 @@ class InterviewsStreamingServer {
     logger.info('Shutting down streaming server...');
     
     try {
+      // Stop scheduled stream processing
+      if (this.streamScheduler) {
+        this.streamScheduler.stopScheduleProcessor();
+      }
+
+      if (this.monetizationManager) {
+        this.monetizationManager.stopPayoutReconciler();
+      }
+
       // Close Node Media Server
       if (this.nms) {
         this.nms.stop();
       }
+
+      // Stop restream relays
+      if (this.restreamManager) {
+        await this.restreamManager.close();
+      }
+
+      // Stop claiming recording jobs; unfinished ones resume after restart
+      if (this.recordingManager) {
+        this.recordingManager.jobs.close();
+      }
+
+      if (this.contentManager) {
+        this.contentManager.copyright.close();
+      }
+
+      // Close forwarded peer connections
+      if (this.sfu) {
+        await this.sfu.close();
+      }
+
+      // Leave the cluster before Redis goes away
+      if (this.cluster) {
+        this.streamManager.presence.close();
+        await this.chatManager.stopClusterSync();
+        await this.streamManager.streamKeys.stopClusterSync();
+        await this.cluster.close();
+      }
       
       // Close database connections
       if (this.dbPool) {
@@ -18,6 +18,9 @@ class AnalyticsCollector {
     
     // Active analytics sessions
     this.analyticsSessions = new Map();
+
+    // Heartbeat-based viewer counts, wired up by the server
+    this.presence = null;
     
     // Analytics configuration
     this.config = {
@@ -346,6 +349,16 @@ class AnalyticsCollector {
         peakViewers: parseInt(peakViewers || '0')
       };
 
+      // Presence counts hold across replicas and restarts; prefer them
+      if (this.presence) {
+        const viewers = await this.presence.getCounts(streamId);
+        analytics.realTime = {
+          currentViewers: viewers.current,
+          peakViewers: viewers.peak,
+          uniqueViewers: viewers.unique
+        };
+      }
+
       analytics.engagement = {
         total: parseInt(totalEngagement || '0'),
         chatMessages: parseInt(chatMessages || '0'),
@@ -388,10 +401,25 @@ class AnalyticsCollector {
       const hours = timeRange === '24h' ? 24 : timeRange === '7d' ? 168 : 24;
       const [rows] = await this.db.execute(query, [streamId, hours]);
 
+      // Per-minute viewer counts written by ViewerPresence
+      const [minutes] = await this.db.execute(`
+        SELECT minute, concurrent_viewers, peak_viewers, unique_viewers
+        FROM stream_viewer_minutes
+        WHERE stream_id = ?
+          AND minute >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+        ORDER BY minute
+      `, [streamId, hours]);
+
       return {
         streamId,
         timeRange,
-        data: rows
+        data: rows,
+        viewerSeries: minutes.map(row => ({
+          minute: row.minute,
+          concurrentViewers: row.concurrent_viewers,
+          peakViewers: row.peak_viewers,
+          uniqueViewers: row.unique_viewers
+        }))
       };
     } catch (error) {
       this.logger.error('Error getting historical analytics:', error);
@@ -0,0 +1,607 @@
+/**
+ * AnalyticsExporter - Analytics Report Export Pipeline
+ *
+ * Handles:
+ * - Asynchronous export jobs for dashboard widgets
+ * - CSV, JSON and paginated PDF report rendering
+ * - Export file storage and retention
+ * - Signed, expiring download links
+ * - Job status tracking in memory and Redis
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+
+class AnalyticsExporter {
+  constructor(analyticsDashboard, redisClient, logger) {
+    this.dashboard = analyticsDashboard;
+    this.redis = redisClient;
+    this.logger = logger;
+
+    // Export jobs by ID
+    this.exportJobs = new Map();
+
+    // Export configuration
+    this.config = {
+      exportPath: process.env.EXPORT_PATH || './exports',
+      signingSecret: process.env.EXPORT_SIGNING_SECRET || process.env.JWT_SECRET || 'your-secret-key',
+      downloadUrlTTL: parseInt(process.env.EXPORT_URL_TTL || '86400'), // 24 hours
+      retentionPeriod: parseInt(process.env.EXPORT_RETENTION || '604800'), // 7 days
+      cleanupInterval: 3600000, // 1 hour
+      formats: {
+        csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+        json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+        pdf: { contentType: 'application/pdf', extension: 'pdf' }
+      },
+      pdf: {
+        pageWidth: 612, // US Letter in points
+        pageHeight: 792,
+        margin: 50,
+        fontSize: 9,
+        lineHeight: 12
+      }
+    };
+
+    // Exportable widgets and the dashboard loaders behind them
+    this.widgets = {
+      viewerTrends: {
+        title: 'Viewer Trends',
+        load: (userId, timeRange) => this.dashboard.getViewerTrends(userId, timeRange)
+      },
+      engagementAnalytics: {
+        title: 'Engagement Analytics',
+        load: (userId, timeRange) => this.dashboard.getEngagementAnalytics(userId, timeRange)
+      },
+      revenueAnalytics: {
+        title: 'Revenue Analytics',
+        load: (userId, timeRange) => this.dashboard.getRevenueAnalytics(userId, timeRange)
+      },
+      geographicDistribution: {
+        title: 'Geographic Distribution',
+        load: (userId, timeRange) => this.dashboard.getGeographicDistribution(userId, timeRange)
+      },
+      topStreams: {
+        title: 'Top Performing Streams',
+        load: (userId, timeRange) => this.dashboard.getTopStreams(userId, timeRange)
+      },
+      kpis: {
+        title: 'Key Performance Indicators',
+        load: async (userId, timeRange) => ({ data: await this.dashboard.calculateKPIs(userId, timeRange) })
+      }
+    };
+
+    this.initializeStorage();
+    this.startCleanupProcessor();
+  }
+
+  /**
+   * Initialize export storage directory
+   */
+  async initializeStorage() {
+    try {
+      await fs.mkdir(this.config.exportPath, { recursive: true });
+      this.logger.info('Analytics export storage initialized');
+    } catch (error) {
+      this.logger.error('Error initializing export storage:', error);
+    }
+  }
+
+  /**
+   * Create an export job and start processing it in the background
+   */
+  async createExportJob(userId, options = {}) {
+    const format = options.format || 'csv';
+    if (!this.config.formats[format]) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const job = {
+      id: uuidv4(),
+      userId,
+      format,
+      timeRange: options.timeRange || '24h',
+      widgets: this.resolveWidgets(options.widgets),
+      status: 'pending',
+      progress: 0,
+      fileName: null,
+      fileSize: 0,
+      checksum: null,
+      error: null,
+      createdAt: new Date(),
+      completedAt: null,
+      expiresAt: null
+    };
+
+    await this.saveJob(job);
+
+    // Run asynchronously so the request can return immediately
+    setImmediate(() => {
+      this.processExportJob(job.id).catch((error) => {
+        this.logger.error(`Export job ${job.id} failed:`, error);
+      });
+    });
+
+    this.logger.info(`Analytics export job ${job.id} created for user ${userId} (${format})`);
+    return job;
+  }
+
+  /**
+   * Collect widget data, render it and store the resulting file. Resolves
+   * to null when the job was already picked up by another run.
+   */
+  async processExportJob(jobId) {
+    const job = await this.getExportJob(jobId);
+    if (!job) {
+      throw new Error('Export job not found');
+    }
+
+    // Checked and set without awaiting in between, so only one run claims it
+    if (job.status !== 'pending') {
+      this.logger.debug(`Export job ${jobId} is already ${job.status}`);
+      return null;
+    }
+    job.status = 'processing';
+
+    try {
+      await this.saveJob(job);
+
+      const report = await this.collectReportData(job);
+      job.progress = 50;
+      await this.saveJob(job);
+
+      const content = this.renderReport(report, job.format);
+      const fileName = `analytics_${job.userId}_${job.id}.${this.config.formats[job.format].extension}`;
+      await fs.writeFile(path.join(this.config.exportPath, fileName), content);
+
+      job.status = 'completed';
+      job.progress = 100;
+      job.fileName = fileName;
+      job.fileSize = content.length;
+      job.checksum = crypto.createHash('sha256').update(content).digest('hex');
+      job.completedAt = new Date();
+      job.expiresAt = new Date(Date.now() + this.config.retentionPeriod * 1000);
+      await this.saveJob(job);
+
+      this.logger.info(`Analytics export job ${jobId} completed (${job.fileSize} bytes)`);
+      return job;
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      await this.saveJob(job);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the selected widgets from the analytics dashboard
+   */
+  async collectReportData(job) {
+    const report = {
+      exportId: job.id,
+      userId: job.userId,
+      timeRange: job.timeRange,
+      generatedAt: new Date().toISOString(),
+      widgets: {}
+    };
+
+    for (const name of job.widgets) {
+      const widget = this.widgets[name];
+      const result = await widget.load(job.userId, job.timeRange);
+
+      report.widgets[name] = {
+        title: widget.title,
+        data: result && result.data !== undefined ? result.data : {}
+      };
+    }
+
+    return report;
+  }
+
+  /**
+   * Render report in the requested format
+   */
+  renderReport(report, format) {
+    switch (format) {
+      case 'json':
+        return Buffer.from(JSON.stringify(report, null, 2), 'utf8');
+      case 'csv':
+        return Buffer.from(this.renderCSV(report), 'utf8');
+      case 'pdf':
+        return this.renderPDF(report);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Render report as CSV with one section per widget
+   */
+  renderCSV(report) {
+    const lines = [
+      this.toCSVRow(['Report', 'Analytics Export']),
+      this.toCSVRow(['Generated At', report.generatedAt]),
+      this.toCSVRow(['Time Range', report.timeRange]),
+      ''
+    ];
+
+    for (const widget of Object.values(report.widgets)) {
+      const table = this.toTable(widget.data);
+
+      lines.push(this.toCSVRow([widget.title]));
+      lines.push(this.toCSVRow(table.columns));
+      for (const row of table.rows) {
+        lines.push(this.toCSVRow(row));
+      }
+      lines.push('');
+    }
+
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Render report as a paginated PDF document
+   */
+  renderPDF(report) {
+    const { pageHeight, margin, lineHeight } = this.config.pdf;
+    const usableHeight = pageHeight - margin * 2 - lineHeight * 2;
+
+    const lines = [
+      { text: 'Interviews.tv Analytics Report', font: 'F2', size: 16 },
+      { text: `Generated: ${report.generatedAt}` },
+      { text: `Time range: ${report.timeRange}` },
+      { text: '' }
+    ];
+
+    for (const widget of Object.values(report.widgets)) {
+      const table = this.toTable(widget.data);
+      const widths = table.columns.map((column, index) => Math.min(
+        24,
+        Math.max(String(column).length, ...table.rows.map(row => String(row[index] ?? '').length))
+      ));
+      const formatRow = (row) => row
+        .map((value, index) => String(value ?? '').slice(0, widths[index]).padEnd(widths[index]))
+        .join('  ');
+
+      lines.push({ text: widget.title, font: 'F2', size: 12 });
+      lines.push({ text: formatRow(table.columns) });
+      lines.push({ text: widths.map(width => '-'.repeat(width)).join('  ') });
+      if (table.rows.length === 0) {
+        lines.push({ text: 'No data for this period' });
+      }
+      for (const row of table.rows) {
+        lines.push({ text: formatRow(row) });
+      }
+      lines.push({ text: '' });
+    }
+
+    // Paginate by line height, keeping room at the bottom for the footer
+    const pages = [[]];
+    let remaining = usableHeight;
+    for (const line of lines) {
+      const height = this.getPDFLineHeight(line);
+      if (height > remaining && pages[pages.length - 1].length > 0) {
+        pages.push([]);
+        remaining = usableHeight;
+      }
+      pages[pages.length - 1].push(line);
+      remaining -= height;
+    }
+
+    return this.buildPDFDocument(pages);
+  }
+
+  /**
+   * Assemble a PDF 1.4 document from pages of text lines
+   */
+  buildPDFDocument(pages) {
+    const { pageWidth, pageHeight, margin, fontSize, lineHeight } = this.config.pdf;
+    const objects = [];
+    const pageCount = pages.length || 1;
+
+    // Object numbering: 1 catalog, 2 pages, 3-4 fonts, then page/content pairs
+    const pageObjectIds = [];
+    for (let i = 0; i < pageCount; i++) {
+      pageObjectIds.push(5 + i * 2);
+    }
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>';
+
+    for (let i = 0; i < pageCount; i++) {
+      const pageLines = pages[i] || [];
+      const commands = ['BT'];
+      let y = pageHeight - margin;
+
+      for (const line of pageLines) {
+        commands.push(`/${line.font || 'F1'} ${line.size || fontSize} Tf`);
+        commands.push(`1 0 0 1 ${margin} ${y} Tm`);
+        commands.push(`(${this.escapePDFText(line.text)}) Tj`);
+        y -= this.getPDFLineHeight(line);
+      }
+
+      commands.push(`/F1 ${fontSize} Tf`);
+      commands.push(`1 0 0 1 ${margin} ${margin / 2} Tm`);
+      commands.push(`(Page ${i + 1} of ${pageCount}) Tj`);
+      commands.push('ET');
+
+      const stream = commands.join('\n');
+      const pageId = pageObjectIds[i];
+
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    }
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(output, 'latin1');
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+
+  /**
+   * Normalize widget data (chart, table or key/value) into columns and rows
+   */
+  toTable(data) {
+    if (Array.isArray(data)) {
+      const columns = [...new Set(data.flatMap(row => Object.keys(row)))];
+      return {
+        columns,
+        rows: data.map(row => columns.map(column => this.formatValue(row[column])))
+      };
+    }
+
+    if (data && Array.isArray(data.labels) && Array.isArray(data.datasets)) {
+      return {
+        columns: ['label', ...data.datasets.map(dataset => dataset.label)],
+        rows: data.labels.map((label, index) => [
+          this.formatValue(label),
+          ...data.datasets.map(dataset => this.formatValue(dataset.data[index]))
+        ])
+      };
+    }
+
+    if (data && typeof data === 'object') {
+      return {
+        columns: ['metric', 'value'],
+        rows: Object.entries(data).map(([key, value]) => [key, this.formatValue(value)])
+      };
+    }
+
+    return { columns: ['value'], rows: [] };
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    }
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  toCSVRow(values) {
+    return values.map((value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+  }
+
+  getPDFLineHeight(line) {
+    return line.size ? line.size + 6 : this.config.pdf.lineHeight;
+  }
+
+  escapePDFText(text) {
+    return String(text)
+      .replace(/[^\x20-\x7E]/g, '?') // Standard fonts only cover printable ASCII here
+      .replace(/\\/g, '\\\\')
+      .replace(/\(/g, '\\(')
+      .replace(/\)/g, '\\)');
+  }
+
+  /**
+   * Expand requested widget names ('all' selects every widget)
+   */
+  resolveWidgets(widgets) {
+    if (!widgets || widgets.length === 0 || widgets.includes('all')) {
+      return Object.keys(this.widgets);
+    }
+
+    const unknown = widgets.filter(name => !this.widgets[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown export widgets: ${unknown.join(', ')}`);
+    }
+
+    return [...new Set(widgets)];
+  }
+
+  getAvailableWidgets() {
+    return Object.keys(this.widgets);
+  }
+
+  /**
+   * Create a signed, expiring download URL for a completed job
+   */
+  createDownloadUrl(job, ttl = this.config.downloadUrlTTL) {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const signature = this.signDownload(job.id, expires);
+
+    return {
+      url: `/api/dashboard/export/${job.id}/download?expires=${expires}&signature=${signature}`,
+      expiresAt: new Date(expires * 1000)
+    };
+  }
+
+  signDownload(jobId, expires) {
+    return crypto
+      .createHmac('sha256', this.config.signingSecret)
+      .update(`${jobId}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Verify a download signature; returns 'valid', 'expired' or 'invalid'
+   */
+  verifyDownload(jobId, expires, signature) {
+    const expected = this.signDownload(jobId, expires);
+    const provided = String(signature || '');
+
+    if (provided.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))) {
+      return 'invalid';
+    }
+
+    if (parseInt(expires) < Math.floor(Date.now() / 1000)) {
+      return 'expired';
+    }
+
+    return 'valid';
+  }
+
+  /**
+   * Get file details for a completed export
+   */
+  async getExportFile(jobId) {
+    const job = await this.getExportJob(jobId);
+    if (!job || job.status !== 'completed') {
+      return null;
+    }
+
+    const filePath = path.join(this.config.exportPath, job.fileName);
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      return null;
+    }
+
+    return {
+      path: path.resolve(filePath),
+      fileName: job.fileName,
+      contentType: this.config.formats[job.format].contentType,
+      checksum: job.checksum
+    };
+  }
+
+  /**
+   * Get export job from memory, falling back to Redis
+   */
+  async getExportJob(jobId) {
+    if (this.exportJobs.has(jobId)) {
+      return this.exportJobs.get(jobId);
+    }
+
+    if (!this.redis) {
+      return null;
+    }
+
+    try {
+      const stored = await this.redis.get(`export:${jobId}`);
+      if (!stored) {
+        return null;
+      }
+
+      const job = JSON.parse(stored);
+      this.exportJobs.set(jobId, job);
+      return job;
+    } catch (error) {
+      this.logger.error('Error loading export job:', error);
+      return null;
+    }
+  }
+
+  async saveJob(job) {
+    this.exportJobs.set(job.id, job);
+
+    if (this.redis) {
+      try {
+        await this.redis.setEx(`export:${job.id}`, this.config.retentionPeriod, JSON.stringify(job));
+      } catch (error) {
+        this.logger.error('Error saving export job:', error);
+      }
+    }
+  }
+
+  /**
+   * Remove export files past their retention period
+   */
+  async cleanupExpiredExports() {
+    const now = Date.now();
+
+    for (const [jobId, job] of this.exportJobs) {
+      const createdAt = new Date(job.createdAt).getTime();
+      if (now - createdAt < this.config.retentionPeriod * 1000) {
+        continue;
+      }
+
+      if (job.fileName) {
+        try {
+          await fs.unlink(path.join(this.config.exportPath, job.fileName));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            this.logger.error(`Error deleting export file for job ${jobId}:`, error);
+          }
+        }
+      }
+
+      this.exportJobs.delete(jobId);
+    }
+  }
+
+  startCleanupProcessor() {
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupExpiredExports();
+    }, this.config.cleanupInterval);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Public representation of a job
+   */
+  serializeJob(job) {
+    const serialized = {
+      exportId: job.id,
+      status: job.status,
+      progress: job.progress,
+      format: job.format,
+      timeRange: job.timeRange,
+      widgets: job.widgets,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      error: job.error
+    };
+
+    if (job.status === 'completed') {
+      const download = this.createDownloadUrl(job);
+      serialized.fileSize = job.fileSize;
+      serialized.checksum = job.checksum;
+      serialized.downloadUrl = download.url;
+      serialized.downloadExpiresAt = download.expiresAt;
+    }
+
+    return serialized;
+  }
+}
+
+module.exports = AnalyticsExporter;
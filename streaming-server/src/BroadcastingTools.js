@@ -25,6 +25,9 @@ class BroadcastingTools {
     
     // Guest management
     this.guestSessions = new Map();
+
+    // Persistent scheduling, wired up by the server
+    this.scheduler = null;
     
     // Broadcasting configuration
     this.config = {
@@ -565,33 +568,29 @@ class BroadcastingTools {
         return;
       }
 
-      const { scheduledTime, title, description, autoStart } = data;
+      if (!this.scheduler) {
+        socket.emit('broadcast:error', { message: 'Scheduling is not available' });
+        return;
+      }
 
-      const schedule = {
-        id: uuidv4(),
+      const { scheduledTime, title, description, autoStart, reminderOffsets, recurrence } = data;
+
+      const schedule = await this.scheduler.createSchedule(session.userId, {
         streamId: session.streamId,
-        userId: session.userId,
-        scheduledTime: new Date(scheduledTime),
+        scheduledTime,
         title,
         description,
-        autoStart: autoStart || false,
-        status: 'scheduled',
-        createdAt: new Date()
-      };
-
-      // Store schedule in Redis
-      await this.redis.setEx(
-        `schedule:${schedule.id}`,
-        86400 * 7, // 7 days
-        JSON.stringify(schedule)
-      );
+        autoStart,
+        reminderOffsets,
+        recurrence
+      });
 
       socket.emit('broadcast:stream-scheduled', { schedule });
 
       this.logger.info(`Stream scheduled: ${schedule.id} for ${scheduledTime}`);
     } catch (error) {
       this.logger.error('Error scheduling stream:', error);
-      socket.emit('broadcast:error', { message: 'Failed to schedule stream' });
+      socket.emit('broadcast:error', { message: 'Failed to schedule stream', details: error.message });
     }
   }
 
@@ -616,6 +615,18 @@ class BroadcastingTools {
     return this.broadcastingSessions.get(socketId);
   }
 
+  /**
+   * Get the host's broadcasting session for a stream
+   */
+  getBroadcastingSessionByStream(streamId) {
+    for (const session of this.broadcastingSessions.values()) {
+      if (session.streamId === streamId) {
+        return session;
+      }
+    }
+    return null;
+  }
+
   /**
    * Get guest session
    */
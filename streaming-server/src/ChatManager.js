@@ -10,19 +10,48 @@
  * - Spam detection and rate limiting
  */
 
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const ChatCommandRegistry = require('./chat/ChatCommandRegistry');
+const registerBuiltinCommands = require('./chat/builtinCommands');
+const ContentFilter = require('./chat/ContentFilter');
+const { MemoryPubSubAdapter } = require('./cluster');
+const { createHttpError } = require('./utils/errors');
+
+const MODERATION_ACTIONS = ['timeout', 'untimeout', 'ban', 'unban', 'delete', 'slow', 'followers_only', 'clear'];
+
+// Platform roles that moderate every chat
+const CHAT_STAFF_ROLES = ['moderator', 'admin'];
+
+// Room state changes from other replicas
+const ROOM_CHANNEL = 'chat:rooms';
+
+// ProfanityFilterPanel requests, answered with the same event names it uses
+const FILTER_EVENTS = [
+  'profanity_filter_get',
+  'profanity_filter_update',
+  'profanity_filter_config',
+  'profanity_filter_test',
+  'profanity_filter_import',
+  'profanity_filter_cleanup'
+];
 
 class ChatManager {
   constructor(io, redisClient, logger) {
     this.io = io;
     this.redis = redisClient;
     this.logger = logger;
+
+    // Database pool, wired up by the server for follower checks and the audit log
+    this.db = null;
     
-    // Active chat rooms (streamId -> room data)
+    // Active chat rooms (streamId -> room data). Each replica keeps its own
+    // sockets here; settings, mutes, bans, presence, polls and rate limits
+    // live in the cluster adapter.
     this.chatRooms = new Map();
-    
-    // User rate limiting (userId -> last message times)
-    this.rateLimits = new Map();
+
+    // Shared with other replicas, replaced by the server's adapter
+    this.cluster = new MemoryPubSubAdapter({}, logger);
     
     // Moderation settings
     this.moderationConfig = {
@@ -30,7 +59,19 @@ class ChatManager {
       messagesPerMinute: 30,
       enableProfanityFilter: true,
       enableSpamDetection: true,
-      autoModeration: true
+      autoModeration: true,
+      defaultTimeoutSeconds: 600,
+      maxTimeoutSeconds: 14 * 24 * 60 * 60,
+      defaultSlowModeDelay: 30,
+      maxSlowModeDelay: 300,
+      maxFollowMinutes: 90 * 24 * 60,
+      followerCacheTtl: 60000,
+      maxStoredMessages: 1000,
+      historyPageSize: 50,
+      maxHistoryPageSize: 100,
+      moderationLogPageSize: 50,
+      typingThrottle: 2000, // ms between broadcasts per user
+      typingTimeout: 5000 // clients drop the indicator after this
     };
 
     // Emoji and reaction system
@@ -39,14 +80,16 @@ class ChatManager {
       '😎', '😢', '😮', '😡', '🙄', '👏', '🤝', '💪', '🎯', '⭐'
     ];
 
-    // Chat commands - will be initialized after methods are defined
-    this.chatCommands = {};
+    // Chat commands - built-ins are registered by initializeCommands
+    this.commands = new ChatCommandRegistry();
 
-    // Profanity filter (basic implementation)
-    this.profanityWords = [
-      // Add profanity words here - keeping it clean for demo
-      'spam', 'scam', 'fake'
-    ];
+    this.commandConfig = {
+      maxCustomCommands: 100,
+      maxCustomResponseLength: 400,
+      maxBotsPerStream: 5,
+      pollDuration: 120, // seconds
+      maxPollOptions: 10
+    };
   }
 
   /**
@@ -87,31 +130,192 @@ class ChatManager {
     socket.on('chat:typing', (data) => {
       this.handleTypingIndicator(socket, data);
     });
+
+    // Moderation audit log
+    socket.on('chat:moderation-log', (data) => {
+      this.handleModerationLog(socket, data);
+    });
+
+    // Command list for autocomplete
+    socket.on('chat:commands', (data) => {
+      this.handleCommandList(socket, data);
+    });
+
+    // Messages the chat filter held for review
+    socket.on('chat:held-messages', (data) => {
+      this.handleHeldMessages(socket, data);
+    });
+
+    socket.on('chat:review-held', (data) => {
+      this.handleReviewHeld(socket, data);
+    });
+
+    // Chat filter settings from the ProfanityFilterPanel
+    for (const type of FILTER_EVENTS) {
+      socket.on(type, (data) => {
+        this.handleFilterRequest(socket, type, data);
+      });
+    }
+
+    socket.on('disconnect', () => {
+      this.handleDisconnect(socket);
+    });
   }
 
   /**
-   * Initialize chat commands after constructor
+   * Apply room state changes published by other replicas
    */
-  initializeCommands() {
-    // For now, keep commands simple to avoid binding issues
-    this.chatCommands = {
-      '/help': (socket, user, streamId, args) => {
-        socket.emit('chat:message', {
-          id: uuidv4(),
-          type: 'system',
-          message: 'Available commands: /help, /clear (mods only)',
-          timestamp: Date.now()
+  async startClusterSync() {
+    await this.cluster.subscribe(ROOM_CHANNEL, (message) => this.handleClusterMessage(message));
+  }
+
+  async stopClusterSync() {
+    await this.cluster.unsubscribe(ROOM_CHANNEL);
+  }
+
+  handleClusterMessage(message) {
+    if (message.nodeId === this.cluster.nodeId) {
+      return;
+    }
+
+    // Rooms that aren't open here load the stored state when they are
+    const room = this.chatRooms.get(message.streamId);
+    if (room) {
+      this.applyRoomChange(room, message);
+    }
+  }
+
+  /**
+   * Change room state on every replica: apply it here, store it for rooms
+   * opened later, and publish it to the others
+   */
+  async updateRoomState(streamId, change) {
+    const room = this.chatRooms.get(streamId);
+    if (room) {
+      this.applyRoomChange(room, change);
+    }
+
+    const keys = this.getRoomStateKeys(streamId);
+    switch (change.type) {
+      case 'settings':
+        await this.cluster.hashSet(keys.stateKey, 'settings', JSON.stringify(change.settings));
+        break;
+      case 'filter':
+        await this.cluster.hashSet(keys.stateKey, 'filter', JSON.stringify(change.settings));
+        break;
+      case 'muted':
+        if (change.until) {
+          await this.cluster.hashSet(keys.mutedKey, change.userId, String(change.until));
+        } else {
+          await this.cluster.hashDelete(keys.mutedKey, change.userId);
+        }
+        break;
+    }
+
+    await this.cluster.publish(ROOM_CHANNEL, { ...change, streamId, nodeId: this.cluster.nodeId });
+  }
+
+  /**
+   * Apply a room state change to this replica's copy of the room and its
+   * local sockets
+   */
+  applyRoomChange(room, change) {
+    switch (change.type) {
+      case 'settings':
+        Object.assign(room.settings, change.settings);
+        break;
+
+      case 'muted':
+        if (change.until) {
+          room.mutedUsers.set(change.userId, change.until);
+          this.emitToRoomUser(room, change.userId, 'chat:timed-out', {
+            streamId: room.streamId,
+            until: new Date(change.until).toISOString(),
+            reason: change.reason
+          });
+        } else {
+          room.mutedUsers.delete(change.userId);
+        }
+        break;
+
+      case 'banned':
+        if (change.banned) {
+          room.bannedUsers.add(change.userId);
+          room.mutedUsers.delete(change.userId);
+          this.removeUserFromRoom(room, change.userId, change.reason);
+        } else {
+          room.bannedUsers.delete(change.userId);
+        }
+        break;
+
+      case 'custom-command':
+        if (change.command) {
+          room.customCommands.set(change.name, change.command);
+        } else {
+          room.customCommands.delete(change.name);
+        }
+        break;
+
+      case 'bot-removed':
+        for (const [socketId, user] of room.users) {
+          if (user.botId === change.botId) {
+            this.removeRoomSocket(room, socketId);
+          }
+        }
+        break;
+
+      case 'filter':
+        room.filter = new ContentFilter(change.settings);
+        break;
+
+      case 'held':
+        this.emitToModerators(room, 'chat:message-held', change.message);
+        break;
+
+      case 'held-resolved':
+        this.emitToModerators(room, 'chat:held-resolved', {
+          streamId: room.streamId,
+          messageId: change.messageId,
+          approved: change.approved,
+          moderator: change.moderator
         });
-      }
+        break;
+    }
+  }
+
+  getRoomStateKeys(streamId) {
+    return {
+      stateKey: `chat:${streamId}:state`,
+      mutedKey: `chat:${streamId}:muted`,
+      presenceKey: `chat:${streamId}:presence`,
+      lastMessageKey: `chat:${streamId}:last-message`,
+      pollKey: `chat:${streamId}:poll`,
+      heldKey: `chat:${streamId}:held`,
+      filterStatsKey: `chat:${streamId}:filter-stats`
     };
   }
 
+  /**
+   * Register the built-in chat commands
+   */
+  initializeCommands() {
+    registerBuiltinCommands(this.commands, this);
+  }
+
   /**
    * Handle user joining chat
+   *
+   * Users are who their socket signed in as (AuthMiddleware.authenticateSocket);
+   * only staff keep their platform role, and the broadcaster is recognised by
+   * owning the stream. Anonymous sockets join as guests who can only read.
+   * The userId, username and role fields of the join payload are ignored.
    */
   async handleJoinChat(socket, data) {
     try {
-      const { streamId, userId, username, role } = data;
+      const { streamId, botToken } = data;
+      let userId = null;
+      let username = 'Guest';
+      let role = 'viewer';
 
       if (!streamId) {
         socket.emit('chat:error', { message: 'Stream ID is required' });
@@ -119,41 +323,48 @@ class ChatManager {
       }
 
       // Initialize chat room if it doesn't exist
-      if (!this.chatRooms.has(streamId)) {
-        this.chatRooms.set(streamId, {
-          streamId,
-          users: new Map(),
-          messageCount: 0,
-          settings: {
-            slowMode: false,
-            slowModeDelay: 0,
-            followersOnly: false,
-            subscribersOnly: false,
-            chatEnabled: true
-          },
-          moderators: new Set(),
-          bannedUsers: new Set(),
-          mutedUsers: new Map() // userId -> unmute timestamp
-        });
+      const room = await this.getOrCreateChatRoom(streamId);
+
+      // Bots join with their token instead of a user identity
+      let botUser = null;
+      if (botToken) {
+        const bot = await this.authenticateBot(botToken);
+        if (!bot || bot.streamId !== streamId) {
+          socket.emit('chat:error', { message: 'Invalid bot token' });
+          return;
+        }
+        botUser = this.createBotUser(bot);
+        ({ userId, username, role } = botUser);
+      } else if (socket.user) {
+        userId = socket.user.id;
+        username = socket.user.username || `user${userId}`;
+        role = CHAT_STAFF_ROLES.includes(socket.user.role) ? socket.user.role : 'viewer';
       }
 
-      const room = this.chatRooms.get(streamId);
-
       // Check if user is banned
-      if (room.bannedUsers.has(userId)) {
+      if (userId !== null && room.bannedUsers.has(String(userId))) {
         socket.emit('chat:error', { message: 'You are banned from this chat' });
         return;
       }
 
       // Add user to room
-      room.users.set(socket.id, {
+      const user = {
+        ...botUser,
         socketId: socket.id,
         userId,
         username,
         role: role || 'viewer',
         joinedAt: new Date(),
         messageCount: 0
-      });
+      };
+      room.users.set(socket.id, user);
+      await this.cluster.hashSet(this.getRoomStateKeys(streamId).presenceKey, socket.id, JSON.stringify({
+        userId,
+        username,
+        role: user.role,
+        nodeId: this.cluster.nodeId,
+        joinedAt: user.joinedAt.toISOString()
+      }));
 
       // Join socket room
       socket.join(`chat:${streamId}`);
@@ -161,9 +372,11 @@ class ChatManager {
       // Send join confirmation
       socket.emit('chat:joined', {
         streamId,
-        userCount: room.users.size,
+        userCount: (await this.getChatUsers(streamId)).length,
         settings: room.settings,
-        emojiList: this.emojiList
+        emojiList: this.emojiList,
+        commands: await this.getAvailableCommands(streamId, this.getCommandLevel(user, room)),
+        poll: await this.getPollResults(streamId)
       });
 
       // Notify others about new user
@@ -174,7 +387,7 @@ class ChatManager {
       });
 
       // Send recent chat history
-      await this.sendChatHistory(socket, streamId, 50);
+      await this.sendChatHistory(socket, streamId, this.moderationConfig.historyPageSize);
 
       this.logger.debug(`User ${username} joined chat for stream ${streamId}`);
     } catch (error) {
@@ -192,8 +405,7 @@ class ChatManager {
       const room = this.chatRooms.get(streamId);
 
       if (room && room.users.has(socket.id)) {
-        const user = room.users.get(socket.id);
-        room.users.delete(socket.id);
+        const user = this.removeRoomSocket(room, socket.id);
 
         // Leave socket room
         socket.leave(`chat:${streamId}`);
@@ -211,6 +423,55 @@ class ChatManager {
     }
   }
 
+  /**
+   * Leave every room the socket was in
+   */
+  handleDisconnect(socket) {
+    for (const room of this.chatRooms.values()) {
+      if (room.users.has(socket.id)) {
+        this.handleLeaveChat(socket, { streamId: room.streamId });
+      }
+    }
+  }
+
+  /**
+   * Drop a socket from this replica's copy of the room and the shared
+   * presence list
+   */
+  removeRoomSocket(room, socketId) {
+    const user = room.users.get(socketId);
+    if (!user) {
+      return null;
+    }
+
+    room.users.delete(socketId);
+    room.typingUsers.delete(String(user.userId));
+    this.cluster.hashDelete(this.getRoomStateKeys(room.streamId).presenceKey, socketId)
+      .catch(error => this.logger.error('Error removing chat presence:', error));
+
+    const socket = this.io.sockets.sockets.get(socketId);
+    if (socket) {
+      socket.leave(`chat:${room.streamId}`);
+    }
+
+    return user;
+  }
+
+  /**
+   * Everyone in a stream's chat, on every replica
+   */
+  async getChatUsers(streamId) {
+    const [entries, liveNodes] = await Promise.all([
+      this.cluster.hashGetAll(this.getRoomStateKeys(streamId).presenceKey),
+      this.cluster.getLiveNodes()
+    ]);
+
+    // Skip sockets held by replicas that stopped heartbeating
+    return Object.entries(entries)
+      .map(([socketId, value]) => ({ socketId, ...JSON.parse(value) }))
+      .filter(presence => liveNodes.has(presence.nodeId));
+  }
+
   /**
    * Handle chat message
    */
@@ -225,75 +486,129 @@ class ChatManager {
       }
 
       const user = room.users.get(socket.id);
-
-      // Check if chat is enabled
-      if (!room.settings.chatEnabled) {
-        socket.emit('chat:error', { message: 'Chat is disabled' });
+      if (user.userId === null) {
+        socket.emit('chat:error', { message: 'Sign in to chat' });
         return;
       }
 
-      // Check if user is muted
-      const muteExpiry = room.mutedUsers.get(user.userId);
-      if (muteExpiry && Date.now() < muteExpiry) {
-        socket.emit('chat:error', { message: 'You are temporarily muted' });
-        return;
+      await this.processChatInput(room, user, message, {
+        messageType,
+        reply: (systemMessage) => socket.emit('chat:message', systemMessage)
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        this.logger.error('Error handling chat message:', error);
       }
+      socket.emit('chat:error', {
+        message: error.statusCode ? error.message : 'Failed to send message',
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+      });
+    }
+  }
 
-      // Rate limiting
-      if (!this.checkRateLimit(user.userId)) {
-        socket.emit('chat:error', { message: 'You are sending messages too quickly' });
-        return;
-      }
+  /**
+   * Check, then send or run, a line of chat input. Sockets and bots both go
+   * through here. Rejections throw errors with a statusCode; command replies
+   * go to `options.reply`.
+   */
+  async processChatInput(room, user, message, options = {}) {
+    const { messageType = 'text', reply = () => {} } = options;
+    const streamId = room.streamId;
 
-      // Validate message
-      const validationResult = this.validateMessage(message);
-      if (!validationResult.valid) {
-        socket.emit('chat:error', { message: validationResult.reason });
-        return;
-      }
+    // Check if chat is enabled
+    if (!room.settings.chatEnabled) {
+      throw createHttpError('Chat is disabled', 403);
+    }
 
-      // Check for chat commands
-      if (message.startsWith('/')) {
-        await this.handleChatCommand(socket, user, streamId, message);
-        return;
-      }
+    // Check if user is muted
+    const muteExpiry = room.mutedUsers.get(String(user.userId));
+    if (muteExpiry && Date.now() < muteExpiry) {
+      throw createHttpError('You are temporarily muted', 403);
+    }
 
-      // Process message (profanity filter, spam detection)
-      const processedMessage = await this.processMessage(message, user);
+    // Rate limiting
+    if (!await this.checkRateLimit(user.userId)) {
+      throw createHttpError('You are sending messages too quickly', 429);
+    }
 
-      // Create message object
-      const chatMessage = {
-        id: uuidv4(),
-        streamId,
-        userId: user.userId,
-        username: user.username,
-        role: user.role,
-        message: processedMessage.text,
-        messageType,
-        timestamp: new Date().toISOString(),
-        edited: false,
-        deleted: false,
-        flagged: processedMessage.flagged
-      };
+    // Validate message
+    const validationResult = this.validateMessage(message);
+    if (!validationResult.valid) {
+      throw createHttpError(validationResult.reason);
+    }
 
-      // Save message to database
-      await this.saveChatMessage(chatMessage);
+    // Check for chat commands
+    if (message.startsWith('/')) {
+      await this.handleChatCommand(room, user, message, reply);
+      return { type: 'command' };
+    }
 
-      // Broadcast message to chat room
-      this.io.to(`chat:${streamId}`).emit('chat:message', chatMessage);
+    // Bots post on behalf of the broadcaster and skip chat modes
+    const isModerator = user.isBot || this.isUserModerator(user, room);
 
-      // Update user message count
-      user.messageCount++;
-      room.messageCount++;
+    // Slow mode
+    const { lastMessageKey } = this.getRoomStateKeys(streamId);
+    if (room.settings.slowMode && !isModerator) {
+      const lastMessageAt = parseInt(await this.cluster.hashGet(lastMessageKey, String(user.userId))) || 0;
+      const retryAfter = Math.ceil((lastMessageAt + room.settings.slowModeDelay * 1000 - Date.now()) / 1000);
+      if (retryAfter > 0) {
+        throw createHttpError(`Slow mode is on, wait ${retryAfter} seconds`, 429, { retryAfter });
+      }
+    }
 
-      // Update analytics
-      await this.updateChatAnalytics(streamId, user.userId);
+    // Followers-only mode
+    if (room.settings.followersOnly && !isModerator && !await this.isFollower(user.userId, room)) {
+      throw createHttpError('Chat is in followers-only mode', 403);
+    }
 
-      this.logger.debug(`Chat message sent in stream ${streamId} by ${user.username}`);
-    } catch (error) {
-      this.logger.error('Error handling chat message:', error);
-      socket.emit('chat:error', { message: 'Failed to send message' });
+    // Process message (profanity filter, spam detection)
+    const processedMessage = await this.processMessage(message, user, room);
+
+    if (processedMessage.action === 'reject') {
+      const duplicate = processedMessage.violations.some(violation => violation.method === 'duplicate');
+      throw createHttpError(duplicate ? 'You already sent that message' : 'Your message was blocked by the chat filter', duplicate ? 429 : 400);
+    }
+    if (processedMessage.action === 'timeout') {
+      await this.applyFilterTimeout(room, user, processedMessage);
+      throw createHttpError('Your message was removed by the chat filter', 403);
+    }
+
+    // Create message object
+    const chatMessage = {
+      id: uuidv4(),
+      streamId,
+      userId: user.userId,
+      username: user.username,
+      role: user.role,
+      message: processedMessage.text,
+      messageType,
+      timestamp: new Date().toISOString(),
+      edited: false,
+      deleted: false,
+      flagged: processedMessage.flagged
+    };
+
+    // Moderators see the original text and decide whether it goes out
+    if (processedMessage.action === 'hold') {
+      await this.holdMessage(room, { ...chatMessage, message }, processedMessage);
+      reply(this.createSystemMessage(streamId, 'Your message is being reviewed by the moderators'));
+      return { type: 'held', message: chatMessage };
     }
+
+    await this.deliverChatMessage(chatMessage);
+
+    // Update user message count
+    user.messageCount = (user.messageCount || 0) + 1;
+    room.messageCount++;
+    await this.cluster.hashSet(lastMessageKey, String(user.userId), String(Date.now()));
+    room.typingUsers.delete(String(user.userId));
+
+    // Update analytics
+    await this.updateChatAnalytics(streamId, user.userId);
+
+    this.logger.debug(`Chat message sent in stream ${streamId} by ${user.username}`);
+
+    return { type: 'message', message: chatMessage };
   }
 
   /**
@@ -358,199 +673,1653 @@ class ChatManager {
   }
 
   /**
-   * Check rate limiting for user
+   * Check rate limiting for user, counted across replicas
    */
-  checkRateLimit(userId) {
-    const now = Date.now();
-    const userLimits = this.rateLimits.get(userId) || [];
-
-    // Remove old timestamps (older than 1 minute)
-    const recentMessages = userLimits.filter(timestamp => now - timestamp < 60000);
+  async checkRateLimit(userId) {
+    const count = await this.cluster.incrementWindow(`chat:rate-limit:${userId}`, 60000);
+    return count <= this.moderationConfig.messagesPerMinute;
+  }
 
-    // Check if user exceeded rate limit
-    if (recentMessages.length >= this.moderationConfig.messagesPerMinute) {
-      return false;
+  /**
+   * Run a message through the stream's chat filter. Moderators and bots
+   * skip the spam checks, and their messages are only ever masked.
+   */
+  async processMessage(message, user, room) {
+    const exempt = user.isBot || this.isUserModerator(user, room);
+    const extraViolations = this.moderationConfig.enableSpamDetection && !exempt
+      ? await this.checkSpam(room, user, message)
+      : [];
+
+    const result = room.filter.analyze(message, {
+      extraViolations,
+      checkContent: this.moderationConfig.enableProfanityFilter
+    });
+    if (exempt && result.action !== 'allow') {
+      result.action = 'mask';
     }
 
-    // Add current timestamp
-    recentMessages.push(now);
-    this.rateLimits.set(userId, recentMessages);
+    if (result.violations.length > 0) {
+      await this.recordFilterStats(room.streamId, result);
+    }
 
-    return true;
+    return result;
   }
 
   /**
-   * Process message for moderation
+   * Repeated messages and floods, counted across replicas
    */
-  async processMessage(message, user) {
-    let processedText = message;
-    let flagged = false;
-
-    // Profanity filter
-    if (this.moderationConfig.enableProfanityFilter) {
-      for (const word of this.profanityWords) {
-        const regex = new RegExp(word, 'gi');
-        if (regex.test(processedText)) {
-          processedText = processedText.replace(regex, '*'.repeat(word.length));
-          flagged = true;
-        }
+  async checkSpam(room, user, message) {
+    const { spam } = room.filter.config;
+    const userKey = String(user.userId);
+    const violations = [];
+
+    if (spam.duplicates) {
+      const digest = crypto.createHash('sha256')
+        .update(ContentFilter.normalizeText(message).replace(/\s+/g, ' ').trim())
+        .digest('hex')
+        .slice(0, 16);
+      const count = await this.cluster.incrementWindow(`chat:${room.streamId}:duplicate:${userKey}:${digest}`, spam.duplicateWindow * 1000);
+      if (count > 1) {
+        violations.push({ word: null, severity: 'moderate', method: 'duplicate', confidence: 1, action: 'reject' });
       }
     }
 
-    // Spam detection (basic implementation)
-    if (this.moderationConfig.enableSpamDetection) {
-      // Check for repeated characters
-      if (/(.)\1{4,}/.test(processedText)) {
-        flagged = true;
+    if (spam.flood) {
+      const count = await this.cluster.incrementWindow(`chat:${room.streamId}:flood:${userKey}`, spam.floodWindow * 1000);
+      if (count > spam.floodMessages) {
+        violations.push({ word: null, severity: 'severe', method: 'flood', confidence: 1, action: 'timeout' });
       }
+    }
+
+    return violations;
+  }
 
-      // Check for excessive caps
-      const capsRatio = (processedText.match(/[A-Z]/g) || []).length / processedText.length;
-      if (capsRatio > 0.7 && processedText.length > 10) {
-        flagged = true;
+  async recordFilterStats(streamId, result) {
+    const { filterStatsKey } = this.getRoomStateKeys(streamId);
+    const outcome = result.action === 'mask' ? 'total_replaced' : 'total_blocked';
+
+    await Promise.all([
+      this.redis.hIncrBy(filterStatsKey, 'total_filtered', 1),
+      this.redis.hIncrBy(filterStatsKey, outcome, 1),
+      ...result.methodsUsed.map(method => this.redis.hIncrBy(filterStatsKey, `method:${method}`, 1))
+    ]);
+  }
+
+  /**
+   * Filter statistics in the ProfanityFilterPanel's format
+   */
+  async getFilterStats(streamId) {
+    const stats = await this.redis.hGetAll(this.getRoomStateKeys(streamId).filterStatsKey);
+    const methodBreakdown = {};
+
+    for (const [field, value] of Object.entries(stats || {})) {
+      if (field.startsWith('method:')) {
+        methodBreakdown[field.slice(7)] = parseInt(value);
       }
     }
 
     return {
-      text: processedText,
-      flagged
+      total_filtered: parseInt(stats?.total_filtered) || 0,
+      total_blocked: parseInt(stats?.total_blocked) || 0,
+      total_replaced: parseInt(stats?.total_replaced) || 0,
+      method_breakdown: methodBreakdown
     };
   }
 
   /**
-   * Handle chat commands
+   * Time out the sender of a message the filter dropped, on behalf of the
+   * broadcaster
    */
-  async handleChatCommand(socket, user, streamId, message) {
-    const [command, ...args] = message.split(' ');
-    const commandHandler = this.chatCommands[command.toLowerCase()];
+  async applyFilterTimeout(room, user, result) {
+    const automod = {
+      userId: 'automod',
+      username: 'AutoMod',
+      role: 'moderator',
+      isBot: true,
+      botPermission: 'moderator',
+      botOwnerId: room.ownerId
+    };
+    const reasons = result.violations.map(violation => violation.method === 'flood' ? 'flooding' : `${violation.severity} language`);
+
+    await this.applyModerationAction(room, automod, {
+      action: 'timeout',
+      targetUserId: user.userId,
+      targetUsername: user.username,
+      duration: room.filter.config.timeoutSeconds,
+      reason: `AutoMod: ${[...new Set(reasons)].join(', ')}`
+    });
+  }
 
-    if (commandHandler) {
-      await commandHandler(socket, user, streamId, args);
-    } else {
-      socket.emit('chat:error', { message: 'Unknown command' });
-    }
+  /**
+   * Save a message and send it to everyone in the room
+   */
+  async deliverChatMessage(chatMessage) {
+    await this.saveChatMessage(chatMessage);
+    this.io.to(`chat:${chatMessage.streamId}`).emit('chat:message', chatMessage);
   }
 
   /**
-   * Chat command handlers
+   * Keep a message for moderator review on every replica
    */
-  async handleHelpCommand(socket, user, streamId, args) {
-    const helpText = `
-Available commands:
-/help - Show this help message
-/clear - Clear chat (moderators only)
-/timeout <user> <duration> - Timeout user (moderators only)
-/ban <user> - Ban user (moderators only)
-/unban <user> - Unban user (moderators only)
-/slow <seconds> - Enable slow mode (moderators only)
-    `;
+  async holdMessage(room, chatMessage, result) {
+    const held = {
+      ...chatMessage,
+      heldAt: new Date().toISOString(),
+      violations: result.violations.filter(violation => violation.action !== 'reject')
+    };
 
-    socket.emit('chat:system-message', {
-      message: helpText,
-      type: 'help'
-    });
+    await this.cluster.hashSet(this.getRoomStateKeys(room.streamId).heldKey, held.id, JSON.stringify(held));
+    await this.updateRoomState(room.streamId, { type: 'held', message: held });
   }
 
-  async handleClearCommand(socket, user, streamId, args) {
-    const room = this.chatRooms.get(streamId);
-    
-    if (!this.isUserModerator(user, room)) {
-      socket.emit('chat:error', { message: 'Only moderators can clear chat' });
-      return;
+  async getHeldMessages(streamId) {
+    const entries = await this.cluster.hashGetAll(this.getRoomStateKeys(streamId).heldKey);
+    return Object.values(entries)
+      .map(value => JSON.parse(value))
+      .sort((a, b) => a.heldAt.localeCompare(b.heldAt));
+  }
+
+  /**
+   * Approve (send) or deny (drop) a held message. Only the first moderator
+   * to review it wins.
+   */
+  async reviewHeldMessage(room, moderator, messageId, approve) {
+    const { heldKey } = this.getRoomStateKeys(room.streamId);
+    const value = await this.cluster.hashGet(heldKey, messageId);
+    const claimed = value && await this.cluster.incrementWindow(`chat:${room.streamId}:held-claim:${messageId}`, 60000) === 1;
+
+    if (!claimed) {
+      throw createHttpError('Held message not found', 404);
     }
 
-    // Broadcast clear chat event
-    this.io.to(`chat:${streamId}`).emit('chat:clear');
+    await this.cluster.hashDelete(heldKey, messageId);
+    const { heldAt, violations, ...chatMessage } = JSON.parse(value);
 
-    // Log moderation action
-    this.logger.info(`Chat cleared by ${user.username} in stream ${streamId}`);
+    if (approve) {
+      await this.deliverChatMessage(chatMessage);
+    }
+
+    await this.updateRoomState(room.streamId, {
+      type: 'held-resolved',
+      messageId,
+      approved: !!approve,
+      moderator: moderator.username
+    });
+
+    return chatMessage;
   }
 
-  /**
-   * Save chat message to database
-   */
-  async saveChatMessage(message) {
+  emitToModerators(room, event, data) {
+    for (const user of room.users.values()) {
+      if (!user.isBot && this.isUserModerator(user, room)) {
+        this.io.to(user.socketId).emit(event, data);
+      }
+    }
+  }
+
+  async handleHeldMessages(socket, data) {
     try {
-      // Store in Redis for recent history
-      const key = `chat:${message.streamId}:messages`;
-      await this.redis.lpush(key, JSON.stringify(message));
-      await this.redis.ltrim(key, 0, 999); // Keep last 1000 messages
-      await this.redis.expire(key, 86400); // 24 hours TTL
+      const { streamId } = data || {};
+      const room = this.chatRooms.get(streamId);
+      const user = room && room.users.get(socket.id);
 
-      // TODO: Save to MySQL database for permanent storage
-      this.logger.debug(`Chat message saved for stream ${message.streamId}`);
+      if (!user || !this.isUserModerator(user, room)) {
+        socket.emit('chat:error', { message: 'Only moderators can review held messages' });
+        return;
+      }
+
+      socket.emit('chat:held-messages', { streamId, messages: await this.getHeldMessages(streamId) });
     } catch (error) {
-      this.logger.error('Error saving chat message:', error);
+      this.logger.error('Error loading held messages:', error);
+      socket.emit('chat:error', { message: 'Failed to load held messages' });
     }
   }
 
-  /**
-   * Save chat reaction
-   */
-  async saveChatReaction(reaction) {
+  async handleReviewHeld(socket, data) {
     try {
-      const key = `chat:${reaction.streamId}:reactions`;
-      await this.redis.lpush(key, JSON.stringify(reaction));
-      await this.redis.ltrim(key, 0, 499); // Keep last 500 reactions
-      await this.redis.expire(key, 86400); // 24 hours TTL
+      const { streamId, messageId, approve } = data || {};
+      const room = this.chatRooms.get(streamId);
+      const user = room && room.users.get(socket.id);
+
+      if (!user || !this.isUserModerator(user, room)) {
+        socket.emit('chat:error', { message: 'Only moderators can review held messages' });
+        return;
+      }
+
+      await this.reviewHeldMessage(room, user, messageId, approve);
     } catch (error) {
-      this.logger.error('Error saving chat reaction:', error);
+      if (!error.statusCode) {
+        this.logger.error('Error reviewing held message:', error);
+      }
+      socket.emit('chat:error', { message: error.statusCode ? error.message : 'Failed to review message' });
     }
   }
 
   /**
-   * Send chat history to user
+   * Answer a ProfanityFilterPanel request. Only the stream's moderators can
+   * read or change its filter.
    */
-  async sendChatHistory(socket, streamId, limit = 50) {
+  async handleFilterRequest(socket, type, data = {}) {
     try {
-      const key = `chat:${streamId}:messages`;
-      const messages = await this.redis.lrange(key, 0, limit - 1);
-      
-      const parsedMessages = messages.reverse().map(msg => JSON.parse(msg));
-      
-      socket.emit('chat:history', {
+      const { streamId } = data;
+      const room = this.chatRooms.get(streamId);
+      const user = room && room.users.get(socket.id);
+
+      if (!user || user.isBot || !this.isUserModerator(user, room)) {
+        throw createHttpError('Only moderators can manage the chat filter', 403);
+      }
+
+      const current = room.filter.settings;
+
+      switch (type) {
+        case 'profanity_filter_get':
+          break;
+
+        case 'profanity_filter_update':
+          await this.updateFilterSettings(streamId, this.applyWordListChange(current, data.action, data.data || {}), user);
+          socket.emit('profanity_filter_success', { message: 'Word lists updated' });
+          break;
+
+        case 'profanity_filter_config':
+          await this.updateFilterSettings(streamId, ContentFilter.parseFilterConfig(data.config, current), user);
+          socket.emit('profanity_filter_success', { message: 'Filter configuration saved' });
+          break;
+
+        case 'profanity_filter_import': {
+          const imported = data.data || {};
+          const settings = ContentFilter.parseFilterConfig(imported.config, {
+            ...current,
+            blockedWords: imported.profanity_lists || current.blockedWords,
+            allowedWords: imported.whitelist || current.allowedWords
+          });
+          await this.updateFilterSettings(streamId, settings, user);
+          socket.emit('profanity_filter_success', { message: 'Filter configuration imported' });
+          break;
+        }
+
+        case 'profanity_filter_test':
+          if (typeof data.content !== 'string' || !data.content.trim()) {
+            throw createHttpError('Test content is required');
+          }
+          socket.emit('profanity_filter_test_result', { streamId, result: room.filter.test(data.content) });
+          return;
+
+        case 'profanity_filter_cleanup':
+          await this.redis.del(this.getRoomStateKeys(streamId).filterStatsKey);
+          socket.emit('profanity_filter_success', { message: 'Filter statistics cleared' });
+          break;
+      }
+
+      socket.emit('profanity_filter_settings', {
         streamId,
-        messages: parsedMessages
+        ...ContentFilter.formatFilterSettings(room.filter.settings),
+        stats: await this.getFilterStats(streamId)
       });
     } catch (error) {
-      this.logger.error('Error sending chat history:', error);
+      if (!error.statusCode) {
+        this.logger.error(`Error handling ${type}:`, error);
+      }
+      socket.emit('profanity_filter_error', { message: error.statusCode ? error.message : 'Failed to update the chat filter' });
     }
   }
 
   /**
-   * Update chat analytics
+   * Settings with one word added to or removed from a list
    */
-  async updateChatAnalytics(streamId, userId) {
-    try {
-      const analyticsKey = `analytics:chat:${streamId}`;
-      const analytics = await this.redis.get(analyticsKey) || '{}';
-      const data = JSON.parse(analytics);
+  applyWordListChange(settings, action, { word, severity }) {
+    const cleaned = typeof word === 'string' ? word.trim().toLowerCase() : '';
+    if (!cleaned) {
+      throw createHttpError('Word is required');
+    }
 
-      data.totalMessages = (data.totalMessages || 0) + 1;
-      data.uniqueUsers = data.uniqueUsers || new Set();
-      data.uniqueUsers.add(userId);
-      data.lastActivity = Date.now();
+    const blockedWords = { ...settings.blockedWords };
+    let allowedWords = settings.allowedWords;
 
-      await this.redis.setEx(analyticsKey, 86400, JSON.stringify({
-        ...data,
-        uniqueUsers: Array.from(data.uniqueUsers)
-      }));
-    } catch (error) {
-      this.logger.error('Error updating chat analytics:', error);
+    switch (action) {
+      case 'add_profanity':
+      case 'remove_profanity':
+        if (!ContentFilter.SEVERITIES.includes(severity)) {
+          throw createHttpError(`Severity must be one of ${ContentFilter.SEVERITIES.join(', ')}`);
+        }
+        blockedWords[severity] = action === 'add_profanity'
+          ? [...blockedWords[severity], cleaned]
+          : blockedWords[severity].filter(existing => existing !== ContentFilter.cleanWord(cleaned));
+        break;
+
+      case 'add_whitelist':
+        allowedWords = [...allowedWords, cleaned];
+        break;
+
+      case 'remove_whitelist':
+        allowedWords = allowedWords.filter(existing => existing !== ContentFilter.cleanWord(cleaned));
+        break;
+
+      default:
+        throw createHttpError(`Unknown word list action: ${action}`);
     }
+
+    return ContentFilter.createFilterSettings({ ...settings, blockedWords, allowedWords });
   }
 
   /**
-   * Check if user is moderator
+   * Save a stream's filter settings and apply them on every replica
    */
-  isUserModerator(user, room) {
-    return user.role === 'moderator' || user.role === 'broadcaster' || room.moderators.has(user.userId);
+  async updateFilterSettings(streamId, settings, user) {
+    if (this.db) {
+      await this.db.execute(`
+        INSERT INTO chat_filter_settings (stream_id, config, blocked_words, allowed_words, updated_by)
+        VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE config = VALUES(config), blocked_words = VALUES(blocked_words),
+          allowed_words = VALUES(allowed_words), updated_by = VALUES(updated_by)
+      `, [
+        streamId,
+        JSON.stringify(settings.config),
+        JSON.stringify(settings.blockedWords),
+        JSON.stringify(settings.allowedWords),
+        user.userId
+      ]);
+    }
+
+    await this.updateRoomState(streamId, { type: 'filter', settings });
+    this.logger.info(`Chat filter for stream ${streamId} updated by ${user.username}`);
+  }
+
+  async loadFilterSettings(streamId) {
+    if (!this.db) {
+      return null;
+    }
+
+    const [rows] = await this.db.execute(
+      'SELECT config, blocked_words, allowed_words FROM chat_filter_settings WHERE stream_id = ?',
+      [streamId]
+    );
+    if (!rows[0]) {
+      return null;
+    }
+
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+    return {
+      config: parse(rows[0].config),
+      blockedWords: parse(rows[0].blocked_words),
+      allowedWords: parse(rows[0].allowed_words)
+    };
+  }
+
+  /**
+   * Run a chat command: built-ins from the registry first, then the
+   * stream's custom commands
+   */
+  async handleChatCommand(room, user, message, reply) {
+    const [word, ...words] = message.slice(1).trim().split(/\s+/);
+    const streamId = room.streamId;
+    const level = this.getCommandLevel(user, room);
+    const command = word ? this.commands.get(word) || this.getCustomCommand(room, word) : null;
+
+    if (!command) {
+      throw createHttpError(`Unknown command: /${word || ''}`, 404);
+    }
+    if (!ChatCommandRegistry.hasPermission(level, command.permission)) {
+      throw createHttpError(`You don't have permission to use /${command.name}`, 403);
+    }
+
+    // Moderators skip cooldowns
+    if (level === 'everyone') {
+      const retryAfter = this.commands.getCooldownRemaining(command, streamId, user.userId);
+      if (retryAfter > 0) {
+        throw createHttpError(`/${command.name} is on cooldown, wait ${retryAfter} seconds`, 429, { retryAfter });
+      }
+    }
+
+    const context = {
+      chatManager: this,
+      room,
+      user,
+      streamId,
+      level,
+      reply: (text) => reply(this.createSystemMessage(streamId, text)),
+      announce: (text) => this.io.to(`chat:${streamId}`).emit('chat:message', this.createSystemMessage(streamId, text))
+    };
+
+    if (command.custom) {
+      await this.runCustomCommand(context, command, words);
+    } else {
+      await command.handler(context, this.commands.parseArguments(command, words));
+    }
+
+    this.commands.startCooldown(command, streamId, user.userId);
+    this.logger.debug(`Command /${command.name} run by ${user.username} in stream ${streamId}`);
+  }
+
+  createSystemMessage(streamId, message) {
+    return {
+      id: uuidv4(),
+      type: 'system',
+      streamId,
+      message,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Permission level used to check commands: bots use the level they were
+   * created with
+   */
+  getCommandLevel(user, room) {
+    if (user.isBot) {
+      return user.botPermission;
+    }
+    if (this.isRoomOwner(user, room) || ['broadcaster', 'admin'].includes(user.role)) {
+      return 'broadcaster';
+    }
+    return this.isUserModerator(user, room) ? 'moderator' : 'everyone';
+  }
+
+  /**
+   * Commands a permission level can run, for /help and autocomplete
+   */
+  async getAvailableCommands(streamId, level = 'everyone') {
+    const room = this.chatRooms.get(streamId);
+    const customCommands = room ? [...room.customCommands.values()] : [...(await this.loadCustomCommands(streamId)).values()];
+
+    return [
+      ...this.commands.list(level).map(command => this.commands.describe(command)),
+      ...customCommands
+        .filter(command => command.enabled && ChatCommandRegistry.hasPermission(level, command.permission))
+        .map(command => ({
+          name: command.name,
+          description: command.description || 'Custom command',
+          usage: `/${command.name}`,
+          category: 'custom',
+          aliases: [],
+          permission: command.permission,
+          cooldown: command.cooldown,
+          args: []
+        }))
+    ].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Handle command list request from a socket
+   */
+  async handleCommandList(socket, data) {
+    try {
+      const { streamId } = data || {};
+      const room = this.chatRooms.get(streamId);
+
+      if (!room || !room.users.has(socket.id)) {
+        socket.emit('chat:error', { message: 'Not in chat room' });
+        return;
+      }
+
+      const level = this.getCommandLevel(room.users.get(socket.id), room);
+      socket.emit('chat:commands', { streamId, commands: await this.getAvailableCommands(streamId, level) });
+    } catch (error) {
+      this.logger.error('Error handling command list:', error);
+      socket.emit('chat:error', { message: 'Failed to load commands' });
+    }
+  }
+
+  /**
+   * Find a chat user by name, online first, then by account
+   */
+  async resolveChatUser(room, name) {
+    const lowered = name.toLowerCase();
+
+    for (const user of room.users.values()) {
+      if (!user.isBot && String(user.username).toLowerCase() === lowered) {
+        return { userId: user.userId, username: user.username };
+      }
+    }
+
+    if (this.db) {
+      const [rows] = await this.db.execute('SELECT id, username FROM users WHERE username = ?', [name]);
+      if (rows[0]) {
+        return { userId: rows[0].id, username: rows[0].username };
+      }
+    }
+
+    throw createHttpError(`User ${name} not found`, 404);
+  }
+
+  async getLastStream(userId) {
+    if (!this.db) {
+      return null;
+    }
+
+    const [rows] = await this.db.execute(
+      'SELECT title, category FROM live_streams WHERE user_id = ? ORDER BY started_at DESC LIMIT 1',
+      [userId]
+    );
+    return rows[0] ? { title: rows[0].title, category: rows[0].category } : null;
+  }
+
+  async getStreamStatus(streamId) {
+    if (!this.db) {
+      return null;
+    }
+
+    const [rows] = await this.db.execute('SELECT status, started_at FROM live_streams WHERE id = ?', [streamId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Start a poll; viewers vote with /vote <number>. Polls and votes live in
+   * the cluster adapter so viewers on any replica can vote.
+   */
+  async startPoll(room, user, question, options) {
+    const { maxPollOptions, pollDuration } = this.commandConfig;
+    const { pollKey } = this.getRoomStateKeys(room.streamId);
+
+    if (!question || options.length < 2 || options.length > maxPollOptions) {
+      throw createHttpError(`Polls need a question and 2 to ${maxPollOptions} options, separated by |`);
+    }
+    if (await this.getPollResults(room.streamId)) {
+      throw createHttpError('A poll is already running, end it with /poll end', 409);
+    }
+
+    const poll = {
+      id: uuidv4(),
+      question,
+      options: options.map(text => ({ text })),
+      startedBy: user.username,
+      endsAt: Date.now() + pollDuration * 1000
+    };
+
+    await this.cluster.deleteKey(pollKey);
+    await this.cluster.hashSet(pollKey, 'current', JSON.stringify(poll));
+
+    // This replica ends the poll on time; votes after that end it anywhere
+    room.pollTimer = setTimeout(() => {
+      this.endPoll(room).catch(error => this.logger.error('Error ending poll:', error));
+    }, pollDuration * 1000);
+    room.pollTimer.unref();
+
+    const results = await this.getPollResults(room.streamId);
+    this.io.to(`chat:${room.streamId}`).emit('chat:poll', { streamId: room.streamId, poll: results });
+    return results;
+  }
+
+  async votePoll(room, user, optionNumber) {
+    const poll = await this.getPollResults(room.streamId);
+
+    if (poll && Date.parse(poll.endsAt) <= Date.now()) {
+      await this.endPoll(room);
+    }
+    if (!poll || Date.parse(poll.endsAt) <= Date.now()) {
+      throw createHttpError('There is no active poll', 404);
+    }
+
+    const option = poll.options[optionNumber - 1];
+    if (!option) {
+      throw createHttpError(`Pick an option from 1 to ${poll.options.length}`);
+    }
+
+    // Changing your vote moves it
+    await this.cluster.hashSet(this.getRoomStateKeys(room.streamId).pollKey, `vote:${user.userId}`, String(optionNumber - 1));
+
+    this.io.to(`chat:${room.streamId}`).emit('chat:poll-updated', {
+      streamId: room.streamId,
+      poll: await this.getPollResults(room.streamId)
+    });
+    return option;
+  }
+
+  async endPoll(room) {
+    const results = await this.getPollResults(room.streamId);
+
+    if (!results) {
+      return null;
+    }
+
+    // Replicas may race to end the same poll; one announces it
+    const claims = await this.cluster.incrementWindow(`chat:${room.streamId}:poll-ended:${results.id}`, 3600000);
+    if (claims > 1) {
+      return null;
+    }
+
+    clearTimeout(room.pollTimer);
+    room.pollTimer = null;
+    await this.cluster.deleteKey(this.getRoomStateKeys(room.streamId).pollKey);
+
+    const winner = [...results.options].sort((a, b) => b.votes - a.votes)[0];
+
+    this.io.to(`chat:${room.streamId}`).emit('chat:poll-ended', { streamId: room.streamId, poll: results });
+    this.io.to(`chat:${room.streamId}`).emit('chat:message', this.createSystemMessage(room.streamId, results.totalVotes > 0
+      ? `Poll ended: "${results.question}" - ${winner.text} wins with ${winner.votes} of ${results.totalVotes} votes`
+      : `Poll ended: "${results.question}" - no votes`));
+
+    return results;
+  }
+
+  /**
+   * The running poll with its tally, or null
+   */
+  async getPollResults(streamId) {
+    const fields = await this.cluster.hashGetAll(this.getRoomStateKeys(streamId).pollKey);
+
+    if (!fields.current) {
+      return null;
+    }
+
+    const poll = JSON.parse(fields.current);
+    const votes = poll.options.map(() => 0);
+    let totalVotes = 0;
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (field.startsWith('vote:')) {
+        votes[parseInt(value)]++;
+        totalVotes++;
+      }
+    }
+
+    return {
+      id: poll.id,
+      question: poll.question,
+      options: poll.options.map((option, index) => ({ text: option.text, votes: votes[index] })),
+      totalVotes,
+      startedBy: poll.startedBy,
+      endsAt: new Date(poll.endsAt).toISOString()
+    };
+  }
+
+  /**
+   * Custom commands reply with their template, filled in
+   */
+  async runCustomCommand(context, command, words) {
+    command.usageCount++;
+
+    const target = words[0] ? words[0].replace(/^@/, '') : context.user.username;
+    context.announce(command.response
+      .replace(/\{user\}/g, context.user.username)
+      .replace(/\{target\}/g, target)
+      .replace(/\{args\}/g, words.join(' '))
+      .replace(/\{count\}/g, String(command.usageCount)));
+
+    if (this.db) {
+      await this.db.execute(
+        'UPDATE chat_custom_commands SET usage_count = usage_count + 1 WHERE stream_id = ? AND name = ?',
+        [context.streamId, command.name]
+      );
+    }
+  }
+
+  getCustomCommand(room, name) {
+    const command = room.customCommands.get(name.toLowerCase());
+    return command && command.enabled ? command : null;
+  }
+
+  async loadCustomCommands(streamId) {
+    const commands = new Map();
+
+    if (!this.db) {
+      return commands;
+    }
+
+    const [rows] = await this.db.execute(
+      'SELECT * FROM chat_custom_commands WHERE stream_id = ? ORDER BY name',
+      [streamId]
+    );
+    rows.forEach(row => commands.set(row.name, this.formatCustomCommand(row)));
+    return commands;
+  }
+
+  formatCustomCommand(row) {
+    return {
+      name: row.name,
+      response: row.response,
+      description: row.description,
+      permission: row.permission,
+      cooldown: { global: row.cooldown_seconds || 0, user: 0 },
+      usageCount: row.usage_count || 0,
+      enabled: !!row.enabled,
+      custom: true,
+      createdBy: row.created_by,
+      createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+      updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    };
+  }
+
+  async listCustomCommands(streamId) {
+    return [...(await this.loadCustomCommands(streamId)).values()];
+  }
+
+  validateCustomCommand(data, partial = false) {
+    const { maxCustomResponseLength } = this.commandConfig;
+
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || !/^[a-z0-9_]{1,32}$/i.test(data.name)) {
+        throw createHttpError('Command names are 1-32 letters, numbers or underscores');
+      }
+      if (this.commands.has(data.name)) {
+        throw createHttpError(`/${data.name} is a built-in command`, 409);
+      }
+    }
+    if (!partial || data.response !== undefined) {
+      if (typeof data.response !== 'string' || !data.response.trim() || data.response.length > maxCustomResponseLength) {
+        throw createHttpError(`Responses must be 1-${maxCustomResponseLength} characters`);
+      }
+    }
+    if (data.permission !== undefined && !ChatCommandRegistry.PERMISSION_LEVELS.includes(data.permission)) {
+      throw createHttpError(`Permission must be one of: ${ChatCommandRegistry.PERMISSION_LEVELS.join(', ')}`);
+    }
+    if (data.cooldown !== undefined && (!Number.isInteger(data.cooldown) || data.cooldown < 0 || data.cooldown > 3600)) {
+      throw createHttpError('Cooldown must be between 0 and 3600 seconds');
+    }
+  }
+
+  async createCustomCommand(streamId, data, createdBy) {
+    if (!this.db) {
+      throw createHttpError('Custom commands are unavailable', 503);
+    }
+
+    this.validateCustomCommand(data);
+    const name = data.name.toLowerCase();
+
+    const [[{ count }]] = await this.db.execute(
+      'SELECT COUNT(*) AS count FROM chat_custom_commands WHERE stream_id = ?',
+      [streamId]
+    );
+    if (count >= this.commandConfig.maxCustomCommands) {
+      throw createHttpError(`Streams can have at most ${this.commandConfig.maxCustomCommands} custom commands`, 409);
+    }
+
+    const [existing] = await this.db.execute(
+      'SELECT id FROM chat_custom_commands WHERE stream_id = ? AND name = ?',
+      [streamId, name]
+    );
+    if (existing.length > 0) {
+      throw createHttpError(`/${name} already exists`, 409);
+    }
+
+    await this.db.execute(`
+      INSERT INTO chat_custom_commands (stream_id, name, response, description, permission, cooldown_seconds, enabled, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      streamId,
+      name,
+      data.response,
+      data.description || null,
+      data.permission || 'everyone',
+      data.cooldown || 0,
+      data.enabled !== false,
+      createdBy
+    ]);
+
+    return this.refreshCustomCommand(streamId, name);
+  }
+
+  async updateCustomCommand(streamId, name, data) {
+    if (!this.db) {
+      throw createHttpError('Custom commands are unavailable', 503);
+    }
+
+    this.validateCustomCommand({ ...data, name: undefined }, true);
+
+    const [result] = await this.db.execute(`
+      UPDATE chat_custom_commands
+      SET response = COALESCE(?, response),
+          description = COALESCE(?, description),
+          permission = COALESCE(?, permission),
+          cooldown_seconds = COALESCE(?, cooldown_seconds),
+          enabled = COALESCE(?, enabled)
+      WHERE stream_id = ? AND name = ?
+    `, [
+      data.response ?? null,
+      data.description ?? null,
+      data.permission ?? null,
+      data.cooldown ?? null,
+      data.enabled ?? null,
+      streamId,
+      name.toLowerCase()
+    ]);
+
+    if (result.affectedRows === 0) {
+      throw createHttpError('Command not found', 404);
+    }
+
+    return this.refreshCustomCommand(streamId, name.toLowerCase());
+  }
+
+  async deleteCustomCommand(streamId, name) {
+    if (!this.db) {
+      throw createHttpError('Custom commands are unavailable', 503);
+    }
+
+    const [result] = await this.db.execute(
+      'DELETE FROM chat_custom_commands WHERE stream_id = ? AND name = ?',
+      [streamId, name.toLowerCase()]
+    );
+    if (result.affectedRows === 0) {
+      throw createHttpError('Command not found', 404);
+    }
+
+    await this.updateRoomState(streamId, { type: 'custom-command', name: name.toLowerCase(), command: null });
+  }
+
+  /**
+   * Reload a custom command into the live room after it changes
+   */
+  async refreshCustomCommand(streamId, name) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM chat_custom_commands WHERE stream_id = ? AND name = ?',
+      [streamId, name]
+    );
+    const command = this.formatCustomCommand(rows[0]);
+
+    await this.updateRoomState(streamId, { type: 'custom-command', name, command });
+    return command;
+  }
+
+  /**
+   * Create a bot account for a stream. The token is only returned here.
+   */
+  async createBot(streamId, data, createdBy) {
+    if (!this.db) {
+      throw createHttpError('Chat bots are unavailable', 503);
+    }
+
+    const { name, permission = 'everyone' } = data;
+    if (typeof name !== 'string' || !/^[\w-]{2,50}$/.test(name)) {
+      throw createHttpError('Bot names are 2-50 letters, numbers, underscores or dashes');
+    }
+    if (!['everyone', 'moderator'].includes(permission)) {
+      throw createHttpError('Bot permission must be everyone or moderator');
+    }
+
+    const bots = await this.listBots(streamId);
+    if (bots.length >= this.commandConfig.maxBotsPerStream) {
+      throw createHttpError(`Streams can have at most ${this.commandConfig.maxBotsPerStream} bots`, 409);
+    }
+    if (bots.some(bot => bot.name.toLowerCase() === name.toLowerCase())) {
+      throw createHttpError(`A bot named ${name} already exists`, 409);
+    }
+
+    const id = uuidv4();
+    const token = `chatbot_${crypto.randomBytes(32).toString('hex')}`;
+
+    await this.db.execute(
+      'INSERT INTO chat_bots (id, stream_id, name, token_hash, permission, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, streamId, name, this.hashBotToken(token), permission, createdBy]
+    );
+
+    this.logger.info(`Chat bot ${name} created for stream ${streamId}`);
+
+    return {
+      id,
+      streamId,
+      name,
+      permission,
+      enabled: true,
+      createdBy,
+      lastUsedAt: null,
+      token
+    };
+  }
+
+  async listBots(streamId) {
+    if (!this.db) {
+      return [];
+    }
+
+    const [rows] = await this.db.execute(
+      'SELECT id, stream_id, name, permission, enabled, created_by, last_used_at, created_at FROM chat_bots WHERE stream_id = ? ORDER BY created_at',
+      [streamId]
+    );
+    return rows.map(row => this.formatBot(row));
+  }
+
+  async deleteBot(streamId, botId) {
+    if (!this.db) {
+      throw createHttpError('Chat bots are unavailable', 503);
+    }
+
+    const [result] = await this.db.execute('DELETE FROM chat_bots WHERE id = ? AND stream_id = ?', [botId, streamId]);
+    if (result.affectedRows === 0) {
+      throw createHttpError('Bot not found', 404);
+    }
+
+    // Disconnect the bot wherever it is in chat
+    await this.updateRoomState(streamId, { type: 'bot-removed', botId });
+  }
+
+  formatBot(row) {
+    return {
+      id: row.id,
+      streamId: row.stream_id,
+      name: row.name,
+      permission: row.permission,
+      enabled: !!row.enabled,
+      createdBy: row.created_by,
+      lastUsedAt: row.last_used_at ? new Date(row.last_used_at).toISOString() : null,
+      createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+    };
+  }
+
+  hashBotToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Look up an enabled bot by its token
+   */
+  async authenticateBot(token) {
+    if (!this.db || typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    const [rows] = await this.db.execute(
+      'SELECT id, stream_id, name, permission, enabled, created_by, last_used_at, created_at FROM chat_bots WHERE token_hash = ? AND enabled = TRUE',
+      [this.hashBotToken(token)]
+    );
+    if (!rows[0]) {
+      return null;
+    }
+
+    await this.db.execute('UPDATE chat_bots SET last_used_at = NOW() WHERE id = ?', [rows[0].id]);
+    return this.formatBot(rows[0]);
+  }
+
+  createBotUser(bot) {
+    return {
+      userId: `bot:${bot.id}`,
+      username: bot.name,
+      role: 'bot',
+      isBot: true,
+      botId: bot.id,
+      botPermission: bot.permission,
+      botOwnerId: bot.createdBy
+    };
+  }
+
+  /**
+   * Post as a bot without a socket, through the same checks and commands as
+   * everyone else. Command replies are returned instead of emitted.
+   */
+  async postBotMessage(bot, message) {
+    const room = await this.getOrCreateChatRoom(bot.streamId);
+    const replies = [];
+
+    const result = await this.processChatInput(room, this.createBotUser(bot), message, {
+      reply: (systemMessage) => replies.push(systemMessage)
+    });
+
+    return { ...result, replies };
+  }
+
+  /**
+   * Save chat message to database
+   *
+   * Messages are kept as a sorted set of IDs scored by a per-stream sequence
+   * number, which is also the history cursor, plus a hash of message bodies.
+   */
+  async saveChatMessage(message) {
+    try {
+      const { indexKey, bodiesKey, sequenceKey } = this.getMessageKeys(message.streamId);
+
+      message.seq = await this.redis.incr(sequenceKey);
+      await this.redis.zAdd(indexKey, { score: message.seq, value: message.id });
+      await this.redis.hSet(bodiesKey, message.id, JSON.stringify(message));
+
+      // Keep the most recent messages
+      const expired = await this.redis.zRange(indexKey, 0, -(this.moderationConfig.maxStoredMessages + 1));
+      if (expired.length > 0) {
+        await this.redis.zRemRangeByRank(indexKey, 0, expired.length - 1);
+        await this.redis.hDel(bodiesKey, expired);
+      }
+
+      for (const key of [indexKey, bodiesKey, sequenceKey]) {
+        await this.redis.expire(key, 86400); // 24 hours TTL
+      }
+
+      // TODO: Save to MySQL database for permanent storage
+      this.logger.debug(`Chat message saved for stream ${message.streamId}`);
+    } catch (error) {
+      this.logger.error('Error saving chat message:', error);
+    }
+  }
+
+  getMessageKeys(streamId) {
+    return {
+      indexKey: `chat:${streamId}:message-index`,
+      bodiesKey: `chat:${streamId}:message-bodies`,
+      sequenceKey: `chat:${streamId}:message-seq`
+    };
+  }
+
+  async getChatMessage(streamId, messageId) {
+    const body = await this.redis.hGet(this.getMessageKeys(streamId).bodiesKey, messageId);
+    return body ? JSON.parse(body) : null;
+  }
+
+  /**
+   * Save chat reaction
+   */
+  async saveChatReaction(reaction) {
+    try {
+      const key = `chat:${reaction.streamId}:reactions`;
+      await this.redis.lPush(key, JSON.stringify(reaction));
+      await this.redis.lTrim(key, 0, 499); // Keep last 500 reactions
+      await this.redis.expire(key, 86400); // 24 hours TTL
+    } catch (error) {
+      this.logger.error('Error saving chat reaction:', error);
+    }
+  }
+
+  /**
+   * Get a page of chat history, newest page first
+   *
+   * `before` is the cursor from a previous page; messages come back in
+   * chronological order.
+   */
+  async getChatHistory(streamId, options = {}) {
+    const limit = Math.min(
+      parseInt(options.limit) || this.moderationConfig.historyPageSize,
+      this.moderationConfig.maxHistoryPageSize
+    );
+    const before = options.before ? parseInt(options.before) : null;
+
+    if (options.before && (isNaN(before) || before < 1)) {
+      throw createHttpError('Invalid history cursor');
+    }
+
+    const { indexKey, bodiesKey } = this.getMessageKeys(streamId);
+    const ids = await this.redis.zRange(indexKey, before ? `(${before}` : '+inf', '-inf', {
+      BY: 'SCORE',
+      REV: true,
+      LIMIT: { offset: 0, count: limit + 1 }
+    });
+
+    const hasMore = ids.length > limit;
+    const pageIds = ids.slice(0, limit);
+    const bodies = pageIds.length > 0 ? await this.redis.hmGet(bodiesKey, pageIds) : [];
+
+    const messages = bodies
+      .filter(Boolean)
+      .map(body => this.formatHistoryMessage(JSON.parse(body)))
+      .reverse();
+
+    return {
+      streamId,
+      messages,
+      hasMore,
+      nextCursor: hasMore && messages.length > 0 ? String(messages[0].seq) : null
+    };
+  }
+
+  formatHistoryMessage(message) {
+    return message.deleted ? { ...message, message: '' } : message;
+  }
+
+  /**
+   * Send chat history to user
+   */
+  async sendChatHistory(socket, streamId, limit = 50) {
+    try {
+      const history = await this.getChatHistory(streamId, { limit });
+      socket.emit('chat:history', history);
+    } catch (error) {
+      this.logger.error('Error sending chat history:', error);
+    }
+  }
+
+  /**
+   * Handle chat history request (older pages)
+   */
+  async handleChatHistory(socket, data) {
+    try {
+      const { streamId, before, limit } = data || {};
+      const room = this.chatRooms.get(streamId);
+
+      if (!room || !room.users.has(socket.id)) {
+        socket.emit('chat:error', { message: 'Not in chat room' });
+        return;
+      }
+
+      socket.emit('chat:history', await this.getChatHistory(streamId, { before, limit }));
+    } catch (error) {
+      this.logger.error('Error handling chat history:', error);
+      socket.emit('chat:error', { message: error.statusCode ? error.message : 'Failed to load chat history' });
+    }
+  }
+
+  /**
+   * Handle typing indicator, broadcast at most once per throttle window
+   */
+  handleTypingIndicator(socket, data) {
+    try {
+      const { streamId } = data || {};
+      const isTyping = data.isTyping !== false;
+      const room = this.chatRooms.get(streamId);
+
+      if (!room || !room.users.has(socket.id)) {
+        return;
+      }
+
+      const user = room.users.get(socket.id);
+      const userKey = String(user.userId);
+      const now = Date.now();
+      const lastBroadcast = room.typingUsers.get(userKey);
+
+      if (isTyping) {
+        const muteExpiry = room.mutedUsers.get(userKey);
+        if (!room.settings.chatEnabled || (muteExpiry && now < muteExpiry)) {
+          return;
+        }
+        if (lastBroadcast && now - lastBroadcast < this.moderationConfig.typingThrottle) {
+          return;
+        }
+        room.typingUsers.set(userKey, now);
+      } else {
+        if (!lastBroadcast) {
+          return;
+        }
+        room.typingUsers.delete(userKey);
+      }
+
+      socket.to(`chat:${streamId}`).emit('chat:typing', {
+        streamId,
+        userId: user.userId,
+        username: user.username,
+        isTyping,
+        expiresIn: isTyping ? this.moderationConfig.typingTimeout : 0
+      });
+    } catch (error) {
+      this.logger.error('Error handling typing indicator:', error);
+    }
+  }
+
+  /**
+   * Handle moderation action from a moderator's socket
+   */
+  async handleModerationAction(socket, data) {
+    try {
+      const { streamId } = data || {};
+      const room = this.chatRooms.get(streamId);
+
+      if (!room || !room.users.has(socket.id)) {
+        socket.emit('chat:error', { message: 'Not in chat room' });
+        return;
+      }
+
+      const moderator = room.users.get(socket.id);
+      if (!this.isUserModerator(moderator, room)) {
+        socket.emit('chat:error', { message: 'Only moderators can perform moderation actions' });
+        return;
+      }
+
+      const entry = await this.applyModerationAction(room, moderator, data);
+      socket.emit('chat:moderation-success', entry);
+    } catch (error) {
+      this.logger.error('Error handling moderation action:', error);
+      socket.emit('chat:error', { message: error.statusCode ? error.message : 'Failed to perform moderation action' });
+    }
+  }
+
+  /**
+   * Apply a moderation action to a room, broadcast it and write it to the
+   * audit log. Callers are responsible for checking isUserModerator.
+   */
+  async applyModerationAction(room, moderator, data) {
+    const { action, reason = null } = data;
+    const streamId = room.streamId;
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+      throw createHttpError(`Unknown moderation action: ${action}`);
+    }
+
+    const entry = {
+      streamId,
+      action,
+      // Bots act on behalf of the user who created them
+      moderatorId: moderator.isBot ? moderator.botOwnerId : moderator.userId,
+      moderatorUsername: moderator.username,
+      targetUserId: null,
+      targetUsername: null,
+      messageId: null,
+      durationSeconds: null,
+      reason: reason ? String(reason).slice(0, 500) : null,
+      details: {}
+    };
+
+    if (['timeout', 'untimeout', 'ban', 'unban'].includes(action)) {
+      if (data.targetUserId === undefined || data.targetUserId === null || data.targetUserId === '') {
+        throw createHttpError('Target user is required');
+      }
+      entry.targetUserId = data.targetUserId;
+      entry.targetUsername = this.findRoomUser(room, data.targetUserId)?.username || data.targetUsername || null;
+    }
+
+    const targetKey = entry.targetUserId !== null ? String(entry.targetUserId) : null;
+
+    switch (action) {
+      case 'timeout': {
+        this.assertCanModerate(moderator, room, entry.targetUserId);
+        const duration = data.duration !== undefined ? parseInt(data.duration) : this.moderationConfig.defaultTimeoutSeconds;
+        if (isNaN(duration) || duration < 1 || duration > this.moderationConfig.maxTimeoutSeconds) {
+          throw createHttpError(`Timeout must be between 1 and ${this.moderationConfig.maxTimeoutSeconds} seconds`);
+        }
+
+        const until = Date.now() + duration * 1000;
+        entry.durationSeconds = duration;
+        entry.details = { until: new Date(until).toISOString() };
+        await this.updateRoomState(streamId, { type: 'muted', userId: targetKey, until, reason: entry.reason });
+        break;
+      }
+
+      case 'untimeout':
+        if (!room.mutedUsers.has(targetKey)) {
+          throw createHttpError('User is not timed out', 404);
+        }
+        await this.updateRoomState(streamId, { type: 'muted', userId: targetKey, until: null });
+        break;
+
+      case 'ban':
+        this.assertCanModerate(moderator, room, entry.targetUserId);
+        await this.redis.sAdd(`chat:${streamId}:banned`, targetKey);
+        await this.cluster.hashDelete(this.getRoomStateKeys(streamId).mutedKey, targetKey);
+        await this.updateRoomState(streamId, { type: 'banned', userId: targetKey, banned: true, reason: entry.reason });
+        break;
+
+      case 'unban':
+        if (!room.bannedUsers.has(targetKey)) {
+          throw createHttpError('User is not banned', 404);
+        }
+        await this.redis.sRem(`chat:${streamId}:banned`, targetKey);
+        await this.updateRoomState(streamId, { type: 'banned', userId: targetKey, banned: false });
+        break;
+
+      case 'delete': {
+        if (!data.messageId) {
+          throw createHttpError('Message ID is required');
+        }
+        const message = await this.getChatMessage(streamId, data.messageId);
+        if (!message || message.deleted) {
+          throw createHttpError('Message not found', 404);
+        }
+
+        await this.redis.hSet(this.getMessageKeys(streamId).bodiesKey, message.id, JSON.stringify({
+          ...message,
+          deleted: true,
+          deletedBy: moderator.userId,
+          deletedAt: new Date().toISOString()
+        }));
+
+        entry.messageId = message.id;
+        entry.targetUserId = message.userId;
+        entry.targetUsername = message.username;
+        entry.details = { message: message.message };
+        break;
+      }
+
+      case 'slow': {
+        const enabled = data.enabled !== false;
+        const delay = data.delay !== undefined ? parseInt(data.delay) : this.moderationConfig.defaultSlowModeDelay;
+        if (enabled && (isNaN(delay) || delay < 1 || delay > this.moderationConfig.maxSlowModeDelay)) {
+          throw createHttpError(`Slow mode delay must be between 1 and ${this.moderationConfig.maxSlowModeDelay} seconds`);
+        }
+
+        entry.details = { previous: { slowMode: room.settings.slowMode, slowModeDelay: room.settings.slowModeDelay } };
+        entry.durationSeconds = enabled ? delay : 0;
+        await this.updateRoomState(streamId, {
+          type: 'settings',
+          settings: { ...room.settings, slowMode: enabled, slowModeDelay: entry.durationSeconds }
+        });
+        break;
+      }
+
+      case 'followers_only': {
+        const enabled = data.enabled !== false;
+        const minFollowMinutes = data.minFollowMinutes !== undefined ? parseInt(data.minFollowMinutes) : 0;
+        if (enabled && (isNaN(minFollowMinutes) || minFollowMinutes < 0 || minFollowMinutes > this.moderationConfig.maxFollowMinutes)) {
+          throw createHttpError(`Minimum follow time must be between 0 and ${this.moderationConfig.maxFollowMinutes} minutes`);
+        }
+
+        entry.details = { previous: { followersOnly: room.settings.followersOnly, followersOnlyMinutes: room.settings.followersOnlyMinutes } };
+        await this.updateRoomState(streamId, {
+          type: 'settings',
+          settings: { ...room.settings, followersOnly: enabled, followersOnlyMinutes: enabled ? minFollowMinutes : 0 }
+        });
+        break;
+      }
+
+      case 'clear':
+        break;
+    }
+
+    if (action === 'clear') {
+      this.io.to(`chat:${streamId}`).emit('chat:clear');
+    } else if (action === 'delete') {
+      this.io.to(`chat:${streamId}`).emit('chat:message-deleted', { streamId, messageId: entry.messageId });
+    }
+
+    // Reasons and deleted text stay in the audit log
+    this.io.to(`chat:${streamId}`).emit('chat:moderation', {
+      streamId,
+      action,
+      targetUserId: entry.targetUserId,
+      targetUsername: entry.targetUsername,
+      messageId: entry.messageId,
+      durationSeconds: entry.durationSeconds,
+      settings: room.settings
+    });
+
+    this.logger.info(`Moderation action ${action} by ${moderator.username} in stream ${streamId}${targetKey ? ` on user ${targetKey}` : ''}`);
+
+    return this.recordModerationAction(entry);
+  }
+
+  /**
+   * Moderators can't act on themselves, the broadcaster or, unless they are
+   * the broadcaster or an admin, other moderators
+   */
+  assertCanModerate(moderator, room, targetUserId) {
+    const targetKey = String(targetUserId);
+
+    if (targetKey === String(moderator.userId)) {
+      throw createHttpError('You cannot moderate yourself', 403);
+    }
+    if (room.ownerId !== null && targetKey === String(room.ownerId)) {
+      throw createHttpError('The broadcaster cannot be moderated', 403);
+    }
+
+    const target = this.findRoomUser(room, targetUserId);
+    const targetIsModerator = room.moderators.has(targetKey) || (target && this.isUserModerator(target, room));
+    if (targetIsModerator && !this.isRoomOwner(moderator, room) && moderator.role !== 'admin') {
+      throw createHttpError('Only the broadcaster can moderate other moderators', 403);
+    }
+  }
+
+  findRoomUser(room, userId) {
+    for (const user of room.users.values()) {
+      if (String(user.userId) === String(userId)) {
+        return user;
+      }
+    }
+    return null;
+  }
+
+  emitToRoomUser(room, userKey, event, data) {
+    for (const user of room.users.values()) {
+      if (String(user.userId) === userKey) {
+        this.io.to(user.socketId).emit(event, data);
+      }
+    }
+  }
+
+  /**
+   * Drop every connection of a banned user from the room
+   */
+  removeUserFromRoom(room, userKey, reason) {
+    for (const [socketId, user] of room.users) {
+      if (String(user.userId) === userKey) {
+        this.removeRoomSocket(room, socketId);
+        this.io.to(socketId).emit('chat:banned', { streamId: room.streamId, reason });
+      }
+    }
+  }
+
+  /**
+   * Write a moderation action to the audit log
+   */
+  async recordModerationAction(entry) {
+    const createdAt = new Date();
+
+    if (!this.db) {
+      this.logger.warn(`Moderation log unavailable, ${entry.action} in stream ${entry.streamId} was not persisted`);
+      return { id: null, ...entry, createdAt: createdAt.toISOString() };
+    }
+
+    const query = `
+      INSERT INTO chat_moderation_log (
+        stream_id, action, moderator_id, moderator_username, target_user_id, target_username,
+        message_id, duration_seconds, reason, details, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const [result] = await this.db.execute(query, [
+      entry.streamId,
+      entry.action,
+      entry.moderatorId,
+      entry.moderatorUsername,
+      entry.targetUserId,
+      entry.targetUsername,
+      entry.messageId,
+      entry.durationSeconds,
+      entry.reason,
+      JSON.stringify(entry.details),
+      createdAt
+    ]);
+
+    return { id: String(result.insertId), ...entry, createdAt: createdAt.toISOString() };
+  }
+
+  /**
+   * Get a page of the moderation audit log, newest first
+   */
+  async getModerationLog(streamId, options = {}) {
+    if (!this.db) {
+      return { streamId, entries: [], nextCursor: null };
+    }
+
+    const limit = Math.min(parseInt(options.limit) || this.moderationConfig.moderationLogPageSize, 200);
+    const conditions = ['stream_id = ?'];
+    const params = [streamId];
+
+    if (options.cursor) {
+      conditions.push('id < ?');
+      params.push(parseInt(options.cursor));
+    }
+    if (options.action) {
+      conditions.push('action = ?');
+      params.push(options.action);
+    }
+    if (options.targetUserId) {
+      conditions.push('target_user_id = ?');
+      params.push(options.targetUserId);
+    }
+
+    const query = `
+      SELECT * FROM chat_moderation_log
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT ${limit + 1}
+    `;
+
+    const [rows] = await this.db.execute(query, params);
+    const entries = rows.slice(0, limit).map(row => ({
+      id: String(row.id),
+      streamId: row.stream_id,
+      action: row.action,
+      moderatorId: row.moderator_id,
+      moderatorUsername: row.moderator_username,
+      targetUserId: row.target_user_id,
+      targetUsername: row.target_username,
+      messageId: row.message_id,
+      durationSeconds: row.duration_seconds,
+      reason: row.reason,
+      details: typeof row.details === 'string' ? JSON.parse(row.details) : (row.details || {}),
+      createdAt: new Date(row.created_at).toISOString()
+    }));
+
+    return {
+      streamId,
+      entries,
+      nextCursor: rows.length > limit ? entries[entries.length - 1].id : null
+    };
+  }
+
+  /**
+   * Handle moderation log request from a moderator's socket
+   */
+  async handleModerationLog(socket, data) {
+    try {
+      const { streamId, cursor, limit, action, targetUserId } = data || {};
+      const room = this.chatRooms.get(streamId);
+
+      if (!room || !room.users.has(socket.id) || !this.isUserModerator(room.users.get(socket.id), room)) {
+        socket.emit('chat:error', { message: 'Only moderators can view the moderation log' });
+        return;
+      }
+
+      socket.emit('chat:moderation-log', await this.getModerationLog(streamId, { cursor, limit, action, targetUserId }));
+    } catch (error) {
+      this.logger.error('Error handling moderation log:', error);
+      socket.emit('chat:error', { message: 'Failed to load moderation log' });
+    }
+  }
+
+  /**
+   * Check if a user follows the broadcaster, long enough for followers-only mode
+   */
+  async isFollower(userId, room) {
+    if (!this.db || room.ownerId === null) {
+      return false;
+    }
+
+    const userKey = String(userId);
+    let cached = room.followerCache.get(userKey);
+
+    if (!cached || Date.now() - cached.checkedAt > this.moderationConfig.followerCacheTtl) {
+      const [rows] = await this.db.execute(
+        'SELECT created_at FROM follows WHERE follower_id = ? AND following_id = ? AND following_type = ?',
+        [userId, room.ownerId, 'user']
+      );
+      cached = { followedAt: rows[0] ? new Date(rows[0].created_at).getTime() : null, checkedAt: Date.now() };
+      room.followerCache.set(userKey, cached);
+    }
+
+    if (cached.followedAt === null) {
+      return false;
+    }
+    return Date.now() - cached.followedAt >= room.settings.followersOnlyMinutes * 60000;
+  }
+
+  /**
+   * Update chat analytics
+   */
+  async updateChatAnalytics(streamId, userId) {
+    try {
+      const analyticsKey = `analytics:chat:${streamId}`;
+      const analytics = await this.redis.get(analyticsKey) || '{}';
+      const data = JSON.parse(analytics);
+
+      data.totalMessages = (data.totalMessages || 0) + 1;
+      data.uniqueUsers = data.uniqueUsers || new Set();
+      data.uniqueUsers.add(userId);
+      data.lastActivity = Date.now();
+
+      await this.redis.setEx(analyticsKey, 86400, JSON.stringify({
+        ...data,
+        uniqueUsers: Array.from(data.uniqueUsers)
+      }));
+    } catch (error) {
+      this.logger.error('Error updating chat analytics:', error);
+    }
+  }
+
+  async getOrCreateChatRoom(streamId) {
+    if (!this.chatRooms.has(streamId)) {
+      const newRoom = await this.createChatRoom(streamId);
+      if (!this.chatRooms.has(streamId)) {
+        this.chatRooms.set(streamId, newRoom);
+      }
+    }
+
+    return this.chatRooms.get(streamId);
+  }
+
+  /**
+   * Create chat room state, restoring shared settings, timeouts and bans, the
+   * chat filter, the stream owner and custom commands
+   */
+  async createChatRoom(streamId) {
+    const room = {
+      streamId,
+      ownerId: null,
+      users: new Map(),
+      messageCount: 0,
+      settings: {
+        slowMode: false,
+        slowModeDelay: 0,
+        followersOnly: false,
+        followersOnlyMinutes: 0,
+        subscribersOnly: false,
+        chatEnabled: true
+      },
+      moderators: new Set(),
+      bannedUsers: new Set(),
+      mutedUsers: new Map(), // userId -> unmute timestamp
+      typingUsers: new Map(), // userId -> last typing broadcast
+      followerCache: new Map(), // userId -> { followedAt, checkedAt }
+      customCommands: new Map(), // name -> custom command
+      filter: new ContentFilter(),
+      pollTimer: null
+    };
+
+    try {
+      const banned = await this.redis.sMembers(`chat:${streamId}:banned`);
+      banned.forEach(userId => room.bannedUsers.add(userId));
+
+      // Settings and timeouts set on any replica
+      const { stateKey, mutedKey } = this.getRoomStateKeys(streamId);
+      const settings = await this.cluster.hashGet(stateKey, 'settings');
+      if (settings) {
+        Object.assign(room.settings, JSON.parse(settings));
+      }
+      for (const [userId, until] of Object.entries(await this.cluster.hashGetAll(mutedKey))) {
+        if (parseInt(until) > Date.now()) {
+          room.mutedUsers.set(userId, parseInt(until));
+        }
+      }
+
+      room.ownerId = await this.getStreamOwner(streamId);
+      room.customCommands = await this.loadCustomCommands(streamId);
+
+      // The latest filter change on any replica, else the saved settings
+      const filter = await this.cluster.hashGet(stateKey, 'filter');
+      const filterSettings = filter ? JSON.parse(filter) : await this.loadFilterSettings(streamId);
+      if (filterSettings) {
+        room.filter = new ContentFilter(filterSettings);
+      }
+    } catch (error) {
+      this.logger.error(`Error loading chat room state for stream ${streamId}:`, error);
+    }
+
+    return room;
+  }
+
+  async getStreamOwner(streamId) {
+    if (!this.db) {
+      return null;
+    }
+
+    const [rows] = await this.db.execute('SELECT user_id FROM live_streams WHERE id = ?', [streamId]);
+    return rows[0] ? rows[0].user_id : null;
+  }
+
+  /**
+   * Check if user is the stream's broadcaster
+   */
+  isRoomOwner(user, room) {
+    return room.ownerId !== null && String(user.userId) === String(room.ownerId);
+  }
+
+  /**
+   * Check if user is moderator
+   */
+  isUserModerator(user, room) {
+    if (user.isBot) {
+      return user.botPermission === 'moderator';
+    }
+    return ['moderator', 'broadcaster', 'admin'].includes(user.role) ||
+      this.isRoomOwner(user, room) ||
+      room.moderators.has(String(user.userId));
   }
 
   /**
    * Get chat room statistics
    */
-  getChatRoomStats(streamId) {
+  async getChatRoomStats(streamId) {
     const room = this.chatRooms.get(streamId);
     if (!room) {
       return null;
@@ -558,21 +2327,23 @@ Available commands:
 
     return {
       streamId,
-      userCount: room.users.size,
+      userCount: (await this.getChatUsers(streamId)).length,
+      localUserCount: room.users.size,
       messageCount: room.messageCount,
       settings: room.settings,
       moderatorCount: room.moderators.size,
-      bannedUserCount: room.bannedUsers.size
+      bannedUserCount: room.bannedUsers.size,
+      timedOutUserCount: [...room.mutedUsers.values()].filter(until => until > Date.now()).length
     };
   }
 
   /**
-   * Get all active chat rooms
+   * Get all chat rooms open on this replica
    */
-  getAllChatRooms() {
+  async getAllChatRooms() {
     const rooms = [];
-    for (const [streamId, room] of this.chatRooms) {
-      rooms.push(this.getChatRoomStats(streamId));
+    for (const streamId of this.chatRooms.keys()) {
+      rooms.push(await this.getChatRoomStats(streamId));
     }
     return rooms;
   }
@@ -454,6 +454,8 @@ class ComplianceManager {
         infringingContent: dmcaData.infringingContent,
         streamId: dmcaData.streamId,
         userId: dmcaData.userId,
+        // e.g. the fingerprint match a rights holder confirmed
+        evidence: dmcaData.evidence || null,
         status: 'pending',
         submittedAt: new Date()
       };
@@ -470,7 +472,10 @@ class ComplianceManager {
         await this.notifyContentCreator(dmcaData.userId, notice);
         
         // Track copyright strikes
-        await this.trackCopyrightStrike(dmcaData.userId);
+        await this.trackCopyrightStrike(dmcaData.userId, {
+          dmcaId,
+          matchId: notice.evidence ? notice.evidence.matchId : null
+        });
       }
 
       await this.logComplianceEvent('dmca_notice_processed', dmcaData.userId, {
@@ -498,6 +503,7 @@ class ComplianceManager {
     try {
       const accessibilityFeatures = {
         closedCaptions: false,
+        captionLanguages: [],
         audioDescriptions: false,
         keyboardAccessible: false,
         screenReaderCompatible: false,
@@ -506,7 +512,8 @@ class ComplianceManager {
 
       if (contentType === 'video' || contentType === 'stream') {
         // Check for closed captions
-        accessibilityFeatures.closedCaptions = await this.hasClosedCaptions(contentId);
+        accessibilityFeatures.captionLanguages = await this.getCaptionLanguages(contentId);
+        accessibilityFeatures.closedCaptions = accessibilityFeatures.captionLanguages.length > 0;
         
         // Check for audio descriptions
         accessibilityFeatures.audioDescriptions = await this.hasAudioDescriptions(contentId);
@@ -603,12 +610,12 @@ class ComplianceManager {
     await this.db.execute(query, ['suspended', reason, streamId]);
   }
 
-  async trackCopyrightStrike(userId) {
+  async trackCopyrightStrike(userId, source = {}) {
     const query = `
-      INSERT INTO copyright_strikes (id, user_id, strike_date, created_at)
-      VALUES (?, ?, NOW(), NOW())
+      INSERT INTO copyright_strikes (id, user_id, dmca_request_id, match_id, strike_date, created_at)
+      VALUES (?, ?, ?, ?, NOW(), NOW())
     `;
-    await this.db.execute(query, [uuidv4(), userId]);
+    await this.db.execute(query, [uuidv4(), userId, source.dmcaId || null, source.matchId || null]);
 
     // Check if user has reached strike threshold
     const strikeCount = await this.getUserCopyrightStrikes(userId);
@@ -629,8 +636,24 @@ class ComplianceManager {
   }
 
   async hasClosedCaptions(contentId) {
-    // Check if content has closed captions
-    return false; // Placeholder
+    const languages = await this.getCaptionLanguages(contentId);
+    return languages.length > 0;
+  }
+
+  /**
+   * Languages with non-empty caption tracks, for a recording or for any
+   * recording of a stream
+   */
+  async getCaptionLanguages(contentId) {
+    const query = `
+      SELECT DISTINCT c.language
+      FROM recording_captions c
+      JOIN stream_recordings r ON r.id = c.recording_id
+      WHERE (r.id = ? OR r.stream_id = ?) AND JSON_LENGTH(c.cues) > 0
+      ORDER BY c.language
+    `;
+    const [rows] = await this.db.execute(query, [contentId, contentId]);
+    return rows.map(row => row.language);
   }
 
   async hasAudioDescriptions(contentId) {
@@ -676,8 +699,8 @@ class ComplianceManager {
     const query = `
       INSERT INTO dmca_requests (
         id, claimant_name, claimant_email, copyrighted_work,
-        infringing_content, stream_id, user_id, status, submitted_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        infringing_content, stream_id, user_id, evidence, status, submitted_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     await this.db.execute(query, [
@@ -688,6 +711,7 @@ class ComplianceManager {
       notice.infringingContent,
       notice.streamId,
       notice.userId,
+      notice.evidence ? JSON.stringify(notice.evidence) : null,
       notice.status,
       notice.submittedAt
     ]);
@@ -4,15 +4,23 @@
  * Handles:
  * - Stream categorization and tagging system
  * - Automated content moderation and filtering
- * - DMCA protection and copyright detection
- * - Content analysis and AI-powered insights
+ * - DMCA protection and copyright detection by acoustic fingerprinting
+ * - Content analysis: ffmpeg quality metrics and detection plugins
  * - Community guidelines enforcement
  * - Reporting and review system
  * - Content recommendation engine
  * - Trending and discovery algorithms
  */
 
+const fs = require('fs').promises;
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { createTranscriptionProvider } = require('./transcription');
+const ContentAnalyzer = require('./content/ContentAnalyzer');
+const CopyrightMatcher = require('./copyright/CopyrightMatcher');
+const { createHttpError } = require('./utils/errors');
+
+const MEDIA_HTTP_URL = process.env.MEDIA_HTTP_URL || 'http://localhost:8080';
 
 class ContentManager {
   constructor(dbPool, redisClient, logger) {
@@ -58,8 +66,8 @@ class ContentManager {
       aiModels: {
         textAnalysis: 'openai-moderation',
         imageAnalysis: 'google-vision',
-        audioAnalysis: 'aws-transcribe',
-        videoAnalysis: 'azure-video-indexer'
+        audioAnalysis: process.env.TRANSCRIPTION_PROVIDER || 'whisper',
+        videoAnalysis: 'ffmpeg'
       }
     };
 
@@ -68,6 +76,16 @@ class ContentManager {
     
     // Content analysis cache
     this.analysisCache = new Map();
+
+    // Speech-to-text, shared with recording captions
+    this.transcription = createTranscriptionProvider(this.config.aiModels.audioAnalysis, this.logger);
+
+    // Acoustic fingerprints of rights holders' reference tracks
+    this.copyright = new CopyrightMatcher(dbPool, this.logger);
+
+    // ffmpeg metrics and detection plugins for audio and video
+    this.analyzer = new ContentAnalyzer(this.logger);
+    this.registerAnalysisPlugins();
   }
 
   /**
@@ -123,55 +141,75 @@ class ContentManager {
   }
 
   /**
-   * Analyze stream content using AI
+   * Analyze a stream: its chat and text, and a sample of its audio and
+   * video from the live HLS output or a recording (the given one, else the
+   * latest finished one when the stream is offline). Persisted per stream.
    */
-  async analyzeStreamContent(streamId, analysisType = 'full') {
-    try {
-      const analysisId = uuidv4();
-      const analysis = {
-        id: analysisId,
-        streamId,
-        type: analysisType,
-        status: 'processing',
-        results: {},
-        startedAt: new Date()
-      };
-
-      // Store analysis session
-      this.analysisCache.set(analysisId, analysis);
+  async analyzeStreamContent(streamId, analysisType = 'full', options = {}) {
+    const analysis = {
+      id: uuidv4(),
+      streamId,
+      recordingId: null,
+      source: null,
+      type: analysisType,
+      status: 'processing',
+      results: {},
+      requestedBy: options.requestedBy || null,
+      startedAt: new Date()
+    };
 
+    try {
       // Get stream data
       const streamData = await this.getStreamData(streamId);
       if (!streamData) {
-        throw new Error('Stream not found');
+        throw createHttpError('Stream not found', 404);
       }
 
-      // Perform different types of analysis
-      const analysisPromises = [];
+      const wants = {
+        text: analysisType === 'full' || analysisType === 'text',
+        audio: analysisType === 'full' || analysisType === 'audio',
+        video: analysisType === 'full' || analysisType === 'video'
+      };
 
-      if (analysisType === 'full' || analysisType === 'text') {
-        analysisPromises.push(this.analyzeTextContent(streamId, streamData));
+      let source = null;
+      if (wants.audio || wants.video) {
+        source = await this.getAnalysisSource(streamData, options.recordingId);
+        if (!source && analysisType !== 'full') {
+          throw createHttpError('The stream is not live and has no finished recording to analyze', 409);
+        }
       }
+      analysis.source = source ? source.kind : null;
+      analysis.recordingId = source ? source.recordingId : null;
 
-      if (analysisType === 'full' || analysisType === 'audio') {
-        analysisPromises.push(this.analyzeAudioContent(streamId, streamData));
-      }
+      // Store analysis session
+      this.analysisCache.set(analysis.id, analysis);
+      await this.saveContentAnalysis(analysis);
 
-      if (analysisType === 'full' || analysisType === 'video') {
-        analysisPromises.push(this.analyzeVideoContent(streamId, streamData));
+      try {
+        const [text, media] = await Promise.all([
+          wants.text ? this.analyzeTextContent(streamId, streamData) : null,
+          source ? this.analyzer.analyze(source.input, {
+            live: source.kind === 'live',
+            audio: wants.audio,
+            video: wants.video,
+            subject: { streamId, recordingId: source.recordingId, source: source.kind }
+          }) : null
+        ]);
+
+        analysis.results = {
+          text,
+          audio: this.analyzeAudioContent(media && media.audio),
+          video: this.analyzeVideoContent(media && media.video)
+        };
+        analysis.sampledSeconds = media ? media.sampledSeconds : null;
+        analysis.status = 'completed';
+      } catch (error) {
+        analysis.status = 'failed';
+        analysis.error = error.message;
+        await this.completeContentAnalysis(analysis);
+        throw error;
       }
 
-      // Wait for all analyses to complete
-      const results = await Promise.allSettled(analysisPromises);
-      
-      // Compile results
-      analysis.results = {
-        text: results[0]?.value || null,
-        audio: results[1]?.value || null,
-        video: results[2]?.value || null
-      };
-
-      analysis.status = 'completed';
       analysis.completedAt = new Date();
 
       // Calculate overall content score
@@ -180,19 +218,20 @@ class ContentManager {
       // Check for violations
       analysis.violations = this.detectViolations(analysis.results);
 
-      // Save analysis to database
-      await this.saveContentAnalysis(analysis);
+      await this.completeContentAnalysis(analysis);
 
       // Take action if violations detected
       if (analysis.violations.length > 0) {
         await this.handleContentViolations(streamId, analysis.violations);
       }
 
-      this.logger.info(`Content analysis completed: ${analysisId} for stream ${streamId}`);
+      this.logger.info(`Content analysis completed: ${analysis.id} for stream ${streamId}`);
       return analysis;
     } catch (error) {
       this.logger.error('Error analyzing stream content:', error);
       throw error;
+    } finally {
+      this.analysisCache.delete(analysis.id);
     }
   }
 
@@ -244,96 +283,243 @@ class ContentManager {
   }
 
   /**
-   * Analyze audio content
+   * Audio results from the analyzer's metrics and plugins
    */
-  async analyzeAudioContent(streamId, streamData) {
-    try {
-      const audioAnalysis = {
-        transcription: '',
-        audioQuality: 'good',
-        backgroundNoise: 'low',
-        speechClarity: 'high',
-        copyrightMusic: false,
-        inappropriateAudio: false
-      };
-
-      // Get audio stream URL
-      const audioUrl = await this.getStreamAudioUrl(streamId);
-      if (!audioUrl) {
-        return null;
-      }
-
-      // Transcribe audio
-      audioAnalysis.transcription = await this.transcribeAudio(audioUrl);
-
-      // Analyze audio quality
-      audioAnalysis.audioQuality = await this.analyzeAudioQuality(audioUrl);
-
-      // Detect background noise
-      audioAnalysis.backgroundNoise = await this.detectBackgroundNoise(audioUrl);
-
-      // Check for copyrighted music
-      audioAnalysis.copyrightMusic = await this.detectCopyrightedMusic(audioUrl);
+  analyzeAudioContent(audio) {
+    if (!audio) {
+      return null;
+    }
 
-      // Check for inappropriate audio content
-      audioAnalysis.inappropriateAudio = await this.detectInappropriateAudio(audioUrl);
+    const found = type => audio.violations.some(violation => violation.type === type);
+
+    return {
+      audioQuality: audio.quality,
+      metrics: audio.metrics,
+      issues: audio.issues,
+      transcription: (audio.detections.speech && audio.detections.speech.transcription) || '',
+      copyrightMusic: found('copyright_music'),
+      inappropriateAudio: found('inappropriate_audio'),
+      detections: audio.detections,
+      violations: audio.violations
+    };
+  }
 
-      return audioAnalysis;
-    } catch (error) {
-      this.logger.error('Error analyzing audio content:', error);
+  /**
+   * Video results from the analyzer's metrics and plugins
+   */
+  analyzeVideoContent(video) {
+    if (!video) {
       return null;
     }
+
+    const found = type => video.violations.some(violation => violation.type === type);
+
+    return {
+      videoQuality: video.quality,
+      metrics: video.metrics,
+      issues: video.issues,
+      inappropriateVisual: found('inappropriate_visual'),
+      copyrightContent: found('copyright_content'),
+      violence: found('violence'),
+      detections: video.detections,
+      violations: video.violations
+    };
   }
 
   /**
-   * Analyze video content
+   * Built-in detection plugins, then any listed in CONTENT_ANALYSIS_PLUGINS
+   * (comma-separated module paths exporting a plugin, an array of them, or
+   * a function of this manager returning either)
    */
-  async analyzeVideoContent(streamId, streamData) {
-    try {
-      const videoAnalysis = {
-        videoQuality: 'good',
-        faces: [],
-        objects: [],
-        scenes: [],
-        inappropriateVisual: false,
-        copyrightContent: false,
-        violence: false
-      };
+  registerAnalysisPlugins() {
+    this.analyzer.use({
+      name: 'speech',
+      media: 'audio',
+      description: 'Transcribes the sampled audio and checks it for profanity',
+      analyze: async ({ audio }) => {
+        if (!this.transcription.isAvailable()) {
+          return { skipped: 'No transcription engine configured' };
+        }
+
+        const transcription = await this.transcribeAudio(await audio());
+        const profanity = await this.detectProfanity(transcription);
+        return {
+          transcription,
+          violations: profanity ? [{ type: 'inappropriate_audio', severity: 'medium' }] : []
+        };
+      }
+    });
+
+    this.analyzer.use({
+      name: 'fingerprint',
+      media: 'audio',
+      description: 'Matches the sampled audio against rights holders\' reference tracks',
+      analyze: async ({ audio, live, subject }) => {
+        const matches = await this.copyright.scan(await audio(), {
+          streamId: subject.streamId,
+          recordingId: subject.recordingId,
+          source: subject.source,
+          live
+        });
+
+        return {
+          matches,
+          // Low severity: a match is evidence for the rights holder to
+          // review, it never flags or suspends the stream by itself
+          violations: matches.map(match => ({
+            type: 'copyright_music',
+            severity: 'low',
+            confidence: match.confidence,
+            time: match.start,
+            trackId: match.trackId,
+            matchId: match.matchId || null
+          }))
+        };
+      }
+    });
+
+    const modules = (process.env.CONTENT_ANALYSIS_PLUGINS || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    for (const name of modules) {
+      try {
+        const exported = require(name.startsWith('.') ? path.resolve(name) : name);
+        const plugins = typeof exported === 'function' ? exported(this) : exported;
+        [].concat(plugins).forEach(plugin => this.analyzer.use(plugin));
+        this.logger.info(`Loaded content analysis plugins from ${name}`);
+      } catch (error) {
+        this.logger.error(`Error loading content analysis plugins from ${name}:`, error);
+      }
+    }
+  }
 
-      // Get video stream URL
-      const videoUrl = await this.getStreamVideoUrl(streamId);
-      if (!videoUrl) {
-        return null;
+  /**
+   * Where to sample a stream's media: { kind: 'live' | 'recording', input,
+   * recordingId }, or null when there is nothing to read
+   */
+  async getAnalysisSource(stream, recordingId = null) {
+    if (recordingId) {
+      const [rows] = await this.db.execute(
+        'SELECT id, file_path, storage_url, status FROM stream_recordings WHERE id = ? AND stream_id = ?',
+        [recordingId, stream.id]
+      );
+      if (rows.length === 0) {
+        throw createHttpError('Recording not found', 404);
       }
+      return this.getRecordingSource(rows[0]);
+    }
 
-      // Analyze video quality
-      videoAnalysis.videoQuality = await this.analyzeVideoQuality(videoUrl);
+    if (stream.status === 'live') {
+      return {
+        kind: 'live',
+        input: `${MEDIA_HTTP_URL}/live/${stream.stream_key}/master.m3u8`,
+        recordingId: null
+      };
+    }
 
-      // Detect faces
-      videoAnalysis.faces = await this.detectFaces(videoUrl);
+    const [rows] = await this.db.execute(`
+      SELECT id, file_path, storage_url, status
+      FROM stream_recordings
+      WHERE stream_id = ? AND status = 'completed'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [stream.id]);
+
+    return rows.length > 0 ? this.getRecordingSource(rows[0]) : null;
+  }
+
+  async getRecordingSource(recording) {
+    // The local file when it is still here, else the uploaded copy
+    let input = recording.storage_url || null;
+    if (recording.file_path) {
+      try {
+        await fs.access(recording.file_path);
+        input = recording.file_path;
+      } catch (error) {
+        // Cleaned up after upload
+      }
+    }
 
-      // Detect objects
-      videoAnalysis.objects = await this.detectObjects(videoUrl);
+    return input ? { kind: 'recording', input, recordingId: recording.id } : null;
+  }
 
-      // Analyze scenes
-      videoAnalysis.scenes = await this.analyzeScenes(videoUrl);
+  /**
+   * Analyses, newest first; flagged ones have violations
+   */
+  async listContentAnalyses(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
 
-      // Check for inappropriate visual content
-      videoAnalysis.inappropriateVisual = await this.detectInappropriateVisual(videoUrl);
+      if (filters.streamId) {
+        conditions.push('a.stream_id = ?');
+        params.push(filters.streamId);
+      }
+      if (filters.status) {
+        conditions.push('a.status = ?');
+        params.push(filters.status);
+      }
+      if (filters.flagged) {
+        conditions.push('JSON_LENGTH(a.violations) > 0');
+      }
 
-      // Check for copyrighted content
-      videoAnalysis.copyrightContent = await this.detectCopyrightedContent(videoUrl);
+      const limit = Math.min(parseInt(filters.limit) || 50, 200);
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
-      // Check for violence
-      videoAnalysis.violence = await this.detectViolence(videoUrl);
+      const [rows] = await this.db.execute(`
+        SELECT a.*, s.title AS stream_title, s.user_id
+        FROM stream_content_analyses a
+        JOIN live_streams s ON s.id = a.stream_id
+        ${where}
+        ORDER BY a.created_at DESC
+        LIMIT ${limit}
+      `, params);
 
-      return videoAnalysis;
+      return rows.map(row => this.parseContentAnalysis(row));
     } catch (error) {
-      this.logger.error('Error analyzing video content:', error);
-      return null;
+      this.logger.error('Error listing content analyses:', error);
+      throw error;
     }
   }
 
+  async getContentAnalysis(analysisId) {
+    const [rows] = await this.db.execute(`
+      SELECT a.*, s.title AS stream_title, s.user_id
+      FROM stream_content_analyses a
+      JOIN live_streams s ON s.id = a.stream_id
+      WHERE a.id = ?
+    `, [analysisId]);
+
+    return rows.length > 0 ? this.parseContentAnalysis(rows[0]) : null;
+  }
+
+  parseContentAnalysis(row) {
+    const json = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    return {
+      id: row.id,
+      streamId: row.stream_id,
+      streamTitle: row.stream_title,
+      ownerId: row.user_id,
+      recordingId: row.recording_id,
+      type: row.analysis_type,
+      source: row.source,
+      status: row.status,
+      contentScore: row.content_score,
+      videoQuality: row.video_quality,
+      audioQuality: row.audio_quality,
+      sampledSeconds: row.sampled_seconds === null ? null : Number(row.sampled_seconds),
+      results: json(row.results) || {},
+      violations: json(row.violations) || [],
+      error: row.error_message,
+      requestedBy: row.requested_by,
+      createdAt: row.created_at,
+      completedAt: row.completed_at
+    };
+  }
+
   /**
    * Handle content moderation reports
    */
@@ -540,64 +726,16 @@ class ContentManager {
     return text.length > 1000 && text.split(' ').length < 10; // placeholder
   }
 
+  /**
+   * Plain-text transcript, or '' when no transcription engine is configured
+   */
   async transcribeAudio(audioUrl) {
-    // Integrate with speech-to-text API
-    return 'Transcribed audio content...'; // placeholder
-  }
-
-  async analyzeAudioQuality(audioUrl) {
-    // Analyze audio quality
-    return 'good'; // placeholder
-  }
-
-  async detectBackgroundNoise(audioUrl) {
-    // Detect background noise level
-    return 'low'; // placeholder
-  }
-
-  async detectCopyrightedMusic(audioUrl) {
-    // Integrate with audio fingerprinting service
-    return false; // placeholder
-  }
-
-  async detectInappropriateAudio(audioUrl) {
-    // Detect inappropriate audio content
-    return false; // placeholder
-  }
-
-  async analyzeVideoQuality(videoUrl) {
-    // Analyze video quality
-    return 'good'; // placeholder
-  }
-
-  async detectFaces(videoUrl) {
-    // Detect faces in video
-    return []; // placeholder
-  }
-
-  async detectObjects(videoUrl) {
-    // Detect objects in video
-    return []; // placeholder
-  }
-
-  async analyzeScenes(videoUrl) {
-    // Analyze video scenes
-    return []; // placeholder
-  }
-
-  async detectInappropriateVisual(videoUrl) {
-    // Detect inappropriate visual content
-    return false; // placeholder
-  }
-
-  async detectCopyrightedContent(videoUrl) {
-    // Detect copyrighted visual content
-    return false; // placeholder
-  }
+    if (!this.transcription.isAvailable()) {
+      return '';
+    }
 
-  async detectViolence(videoUrl) {
-    // Detect violence in video
-    return false; // placeholder
+    const { segments } = await this.transcription.transcribe(audioUrl);
+    return segments.map(segment => segment.text).join(' ');
   }
 
   /**
@@ -611,8 +749,14 @@ class ContentManager {
     if (analysisResults.text?.profanity) score -= 20;
     if (analysisResults.text?.spam) score -= 25;
     if (analysisResults.audio?.copyrightMusic) score -= 40;
+    if (analysisResults.audio?.inappropriateAudio) score -= 20;
     if (analysisResults.video?.inappropriateVisual) score -= 50;
     if (analysisResults.video?.violence) score -= 60;
+
+    // Technical quality counts for less than what the content is
+    const qualityPenalties = { fair: 5, poor: 15 };
+    score -= qualityPenalties[analysisResults.audio?.audioQuality] || 0;
+    score -= qualityPenalties[analysisResults.video?.videoQuality] || 0;
     
     return Math.max(0, score);
   }
@@ -626,14 +770,10 @@ class ContentManager {
     if (analysisResults.text?.profanity) {
       violations.push({ type: 'profanity', severity: 'medium' });
     }
-    if (analysisResults.audio?.copyrightMusic) {
-      violations.push({ type: 'copyright_music', severity: 'high' });
-    }
-    if (analysisResults.video?.inappropriateVisual) {
-      violations.push({ type: 'inappropriate_visual', severity: 'high' });
-    }
-    if (analysisResults.video?.violence) {
-      violations.push({ type: 'violence', severity: 'critical' });
+
+    // Reported by the detection plugins, with their own severities
+    for (const medium of ['audio', 'video']) {
+      violations.push(...(analysisResults[medium]?.violations || []));
     }
     
     return violations;
@@ -703,36 +843,47 @@ class ContentManager {
     return rows;
   }
 
-  async getStreamAudioUrl(streamId) {
-    // Get audio stream URL
-    return `http://localhost:8080/live/${streamId}/audio.m3u8`; // placeholder
-  }
-
-  async getStreamVideoUrl(streamId) {
-    // Get video stream URL
-    return `http://localhost:8080/live/${streamId}/index.m3u8`; // placeholder
-  }
-
   async saveContentAnalysis(analysis) {
     const query = `
-      INSERT INTO content_analysis (
-        id, stream_id, analysis_type, results, content_score, 
-        violations, status, created_at
+      INSERT INTO stream_content_analyses (
+        id, stream_id, recording_id, analysis_type, source,
+        status, requested_by, created_at
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     await this.db.execute(query, [
       analysis.id,
       analysis.streamId,
+      analysis.recordingId,
       analysis.type,
-      JSON.stringify(analysis.results),
-      analysis.contentScore,
-      JSON.stringify(analysis.violations),
+      analysis.source,
       analysis.status,
+      analysis.requestedBy,
       analysis.startedAt
     ]);
   }
 
+  async completeContentAnalysis(analysis) {
+    const query = `
+      UPDATE stream_content_analyses
+      SET status = ?, content_score = ?, video_quality = ?, audio_quality = ?,
+        sampled_seconds = ?, results = ?, violations = ?, error_message = ?, completed_at = NOW()
+      WHERE id = ?
+    `;
+
+    await this.db.execute(query, [
+      analysis.status,
+      analysis.contentScore ?? null,
+      analysis.results.video ? analysis.results.video.videoQuality : null,
+      analysis.results.audio ? analysis.results.audio.audioQuality : null,
+      analysis.sampledSeconds ?? null,
+      JSON.stringify(analysis.results),
+      JSON.stringify(analysis.violations || []),
+      analysis.error || null,
+      analysis.id
+    ]);
+  }
+
   async updateCategoryStats(category) {
     // Update category statistics
     await this.redis.incr(`category:${category}:streams`);
@@ -751,4 +902,5 @@ class ContentManager {
   }
 }
 
+
 module.exports = ContentManager;
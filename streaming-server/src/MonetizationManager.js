@@ -1,6 +1,6 @@
 /**
  * MonetizationManager - Comprehensive Monetization System
- * 
+ *
  * Handles:
  * - Subscription-based streaming (monthly/yearly plans)
  * - Pay-per-view events and premium content
@@ -10,16 +10,21 @@
  * - Sponsorship and brand partnership management
  * - Payment processing and financial reporting
  * - Tax compliance and international payments
+ *
+ * Payments go through a pluggable gateway (see src/payments). Orders are
+ * only fulfilled - access granted, creator balances credited - once the
+ * gateway reports the payment as succeeded.
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { createPaymentGateway, createPaymentError } = require('./payments');
 
 class MonetizationManager {
-  constructor(dbPool, redisClient, logger) {
+  constructor(dbPool, redisClient, logger, paymentGateway = null) {
     this.db = dbPool;
     this.redis = redisClient;
     this.logger = logger;
-    
+
     // Monetization configuration
     this.config = {
       subscriptionPlans: {
@@ -61,11 +66,15 @@ class MonetizationManager {
         ppv: 0.75, // 75% to creator, 25% to platform
         ads: 0.60 // 60% to creator, 40% to platform
       },
+      paymentGateway: process.env.PAYMENT_GATEWAY || 'stripe',
       paymentMethods: ['stripe', 'paypal', 'crypto'],
       minimumPayout: 50.00,
-      payoutSchedule: 'weekly'
+      payoutSchedule: 'weekly',
+      payoutReconcileInterval: 5 * 60 * 1000
     };
 
+    this.paymentGateway = paymentGateway || createPaymentGateway(this.config.paymentGateway, logger);
+
     // Active monetization sessions
     this.monetizationSessions = new Map();
   }
@@ -73,7 +82,7 @@ class MonetizationManager {
   /**
    * Handle subscription management
    */
-  async createSubscription(userId, planId, paymentMethodId) {
+  async createSubscription(userId, planId, paymentMethodId, options = {}) {
     try {
       const plan = this.config.subscriptionPlans[planId];
       if (!plan) {
@@ -85,7 +94,7 @@ class MonetizationManager {
         id: subscriptionId,
         userId,
         planId,
-        status: 'active',
+        status: 'past_due',
         currentPeriodStart: new Date(),
         currentPeriodEnd: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
         price: plan.price,
@@ -94,10 +103,30 @@ class MonetizationManager {
         createdAt: new Date()
       };
 
-      // Save subscription to database
+      const payment = await this.chargePayment('subscription', subscriptionId, userId, {
+        amount: plan.price,
+        currency: plan.currency,
+        paymentMethodId,
+        description: `${plan.name} subscription`,
+        context: { subscription },
+        idempotencyKey: options.idempotencyKey
+      });
+
+      if (payment.replayed) {
+        return this.replayedPaymentResponse(payment);
+      }
+      if (payment.status === 'failed') {
+        throw createPaymentError(payment);
+      }
+
+      if (payment.status === 'succeeded') {
+        subscription.status = 'active';
+      }
+
+      // Save subscription to database; it stays past_due until the payment clears
       const query = `
         INSERT INTO subscriptions (
-          id, user_id, plan_id, status, current_period_start, 
+          id, user_id, plan_id, status, current_period_start,
           current_period_end, price, currency, payment_method_id, created_at
         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
@@ -115,27 +144,14 @@ class MonetizationManager {
         subscription.createdAt
       ]);
 
-      // Process payment (integrate with payment processor)
-      const paymentResult = await this.processSubscriptionPayment(subscription);
-      
-      if (paymentResult.success) {
-        // Update user subscription status
-        await this.updateUserSubscriptionStatus(userId, planId);
-        
-        // Log revenue
-        await this.logRevenue({
-          type: 'subscription',
-          userId,
-          amount: plan.price,
-          currency: plan.currency,
-          subscriptionId
-        });
-
-        this.logger.info(`Subscription created: ${subscriptionId} for user ${userId}`);
-        return { success: true, subscription };
-      } else {
-        throw new Error('Payment processing failed');
+      if (payment.status !== 'succeeded') {
+        return this.pendingPaymentResponse(payment, { subscription });
       }
+
+      await this.activateSubscription(subscription);
+
+      this.logger.info(`Subscription created: ${subscriptionId} for user ${userId}`);
+      return { success: true, subscription, paymentId: payment.id };
     } catch (error) {
       this.logger.error('Error creating subscription:', error);
       throw error;
@@ -195,7 +211,7 @@ class MonetizationManager {
   /**
    * Purchase PPV event access
    */
-  async purchasePPVAccess(userId, eventId, paymentMethodId) {
+  async purchasePPVAccess(userId, eventId, paymentMethodId, options = {}) {
     try {
       // Get event details
       const event = await this.getPPVEvent(eventId);
@@ -226,45 +242,62 @@ class MonetizationManager {
       };
 
       // Process payment
-      const paymentResult = await this.processPPVPayment(purchase);
-      
-      if (paymentResult.success) {
-        purchase.status = 'completed';
-        
-        // Save purchase to database
-        const query = `
-          INSERT INTO ppv_purchases (
-            id, user_id, event_id, price, currency, 
-            payment_method_id, status, purchased_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        await this.db.execute(query, [
-          purchase.id,
-          purchase.userId,
-          purchase.eventId,
-          purchase.price,
-          purchase.currency,
-          purchase.paymentMethodId,
-          purchase.status,
-          purchase.purchasedAt
-        ]);
-
-        // Log revenue
-        await this.logRevenue({
-          type: 'ppv',
-          userId: event.creatorId,
-          amount: event.price,
-          currency: event.currency,
-          eventId,
-          purchaseId
-        });
+      const payment = await this.chargePayment('ppv', purchaseId, userId, {
+        amount: event.price,
+        currency: event.currency,
+        paymentMethodId,
+        description: `Pay-per-view: ${event.title}`,
+        context: { purchase, creatorId: event.creator_id },
+        idempotencyKey: options.idempotencyKey
+      });
+
+      if (payment.replayed) {
+        return this.replayedPaymentResponse(payment);
+      }
+
+      purchase.status = this.getOrderStatus(payment);
+      purchase.paymentIntentId = payment.id;
 
-        this.logger.info(`PPV access purchased: ${purchaseId} for event ${eventId}`);
-        return { success: true, purchase };
-      } else {
-        throw new Error('Payment processing failed');
+      // Save purchase to database; a retry after a failed attempt replaces the old row
+      const query = `
+        INSERT INTO ppv_purchases (
+          id, user_id, event_id, price, currency,
+          payment_method_id, stripe_payment_intent_id, status, purchased_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          id = VALUES(id),
+          price = VALUES(price),
+          currency = VALUES(currency),
+          payment_method_id = VALUES(payment_method_id),
+          stripe_payment_intent_id = VALUES(stripe_payment_intent_id),
+          status = VALUES(status),
+          purchased_at = VALUES(purchased_at),
+          refunded_at = NULL
+      `;
+
+      await this.db.execute(query, [
+        purchase.id,
+        purchase.userId,
+        purchase.eventId,
+        purchase.price,
+        purchase.currency,
+        purchase.paymentMethodId,
+        purchase.paymentIntentId,
+        purchase.status,
+        purchase.purchasedAt
+      ]);
+
+      if (payment.status === 'failed') {
+        throw createPaymentError(payment);
+      }
+      if (payment.status !== 'succeeded') {
+        return this.pendingPaymentResponse(payment, { purchase });
       }
+
+      await this.fulfillPPVPurchase(purchase, event.creator_id);
+
+      this.logger.info(`PPV access purchased: ${purchaseId} for event ${eventId}`);
+      return { success: true, purchase, paymentId: payment.id };
     } catch (error) {
       this.logger.error('Error purchasing PPV access:', error);
       throw error;
@@ -274,7 +307,7 @@ class MonetizationManager {
   /**
    * Send virtual gift
    */
-  async sendVirtualGift(senderId, recipientId, giftId, streamId, message = '') {
+  async sendVirtualGift(senderId, recipientId, giftId, streamId, message = '', paymentMethodId = null, options = {}) {
     try {
       const gift = this.config.virtualGifts[giftId];
       if (!gift) {
@@ -292,54 +325,34 @@ class MonetizationManager {
         price: gift.price,
         value: gift.value,
         message,
+        paymentMethodId,
         sentAt: new Date()
       };
 
-      // Check sender's balance or process payment
-      const paymentResult = await this.processGiftPayment(giftTransaction);
-      
-      if (paymentResult.success) {
-        // Save gift transaction
-        const query = `
-          INSERT INTO virtual_gifts (
-            id, sender_id, recipient_id, stream_id, gift_id, 
-            gift_name, price, value, message, sent_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        await this.db.execute(query, [
-          giftTransaction.id,
-          giftTransaction.senderId,
-          giftTransaction.recipientId,
-          giftTransaction.streamId,
-          giftTransaction.giftId,
-          giftTransaction.giftName,
-          giftTransaction.price,
-          giftTransaction.value,
-          giftTransaction.message,
-          giftTransaction.sentAt
-        ]);
-
-        // Update recipient's earnings
-        await this.updateCreatorEarnings(recipientId, gift.value * this.config.revenueSharing.donations);
-
-        // Log revenue
-        await this.logRevenue({
-          type: 'gift',
-          userId: recipientId,
-          amount: gift.price,
-          currency: 'USD',
-          giftId: transactionId
-        });
-
-        // Broadcast gift to stream viewers
-        this.broadcastGiftToStream(streamId, giftTransaction);
+      const payment = await this.chargePayment('gift', transactionId, senderId, {
+        amount: gift.price,
+        currency: 'USD',
+        paymentMethodId,
+        description: `Virtual gift: ${gift.name}`,
+        context: { giftTransaction },
+        idempotencyKey: options.idempotencyKey
+      });
 
-        this.logger.info(`Virtual gift sent: ${giftId} from ${senderId} to ${recipientId}`);
-        return { success: true, transaction: giftTransaction };
-      } else {
-        throw new Error('Payment processing failed');
+      if (payment.replayed) {
+        return this.replayedPaymentResponse(payment);
+      }
+      if (payment.status === 'failed') {
+        throw createPaymentError(payment);
+      }
+      if (payment.status !== 'succeeded') {
+        return this.pendingPaymentResponse(payment, { transaction: giftTransaction });
       }
+
+      giftTransaction.paymentIntentId = payment.id;
+      await this.recordGift(giftTransaction);
+
+      this.logger.info(`Virtual gift sent: ${giftId} from ${senderId} to ${recipientId}`);
+      return { success: true, transaction: giftTransaction, paymentId: payment.id };
     } catch (error) {
       this.logger.error('Error sending virtual gift:', error);
       throw error;
@@ -349,7 +362,7 @@ class MonetizationManager {
   /**
    * Process donation
    */
-  async processDonation(donorId, recipientId, amount, currency, message = '', streamId = null) {
+  async processDonation(donorId, recipientId, amount, currency, message = '', streamId = null, paymentMethodId = null, options = {}) {
     try {
       const donationId = uuidv4();
       const donation = {
@@ -360,59 +373,61 @@ class MonetizationManager {
         amount,
         currency,
         message,
+        paymentMethodId,
         status: 'pending',
         donatedAt: new Date()
       };
 
       // Process payment
-      const paymentResult = await this.processDonationPayment(donation);
-      
-      if (paymentResult.success) {
-        donation.status = 'completed';
-        
-        // Save donation
-        const query = `
-          INSERT INTO donations (
-            id, donor_id, recipient_id, stream_id, amount, 
-            currency, message, status, donated_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        await this.db.execute(query, [
-          donation.id,
-          donation.donorId,
-          donation.recipientId,
-          donation.streamId,
-          donation.amount,
-          donation.currency,
-          donation.message,
-          donation.status,
-          donation.donatedAt
-        ]);
-
-        // Update recipient's earnings
-        const creatorShare = amount * this.config.revenueSharing.donations;
-        await this.updateCreatorEarnings(recipientId, creatorShare);
-
-        // Log revenue
-        await this.logRevenue({
-          type: 'donation',
-          userId: recipientId,
-          amount,
-          currency,
-          donationId
-        });
+      const payment = await this.chargePayment('donation', donationId, donorId, {
+        amount,
+        currency,
+        paymentMethodId,
+        description: 'Donation',
+        context: { donation },
+        idempotencyKey: options.idempotencyKey
+      });
 
-        // Broadcast donation to stream if applicable
-        if (streamId) {
-          this.broadcastDonationToStream(streamId, donation);
-        }
+      if (payment.replayed) {
+        return this.replayedPaymentResponse(payment);
+      }
+
+      donation.status = this.getOrderStatus(payment);
+      donation.paymentIntentId = payment.id;
 
-        this.logger.info(`Donation processed: ${donationId} from ${donorId} to ${recipientId}`);
-        return { success: true, donation };
-      } else {
-        throw new Error('Payment processing failed');
+      // Save donation, including failed attempts
+      const query = `
+        INSERT INTO donations (
+          id, donor_id, recipient_id, stream_id, amount,
+          currency, message, payment_method_id, stripe_payment_intent_id, status, donated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      await this.db.execute(query, [
+        donation.id,
+        donation.donorId,
+        donation.recipientId,
+        donation.streamId,
+        donation.amount,
+        donation.currency,
+        donation.message,
+        donation.paymentMethodId,
+        donation.paymentIntentId,
+        donation.status,
+        donation.donatedAt
+      ]);
+
+      if (payment.status === 'failed') {
+        throw createPaymentError(payment);
       }
+      if (payment.status !== 'succeeded') {
+        return this.pendingPaymentResponse(payment, { donation });
+      }
+
+      await this.fulfillDonation(donation);
+
+      this.logger.info(`Donation processed: ${donationId} from ${donorId} to ${recipientId}`);
+      return { success: true, donation, paymentId: payment.id };
     } catch (error) {
       this.logger.error('Error processing donation:', error);
       throw error;
@@ -475,37 +490,50 @@ class MonetizationManager {
   }
 
   /**
-   * Process creator payout
+   * Process creator payout to the creator's verified payout account
    */
-  async processCreatorPayout(creatorId, amount, paymentMethod) {
+  async processCreatorPayout(creatorId, amount) {
     try {
-      // Check if creator has sufficient balance
-      const balance = await this.getCreatorBalance(creatorId);
-      if (balance < amount) {
-        throw new Error('Insufficient balance for payout');
-      }
-
       if (amount < this.config.minimumPayout) {
         throw new Error(`Minimum payout amount is $${this.config.minimumPayout}`);
       }
 
+      // Only the account the creator connected and verified, never one named by the request
+      const destination = await this.getPayoutDestination(creatorId);
+      if (!destination) {
+        const error = new Error('Connect and verify a payout account before requesting a payout');
+        error.code = 'payout_account_required';
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Reserve the funds up front so concurrent payouts cannot overdraw
+      const [reservation] = await this.db.execute(
+        'UPDATE creator_balances SET balance = balance - ? WHERE creator_id = ? AND balance >= ?',
+        [amount, creatorId, amount]
+      );
+      if (!reservation.affectedRows) {
+        throw new Error('Insufficient balance for payout');
+      }
+
       const payoutId = uuidv4();
       const payout = {
         id: payoutId,
         creatorId,
         amount,
         currency: 'USD',
-        paymentMethod,
-        status: 'pending',
+        paymentMethod: this.paymentGateway.name,
+        destination,
+        status: 'processing',
         requestedAt: new Date()
       };
 
       // Save payout request
       const query = `
         INSERT INTO creator_payouts (
-          id, creator_id, amount, currency, payment_method, 
-          status, requested_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+          id, creator_id, amount, currency, payment_method,
+          payment_details, status, requested_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       await this.db.execute(query, [
@@ -514,33 +542,261 @@ class MonetizationManager {
         payout.amount,
         payout.currency,
         payout.paymentMethod,
+        JSON.stringify({ destination }),
         payout.status,
         payout.requestedAt
       ]);
 
-      // Process payout (integrate with payment processor)
-      const payoutResult = await this.processPayoutTransaction(payout);
-      
-      if (payoutResult.success) {
-        payout.status = 'completed';
-        payout.completedAt = new Date();
-        
-        // Update payout status
-        await this.db.execute(
-          'UPDATE creator_payouts SET status = ?, completed_at = ? WHERE id = ?',
-          [payout.status, payout.completedAt, payout.id]
-        );
+      return await this.submitPayout(payout);
+    } catch (error) {
+      this.logger.error('Error processing creator payout:', error);
+      throw error;
+    }
+  }
 
-        // Deduct from creator balance
-        await this.updateCreatorBalance(creatorId, -amount);
+  /**
+   * The creator's verified Stripe Connect account, if any
+   */
+  async getPayoutDestination(creatorId) {
+    const [rows] = await this.db.execute(`
+      SELECT stripe_account_id FROM creator_payout_settings
+      WHERE creator_id = ? AND payout_method = 'stripe' AND is_verified = TRUE
+    `, [creatorId]);
+    return rows.length ? rows[0].stripe_account_id : null;
+  }
 
-        this.logger.info(`Creator payout processed: ${payoutId} for creator ${creatorId}`);
-        return { success: true, payout };
-      } else {
-        throw new Error('Payout processing failed');
+  /**
+   * Retry payouts whose outcome was unknown under their original
+   * idempotency key, so the gateway pays each one at most once
+   */
+  async reconcilePendingPayouts() {
+    const [rows] = await this.db.execute(
+      "SELECT * FROM creator_payouts WHERE status = 'pending' ORDER BY requested_at ASC"
+    );
+
+    for (const row of rows) {
+      const details = typeof row.payment_details === 'string' ? JSON.parse(row.payment_details) : (row.payment_details || {});
+      try {
+        await this.submitPayout({
+          id: row.id,
+          creatorId: row.creator_id,
+          amount: Number(row.amount),
+          currency: row.currency,
+          paymentMethod: row.payment_method,
+          destination: details.destination,
+          status: row.status,
+          requestedAt: row.requested_at
+        });
+      } catch (error) {
+        this.logger.warn(`Pending payout ${row.id} failed on retry: ${error.message}`);
       }
+    }
+  }
+
+  startPayoutReconciler() {
+    this.payoutTimer = setInterval(() => {
+      this.reconcilePendingPayouts().catch(error => {
+        this.logger.error('Payout reconciliation error:', error);
+      });
+    }, this.config.payoutReconcileInterval);
+    this.payoutTimer.unref();
+  }
+
+  stopPayoutReconciler() {
+    if (this.payoutTimer) {
+      clearInterval(this.payoutTimer);
+      this.payoutTimer = null;
+    }
+  }
+
+  /**
+   * Send a reserved payout to the gateway and settle it. Funds stay
+   * reserved until the gateway says the payout succeeded or failed.
+   */
+  async submitPayout(payout) {
+    const idempotencyKey = `payout:${payout.id}`;
+
+    let payoutResult;
+    try {
+      payoutResult = await this.paymentGateway.createPayout({
+        amount: payout.amount,
+        currency: payout.currency,
+        destination: payout.destination,
+        metadata: { payoutId: payout.id, creatorId: String(payout.creatorId) },
+        idempotencyKey
+      });
     } catch (error) {
-      this.logger.error('Error processing creator payout:', error);
+      // Timed out or dropped: the transfer may have gone through
+      payout.status = 'pending';
+      await this.db.execute(
+        "UPDATE creator_payouts SET status = ?, failure_reason = ? WHERE id = ? AND status IN ('processing', 'pending')",
+        [payout.status, `Outcome unknown, retrying: ${error.message}`, payout.id]
+      );
+      this.logger.warn(`Creator payout ${payout.id} outcome unknown, will retry: ${error.message}`);
+      return { success: false, pending: true, payout };
+    }
+
+    if (payoutResult.status === 'failed') {
+      payout.status = 'failed';
+      const [settled] = await this.db.execute(
+        "UPDATE creator_payouts SET status = ?, failure_reason = ?, processed_at = NOW() WHERE id = ? AND status IN ('processing', 'pending')",
+        [payout.status, payoutResult.failureMessage || 'Payout failed', payout.id]
+      );
+
+      // Release the reserved funds, once
+      if (settled.affectedRows) {
+        await this.savePaymentTransaction(this.payoutTransaction(payout, idempotencyKey, payoutResult));
+        await this.updateCreatorBalance(payout.creatorId, payout.amount);
+      }
+
+      throw createPaymentError(payoutResult, 'Payout processing failed');
+    }
+
+    payout.status = 'completed';
+    payout.transferId = payoutResult.id;
+    payout.completedAt = new Date();
+
+    // Another replica may have settled the same retried payout
+    const [settled] = await this.db.execute(
+      "UPDATE creator_payouts SET status = ?, stripe_transfer_id = ?, processed_at = ?, completed_at = ? WHERE id = ? AND status IN ('processing', 'pending')",
+      [payout.status, payout.transferId, payout.completedAt, payout.completedAt, payout.id]
+    );
+
+    if (settled.affectedRows) {
+      await this.savePaymentTransaction(this.payoutTransaction(payout, idempotencyKey, payoutResult));
+      await this.db.execute(
+        'UPDATE creator_balances SET total_withdrawn = total_withdrawn + ?, last_payout_at = NOW() WHERE creator_id = ?',
+        [payout.amount, payout.creatorId]
+      );
+    }
+
+    this.logger.info(`Creator payout processed: ${payout.id} for creator ${payout.creatorId}`);
+    return { success: true, payout };
+  }
+
+  payoutTransaction(payout, idempotencyKey, result) {
+    return {
+      type: 'payout',
+      referenceId: payout.id,
+      userId: payout.creatorId,
+      amount: payout.amount,
+      currency: payout.currency,
+      idempotencyKey,
+      result
+    };
+  }
+
+  /**
+   * Re-check a payment after the customer completed 3-D Secure and fulfil
+   * the order if it went through
+   */
+  async confirmPayment(paymentId) {
+    try {
+      const transaction = await this.getPaymentTransaction(paymentId);
+      if (!transaction || transaction.type === 'payout' || transaction.type === 'refund') {
+        throw new Error('Payment not found');
+      }
+
+      const summary = { type: transaction.type, referenceId: transaction.reference_id, paymentId };
+
+      if (!this.isPaymentOpen(transaction.status)) {
+        return { success: transaction.status === 'succeeded', status: transaction.status, ...summary };
+      }
+
+      const payment = await this.paymentGateway.retrievePayment(paymentId);
+
+      // Only the caller that moves the transaction out of its open state fulfils the order
+      const settled = await this.settlePaymentTransaction(transaction.id, payment);
+
+      if (payment.status === 'failed') {
+        if (settled) {
+          await this.failOrder(transaction);
+        }
+        throw createPaymentError(payment);
+      }
+      if (payment.status !== 'succeeded') {
+        return this.pendingPaymentResponse(payment, summary);
+      }
+
+      if (settled) {
+        await this.fulfillOrder(transaction);
+        this.logger.info(`Payment confirmed: ${paymentId} for ${transaction.type} ${transaction.reference_id}`);
+      }
+
+      return { success: true, status: 'succeeded', ...summary };
+    } catch (error) {
+      this.logger.error('Error confirming payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund a payment in full or in part and reverse what it paid for
+   */
+  async refundPayment(paymentId, options = {}) {
+    try {
+      const transaction = await this.getPaymentTransaction(paymentId);
+      if (!transaction || transaction.type === 'payout' || transaction.type === 'refund') {
+        throw new Error('Payment not found');
+      }
+
+      if (transaction.status !== 'succeeded') {
+        throw new Error('Only completed payments can be refunded');
+      }
+
+      const refunded = Number(transaction.refunded_amount || 0);
+      const remaining = Number(transaction.amount) - refunded;
+      const amount = options.amount !== undefined ? Number(options.amount) : remaining;
+
+      if (!(amount > 0) || amount > remaining) {
+        throw new Error('Refund amount exceeds the refundable balance');
+      }
+
+      const idempotencyKey = options.idempotencyKey || `refund:${transaction.id}:${refunded + amount}`;
+      const refund = await this.paymentGateway.refundPayment(paymentId, {
+        amount,
+        currency: transaction.currency,
+        reason: options.reason,
+        idempotencyKey
+      });
+
+      await this.savePaymentTransaction({
+        type: 'refund',
+        referenceId: transaction.id,
+        userId: transaction.user_id,
+        amount,
+        currency: transaction.currency,
+        idempotencyKey,
+        result: refund,
+        context: { paymentId, reason: options.reason || null }
+      });
+
+      if (refund.status === 'failed') {
+        throw createPaymentError(refund, 'Refund failed');
+      }
+
+      const fullyRefunded = refunded + amount >= Number(transaction.amount);
+      await this.db.execute(
+        'UPDATE payment_transactions SET refunded_amount = refunded_amount + ?, status = ? WHERE id = ?',
+        [amount, fullyRefunded ? 'refunded' : 'succeeded', transaction.id]
+      );
+
+      await this.reverseOrder(transaction, amount, fullyRefunded);
+
+      this.logger.info(`Payment refunded: ${paymentId} (${amount} ${transaction.currency})`);
+      return {
+        success: true,
+        refund: {
+          id: refund.id,
+          paymentId,
+          amount,
+          currency: transaction.currency,
+          status: refund.status,
+          fullyRefunded
+        }
+      };
+    } catch (error) {
+      this.logger.error('Error refunding payment:', error);
       throw error;
     }
   }
@@ -548,30 +804,353 @@ class MonetizationManager {
   /**
    * Helper methods
    */
-  async processSubscriptionPayment(subscription) {
-    // Integrate with payment processor (Stripe, PayPal, etc.)
-    // For now, return success
-    return { success: true, transactionId: 'txn_' + Date.now() };
+  async chargePayment(type, referenceId, userId, charge) {
+    // Client keys are namespaced per user so one user's key never replays another's payment
+    const idempotencyKey = charge.idempotencyKey
+      ? `${type}:user:${userId}:${charge.idempotencyKey}`
+      : `${type}:${referenceId}`;
+
+    // A retried request replays the recorded outcome instead of charging again
+    const existing = await this.getPaymentTransactionByKey(idempotencyKey, userId);
+    if (existing) {
+      return {
+        id: existing.gateway_payment_id,
+        status: existing.status,
+        amount: Number(existing.amount),
+        currency: existing.currency,
+        clientSecret: null,
+        nextAction: null,
+        failureCode: existing.failure_code,
+        declineCode: existing.decline_code,
+        failureMessage: existing.failure_message,
+        type: existing.type,
+        referenceId: existing.reference_id,
+        replayed: true
+      };
+    }
+
+    const result = await this.paymentGateway.createPayment({
+      amount: charge.amount,
+      currency: charge.currency,
+      paymentMethodId: charge.paymentMethodId,
+      description: charge.description,
+      metadata: { type, referenceId, userId: String(userId) },
+      idempotencyKey
+    });
+
+    await this.savePaymentTransaction({
+      type,
+      referenceId,
+      userId,
+      amount: charge.amount,
+      currency: charge.currency,
+      idempotencyKey,
+      result,
+      context: charge.context
+    });
+
+    return result;
+  }
+
+  async savePaymentTransaction({ type, referenceId, userId, amount, currency, idempotencyKey, result, context = null }) {
+    const query = `
+      INSERT INTO payment_transactions (
+        id, gateway, gateway_payment_id, type, reference_id, user_id, amount, currency,
+        status, idempotency_key, failure_code, decline_code, failure_message, context
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await this.db.execute(query, [
+      uuidv4(),
+      this.paymentGateway.name,
+      result.id || null,
+      type,
+      referenceId,
+      userId || null,
+      amount,
+      currency,
+      result.status,
+      idempotencyKey,
+      result.failureCode || null,
+      result.declineCode || null,
+      result.failureMessage || null,
+      context ? JSON.stringify(context) : null
+    ]);
   }
 
-  async processPPVPayment(purchase) {
-    // Integrate with payment processor
-    return { success: true, transactionId: 'txn_' + Date.now() };
+  async settlePaymentTransaction(transactionId, payment) {
+    const [result] = await this.db.execute(`
+      UPDATE payment_transactions
+      SET status = ?, failure_code = ?, decline_code = ?, failure_message = ?
+      WHERE id = ? AND status IN ('pending', 'requires_action', 'processing')
+    `, [
+      payment.status,
+      payment.failureCode || null,
+      payment.declineCode || null,
+      payment.failureMessage || null,
+      transactionId
+    ]);
+
+    return result.affectedRows > 0 && !this.isPaymentOpen(payment.status);
   }
 
-  async processGiftPayment(giftTransaction) {
-    // Integrate with payment processor
-    return { success: true, transactionId: 'txn_' + Date.now() };
+  async getPaymentTransaction(paymentId) {
+    const query = `
+      SELECT * FROM payment_transactions
+      WHERE gateway_payment_id = ? AND type NOT IN ('payout', 'refund')
+    `;
+    const [rows] = await this.db.execute(query, [paymentId]);
+    return rows[0] ? this.parsePaymentTransaction(rows[0]) : null;
   }
 
-  async processDonationPayment(donation) {
-    // Integrate with payment processor
-    return { success: true, transactionId: 'txn_' + Date.now() };
+  async getPaymentTransactionByKey(idempotencyKey, userId) {
+    const query = 'SELECT * FROM payment_transactions WHERE idempotency_key = ? AND user_id = ?';
+    const [rows] = await this.db.execute(query, [idempotencyKey, userId]);
+    return rows[0] ? this.parsePaymentTransaction(rows[0]) : null;
   }
 
-  async processPayoutTransaction(payout) {
-    // Integrate with payout processor
-    return { success: true, transactionId: 'payout_' + Date.now() };
+  parsePaymentTransaction(row) {
+    return {
+      ...row,
+      context: typeof row.context === 'string' ? JSON.parse(row.context) : (row.context || {})
+    };
+  }
+
+  isPaymentOpen(status) {
+    return ['pending', 'requires_action', 'processing'].includes(status);
+  }
+
+  getOrderStatus(payment) {
+    if (payment.status === 'succeeded') {
+      return 'completed';
+    }
+    return payment.status === 'failed' ? 'failed' : 'pending';
+  }
+
+  /**
+   * Response for payments still waiting on the customer (3-D Secure) or the bank
+   */
+  pendingPaymentResponse(payment, details = {}) {
+    return {
+      success: false,
+      requiresAction: payment.status === 'requires_action',
+      status: payment.status,
+      paymentId: payment.id,
+      clientSecret: payment.clientSecret || null,
+      nextAction: payment.nextAction || null,
+      ...details
+    };
+  }
+
+  replayedPaymentResponse(payment) {
+    if (payment.status === 'failed') {
+      throw createPaymentError(payment);
+    }
+
+    const details = { replayed: true, type: payment.type, referenceId: payment.referenceId };
+    if (payment.status === 'succeeded' || payment.status === 'refunded') {
+      return { success: true, status: payment.status, paymentId: payment.id, ...details };
+    }
+    return this.pendingPaymentResponse(payment, details);
+  }
+
+  async fulfillOrder(transaction) {
+    const { context } = transaction;
+
+    switch (transaction.type) {
+      case 'subscription':
+        await this.db.execute('UPDATE subscriptions SET status = ? WHERE id = ?', ['active', transaction.reference_id]);
+        await this.activateSubscription(context.subscription);
+        break;
+      case 'ppv':
+        await this.db.execute(
+          'UPDATE ppv_purchases SET status = ?, purchased_at = NOW() WHERE id = ?',
+          ['completed', transaction.reference_id]
+        );
+        await this.fulfillPPVPurchase(context.purchase, context.creatorId);
+        break;
+      case 'gift':
+        await this.recordGift({ ...context.giftTransaction, paymentIntentId: transaction.gateway_payment_id });
+        break;
+      case 'donation':
+        await this.db.execute('UPDATE donations SET status = ? WHERE id = ?', ['completed', transaction.reference_id]);
+        await this.fulfillDonation(context.donation);
+        break;
+    }
+  }
+
+  async failOrder(transaction) {
+    switch (transaction.type) {
+      case 'subscription':
+        await this.db.execute(
+          'UPDATE subscriptions SET status = ?, cancelled_at = NOW() WHERE id = ?',
+          ['cancelled', transaction.reference_id]
+        );
+        break;
+      case 'ppv':
+        await this.db.execute('UPDATE ppv_purchases SET status = ? WHERE id = ?', ['failed', transaction.reference_id]);
+        break;
+      case 'donation':
+        await this.db.execute('UPDATE donations SET status = ? WHERE id = ?', ['failed', transaction.reference_id]);
+        break;
+    }
+  }
+
+  /**
+   * Revoke access and take back the creator's share of a refund
+   */
+  async reverseOrder(transaction, amount, fullyRefunded) {
+    const { context } = transaction;
+    const revenue = {
+      userId: transaction.user_id,
+      amount: -amount,
+      currency: transaction.currency,
+      referenceId: transaction.reference_id,
+      referenceType: 'refund'
+    };
+
+    switch (transaction.type) {
+      case 'subscription':
+        if (fullyRefunded) {
+          await this.db.execute(
+            'UPDATE subscriptions SET status = ?, cancelled_at = NOW() WHERE id = ?',
+            ['cancelled', transaction.reference_id]
+          );
+          await this.db.execute(
+            'UPDATE users SET subscription_status = ? WHERE id = ?',
+            ['cancelled', transaction.user_id]
+          );
+        }
+        await this.logRevenue({ ...revenue, type: 'subscription' });
+        break;
+      case 'ppv':
+        if (fullyRefunded) {
+          await this.db.execute(
+            'UPDATE ppv_purchases SET status = ?, refunded_at = NOW() WHERE id = ?',
+            ['refunded', transaction.reference_id]
+          );
+        }
+        await this.db.execute(
+          'UPDATE ppv_events SET total_sales = total_sales - ? WHERE id = ?',
+          [amount, context.purchase.eventId]
+        );
+        await this.updateCreatorEarnings(context.creatorId, -amount * this.config.revenueSharing.ppv);
+        await this.logRevenue({ ...revenue, type: 'ppv', userId: context.creatorId });
+        break;
+      case 'gift':
+        await this.updateCreatorEarnings(context.giftTransaction.recipientId, -amount * this.config.revenueSharing.donations);
+        await this.logRevenue({ ...revenue, type: 'gift', userId: context.giftTransaction.recipientId });
+        break;
+      case 'donation':
+        if (fullyRefunded) {
+          await this.db.execute(
+            'UPDATE donations SET status = ?, refunded_at = NOW() WHERE id = ?',
+            ['refunded', transaction.reference_id]
+          );
+        }
+        await this.updateCreatorEarnings(context.donation.recipientId, -amount * this.config.revenueSharing.donations);
+        await this.logRevenue({ ...revenue, type: 'donation', userId: context.donation.recipientId });
+        break;
+    }
+  }
+
+  async activateSubscription(subscription) {
+    // Update user subscription status
+    await this.updateUserSubscriptionStatus(subscription.userId, subscription.planId);
+
+    // Log revenue
+    await this.logRevenue({
+      type: 'subscription',
+      userId: subscription.userId,
+      amount: subscription.price,
+      currency: subscription.currency,
+      referenceId: subscription.id,
+      referenceType: 'subscription'
+    });
+  }
+
+  async fulfillPPVPurchase(purchase, creatorId) {
+    await this.updateCreatorEarnings(creatorId, purchase.price * this.config.revenueSharing.ppv);
+
+    await this.db.execute(
+      'UPDATE ppv_events SET total_sales = total_sales + ? WHERE id = ?',
+      [purchase.price, purchase.eventId]
+    );
+
+    // Log revenue
+    await this.logRevenue({
+      type: 'ppv',
+      userId: creatorId,
+      amount: purchase.price,
+      currency: purchase.currency,
+      referenceId: purchase.id,
+      referenceType: 'ppv_purchase'
+    });
+  }
+
+  async recordGift(giftTransaction) {
+    // Save gift transaction
+    const query = `
+      INSERT INTO virtual_gifts (
+        id, sender_id, recipient_id, stream_id, gift_id,
+        gift_name, price, value, message, payment_method_id,
+        stripe_payment_intent_id, sent_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await this.db.execute(query, [
+      giftTransaction.id,
+      giftTransaction.senderId,
+      giftTransaction.recipientId,
+      giftTransaction.streamId,
+      giftTransaction.giftId,
+      giftTransaction.giftName,
+      giftTransaction.price,
+      giftTransaction.value,
+      giftTransaction.message,
+      giftTransaction.paymentMethodId,
+      giftTransaction.paymentIntentId,
+      new Date(giftTransaction.sentAt)
+    ]);
+
+    // Update recipient's earnings from the amount actually paid
+    await this.updateCreatorEarnings(
+      giftTransaction.recipientId,
+      giftTransaction.price * this.config.revenueSharing.donations
+    );
+
+    // Log revenue
+    await this.logRevenue({
+      type: 'gift',
+      userId: giftTransaction.recipientId,
+      amount: giftTransaction.price,
+      currency: 'USD',
+      referenceId: giftTransaction.id,
+      referenceType: 'virtual_gift'
+    });
+
+    // Broadcast gift to stream viewers
+    this.broadcastGiftToStream(giftTransaction.streamId, giftTransaction);
+  }
+
+  async fulfillDonation(donation) {
+    // Update recipient's earnings
+    await this.updateCreatorEarnings(donation.recipientId, donation.amount * this.config.revenueSharing.donations);
+
+    // Log revenue
+    await this.logRevenue({
+      type: 'donation',
+      userId: donation.recipientId,
+      amount: donation.amount,
+      currency: donation.currency,
+      referenceId: donation.id,
+      referenceType: 'donation'
+    });
+
+    // Broadcast donation to stream if applicable
+    if (donation.streamId) {
+      this.broadcastDonationToStream(donation.streamId, donation);
+    }
   }
 
   async updateUserSubscriptionStatus(userId, planId) {
@@ -581,17 +1160,19 @@ class MonetizationManager {
 
   async updateCreatorEarnings(creatorId, amount) {
     const query = `
-      INSERT INTO creator_earnings (creator_id, amount, earned_at)
-      VALUES (?, ?, NOW())
-      ON DUPLICATE KEY UPDATE amount = amount + VALUES(amount)
+      INSERT INTO creator_balances (creator_id, balance, total_earned)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        balance = balance + VALUES(balance),
+        total_earned = total_earned + VALUES(total_earned)
     `;
-    await this.db.execute(query, [creatorId, amount]);
+    await this.db.execute(query, [creatorId, amount, amount]);
   }
 
   async updateCreatorBalance(creatorId, amount) {
     const query = `
-      UPDATE creator_balances 
-      SET balance = balance + ? 
+      UPDATE creator_balances
+      SET balance = balance + ?
       WHERE creator_id = ?
     `;
     await this.db.execute(query, [amount, creatorId]);
@@ -606,20 +1187,30 @@ class MonetizationManager {
   async logRevenue(revenueData) {
     const query = `
       INSERT INTO revenue_logs (
-        id, type, user_id, amount, currency, reference_id, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, NOW())
+        id, type, user_id, amount, currency, platform_fee, creator_share,
+        reference_id, reference_type, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
     `;
-    
-    const referenceId = revenueData.subscriptionId || revenueData.eventId || 
-                       revenueData.giftId || revenueData.donationId;
-    
+
+    const shares = {
+      subscription: this.config.revenueSharing.subscriptions,
+      ppv: this.config.revenueSharing.ppv,
+      donation: this.config.revenueSharing.donations,
+      gift: this.config.revenueSharing.donations,
+      ad: this.config.revenueSharing.ads
+    };
+    const creatorShare = revenueData.amount * (shares[revenueData.type] ?? 1);
+
     await this.db.execute(query, [
       uuidv4(),
       revenueData.type,
       revenueData.userId,
       revenueData.amount,
       revenueData.currency,
-      referenceId
+      revenueData.amount - creatorShare,
+      creatorShare,
+      revenueData.referenceId,
+      revenueData.referenceType || revenueData.type
     ]);
   }
 
@@ -2,7 +2,12 @@
  * QualityManager - Adaptive Bitrate Streaming and Quality Control
  * 
  * Handles:
- * - Multi-bitrate encoding (ABR)
+ * - Multi-bitrate encoding (ABR): one ffmpeg process per stream decodes the
+ *   input once and fans out to a ladder derived from the probed input, so
+ *   renditions are never upscaled and share keyframe positions
+ * - Latency modes: standard HLS (MPEG-TS segments) or low latency, where
+ *   ffmpeg writes chunked CMAF segments with a DASH manifest and
+ *   LowLatencyHlsPackager serves LL-HLS playlists over the same files
  * - Automatic quality adjustment based on network conditions
  * - Quality metrics collection and analysis
  * - Bandwidth optimization
@@ -12,6 +17,37 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs').promises;
+const LowLatencyHlsPackager = require('./packaging/LowLatencyHlsPackager');
+const { createHttpError } = require('./utils/errors');
+
+// Seconds per HLS segment; every rendition forces a keyframe at each boundary
+const SEGMENT_DURATION = 2;
+
+// Seconds per CMAF chunk (LL-HLS part) in low latency mode
+const PART_DURATION = 0.5;
+
+const LATENCY_MODES = ['standard', 'low'];
+
+const LADDER_OVERRIDE_FIELDS = ['resolution', 'videoBitrate', 'audioBitrate', 'fps', 'profile', 'level'];
+
+function parseResolution(resolution) {
+  const [width, height] = resolution.split('x').map(value => parseInt(value));
+  return { width, height };
+}
+
+/**
+ * "30000/1001" -> 29.97
+ */
+function parseFrameRate(rate) {
+  const [numerator, denominator = 1] = String(rate || '').split('/').map(Number);
+  const fps = numerator / denominator;
+  return Number.isFinite(fps) && fps > 0 ? Math.round(fps * 100) / 100 : null;
+}
+
+// x264 needs even dimensions
+function evenDimension(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
 
 class QualityManager {
   constructor(logger, redisClient) {
@@ -72,51 +108,76 @@ class QualityManager {
 
     // Active quality sessions
     this.qualitySessions = new Map();
+
+    // Renditions are written to <liveDir>/<streamKey>/<quality>
+    this.liveDir = './media/live';
   }
 
   /**
    * Initialize multi-bitrate encoding for a stream
+   *
+   * options (merged over the stream's stored ladder overrides):
+   * - qualities: names from qualityPresets to offer
+   * - maxQuality: highest quality the stream may use
+   * - presets: { [quality]: partial preset } overriding qualityPresets
+   * - latencyMode: 'standard' (default) or 'low'
    */
-  async initializeABR(streamKey, inputSource) {
+  async initializeABR(streamKey, inputSource, options = {}) {
     try {
+      const { latencyMode = 'standard', ...ladderOptions } = options;
+      if (!LATENCY_MODES.includes(latencyMode)) {
+        throw createHttpError(`Unknown latency mode: ${latencyMode}`);
+      }
+
       const sessionId = `abr_${streamKey}_${Date.now()}`;
-      const outputDir = path.join('./media/live', streamKey);
+      const outputDir = path.join(this.liveDir, streamKey);
       
       // Create output directory
       await fs.mkdir(outputDir, { recursive: true });
 
-      // Generate HLS playlists for each quality
-      const qualities = ['240p', '360p', '480p', '720p', '1080p'];
-      const encodingPromises = qualities.map(quality => 
-        this.createQualityVariant(sessionId, inputSource, quality, outputDir)
-      );
+      const source = await this.probeInput(inputSource);
+      const overrides = { ...(await this.getLadderOverrides(streamKey)), ...ladderOptions };
+      const ladder = this.buildLadder(source, overrides);
+
+      // One process decodes the input once for every rendition
+      const transcode = await this.startLadderTranscode(sessionId, inputSource, ladder, source, outputDir, latencyMode);
 
-      // Start all encoding processes
-      const encodingProcesses = await Promise.all(encodingPromises);
+      let packager = null;
+      if (latencyMode === 'low') {
+        packager = this.createPackager(ladder, source, outputDir);
+        packager.start();
+      } else {
+        await this.createMasterPlaylist(streamKey, ladder, outputDir);
+      }
 
-      // Create master playlist
-      await this.createMasterPlaylist(streamKey, qualities, outputDir);
+      const qualities = ladder.map(rendition => rendition.quality);
 
       // Store session info
       this.qualitySessions.set(streamKey, {
         sessionId,
         outputDir,
         qualities,
-        encodingProcesses,
+        ladder,
+        source,
+        transcode,
+        latencyMode,
+        packager,
         startedAt: new Date(),
-        currentQuality: '720p',
+        currentQuality: qualities.includes('720p') ? '720p' : qualities[qualities.length - 1],
         networkCondition: 'good'
       });
 
-      this.logger.info(`ABR initialized for stream ${streamKey} with ${qualities.length} quality variants`);
+      this.logger.info(`ABR initialized for stream ${streamKey} with ${qualities.length} quality variants from ${source.width}x${source.height}@${source.fps}`);
       
       return {
         sessionId,
+        latencyMode,
         masterPlaylist: `${outputDir}/master.m3u8`,
-        qualities: qualities.map(q => ({
-          quality: q,
-          playlist: `${outputDir}/${q}/index.m3u8`,
-          ...this.qualityPresets[q]
+        manifest: packager ? `${outputDir}/manifest.mpd` : null,
+        source,
+        qualities: ladder.map(rendition => ({
+          ...rendition,
+          playlist: packager ? `${outputDir}/${rendition.quality}.m3u8` : `${outputDir}/${rendition.quality}/index.m3u8`
         }))
       };
     } catch (error) {
@@ -126,76 +187,329 @@ class QualityManager {
   }
 
   /**
-   * Create a quality variant for ABR
+   * Read the input's resolution and frame rate
    */
-  async createQualityVariant(sessionId, inputSource, quality, outputDir) {
+  probeInput(inputSource) {
     return new Promise((resolve, reject) => {
-      const preset = this.qualityPresets[quality];
-      const qualityDir = path.join(outputDir, quality);
-      
+      ffmpeg.ffprobe(inputSource, (error, metadata) => {
+        if (error) {
+          return reject(error);
+        }
+
+        const video = metadata.streams.find(stream => stream.codec_type === 'video');
+        if (!video || !video.width || !video.height) {
+          return reject(createHttpError('Input has no video stream', 422));
+        }
+
+        resolve({
+          width: video.width,
+          height: video.height,
+          fps: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate) || 30,
+          hasAudio: metadata.streams.some(stream => stream.codec_type === 'audio')
+        });
+      });
+    });
+  }
+
+  /**
+   * Renditions for a probed input, lowest first
+   *
+   * Presets taller than the input are dropped; widths follow the input's
+   * aspect ratio and frame rates never exceed the input's.
+   */
+  buildLadder(source, overrides = {}) {
+    const presets = { ...this.qualityPresets };
+    for (const [quality, preset] of Object.entries(overrides.presets || {})) {
+      if (!presets[quality]) {
+        throw createHttpError(`Unknown quality preset: ${quality}`);
+      }
+      presets[quality] = { ...presets[quality], ...preset };
+    }
+
+    const names = overrides.qualities || Object.keys(this.qualityPresets);
+    const unknown = names.find(quality => !presets[quality]);
+    if (unknown) {
+      throw createHttpError(`Unknown quality preset: ${unknown}`);
+    }
+
+    let ordered = [...names].sort((a, b) =>
+      parseResolution(presets[a].resolution).height - parseResolution(presets[b].resolution).height);
+
+    if (overrides.maxQuality) {
+      if (!presets[overrides.maxQuality]) {
+        throw createHttpError(`Unknown quality preset: ${overrides.maxQuality}`);
+      }
+      const maxHeight = parseResolution(presets[overrides.maxQuality].resolution).height;
+      ordered = ordered.filter(quality => parseResolution(presets[quality].resolution).height <= maxHeight);
+    }
+
+    if (ordered.length === 0) {
+      throw createHttpError('The ladder needs at least one quality');
+    }
+
+    // Presets are landscape; portrait inputs are matched on their short side
+    const portrait = source.height > source.width;
+    const shortSide = Math.min(source.width, source.height);
+    const aspect = Math.max(source.width, source.height) / shortSide;
+
+    let rungs = ordered.filter(quality => parseResolution(presets[quality].resolution).height <= shortSide);
+    const clampToSource = rungs.length === 0;
+    if (clampToSource) {
+      // Smaller than every preset: one rendition at the input's own size
+      rungs = [ordered[0]];
+    }
+
+    return rungs.map((quality) => {
+      const preset = presets[quality];
+      const height = clampToSource ? shortSide : parseResolution(preset.resolution).height;
+      const width = evenDimension(height * aspect);
+      const size = portrait ? { width: evenDimension(height), height: width } : { width, height: evenDimension(height) };
+
+      return {
+        quality,
+        ...size,
+        resolution: `${size.width}x${size.height}`,
+        fps: Math.min(preset.fps, source.fps),
+        videoBitrate: preset.videoBitrate,
+        audioBitrate: preset.audioBitrate,
+        profile: preset.profile,
+        level: preset.level
+      };
+    });
+  }
+
+  /**
+   * ffmpeg filter graph and output options for a ladder
+   *
+   * The input is decoded once and split per rendition. Keyframes are forced
+   * on segment boundaries by time, so renditions at different frame rates
+   * still switch cleanly.
+   *
+   * Low latency mode writes chunked CMAF through the DASH muxer instead of
+   * HLS, with a single audio representation shared by every rendition.
+   */
+  buildTranscodeOptions(ladder, source, outputDir, latencyMode = 'standard') {
+    const lowLatency = latencyMode === 'low';
+    const filters = [
+      `[0:v]split=${ladder.length}${ladder.map((rendition, index) => `[v${index}]`).join('')}`,
+      ...ladder.map((rendition, index) =>
+        `[v${index}]fps=${rendition.fps},scale=${rendition.width}:${rendition.height}[out${index}]`)
+    ];
+
+    const outputOptions = [];
+    ladder.forEach((rendition, index) => {
+      outputOptions.push('-map', `[out${index}]`);
+      if (source.hasAudio && !lowLatency) {
+        outputOptions.push('-map', '0:a:0');
+      }
+    });
+    if (source.hasAudio && lowLatency) {
+      outputOptions.push('-map', '0:a:0');
+    }
+
+    outputOptions.push(
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-tune', 'zerolatency',
+      '-sc_threshold', '0',
+      '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_DURATION})`
+    );
+
+    ladder.forEach((rendition, index) => {
+      const gop = String(Math.round(rendition.fps * SEGMENT_DURATION));
+      outputOptions.push(
+        `-b:v:${index}`, rendition.videoBitrate,
+        `-maxrate:v:${index}`, rendition.videoBitrate,
+        `-bufsize:v:${index}`, `${parseInt(rendition.videoBitrate) * 2}k`,
+        `-profile:v:${index}`, rendition.profile,
+        `-level:v:${index}`, rendition.level,
+        `-g:v:${index}`, gop,
+        `-keyint_min:v:${index}`, gop
+      );
+    });
+
+    if (source.hasAudio) {
+      outputOptions.push('-c:a', 'aac');
+      if (lowLatency) {
+        outputOptions.push('-b:a:0', ladder[ladder.length - 1].audioBitrate);
+      } else {
+        ladder.forEach((rendition, index) => {
+          outputOptions.push(`-b:a:${index}`, rendition.audioBitrate);
+        });
+      }
+    }
+
+    if (lowLatency) {
+      const adaptationSets = source.hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v';
+      outputOptions.push(
+        '-seg_duration', String(SEGMENT_DURATION),
+        '-frag_type', 'duration',
+        '-frag_duration', String(PART_DURATION),
+        '-ldash', '1',
+        '-streaming', '1',
+        '-use_template', '1',
+        '-use_timeline', '0',
+        '-window_size', '10',
+        '-extra_window_size', '5',
+        '-remove_at_exit', '1',
+        '-adaptation_sets', adaptationSets,
+        '-init_seg_name', 'init-$RepresentationID$.m4s',
+        '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+        '-format_options', 'movflags=cmaf',
+        '-f', 'dash'
+      );
+
+      return { filters, outputOptions, output: path.join(outputDir, 'manifest.mpd') };
+    }
+
+    const streamMap = ladder.map((rendition, index) => source.hasAudio
+      ? `v:${index},a:${index},name:${rendition.quality}`
+      : `v:${index},name:${rendition.quality}`);
+
+    outputOptions.push(
+      '-var_stream_map', streamMap.join(' '),
+      '-hls_time', String(SEGMENT_DURATION),
+      '-hls_list_size', '10',
+      '-hls_flags', 'delete_segments+independent_segments',
+      '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%03d.ts'),
+      '-f', 'hls'
+    );
+
+    return { filters, outputOptions, output: path.join(outputDir, '%v', 'index.m3u8') };
+  }
+
+  /**
+   * Start the shared-decode transcode; resolves once ffmpeg is running
+   */
+  async startLadderTranscode(sessionId, inputSource, ladder, source, outputDir, latencyMode = 'standard') {
+    if (latencyMode === 'standard') {
+      await Promise.all(ladder.map(rendition =>
+        fs.mkdir(path.join(outputDir, rendition.quality), { recursive: true })));
+    }
+
+    const { filters, outputOptions, output } = this.buildTranscodeOptions(ladder, source, outputDir, latencyMode);
+
+    return new Promise((resolve, reject) => {
+      let started = false;
+
       const command = ffmpeg(inputSource)
         .inputOptions([
           '-re', // Read input at native frame rate
           '-fflags', '+genpts'
         ])
-        .videoCodec('libx264')
-        .audioCodec('aac')
-        .size(preset.resolution)
-        .videoBitrate(preset.videoBitrate)
-        .audioBitrate(preset.audioBitrate)
-        .fps(preset.fps)
-        .outputOptions([
-          '-preset', 'veryfast',
-          '-tune', 'zerolatency',
-          '-profile:v', preset.profile,
-          '-level', preset.level,
-          '-g', '60', // GOP size (2 seconds at 30fps)
-          '-keyint_min', '60',
-          '-sc_threshold', '0',
-          '-hls_time', '2',
-          '-hls_list_size', '10',
-          '-hls_flags', 'delete_segments+append_list',
-          '-hls_segment_filename', `${qualityDir}/segment_%03d.ts`,
-          '-f', 'hls'
-        ])
-        .output(`${qualityDir}/index.m3u8`)
+        .complexFilter(filters)
+        .outputOptions(outputOptions)
+        .output(output)
         .on('start', (commandLine) => {
-          this.logger.debug(`FFmpeg started for ${quality}: ${commandLine}`);
+          started = true;
+          this.logger.debug(`FFmpeg started for ${sessionId}: ${commandLine}`);
+          resolve(command);
         })
         .on('progress', (progress) => {
-          this.updateQualityMetrics(sessionId, quality, progress);
+          this.updateQualityMetrics(sessionId, 'transcode', progress);
         })
         .on('error', (err) => {
-          this.logger.error(`FFmpeg error for ${quality}:`, err);
-          reject(err);
+          this.logger.error(`FFmpeg error for ${sessionId}:`, err);
+          if (!started) {
+            reject(err);
+          }
         })
         .on('end', () => {
-          this.logger.info(`FFmpeg finished for ${quality}`);
-          resolve();
+          this.logger.info(`FFmpeg finished for ${sessionId}`);
         });
 
-      // Create quality directory
-      fs.mkdir(qualityDir, { recursive: true }).then(() => {
-        command.run();
-      }).catch(reject);
+      command.run();
+    });
+  }
+
+  /**
+   * LL-HLS packager over the CMAF output; DASH representation ids follow
+   * the order streams are mapped in (video renditions, then audio)
+   */
+  createPackager(ladder, source, outputDir) {
+    const renditions = ladder.map((rendition, index) => ({
+      id: index,
+      name: rendition.quality,
+      type: 'video',
+      bandwidth: parseInt(rendition.videoBitrate) * 1000,
+      resolution: rendition.resolution,
+      fps: rendition.fps
+    }));
+
+    if (source.hasAudio) {
+      renditions.push({
+        id: ladder.length,
+        name: 'audio',
+        type: 'audio',
+        bandwidth: parseInt(ladder[ladder.length - 1].audioBitrate) * 1000
+      });
+    }
 
-      return command;
+    return new LowLatencyHlsPackager(outputDir, renditions, this.logger, {
+      segmentDuration: SEGMENT_DURATION,
+      partDuration: PART_DURATION
     });
   }
 
+  /**
+   * Packager of a running low latency stream, or null
+   */
+  getPackager(streamKey) {
+    const session = this.qualitySessions.get(streamKey);
+    return session ? session.packager : null;
+  }
+
+  /**
+   * Ladder overrides stored for a stream
+   */
+  async getLadderOverrides(streamKey) {
+    const stored = await this.redis.get(`abr:ladder:${streamKey}`);
+    return stored ? JSON.parse(stored) : {};
+  }
+
+  /**
+   * Store ladder overrides used the next time a stream starts
+   */
+  async setLadderOverrides(streamKey, overrides) {
+    try {
+      const { qualities, maxQuality, presets = {} } = overrides;
+
+      const cleaned = {};
+      if (qualities) {
+        cleaned.qualities = qualities;
+      }
+      if (maxQuality) {
+        cleaned.maxQuality = maxQuality;
+      }
+      cleaned.presets = {};
+      for (const [quality, preset] of Object.entries(presets)) {
+        cleaned.presets[quality] = Object.fromEntries(Object.entries(preset)
+          .filter(([field]) => LADDER_OVERRIDE_FIELDS.includes(field)));
+      }
+
+      // Reject unknown qualities before storing
+      this.buildLadder({ width: 3840, height: 2160, fps: 60, hasAudio: true }, cleaned);
+
+      await this.redis.set(`abr:ladder:${streamKey}`, JSON.stringify(cleaned));
+      return cleaned;
+    } catch (error) {
+      this.logger.error('Error saving ladder overrides:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create HLS master playlist for ABR
    */
-  async createMasterPlaylist(streamKey, qualities, outputDir) {
+  async createMasterPlaylist(streamKey, ladder, outputDir) {
     try {
-      let masterContent = '#EXTM3U\n#EXT-X-VERSION:3\n\n';
+      let masterContent = '#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-INDEPENDENT-SEGMENTS\n\n';
 
-      for (const quality of qualities) {
-        const preset = this.qualityPresets[quality];
-        const bandwidth = parseInt(preset.videoBitrate) * 1000 + parseInt(preset.audioBitrate) * 1000;
+      for (const rendition of ladder) {
+        const bandwidth = parseInt(rendition.videoBitrate) * 1000 + parseInt(rendition.audioBitrate) * 1000;
         
-        masterContent += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${preset.resolution},FRAME-RATE=${preset.fps}\n`;
-        masterContent += `${quality}/index.m3u8\n\n`;
+        masterContent += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${rendition.resolution},FRAME-RATE=${rendition.fps}\n`;
+        masterContent += `${rendition.quality}/index.m3u8\n\n`;
       }
 
       const masterPath = path.join(outputDir, 'master.m3u8');
@@ -334,17 +648,15 @@ class QualityManager {
         currentQuality: session.currentQuality,
         networkCondition: session.networkCondition,
         availableQualities: session.qualities,
-        qualityMetrics: {}
+        source: session.source,
+        ladder: session.ladder,
+        transcodeMetrics: null
       };
 
-      // Get metrics for each quality
-      for (const quality of session.qualities) {
-        const metricsKey = `metrics:${session.sessionId}:${quality}`;
-        const metrics = await this.redis.get(metricsKey);
-        
-        if (metrics) {
-          analytics.qualityMetrics[quality] = JSON.parse(metrics);
-        }
+      // Every rendition comes from the same process
+      const metrics = await this.redis.get(`metrics:${session.sessionId}:transcode`);
+      if (metrics) {
+        analytics.transcodeMetrics = JSON.parse(metrics);
       }
 
       return analytics;
@@ -364,13 +676,12 @@ class QualityManager {
         return;
       }
 
-      // Stop all encoding processes
-      if (session.encodingProcesses) {
-        session.encodingProcesses.forEach(process => {
-          if (process && process.kill) {
-            process.kill('SIGTERM');
-          }
-        });
+      // Stop the transcode
+      if (session.transcode) {
+        session.transcode.kill('SIGTERM');
+      }
+      if (session.packager) {
+        session.packager.stop();
       }
 
       // Cleanup Redis keys
@@ -426,4 +737,6 @@ class QualityManager {
   }
 }
 
+QualityManager.LATENCY_MODES = LATENCY_MODES;
+
 module.exports = QualityManager;
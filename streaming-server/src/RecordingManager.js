@@ -3,17 +3,40 @@
  * 
  * Handles:
  * - Automatic stream recording with FFmpeg
- * - Video processing and transcoding pipeline
+ * - Video processing and transcoding pipeline, run as durable jobs that
+ *   resume at the failed step after a crash or restart
  * - Thumbnail and preview generation
  * - Cloud storage integration (S3, GCS)
  * - VOD playback and delivery
  * - Recording analytics and metrics
+ * - Captions transcribed offline from each finished recording
+ * - Edit decision lists (markers, trims, splits) rendered into new
+ *   renditions with chapters, and short shareable clips
  */
 
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
+const { createStorageProvider } = require('./storage');
+const RecordingJobQueue = require('./recording/RecordingJobQueue');
+const { createHttpError } = require('./utils/errors');
+const {
+  createTranscriptionProvider,
+  buildCues,
+  buildWebVtt,
+  buildSrt,
+  languageLabel
+} = require('./transcription');
+const {
+  buildEditPlan,
+  buildChapterMetadata,
+  buildChapterVtt,
+  buildSegmentFilter
+} = require('./recording/editPlan');
+
+const EDIT_TYPES = ['marker', 'trim', 'split'];
 
 class RecordingManager {
   constructor(dbPool, redisClient, logger) {
@@ -23,6 +46,15 @@ class RecordingManager {
     
     // Active recording sessions
     this.activeRecordings = new Map();
+
+    // Renditions being rendered (rendition id -> promise)
+    this.activeRenders = new Map();
+
+    // Wired up by the server; job progress goes to uploaders over socket.io
+    this.io = null;
+    this.authMiddleware = null;
+    // ContentManager's fingerprint matcher, for copyrighted music in recordings
+    this.copyright = null;
     
     // Recording configuration
     this.config = {
@@ -30,18 +62,30 @@ class RecordingManager {
       maxRecordingSize: parseInt(process.env.MAX_RECORDING_SIZE_GB || '10') * 1024 * 1024 * 1024,
       enableAutoRecording: process.env.ENABLE_RECORDING === 'true',
       storageProvider: process.env.STORAGE_PROVIDER || 'local',
+      // never | after_upload | keep_raw (keep the raw recording, delete derived files)
+      localDeletionPolicy: process.env.LOCAL_DELETION_POLICY || 'after_upload',
       thumbnailInterval: 30, // Generate thumbnail every 30 seconds
       previewDuration: 30, // 30-second preview clips
+      maxEdits: 500, // per recording
+      minClipDuration: 1, // seconds
+      maxClipDuration: parseInt(process.env.RECORDING_MAX_CLIP_DURATION || '120'),
+      transcriptionProvider: process.env.TRANSCRIPTION_PROVIDER || 'whisper',
+      captionLanguage: process.env.CAPTION_LANGUAGE || 'auto', // or a code like 'en'
       transcodingFormats: ['mp4', 'webm'],
       qualityLevels: ['360p', '480p', '720p', '1080p']
     };
 
-    // Storage providers
-    this.storageProviders = {
-      local: this.uploadToLocal.bind(this),
-      s3: this.uploadToS3.bind(this),
-      gcs: this.uploadToGCS.bind(this)
-    };
+    // Storage provider for finished recordings
+    this.storage = createStorageProvider(this.config.storageProvider, this.logger);
+
+    // Speech-to-text for captions
+    this.transcription = createTranscriptionProvider(this.config.transcriptionProvider, this.logger);
+
+    // Post-processing queue, started by the server
+    this.jobs = new RecordingJobQueue(dbPool, logger);
+    this.registerJobSteps();
+    this.jobs.on('progress', job => this.broadcastJobProgress(job));
+    this.jobs.on('failed', job => this.updateRecordingStatus(job.recordingId, 'failed'));
 
     // Initialize storage directories
     this.initializeStorage();
@@ -57,7 +101,8 @@ class RecordingManager {
         path.join(this.config.recordingPath, 'raw'),
         path.join(this.config.recordingPath, 'processed'),
         path.join(this.config.recordingPath, 'thumbnails'),
-        path.join(this.config.recordingPath, 'previews')
+        path.join(this.config.recordingPath, 'previews'),
+        path.join(this.config.recordingPath, 'renditions')
       ];
 
       for (const dir of dirs) {
@@ -194,80 +239,159 @@ class RecordingManager {
   }
 
   /**
-   * Process recorded video (transcoding, thumbnails, etc.)
+   * Queue post-processing (probe, thumbnails, preview, transcode, upload)
+   *
+   * Returns the job; it runs on whichever replica claims it and survives
+   * restarts of this one.
    */
-  async processRecording(recordingId) {
+  async processRecording(recordingId, options = {}) {
     try {
-      const session = this.activeRecordings.get(recordingId);
-      if (!session) {
-        throw new Error('Recording session not found');
+      const recording = await this.getRecording(recordingId);
+      if (!recording) {
+        throw createHttpError('Recording not found', 404);
       }
 
-      this.logger.info(`Starting post-processing for recording ${recordingId}`);
-
-      // Get file info
-      const fileStats = await fs.stat(session.rawPath);
-      session.fileSize = fileStats.size;
-
-      // Generate video metadata
-      const metadata = await this.getVideoMetadata(session.rawPath);
-      session.duration = metadata.duration;
-      session.resolution = `${metadata.width}x${metadata.height}`;
-      session.fps = metadata.fps;
-      session.bitrate = metadata.bitrate;
+      // The recording itself is finished; the rest happens in the job
+      this.activeRecordings.delete(recordingId);
 
-      // Generate thumbnails
-      const thumbnails = await this.generateThumbnails(recordingId, session.rawPath);
-      
-      // Generate preview clip
-      const previewPath = await this.generatePreview(recordingId, session.rawPath);
-      
-      // Transcode to different formats and qualities
-      const transcodedFiles = await this.transcodeVideo(recordingId, session.rawPath);
-      
-      // Upload to cloud storage
-      const uploadResults = await this.uploadRecording(recordingId, session, {
-        thumbnails,
-        previewPath,
-        transcodedFiles
+      return await this.jobs.enqueue('process', recordingId, {
+        priority: options.priority,
+        createdBy: options.createdBy,
+        payload: { rawPath: recording.file_path }
       });
+    } catch (error) {
+      this.logger.error('Error queueing recording processing:', error);
+      throw error;
+    }
+  }
 
-      // Update database with final info
-      await this.finalizeRecording(recordingId, {
-        ...session,
-        thumbnails,
-        previewPath,
-        transcodedFiles,
-        uploadResults,
-        status: 'completed'
-      });
+  /**
+   * Post-processing steps. Each result is saved as the job's checkpoint,
+   * so results must be JSON; a retried job skips the finished steps.
+   */
+  registerJobSteps() {
+    this.jobs.register('process', [
+      {
+        name: 'probe',
+        run: async (job) => {
+          const fileStats = await fs.stat(job.payload.rawPath);
+          const metadata = await this.getVideoMetadata(job.payload.rawPath);
+
+          return {
+            fileSize: fileStats.size,
+            duration: metadata.duration,
+            resolution: `${metadata.width}x${metadata.height}`,
+            fps: metadata.fps,
+            bitrate: metadata.bitrate
+          };
+        }
+      },
+      {
+        name: 'thumbnails',
+        run: job => this.generateThumbnails(job.recordingId, job.payload.rawPath)
+      },
+      {
+        name: 'preview',
+        run: (job, { results }) => this.generatePreview(job.recordingId, job.payload.rawPath, results.probe.duration)
+      },
+      {
+        name: 'transcode',
+        run: (job, { progress }) => this.transcodeVideo(job.recordingId, job.payload.rawPath, progress)
+      },
+      {
+        // Before the upload, which may delete the local recording
+        name: 'captions',
+        run: job => this.generateCaptions(job.recordingId, job.payload.rawPath)
+      },
+      {
+        name: 'copyright',
+        run: job => this.scanCopyright(job.recordingId, job.payload.rawPath)
+      },
+      {
+        name: 'upload',
+        run: (job, { results }) => this.uploadRecording(job.recordingId, { rawPath: job.payload.rawPath }, {
+          thumbnails: results.thumbnails,
+          previewPath: results.preview,
+          transcodedFiles: results.transcode
+        })
+      },
+      {
+        name: 'finalize',
+        run: async (job, { results }) => {
+          await this.finalizeRecording(job.recordingId, {
+            ...results.probe,
+            uploadResults: results.upload,
+            status: 'completed'
+          });
 
-      // Clean up local files if using cloud storage
-      if (this.config.storageProvider !== 'local') {
-        await this.cleanupLocalFiles(recordingId);
+          // Clean up local files if using cloud storage
+          if (this.storage.isRemote()) {
+            await this.cleanupLocalFiles(job.recordingId, results.upload);
+          }
+
+          this.logger.info(`Recording processing completed for ${job.recordingId}`);
+        }
       }
+    ]);
 
-      // Remove from active recordings
-      this.activeRecordings.delete(recordingId);
+    // Transcribing again, e.g. in another language
+    this.jobs.register('captions', [
+      {
+        name: 'transcribe',
+        run: job => this.generateCaptions(job.recordingId, job.payload.rawPath, { language: job.payload.language })
+      }
+    ]);
+  }
 
-      this.logger.info(`Recording processing completed for ${recordingId}`);
-      
-      return {
-        recordingId,
-        status: 'completed',
-        duration: session.duration,
-        fileSize: session.fileSize,
-        thumbnails,
-        previewPath,
-        transcodedFiles
-      };
-    } catch (error) {
-      this.logger.error('Error processing recording:', error);
-      await this.updateRecordingStatus(recordingId, 'failed');
-      throw error;
+  /**
+   * Job progress for uploaders following the recording
+   */
+  broadcastJobProgress(job) {
+    if (this.io) {
+      this.io.to(`recording:${job.recordingId}`).emit('recording:job-progress', this.jobs.serializeJob(job));
     }
   }
 
+  /**
+   * Sockets follow a recording's processing with
+   * recording:subscribe { recordingId, token? }; the stream's owner or an
+   * admin only. Without a token the socket's handshake user is used.
+   */
+  handleConnection(socket) {
+    socket.on('recording:subscribe', async (data = {}) => {
+      try {
+        const user = data.token
+          ? (this.authMiddleware ? await this.authMiddleware.verifyActiveToken(data.token) : null)
+          : socket.user;
+        if (!user) {
+          socket.emit('recording:error', { recordingId: data.recordingId, message: 'Authentication required' });
+          return;
+        }
+
+        const recording = await this.getRecordingWithOwner(data.recordingId);
+        if (!recording || (String(recording.user_id) !== String(user.id) && user.role !== 'admin')) {
+          socket.emit('recording:error', { recordingId: data.recordingId, message: 'Recording not found' });
+          return;
+        }
+
+        socket.join(`recording:${recording.id}`);
+
+        const jobs = await this.jobs.listJobs({ recordingId: recording.id, limit: 10 });
+        socket.emit('recording:subscribed', {
+          recordingId: recording.id,
+          jobs: jobs.map(job => this.jobs.serializeJob(job))
+        });
+      } catch (error) {
+        this.logger.error('Error subscribing to recording progress:', error);
+        socket.emit('recording:error', { recordingId: data.recordingId, message: 'Failed to subscribe to recording' });
+      }
+    });
+
+    socket.on('recording:unsubscribe', (data = {}) => {
+      socket.leave(`recording:${data.recordingId}`);
+    });
+  }
+
   /**
    * Generate video thumbnails
    */
@@ -280,7 +404,8 @@ class RecordingManager {
       const metadata = await this.getVideoMetadata(videoPath);
       const duration = metadata.duration;
       const interval = this.config.thumbnailInterval;
-      const count = Math.min(Math.floor(duration / interval), 20); // Max 20 thumbnails
+      // At least one, so short clips get a thumbnail too; max 20
+      const count = Math.max(1, Math.min(Math.floor(duration / interval), 20));
 
       for (let i = 0; i < count; i++) {
         const timestamp = i * interval;
@@ -314,15 +439,19 @@ class RecordingManager {
 
   /**
    * Generate preview clip
+   *
+   * Starts 30 seconds in; with the video's duration, short videos start
+   * early enough to fill the preview.
    */
-  async generatePreview(recordingId, videoPath) {
+  async generatePreview(recordingId, videoPath, duration = null) {
     try {
       const previewDir = path.join(this.config.recordingPath, 'previews');
       const previewPath = path.join(previewDir, `${recordingId}_preview.mp4`);
+      const start = duration === null ? 30 : Math.max(0, Math.min(30, duration - this.config.previewDuration));
 
       await new Promise((resolve, reject) => {
         ffmpeg(videoPath)
-          .seekInput(30) // Start 30 seconds in
+          .seekInput(start)
           .duration(this.config.previewDuration)
           .videoCodec('libx264')
           .audioCodec('aac')
@@ -348,8 +477,11 @@ class RecordingManager {
 
   /**
    * Transcode video to different formats and qualities
+   *
+   * onProgress gets the fraction of all variants done. Throws, so the
+   * processing job retries the transcode.
    */
-  async transcodeVideo(recordingId, videoPath) {
+  async transcodeVideo(recordingId, videoPath, onProgress = () => {}) {
     try {
       const processedDir = path.join(this.config.recordingPath, 'processed', recordingId);
       await fs.mkdir(processedDir, { recursive: true });
@@ -372,9 +504,12 @@ class RecordingManager {
         return targetHeight <= sourceHeight;
       });
 
+      const variantCount = availableQualities.length * this.config.transcodingFormats.length;
+
       for (const quality of availableQualities) {
         for (const format of this.config.transcodingFormats) {
           const preset = qualityPresets[quality];
+          const done = transcodedFiles.length;
           const outputPath = path.join(processedDir, `${quality}.${format}`);
 
           await new Promise((resolve, reject) => {
@@ -388,6 +523,9 @@ class RecordingManager {
                 '-movflags', '+faststart'
               ])
               .output(outputPath)
+              .on('progress', (progress) => {
+                onProgress((done + Math.min(progress.percent || 0, 100) / 100) / variantCount);
+              })
               .on('end', resolve)
               .on('error', reject)
               .run();
@@ -406,7 +544,7 @@ class RecordingManager {
       return transcodedFiles;
     } catch (error) {
       this.logger.error('Error transcoding video:', error);
-      return [];
+      throw error;
     }
   }
 
@@ -439,54 +577,133 @@ class RecordingManager {
    * Upload recording to storage provider
    */
   async uploadRecording(recordingId, session, files) {
-    try {
-      const uploadProvider = this.storageProviders[this.config.storageProvider];
-      if (!uploadProvider) {
-        throw new Error(`Unknown storage provider: ${this.config.storageProvider}`);
+    const uploadResults = {
+      provider: this.storage.name,
+      files: {
+        raw: null,
+        thumbnails: [],
+        preview: null,
+        transcoded: []
+      },
+      uploaded: [],
+      failed: []
+    };
+
+    const upload = async (localPath, key, kind) => {
+      try {
+        const result = await this.storage.upload(localPath, key);
+        uploadResults.uploaded.push({ ...result, localPath, kind });
+        return result;
+      } catch (error) {
+        this.logger.error(`Error uploading ${localPath} for recording ${recordingId}:`, error);
+        uploadResults.failed.push({ localPath, key, error: error.message });
+        return null;
       }
+    };
 
-      const uploadResults = await uploadProvider(recordingId, session, files);
-      
-      this.logger.info(`Recording ${recordingId} uploaded to ${this.config.storageProvider}`);
-      return uploadResults;
-    } catch (error) {
-      this.logger.error('Error uploading recording:', error);
-      throw error;
+    const raw = await upload(session.rawPath, `raw/${path.basename(session.rawPath)}`, 'raw');
+    uploadResults.files.raw = raw ? raw.url : session.rawPath;
+
+    for (const thumbnail of files.thumbnails || []) {
+      const result = await upload(thumbnail.path, `thumbnails/${recordingId}/${path.basename(thumbnail.path)}`, 'thumbnail');
+      uploadResults.files.thumbnails.push({
+        timestamp: thumbnail.timestamp,
+        url: result ? result.url : thumbnail.url
+      });
+    }
+
+    if (files.previewPath) {
+      const result = await upload(files.previewPath, `previews/${path.basename(files.previewPath)}`, 'preview');
+      uploadResults.files.preview = result ? result.url : files.previewPath;
+    }
+
+    for (const file of files.transcodedFiles || []) {
+      const result = await upload(file.path, `recordings/${recordingId}/${path.basename(file.path)}`, 'transcoded');
+      uploadResults.files.transcoded.push({
+        quality: file.quality,
+        format: file.format,
+        url: result ? result.url : file.url
+      });
+    }
+
+    if (uploadResults.failed.length > 0) {
+      this.logger.warn(`Recording ${recordingId}: ${uploadResults.failed.length} file(s) failed to upload to ${this.storage.name}, keeping local copies`);
+    } else {
+      this.logger.info(`Recording ${recordingId} uploaded to ${this.storage.name}`);
     }
+
+    return uploadResults;
   }
 
   /**
-   * Upload to local storage (no-op, files already local)
+   * Delete local copies of uploaded files according to the deletion policy
    */
-  async uploadToLocal(recordingId, session, files) {
-    return {
-      provider: 'local',
-      baseUrl: '/recordings',
-      files: {
-        raw: session.rawPath,
-        thumbnails: files.thumbnails,
-        preview: files.previewPath,
-        transcoded: files.transcodedFiles
+  async cleanupLocalFiles(recordingId, uploadResults) {
+    const policy = this.config.localDeletionPolicy;
+    if (policy === 'never') {
+      return [];
+    }
+
+    const deleted = [];
+    for (const file of uploadResults.uploaded) {
+      if (policy === 'keep_raw' && file.kind === 'raw') {
+        continue;
       }
-    };
-  }
 
-  /**
-   * Upload to AWS S3 (placeholder implementation)
-   */
-  async uploadToS3(recordingId, session, files) {
-    // TODO: Implement S3 upload
-    this.logger.warn('S3 upload not implemented yet');
-    return this.uploadToLocal(recordingId, session, files);
+      try {
+        await fs.unlink(file.localPath);
+        deleted.push(file.localPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.logger.error(`Error deleting local file ${file.localPath}:`, error);
+        }
+      }
+    }
+
+    // Remove per-recording directories once they are empty
+    for (const dir of ['thumbnails', 'processed']) {
+      await fs.rmdir(path.join(this.config.recordingPath, dir, recordingId)).catch(() => {});
+    }
+
+    this.logger.debug(`Deleted ${deleted.length} local file(s) for recording ${recordingId} (policy: ${policy})`);
+    return deleted;
   }
 
   /**
-   * Upload to Google Cloud Storage (placeholder implementation)
+   * Store final recording details
    */
-  async uploadToGCS(recordingId, session, files) {
-    // TODO: Implement GCS upload
-    this.logger.warn('GCS upload not implemented yet');
-    return this.uploadToLocal(recordingId, session, files);
+  async finalizeRecording(recordingId, recording) {
+    try {
+      const { uploadResults } = recording;
+      const query = `
+        UPDATE stream_recordings
+        SET file_size = ?, duration_seconds = ?, resolution = ?, fps = ?, bitrate = ?,
+            status = ?, processing_completed_at = NOW(), storage_provider = ?,
+            storage_url = ?, thumbnail_url = ?, preview_images = ?, updated_at = NOW()
+        WHERE id = ?
+      `;
+
+      await this.db.execute(query, [
+        recording.fileSize,
+        Math.round(recording.duration || 0),
+        recording.resolution || null,
+        recording.fps || null,
+        recording.bitrate ? parseInt(recording.bitrate) : null,
+        recording.status,
+        uploadResults.provider,
+        uploadResults.files.raw,
+        uploadResults.files.thumbnails[0]?.url || null,
+        JSON.stringify({
+          thumbnails: uploadResults.files.thumbnails,
+          preview: uploadResults.files.preview,
+          transcoded: uploadResults.files.transcoded
+        }),
+        recordingId
+      ]);
+    } catch (error) {
+      this.logger.error('Error finalizing recording:', error);
+      throw error;
+    }
   }
 
   /**
@@ -614,6 +831,689 @@ class RecordingManager {
     }
   }
 
+  /**
+   * Recording with its stream's owner, for permission checks
+   */
+  async getRecordingWithOwner(recordingId) {
+    const [rows] = await this.db.execute(`
+      SELECT r.*, s.user_id
+      FROM stream_recordings r
+      JOIN live_streams s ON s.id = r.stream_id
+      WHERE r.id = ?
+    `, [recordingId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Edit decision list for a recording, with the plan it renders to
+   */
+  async getEditDecisionList(recordingId) {
+    try {
+      const recording = await this.getEditableRecording(recordingId);
+      const edits = await this.listEdits(recordingId);
+
+      return {
+        recordingId,
+        duration: recording.duration,
+        edits,
+        plan: buildEditPlan(edits, recording.duration)
+      };
+    } catch (error) {
+      this.logger.error('Error getting edit decision list:', error);
+      throw error;
+    }
+  }
+
+  async listEdits(recordingId) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM recording_edits WHERE recording_id = ? ORDER BY start_time, created_at',
+      [recordingId]
+    );
+    return rows.map(row => this.parseEdit(row));
+  }
+
+  /**
+   * Add a marker { time, label }, split { time } or trim { start, end }
+   */
+  async addEdit(recordingId, data, userId) {
+    try {
+      const recording = await this.getEditableRecording(recordingId);
+      const edits = await this.listEdits(recordingId);
+      if (edits.length >= this.config.maxEdits) {
+        throw createHttpError(`A recording can have at most ${this.config.maxEdits} edits`, 409);
+      }
+
+      const edit = {
+        id: uuidv4(),
+        recordingId,
+        ...this.normalizeEdit(data, recording.duration)
+      };
+
+      await this.db.execute(`
+        INSERT INTO recording_edits (
+          id, recording_id, type, start_time, end_time, label, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+      `, [
+        edit.id,
+        recordingId,
+        edit.type,
+        edit.type === 'trim' ? edit.start : edit.time,
+        edit.type === 'trim' ? edit.end : null,
+        edit.label,
+        userId || null
+      ]);
+
+      return edit;
+    } catch (error) {
+      this.logger.error('Error adding recording edit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move or relabel an edit; its type cannot change
+   */
+  async updateEdit(recordingId, editId, changes) {
+    try {
+      const recording = await this.getEditableRecording(recordingId);
+      const existing = (await this.listEdits(recordingId)).find(edit => edit.id === editId);
+      if (!existing) {
+        throw createHttpError('Edit not found', 404);
+      }
+
+      const edit = {
+        id: editId,
+        recordingId,
+        ...this.normalizeEdit({ ...existing, ...changes, type: existing.type }, recording.duration)
+      };
+
+      await this.db.execute(
+        'UPDATE recording_edits SET start_time = ?, end_time = ?, label = ?, updated_at = NOW() WHERE id = ?',
+        [
+          edit.type === 'trim' ? edit.start : edit.time,
+          edit.type === 'trim' ? edit.end : null,
+          edit.label,
+          editId
+        ]
+      );
+
+      return edit;
+    } catch (error) {
+      this.logger.error('Error updating recording edit:', error);
+      throw error;
+    }
+  }
+
+  async deleteEdit(recordingId, editId) {
+    try {
+      const [result] = await this.db.execute(
+        'DELETE FROM recording_edits WHERE id = ? AND recording_id = ?',
+        [editId, recordingId]
+      );
+      if (result.affectedRows === 0) {
+        throw createHttpError('Edit not found', 404);
+      }
+    } catch (error) {
+      this.logger.error('Error deleting recording edit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render the edit decision list into a new rendition with chapters.
+   * Resolves once rendering has started; the rendition completes (or
+   * fails) in the background.
+   */
+  async renderEdits(recordingId, userId) {
+    try {
+      const recording = await this.getEditableRecording(recordingId, { needsSource: true });
+
+      const running = [...this.activeRenders.values()]
+        .some(render => render.recordingId === recordingId && render.kind === 'edit');
+      if (running) {
+        throw createHttpError('This recording is already being rendered', 409);
+      }
+
+      const edits = await this.listEdits(recordingId);
+      const plan = buildEditPlan(edits, recording.duration);
+      if (plan.segments.length === 0) {
+        throw createHttpError('The edits leave nothing to render');
+      }
+
+      const rendition = await this.createRendition(recording, {
+        kind: 'edit',
+        title: recording.filename,
+        plan,
+        createdBy: userId
+      });
+
+      this.startRender(rendition, recording, (outputPath, metadataPath) =>
+        this.createEditCommand(recording.file_path, plan.segments, metadataPath, outputPath));
+
+      return rendition;
+    } catch (error) {
+      this.logger.error('Error rendering recording edits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export a short clip { start, end, title } that can be shared by link
+   */
+  async exportClip(recordingId, data, userId) {
+    try {
+      const recording = await this.getEditableRecording(recordingId, { needsSource: true });
+      const start = Number(data.start);
+      const end = Number(data.end);
+
+      if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end > recording.duration || end <= start) {
+        throw createHttpError('Clip must be within the recording');
+      }
+      const length = end - start;
+      if (length < this.config.minClipDuration || length > this.config.maxClipDuration) {
+        throw createHttpError(`Clips must be ${this.config.minClipDuration}-${this.config.maxClipDuration} seconds long`);
+      }
+
+      const plan = {
+        duration: length,
+        removed: recording.duration - length,
+        segments: [{ start, end }],
+        chapters: []
+      };
+
+      const rendition = await this.createRendition(recording, {
+        kind: 'clip',
+        title: data.title || `Clip of ${recording.filename}`,
+        plan,
+        shareId: crypto.randomBytes(9).toString('base64url'),
+        createdBy: userId
+      });
+
+      this.startRender(rendition, recording, outputPath =>
+        this.createClipCommand(recording.file_path, start, end, outputPath));
+
+      return rendition;
+    } catch (error) {
+      this.logger.error('Error exporting clip:', error);
+      throw error;
+    }
+  }
+
+  async listRenditions(recordingId) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM recording_renditions WHERE recording_id = ? ORDER BY created_at DESC',
+      [recordingId]
+    );
+    return rows.map(row => this.parseRendition(row));
+  }
+
+  async getRendition(renditionId) {
+    const [rows] = await this.db.execute('SELECT * FROM recording_renditions WHERE id = ?', [renditionId]);
+    return rows[0] ? this.parseRendition(rows[0]) : null;
+  }
+
+  /**
+   * A completed clip, looked up by its share link
+   */
+  async getSharedClip(shareId) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM recording_renditions WHERE share_id = ? AND kind = ? AND status = ?',
+      [shareId, 'clip', 'completed']
+    );
+    return rows[0] ? this.parseRendition(rows[0]) : null;
+  }
+
+  /**
+   * WebVTT chapters track for a rendition
+   */
+  async getRenditionChapters(renditionId) {
+    const rendition = await this.getRendition(renditionId);
+    return rendition ? buildChapterVtt(rendition.chapters) : null;
+  }
+
+  async createRendition(recording, options) {
+    const rendition = {
+      id: uuidv4(),
+      recordingId: recording.id,
+      kind: options.kind,
+      title: options.title,
+      status: 'rendering',
+      shareId: options.shareId || null,
+      plan: options.plan,
+      chapters: options.plan.chapters,
+      duration: options.plan.duration,
+      createdBy: options.createdBy || null,
+      createdAt: new Date()
+    };
+
+    await this.db.execute(`
+      INSERT INTO recording_renditions (
+        id, recording_id, kind, title, status, share_id, edit_plan, chapters,
+        duration_seconds, created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      rendition.id,
+      rendition.recordingId,
+      rendition.kind,
+      rendition.title,
+      rendition.status,
+      rendition.shareId,
+      JSON.stringify(rendition.plan),
+      JSON.stringify(rendition.chapters),
+      Math.round(rendition.duration),
+      rendition.createdBy,
+      rendition.createdAt
+    ]);
+
+    return this.serializeRendition(rendition);
+  }
+
+  /**
+   * Run a render in the background and finish the rendition when it ends
+   */
+  startRender(rendition, recording, createCommand) {
+    const render = this.runRender(rendition, recording, createCommand)
+      .catch(error => this.logger.error(`Error rendering ${rendition.id}:`, error))
+      .finally(() => this.activeRenders.delete(rendition.id));
+
+    render.recordingId = recording.id;
+    render.kind = rendition.kind;
+    this.activeRenders.set(rendition.id, render);
+    return render;
+  }
+
+  async runRender(rendition, recording, createCommand) {
+    const outputDir = path.join(this.config.recordingPath, 'renditions', recording.id);
+    const outputPath = path.join(outputDir, `${rendition.id}.mp4`);
+    const metadataPath = path.join(outputDir, `${rendition.id}.ffmeta`);
+
+    try {
+      await fs.mkdir(outputDir, { recursive: true });
+      if (rendition.kind === 'edit') {
+        await fs.writeFile(metadataPath, buildChapterMetadata(rendition.chapters, rendition.title));
+      }
+
+      await this.runCommand(createCommand(outputPath, metadataPath));
+
+      // The same thumbnails, preview and upload as the original recording
+      const metadata = await this.getVideoMetadata(outputPath);
+      const thumbnails = await this.generateThumbnails(rendition.id, outputPath);
+      const previewPath = await this.generatePreview(rendition.id, outputPath, metadata.duration);
+      const files = await this.uploadRendition(rendition, recording, { outputPath, thumbnails, previewPath });
+
+      await this.db.execute(`
+        UPDATE recording_renditions
+        SET status = ?, file_path = ?, storage_url = ?, duration_seconds = ?, file_size = ?,
+            thumbnail_url = ?, preview_images = ?, completed_at = NOW()
+        WHERE id = ?
+      `, [
+        'completed',
+        outputPath,
+        files.video,
+        Math.round(metadata.duration || rendition.duration),
+        metadata.size ? parseInt(metadata.size) : null,
+        files.thumbnails[0]?.url || null,
+        JSON.stringify({ thumbnails: files.thumbnails, preview: files.preview }),
+        rendition.id
+      ]);
+
+      this.logger.info(`Rendered ${rendition.kind} ${rendition.id} for recording ${recording.id}`);
+    } catch (error) {
+      await this.db.execute(
+        'UPDATE recording_renditions SET status = ?, error_message = ? WHERE id = ?',
+        ['failed', error.message, rendition.id]
+      );
+      throw error;
+    } finally {
+      await fs.unlink(metadataPath).catch(() => {});
+    }
+  }
+
+  async uploadRendition(rendition, recording, { outputPath, thumbnails, previewPath }) {
+    const prefix = `renditions/${recording.id}`;
+    const upload = async (localPath, key, fallback) => {
+      try {
+        return (await this.storage.upload(localPath, key)).url;
+      } catch (error) {
+        this.logger.error(`Error uploading ${localPath} for rendition ${rendition.id}:`, error);
+        return fallback;
+      }
+    };
+
+    const files = {
+      video: await upload(outputPath, `${prefix}/${path.basename(outputPath)}`, outputPath),
+      thumbnails: [],
+      preview: null
+    };
+
+    for (const thumbnail of thumbnails) {
+      files.thumbnails.push({
+        timestamp: thumbnail.timestamp,
+        url: await upload(thumbnail.path, `thumbnails/${rendition.id}/${path.basename(thumbnail.path)}`, thumbnail.url)
+      });
+    }
+
+    if (previewPath) {
+      files.preview = await upload(previewPath, `previews/${path.basename(previewPath)}`, previewPath);
+    }
+
+    return files;
+  }
+
+  /**
+   * ffmpeg command that keeps the plan's segments and embeds its chapters
+   */
+  createEditCommand(sourcePath, segments, metadataPath, outputPath) {
+    return ffmpeg(sourcePath)
+      .input(metadataPath)
+      .inputFormat('ffmetadata')
+      .complexFilter(buildSegmentFilter(segments))
+      .outputOptions([
+        '-map', '[outv]',
+        '-map', '[outa]',
+        '-map_metadata', '1',
+        '-map_chapters', '1',
+        '-c:v', 'libx264',
+        '-preset', 'medium',
+        '-crf', '23',
+        '-c:a', 'aac',
+        '-movflags', '+faststart'
+      ])
+      .output(outputPath);
+  }
+
+  /**
+   * ffmpeg command for a clip; re-encoded so it starts on the exact frame
+   */
+  createClipCommand(sourcePath, start, end, outputPath) {
+    return ffmpeg(sourcePath)
+      .seekInput(start)
+      .duration(end - start)
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .outputOptions([
+        '-preset', 'fast',
+        '-crf', '23',
+        '-movflags', '+faststart'
+      ])
+      .output(outputPath);
+  }
+
+  runCommand(command) {
+    return new Promise((resolve, reject) => {
+      command
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+  }
+
+  /**
+   * Recording that can be edited, with its duration in seconds. With
+   * needsSource, its original file must still be on this server.
+   */
+  async getEditableRecording(recordingId, options = {}) {
+    const recording = await this.getRecording(recordingId);
+    if (!recording) {
+      throw createHttpError('Recording not found', 404);
+    }
+    if (recording.status !== 'completed') {
+      throw createHttpError('Only completed recordings can be edited', 409);
+    }
+
+    let duration = Number(recording.duration_seconds || recording.duration) || 0;
+    if (!duration && recording.file_path) {
+      duration = (await this.getVideoMetadata(recording.file_path)).duration;
+    }
+
+    if (options.needsSource) {
+      try {
+        await fs.access(recording.file_path);
+      } catch (error) {
+        throw createHttpError('The original recording is no longer available on this server', 409);
+      }
+    }
+
+    return { ...recording, duration };
+  }
+
+  normalizeEdit(data, duration) {
+    if (!EDIT_TYPES.includes(data.type)) {
+      throw createHttpError(`Edit type must be one of: ${EDIT_TYPES.join(', ')}`);
+    }
+
+    const inRange = value => Number.isFinite(value) && value >= 0 && value <= duration;
+    const label = data.label ? String(data.label).slice(0, 255) : null;
+
+    if (data.type === 'trim') {
+      const start = Number(data.start);
+      const end = Number(data.end);
+      if (!inRange(start) || !inRange(end) || end <= start) {
+        throw createHttpError('Trim start and end must be within the recording, start before end');
+      }
+      return { type: 'trim', start, end, label };
+    }
+
+    const time = Number(data.time);
+    if (!inRange(time)) {
+      throw createHttpError(`${data.type === 'marker' ? 'Marker' : 'Split'} time must be within the recording`);
+    }
+    return { type: data.type, time, label };
+  }
+
+  parseEdit(row) {
+    const edit = {
+      id: row.id,
+      recordingId: row.recording_id,
+      type: row.type
+    };
+
+    if (row.type === 'trim') {
+      edit.start = Number(row.start_time);
+      edit.end = Number(row.end_time);
+    } else {
+      edit.time = Number(row.start_time);
+    }
+    edit.label = row.label || null;
+    return edit;
+  }
+
+  parseRendition(row) {
+    const parseJson = (value, fallback) => {
+      if (!value) {
+        return fallback;
+      }
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    };
+    const previews = parseJson(row.preview_images, {});
+
+    return this.serializeRendition({
+      id: row.id,
+      recordingId: row.recording_id,
+      kind: row.kind,
+      title: row.title,
+      status: row.status,
+      shareId: row.share_id || null,
+      plan: parseJson(row.edit_plan, null),
+      chapters: parseJson(row.chapters, []),
+      duration: row.duration_seconds,
+      fileSize: row.file_size || null,
+      url: row.storage_url || null,
+      thumbnailUrl: row.thumbnail_url || null,
+      thumbnails: previews.thumbnails || [],
+      previewUrl: previews.preview || null,
+      error: row.error_message || null,
+      createdBy: row.created_by || null,
+      createdAt: row.created_at,
+      completedAt: row.completed_at || null
+    });
+  }
+
+  /**
+   * Public representation; clips carry their share path
+   */
+  serializeRendition(rendition) {
+    return {
+      ...rendition,
+      sharePath: rendition.shareId ? `/api/recordings/clips/${rendition.shareId}` : null
+    };
+  }
+
+  /**
+   * Transcribe a recording and store its caption track. Resolves to the
+   * track, or null when no transcription engine is configured.
+   */
+  async generateCaptions(recordingId, sourcePath, options = {}) {
+    if (!this.transcription.isAvailable()) {
+      this.logger.debug(`No transcription engine configured, skipping captions for recording ${recordingId}`);
+      return null;
+    }
+
+    const language = options.language || this.config.captionLanguage;
+    const result = await this.transcription.transcribe(sourcePath, { language });
+
+    return this.saveCaptionTrack(recordingId, {
+      language: result.language || (language !== 'auto' ? language : 'und'),
+      source: 'auto',
+      provider: this.transcription.name,
+      cues: buildCues(result.segments)
+    });
+  }
+
+  /**
+   * Store a caption track, replacing the recording's track in that language
+   */
+  async saveCaptionTrack(recordingId, track) {
+    const label = languageLabel(track.language);
+
+    await this.db.execute(`
+      INSERT INTO recording_captions (
+        id, recording_id, language, label, source, provider, cues, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+      ON DUPLICATE KEY UPDATE
+        label = VALUES(label), source = VALUES(source), provider = VALUES(provider),
+        cues = VALUES(cues), updated_at = NOW()
+    `, [
+      uuidv4(),
+      recordingId,
+      track.language,
+      label,
+      track.source,
+      track.provider,
+      JSON.stringify(track.cues)
+    ]);
+
+    this.logger.info(`Stored ${track.cues.length} ${track.language} caption cues for recording ${recordingId}`);
+
+    return this.serializeCaptionTrack({
+      recordingId,
+      language: track.language,
+      label,
+      source: track.source,
+      provider: track.provider,
+      cueCount: track.cues.length
+    });
+  }
+
+  /**
+   * Match the whole recording against the reference tracks. Matches are
+   * stored as evidence for the rights holders; the recording is processed
+   * as usual either way.
+   */
+  async scanCopyright(recordingId, sourcePath) {
+    if (!this.copyright) {
+      return null;
+    }
+
+    const recording = await this.getRecording(recordingId);
+    const matches = await this.copyright.scan(sourcePath, {
+      streamId: recording ? recording.stream_id : null,
+      recordingId,
+      source: 'recording'
+    });
+
+    return { matches: matches.length, matchIds: [...new Set(matches.map(match => match.matchId).filter(Boolean))] };
+  }
+
+  /**
+   * Queue (re)transcription of a finished recording
+   */
+  async requestCaptions(recordingId, options = {}, userId = null) {
+    try {
+      if (!this.transcription.isAvailable()) {
+        throw createHttpError('Transcription is not configured on this server', 503);
+      }
+
+      const recording = await this.getRecording(recordingId);
+      if (!recording) {
+        throw createHttpError('Recording not found', 404);
+      }
+      if (recording.status !== 'completed') {
+        throw createHttpError('Recording is still being processed', 409);
+      }
+      try {
+        await fs.access(recording.file_path);
+      } catch (error) {
+        throw createHttpError('The original recording is no longer available on this server', 409);
+      }
+
+      return await this.jobs.enqueue('captions', recordingId, {
+        priority: options.priority,
+        createdBy: userId,
+        payload: { rawPath: recording.file_path, language: options.language }
+      });
+    } catch (error) {
+      this.logger.error('Error requesting captions:', error);
+      throw error;
+    }
+  }
+
+  async listCaptionTracks(recordingId) {
+    const [rows] = await this.db.execute(`
+      SELECT recording_id, language, label, source, provider, JSON_LENGTH(cues) AS cue_count, updated_at
+      FROM recording_captions
+      WHERE recording_id = ?
+      ORDER BY language
+    `, [recordingId]);
+
+    return rows.map(row => this.serializeCaptionTrack({
+      recordingId: row.recording_id,
+      language: row.language,
+      label: row.label,
+      source: row.source,
+      provider: row.provider,
+      cueCount: Number(row.cue_count) || 0,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * A caption track as WebVTT ('vtt') or SubRip ('srt'), or null
+   */
+  async getCaptionFile(recordingId, language, format = 'vtt') {
+    const [rows] = await this.db.execute(
+      'SELECT cues FROM recording_captions WHERE recording_id = ? AND language = ?',
+      [recordingId, language]
+    );
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const cues = typeof rows[0].cues === 'string' ? JSON.parse(rows[0].cues) : rows[0].cues;
+    return format === 'srt' ? buildSrt(cues) : buildWebVtt(cues);
+  }
+
+  serializeCaptionTrack(track) {
+    const base = `/api/recordings/${track.recordingId}/captions/${track.language}`;
+    return {
+      ...track,
+      urls: {
+        vtt: `${base}.vtt`,
+        srt: `${base}.srt`
+      }
+    };
+  }
+
   /**
    * Get active recording sessions
    */
@@ -634,4 +1534,6 @@ class RecordingManager {
   }
 }
 
+RecordingManager.EDIT_TYPES = EDIT_TYPES;
+
 module.exports = RecordingManager;
@@ -0,0 +1,741 @@
+/**
+ * RestreamManager - Relaying RTMP ingest to external platforms
+ *
+ * Handles:
+ * - Per-stream restream destinations (YouTube, Twitch, LinkedIn, ...)
+ * - Encrypted storage of third-party stream keys (AES-256-GCM)
+ * - One ffmpeg relay per destination while the stream is published,
+ *   copying the ingest without re-encoding
+ * - Health checks: a relay that stops reporting progress is restarted
+ * - Reconnecting dropped relays with exponential backoff
+ *
+ * Relays run on the replica that receives the publish; the server starts
+ * them from node-media-server's postPublish hook and stops them on
+ * donePublish.
+ *
+ * Custom servers are checked against internal networks when saved and
+ * again on every relay connect, since their DNS can change in between;
+ * the relay then connects to the address that was checked.
+ *
+ * Events: 'status' ({ streamId, destinationId, status, error })
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const ffmpeg = require('fluent-ffmpeg');
+const { v4: uuidv4 } = require('uuid');
+const { createHttpError } = require('./utils/errors');
+
+// Ingest servers for platforms with a fixed one; LinkedIn issues a URL per event
+const PLATFORMS = {
+  youtube: 'rtmp://a.rtmp.youtube.com/live2',
+  twitch: 'rtmp://live.twitch.tv/app',
+  facebook: 'rtmps://live-api-s.facebook.com:443/rtmp',
+  linkedin: null,
+  custom: null
+};
+
+const RELAY_STATUSES = ['connecting', 'live', 'reconnecting', 'failed', 'stopped'];
+
+// Loopback, private, link-local and other non-public ranges a relay must not reach
+const INTERNAL_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => INTERNAL_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => INTERNAL_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * iv:tag:ciphertext, base64 encoded
+ */
+function encryptStreamKey(streamKey, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(streamKey, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptStreamKey(payload, key) {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+class RestreamManager extends EventEmitter {
+  constructor(dbPool, redisClient, logger) {
+    super();
+    this.db = dbPool;
+    this.redis = redisClient;
+    this.logger = logger;
+
+    // Wired up by the server once socket.io exists
+    this.io = null;
+
+    this.config = {
+      maxDestinations: parseInt(process.env.RESTREAM_MAX_DESTINATIONS) || 5,
+      maxRetries: parseInt(process.env.RESTREAM_MAX_RETRIES) || 10,
+      retryBaseDelay: 1000,
+      retryMaxDelay: 30000,
+      healthInterval: parseInt(process.env.RESTREAM_HEALTH_INTERVAL) || 5000,
+      stallTimeout: parseInt(process.env.RESTREAM_STALL_TIMEOUT) || 15000,
+      // Hosts exempt from the internal address check, e.g. a local test sink
+      allowedHosts: (process.env.RESTREAM_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    };
+
+    this.encryptionKey = this.loadEncryptionKey();
+
+    // streamId -> { inputSource, relays: Map(destinationId -> relay) }
+    this.sessions = new Map();
+    this.healthTimer = null;
+  }
+
+  /**
+   * 32-byte key from RESTREAM_ENCRYPTION_KEY (hex). Outside production it
+   * falls back to one derived from JWT_SECRET.
+   */
+  loadEncryptionKey() {
+    const configured = process.env.RESTREAM_ENCRYPTION_KEY;
+    if (configured) {
+      const key = Buffer.from(configured, 'hex');
+      if (key.length !== 32) {
+        throw new Error('RESTREAM_ENCRYPTION_KEY must be 32 bytes of hex');
+      }
+      return key;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('RESTREAM_ENCRYPTION_KEY must be set in production');
+    }
+    if (this.logger) {
+      this.logger.warn('RESTREAM_ENCRYPTION_KEY is not set; deriving the restream key from JWT_SECRET');
+    }
+    return crypto.scryptSync(process.env.JWT_SECRET || 'your-secret-key', 'restream-destinations', 32);
+  }
+
+  /**
+   * List a stream's destinations with the health of running relays
+   */
+  async listDestinations(userId, streamId) {
+    try {
+      await this.getOwnedStream(userId, streamId);
+
+      const [rows] = await this.db.execute(
+        'SELECT * FROM restream_destinations WHERE stream_id = ? ORDER BY created_at ASC',
+        [streamId]
+      );
+      return rows.map(row => this.serializeDestination(this.parseDestination(row)));
+    } catch (error) {
+      this.logger.error('Error listing restream destinations:', error);
+      throw error;
+    }
+  }
+
+  async getDestination(destinationId) {
+    const destination = await this.loadDestination(destinationId);
+    return destination ? this.serializeDestination(destination) : null;
+  }
+
+  /**
+   * Add a destination; it starts right away if the stream is being published here
+   */
+  async createDestination(userId, streamId, data) {
+    try {
+      await this.getOwnedStream(userId, streamId);
+
+      const [[{ count }]] = await this.db.execute(
+        'SELECT COUNT(*) AS count FROM restream_destinations WHERE stream_id = ?',
+        [streamId]
+      );
+      if (count >= this.config.maxDestinations) {
+        throw createHttpError(`A stream can have at most ${this.config.maxDestinations} restream destinations`, 409);
+      }
+
+      const platform = data.platform || 'custom';
+      const destination = {
+        id: uuidv4(),
+        streamId,
+        userId,
+        platform,
+        name: data.name || platform,
+        serverUrl: await this.resolveServerUrl(platform, data.serverUrl),
+        streamKey: this.validateStreamKey(data.streamKey),
+        enabled: data.enabled !== false,
+        status: 'stopped',
+        lastError: null,
+        lastConnectedAt: null,
+        createdAt: new Date()
+      };
+
+      await this.db.execute(`
+        INSERT INTO restream_destinations (
+          id, stream_id, user_id, platform, name, server_url, stream_key_encrypted,
+          stream_key_hint, enabled, status, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+      `, [
+        destination.id,
+        destination.streamId,
+        destination.userId,
+        destination.platform,
+        destination.name,
+        destination.serverUrl,
+        encryptStreamKey(destination.streamKey, this.encryptionKey),
+        this.getStreamKeyHint(destination.streamKey),
+        destination.enabled,
+        destination.status,
+        destination.createdAt
+      ]);
+
+      this.logger.info(`Restream destination created: ${destination.id} (${platform}) for stream ${streamId}`);
+
+      if (destination.enabled && this.sessions.has(streamId)) {
+        await this.startRelay(streamId, destination);
+      }
+
+      return this.serializeDestination(destination);
+    } catch (error) {
+      this.logger.error('Error creating restream destination:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a destination; a running relay restarts with the new settings
+   */
+  async updateDestination(destinationId, changes) {
+    try {
+      const destination = await this.loadDestination(destinationId);
+      if (!destination) {
+        throw createHttpError('Restream destination not found', 404);
+      }
+
+      const updates = {};
+      if (changes.name !== undefined) {
+        destination.name = changes.name;
+        updates.name = changes.name;
+      }
+      if (changes.serverUrl !== undefined || changes.platform !== undefined) {
+        // Switching platform without a URL moves to that platform's ingest server
+        const serverUrl = changes.serverUrl ?? ((changes.platform && PLATFORMS[changes.platform]) || destination.serverUrl);
+        destination.platform = changes.platform || destination.platform;
+        destination.serverUrl = await this.resolveServerUrl(destination.platform, serverUrl);
+        updates.platform = destination.platform;
+        updates.server_url = destination.serverUrl;
+      }
+      if (changes.streamKey !== undefined) {
+        destination.streamKey = this.validateStreamKey(changes.streamKey);
+        updates.stream_key_encrypted = encryptStreamKey(destination.streamKey, this.encryptionKey);
+        updates.stream_key_hint = this.getStreamKeyHint(destination.streamKey);
+      }
+      if (changes.enabled !== undefined) {
+        destination.enabled = !!changes.enabled;
+        updates.enabled = destination.enabled;
+      }
+
+      const columns = Object.keys(updates);
+      if (columns.length > 0) {
+        await this.db.execute(
+          `UPDATE restream_destinations SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+          [...columns.map(column => updates[column]), destinationId]
+        );
+      }
+
+      // Apply to the relay if the stream is live on this replica
+      if (this.sessions.has(destination.streamId)) {
+        await this.stopRelay(destination.streamId, destinationId);
+        if (destination.enabled) {
+          await this.startRelay(destination.streamId, destination);
+        }
+      }
+
+      this.logger.info(`Restream destination updated: ${destinationId}`);
+      return this.serializeDestination(destination);
+    } catch (error) {
+      this.logger.error('Error updating restream destination:', error);
+      throw error;
+    }
+  }
+
+  async deleteDestination(destinationId) {
+    try {
+      const destination = await this.loadDestination(destinationId);
+      if (!destination) {
+        throw createHttpError('Restream destination not found', 404);
+      }
+
+      await this.stopRelay(destination.streamId, destinationId);
+      await this.db.execute('DELETE FROM restream_destinations WHERE id = ?', [destinationId]);
+
+      this.logger.info(`Restream destination deleted: ${destinationId}`);
+    } catch (error) {
+      this.logger.error('Error deleting restream destination:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restart a destination's relay, e.g. after it failed
+   */
+  async reconnectDestination(destinationId) {
+    const destination = await this.loadDestination(destinationId);
+    if (!destination) {
+      throw createHttpError('Restream destination not found', 404);
+    }
+    if (!this.sessions.has(destination.streamId)) {
+      throw createHttpError('Stream is not live', 409);
+    }
+    if (!destination.enabled) {
+      throw createHttpError('Restream destination is disabled', 409);
+    }
+
+    await this.stopRelay(destination.streamId, destinationId);
+    await this.startRelay(destination.streamId, destination);
+    return this.serializeDestination(destination);
+  }
+
+  /**
+   * Start relays for every enabled destination (postPublish)
+   */
+  async startRestreams(streamId, inputSource) {
+    try {
+      if (this.sessions.has(streamId)) {
+        await this.stopRestreams(streamId);
+      }
+
+      const [rows] = await this.db.execute(
+        'SELECT * FROM restream_destinations WHERE stream_id = ? AND enabled = TRUE',
+        [streamId]
+      );
+
+      this.sessions.set(streamId, { inputSource, relays: new Map() });
+      for (const row of rows) {
+        await this.startRelay(streamId, this.parseDestination(row));
+      }
+      this.startHealthChecks();
+
+      if (rows.length > 0) {
+        this.logger.info(`Restreaming stream ${streamId} to ${rows.length} destinations`);
+      }
+      return rows.length;
+    } catch (error) {
+      this.logger.error('Error starting restreams:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop every relay of a stream (donePublish)
+   */
+  async stopRestreams(streamId) {
+    const session = this.sessions.get(streamId);
+    if (!session) {
+      return;
+    }
+
+    await Promise.all([...session.relays.keys()].map(destinationId => this.stopRelay(streamId, destinationId)));
+    this.sessions.delete(streamId);
+
+    if (this.sessions.size === 0) {
+      this.stopHealthChecks();
+    }
+    this.logger.info(`Restreaming stopped for stream ${streamId}`);
+  }
+
+  async startRelay(streamId, destination) {
+    const session = this.sessions.get(streamId);
+    const relay = {
+      destination,
+      process: null,
+      status: 'stopped',
+      attempts: 0,
+      retryTimer: null,
+      stopping: false,
+      startedAt: new Date(),
+      lastProgressAt: null,
+      connectedAt: null,
+      bitrate: null,
+      fps: null,
+      lastError: null
+    };
+
+    session.relays.set(destination.id, relay);
+    await this.connectRelay(streamId, relay);
+  }
+
+  async connectRelay(streamId, relay) {
+    const { destination } = relay;
+
+    relay.lastProgressAt = Date.now();
+    if (relay.attempts === 0) {
+      this.setRelayStatus(streamId, relay, 'connecting');
+    }
+
+    let target;
+    try {
+      target = await this.resolveRelayTarget(destination);
+    } catch (error) {
+      if (!relay.stopping && error.code === 'internal_address') {
+        relay.lastError = error.message;
+        this.logger.warn(`Restream relay ${destination.id} for stream ${streamId} refused: ${destination.serverUrl} resolves to an internal address`);
+        this.setRelayStatus(streamId, relay, 'failed');
+      } else {
+        this.handleRelayExit(streamId, relay, null, error);
+      }
+      return;
+    }
+
+    // Stopped while resolving
+    const session = this.sessions.get(streamId);
+    if (relay.stopping || !session) {
+      return;
+    }
+
+    const command = this.createRelayCommand(session.inputSource, target.publishUrl, target.tcUrl);
+    relay.process = command;
+
+    command
+      .on('progress', (progress) => {
+        relay.lastProgressAt = Date.now();
+        relay.bitrate = progress.currentKbps || null;
+        relay.fps = progress.currentFps || null;
+
+        if (relay.status !== 'live') {
+          relay.attempts = 0;
+          relay.connectedAt = new Date();
+          relay.lastError = null;
+          this.setRelayStatus(streamId, relay, 'live');
+        }
+      })
+      .on('error', (error) => {
+        this.handleRelayExit(streamId, relay, command, error);
+      })
+      .on('end', () => {
+        this.handleRelayExit(streamId, relay, command, new Error('Relay ended'));
+      });
+
+    command.run();
+  }
+
+  /**
+   * Copy the ingest to the destination as FLV without re-encoding. tcUrl
+   * names the server when publishUrl connects to its address instead.
+   */
+  createRelayCommand(inputSource, publishUrl, tcUrl = null) {
+    return ffmpeg(inputSource)
+      .inputOptions(['-rw_timeout', '10000000'])
+      .outputOptions([
+        '-map', '0',
+        '-c', 'copy',
+        '-flvflags', 'no_duration_filesize',
+        ...(tcUrl ? ['-rtmp_tcurl', tcUrl] : [])
+      ])
+      .format('flv')
+      .output(publishUrl);
+  }
+
+  /**
+   * The relay process exited; retry with backoff unless it was stopped
+   */
+  handleRelayExit(streamId, relay, command, error) {
+    if (relay.stopping || relay.process !== command) {
+      return;
+    }
+
+    relay.process = null;
+    relay.lastError = error.message;
+    this.logger.warn(`Restream relay ${relay.destination.id} for stream ${streamId} dropped: ${error.message}`);
+
+    if (relay.attempts >= this.config.maxRetries) {
+      this.setRelayStatus(streamId, relay, 'failed');
+      return;
+    }
+
+    const delay = this.getRetryDelay(relay.attempts);
+    relay.attempts++;
+    this.setRelayStatus(streamId, relay, 'reconnecting');
+
+    relay.retryTimer = setTimeout(() => {
+      relay.retryTimer = null;
+      if (!relay.stopping && this.sessions.has(streamId)) {
+        this.connectRelay(streamId, relay);
+      }
+    }, delay);
+    relay.retryTimer.unref();
+  }
+
+  getRetryDelay(attempt) {
+    return Math.min(this.config.retryBaseDelay * 2 ** attempt, this.config.retryMaxDelay);
+  }
+
+  async stopRelay(streamId, destinationId) {
+    const session = this.sessions.get(streamId);
+    const relay = session && session.relays.get(destinationId);
+    if (!relay) {
+      return;
+    }
+
+    relay.stopping = true;
+    clearTimeout(relay.retryTimer);
+    if (relay.process) {
+      relay.process.kill('SIGTERM');
+      relay.process = null;
+    }
+
+    session.relays.delete(destinationId);
+    this.setRelayStatus(streamId, relay, 'stopped');
+  }
+
+  /**
+   * Restart relays that stopped reporting progress
+   */
+  checkRelayHealth() {
+    const now = Date.now();
+
+    for (const [streamId, session] of this.sessions) {
+      for (const relay of session.relays.values()) {
+        const stalled = relay.process && now - relay.lastProgressAt > this.config.stallTimeout;
+        if (stalled) {
+          const command = relay.process;
+          command.kill('SIGTERM');
+          this.handleRelayExit(streamId, relay, command, new Error('No progress from relay'));
+        }
+      }
+    }
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer) {
+      return;
+    }
+    this.healthTimer = setInterval(() => this.checkRelayHealth(), this.config.healthInterval);
+    this.healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Record a status change; every reconnect attempt is reported
+   */
+  setRelayStatus(streamId, relay, status) {
+    const changed = relay.status !== status;
+    relay.status = status;
+    if (!changed && status !== 'reconnecting') {
+      return;
+    }
+
+    const { destination } = relay;
+    const event = {
+      streamId,
+      destinationId: destination.id,
+      status,
+      attempts: relay.attempts,
+      error: relay.lastError
+    };
+
+    this.emit('status', event);
+    if (this.io) {
+      this.io.to(`broadcast:${streamId}`).emit('restream:status', event);
+    }
+
+    this.db.execute(`
+      UPDATE restream_destinations
+      SET status = ?, last_error = ?, last_connected_at = COALESCE(?, last_connected_at), updated_at = NOW()
+      WHERE id = ?
+    `, [
+      status,
+      relay.lastError ? relay.lastError.slice(0, 500) : null,
+      status === 'live' ? relay.connectedAt : null,
+      destination.id
+    ]).catch((error) => {
+      this.logger.warn(`Failed to store restream status for ${destination.id}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Health of a destination's relay, or null when it is not running here
+   */
+  getRelayHealth(streamId, destinationId) {
+    const session = this.sessions.get(streamId);
+    const relay = session && session.relays.get(destinationId);
+    if (!relay) {
+      return null;
+    }
+
+    return {
+      status: relay.status,
+      attempts: relay.attempts,
+      bitrate: relay.bitrate,
+      fps: relay.fps,
+      connectedAt: relay.connectedAt,
+      lastProgressAt: relay.lastProgressAt ? new Date(relay.lastProgressAt) : null,
+      lastError: relay.lastError
+    };
+  }
+
+  async resolveServerUrl(platform, serverUrl) {
+    if (!(platform in PLATFORMS)) {
+      throw createHttpError(`Unknown restream platform: ${platform}`);
+    }
+
+    const url = serverUrl || PLATFORMS[platform];
+    if (!url) {
+      throw createHttpError(`A server URL is required for ${platform}`);
+    }
+    if (!/^rtmps?:\/\/[^/\s]+/.test(url)) {
+      throw createHttpError('Server URL must be an rtmp:// or rtmps:// URL');
+    }
+    if (url !== PLATFORMS[platform]) {
+      await this.checkServerHost(url);
+    }
+    return url.replace(/\/+$/, '');
+  }
+
+  /**
+   * Refuse servers that are, or resolve to, internal addresses, so relays
+   * cannot be pointed at this host or its network. Resolves to the checked
+   * address, or null for allowed hosts.
+   */
+  async checkServerHost(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    } catch (error) {
+      throw createHttpError('Server URL is not a valid URL');
+    }
+    if (this.config.allowedHosts.includes(hostname)) {
+      return null;
+    }
+
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [{ address: hostname, family: net.isIP(hostname) }];
+    } else {
+      try {
+        addresses = await dns.lookup(hostname, { all: true });
+      } catch (error) {
+        throw createHttpError(`Could not resolve ${hostname}`);
+      }
+    }
+
+    if (addresses.some(({ address, family }) => INTERNAL_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+      throw createHttpError('Server URL must point to a public RTMP server', 400, { code: 'internal_address' });
+    }
+    return addresses[0].address;
+  }
+
+  /**
+   * Where a relay connects: custom servers are checked again and pinned to
+   * the checked address, keeping the server URL as the RTMP tcUrl
+   */
+  async resolveRelayTarget(destination) {
+    const publishUrl = this.getPublishUrl(destination);
+    if (destination.serverUrl === PLATFORMS[destination.platform]) {
+      return { publishUrl, tcUrl: null };
+    }
+
+    const address = await this.checkServerHost(destination.serverUrl);
+    const server = new URL(destination.serverUrl);
+    if (!address || server.hostname.replace(/^\[|\]$/g, '') === address) {
+      return { publishUrl, tcUrl: null };
+    }
+
+    // Swap the host name for the address, keeping any credentials, the port and the path
+    const start = server.protocol.length + 2;
+    const pathStart = destination.serverUrl.indexOf('/', start);
+    const authority = destination.serverUrl.slice(start, pathStart === -1 ? undefined : pathStart);
+    const credentials = authority.slice(0, authority.lastIndexOf('@') + 1);
+    const host = `${net.isIPv6(address) ? `[${address}]` : address}${server.port ? `:${server.port}` : ''}`;
+    const path = pathStart === -1 ? '' : destination.serverUrl.slice(pathStart);
+
+    return {
+      publishUrl: `${server.protocol}//${credentials}${host}${path}/${destination.streamKey}`,
+      tcUrl: destination.serverUrl
+    };
+  }
+
+  validateStreamKey(streamKey) {
+    if (typeof streamKey !== 'string' || !streamKey.trim()) {
+      throw createHttpError('A stream key is required');
+    }
+    return streamKey.trim();
+  }
+
+  getStreamKeyHint(streamKey) {
+    return streamKey.slice(-4);
+  }
+
+  getPublishUrl(destination) {
+    return `${destination.serverUrl}/${destination.streamKey}`;
+  }
+
+  async getOwnedStream(userId, streamId) {
+    const [rows] = await this.db.execute('SELECT id, user_id, status FROM live_streams WHERE id = ?', [streamId]);
+    const stream = rows[0];
+    if (!stream) {
+      throw createHttpError('Stream not found', 404);
+    }
+    if (String(stream.user_id) !== String(userId)) {
+      throw createHttpError('You can only restream your own streams', 403);
+    }
+    return stream;
+  }
+
+  async loadDestination(destinationId) {
+    const [rows] = await this.db.execute('SELECT * FROM restream_destinations WHERE id = ?', [destinationId]);
+    return rows[0] ? this.parseDestination(rows[0]) : null;
+  }
+
+  parseDestination(row) {
+    return {
+      id: row.id,
+      streamId: row.stream_id,
+      userId: row.user_id,
+      platform: row.platform,
+      name: row.name,
+      serverUrl: row.server_url,
+      streamKey: decryptStreamKey(row.stream_key_encrypted, this.encryptionKey),
+      enabled: !!row.enabled,
+      status: row.status || 'stopped',
+      lastError: row.last_error || null,
+      lastConnectedAt: row.last_connected_at ? new Date(row.last_connected_at) : null,
+      createdAt: row.created_at ? new Date(row.created_at) : null
+    };
+  }
+
+  /**
+   * Public representation: the third-party key is never returned. Relays
+   * running on another replica are known by their stored status only.
+   */
+  serializeDestination(destination) {
+    const { streamKey, ...data } = destination;
+    const health = this.getRelayHealth(destination.streamId, destination.id);
+
+    return {
+      ...data,
+      streamKeyHint: this.getStreamKeyHint(streamKey),
+      status: health ? health.status : destination.status,
+      health
+    };
+  }
+
+  async close() {
+    await Promise.all([...this.sessions.keys()].map(streamId => this.stopRestreams(streamId)));
+    this.stopHealthChecks();
+  }
+}
+
+RestreamManager.PLATFORMS = PLATFORMS;
+RestreamManager.RELAY_STATUSES = RELAY_STATUSES;
+RestreamManager.encryptStreamKey = encryptStreamKey;
+RestreamManager.decryptStreamKey = decryptStreamKey;
+
+module.exports = RestreamManager;
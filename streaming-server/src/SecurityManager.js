@@ -4,9 +4,12 @@
  * Handles:
  * - JWT-based authentication and token management
  * - Role-based access control (RBAC)
- * - OAuth integration (Google, Facebook, Twitter, GitHub)
- * - Multi-factor authentication (MFA)
- * - Session management and security
+ * - OAuth/OIDC social login and account linking (Google, Facebook,
+ *   Twitter, GitHub, any OIDC issuer); see security/SocialLogin
+ * - Multi-factor authentication (MFA): TOTP, backup codes or a passkey
+ * - Passkey (WebAuthn) login; see security/WebAuthn
+ * - Sessions per device with rotating refresh tokens and remote sign-out;
+ *   see security/SessionStore
  * - Password security and encryption
  * - API rate limiting and throttling
  * - Security logging and monitoring
@@ -18,6 +21,10 @@ const crypto = require('crypto');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
+const { ROLES, hasPermission } = require('./security/roles');
+const SocialLogin = require('./security/SocialLogin');
+const WebAuthn = require('./security/WebAuthn');
+const SessionStore = require('./security/SessionStore');
 
 class SecurityManager {
   constructor(dbPool, redisClient, logger) {
@@ -30,7 +37,6 @@ class SecurityManager {
       jwt: {
         secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key',
         accessTokenExpiry: '15m',
-        refreshTokenExpiry: '7d',
         algorithm: 'HS256'
       },
       password: {
@@ -44,7 +50,9 @@ class SecurityManager {
       mfa: {
         issuer: 'Interviews.tv',
         window: 2, // Allow 2 time steps before/after current
-        encoding: 'base32'
+        encoding: 'base32',
+        challengeTTL: 300, // Seconds to enter the code after the first factor
+        maxChallengeAttempts: 5
       },
       rateLimiting: {
         login: { max: 5, window: 900 }, // 5 attempts per 15 minutes
@@ -53,26 +61,18 @@ class SecurityManager {
       },
       session: {
         maxConcurrent: 5, // Max concurrent sessions per user
-        timeout: 3600 // Session timeout in seconds
+        refreshTTL: 7 * 24 * 60 * 60 // Refresh tokens, renewed on each use; also how long signed-out sessions stay refused
       },
-      roles: {
-        user: {
-          permissions: ['view_content', 'create_stream', 'chat', 'donate']
-        },
-        creator: {
-          permissions: ['view_content', 'create_stream', 'chat', 'donate', 'monetize', 'analytics']
-        },
-        moderator: {
-          permissions: ['view_content', 'create_stream', 'chat', 'donate', 'moderate_content', 'ban_users']
-        },
-        admin: {
-          permissions: ['*'] // All permissions
-        }
-      }
+      roles: ROLES
     };
 
-    // Active sessions tracking
-    this.activeSessions = new Map();
+    this.socialLogin = new SocialLogin(dbPool, redisClient, logger);
+    this.webauthn = new WebAuthn(dbPool, redisClient, logger);
+    this.sessions = new SessionStore(dbPool, redisClient, logger, {
+      secret: this.config.jwt.secret,
+      algorithm: this.config.jwt.algorithm,
+      ...this.config.session
+    });
   }
 
   /**
@@ -151,8 +151,8 @@ class SecurityManager {
         throw new Error('Invalid credentials');
       }
 
-      // Verify password
-      const isValidPassword = await bcrypt.compare(password, user.password_hash);
+      // Verify password; accounts made through social login may have none
+      const isValidPassword = Boolean(user.password_hash) && await bcrypt.compare(password, user.password_hash);
       if (!isValidPassword) {
         await this.logSecurityEvent('login_failed', user.id, { email, reason: 'invalid_password', ipAddress });
         throw new Error('Invalid credentials');
@@ -171,19 +171,11 @@ class SecurityManager {
 
       // Check for MFA
       if (user.mfa_enabled) {
-        return {
-          success: false,
-          requiresMFA: true,
-          userId: user.id,
-          message: 'Multi-factor authentication required'
-        };
+        return this.createMFAResponse(user);
       }
 
-      // Generate tokens
-      const tokens = await this.generateTokens(user);
-
-      // Create session
-      const session = await this.createSession(user.id, ipAddress, userAgent, tokens.refreshToken);
+      // Create session and its tokens
+      const { tokens, session } = await this.createSession(user, ipAddress, userAgent);
 
       // Log successful login
       await this.logSecurityEvent('login_success', user.id, { email, ipAddress, sessionId: session.id });
@@ -304,7 +296,8 @@ class SecurityManager {
   }
 
   /**
-   * Verify MFA during login
+   * Verify MFA during login. token is a TOTP or backup code, or the
+   * assertion from a passkey prompt (createMFAResponse's passkeyOptions).
    */
   async verifyMFALogin(userId, token, ipAddress, userAgent) {
     try {
@@ -313,11 +306,19 @@ class SecurityManager {
         throw new Error('MFA not enabled for this user');
       }
 
-      const decryptedSecret = this.decrypt(user.mfa_secret);
+      const method = token && typeof token === 'object' ? 'passkey' : 'totp';
+      if (method === 'passkey') {
+        try {
+          await this.webauthn.finishAuthentication(token, { userId });
+        } catch (error) {
+          await this.logSecurityEvent('mfa_failed', userId, { ipAddress, method });
+          throw error;
+        }
+      }
 
-      // Verify TOTP token
-      const verified = speakeasy.totp.verify({
-        secret: decryptedSecret,
+      // Verify TOTP token, unless a passkey was checked above
+      const verified = method === 'passkey' || speakeasy.totp.verify({
+        secret: this.decrypt(user.mfa_secret),
         encoding: 'base32',
         token,
         window: this.config.mfa.window
@@ -341,14 +342,11 @@ class SecurityManager {
         );
       }
 
-      // Generate tokens
-      const tokens = await this.generateTokens(user);
-
-      // Create session
-      const session = await this.createSession(userId, ipAddress, userAgent, tokens.refreshToken);
+      // Create session and its tokens
+      const { tokens, session } = await this.createSession(user, ipAddress, userAgent);
 
       // Log successful MFA login
-      await this.logSecurityEvent('mfa_login_success', userId, { ipAddress, sessionId: session.id });
+      await this.logSecurityEvent('mfa_login_success', userId, { ipAddress, method, sessionId: session.id });
 
       return {
         success: true,
@@ -362,6 +360,238 @@ class SecurityManager {
     }
   }
 
+  /**
+   * Answer to a login that passed the first factor; users with passkeys
+   * also get options to prompt for one instead of a code
+   */
+  async createMFAResponse(user) {
+    const response = {
+      success: false,
+      requiresMFA: true,
+      userId: user.id,
+      mfaToken: await this.createMFAChallenge(user.id),
+      message: 'Multi-factor authentication required'
+    };
+
+    if (await this.webauthn.hasCredentials(user.id)) {
+      response.passkeyOptions = await this.webauthn.beginAuthentication({ userId: user.id });
+    }
+    return response;
+  }
+
+  /**
+   * Proof that a user passed the first factor (password or a provider),
+   * exchanged with the second for tokens by completeMFAChallenge
+   */
+  async createMFAChallenge(userId) {
+    const mfaToken = crypto.randomBytes(32).toString('base64url');
+    await this.redis.setEx(
+      `mfa_challenge:${mfaToken}`,
+      this.config.mfa.challengeTTL,
+      JSON.stringify({ userId, attempts: 0 })
+    );
+    return mfaToken;
+  }
+
+  /**
+   * Second step of a login that returned requiresMFA
+   */
+  async completeMFAChallenge(mfaToken, code, ipAddress, userAgent) {
+    const key = `mfa_challenge:${mfaToken}`;
+    const data = await this.redis.get(key);
+    if (!data) {
+      throw new Error('MFA challenge expired. Please sign in again.');
+    }
+
+    const challenge = JSON.parse(data);
+    try {
+      const result = await this.verifyMFALogin(challenge.userId, code, ipAddress, userAgent);
+      await this.redis.del(key);
+      return result;
+    } catch (error) {
+      // A challenge only allows a few guesses
+      challenge.attempts++;
+      if (challenge.attempts >= this.config.mfa.maxChallengeAttempts) {
+        await this.redis.del(key);
+      } else {
+        await this.redis.setEx(key, this.config.mfa.challengeTTL, JSON.stringify(challenge));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Social login providers for sign-in buttons
+   */
+  getSocialProviders() {
+    return this.socialLogin.listProviders();
+  }
+
+  /**
+   * Start signing in with a provider; userId links it to that user instead
+   */
+  async beginSocialLogin(provider, userId = null) {
+    return this.socialLogin.begin(provider, { userId });
+  }
+
+  /**
+   * Provider callback: sign in (or ask for MFA, or for the owner of an
+   * account with the same email to confirm a link), or finish a link for
+   * the signed-in userId that started it. Only failures count towards
+   * the login rate limit.
+   */
+  async completeSocialLogin(provider, { code, state, userId = null }, ipAddress, userAgent) {
+    try {
+      await this.checkRateLimit('login', provider, ipAddress, { count: false });
+
+      let outcome;
+      try {
+        outcome = await this.socialLogin.complete(provider, { code, state, userId });
+      } catch (error) {
+        await this.countAttempt('login', provider, ipAddress);
+        throw error;
+      }
+
+      if (outcome.action === 'linked') {
+        await this.logSecurityEvent('social_account_linked', outcome.userId, { provider, ipAddress });
+        return { success: true, linked: true, identity: outcome.identity };
+      }
+
+      if (outcome.action === 'link_required') {
+        await this.logSecurityEvent('social_login_email_collision', null, { provider, email: outcome.email, ipAddress });
+        return {
+          success: false,
+          requiresLink: true,
+          provider,
+          email: outcome.email,
+          linkToken: outcome.linkToken,
+          message: 'An account already uses this email. Sign in to it to link this provider.'
+        };
+      }
+
+      const { user } = outcome;
+      if (outcome.action === 'mfa_required') {
+        return this.createMFAResponse(user);
+      }
+
+      const { tokens, session } = await this.createSession(user, ipAddress, userAgent);
+
+      await this.logSecurityEvent(outcome.created ? 'social_registration' : 'social_login_success', user.id, {
+        provider,
+        ipAddress,
+        sessionId: session.id
+      });
+
+      return {
+        success: true,
+        created: outcome.created,
+        user: this.sanitizeUser(user),
+        tokens,
+        session
+      };
+    } catch (error) {
+      this.logger.error('Error completing social login:', error);
+      throw error;
+    }
+  }
+
+  async confirmSocialLink(userId, linkToken) {
+    const identity = await this.socialLogin.confirmLink(userId, linkToken);
+    await this.logSecurityEvent('social_account_linked', userId, { provider: identity.provider });
+    return identity;
+  }
+
+  async unlinkSocialAccount(userId, provider) {
+    await this.socialLogin.unlink(userId, provider);
+    await this.logSecurityEvent('social_account_unlinked', userId, { provider });
+    return true;
+  }
+
+  async getLinkedAccounts(userId) {
+    return this.socialLogin.listIdentities(userId);
+  }
+
+  /**
+   * Options for navigator.credentials.get() on the sign-in page
+   */
+  async beginPasskeyLogin() {
+    return this.webauthn.beginAuthentication();
+  }
+
+  /**
+   * Sign in with a passkey alone; the authenticator verified the user, so
+   * no second factor is asked for
+   */
+  async completePasskeyLogin(credential, ipAddress, userAgent) {
+    try {
+      await this.checkRateLimit('login', 'passkey', ipAddress);
+
+      let result;
+      try {
+        result = await this.webauthn.finishAuthentication(credential);
+      } catch (error) {
+        await this.logSecurityEvent('login_failed', null, { reason: 'passkey', message: error.message, ipAddress });
+        throw error;
+      }
+
+      const user = await this.getUserById(result.userId);
+      if (!user) {
+        throw new Error('Invalid credentials');
+      }
+      if (user.status === 'suspended' || user.status === 'locked') {
+        await this.logSecurityEvent('login_blocked', user.id, { reason: user.status, ipAddress });
+        const error = new Error(`Account is ${user.status}`);
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const { tokens, session } = await this.createSession(user, ipAddress, userAgent);
+
+      await this.logSecurityEvent('passkey_login_success', user.id, {
+        ipAddress,
+        credentialId: result.credential.id,
+        sessionId: session.id
+      });
+
+      return {
+        success: true,
+        user: this.sanitizeUser(user),
+        tokens,
+        session
+      };
+    } catch (error) {
+      this.logger.error('Error completing passkey login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Options for navigator.credentials.create() to add a passkey
+   */
+  async beginPasskeyRegistration(userId) {
+    const user = await this.getUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return this.webauthn.beginRegistration(user);
+  }
+
+  async finishPasskeyRegistration(userId, credential, name) {
+    const passkey = await this.webauthn.finishRegistration(userId, credential, name);
+    await this.logSecurityEvent('passkey_registered', userId, { credentialId: passkey.id, name });
+    return passkey;
+  }
+
+  async listPasskeys(userId) {
+    return this.webauthn.listCredentials(userId);
+  }
+
+  async revokePasskey(userId, credentialId) {
+    const passkey = await this.webauthn.revokeCredential(userId, credentialId);
+    await this.logSecurityEvent('passkey_revoked', userId, { credentialId, name: passkey.name });
+    return passkey;
+  }
+
   /**
    * Role-based access control
    */
@@ -372,17 +602,7 @@ class SecurityManager {
         return false;
       }
 
-      const userRole = this.config.roles[user.role];
-      if (!userRole) {
-        return false;
-      }
-
-      // Admin has all permissions
-      if (userRole.permissions.includes('*')) {
-        return true;
-      }
-
-      return userRole.permissions.includes(permission);
+      return hasPermission(this.config.roles, user.role, permission);
     } catch (error) {
       this.logger.error('Error checking permission:', error);
       return false;
@@ -390,78 +610,52 @@ class SecurityManager {
   }
 
   /**
-   * Generate JWT tokens
+   * Access token for a session; sid lets AuthMiddleware refuse it once the
+   * session is signed out
    */
-  async generateTokens(user) {
+  generateAccessToken(user, sessionId) {
     const payload = {
       userId: user.id,
       username: user.username,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sid: sessionId
     };
 
-    const accessToken = jwt.sign(payload, this.config.jwt.secret, {
+    return jwt.sign(payload, this.config.jwt.secret, {
       expiresIn: this.config.jwt.accessTokenExpiry,
       algorithm: this.config.jwt.algorithm
     });
-
-    const refreshToken = jwt.sign(
-      { userId: user.id, type: 'refresh' },
-      this.config.jwt.secret,
-      {
-        expiresIn: this.config.jwt.refreshTokenExpiry,
-        algorithm: this.config.jwt.algorithm
-      }
-    );
-
-    // Store refresh token
-    await this.redis.setEx(
-      `refresh_token:${user.id}:${refreshToken}`,
-      7 * 24 * 60 * 60, // 7 days
-      JSON.stringify({ userId: user.id, createdAt: new Date() })
-    );
-
-    return { accessToken, refreshToken };
   }
 
   /**
-   * Refresh access token
+   * Refresh access token. The refresh token is rotated: the response has
+   * the next one, and using this one again signs the session out.
    */
-  async refreshAccessToken(refreshToken) {
+  async refreshAccessToken(refreshToken, ipAddress) {
     try {
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, this.config.jwt.secret);
-      
-      if (decoded.type !== 'refresh') {
-        throw new Error('Invalid token type');
-      }
-
-      // Check if refresh token exists in Redis
-      const tokenData = await this.redis.get(`refresh_token:${decoded.userId}:${refreshToken}`);
-      if (!tokenData) {
-        throw new Error('Refresh token not found or expired');
+      let rotated;
+      try {
+        rotated = await this.sessions.rotate(refreshToken, { ipAddress });
+      } catch (error) {
+        if (error.reuse) {
+          await this.logSecurityEvent('refresh_token_reuse', error.reuse.userId, { sessionId: error.reuse.sessionId, ipAddress });
+        }
+        throw error;
       }
 
-      // Get user
-      const user = await this.getUserById(decoded.userId);
-      if (!user) {
-        throw new Error('User not found');
+      const user = await this.getUserById(rotated.userId);
+      if (!user || user.status === 'suspended' || user.status === 'locked') {
+        await this.sessions.revoke(rotated.userId, rotated.sessionId, 'account_blocked');
+        const error = new Error('Account is not available');
+        error.statusCode = 401;
+        throw error;
       }
 
-      // Generate new access token
-      const payload = {
-        userId: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role
+      return {
+        accessToken: this.generateAccessToken(user, rotated.sessionId),
+        refreshToken: rotated.refreshToken
       };
-
-      const accessToken = jwt.sign(payload, this.config.jwt.secret, {
-        expiresIn: this.config.jwt.accessTokenExpiry,
-        algorithm: this.config.jwt.algorithm
-      });
-
-      return { accessToken };
     } catch (error) {
       this.logger.error('Error refreshing access token:', error);
       throw error;
@@ -469,46 +663,55 @@ class SecurityManager {
   }
 
   /**
-   * Create user session
+   * Create user session, with its first access and refresh tokens
    */
-  async createSession(userId, ipAddress, userAgent, refreshToken) {
+  async createSession(user, ipAddress, userAgent) {
     try {
-      const sessionId = uuidv4();
-      const session = {
-        id: sessionId,
-        userId,
-        ipAddress,
-        userAgent,
-        refreshToken,
-        createdAt: new Date(),
-        lastActivity: new Date(),
-        isActive: true
-      };
-
-      // Check concurrent session limit
-      await this.enforceSessionLimit(userId);
-
-      // Store session
-      await this.redis.setEx(
-        `session:${sessionId}`,
-        this.config.session.timeout,
-        JSON.stringify(session)
-      );
-
-      // Add to user's active sessions
-      await this.redis.sadd(`user_sessions:${userId}`, sessionId);
+      const { session, refreshToken } = await this.sessions.create(user.id, { ipAddress, userAgent });
 
-      return session;
+      return {
+        session,
+        tokens: {
+          accessToken: this.generateAccessToken(user, session.id),
+          refreshToken
+        }
+      };
     } catch (error) {
       this.logger.error('Error creating session:', error);
       throw error;
     }
   }
 
+  /**
+   * Signed-in devices; current marks the caller's
+   */
+  async listSessions(userId, currentSessionId) {
+    return this.sessions.list(userId, currentSessionId);
+  }
+
+  /**
+   * Sign out a session: the caller's own, or one of their other devices
+   */
+  async signOutSession(userId, sessionId, currentSessionId, ipAddress) {
+    const remote = sessionId !== currentSessionId;
+    const session = await this.sessions.revoke(userId, sessionId, remote ? 'remote_sign_out' : 'sign_out');
+    await this.logSecurityEvent(remote ? 'session_revoked' : 'logout', userId, { sessionId, ipAddress });
+    return session;
+  }
+
+  /**
+   * Sign out every device but the caller's
+   */
+  async signOutOtherSessions(userId, currentSessionId, ipAddress) {
+    const count = await this.sessions.revokeOthers(userId, currentSessionId);
+    await this.logSecurityEvent('sessions_revoked', userId, { keptSessionId: currentSessionId, count, ipAddress });
+    return count;
+  }
+
   /**
    * Rate limiting
    */
-  async checkRateLimit(type, identifier, ipAddress) {
+  async checkRateLimit(type, identifier, ipAddress, { count = true } = {}) {
     const config = this.config.rateLimiting[type];
     if (!config) {
       return true;
@@ -518,15 +721,33 @@ class SecurityManager {
     const current = await this.redis.get(key) || 0;
 
     if (parseInt(current) >= config.max) {
-      throw new Error(`Rate limit exceeded. Try again later.`);
+      const error = new Error(`Rate limit exceeded. Try again later.`);
+      error.statusCode = 429;
+      throw error;
     }
 
-    await this.redis.incr(key);
-    await this.redis.expire(key, config.window);
+    if (count) {
+      await this.countAttempt(type, identifier, ipAddress);
+    }
 
     return true;
   }
 
+  /**
+   * Count an attempt against a rate limit; checkRateLimit counts every
+   * attempt unless told not to
+   */
+  async countAttempt(type, identifier, ipAddress) {
+    const config = this.config.rateLimiting[type];
+    if (!config) {
+      return;
+    }
+
+    const key = `rate_limit:${type}:${identifier}:${ipAddress}`;
+    await this.redis.incr(key);
+    await this.redis.expire(key, config.window);
+  }
+
   /**
    * Helper methods
    */
@@ -628,17 +849,6 @@ class SecurityManager {
     return decrypted;
   }
 
-  async enforceSessionLimit(userId) {
-    const sessions = await this.redis.smembers(`user_sessions:${userId}`);
-    
-    if (sessions.length >= this.config.session.maxConcurrent) {
-      // Remove oldest session
-      const oldestSession = sessions[0];
-      await this.redis.del(`session:${oldestSession}`);
-      await this.redis.srem(`user_sessions:${userId}`, oldestSession);
-    }
-  }
-
   async logSecurityEvent(eventType, userId, metadata) {
     const event = {
       id: uuidv4(),
@@ -666,8 +876,8 @@ class SecurityManager {
     ]);
 
     // Store in Redis for real-time monitoring
-    await this.redis.lpush('security_events', JSON.stringify(event));
-    await this.redis.ltrim('security_events', 0, 999); // Keep last 1000 events
+    await this.redis.lPush('security_events', JSON.stringify(event));
+    await this.redis.lTrim('security_events', 0, 999); // Keep last 1000 events
   }
 }
 
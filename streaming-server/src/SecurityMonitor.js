@@ -13,6 +13,7 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { createHttpError } = require('./utils/errors');
 
 class SecurityMonitor {
   constructor(dbPool, redisClient, logger) {
@@ -26,6 +27,7 @@ class SecurityMonitor {
         global: { requests: 1000, window: 60 }, // 1000 requests per minute globally
         perIP: { requests: 100, window: 60 }, // 100 requests per minute per IP
         perUser: { requests: 200, window: 60 }, // 200 requests per minute per user
+        requests: { window: 60 }, // Every request, with the perIP and perUser counts
         login: { attempts: 5, window: 900 }, // 5 login attempts per 15 minutes
         streaming: { streams: 3, window: 3600 }, // 3 concurrent streams per hour
         api: { requests: 1000, window: 3600 } // 1000 API requests per hour
@@ -42,13 +44,18 @@ class SecurityMonitor {
       },
       intrusionDetection: {
         enabled: true,
+        // Matched against the URL, query and body
         suspiciousPatterns: [
-          /\b(union|select|insert|delete|drop|create|alter)\b/i, // SQL injection
           /<script[^>]*>.*?<\/script>/i, // XSS
-          /\.\.\//g, // Path traversal
+          /\.\.\//, // Path traversal
           /eval\s*\(/i, // Code injection
           /document\.cookie/i // Cookie theft
         ],
+        // Titles, chat and searches mention these keywords too, so they are
+        // only matched on routes that opt in (options.sql)
+        sqlInjectionPatterns: [
+          /\b(union\s+(all\s+)?select|select\s+\S+.*\s+from|insert\s+into|delete\s+from|drop\s+(table|database)|alter\s+table)\b/i
+        ],
         maxViolations: 5,
         blockDuration: 7200 // 2 hours
       },
@@ -91,8 +98,16 @@ class SecurityMonitor {
 
   /**
    * Advanced rate limiting with multiple layers
+   *
+   * options.limits overrides the limit type's window and the global, perIP
+   * and perUser request counts; options.dryRun counts and logs but never
+   * blocks the IP.
+   *
+   * The global count, shared by all callers, only applies when the limit
+   * type or options.limits sets it. Hitting it refuses the request but
+   * never counts towards blocking the IP.
    */
-  async checkRateLimit(req, limitType = 'global') {
+  async checkRateLimit(req, limitType = 'requests', options = {}) {
     try {
       const clientIP = this.getClientIP(req);
       const userId = req.user?.id;
@@ -100,28 +115,25 @@ class SecurityMonitor {
       
       // Check if IP is blocked
       if (await this.isIPBlocked(clientIP)) {
-        throw new Error('IP address is blocked due to security violations');
+        throw createHttpError('IP address is blocked due to security violations', 403, { retryAfter: await this.getRetryAfter(`blocked_ip:${clientIP}`) });
       }
 
       // Get rate limit configuration
-      const config = this.config.rateLimiting[limitType];
-      if (!config) {
+      const config = { ...this.config.rateLimiting[limitType], ...options.limits };
+      if (!config.window) {
         return true;
       }
 
       // Create rate limit keys
       const keys = [
-        `rate_limit:${limitType}:global`,
-        `rate_limit:${limitType}:ip:${clientIP}`,
-        userId ? `rate_limit:${limitType}:user:${userId}` : null
+        config.global ? { key: `rate_limit:${limitType}:global`, limit: config.global, shared: true } : null,
+        { key: `rate_limit:${limitType}:ip:${clientIP}`, limit: config.perIP ?? this.config.rateLimiting.perIP.requests },
+        userId ? { key: `rate_limit:${limitType}:user:${userId}`, limit: config.perUser ?? this.config.rateLimiting.perUser.requests } : null
       ].filter(Boolean);
 
       // Check each rate limit
-      for (const key of keys) {
+      for (const { key, limit, shared } of keys) {
         const current = await this.redis.get(key) || 0;
-        const limit = key.includes(':global') ? this.config.rateLimiting.global.requests :
-                     key.includes(':ip:') ? this.config.rateLimiting.perIP.requests :
-                     this.config.rateLimiting.perUser.requests;
 
         if (parseInt(current) >= limit) {
           // Log rate limit violation
@@ -134,20 +146,26 @@ class SecurityMonitor {
             userAgent
           });
 
-          // Escalate if repeated violations
-          await this.handleRateLimitViolation(clientIP, userId, limitType);
+          // Escalate if repeated violations; a full shared count says
+          // nothing about this caller
+          if (!shared) {
+            await this.handleRateLimitViolation(clientIP, userId, limitType, options);
+          }
           
-          throw new Error(`Rate limit exceeded for ${limitType}`);
+          throw createHttpError(`Rate limit exceeded for ${limitType}`, 429, { retryAfter: await this.getRetryAfter(key, config.window) });
         }
 
-        // Increment counter
-        await this.redis.incr(key);
-        await this.redis.expire(key, config.window);
+        // Increment counter; the window starts with the first request
+        if (await this.redis.incr(key) === 1) {
+          await this.redis.expire(key, config.window);
+        }
       }
 
       return true;
     } catch (error) {
-      this.logger.error('Error checking rate limit:', error);
+      if (!error.statusCode) {
+        this.logger.error('Error checking rate limit:', error);
+      }
       throw error;
     }
   }
@@ -155,7 +173,7 @@ class SecurityMonitor {
   /**
    * DDoS protection and mitigation
    */
-  async checkDDoSProtection(req) {
+  async checkDDoSProtection(req, options = {}) {
     try {
       if (!this.config.ddosProtection.enabled) {
         return true;
@@ -173,34 +191,39 @@ class SecurityMonitor {
       const currentRPS = await this.redis.get(rpsKey) || 0;
       
       if (parseInt(currentRPS) > this.config.ddosProtection.thresholds.requestsPerSecond) {
-        await this.blockIP(clientIP, 'ddos_protection', this.config.ddosProtection.blockDuration);
-        throw new Error('DDoS protection triggered - IP blocked');
+        await this.blockIP(clientIP, 'ddos_protection', this.config.ddosProtection.blockDuration, options);
+        throw createHttpError('DDoS protection triggered - IP blocked', 403, { retryAfter: this.config.ddosProtection.blockDuration });
       }
 
       // Increment RPS counter
-      await this.redis.incr(rpsKey);
-      await this.redis.expire(rpsKey, 1); // 1 second window
+      if (await this.redis.incr(rpsKey) === 1) {
+        await this.redis.expire(rpsKey, 1); // 1 second window
+      }
 
       // Check concurrent connections
       const connectionsKey = `ddos:connections:${clientIP}`;
       const connections = await this.redis.get(connectionsKey) || 0;
       
       if (parseInt(connections) > this.config.ddosProtection.thresholds.concurrentConnections) {
-        await this.blockIP(clientIP, 'too_many_connections', this.config.ddosProtection.blockDuration);
-        throw new Error('Too many concurrent connections - IP blocked');
+        await this.blockIP(clientIP, 'too_many_connections', this.config.ddosProtection.blockDuration, options);
+        throw createHttpError('Too many concurrent connections - IP blocked', 403, { retryAfter: this.config.ddosProtection.blockDuration });
       }
 
       return true;
     } catch (error) {
-      this.logger.error('Error checking DDoS protection:', error);
+      if (!error.statusCode) {
+        this.logger.error('Error checking DDoS protection:', error);
+      }
       throw error;
     }
   }
 
   /**
    * Intrusion detection system
+   *
+   * options.sql also matches the SQL injection patterns.
    */
-  async detectIntrusion(req) {
+  async detectIntrusion(req, options = {}) {
     try {
       if (!this.config.intrusionDetection.enabled) {
         return true;
@@ -210,8 +233,6 @@ class SecurityMonitor {
       const userAgent = req.headers['user-agent'] || '';
       const requestData = {
         url: req.url,
-        method: req.method,
-        headers: req.headers,
         body: req.body,
         query: req.query
       };
@@ -220,7 +241,10 @@ class SecurityMonitor {
       const violations = [];
       const dataToCheck = JSON.stringify(requestData);
 
-      for (const pattern of this.config.intrusionDetection.suspiciousPatterns) {
+      const { suspiciousPatterns, sqlInjectionPatterns } = this.config.intrusionDetection;
+      const patterns = options.sql ? [...suspiciousPatterns, ...sqlInjectionPatterns] : suspiciousPatterns;
+
+      for (const pattern of patterns) {
         if (pattern.test(dataToCheck)) {
           violations.push({
             pattern: pattern.toString(),
@@ -249,8 +273,8 @@ class SecurityMonitor {
 
         // Block IP if too many violations
         if (currentViolations >= this.config.intrusionDetection.maxViolations) {
-          await this.blockIP(clientIP, 'intrusion_detection', this.config.intrusionDetection.blockDuration);
-          throw new Error('Intrusion detected - IP blocked');
+          await this.blockIP(clientIP, 'intrusion_detection', this.config.intrusionDetection.blockDuration, options);
+          throw createHttpError('Intrusion detected - IP blocked', 403, { retryAfter: this.config.intrusionDetection.blockDuration });
         }
 
         // For now, just log but don't block on first violation
@@ -259,7 +283,9 @@ class SecurityMonitor {
 
       return true;
     } catch (error) {
-      this.logger.error('Error detecting intrusion:', error);
+      if (!error.statusCode) {
+        this.logger.error('Error detecting intrusion:', error);
+      }
       throw error;
     }
   }
@@ -355,6 +381,7 @@ class SecurityMonitor {
       }
 
       // Check request timing patterns
+      await this.recordRequestTiming(clientIP);
       const timingPattern = await this.analyzeRequestTiming(clientIP);
       if (timingPattern.isBot) {
         botIndicators.push('timing_pattern');
@@ -399,7 +426,7 @@ class SecurityMonitor {
           country,
           reason: 'blocked_country'
         });
-        throw new Error(`Access denied from country: ${country}`);
+        throw createHttpError(`Access denied from country: ${country}`, 403);
       }
 
       // Check allowed countries (if specified)
@@ -410,12 +437,14 @@ class SecurityMonitor {
           country,
           reason: 'country_not_allowed'
         });
-        throw new Error(`Access not allowed from country: ${country}`);
+        throw createHttpError(`Access not allowed from country: ${country}`, 403);
       }
 
       return true;
     } catch (error) {
-      this.logger.error('Error checking geo blocking:', error);
+      if (!error.statusCode) {
+        this.logger.error('Error checking geo blocking:', error);
+      }
       throw error;
     }
   }
@@ -459,12 +488,13 @@ class SecurityMonitor {
   /**
    * Helper methods
    */
+  /**
+   * Express works out req.ip from the app's trust proxy setting, so
+   * X-Forwarded-For only counts when it comes from a trusted proxy
+   */
   getClientIP(req) {
-    return req.headers['x-forwarded-for']?.split(',')[0] ||
-           req.headers['x-real-ip'] ||
-           req.connection?.remoteAddress ||
+    return req.ip ||
            req.socket?.remoteAddress ||
-           req.ip ||
            '127.0.0.1';
   }
 
@@ -473,7 +503,22 @@ class SecurityMonitor {
     return blocked !== null;
   }
 
-  async blockIP(ip, reason, duration) {
+  /**
+   * Seconds left on a counter or block, or the fallback when Redis has none
+   */
+  async getRetryAfter(key, fallback = null) {
+    const ttl = await this.redis.ttl(key);
+    return ttl > 0 ? ttl : fallback;
+  }
+
+  async blockIP(ip, reason, duration, options = {}) {
+    // Dry runs show who would have been blocked without blocking them
+    if (options.dryRun) {
+      await this.logSecurityEvent('ip_block_observed', { ip, reason, duration });
+      this.logger.warn(`IP would be blocked: ${ip} for ${reason} (${duration}s)`);
+      return;
+    }
+
     await this.redis.setEx(`blocked_ip:${ip}`, duration, JSON.stringify({
       reason,
       blockedAt: new Date(),
@@ -491,19 +536,19 @@ class SecurityMonitor {
     this.logger.warn(`IP blocked: ${ip} for ${reason} (${duration}s)`);
   }
 
-  async handleRateLimitViolation(ip, userId, limitType) {
+  async handleRateLimitViolation(ip, userId, limitType, options = {}) {
     const violationKey = `rate_violations:${ip}`;
     const violations = await this.redis.incr(violationKey);
     await this.redis.expire(violationKey, 3600);
 
     if (violations >= 3) {
-      await this.blockIP(ip, 'repeated_rate_limit_violations', 3600);
+      await this.blockIP(ip, 'repeated_rate_limit_violations', 3600, options);
     }
   }
 
   async checkUnusualLoginLocation(userId, ip) {
     // Get user's recent login locations
-    const recentLocations = await this.redis.lrange(`user_locations:${userId}`, 0, 9);
+    const recentLocations = await this.redis.lRange(`user_locations:${userId}`, 0, 9);
     const currentCountry = await this.getCountryFromIP(ip);
     
     // If no recent locations, this is not unusual
@@ -531,10 +576,17 @@ class SecurityMonitor {
     return false;
   }
 
+  async recordRequestTiming(ip) {
+    const timingKey = `timing:${ip}`;
+    await this.redis.lPush(timingKey, String(Date.now()));
+    await this.redis.lTrim(timingKey, 0, 9);
+    await this.redis.expire(timingKey, 300);
+  }
+
   async analyzeRequestTiming(ip) {
     // Analyze request timing patterns to detect bots
     const timingKey = `timing:${ip}`;
-    const timestamps = await this.redis.lrange(timingKey, 0, 9);
+    const timestamps = await this.redis.lRange(timingKey, 0, 9);
     
     if (timestamps.length < 5) {
       return { isBot: false };
@@ -553,6 +605,24 @@ class SecurityMonitor {
     return { isBot: variance < 100 };
   }
 
+  /**
+   * Count a socket against the IP's concurrent connections for DDoS
+   * protection; release it on disconnect
+   */
+  async trackConnection(ip) {
+    const connectionsKey = `ddos:connections:${ip}`;
+    await this.redis.incr(connectionsKey);
+    // Counts leaked by a crashed replica age out
+    await this.redis.expire(connectionsKey, 86400);
+  }
+
+  async releaseConnection(ip) {
+    const connectionsKey = `ddos:connections:${ip}`;
+    if (await this.redis.decr(connectionsKey) <= 0) {
+      await this.redis.del(connectionsKey);
+    }
+  }
+
   async handleBotDetection(ip, indicators) {
     // Implement bot mitigation strategies
     if (indicators.includes('timing_pattern')) {
@@ -639,8 +709,8 @@ class SecurityMonitor {
     ]);
 
     // Store in Redis for real-time monitoring
-    await this.redis.lpush('security_events_realtime', JSON.stringify(event));
-    await this.redis.ltrim('security_events_realtime', 0, 999);
+    await this.redis.lPush('security_events_realtime', JSON.stringify(event));
+    await this.redis.lTrim('security_events_realtime', 0, 999);
   }
 
   /**
@@ -648,14 +718,16 @@ class SecurityMonitor {
    */
   startSecurityMonitoring() {
     // Monitor for security events every 30 seconds
-    setInterval(() => {
+    this.metricsTimer = setInterval(() => {
       this.monitorSecurityMetrics();
     }, 30000);
+    this.metricsTimer.unref();
 
     // Clean up old data every hour
-    setInterval(() => {
+    this.cleanupTimer = setInterval(() => {
       this.cleanupSecurityData();
     }, 3600000);
+    this.cleanupTimer.unref();
 
     this.logger.info('Security monitoring started');
   }
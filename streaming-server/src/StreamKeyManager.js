@@ -0,0 +1,580 @@
+/**
+ * StreamKeyManager - Publishing credentials for streams
+ *
+ * Handles:
+ * - Rotatable primary keys; the replaced key keeps working for a grace period
+ * - Optional expiry per key
+ * - One-time backup keys for when the primary key is unavailable
+ * - Per-key IP allowlists (addresses or CIDR ranges)
+ * - An audit row for every publish attempt
+ * - Revocation, which also ends a publish that is using the key on any replica
+ *
+ * Keys are stored as SHA-256 hashes; the plain key is only returned when it
+ * is issued. Lookups are cached in Redis by hash and dropped whenever a key
+ * changes. live_streams.stream_key still names the stream's output; the
+ * stream's first publishing key is that same value.
+ *
+ * Events: 'revoked' ({ keyId, streamId })
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { createHttpError } = require('./utils/errors');
+
+const KEY_CHANNEL = 'stream-keys';
+const KEY_TYPES = ['primary', 'backup'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are matched as IPv4
+function normalizeIp(ip) {
+  return typeof ip === 'string' && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+function ipToBigInt(ip) {
+  if (net.isIPv4(ip)) {
+    return ip.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+  }
+
+  // Expand :: and any embedded IPv4 tail into eight groups
+  let address = ip;
+  const ipv4Tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4Tail) {
+    const tail = ipToBigInt(ipv4Tail[1]);
+    address = address.replace(ipv4Tail[1], `${(tail >> 16n).toString(16)}:${(tail & 0xffffn).toString(16)}`);
+  }
+  const [head, rest = ''] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest ? rest.split(':') : [];
+  const groups = address.includes('::')
+    ? [...headGroups, ...Array(8 - headGroups.length - restGroups.length).fill('0'), ...restGroups]
+    : headGroups;
+
+  return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Validate an allowlist entry: an address or address/prefix
+ */
+function parseIpRule(rule) {
+  const [address, prefix] = String(rule).trim().split('/');
+  const version = net.isIP(normalizeIp(address));
+  if (!version) {
+    return null;
+  }
+
+  const bits = version === 4 ? 32 : 128;
+  const length = prefix === undefined ? bits : Number(prefix);
+  if (!Number.isInteger(length) || length < 0 || length > bits) {
+    return null;
+  }
+  return { address: normalizeIp(address), version, length, bits };
+}
+
+function ipMatches(ip, rule) {
+  const parsed = parseIpRule(rule);
+  const address = normalizeIp(ip);
+  if (!parsed || net.isIP(address) !== parsed.version) {
+    return false;
+  }
+
+  const shift = BigInt(parsed.bits - parsed.length);
+  return (ipToBigInt(address) >> shift) === (ipToBigInt(parsed.address) >> shift);
+}
+
+class StreamKeyManager extends EventEmitter {
+  constructor(dbPool, redisClient, logger) {
+    super();
+    this.db = dbPool;
+    this.redis = redisClient;
+    this.logger = logger;
+
+    // Wired up by the server once the cluster adapter exists
+    this.cluster = null;
+
+    this.config = {
+      gracePeriod: (parseInt(process.env.STREAM_KEY_GRACE_PERIOD) || 15) * 60 * 1000,
+      maxGracePeriod: 7 * 24 * 60 * 60 * 1000,
+      maxBackupKeys: parseInt(process.env.STREAM_KEY_MAX_BACKUP_KEYS) || 5,
+      maxAllowedIps: 20,
+      cacheTtl: 60, // seconds
+      missCacheTtl: 10
+    };
+  }
+
+  generateKey() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Store a new key for a stream and return it with its plain value
+   */
+  async issueKey(streamId, options = {}) {
+    try {
+      const type = options.type || 'primary';
+      if (!KEY_TYPES.includes(type)) {
+        throw createHttpError(`Unknown key type: ${type}`);
+      }
+
+      const key = this.generateKey();
+      const record = {
+        id: uuidv4(),
+        streamId,
+        type,
+        prefix: key.slice(0, 4),
+        status: 'active',
+        expiresAt: this.normalizeExpiry(options.expiresAt),
+        allowedIps: this.normalizeAllowedIps(options.allowedIps),
+        rotatedAt: null,
+        revokedAt: null,
+        revokedReason: null,
+        lastUsedAt: null,
+        lastUsedIp: null,
+        createdBy: options.createdBy || null,
+        createdAt: new Date()
+      };
+
+      await this.db.execute(`
+        INSERT INTO stream_keys (
+          id, stream_id, key_hash, key_prefix, type, status, expires_at,
+          allowed_ips, created_by, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        record.id,
+        streamId,
+        hashKey(key),
+        record.prefix,
+        record.type,
+        record.status,
+        record.expiresAt,
+        JSON.stringify(record.allowedIps),
+        record.createdBy,
+        record.createdAt
+      ]);
+
+      await this.invalidateKey(hashKey(key));
+      return { ...this.serializeKey(record), key };
+    } catch (error) {
+      this.logger.error('Error issuing stream key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new primary key. Primary keys issued before keep working until
+   * the grace period ends (or their own expiry, if sooner). Expiry only
+   * stops new publishes; revoke a key to end one that is running.
+   */
+  async rotateKey(streamId, options = {}) {
+    try {
+      const gracePeriod = options.gracePeriod !== undefined ? Number(options.gracePeriod) : this.config.gracePeriod;
+      if (!Number.isFinite(gracePeriod) || gracePeriod < 0 || gracePeriod > this.config.maxGracePeriod) {
+        throw createHttpError('Invalid grace period');
+      }
+
+      const keys = await this.loadKeys(streamId);
+      const now = new Date();
+      const current = keys.filter(key => key.type === 'primary' && this.getKeyStatus(key, now) === 'active');
+      const graceEnd = new Date(now.getTime() + gracePeriod);
+
+      const issued = await this.issueKey(streamId, {
+        type: 'primary',
+        expiresAt: options.expiresAt,
+        // The new key keeps the allowlist of the key it replaces unless given one
+        allowedIps: options.allowedIps !== undefined ? options.allowedIps : (current[0] ? current[0].allowedIps : []),
+        createdBy: options.createdBy
+      });
+
+      for (const key of current) {
+        const expiresAt = key.expiresAt && key.expiresAt < graceEnd ? key.expiresAt : graceEnd;
+        await this.db.execute(
+          'UPDATE stream_keys SET expires_at = ?, rotated_at = ? WHERE id = ?',
+          [expiresAt, now, key.id]
+        );
+        await this.invalidateKey(key.hash);
+      }
+
+      this.logger.info(`Stream key rotated for stream ${streamId}; ${current.length} previous keys expire at ${graceEnd.toISOString()}`);
+      return issued;
+    } catch (error) {
+      this.logger.error('Error rotating stream key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue one-time backup keys; each works for a single publish
+   */
+  async createBackupKeys(streamId, options = {}) {
+    try {
+      const count = options.count || 1;
+      const keys = await this.loadKeys(streamId);
+      const unused = keys.filter(key => key.type === 'backup' && this.getKeyStatus(key) === 'active').length;
+
+      if (unused + count > this.config.maxBackupKeys) {
+        throw createHttpError(`A stream can have at most ${this.config.maxBackupKeys} unused backup keys`, 409);
+      }
+
+      const issued = [];
+      for (let i = 0; i < count; i++) {
+        issued.push(await this.issueKey(streamId, {
+          type: 'backup',
+          expiresAt: options.expiresAt,
+          allowedIps: options.allowedIps,
+          createdBy: options.createdBy
+        }));
+      }
+
+      this.logger.info(`Issued ${count} backup stream keys for stream ${streamId}`);
+      return issued;
+    } catch (error) {
+      this.logger.error('Error creating backup stream keys:', error);
+      throw error;
+    }
+  }
+
+  async listKeys(streamId) {
+    const keys = await this.loadKeys(streamId);
+    return keys.map(key => this.serializeKey(key));
+  }
+
+  async getKey(keyId) {
+    const [rows] = await this.db.execute('SELECT * FROM stream_keys WHERE id = ?', [keyId]);
+    return rows[0] ? this.parseKey(rows[0]) : null;
+  }
+
+  /**
+   * Change a key's allowlist or expiry
+   */
+  async updateKey(keyId, changes) {
+    try {
+      const key = await this.getKey(keyId);
+      if (!key) {
+        throw createHttpError('Stream key not found', 404);
+      }
+      if (this.getKeyStatus(key) !== 'active') {
+        throw createHttpError(`Cannot change a ${this.getKeyStatus(key)} key`, 409);
+      }
+
+      if (changes.allowedIps !== undefined) {
+        key.allowedIps = this.normalizeAllowedIps(changes.allowedIps);
+      }
+      if (changes.expiresAt !== undefined) {
+        key.expiresAt = this.normalizeExpiry(changes.expiresAt);
+      }
+
+      await this.db.execute(
+        'UPDATE stream_keys SET allowed_ips = ?, expires_at = ? WHERE id = ?',
+        [JSON.stringify(key.allowedIps), key.expiresAt, keyId]
+      );
+      await this.invalidateKey(key.hash);
+
+      return this.serializeKey(key);
+    } catch (error) {
+      this.logger.error('Error updating stream key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key now; a publish using it is disconnected on every replica
+   */
+  async revokeKey(keyId, options = {}) {
+    try {
+      const key = await this.getKey(keyId);
+      if (!key) {
+        throw createHttpError('Stream key not found', 404);
+      }
+      if (key.status === 'revoked') {
+        return this.serializeKey(key);
+      }
+
+      key.status = 'revoked';
+      key.revokedAt = new Date();
+      key.revokedReason = options.reason || null;
+
+      await this.db.execute(
+        'UPDATE stream_keys SET status = ?, revoked_at = ?, revoked_reason = ?, revoked_by = ? WHERE id = ?',
+        ['revoked', key.revokedAt, key.revokedReason, options.revokedBy || null, keyId]
+      );
+      await this.invalidateKey(key.hash);
+
+      const message = { keyId, streamId: key.streamId };
+      if (this.cluster) {
+        // Publishers receive their own messages, so this replica hears it too
+        await this.cluster.publish(KEY_CHANNEL, message);
+      } else {
+        this.emit('revoked', message);
+      }
+
+      this.logger.info(`Stream key ${keyId} revoked for stream ${key.streamId}`);
+      return this.serializeKey(key);
+    } catch (error) {
+      this.logger.error('Error revoking stream key:', error);
+      throw error;
+    }
+  }
+
+  async startClusterSync() {
+    await this.cluster.subscribe(KEY_CHANNEL, (message) => this.emit('revoked', message));
+  }
+
+  async stopClusterSync() {
+    await this.cluster.unsubscribe(KEY_CHANNEL);
+  }
+
+  /**
+   * Check a key for a publish attempt from ip. Returns { key } when it may
+   * publish, or { key, reason } when it may not.
+   */
+  async checkPublishKey(publishKey, ip) {
+    const key = await this.findKey(publishKey);
+    if (!key) {
+      return { key: null, reason: 'unknown_key' };
+    }
+
+    const status = this.getKeyStatus(key);
+    if (status !== 'active') {
+      return { key, reason: `key_${status}` };
+    }
+
+    if (key.allowedIps.length > 0 && !key.allowedIps.some(rule => ipMatches(ip, rule))) {
+      return { key, reason: 'ip_not_allowed' };
+    }
+
+    return { key };
+  }
+
+  /**
+   * Record a successful publish with the key. A backup key is used up, and
+   * only one publish can claim it; false means another one got there first.
+   */
+  async claimKey(key, ip) {
+    if (key.type === 'backup') {
+      const [result] = await this.db.execute(
+        'UPDATE stream_keys SET status = ?, last_used_at = NOW(), last_used_ip = ? WHERE id = ? AND status = ?',
+        ['used', ip || null, key.id, 'active']
+      );
+      await this.invalidateKey(key.hash);
+      return result.affectedRows > 0;
+    }
+
+    try {
+      await this.db.execute(
+        'UPDATE stream_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?',
+        [ip || null, key.id]
+      );
+    } catch (error) {
+      this.logger.warn(`Failed to record use of stream key ${key.id}: ${error.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * Key record for a plain key, with the stream's output key; cached by hash
+   */
+  async findKey(publishKey) {
+    if (typeof publishKey !== 'string' || !publishKey) {
+      return null;
+    }
+
+    const hash = hashKey(publishKey);
+    const cacheKey = `streamkey:${hash}`;
+
+    if (this.redis) {
+      const cached = await this.redis.get(cacheKey);
+      if (cached) {
+        const data = JSON.parse(cached);
+        return data.missing ? null : this.reviveKey(data);
+      }
+    }
+
+    const [rows] = await this.db.execute(`
+      SELECT k.*, s.stream_key
+      FROM stream_keys k
+      JOIN live_streams s ON s.id = k.stream_id
+      WHERE k.key_hash = ?
+    `, [hash]);
+
+    const key = rows[0] ? this.parseKey(rows[0]) : null;
+    if (this.redis) {
+      // Misses are cached briefly so guessing keys cannot hammer the database
+      await this.redis.setEx(
+        cacheKey,
+        key ? this.config.cacheTtl : this.config.missCacheTtl,
+        JSON.stringify(key || { missing: true })
+      );
+    }
+    return key;
+  }
+
+  async invalidateKey(hash) {
+    if (!this.redis || !hash) {
+      return;
+    }
+
+    try {
+      await this.redis.del(`streamkey:${hash}`);
+    } catch (error) {
+      this.logger.warn(`Failed to invalidate stream key cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a publish attempt; failures here never block publishing
+   */
+  async recordPublishAttempt(attempt) {
+    try {
+      await this.db.execute(`
+        INSERT INTO stream_publish_audit (
+          stream_id, key_id, key_prefix, ip_address, session_id, result, reason, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+      `, [
+        attempt.streamId || null,
+        attempt.keyId || null,
+        attempt.keyPrefix || null,
+        attempt.ip || null,
+        attempt.sessionId || null,
+        attempt.result,
+        attempt.reason || null
+      ]);
+    } catch (error) {
+      this.logger.warn(`Failed to record publish attempt: ${error.message}`);
+    }
+  }
+
+  async listPublishAttempts(streamId, options = {}) {
+    const limit = Math.min(parseInt(options.limit) || 50, 500);
+    const [rows] = await this.db.execute(`
+      SELECT a.*, k.type AS key_type
+      FROM stream_publish_audit a
+      LEFT JOIN stream_keys k ON k.id = a.key_id
+      WHERE a.stream_id = ?
+      ORDER BY a.created_at DESC
+      LIMIT ${limit}
+    `, [streamId]);
+
+    return rows.map(row => ({
+      id: row.id,
+      keyId: row.key_id,
+      keyType: row.key_type || null,
+      keyPrefix: row.key_prefix,
+      ip: row.ip_address,
+      sessionId: row.session_id,
+      result: row.result,
+      reason: row.reason,
+      createdAt: row.created_at
+    }));
+  }
+
+  async loadKeys(streamId) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM stream_keys WHERE stream_id = ? ORDER BY created_at DESC',
+      [streamId]
+    );
+    return rows.map(row => this.parseKey(row));
+  }
+
+  /**
+   * active, expired, used or revoked
+   */
+  getKeyStatus(key, now = new Date()) {
+    if (key.status !== 'active') {
+      return key.status;
+    }
+    if (key.expiresAt && key.expiresAt <= now) {
+      return 'expired';
+    }
+    return 'active';
+  }
+
+  normalizeExpiry(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null) {
+      return null;
+    }
+
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime())) {
+      throw createHttpError('Invalid expiry date');
+    }
+    if (date <= new Date()) {
+      throw createHttpError('Expiry must be in the future');
+    }
+    return date;
+  }
+
+  normalizeAllowedIps(allowedIps) {
+    if (allowedIps === undefined || allowedIps === null) {
+      return [];
+    }
+    if (!Array.isArray(allowedIps) || allowedIps.length > this.config.maxAllowedIps) {
+      throw createHttpError(`Allowed IPs must be a list of at most ${this.config.maxAllowedIps} entries`);
+    }
+
+    return allowedIps.map((rule) => {
+      const parsed = parseIpRule(rule);
+      if (!parsed) {
+        throw createHttpError(`Invalid IP address or range: ${rule}`);
+      }
+      return parsed.length === parsed.bits ? parsed.address : `${parsed.address}/${parsed.length}`;
+    });
+  }
+
+  parseKey(row) {
+    const toDate = (value) => (value ? new Date(value) : null);
+    const allowedIps = typeof row.allowed_ips === 'string' ? JSON.parse(row.allowed_ips) : (row.allowed_ips || []);
+
+    return {
+      id: row.id,
+      streamId: row.stream_id,
+      streamKey: row.stream_key || null,
+      hash: row.key_hash,
+      type: row.type,
+      prefix: row.key_prefix,
+      status: row.status,
+      expiresAt: toDate(row.expires_at),
+      allowedIps,
+      rotatedAt: toDate(row.rotated_at),
+      revokedAt: toDate(row.revoked_at),
+      revokedReason: row.revoked_reason || null,
+      lastUsedAt: toDate(row.last_used_at),
+      lastUsedIp: row.last_used_ip || null,
+      createdBy: row.created_by || null,
+      createdAt: toDate(row.created_at)
+    };
+  }
+
+  // Dates come back from the Redis cache as strings
+  reviveKey(data) {
+    const toDate = (value) => (value ? new Date(value) : null);
+    return {
+      ...data,
+      expiresAt: toDate(data.expiresAt),
+      rotatedAt: toDate(data.rotatedAt),
+      revokedAt: toDate(data.revokedAt),
+      lastUsedAt: toDate(data.lastUsedAt),
+      createdAt: toDate(data.createdAt)
+    };
+  }
+
+  /**
+   * Public representation: no hash, and the stream's output key is left out
+   */
+  serializeKey(key) {
+    const { hash, streamKey, ...data } = key;
+    return {
+      ...data,
+      status: this.getKeyStatus(key)
+    };
+  }
+}
+
+StreamKeyManager.KEY_TYPES = KEY_TYPES;
+StreamKeyManager.hashKey = hashKey;
+StreamKeyManager.ipMatches = ipMatches;
+
+module.exports = StreamKeyManager;
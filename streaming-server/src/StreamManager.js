@@ -3,14 +3,22 @@
  * 
  * Handles:
  * - Stream creation and validation
- * - Stream key management
+ * - Stream key management (publishing keys live in StreamKeyManager)
  * - Stream session tracking
+ * - Viewer counts (presence lives in ViewerPresence)
  * - Stream status updates
  * - Stream analytics
+ * - Playback URLs for the stream's latency mode
  */
 
 const { v4: uuidv4 } = require('uuid');
-const crypto = require('crypto');
+const StreamKeyManager = require('./StreamKeyManager');
+const ViewerPresence = require('./ViewerPresence');
+
+// Standard HLS is served by the media server; low latency playlists and
+// the DASH manifest by the playback routes
+const MEDIA_HTTP_URL = process.env.MEDIA_HTTP_URL || 'http://localhost:8080';
+const PLAYBACK_URL = process.env.PLAYBACK_URL || 'http://localhost:8081/playback';
 
 class StreamManager {
   constructor(dbPool, redisClient, logger) {
@@ -18,6 +26,11 @@ class StreamManager {
     this.redis = redisClient;
     this.logger = logger;
     this.activeStreams = new Map();
+    this.streamKeys = new StreamKeyManager(dbPool, redisClient, logger);
+    this.presence = new ViewerPresence(dbPool, redisClient, logger);
+
+    // RTMP session id -> promise of { streamId, streamKey, keyId } while publishing
+    this.publishSessions = new Map();
   }
 
   /**
@@ -27,13 +40,14 @@ class StreamManager {
     try {
       const streamId = uuidv4();
       const streamKey = this.generateStreamKey();
+      const latencyMode = streamData.latency_mode || 'standard';
       
       const query = `
         INSERT INTO live_streams (
           id, user_id, title, description, stream_key, 
           category, quality, max_viewers, recording_enabled, 
-          chat_enabled, status, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'scheduled', NOW(), NOW())
+          chat_enabled, latency_mode, status, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'scheduled', NOW(), NOW())
       `;
       
       const values = [
@@ -46,10 +60,15 @@ class StreamManager {
         streamData.quality || '720p',
         streamData.max_viewers || 1000,
         streamData.recording_enabled || true,
-        streamData.chat_enabled || true
+        streamData.chat_enabled || true,
+        latencyMode
       ];
       
       await this.db.execute(query, values);
+
+      // The stream key names the stream in public URLs and events; publishing
+      // takes a separate secret key, shown to the owner only here
+      const { key: publishKey } = await this.streamKeys.issueKey(streamId, { createdBy: userId });
       
       // Cache stream data in Redis
       await this.redis.setEx(`stream:${streamKey}`, 3600, JSON.stringify({
@@ -57,6 +76,9 @@ class StreamManager {
         userId,
         title: streamData.title,
         status: 'scheduled',
+        quality: streamData.quality || '720p',
+        latencyMode,
+        maxViewers: streamData.max_viewers || 1000,
         createdAt: new Date().toISOString()
       }));
       
@@ -65,8 +87,9 @@ class StreamManager {
       return {
         id: streamId,
         streamKey,
-        rtmpUrl: `rtmp://localhost:1935/live/${streamKey}`,
-        hlsUrl: `http://localhost:8080/live/${streamKey}/index.m3u8`,
+        publishKey,
+        rtmpUrl: `rtmp://localhost:1935/live/${publishKey}`,
+        ...this.getPlaybackUrls(streamKey, latencyMode),
         status: 'scheduled'
       };
     } catch (error) {
@@ -76,45 +99,90 @@ class StreamManager {
   }
 
   /**
-   * Validate stream key
+   * Validate a publishing key for an RTMP publish attempt
+   *
+   * Checks the key's status, expiry and IP allowlist and that its stream
+   * can go live, and records the attempt. Resolves to
+   * { streamId, streamKey, keyId } where streamKey is the stream's own key
+   * (used for its outputs), or null when the publish is rejected.
+   *
+   * context: { ip, sessionId }; with a sessionId the result is also kept
+   * for getPublishSession.
    */
-  async validateStreamKey(streamKey) {
+  async validateStreamKey(publishKey, context = {}) {
+    const authorization = this.authorizePublish(publishKey, context);
+    if (context.sessionId) {
+      this.publishSessions.set(context.sessionId, authorization);
+    }
+
+    const publish = await authorization;
+    if (!publish && context.sessionId) {
+      this.publishSessions.delete(context.sessionId);
+    }
+    return publish;
+  }
+
+  async authorizePublish(publishKey, { ip, sessionId } = {}) {
+    const attempt = { ip, sessionId, keyPrefix: typeof publishKey === 'string' ? publishKey.slice(0, 4) : null };
+
     try {
-      // Check Redis cache first
-      const cachedStream = await this.redis.get(`stream:${streamKey}`);
-      if (cachedStream) {
-        const streamData = JSON.parse(cachedStream);
-        return streamData.status === 'scheduled' || streamData.status === 'live';
+      const { key, reason } = await this.streamKeys.checkPublishKey(publishKey, ip);
+      attempt.keyId = key ? key.id : null;
+      attempt.streamId = key ? key.streamId : null;
+
+      let rejection = reason;
+      if (!rejection) {
+        const streamData = await this.getStreamByKey(key.streamKey);
+        if (!streamData || !['scheduled', 'live'].includes(streamData.status)) {
+          rejection = 'stream_not_available';
+        } else if (!await this.streamKeys.claimKey(key, ip)) {
+          rejection = 'key_used';
+        }
       }
-      
-      // Check database
-      const query = `
-        SELECT id, user_id, status, title 
-        FROM live_streams 
-        WHERE stream_key = ? AND status IN ('scheduled', 'live')
-      `;
-      
-      const [rows] = await this.db.execute(query, [streamKey]);
-      
-      if (rows.length === 0) {
-        return false;
+
+      await this.streamKeys.recordPublishAttempt({ ...attempt, result: rejection ? 'rejected' : 'accepted', reason: rejection });
+
+      if (rejection) {
+        this.logger.warn(`Publish rejected (${rejection}) for key ${attempt.keyPrefix}... from ${ip}`);
+        return null;
       }
-      
-      // Cache the result
-      await this.redis.setEx(`stream:${streamKey}`, 3600, JSON.stringify({
-        id: rows[0].id,
-        userId: rows[0].user_id,
-        title: rows[0].title,
-        status: rows[0].status
-      }));
-      
-      return true;
+      return { streamId: key.streamId, streamKey: key.streamKey, keyId: key.id };
     } catch (error) {
       this.logger.error('Error validating stream key:', error);
-      return false;
+      await this.streamKeys.recordPublishAttempt({ ...attempt, result: 'rejected', reason: 'error' });
+      return null;
     }
   }
 
+  /**
+   * The validated publish for an RTMP session, waiting for validation
+   * that is still running
+   */
+  async getPublishSession(sessionId) {
+    const publish = this.publishSessions.get(sessionId);
+    return publish ? (await publish) || null : null;
+  }
+
+  async endPublishSession(sessionId) {
+    const publish = await this.getPublishSession(sessionId);
+    this.publishSessions.delete(sessionId);
+    return publish;
+  }
+
+  /**
+   * RTMP sessions currently publishing with a key
+   */
+  async getSessionsUsingKey(keyId) {
+    const sessions = [];
+    for (const sessionId of this.publishSessions.keys()) {
+      const publish = await this.getPublishSession(sessionId);
+      if (publish && publish.keyId === keyId) {
+        sessions.push(sessionId);
+      }
+    }
+    return sessions;
+  }
+
   /**
    * Start stream session
    */
@@ -137,16 +205,16 @@ class StreamManager {
       
       const sessionUuid = uuidv4();
       await this.db.execute(sessionQuery, [sessionUuid, streamData.id, sessionId]);
+
+      // Open the stream to viewers
+      await this.presence.startStream(streamData.id, { maxViewers: streamData.maxViewers });
       
       // Track active stream
       this.activeStreams.set(streamKey, {
         id: streamData.id,
         sessionId,
         startedAt: new Date(),
-        viewers: new Set(),
         stats: {
-          totalViewers: 0,
-          peakViewers: 0,
           chatMessages: 0
         }
       });
@@ -183,11 +251,14 @@ class StreamManager {
       await this.db.execute(sessionQuery, [streamData.id]);
       
       // Save final statistics
+      const viewers = await this.presence.endStream(streamData.id);
       const activeStream = this.activeStreams.get(streamKey);
-      if (activeStream) {
-        await this.saveStreamStatistics(streamData.id, activeStream.stats);
-        this.activeStreams.delete(streamKey);
-      }
+      await this.saveStreamStatistics(streamData.id, {
+        totalViewers: viewers.unique,
+        peakViewers: viewers.peak,
+        chatMessages: activeStream ? activeStream.stats.chatMessages : 0
+      });
+      this.activeStreams.delete(streamKey);
       
       this.logger.info(`Stream session ended: ${streamKey}`);
     } catch (error) {
@@ -223,6 +294,64 @@ class StreamManager {
     }
   }
 
+  /**
+   * Stream by ID, or null
+   */
+  async getStream(streamId) {
+    const [rows] = await this.db.execute(`
+      SELECT id, user_id, title, description, stream_key, category, quality, max_viewers,
+             recording_enabled, chat_enabled, latency_mode, status, started_at, ended_at,
+             created_at, updated_at
+      FROM live_streams
+      WHERE id = ?
+    `, [streamId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Update a stream's title, description or category
+   */
+  async updateStream(streamId, changes) {
+    const fields = ['title', 'description', 'category'].filter(field => changes[field] !== undefined);
+    const stream = await this.getStream(streamId);
+    if (!stream || fields.length === 0) {
+      return stream;
+    }
+
+    await this.db.execute(
+      `UPDATE live_streams SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...fields.map(field => changes[field]), streamId]
+    );
+    await this.redis.del(`stream:${stream.stream_key}`);
+
+    this.logger.info(`Stream updated: ${streamId}`);
+    return this.getStream(streamId);
+  }
+
+  /**
+   * Delete a stream; its keys, sessions and statistics go with it
+   */
+  async deleteStream(streamId) {
+    const stream = await this.getStream(streamId);
+    if (!stream) {
+      return false;
+    }
+
+    await this.db.execute('DELETE FROM live_streams WHERE id = ?', [streamId]);
+    await this.redis.del(`stream:${stream.stream_key}`);
+
+    this.logger.info(`Stream deleted: ${streamId}`);
+    return true;
+  }
+
+  /**
+   * Owner's user ID, or null when there is no such stream
+   */
+  async getStreamOwner(streamId) {
+    const [rows] = await this.db.execute('SELECT user_id FROM live_streams WHERE id = ?', [streamId]);
+    return rows[0] ? rows[0].user_id : null;
+  }
+
   /**
    * Get stream by key
    */
@@ -236,7 +365,7 @@ class StreamManager {
       
       // Query database
       const query = `
-        SELECT id, user_id, title, description, status, created_at
+        SELECT id, user_id, title, description, status, quality, latency_mode, max_viewers, created_at
         FROM live_streams 
         WHERE stream_key = ?
       `;
@@ -253,6 +382,9 @@ class StreamManager {
         title: rows[0].title,
         description: rows[0].description,
         status: rows[0].status,
+        quality: rows[0].quality,
+        latencyMode: rows[0].latency_mode,
+        maxViewers: rows[0].max_viewers,
         createdAt: rows[0].created_at
       };
       
@@ -267,29 +399,28 @@ class StreamManager {
   }
 
   /**
-   * Add viewer to stream
+   * Add a viewer session to a stream, or keep it alive
+   *
+   * Resolves to false when the stream is not live or already has
+   * max_viewers; ViewerPresence.join gives the reason.
    */
-  async addViewer(streamKey, viewerId) {
+  async addViewer(streamKey, sessionId, viewerId = sessionId) {
     try {
       const activeStream = this.activeStreams.get(streamKey);
       if (!activeStream) {
         return false;
       }
-      
-      activeStream.viewers.add(viewerId);
-      activeStream.stats.totalViewers++;
-      
-      if (activeStream.viewers.size > activeStream.stats.peakViewers) {
-        activeStream.stats.peakViewers = activeStream.viewers.size;
-      }
-      
-      // Update viewer count in Redis
-      await this.redis.setEx(`stream:${streamKey}:viewers`, 300, activeStream.viewers.size);
-      
-      this.logger.debug(`Viewer added to stream: ${streamKey} (${viewerId})`);
+
+      await this.presence.join(activeStream.id, sessionId, { viewerId });
+
+      this.logger.debug(`Viewer added to stream: ${streamKey} (${sessionId})`);
       return true;
     } catch (error) {
-      this.logger.error('Error adding viewer:', error);
+      if (error.statusCode) {
+        this.logger.debug(`Viewer not added to stream ${streamKey}: ${error.message}`);
+      } else {
+        this.logger.error('Error adding viewer:', error);
+      }
       return false;
     }
   }
@@ -297,19 +428,16 @@ class StreamManager {
   /**
    * Remove viewer from stream
    */
-  async removeViewer(streamKey, viewerId) {
+  async removeViewer(streamKey, sessionId) {
     try {
       const activeStream = this.activeStreams.get(streamKey);
       if (!activeStream) {
         return false;
       }
       
-      activeStream.viewers.delete(viewerId);
+      await this.presence.leave(activeStream.id, sessionId);
       
-      // Update viewer count in Redis
-      await this.redis.setEx(`stream:${streamKey}:viewers`, 300, activeStream.viewers.size);
-      
-      this.logger.debug(`Viewer removed from stream: ${streamKey} (${viewerId})`);
+      this.logger.debug(`Viewer removed from stream: ${streamKey} (${sessionId})`);
       return true;
     } catch (error) {
       this.logger.error('Error removing viewer:', error);
@@ -326,11 +454,13 @@ class StreamManager {
       if (!activeStream) {
         return null;
       }
+
+      const viewers = await this.presence.getCounts(activeStream.id);
       
       return {
-        currentViewers: activeStream.viewers.size,
-        totalViewers: activeStream.stats.totalViewers,
-        peakViewers: activeStream.stats.peakViewers,
+        currentViewers: viewers.current,
+        totalViewers: viewers.unique,
+        peakViewers: viewers.peak,
         chatMessages: activeStream.stats.chatMessages,
         duration: Date.now() - activeStream.startedAt.getTime()
       };
@@ -340,11 +470,33 @@ class StreamManager {
     }
   }
 
+  /**
+   * Playback URLs for a stream
+   *
+   * Standard streams play the media server's HLS output. Low latency
+   * streams play LL-HLS, or DASH from the same CMAF segments.
+   */
+  getPlaybackUrls(streamKey, latencyMode = 'standard') {
+    if (latencyMode === 'low') {
+      return {
+        latencyMode,
+        hlsUrl: `${PLAYBACK_URL}/${streamKey}/master.m3u8`,
+        dashUrl: `${PLAYBACK_URL}/${streamKey}/manifest.mpd`
+      };
+    }
+
+    return {
+      latencyMode: 'standard',
+      hlsUrl: `${MEDIA_HTTP_URL}/live/${streamKey}/master.m3u8`,
+      dashUrl: null
+    };
+  }
+
   /**
    * Generate secure stream key
    */
   generateStreamKey() {
-    return crypto.randomBytes(16).toString('hex');
+    return this.streamKeys.generateKey();
   }
 
   /**
@@ -374,14 +526,19 @@ class StreamManager {
   /**
    * Get active streams
    */
-  getActiveStreams() {
+  async getActiveStreams() {
     const streams = [];
     for (const [streamKey, streamData] of this.activeStreams) {
+      const viewers = await this.presence.getCounts(streamData.id);
       streams.push({
         streamKey,
         id: streamData.id,
-        currentViewers: streamData.viewers.size,
-        stats: streamData.stats,
+        currentViewers: viewers.current,
+        stats: {
+          ...streamData.stats,
+          totalViewers: viewers.unique,
+          peakViewers: viewers.peak
+        },
         startedAt: streamData.startedAt
       });
     }
@@ -0,0 +1,784 @@
+/**
+ * StreamScheduler - Scheduled and recurring stream execution
+ *
+ * Handles:
+ * - Persisting stream schedules in MySQL
+ * - Reminder notifications at configurable offsets
+ * - Re-arming the live_streams row when a schedule comes due
+ * - Auto-starting streams whose host has the broadcasting studio open
+ * - Recurring schedules (daily, weekly, monthly)
+ *
+ * Every streaming server instance runs the processor. Each reminder and
+ * start is claimed with an optimistic version check on the schedule row, so
+ * it happens exactly once across the cluster.
+ *
+ * Events: 'reminder', 'starting', 'started', 'missed', 'cancelled'
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { createHttpError } = require('./utils/errors');
+
+const RECURRENCES = ['none', 'daily', 'weekly', 'monthly'];
+
+class StreamScheduler extends EventEmitter {
+  constructor(dbPool, redisClient, logger) {
+    super();
+    this.db = dbPool;
+    this.redis = redisClient;
+    this.logger = logger;
+
+    // Wired up by the server once the other services exist
+    this.io = null;
+    this.broadcastingTools = null;
+
+    // Scheduler configuration
+    this.config = {
+      pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL) || 30000,
+      reminderOffsets: this.parseOffsets(process.env.SCHEDULE_REMINDER_OFFSETS || '1440,60,10'),
+      maxReminderOffset: 7 * 24 * 60, // minutes
+      maxReminders: 5,
+      missedGracePeriod: (parseInt(process.env.SCHEDULE_MISSED_GRACE) || 15) * 60 * 1000,
+      maxScheduleAhead: 365 * 24 * 60 * 60 * 1000,
+      maxRecurrenceInterval: 12,
+      batchSize: 50
+    };
+
+    this.processing = false;
+    this.startScheduleProcessor();
+  }
+
+  /**
+   * Create a schedule for one of the user's streams
+   */
+  async createSchedule(userId, data) {
+    try {
+      const stream = await this.getStream(data.streamId);
+      if (!stream) {
+        throw createHttpError('Stream not found', 404);
+      }
+      if (String(stream.user_id) !== String(userId)) {
+        throw createHttpError('You can only schedule your own streams', 403);
+      }
+
+      const scheduledTime = this.validateScheduleTime(data.scheduledTime);
+      const reminderOffsets = this.normalizeReminderOffsets(data.reminderOffsets);
+      const recurrence = this.normalizeRecurrence(data.recurrence, scheduledTime);
+
+      const schedule = {
+        id: uuidv4(),
+        streamId: data.streamId,
+        userId,
+        title: data.title || stream.title,
+        description: data.description !== undefined ? data.description : (stream.description || ''),
+        scheduledTime,
+        autoStart: !!data.autoStart,
+        reminderOffsets,
+        nextReminderAt: this.getNextReminderAt(scheduledTime, reminderOffsets),
+        ...recurrence,
+        recurrenceAnchor: scheduledTime,
+        occurrenceCount: 0,
+        status: 'scheduled',
+        version: 0,
+        createdAt: new Date()
+      };
+
+      const query = `
+        INSERT INTO stream_schedules (
+          id, stream_id, user_id, title, description, scheduled_time, auto_start,
+          reminder_offsets, next_reminder_at, recurrence, recurrence_interval,
+          recurrence_anchor, recurrence_until, recurrence_count, occurrence_count, status, version, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      await this.db.execute(query, [
+        schedule.id,
+        schedule.streamId,
+        schedule.userId,
+        schedule.title,
+        schedule.description,
+        schedule.scheduledTime,
+        schedule.autoStart,
+        JSON.stringify(schedule.reminderOffsets),
+        schedule.nextReminderAt,
+        schedule.recurrence,
+        schedule.recurrenceInterval,
+        schedule.recurrenceAnchor,
+        schedule.recurrenceUntil,
+        schedule.recurrenceCount,
+        schedule.occurrenceCount,
+        schedule.status,
+        schedule.version,
+        schedule.createdAt
+      ]);
+
+      await this.db.execute(
+        'UPDATE live_streams SET scheduled_start = ?, updated_at = NOW() WHERE id = ?',
+        [schedule.scheduledTime, schedule.streamId]
+      );
+
+      this.logger.info(`Stream scheduled: ${schedule.id} for ${scheduledTime.toISOString()} (${schedule.recurrence})`);
+      return this.serializeSchedule(schedule);
+    } catch (error) {
+      this.logger.error('Error creating schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a host's schedules
+   */
+  async listSchedules(userId, filters = {}) {
+    try {
+      const conditions = ['user_id = ?'];
+      const params = [userId];
+
+      if (filters.status) {
+        conditions.push('status = ?');
+        params.push(filters.status);
+      }
+      if (filters.streamId) {
+        conditions.push('stream_id = ?');
+        params.push(filters.streamId);
+      }
+      if (filters.from) {
+        conditions.push('scheduled_time >= ?');
+        params.push(new Date(filters.from));
+      }
+      if (filters.to) {
+        conditions.push('scheduled_time <= ?');
+        params.push(new Date(filters.to));
+      }
+
+      const limit = Math.min(parseInt(filters.limit) || 50, 200);
+      const query = `
+        SELECT * FROM stream_schedules
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY scheduled_time ASC
+        LIMIT ${limit}
+      `;
+
+      const [rows] = await this.db.execute(query, params);
+      return rows.map(row => this.serializeSchedule(this.parseSchedule(row)));
+    } catch (error) {
+      this.logger.error('Error listing schedules:', error);
+      throw error;
+    }
+  }
+
+  async getSchedule(scheduleId) {
+    const schedule = await this.loadSchedule(scheduleId);
+    return schedule ? this.serializeSchedule(schedule) : null;
+  }
+
+  /**
+   * Move a schedule or change its settings. For recurring schedules the new
+   * time becomes the anchor for all following occurrences.
+   */
+  async rescheduleSchedule(scheduleId, changes) {
+    try {
+      const schedule = await this.loadSchedule(scheduleId);
+      if (!schedule) {
+        throw createHttpError('Schedule not found', 404);
+      }
+      if (schedule.status !== 'scheduled') {
+        throw createHttpError(`Cannot reschedule a ${schedule.status} schedule`, 409);
+      }
+
+      const updates = {};
+      let scheduledTime = schedule.scheduledTime;
+      let reminderOffsets = schedule.reminderOffsets;
+
+      if (changes.scheduledTime !== undefined) {
+        scheduledTime = this.validateScheduleTime(changes.scheduledTime);
+        updates.scheduled_time = scheduledTime;
+        updates.recurrence_anchor = scheduledTime;
+      }
+      if (changes.title !== undefined) {
+        updates.title = changes.title;
+      }
+      if (changes.description !== undefined) {
+        updates.description = changes.description;
+      }
+      if (changes.autoStart !== undefined) {
+        updates.auto_start = !!changes.autoStart;
+      }
+      if (changes.reminderOffsets !== undefined) {
+        reminderOffsets = this.normalizeReminderOffsets(changes.reminderOffsets);
+        updates.reminder_offsets = JSON.stringify(reminderOffsets);
+      }
+      if (changes.recurrence !== undefined) {
+        const recurrence = this.normalizeRecurrence(changes.recurrence, scheduledTime);
+        updates.recurrence = recurrence.recurrence;
+        updates.recurrence_interval = recurrence.recurrenceInterval;
+        updates.recurrence_until = recurrence.recurrenceUntil;
+        updates.recurrence_count = recurrence.recurrenceCount;
+        updates.recurrence_anchor = scheduledTime;
+      }
+
+      updates.next_reminder_at = this.getNextReminderAt(scheduledTime, reminderOffsets);
+
+      if (!await this.claimSchedule(schedule, updates)) {
+        throw createHttpError('Schedule was modified concurrently, please retry', 409);
+      }
+
+      if (updates.scheduled_time) {
+        await this.db.execute(
+          'UPDATE live_streams SET scheduled_start = ?, updated_at = NOW() WHERE id = ?',
+          [scheduledTime, schedule.streamId]
+        );
+      }
+
+      this.logger.info(`Schedule updated: ${scheduleId}`);
+      return this.getSchedule(scheduleId);
+    } catch (error) {
+      this.logger.error('Error rescheduling stream:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a schedule. scope 'occurrence' skips only the next occurrence of
+   * a recurring schedule; 'series' cancels everything.
+   */
+  async cancelSchedule(scheduleId, scope = 'series') {
+    try {
+      const schedule = await this.loadSchedule(scheduleId);
+      if (!schedule) {
+        throw createHttpError('Schedule not found', 404);
+      }
+      if (schedule.status !== 'scheduled') {
+        throw createHttpError(`Cannot cancel a ${schedule.status} schedule`, 409);
+      }
+
+      if (scope === 'occurrence' && schedule.recurrence !== 'none') {
+        const next = this.getNextOccurrence(schedule, schedule.scheduledTime);
+        const updates = next
+          ? {
+            scheduled_time: next,
+            next_reminder_at: this.getNextReminderAt(next, schedule.reminderOffsets),
+            occurrence_count: schedule.occurrenceCount + 1,
+            last_run_status: 'skipped'
+          }
+          : { status: 'cancelled', next_reminder_at: null, cancelled_at: new Date() };
+
+        if (!await this.claimSchedule(schedule, updates)) {
+          throw createHttpError('Schedule was modified concurrently, please retry', 409);
+        }
+
+        this.notifyStream(schedule, 'schedule:cancelled', { scope, nextOccurrence: next ? next.toISOString() : null });
+        this.emit('cancelled', { schedule, scope, nextOccurrence: next });
+        this.logger.info(`Schedule occurrence skipped: ${scheduleId}`);
+        return this.getSchedule(scheduleId);
+      }
+
+      const updates = { status: 'cancelled', next_reminder_at: null, cancelled_at: new Date() };
+      if (!await this.claimSchedule(schedule, updates)) {
+        throw createHttpError('Schedule was modified concurrently, please retry', 409);
+      }
+
+      // Stop the stream key from accepting publishes if nothing else is scheduled
+      const [remaining] = await this.db.execute(
+        'SELECT COUNT(*) AS count FROM stream_schedules WHERE stream_id = ? AND status = ?',
+        [schedule.streamId, 'scheduled']
+      );
+      if (!remaining[0] || !remaining[0].count) {
+        await this.db.execute(
+          'UPDATE live_streams SET status = ?, scheduled_start = NULL, updated_at = NOW() WHERE id = ? AND status = ?',
+          ['cancelled', schedule.streamId, 'scheduled']
+        );
+        await this.invalidateStreamCache(schedule.streamId);
+      }
+
+      this.notifyStream(schedule, 'schedule:cancelled', { scope: 'series', nextOccurrence: null });
+      this.emit('cancelled', { schedule, scope: 'series', nextOccurrence: null });
+      this.logger.info(`Schedule cancelled: ${scheduleId}`);
+      return this.getSchedule(scheduleId);
+    } catch (error) {
+      this.logger.error('Error cancelling schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run due reminders and starts
+   */
+  async processSchedules(now = new Date()) {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+    try {
+      await this.processDueReminders(now);
+      await this.processDueSchedules(now);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async processDueReminders(now) {
+    const [rows] = await this.db.execute(`
+      SELECT * FROM stream_schedules
+      WHERE status = 'scheduled' AND next_reminder_at IS NOT NULL AND next_reminder_at <= ?
+      ORDER BY next_reminder_at ASC
+      LIMIT ${this.config.batchSize}
+    `, [now]);
+
+    for (const row of rows) {
+      const schedule = this.parseSchedule(row);
+
+      try {
+        // Reminders missed while no instance was running collapse into one
+        const claimed = await this.claimSchedule(schedule, {
+          next_reminder_at: this.getNextReminderAt(schedule.scheduledTime, schedule.reminderOffsets, now)
+        });
+
+        if (claimed && schedule.scheduledTime > now) {
+          await this.sendReminder(schedule, Math.ceil((schedule.scheduledTime - now) / 60000));
+        }
+      } catch (error) {
+        this.logger.error(`Error sending reminder for schedule ${schedule.id}:`, error);
+      }
+    }
+  }
+
+  async processDueSchedules(now) {
+    const [rows] = await this.db.execute(`
+      SELECT * FROM stream_schedules
+      WHERE status = 'scheduled' AND scheduled_time <= ?
+      ORDER BY scheduled_time ASC
+      LIMIT ${this.config.batchSize}
+    `, [now]);
+
+    for (const row of rows) {
+      const schedule = this.parseSchedule(row);
+
+      try {
+        await this.executeSchedule(schedule, now);
+      } catch (error) {
+        this.logger.error(`Error executing schedule ${schedule.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start one occurrence and advance recurring schedules to the next one
+   */
+  async executeSchedule(schedule, now) {
+    const next = this.getNextOccurrence(schedule, now);
+    const updates = next
+      ? {
+        scheduled_time: next,
+        next_reminder_at: this.getNextReminderAt(next, schedule.reminderOffsets, now),
+        occurrence_count: schedule.occurrenceCount + 1,
+        last_run_at: now
+      }
+      : {
+        status: schedule.recurrence === 'none' ? 'started' : 'completed',
+        next_reminder_at: null,
+        occurrence_count: schedule.occurrenceCount + 1,
+        last_run_at: now
+      };
+
+    if (!await this.claimSchedule(schedule, updates)) {
+      return null; // another instance got there first
+    }
+
+    // Don't go live hours late after an outage
+    const overdue = now - schedule.scheduledTime > this.config.missedGracePeriod;
+    const result = overdue ? 'missed' : await this.startOccurrence(schedule);
+
+    const status = schedule.recurrence === 'none' && result === 'missed' ? 'missed' : updates.status;
+    await this.db.execute(
+      'UPDATE stream_schedules SET last_run_status = ?, status = COALESCE(?, status), version = version + 1 WHERE id = ?',
+      [result, status || null, schedule.id]
+    );
+
+    if (result === 'missed') {
+      this.notifyHost(schedule, 'schedule:missed', { reason: overdue ? 'overdue' : 'host_not_connected' });
+      this.emit('missed', { schedule, overdue });
+    }
+
+    this.logger.info(`Schedule ${schedule.id} ran: ${result}${next ? `, next at ${next.toISOString()}` : ''}`);
+    return result;
+  }
+
+  /**
+   * Re-arm the stream row for this occurrence and go live if requested
+   */
+  async startOccurrence(schedule) {
+    const stream = await this.getStream(schedule.streamId);
+    if (!stream) {
+      this.logger.warn(`Schedule ${schedule.id} references missing stream ${schedule.streamId}`);
+      return 'missed';
+    }
+
+    if (stream.status === 'live') {
+      this.logger.warn(`Schedule ${schedule.id} skipped: stream ${schedule.streamId} is already live`);
+      return 'skipped';
+    }
+
+    // The stream key only validates while the row is scheduled
+    await this.db.execute(`
+      UPDATE live_streams
+      SET status = 'scheduled', scheduled_start = ?, title = ?, description = ?, updated_at = NOW()
+      WHERE id = ?
+    `, [schedule.scheduledTime, schedule.title, schedule.description, schedule.streamId]);
+    await this.invalidateStreamCache(schedule.streamId, stream.stream_key);
+
+    this.notifyStream(schedule, 'schedule:starting', { autoStart: schedule.autoStart });
+    this.emit('starting', { schedule });
+
+    if (!schedule.autoStart) {
+      return 'started';
+    }
+
+    const hostSession = this.broadcastingTools
+      ? this.broadcastingTools.getBroadcastingSessionByStream(schedule.streamId)
+      : null;
+
+    if (!hostSession || !this.io) {
+      this.logger.warn(`Auto-start for schedule ${schedule.id} missed: host is not connected`);
+      return 'missed';
+    }
+
+    // The studio starts publishing on this signal; prePublish/postPublish take it live
+    this.io.to(hostSession.socketId).emit('broadcast:auto-start', {
+      scheduleId: schedule.id,
+      streamId: schedule.streamId,
+      streamKey: stream.stream_key,
+      title: schedule.title
+    });
+
+    this.emit('started', { schedule, sessionId: hostSession.id });
+    return 'started';
+  }
+
+  async sendReminder(schedule, minutesUntilStart) {
+    const recipients = await this.getReminderRecipients(schedule);
+
+    this.notifyStream(schedule, 'schedule:reminder', { minutesUntilStart });
+    this.emit('reminder', { schedule, recipients, minutesUntilStart });
+
+    this.logger.debug(`Reminder sent for schedule ${schedule.id}: ${minutesUntilStart} minutes to ${recipients.length} users`);
+  }
+
+  /**
+   * The host plus everyone subscribed to the host's stream notifications
+   */
+  async getReminderRecipients(schedule) {
+    try {
+      const [rows] = await this.db.execute(
+        'SELECT user_id FROM stream_subscriptions WHERE streamer_id = ? AND is_active = TRUE',
+        [schedule.userId]
+      );
+      return [schedule.userId, ...rows.map(row => row.user_id).filter(id => id !== schedule.userId)];
+    } catch (error) {
+      this.logger.warn(`Could not load reminder recipients for schedule ${schedule.id}: ${error.message}`);
+      return [schedule.userId];
+    }
+  }
+
+  notifyStream(schedule, event, data = {}) {
+    if (!this.io) {
+      return;
+    }
+
+    const payload = { ...this.getNotificationPayload(schedule), ...data };
+    this.io.to(`broadcast:${schedule.streamId}`).emit(event, payload);
+    this.io.to(`stream:${schedule.streamId}`).emit(event, payload);
+  }
+
+  notifyHost(schedule, event, data = {}) {
+    if (this.io) {
+      this.io.to(`broadcast:${schedule.streamId}`).emit(event, { ...this.getNotificationPayload(schedule), ...data });
+    }
+  }
+
+  getNotificationPayload(schedule) {
+    return {
+      scheduleId: schedule.id,
+      streamId: schedule.streamId,
+      title: schedule.title,
+      scheduledTime: schedule.scheduledTime.toISOString()
+    };
+  }
+
+  /**
+   * Apply updates only if nobody changed the row since it was read
+   */
+  async claimSchedule(schedule, updates) {
+    const columns = Object.keys(updates);
+    const [result] = await this.db.execute(
+      `UPDATE stream_schedules SET ${columns.map(column => `${column} = ?`).join(', ')}, version = version + 1 WHERE id = ? AND version = ?`,
+      [...columns.map(column => updates[column]), schedule.id, schedule.version]
+    );
+
+    if (result.affectedRows > 0) {
+      schedule.version++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Next reminder strictly after `after`, or null when none are left
+   */
+  getNextReminderAt(scheduledTime, reminderOffsets, after = new Date()) {
+    const upcoming = reminderOffsets
+      .map(offset => new Date(scheduledTime.getTime() - offset * 60000))
+      .filter(time => time > after)
+      .sort((a, b) => a - b);
+
+    return upcoming[0] || null;
+  }
+
+  /**
+   * First occurrence after `after`, or null when the series is finished
+   */
+  getNextOccurrence(schedule, after) {
+    if (schedule.recurrence === 'none') {
+      return null;
+    }
+    if (schedule.recurrenceCount && schedule.occurrenceCount + 1 >= schedule.recurrenceCount) {
+      return null;
+    }
+
+    // Count from the anchor so monthly clamping doesn't drift (Jan 31 -> Feb 28 -> Mar 31)
+    const anchor = schedule.recurrenceAnchor || schedule.scheduledTime;
+    const floor = Math.max(after, schedule.scheduledTime);
+    let occurrence = anchor;
+    for (let step = 1; occurrence <= floor; step++) {
+      occurrence = this.addRecurrenceInterval(anchor, schedule.recurrence, schedule.recurrenceInterval * step);
+    }
+
+    if (schedule.recurrenceUntil && occurrence > schedule.recurrenceUntil) {
+      return null;
+    }
+    return occurrence;
+  }
+
+  /**
+   * Upcoming start times, for calendars
+   */
+  getUpcomingOccurrences(schedule, limit = 5) {
+    if (schedule.status !== 'scheduled') {
+      return [];
+    }
+
+    const occurrences = [schedule.scheduledTime];
+    let cursor = { ...schedule };
+
+    while (occurrences.length < limit) {
+      const next = this.getNextOccurrence(cursor, cursor.scheduledTime);
+      if (!next) {
+        break;
+      }
+      occurrences.push(next);
+      cursor = { ...cursor, scheduledTime: next, occurrenceCount: cursor.occurrenceCount + 1 };
+    }
+
+    return occurrences;
+  }
+
+  addRecurrenceInterval(date, recurrence, interval) {
+    const next = new Date(date);
+
+    switch (recurrence) {
+      case 'daily':
+        next.setUTCDate(next.getUTCDate() + interval);
+        break;
+      case 'weekly':
+        next.setUTCDate(next.getUTCDate() + interval * 7);
+        break;
+      case 'monthly': {
+        // Clamp to the last day for months that are too short
+        const day = next.getUTCDate();
+        next.setUTCDate(1);
+        next.setUTCMonth(next.getUTCMonth() + interval);
+        const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+        next.setUTCDate(Math.min(day, lastDay));
+        break;
+      }
+    }
+
+    return next;
+  }
+
+  validateScheduleTime(value) {
+    const scheduledTime = new Date(value);
+
+    if (isNaN(scheduledTime.getTime())) {
+      throw createHttpError('Invalid scheduled time');
+    }
+    if (scheduledTime <= new Date()) {
+      throw createHttpError('Scheduled time must be in the future');
+    }
+    if (scheduledTime - Date.now() > this.config.maxScheduleAhead) {
+      throw createHttpError('Streams can be scheduled at most one year ahead');
+    }
+
+    return scheduledTime;
+  }
+
+  normalizeReminderOffsets(offsets) {
+    if (offsets === undefined || offsets === null) {
+      return [...this.config.reminderOffsets];
+    }
+    if (!Array.isArray(offsets)) {
+      throw createHttpError('Reminder offsets must be an array of minutes');
+    }
+
+    const normalized = [...new Set(offsets.map(offset => parseInt(offset)))];
+    if (normalized.some(offset => isNaN(offset) || offset < 1 || offset > this.config.maxReminderOffset)) {
+      throw createHttpError(`Reminder offsets must be between 1 and ${this.config.maxReminderOffset} minutes`);
+    }
+    if (normalized.length > this.config.maxReminders) {
+      throw createHttpError(`At most ${this.config.maxReminders} reminders are allowed`);
+    }
+
+    return normalized.sort((a, b) => b - a);
+  }
+
+  /**
+   * Accepts 'weekly' or { frequency, interval, until, count }
+   */
+  normalizeRecurrence(recurrence, scheduledTime) {
+    const none = { recurrence: 'none', recurrenceInterval: 1, recurrenceUntil: null, recurrenceCount: null };
+
+    if (!recurrence || recurrence === 'none') {
+      return none;
+    }
+
+    const options = typeof recurrence === 'string' ? { frequency: recurrence } : recurrence;
+
+    if (!RECURRENCES.includes(options.frequency)) {
+      throw createHttpError(`Invalid recurrence: ${options.frequency}`);
+    }
+    if (options.frequency === 'none') {
+      return none;
+    }
+
+    const interval = options.interval !== undefined ? parseInt(options.interval) : 1;
+    if (isNaN(interval) || interval < 1 || interval > this.config.maxRecurrenceInterval) {
+      throw createHttpError(`Recurrence interval must be between 1 and ${this.config.maxRecurrenceInterval}`);
+    }
+
+    let until = null;
+    if (options.until) {
+      until = new Date(options.until);
+      if (isNaN(until.getTime()) || until <= scheduledTime) {
+        throw createHttpError('Recurrence end must be after the first occurrence');
+      }
+    }
+
+    let count = null;
+    if (options.count !== undefined && options.count !== null) {
+      count = parseInt(options.count);
+      if (isNaN(count) || count < 1) {
+        throw createHttpError('Recurrence count must be a positive integer');
+      }
+    }
+
+    return { recurrence: options.frequency, recurrenceInterval: interval, recurrenceUntil: until, recurrenceCount: count };
+  }
+
+  parseOffsets(value) {
+    return value.split(',')
+      .map(offset => parseInt(offset.trim()))
+      .filter(offset => offset > 0)
+      .sort((a, b) => b - a);
+  }
+
+  async loadSchedule(scheduleId) {
+    const [rows] = await this.db.execute('SELECT * FROM stream_schedules WHERE id = ?', [scheduleId]);
+    return rows[0] ? this.parseSchedule(rows[0]) : null;
+  }
+
+  async getStream(streamId) {
+    const [rows] = await this.db.execute(
+      'SELECT id, user_id, title, description, stream_key, status FROM live_streams WHERE id = ?',
+      [streamId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * StreamManager caches stream status by key; drop it so the new status is read
+   */
+  async invalidateStreamCache(streamId, streamKey = null) {
+    if (!this.redis) {
+      return;
+    }
+
+    try {
+      const key = streamKey || (await this.getStream(streamId))?.stream_key;
+      if (key) {
+        await this.redis.del(`stream:${key}`);
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to invalidate stream cache for ${streamId}: ${error.message}`);
+    }
+  }
+
+  parseSchedule(row) {
+    const toDate = (value) => (value ? new Date(value) : null);
+    const offsets = typeof row.reminder_offsets === 'string'
+      ? JSON.parse(row.reminder_offsets)
+      : (row.reminder_offsets || []);
+
+    return {
+      id: row.id,
+      streamId: row.stream_id,
+      userId: row.user_id,
+      title: row.title,
+      description: row.description,
+      scheduledTime: toDate(row.scheduled_time),
+      autoStart: !!row.auto_start,
+      reminderOffsets: offsets,
+      nextReminderAt: toDate(row.next_reminder_at),
+      recurrence: row.recurrence || 'none',
+      recurrenceInterval: row.recurrence_interval || 1,
+      recurrenceAnchor: toDate(row.recurrence_anchor) || toDate(row.scheduled_time),
+      recurrenceUntil: toDate(row.recurrence_until),
+      recurrenceCount: row.recurrence_count || null,
+      occurrenceCount: row.occurrence_count || 0,
+      status: row.status,
+      lastRunAt: toDate(row.last_run_at),
+      lastRunStatus: row.last_run_status || null,
+      version: row.version || 0,
+      cancelledAt: toDate(row.cancelled_at),
+      createdAt: toDate(row.created_at)
+    };
+  }
+
+  /**
+   * Public representation of a schedule
+   */
+  serializeSchedule(schedule) {
+    const { version, ...data } = schedule;
+    return {
+      ...data,
+      upcomingOccurrences: this.getUpcomingOccurrences(schedule)
+    };
+  }
+
+  startScheduleProcessor() {
+    this.processorTimer = setInterval(() => {
+      this.processSchedules().catch(error => {
+        this.logger.error('Schedule processing error:', error);
+      });
+    }, this.config.pollInterval);
+    this.processorTimer.unref();
+  }
+
+  stopScheduleProcessor() {
+    if (this.processorTimer) {
+      clearInterval(this.processorTimer);
+      this.processorTimer = null;
+    }
+  }
+}
+
+module.exports = StreamScheduler;
@@ -0,0 +1,387 @@
+/**
+ * ViewerPresence - Heartbeat-based viewer counts for live streams
+ *
+ * Handles:
+ * - Viewer sessions kept alive by heartbeats; a session that stops
+ *   heartbeating for heartbeatTimeout is no longer counted
+ * - Concurrent, peak and unique viewer counts across every replica
+ * - A per-minute viewer series in stream_viewer_minutes
+ * - max_viewers, enforced when a session joins
+ *
+ * Presence lives in the cluster adapter, so counts survive a replica
+ * restarting and include viewers connected to any replica. A session is one
+ * player; a viewer (signed-in user, or anonymous id) may hold several, and
+ * is counted once in the unique count.
+ *
+ * Socket.io events:
+ * - viewer:join { streamId, viewerId? } -> viewer:joined | viewer:rejected
+ * - viewer:heartbeat { streamId }, every heartbeatInterval seconds
+ * - viewer:leave { streamId }
+ */
+
+const { MemoryPubSubAdapter } = require('./cluster');
+const { createHttpError } = require('./utils/errors');
+
+const STREAMS_KEY = 'presence:streams';
+const MINUTE = 60 * 1000;
+
+class ViewerPresence {
+  constructor(dbPool, redisClient, logger) {
+    this.db = dbPool;
+    this.redis = redisClient;
+    this.logger = logger;
+
+    // Shared with other replicas, replaced by the server's adapter
+    this.cluster = new MemoryPubSubAdapter({}, logger);
+
+    // Wired up by the server for viewer count broadcasts
+    this.io = null;
+
+    // socket id -> Set of stream ids the socket is watching on this replica
+    this.socketStreams = new Map();
+
+    this.config = {
+      heartbeatInterval: parseInt(process.env.VIEWER_HEARTBEAT_INTERVAL || '15') * 1000,
+      heartbeatTimeout: parseInt(process.env.VIEWER_HEARTBEAT_TIMEOUT || '45') * 1000,
+      sampleInterval: MINUTE
+    };
+
+    this.sampleTimer = null;
+  }
+
+  getKeys(streamId) {
+    return {
+      sessionsKey: `presence:${streamId}:sessions`,
+      uniqueKey: `presence:${streamId}:unique`,
+      statsKey: `presence:${streamId}:stats`
+    };
+  }
+
+  /**
+   * Start writing the per-minute series
+   */
+  start() {
+    this.sampleTimer = setInterval(() => {
+      this.sampleViewers().catch(error => this.logger.error('Error sampling viewers:', error));
+    }, this.config.sampleInterval);
+    this.sampleTimer.unref();
+  }
+
+  close() {
+    if (this.sampleTimer) {
+      clearInterval(this.sampleTimer);
+      this.sampleTimer = null;
+    }
+  }
+
+  /**
+   * Open a live stream to viewers. Counts carry over when the broadcaster
+   * reconnects to a stream that is already open.
+   */
+  async startStream(streamId, options = {}) {
+    try {
+      const existing = await this.getStream(streamId);
+      const maxViewers = options.maxViewers ? parseInt(options.maxViewers) : null;
+
+      await this.cluster.hashSet(STREAMS_KEY, streamId, JSON.stringify({
+        maxViewers,
+        startedAt: existing ? existing.startedAt : new Date().toISOString()
+      }));
+    } catch (error) {
+      this.logger.error('Error starting viewer presence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a stream to viewers; resolves to its final counts
+   */
+  async endStream(streamId) {
+    try {
+      const counts = await this.getCounts(streamId);
+      await this.writeSample(streamId, Date.now(), counts);
+
+      const keys = this.getKeys(streamId);
+      await this.cluster.hashDelete(STREAMS_KEY, streamId);
+      await Promise.all(Object.values(keys).map(key => this.cluster.deleteKey(key)));
+
+      this.broadcastCounts(streamId, { ...counts, current: 0 });
+      return counts;
+    } catch (error) {
+      this.logger.error('Error ending viewer presence:', error);
+      throw error;
+    }
+  }
+
+  async getStream(streamId) {
+    const value = await this.cluster.hashGet(STREAMS_KEY, streamId);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Add a session, or keep an existing one alive. Rejects new sessions
+   * with a 409 (code 'stream_full') once the stream has maxViewers.
+   */
+  async join(streamId, sessionId, options = {}) {
+    const stream = await this.getStream(streamId);
+    if (!stream) {
+      throw createHttpError('Stream is not live', 404, { code: 'stream_not_live' });
+    }
+
+    const { sessionsKey, uniqueKey } = this.getKeys(streamId);
+    const now = Date.now();
+    const existing = await this.cluster.hashGet(sessionsKey, sessionId);
+    const previous = existing ? JSON.parse(existing) : null;
+    const alive = previous && now - previous.lastSeen <= this.config.heartbeatTimeout;
+    const viewerId = String(options.viewerId || (previous && previous.viewerId) || sessionId);
+
+    await this.cluster.hashSet(sessionsKey, sessionId, JSON.stringify({
+      viewerId,
+      nodeId: this.cluster.nodeId,
+      joinedAt: alive ? previous.joinedAt : now,
+      lastSeen: now
+    }));
+
+    if (!alive && stream.maxViewers) {
+      // Sessions joining at once on different replicas may all get past a
+      // plain count, so rank by join time and drop the ones past the limit;
+      // every replica ranks the same way.
+      const sessions = await this.getSessions(streamId, now);
+      const rank = sessions.findIndex(session => session.sessionId === sessionId);
+      if (rank >= stream.maxViewers) {
+        await this.cluster.hashDelete(sessionsKey, sessionId);
+        throw createHttpError(`Stream is full (${stream.maxViewers} viewers)`, 409, { code: 'stream_full' });
+      }
+    }
+
+    if (!alive) {
+      if (!await this.cluster.hashGet(uniqueKey, viewerId)) {
+        await this.cluster.hashSet(uniqueKey, viewerId, String(now));
+      }
+      const counts = await this.updatePeaks(streamId);
+      this.broadcastCounts(streamId, counts);
+      return counts;
+    }
+
+    return null;
+  }
+
+  /**
+   * Heartbeats re-add a session that timed out, subject to max_viewers
+   */
+  async heartbeat(streamId, sessionId, options = {}) {
+    return this.join(streamId, sessionId, options);
+  }
+
+  async leave(streamId, sessionId) {
+    try {
+      await this.cluster.hashDelete(this.getKeys(streamId).sessionsKey, sessionId);
+      this.broadcastCounts(streamId, await this.getCounts(streamId));
+    } catch (error) {
+      this.logger.error('Error removing viewer session:', error);
+    }
+  }
+
+  /**
+   * Live sessions ordered by join time; sessions past the heartbeat timeout
+   * are dropped
+   */
+  async getSessions(streamId, now = Date.now()) {
+    const { sessionsKey } = this.getKeys(streamId);
+    const entries = await this.cluster.hashGetAll(sessionsKey);
+    const sessions = [];
+
+    for (const [sessionId, value] of Object.entries(entries)) {
+      const session = { sessionId, ...JSON.parse(value) };
+      if (now - session.lastSeen <= this.config.heartbeatTimeout) {
+        sessions.push(session);
+      } else {
+        await this.cluster.hashDelete(sessionsKey, sessionId);
+      }
+    }
+
+    return sessions.sort((a, b) => a.joinedAt - b.joinedAt || a.sessionId.localeCompare(b.sessionId));
+  }
+
+  /**
+   * { current, peak, unique } for a stream
+   */
+  async getCounts(streamId, now = Date.now()) {
+    const { uniqueKey, statsKey } = this.getKeys(streamId);
+    const [sessions, unique, stats] = await Promise.all([
+      this.getSessions(streamId, now),
+      this.cluster.hashGetAll(uniqueKey),
+      this.cluster.hashGetAll(statsKey)
+    ]);
+
+    return {
+      current: sessions.length,
+      peak: Math.max(parseInt(stats.peak) || 0, sessions.length),
+      unique: Object.keys(unique).length
+    };
+  }
+
+  /**
+   * Raise the stream's peak, and the peak of the current minute
+   */
+  async updatePeaks(streamId) {
+    const { statsKey } = this.getKeys(streamId);
+    const counts = await this.getCounts(streamId);
+    const minutePeak = parseInt(await this.cluster.hashGet(statsKey, 'minutePeak')) || 0;
+
+    if (counts.peak > (parseInt(await this.cluster.hashGet(statsKey, 'peak')) || 0)) {
+      await this.cluster.hashSet(statsKey, 'peak', String(counts.peak));
+    }
+    if (counts.current > minutePeak) {
+      await this.cluster.hashSet(statsKey, 'minutePeak', String(counts.current));
+    }
+    return counts;
+  }
+
+  /**
+   * Write one series row per open stream for the current minute. Every
+   * replica runs this; the first to claim a stream's minute writes it.
+   */
+  async sampleViewers(now = Date.now()) {
+    const streams = await this.cluster.hashGetAll(STREAMS_KEY);
+
+    for (const streamId of Object.keys(streams)) {
+      try {
+        const minute = Math.floor(now / MINUTE) * MINUTE;
+        const claim = await this.cluster.incrementWindow(`presence:${streamId}:sample:${minute}`, 2 * MINUTE);
+        if (claim !== 1) {
+          continue;
+        }
+
+        const counts = await this.getCounts(streamId, now);
+        await this.writeSample(streamId, now, counts);
+        this.broadcastCounts(streamId, counts);
+      } catch (error) {
+        this.logger.error(`Error sampling viewers for stream ${streamId}:`, error);
+      }
+    }
+  }
+
+  async writeSample(streamId, now, counts) {
+    const { statsKey } = this.getKeys(streamId);
+    const minute = new Date(Math.floor(now / MINUTE) * MINUTE);
+    const minutePeak = Math.max(parseInt(await this.cluster.hashGet(statsKey, 'minutePeak')) || 0, counts.current);
+
+    await this.db.execute(`
+      INSERT INTO stream_viewer_minutes (
+        stream_id, minute, concurrent_viewers, peak_viewers, unique_viewers
+      ) VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        concurrent_viewers = VALUES(concurrent_viewers),
+        peak_viewers = GREATEST(peak_viewers, VALUES(peak_viewers)),
+        unique_viewers = VALUES(unique_viewers)
+    `, [streamId, minute, counts.current, minutePeak, counts.unique]);
+
+    // The next minute's peak starts from whoever is watching now
+    await this.cluster.hashSet(statsKey, 'minutePeak', String(counts.current));
+  }
+
+  broadcastCounts(streamId, counts) {
+    this.io?.to(`analytics:${streamId}`).emit('analytics:viewer-count', {
+      streamId,
+      currentViewers: counts.current,
+      peakViewers: counts.peak,
+      uniqueViewers: counts.unique
+    });
+  }
+
+  /**
+   * Handle new WebSocket connection for viewer presence
+   */
+  handleConnection(socket) {
+    socket.on('viewer:join', (data) => this.handleJoin(socket, data));
+    socket.on('viewer:heartbeat', (data) => this.handleHeartbeat(socket, data));
+    socket.on('viewer:leave', (data) => this.handleLeave(socket, data));
+  }
+
+  async handleJoin(socket, data = {}) {
+    const { streamId } = data;
+
+    try {
+      const counts = await this.join(streamId, socket.id, { viewerId: this.getViewerId(socket, data) });
+      this.trackSocket(socket.id, streamId);
+
+      socket.emit('viewer:joined', {
+        streamId,
+        heartbeatInterval: this.config.heartbeatInterval / 1000,
+        viewers: counts || await this.getCounts(streamId)
+      });
+    } catch (error) {
+      this.rejectSocket(socket, streamId, error);
+    }
+  }
+
+  async handleHeartbeat(socket, data = {}) {
+    const { streamId } = data;
+
+    try {
+      await this.heartbeat(streamId, socket.id, { viewerId: this.getViewerId(socket, data) });
+      this.trackSocket(socket.id, streamId);
+    } catch (error) {
+      this.untrackSocket(socket.id, streamId);
+      this.rejectSocket(socket, streamId, error);
+    }
+  }
+
+  async handleLeave(socket, data = {}) {
+    this.untrackSocket(socket.id, data.streamId);
+    await this.leave(data.streamId, socket.id);
+  }
+
+  /**
+   * Leave every stream the socket was watching
+   */
+  async handleDisconnect(socket) {
+    const streams = this.socketStreams.get(socket.id);
+    this.socketStreams.delete(socket.id);
+
+    for (const streamId of streams || []) {
+      await this.leave(streamId, socket.id);
+    }
+  }
+
+  // Signed-in users are counted once however many players they open
+  getViewerId(socket, data) {
+    if (socket.user && (socket.user.id || socket.user.userId)) {
+      return `user:${socket.user.id || socket.user.userId}`;
+    }
+    return data.viewerId ? `anon:${String(data.viewerId).slice(0, 64)}` : `anon:${socket.id}`;
+  }
+
+  rejectSocket(socket, streamId, error) {
+    if (!error.statusCode) {
+      this.logger.error('Error handling viewer presence:', error);
+    }
+
+    socket.emit('viewer:rejected', {
+      streamId,
+      reason: error.code || 'error',
+      message: error.statusCode ? error.message : 'Failed to join stream'
+    });
+  }
+
+  trackSocket(socketId, streamId) {
+    if (!this.socketStreams.has(socketId)) {
+      this.socketStreams.set(socketId, new Set());
+    }
+    this.socketStreams.get(socketId).add(streamId);
+  }
+
+  untrackSocket(socketId, streamId) {
+    const streams = this.socketStreams.get(socketId);
+    if (streams) {
+      streams.delete(streamId);
+      if (streams.size === 0) {
+        this.socketStreams.delete(socketId);
+      }
+    }
+  }
+}
+
+
+module.exports = ViewerPresence;
@@ -7,14 +7,39 @@
  * - ICE candidate exchange
  * - Room management for streams
  * - Connection quality monitoring
+ *
+ * Offers, answers and candidates addressed to a socket on another replica
+ * reach it through the socket.io cluster adapter; room membership is kept
+ * in the cluster adapter so room sizes are the same on every replica.
+ *
+ * Streams run in one of two modes, chosen by the broadcaster on join:
+ * - mesh: peers exchange offers, answers and candidates with each other
+ * - sfu: broadcasters and guests publish once to the server's selective
+ *   forwarding unit and everyone subscribes to it (sfu:* events)
  */
 
+const { MemoryPubSubAdapter } = require('./cluster');
+const { createHttpError } = require('./utils/errors');
+
+const STREAM_MODES = ['mesh', 'sfu'];
+const PUBLISHER_ROLES = ['broadcaster', 'guest'];
+
 class WebRTCSignaling {
   constructor(io, logger) {
     this.io = io;
     this.logger = logger;
-    this.rooms = new Map(); // streamId -> Set of socketIds
+    this.rooms = new Map(); // streamId -> Set of local socketIds
     this.connections = new Map(); // socketId -> connection info
+
+    // Shared with other replicas, replaced by the server's adapter
+    this.cluster = new MemoryPubSubAdapter({}, logger);
+
+    // Selective forwarding unit, attached by the server
+    this.sfu = null;
+
+    // Wired up by the server; checks who may broadcast a stream
+    this.authMiddleware = null;
+    this.defaultMode = process.env.WEBRTC_DEFAULT_MODE || 'mesh';
     
     // WebRTC configuration
     this.rtcConfiguration = {
@@ -36,6 +61,23 @@ class WebRTCSignaling {
     }
   }
 
+  /**
+   * Use an SFU for streams in sfu mode
+   */
+  attachSfu(sfu) {
+    this.sfu = sfu;
+
+    // Tracks added or removed after a viewer subscribed
+    sfu.onRenegotiate = (socketId, offer) => {
+      const connection = this.connections.get(socketId);
+      this.io.to(socketId).emit('sfu:offer', {
+        streamId: connection?.streamId,
+        offer,
+        renegotiation: true
+      });
+    };
+  }
+
   /**
    * Handle new WebSocket connection
    */
@@ -127,20 +169,63 @@ class WebRTCSignaling {
     socket.on('webrtc:adjust-quality', (data) => {
       this.handleQualityAdjustment(socket, data);
     });
+
+    // Selective forwarding
+    socket.on('sfu:publish', (data) => {
+      this.handleSfuPublish(socket, data);
+    });
+
+    socket.on('sfu:unpublish', (data) => {
+      this.handleSfuUnpublish(socket, data);
+    });
+
+    socket.on('sfu:subscribe', (data) => {
+      this.handleSfuSubscribe(socket, data);
+    });
+
+    socket.on('sfu:answer', (data) => {
+      this.handleSfuAnswer(socket, data);
+    });
+
+    socket.on('sfu:network-stats', (data) => {
+      this.handleSfuNetworkStats(socket, data);
+    });
   }
 
   /**
    * Handle join stream request
+   *
+   * The user is the one the socket signed in as. Broadcasting needs the
+   * stream's owner (or an admin), joining as a guest any signed-in user;
+   * viewers may be anonymous.
    */
-  handleJoinStream(socket, data) {
+  async handleJoinStream(socket, data) {
     try {
-      const { streamId, userId, role } = data;
+      const { streamId, role, mode } = data;
+      const userId = socket.user ? socket.user.id : null;
       
       if (!streamId || !role) {
         socket.emit('webrtc:error', { message: 'Stream ID and role are required' });
         return;
       }
 
+      if (PUBLISHER_ROLES.includes(role) && !(await this.canPublish(socket.user, streamId, role))) {
+        socket.emit('webrtc:error', { message: `Not allowed to join as ${role}` });
+        return;
+      }
+
+      if (mode && role === 'broadcaster') {
+        if (!STREAM_MODES.includes(mode)) {
+          socket.emit('webrtc:error', { message: `Mode must be one of: ${STREAM_MODES.join(', ')}` });
+          return;
+        }
+        if (mode === 'sfu' && !this.sfu) {
+          socket.emit('webrtc:error', { message: 'SFU mode is not available' });
+          return;
+        }
+        await this.cluster.hashSet('webrtc:modes', streamId, mode);
+      }
+
       // Update connection info
       const connection = this.connections.get(socket.id);
       if (connection) {
@@ -156,13 +241,15 @@ class WebRTCSignaling {
       }
       
       this.rooms.get(streamId).add(socket.id);
+      await this.savePeer(streamId, socket.id);
       socket.join(`stream:${streamId}`);
 
       // Notify about successful join
       socket.emit('webrtc:joined', {
         streamId,
         role,
-        roomSize: this.rooms.get(streamId).size,
+        mode: await this.getStreamMode(streamId),
+        roomSize: (await this.getStreamPeers(streamId)).length,
         rtcConfiguration: this.rtcConfiguration
       });
 
@@ -180,6 +267,17 @@ class WebRTCSignaling {
     }
   }
 
+  async canPublish(user, streamId, role) {
+    if (!user || !this.authMiddleware) {
+      return false;
+    }
+    if (role === 'guest' || this.authMiddleware.can(user, '*')) {
+      return true;
+    }
+    const ownerId = await this.authMiddleware.getOwner('stream', streamId);
+    return ownerId !== null && String(ownerId) === String(user.id);
+  }
+
   /**
    * Handle leave stream request
    */
@@ -193,14 +291,8 @@ class WebRTCSignaling {
       const streamId = connection.streamId;
       
       // Remove from room
-      if (this.rooms.has(streamId)) {
-        this.rooms.get(streamId).delete(socket.id);
-        
-        // Clean up empty rooms
-        if (this.rooms.get(streamId).size === 0) {
-          this.rooms.delete(streamId);
-        }
-      }
+      this.removeFromRoom(streamId, socket.id);
+      this.removeSfuPeer(socket.id);
 
       socket.leave(`stream:${streamId}`);
 
@@ -321,6 +413,10 @@ class WebRTCSignaling {
 
       if (connection) {
         connection.connectionState = state;
+        if (connection.streamId) {
+          this.savePeer(connection.streamId, socket.id)
+            .catch(error => this.logger.error('Error saving peer state:', error));
+        }
       }
 
       // Notify stream room about connection state
@@ -408,6 +504,135 @@ class WebRTCSignaling {
     }
   }
 
+  /**
+   * Check that a socket joined a stream running in sfu mode
+   */
+  async getSfuConnection(socket, streamId) {
+    const connection = this.connections.get(socket.id);
+
+    if (!connection || !streamId || connection.streamId !== streamId) {
+      throw createHttpError('Not authorized for this stream', 403);
+    }
+    if (!this.sfu || await this.getStreamMode(streamId) !== 'sfu') {
+      throw createHttpError('This stream is not in SFU mode', 409);
+    }
+
+    return connection;
+  }
+
+  /**
+   * Report SFU errors; only the ones meant for the participant are shown
+   */
+  emitSfuError(socket, error, fallback) {
+    if (!error.statusCode) {
+      this.logger.error(`${fallback}:`, error);
+    }
+    socket.emit('webrtc:error', { message: error.statusCode ? error.message : fallback });
+  }
+
+  /**
+   * Publish a participant's tracks to the SFU
+   */
+  async handleSfuPublish(socket, data) {
+    try {
+      const { streamId, offer } = data;
+      const connection = await this.getSfuConnection(socket, streamId);
+
+      if (!PUBLISHER_ROLES.includes(connection.role)) {
+        throw createHttpError('Only broadcasters and guests can publish', 403);
+      }
+
+      const { answer, tracks } = await this.sfu.publish(socket.id, {
+        streamId,
+        userId: connection.userId,
+        offer
+      });
+
+      socket.emit('sfu:answer', { streamId, answer, tracks });
+
+      socket.to(`stream:${streamId}`).emit('sfu:published', {
+        socketId: socket.id,
+        userId: connection.userId,
+        tracks
+      });
+    } catch (error) {
+      this.emitSfuError(socket, error, 'Failed to publish');
+    }
+  }
+
+  async handleSfuUnpublish(socket, data) {
+    try {
+      const { streamId } = data;
+      const connection = await this.getSfuConnection(socket, streamId);
+
+      await this.sfu.unpublish(socket.id);
+
+      socket.to(`stream:${streamId}`).emit('sfu:unpublished', {
+        socketId: socket.id,
+        userId: connection.userId
+      });
+    } catch (error) {
+      this.emitSfuError(socket, error, 'Failed to unpublish');
+    }
+  }
+
+  /**
+   * Receive every published track through one connection from the SFU
+   */
+  async handleSfuSubscribe(socket, data) {
+    try {
+      const { streamId, networkStats } = data;
+      const connection = await this.getSfuConnection(socket, streamId);
+
+      const { offer, condition } = await this.sfu.subscribe(socket.id, {
+        streamId,
+        userId: connection.userId,
+        networkStats
+      });
+
+      socket.emit('sfu:offer', { streamId, offer, condition, renegotiation: false });
+    } catch (error) {
+      this.emitSfuError(socket, error, 'Failed to subscribe');
+    }
+  }
+
+  async handleSfuAnswer(socket, data) {
+    try {
+      const { streamId, answer } = data;
+      await this.getSfuConnection(socket, streamId);
+
+      await this.sfu.completeSubscription(socket.id, answer);
+    } catch (error) {
+      this.emitSfuError(socket, error, 'Failed to apply answer');
+    }
+  }
+
+  /**
+   * Pick simulcast layers from a subscriber's bandwidth, latency and loss
+   */
+  async handleSfuNetworkStats(socket, data) {
+    try {
+      const { streamId, bandwidth, latency, packetLoss } = data;
+      await this.getSfuConnection(socket, streamId);
+
+      if (![bandwidth, latency, packetLoss].every(Number.isFinite)) {
+        throw createHttpError('Bandwidth, latency and packet loss are required', 400);
+      }
+
+      const { condition, layers } = this.sfu.updateNetworkStats(socket.id, { bandwidth, latency, packetLoss });
+      socket.emit('sfu:layers', { streamId, condition, layers });
+    } catch (error) {
+      this.emitSfuError(socket, error, 'Failed to update network stats');
+    }
+  }
+
+  removeSfuPeer(socketId) {
+    if (this.sfu) {
+      this.sfu.removePeer(socketId)
+        .catch(error => this.logger.error('Error removing SFU peer:', error));
+    }
+  }
+
   /**
    * Handle disconnection
    */
@@ -417,14 +642,8 @@ class WebRTCSignaling {
       
       if (connection && connection.streamId) {
         // Remove from room
-        if (this.rooms.has(connection.streamId)) {
-          this.rooms.get(connection.streamId).delete(socketId);
-          
-          // Clean up empty rooms
-          if (this.rooms.get(connection.streamId).size === 0) {
-            this.rooms.delete(connection.streamId);
-          }
-        }
+        this.removeFromRoom(connection.streamId, socketId);
+        this.removeSfuPeer(socketId);
 
         // Notify others in the stream
         this.io.to(`stream:${connection.streamId}`).emit('webrtc:peer-disconnected', {
@@ -443,41 +662,80 @@ class WebRTCSignaling {
   }
 
   /**
-   * Get room statistics
+   * Remove a socket from a room here and from the shared peer list
    */
-  getRoomStats(streamId) {
-    const room = this.rooms.get(streamId);
-    if (!room) {
-      return null;
+  removeFromRoom(streamId, socketId) {
+    if (this.rooms.has(streamId)) {
+      this.rooms.get(streamId).delete(socketId);
+
+      // Clean up empty rooms
+      if (this.rooms.get(streamId).size === 0) {
+        this.rooms.delete(streamId);
+      }
     }
 
-    const connections = Array.from(room).map(socketId => {
-      const conn = this.connections.get(socketId);
-      return conn ? {
-        socketId,
-        userId: conn.userId,
-        role: conn.role,
-        connectionState: conn.connectionState,
-        joinedAt: conn.joinedAt
-      } : null;
-    }).filter(Boolean);
+    this.cluster.hashDelete(`webrtc:${streamId}:peers`, socketId)
+      .catch(error => this.logger.error('Error removing peer:', error));
+  }
+
+  async getStreamMode(streamId) {
+    return (await this.cluster.hashGet('webrtc:modes', streamId)) || this.defaultMode;
+  }
+
+  async savePeer(streamId, socketId) {
+    const connection = this.connections.get(socketId);
+
+    await this.cluster.hashSet(`webrtc:${streamId}:peers`, socketId, JSON.stringify({
+      userId: connection.userId,
+      role: connection.role,
+      connectionState: connection.connectionState,
+      joinedAt: connection.joinedAt,
+      nodeId: this.cluster.nodeId
+    }));
+  }
+
+  /**
+   * Peers in a stream on every replica
+   */
+  async getStreamPeers(streamId) {
+    const [entries, liveNodes] = await Promise.all([
+      this.cluster.hashGetAll(`webrtc:${streamId}:peers`),
+      this.cluster.getLiveNodes()
+    ]);
+
+    // Skip peers held by replicas that stopped heartbeating
+    return Object.entries(entries)
+      .map(([socketId, value]) => ({ socketId, ...JSON.parse(value) }))
+      .filter(peer => liveNodes.has(peer.nodeId));
+  }
+
+  /**
+   * Get room statistics across replicas
+   */
+  async getRoomStats(streamId) {
+    const connections = (await this.getStreamPeers(streamId)).map(({ nodeId, ...peer }) => peer);
+    if (connections.length === 0) {
+      return null;
+    }
 
     return {
       streamId,
-      totalConnections: room.size,
+      mode: await this.getStreamMode(streamId),
+      totalConnections: connections.length,
       broadcasters: connections.filter(c => c.role === 'broadcaster').length,
       viewers: connections.filter(c => c.role === 'viewer').length,
+      guests: connections.filter(c => c.role === 'guest').length,
       connections
     };
   }
 
   /**
-   * Get all active rooms
+   * Get rooms with sockets on this replica
    */
-  getAllRooms() {
+  async getAllRooms() {
     const rooms = [];
     for (const streamId of this.rooms.keys()) {
-      const stats = this.getRoomStats(streamId);
+      const stats = await this.getRoomStats(streamId);
       if (stats) {
         rooms.push(stats);
       }
@@ -0,0 +1,215 @@
+/**
+ * ChatCommandRegistry - Declarative chat commands
+ *
+ * Each command declares:
+ * - name, aliases, category and description (used for /help and autocomplete)
+ * - args: [{ name, type, required, rest }] where type is one of
+ *   'user', 'integer', 'duration', 'choice', 'word', 'text'
+ * - permission: 'everyone', 'moderator' or 'broadcaster'
+ * - cooldown: { global, user } in seconds (moderators skip cooldowns)
+ * - handler(context, args)
+ */
+
+const { createHttpError } = require('../utils/errors');
+
+const PERMISSION_LEVELS = ['everyone', 'moderator', 'broadcaster'];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parse "90", "10m", "1h30m" into seconds
+ */
+function parseDuration(value) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+
+  const normalized = value.toLowerCase();
+  if (!/^(\d+[smhdw])+$/.test(normalized)) {
+    return NaN;
+  }
+
+  return normalized.match(/\d+[smhdw]/g)
+    .reduce((total, part) => total + parseInt(part) * DURATION_UNITS[part.slice(-1)], 0);
+}
+
+class ChatCommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.aliases = new Map();
+
+    // `${streamId}:${name}` and `${streamId}:${name}:${userId}` -> last use
+    this.cooldowns = new Map();
+  }
+
+  register(definition) {
+    const command = {
+      aliases: [],
+      args: [],
+      category: 'general',
+      permission: 'everyone',
+      cooldown: { global: 0, user: 0 },
+      ...definition,
+      name: definition.name.toLowerCase()
+    };
+
+    if (!PERMISSION_LEVELS.includes(command.permission)) {
+      throw new Error(`Invalid permission for /${command.name}: ${command.permission}`);
+    }
+    if (typeof command.handler !== 'function') {
+      throw new Error(`Command /${command.name} needs a handler`);
+    }
+
+    command.usage = command.usage || this.buildUsage(command);
+    this.commands.set(command.name, command);
+    command.aliases.forEach(alias => this.aliases.set(alias.toLowerCase(), command.name));
+
+    return command;
+  }
+
+  unregister(name) {
+    const command = this.commands.get(name);
+    if (command) {
+      command.aliases.forEach(alias => this.aliases.delete(alias));
+      this.commands.delete(name);
+    }
+  }
+
+  get(name) {
+    const key = name.toLowerCase();
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+  }
+
+  has(name) {
+    return this.get(name) !== null;
+  }
+
+  /**
+   * Commands available at a permission level
+   */
+  list(level = 'broadcaster') {
+    return [...this.commands.values()].filter(command => ChatCommandRegistry.hasPermission(level, command.permission));
+  }
+
+  static hasPermission(level, required) {
+    return PERMISSION_LEVELS.indexOf(level) >= PERMISSION_LEVELS.indexOf(required);
+  }
+
+  buildUsage(command) {
+    const args = command.args.map(arg => {
+      const label = arg.type === 'choice' ? arg.choices.join('|') : arg.name;
+      return arg.required ? `<${label}>` : `[${label}]`;
+    });
+    return [`/${command.name}`, ...args].join(' ');
+  }
+
+  /**
+   * Turn raw words into named argument values, validating types
+   */
+  parseArguments(command, words) {
+    const values = {};
+    let index = 0;
+
+    for (const arg of command.args) {
+      const raw = arg.rest || arg.type === 'text' ? words.slice(index).join(' ') : words[index];
+      index = arg.rest || arg.type === 'text' ? words.length : index + 1;
+
+      if (raw === undefined || raw === '') {
+        if (arg.required) {
+          throw createHttpError(`Usage: ${command.usage}`);
+        }
+        values[arg.name] = arg.default !== undefined ? arg.default : null;
+        continue;
+      }
+
+      values[arg.name] = this.parseValue(command, arg, raw);
+    }
+
+    return values;
+  }
+
+  parseValue(command, arg, raw) {
+    switch (arg.type) {
+      case 'user':
+        return raw.replace(/^@/, '');
+
+      case 'integer': {
+        const value = parseInt(raw);
+        if (!/^-?\d+$/.test(raw) || (arg.min !== undefined && value < arg.min) || (arg.max !== undefined && value > arg.max)) {
+          throw createHttpError(`${arg.name} must be a whole number${arg.min !== undefined ? ` from ${arg.min}` : ''}${arg.max !== undefined ? ` to ${arg.max}` : ''}`);
+        }
+        return value;
+      }
+
+      case 'duration': {
+        const value = parseDuration(raw);
+        if (isNaN(value) || value < 1) {
+          throw createHttpError(`${arg.name} must be a duration like 90, 10m or 1h`);
+        }
+        return value;
+      }
+
+      case 'choice':
+        if (!arg.choices.includes(raw.toLowerCase())) {
+          throw createHttpError(`${arg.name} must be one of: ${arg.choices.join(', ')}`);
+        }
+        return raw.toLowerCase();
+
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Seconds until the command can run again, 0 when ready
+   */
+  getCooldownRemaining(command, streamId, userId, now = Date.now()) {
+    const remaining = (key, seconds) => {
+      const lastUsed = this.cooldowns.get(key);
+      return seconds && lastUsed ? Math.max(0, Math.ceil((lastUsed + seconds * 1000 - now) / 1000)) : 0;
+    };
+
+    return Math.max(
+      remaining(`${streamId}:${command.name}`, command.cooldown.global),
+      remaining(`${streamId}:${command.name}:${userId}`, command.cooldown.user)
+    );
+  }
+
+  startCooldown(command, streamId, userId, now = Date.now()) {
+    if (command.cooldown.global) {
+      this.cooldowns.set(`${streamId}:${command.name}`, now);
+    }
+    if (command.cooldown.user) {
+      this.cooldowns.set(`${streamId}:${command.name}:${userId}`, now);
+    }
+  }
+
+  clearCooldowns(streamId) {
+    for (const key of this.cooldowns.keys()) {
+      if (key.startsWith(`${streamId}:`)) {
+        this.cooldowns.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Public description for /help and autocomplete
+   */
+  describe(command) {
+    return {
+      name: command.name,
+      description: command.description,
+      usage: command.usage,
+      category: command.category,
+      aliases: command.aliases,
+      permission: command.permission,
+      cooldown: command.cooldown,
+      args: command.args.map(({ name, type, required, choices }) => ({ name, type, required: !!required, choices }))
+    };
+  }
+}
+
+ChatCommandRegistry.PERMISSION_LEVELS = PERMISSION_LEVELS;
+ChatCommandRegistry.parseDuration = parseDuration;
+
+module.exports = ChatCommandRegistry;
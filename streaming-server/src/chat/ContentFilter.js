@@ -0,0 +1,551 @@
+/**
+ * ContentFilter - Word, link and pattern checks for chat messages
+ *
+ * Words are compared after Unicode normalization: NFKD with accents
+ * stripped and lookalike Cyrillic and Greek letters folded, so "fück" and
+ * "fuсk" with a Cyrillic "с" both match "fuck". Leetspeak ("sh1t") and
+ * phonetic ("fuuuk") folding widen the match when those methods are on.
+ * Matches respect word boundaries unless partial matching is enabled, and
+ * allowed words are never matched.
+ *
+ * Every violation has a severity ('mild' to 'extreme') that the config maps
+ * to an action: 'mask' replaces the text, 'hold' keeps the message for
+ * moderator review and 'timeout' drops it and times the sender out. Strict
+ * mode rejects anything that would otherwise be masked or held.
+ *
+ * Duplicate and flood detection need state shared between replicas, so
+ * ChatManager runs those with the `spam` settings.
+ */
+
+const SEVERITIES = ['mild', 'moderate', 'severe', 'extreme'];
+const SEVERITY_SCORES = { mild: 25, moderate: 50, severe: 75, extreme: 100 };
+
+// Ordered weakest to strongest; a message gets the strongest of its violations
+const ACTIONS = ['allow', 'mask', 'hold', 'reject', 'timeout'];
+const SEVERITY_ACTIONS = ['mask', 'hold', 'reject', 'timeout'];
+const REPLACEMENTS = ['asterisk', 'emoji', 'custom', 'remove'];
+
+const MAX_WORDS = 500;
+const MAX_WORD_LENGTH = 50;
+const MAX_ALLOWED_DOMAINS = 50;
+
+const DEFAULT_FILTER_CONFIG = {
+  enabled: true,
+  strictMode: false,
+  preserveLength: true,
+  methods: {
+    exactMatch: true,
+    partialMatch: false,
+    leetspeak: true,
+    phonetic: true,
+    patternDetection: true
+  },
+  replacement: 'asterisk',
+  customReplacement: '[FILTERED]',
+  actions: {
+    mild: 'mask',
+    moderate: 'mask',
+    severe: 'hold',
+    extreme: 'timeout'
+  },
+  timeoutSeconds: 600,
+  links: {
+    enabled: false,
+    allowedDomains: ['interviews.tv'],
+    severity: 'moderate'
+  },
+  spam: {
+    duplicates: true,
+    duplicateWindow: 30, // seconds the same message can't be repeated
+    flood: true,
+    floodMessages: 5, // messages allowed within floodWindow
+    floodWindow: 10 // seconds
+  }
+};
+
+const DEFAULT_BLOCKED_WORDS = {
+  mild: ['damn', 'hell', 'crap'],
+  moderate: ['ass', 'bitch', 'shit', 'fuck'],
+  severe: [],
+  extreme: []
+};
+
+const DEFAULT_ALLOWED_WORDS = ['class', 'classic', 'glass', 'assessment'];
+
+// Lowercase Cyrillic and Greek letters that render like Latin ones
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+  'ɡ': 'g', 'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ℓ': 'l'
+};
+
+const LEETSPEAK = {
+  '4': 'a', '@': 'a', '8': 'b', '3': 'e', '6': 'g', '9': 'g', '!': 'i',
+  '0': 'o', '5': 's', '$': 's', '7': 't', '+': 't', '2': 'z'
+};
+
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}@$!|+]+/gu;
+const LINK_PATTERN = /\b(?:https?:\/\/[^\s]+|www\.[^\s]+|[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|tv|gg|co|me|ly|xyz|info|biz|ru|app|dev|link|live|site|online|shop)\b(?:\/[^\s]*)?)/giu;
+
+/**
+ * Lowercase, strip accents and fold lookalike letters
+ */
+function normalizeText(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/./gu, char => HOMOGLYPHS[char] || char);
+}
+
+/**
+ * Fold leetspeak digits and symbols into letters. "1" and "|" stand in for
+ * both "i" and "l", so tokens are folded both ways.
+ */
+function foldLeetspeak(text, oneAs = 'i') {
+  return text.replace(/./gu, char => (['1', '|'].includes(char) ? oneAs : LEETSPEAK[char] || char));
+}
+
+/**
+ * Spelling-insensitive key: hard "c" sounds become "k", "ph" becomes "f",
+ * doubled consonants collapse and stretched vowels ("fuuuk") shrink, while
+ * "heel" stays apart from "hell"
+ */
+function phoneticKey(text) {
+  return text
+    .replace(/ph/g, 'f')
+    .replace(/ck|q|c/g, 'k')
+    .replace(/([^aeiouy])\1+/g, '$1')
+    .replace(/([aeiouy])\1{2,}/g, '$1');
+}
+
+/**
+ * Lists are shown in the moderation panel, so markup and quotes are dropped
+ */
+function cleanWord(word) {
+  return normalizeText(String(word)).replace(/[<>"'`\\]/g, '').trim().replace(/\s+/g, ' ').slice(0, MAX_WORD_LENGTH);
+}
+
+function cleanWordList(words) {
+  if (!Array.isArray(words)) {
+    return [];
+  }
+  return [...new Set(words.map(cleanWord).filter(Boolean))].slice(0, MAX_WORDS);
+}
+
+function cleanDomain(domain) {
+  return String(domain).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+}
+
+function clampNumber(value, fallback, min, max) {
+  const number = parseInt(value);
+  return isNaN(number) ? fallback : Math.min(Math.max(number, min), max);
+}
+
+function pick(value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback;
+}
+
+/**
+ * Merge stored or submitted settings over the defaults, dropping anything
+ * invalid
+ */
+function createFilterSettings(settings = {}) {
+  const config = settings.config || {};
+  const defaults = DEFAULT_FILTER_CONFIG;
+  const methods = config.methods || {};
+  const actions = config.actions || {};
+  const links = config.links || {};
+  const spam = config.spam || {};
+  const bool = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+  const blockedWords = {};
+  for (const severity of SEVERITIES) {
+    blockedWords[severity] = cleanWordList(
+      settings.blockedWords ? settings.blockedWords[severity] : DEFAULT_BLOCKED_WORDS[severity]
+    );
+  }
+
+  return {
+    config: {
+      enabled: bool(config.enabled, defaults.enabled),
+      strictMode: bool(config.strictMode, defaults.strictMode),
+      preserveLength: bool(config.preserveLength, defaults.preserveLength),
+      methods: Object.fromEntries(Object.entries(defaults.methods)
+        .map(([method, enabled]) => [method, bool(methods[method], enabled)])),
+      replacement: pick(config.replacement, REPLACEMENTS, defaults.replacement),
+      customReplacement: typeof config.customReplacement === 'string'
+        ? config.customReplacement.slice(0, MAX_WORD_LENGTH)
+        : defaults.customReplacement,
+      actions: Object.fromEntries(SEVERITIES
+        .map(severity => [severity, pick(actions[severity], SEVERITY_ACTIONS, defaults.actions[severity])])),
+      timeoutSeconds: clampNumber(config.timeoutSeconds, defaults.timeoutSeconds, 1, 86400),
+      links: {
+        enabled: bool(links.enabled, defaults.links.enabled),
+        allowedDomains: Array.isArray(links.allowedDomains)
+          ? [...new Set(links.allowedDomains.map(cleanDomain).filter(Boolean))].slice(0, MAX_ALLOWED_DOMAINS)
+          : defaults.links.allowedDomains,
+        severity: pick(links.severity, SEVERITIES, defaults.links.severity)
+      },
+      spam: {
+        duplicates: bool(spam.duplicates, defaults.spam.duplicates),
+        duplicateWindow: clampNumber(spam.duplicateWindow, defaults.spam.duplicateWindow, 1, 3600),
+        flood: bool(spam.flood, defaults.spam.flood),
+        floodMessages: clampNumber(spam.floodMessages, defaults.spam.floodMessages, 2, 100),
+        floodWindow: clampNumber(spam.floodWindow, defaults.spam.floodWindow, 1, 300)
+      }
+    },
+    blockedWords,
+    allowedWords: cleanWordList(settings.allowedWords || DEFAULT_ALLOWED_WORDS)
+  };
+}
+
+/**
+ * Settings in the ProfanityFilterPanel's snake_case format
+ */
+function formatFilterSettings(settings) {
+  const { config } = settings;
+
+  return {
+    config: {
+      enabled: config.enabled,
+      strict_mode: config.strictMode,
+      preserve_length: config.preserveLength,
+      filter_methods: {
+        exact_match: config.methods.exactMatch,
+        partial_match: config.methods.partialMatch,
+        leetspeak: config.methods.leetspeak,
+        phonetic: config.methods.phonetic,
+        pattern_detection: config.methods.patternDetection
+      },
+      replacement_methods: Object.fromEntries(REPLACEMENTS.map(method => [method, method === config.replacement])),
+      custom_replacement: config.customReplacement,
+      severity_actions: { ...config.actions },
+      timeout_seconds: config.timeoutSeconds,
+      link_filter: {
+        enabled: config.links.enabled,
+        allowed_domains: [...config.links.allowedDomains],
+        severity: config.links.severity
+      },
+      spam_detection: {
+        duplicates: config.spam.duplicates,
+        duplicate_window: config.spam.duplicateWindow,
+        flood: config.spam.flood,
+        flood_messages: config.spam.floodMessages,
+        flood_window: config.spam.floodWindow
+      }
+    },
+    profanity_lists: Object.fromEntries(SEVERITIES.map(severity => [severity, [...settings.blockedWords[severity]]])),
+    whitelist: [...settings.allowedWords]
+  };
+}
+
+/**
+ * Read the panel's snake_case config over the current settings
+ */
+function parseFilterConfig(panelConfig = {}, current) {
+  const methods = panelConfig.filter_methods || {};
+  const replacement = Object.entries(panelConfig.replacement_methods || {}).find(([, enabled]) => enabled);
+  const links = panelConfig.link_filter || {};
+  const spam = panelConfig.spam_detection || {};
+  const config = current.config;
+
+  return createFilterSettings({
+    ...current,
+    config: {
+      enabled: panelConfig.enabled ?? config.enabled,
+      strictMode: panelConfig.strict_mode ?? config.strictMode,
+      preserveLength: panelConfig.preserve_length ?? config.preserveLength,
+      methods: {
+        exactMatch: methods.exact_match ?? config.methods.exactMatch,
+        partialMatch: methods.partial_match ?? config.methods.partialMatch,
+        leetspeak: methods.leetspeak ?? config.methods.leetspeak,
+        phonetic: methods.phonetic ?? config.methods.phonetic,
+        patternDetection: methods.pattern_detection ?? config.methods.patternDetection
+      },
+      replacement: replacement ? replacement[0] : config.replacement,
+      customReplacement: panelConfig.custom_replacement ?? config.customReplacement,
+      actions: { ...config.actions, ...panelConfig.severity_actions },
+      timeoutSeconds: panelConfig.timeout_seconds ?? config.timeoutSeconds,
+      links: {
+        enabled: links.enabled ?? config.links.enabled,
+        allowedDomains: links.allowed_domains ?? config.links.allowedDomains,
+        severity: links.severity ?? config.links.severity
+      },
+      spam: {
+        duplicates: spam.duplicates ?? config.spam.duplicates,
+        duplicateWindow: spam.duplicate_window ?? config.spam.duplicateWindow,
+        flood: spam.flood ?? config.spam.flood,
+        floodMessages: spam.flood_messages ?? config.spam.floodMessages,
+        floodWindow: spam.flood_window ?? config.spam.floodWindow
+      }
+    }
+  });
+}
+
+/**
+ * The strongest of two actions
+ */
+function strongerAction(a, b) {
+  return ACTIONS.indexOf(b) > ACTIONS.indexOf(a) ? b : a;
+}
+
+class ContentFilter {
+  constructor(settings) {
+    this.settings = createFilterSettings(settings);
+    this.config = this.settings.config;
+    this.allowed = new Set(this.settings.allowedWords);
+    this.entries = this.buildEntries();
+  }
+
+  /**
+   * Pre-compute the comparison keys of every blocked word and phrase
+   */
+  buildEntries() {
+    const entries = [];
+
+    for (const severity of SEVERITIES) {
+      for (const word of this.settings.blockedWords[severity]) {
+        const parts = word.split(' ');
+        const leet = parts.map(foldLeetspeak);
+        entries.push({
+          word,
+          severity,
+          plain: parts,
+          leet,
+          phonetic: leet.map(phoneticKey)
+        });
+      }
+    }
+
+    // Check the most severe words first so overlapping matches keep them
+    return entries.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+  }
+
+  /**
+   * Split text into word tokens with their position in the original text
+   */
+  tokenize(text) {
+    const tokens = [];
+
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+      // A trailing "!" is punctuation, not a leetspeak "i"
+      const raw = match[0].replace(/!+$/, '');
+      if (!/[\p{L}\p{N}]/u.test(raw)) {
+        continue;
+      }
+
+      const plain = normalizeText(raw);
+      const leet = foldLeetspeak(plain);
+      tokens.push({
+        start: match.index,
+        end: match.index + raw.length,
+        plain,
+        leet,
+        leetAlt: foldLeetspeak(plain, 'l'),
+        phonetic: phoneticKey(leet),
+        allowed: this.allowed.has(plain)
+      });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * How a window of tokens matches a blocked entry, or null
+   */
+  matchEntry(entry, window) {
+    const { methods } = this.config;
+    const every = (key) => entry[key].every((part, i) => window[i][key] === part || (key === 'leet' && window[i].leetAlt === part));
+
+    if (methods.exactMatch && every('plain')) {
+      return { method: 'exact_match', confidence: 1 };
+    }
+    if (methods.leetspeak && every('leet')) {
+      return { method: 'leetspeak', confidence: 0.9 };
+    }
+    // Short keys like "as" collide with ordinary words
+    if (methods.phonetic && entry.phonetic.join('').length >= 3 && every('phonetic')) {
+      return { method: 'phonetic', confidence: 0.75 };
+    }
+    if (methods.partialMatch && window.length === 1 && entry.leet[0].length >= 3 &&
+      (window[0].leet.includes(entry.leet[0]) || window[0].leetAlt.includes(entry.leet[0]))) {
+      return { method: 'partial_match', confidence: 0.6 };
+    }
+
+    return null;
+  }
+
+  findWordViolations(text) {
+    const tokens = this.tokenize(text);
+    const violations = [];
+    const used = new Set();
+
+    for (const entry of this.entries) {
+      const size = entry.plain.length;
+
+      for (let i = 0; i + size <= tokens.length; i++) {
+        const window = tokens.slice(i, i + size);
+        if (window.some((token, j) => token.allowed || used.has(i + j))) {
+          continue;
+        }
+
+        const match = this.matchEntry(entry, window);
+        if (match) {
+          window.forEach((token, j) => used.add(i + j));
+          violations.push({
+            word: entry.word,
+            severity: entry.severity,
+            ...match,
+            start: window[0].start,
+            end: window[size - 1].end
+          });
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  findLinkViolations(text) {
+    const violations = [];
+
+    for (const match of text.matchAll(LINK_PATTERN)) {
+      const host = cleanDomain(match[0]).split(':')[0];
+      const allowed = this.config.links.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+      if (!allowed) {
+        violations.push({
+          word: match[0],
+          severity: this.config.links.severity,
+          method: 'link_filter',
+          confidence: 1,
+          start: match.index,
+          end: match.index + match[0].length
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Excessive caps and repeated characters flag a message without
+   * changing it
+   */
+  hasSpamPattern(text) {
+    if (/(.)\1{4,}/.test(text)) {
+      return true;
+    }
+
+    const capsRatio = (text.match(/[A-Z]/g) || []).length / text.length;
+    return capsRatio > 0.7 && text.length > 10;
+  }
+
+  getReplacement(length) {
+    switch (this.config.replacement) {
+      case 'emoji':
+        return '🤬';
+      case 'custom':
+        return this.config.customReplacement;
+      case 'remove':
+        return '';
+      default:
+        return '*'.repeat(this.config.preserveLength ? length : 4);
+    }
+  }
+
+  /**
+   * Replace every violating span, skipping spans inside an earlier one
+   */
+  mask(text, violations) {
+    const spans = [...violations].sort((a, b) => a.start - b.start);
+    let result = '';
+    let position = 0;
+
+    for (const span of spans) {
+      if (span.start < position) {
+        continue;
+      }
+      result += text.slice(position, span.start) + this.getReplacement(span.end - span.start);
+      position = span.end;
+    }
+
+    result += text.slice(position);
+    return this.config.replacement === 'remove' ? result.replace(/\s{2,}/g, ' ').trim() : result;
+  }
+
+  /**
+   * The action a violation calls for
+   */
+  getAction(violation) {
+    if (violation.action) {
+      return violation.action;
+    }
+
+    const action = this.config.actions[violation.severity];
+    return this.config.strictMode && action !== 'timeout' ? 'reject' : action;
+  }
+
+  /**
+   * Check a message. `extraViolations` come from checks made elsewhere
+   * (duplicates and floods) and carry their own action; `checkContent: false`
+   * skips the word, link and pattern checks.
+   */
+  analyze(text, options = {}) {
+    const { extraViolations = [], checkContent = true } = options;
+    const violations = [];
+    let flagged = false;
+
+    if (this.config.enabled && checkContent) {
+      violations.push(...this.findWordViolations(text));
+      if (this.config.links.enabled) {
+        violations.push(...this.findLinkViolations(text));
+      }
+      flagged = this.config.methods.patternDetection && this.hasSpamPattern(text);
+    }
+    violations.push(...extraViolations);
+
+    const action = violations.reduce((strongest, violation) => strongerAction(strongest, this.getAction(violation)), 'allow');
+    const masked = violations.filter(violation => violation.start !== undefined);
+
+    return {
+      text: masked.length > 0 ? this.mask(text, masked) : text,
+      action,
+      flagged: flagged || violations.length > 0,
+      severityScore: Math.max(0, ...violations.map(violation => SEVERITY_SCORES[violation.severity] || 0)),
+      violations: violations.map(({ start, end, ...violation }) => violation),
+      methodsUsed: [...new Set([
+        ...violations.map(violation => violation.method),
+        ...(flagged ? ['pattern_detection'] : [])
+      ])]
+    };
+  }
+
+  /**
+   * The result in the ProfanityFilterPanel's test format
+   */
+  test(text) {
+    const result = this.analyze(text);
+
+    return {
+      original_content: text,
+      filtered_content: result.text,
+      is_clean: result.violations.length === 0,
+      severity_score: result.severityScore,
+      action: result.action,
+      violations: result.violations,
+      filter_methods_used: result.methodsUsed
+    };
+  }
+}
+
+ContentFilter.SEVERITIES = SEVERITIES;
+ContentFilter.DEFAULT_FILTER_CONFIG = DEFAULT_FILTER_CONFIG;
+ContentFilter.createFilterSettings = createFilterSettings;
+ContentFilter.formatFilterSettings = formatFilterSettings;
+ContentFilter.parseFilterConfig = parseFilterConfig;
+ContentFilter.normalizeText = normalizeText;
+ContentFilter.cleanWord = cleanWord;
+
+module.exports = ContentFilter;
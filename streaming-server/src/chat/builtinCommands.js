@@ -0,0 +1,258 @@
+/**
+ * Built-in chat commands
+ *
+ * Handlers receive a context of { chatManager, room, user, streamId, level,
+ * reply, announce } and the parsed arguments. Moderation commands go through
+ * ChatManager.applyModerationAction so they share its checks and audit log.
+ */
+
+const { createHttpError } = require('../utils/errors');
+
+function formatDuration(seconds) {
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = [];
+  let remaining = seconds;
+
+  for (const [unit, size] of units) {
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+
+  return parts.slice(0, 2).join(' ') || '0s';
+}
+
+/**
+ * Parse "on", "off" or a number for slow and followers-only mode
+ */
+function parseToggle(value, defaultValue, max) {
+  if (value === null || value === 'on') {
+    return { enabled: true, value: defaultValue };
+  }
+  if (value === 'off') {
+    return { enabled: false, value: 0 };
+  }
+
+  const number = parseInt(value);
+  if (!/^\d+$/.test(value) || number > max) {
+    throw createHttpError(`Use off or a number up to ${max}`);
+  }
+  return { enabled: true, value: number };
+}
+
+module.exports = function registerBuiltinCommands(registry, chatManager) {
+  const config = chatManager.moderationConfig;
+
+  registry.register({
+    name: 'help',
+    aliases: ['commands'],
+    category: 'information',
+    description: 'Show available commands',
+    args: [{ name: 'command', type: 'word' }],
+    cooldown: { user: 5 },
+    handler: async ({ room, level, reply }, { command }) => {
+      const commands = await chatManager.getAvailableCommands(room.streamId, level);
+
+      if (command) {
+        const match = commands.find(entry => entry.name === command.replace(/^\//, '').toLowerCase() ||
+          entry.aliases.includes(command.replace(/^\//, '').toLowerCase()));
+        if (!match) {
+          throw createHttpError(`Unknown command: ${command}`);
+        }
+        reply(`${match.usage} - ${match.description}`);
+        return;
+      }
+
+      reply(`Available commands: ${commands.map(entry => `/${entry.name}`).join(', ')}`);
+    }
+  });
+
+  registry.register({
+    name: 'timeout',
+    aliases: ['mute'],
+    category: 'moderation',
+    description: 'Stop a user from chatting for a while',
+    permission: 'moderator',
+    args: [
+      { name: 'user', type: 'user', required: true },
+      { name: 'duration', type: 'duration', default: config.defaultTimeoutSeconds },
+      { name: 'reason', type: 'text' }
+    ],
+    handler: async ({ room, user, reply }, args) => {
+      const target = await chatManager.resolveChatUser(room, args.user);
+      await chatManager.applyModerationAction(room, user, {
+        action: 'timeout',
+        targetUserId: target.userId,
+        targetUsername: target.username,
+        duration: args.duration,
+        reason: args.reason
+      });
+      reply(`${target.username} has been timed out for ${formatDuration(args.duration)}`);
+    }
+  });
+
+  registry.register({
+    name: 'untimeout',
+    aliases: ['unmute'],
+    category: 'moderation',
+    description: 'Lift a timeout',
+    permission: 'moderator',
+    args: [{ name: 'user', type: 'user', required: true }],
+    handler: async ({ room, user, reply }, args) => {
+      const target = await chatManager.resolveChatUser(room, args.user);
+      await chatManager.applyModerationAction(room, user, { action: 'untimeout', targetUserId: target.userId, targetUsername: target.username });
+      reply(`${target.username} can chat again`);
+    }
+  });
+
+  registry.register({
+    name: 'ban',
+    category: 'moderation',
+    description: 'Ban a user from this chat',
+    permission: 'moderator',
+    args: [
+      { name: 'user', type: 'user', required: true },
+      { name: 'reason', type: 'text' }
+    ],
+    handler: async ({ room, user, reply }, args) => {
+      const target = await chatManager.resolveChatUser(room, args.user);
+      await chatManager.applyModerationAction(room, user, {
+        action: 'ban',
+        targetUserId: target.userId,
+        targetUsername: target.username,
+        reason: args.reason
+      });
+      reply(`${target.username} has been banned`);
+    }
+  });
+
+  registry.register({
+    name: 'unban',
+    category: 'moderation',
+    description: 'Lift a ban',
+    permission: 'moderator',
+    args: [{ name: 'user', type: 'user', required: true }],
+    handler: async ({ room, user, reply }, args) => {
+      const target = await chatManager.resolveChatUser(room, args.user);
+      await chatManager.applyModerationAction(room, user, { action: 'unban', targetUserId: target.userId, targetUsername: target.username });
+      reply(`${target.username} has been unbanned`);
+    }
+  });
+
+  registry.register({
+    name: 'slow',
+    aliases: ['slowmode'],
+    category: 'moderation',
+    description: 'Limit how often viewers can send messages',
+    usage: '/slow [seconds|off]',
+    permission: 'moderator',
+    args: [{ name: 'seconds', type: 'word' }],
+    handler: async ({ room, user, reply }, args) => {
+      const { enabled, value } = parseToggle(args.seconds, config.defaultSlowModeDelay, config.maxSlowModeDelay);
+      await chatManager.applyModerationAction(room, user, { action: 'slow', enabled, delay: value });
+      reply(enabled ? `Slow mode on: one message every ${value} seconds` : 'Slow mode off');
+    }
+  });
+
+  registry.register({
+    name: 'followers',
+    aliases: ['followersonly'],
+    category: 'moderation',
+    description: 'Only let followers chat, optionally after following for a while',
+    usage: '/followers [minutes|off]',
+    permission: 'moderator',
+    args: [{ name: 'minutes', type: 'word' }],
+    handler: async ({ room, user, reply }, args) => {
+      const { enabled, value } = parseToggle(args.minutes, 0, config.maxFollowMinutes);
+      await chatManager.applyModerationAction(room, user, { action: 'followers_only', enabled, minFollowMinutes: value });
+      reply(enabled ? `Followers-only mode on${value ? ` (${value} minutes)` : ''}` : 'Followers-only mode off');
+    }
+  });
+
+  registry.register({
+    name: 'clear',
+    category: 'moderation',
+    description: 'Clear chat for everyone',
+    permission: 'moderator',
+    handler: async ({ room, user }) => {
+      await chatManager.applyModerationAction(room, user, { action: 'clear' });
+    }
+  });
+
+  registry.register({
+    name: 'poll',
+    category: 'engagement',
+    description: 'Start a poll, or end the current one',
+    usage: '/poll <question> | <option> | <option>... or /poll end',
+    permission: 'moderator',
+    args: [{ name: 'definition', type: 'text', required: true }],
+    handler: async ({ room, user, reply }, args) => {
+      if (args.definition.toLowerCase() === 'end') {
+        if (!await chatManager.endPoll(room)) {
+          throw createHttpError('There is no active poll');
+        }
+        return;
+      }
+
+      const [question, ...options] = args.definition.split('|').map(part => part.trim()).filter(Boolean);
+      await chatManager.startPoll(room, user, question, options);
+      reply('Poll started');
+    }
+  });
+
+  registry.register({
+    name: 'vote',
+    category: 'engagement',
+    description: 'Vote in the current poll',
+    args: [{ name: 'option', type: 'integer', required: true, min: 1 }],
+    handler: async ({ room, user, reply }, args) => {
+      const option = await chatManager.votePoll(room, user, args.option);
+      reply(`Voted for "${option.text}"`);
+    }
+  });
+
+  registry.register({
+    name: 'so',
+    aliases: ['shoutout'],
+    category: 'engagement',
+    description: 'Give another creator a shoutout',
+    permission: 'moderator',
+    args: [{ name: 'user', type: 'user', required: true }],
+    cooldown: { global: 30 },
+    handler: async ({ room, announce }, args) => {
+      const target = await chatManager.resolveChatUser(room, args.user);
+      const lastStream = await chatManager.getLastStream(target.userId);
+
+      announce(lastStream
+        ? `Go check out @${target.username}! They were last streaming "${lastStream.title}" in ${lastStream.category}.`
+        : `Go check out @${target.username}!`);
+      chatManager.io.to(`chat:${room.streamId}`).emit('chat:shoutout', {
+        streamId: room.streamId,
+        userId: target.userId,
+        username: target.username,
+        lastStream
+      });
+    }
+  });
+
+  registry.register({
+    name: 'uptime',
+    category: 'information',
+    description: 'How long the stream has been live',
+    cooldown: { global: 10 },
+    handler: async ({ room, announce }) => {
+      const stream = await chatManager.getStreamStatus(room.streamId);
+
+      if (!stream || stream.status !== 'live' || !stream.started_at) {
+        announce('The stream is offline');
+        return;
+      }
+
+      const seconds = Math.floor((Date.now() - new Date(stream.started_at).getTime()) / 1000);
+      announce(`Live for ${formatDuration(seconds)}`);
+    }
+  });
+};
+
+module.exports.formatDuration = formatDuration;
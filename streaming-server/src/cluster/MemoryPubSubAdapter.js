@@ -0,0 +1,99 @@
+/**
+ * MemoryPubSubAdapter - In-process stand-in for the Redis adapter
+ *
+ * Used when Redis is disabled and in tests. Adapters created with the same
+ * hub behave like replicas sharing one Redis: messages are JSON round-tripped
+ * and delivered asynchronously, as they would be over the network.
+ */
+
+const PubSubAdapter = require('./PubSubAdapter');
+
+class MemoryPubSubAdapter extends PubSubAdapter {
+  constructor(config = {}, logger) {
+    super('memory', config, logger);
+    this.hub = config.hub || MemoryPubSubAdapter.createHub();
+    this.handlers = new Map(); // channel -> handler
+  }
+
+  static createHub() {
+    return {
+      subscribers: new Map(), // channel -> Set of handlers
+      hashes: new Map(), // key -> Map of field -> value
+      counters: new Map() // key -> { count, expiresAt }
+    };
+  }
+
+  async publish(channel, message) {
+    const payload = JSON.stringify(message);
+    const handlers = [...(this.hub.subscribers.get(channel) || [])];
+
+    await Promise.resolve();
+    for (const handler of handlers) {
+      try {
+        await handler(JSON.parse(payload));
+      } catch (error) {
+        this.logger.error(`Error handling message on ${channel}:`, error);
+      }
+    }
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.hub.subscribers.has(channel)) {
+      this.hub.subscribers.set(channel, new Set());
+    }
+    this.hub.subscribers.get(channel).add(handler);
+    this.handlers.set(channel, handler);
+  }
+
+  async unsubscribe(channel) {
+    const handler = this.handlers.get(channel);
+    if (handler) {
+      this.hub.subscribers.get(channel)?.delete(handler);
+      this.handlers.delete(channel);
+    }
+  }
+
+  async hashSet(key, field, value) {
+    if (!this.hub.hashes.has(key)) {
+      this.hub.hashes.set(key, new Map());
+    }
+    this.hub.hashes.get(key).set(field, value);
+  }
+
+  async hashGet(key, field) {
+    return this.hub.hashes.get(key)?.get(field) ?? null;
+  }
+
+  async hashDelete(key, field) {
+    this.hub.hashes.get(key)?.delete(field);
+  }
+
+  async hashGetAll(key) {
+    return Object.fromEntries(this.hub.hashes.get(key) || []);
+  }
+
+  async deleteKey(key) {
+    this.hub.hashes.delete(key);
+  }
+
+  async incrementWindow(key, windowMs) {
+    const now = Date.now();
+    let counter = this.hub.counters.get(key);
+
+    if (!counter || counter.expiresAt <= now) {
+      counter = { count: 0, expiresAt: now + windowMs };
+      this.hub.counters.set(key, counter);
+    }
+
+    return ++counter.count;
+  }
+
+  async close() {
+    await super.close();
+    for (const channel of [...this.handlers.keys()]) {
+      await this.unsubscribe(channel);
+    }
+  }
+}
+
+module.exports = MemoryPubSubAdapter;
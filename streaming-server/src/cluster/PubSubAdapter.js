@@ -0,0 +1,113 @@
+/**
+ * PubSubAdapter - Base class for state shared between streaming-server replicas
+ *
+ * Adapters implement:
+ * - publish(channel, message) / subscribe(channel, handler) / unsubscribe(channel)
+ *   for JSON messages; publishers also receive their own messages
+ * - hashSet / hashGet / hashDelete / hashGetAll / deleteKey for shared room state
+ * - incrementWindow(key, windowMs) for fixed-window rate limit counters
+ * - close()
+ *
+ * Every replica gets its own nodeId, and heartbeats into a shared hash so
+ * presence written by a replica that died can be ignored.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const NODES_KEY = 'cluster:nodes';
+
+class PubSubAdapter {
+  constructor(name, config, logger) {
+    this.name = name;
+    this.nodeId = config.nodeId || uuidv4();
+    this.config = {
+      heartbeatInterval: 10000,
+      nodeTimeout: 30000, // a replica is gone after missing this many ms of heartbeats
+      ...config
+    };
+    this.logger = logger;
+    this.heartbeatTimer = null;
+  }
+
+  async publish(channel, message) {
+    throw new Error(`${this.name} pub/sub adapter does not implement publish`);
+  }
+
+  async subscribe(channel, handler) {
+    throw new Error(`${this.name} pub/sub adapter does not implement subscribe`);
+  }
+
+  async unsubscribe(channel) {
+    throw new Error(`${this.name} pub/sub adapter does not implement unsubscribe`);
+  }
+
+  async hashSet(key, field, value) {
+    throw new Error(`${this.name} pub/sub adapter does not implement hashSet`);
+  }
+
+  async hashGet(key, field) {
+    throw new Error(`${this.name} pub/sub adapter does not implement hashGet`);
+  }
+
+  async hashDelete(key, field) {
+    throw new Error(`${this.name} pub/sub adapter does not implement hashDelete`);
+  }
+
+  async hashGetAll(key) {
+    throw new Error(`${this.name} pub/sub adapter does not implement hashGetAll`);
+  }
+
+  async deleteKey(key) {
+    throw new Error(`${this.name} pub/sub adapter does not implement deleteKey`);
+  }
+
+  async incrementWindow(key, windowMs) {
+    throw new Error(`${this.name} pub/sub adapter does not implement incrementWindow`);
+  }
+
+  /**
+   * Start announcing this replica
+   */
+  async start() {
+    await this.heartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => this.logger.error('Error sending cluster heartbeat:', error));
+    }, this.config.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  async heartbeat() {
+    await this.hashSet(NODES_KEY, this.nodeId, String(Date.now()));
+  }
+
+  /**
+   * Replicas that have sent a heartbeat recently
+   */
+  async getLiveNodes(now = Date.now()) {
+    const nodes = await this.hashGetAll(NODES_KEY);
+    const live = new Set([this.nodeId]);
+
+    for (const [nodeId, lastSeen] of Object.entries(nodes)) {
+      if (now - parseInt(lastSeen) <= this.config.nodeTimeout) {
+        live.add(nodeId);
+      } else {
+        await this.hashDelete(NODES_KEY, nodeId);
+      }
+    }
+
+    return live;
+  }
+
+  async close() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    await this.hashDelete(NODES_KEY, this.nodeId);
+  }
+}
+
+PubSubAdapter.NODES_KEY = NODES_KEY;
+
+module.exports = PubSubAdapter;
@@ -0,0 +1,87 @@
+/**
+ * RedisPubSubAdapter - Shares state between replicas through Redis
+ *
+ * Publishing and state use the server's Redis client; subscriptions need a
+ * dedicated connection, so the client is duplicated on start.
+ */
+
+const PubSubAdapter = require('./PubSubAdapter');
+
+class RedisPubSubAdapter extends PubSubAdapter {
+  constructor(redisClient, config = {}, logger) {
+    super('redis', config, logger);
+    this.redis = redisClient;
+    this.subscriber = null;
+    this.prefix = config.prefix || 'cluster:';
+  }
+
+  async start() {
+    this.subscriber = this.redis.duplicate();
+    this.subscriber.on('error', (error) => {
+      this.logger.error('Redis subscriber error:', error);
+    });
+    await this.subscriber.connect();
+
+    await super.start();
+  }
+
+  channelName(channel) {
+    return `${this.prefix}${channel}`;
+  }
+
+  async publish(channel, message) {
+    await this.redis.publish(this.channelName(channel), JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    await this.subscriber.subscribe(this.channelName(channel), async (payload) => {
+      try {
+        await handler(JSON.parse(payload));
+      } catch (error) {
+        this.logger.error(`Error handling message on ${channel}:`, error);
+      }
+    });
+  }
+
+  async unsubscribe(channel) {
+    await this.subscriber.unsubscribe(this.channelName(channel));
+  }
+
+  async hashSet(key, field, value) {
+    await this.redis.hSet(key, field, value);
+  }
+
+  async hashGet(key, field) {
+    return this.redis.hGet(key, field);
+  }
+
+  async hashDelete(key, field) {
+    await this.redis.hDel(key, field);
+  }
+
+  async hashGetAll(key) {
+    return this.redis.hGetAll(key);
+  }
+
+  async deleteKey(key) {
+    await this.redis.del(key);
+  }
+
+  async incrementWindow(key, windowMs) {
+    const count = await this.redis.incr(key);
+    if (count === 1) {
+      await this.redis.pExpire(key, windowMs);
+    }
+    return count;
+  }
+
+  async close() {
+    await super.close();
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+  }
+}
+
+module.exports = RedisPubSubAdapter;
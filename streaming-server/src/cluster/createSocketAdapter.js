@@ -0,0 +1,104 @@
+/**
+ * socket.io adapter that fans room operations out through a PubSubAdapter
+ *
+ * Broadcasts, joins, leaves and disconnects that target rooms are applied
+ * locally and published so every other replica applies them to its own
+ * sockets. Payloads are sent as JSON, so binary attachments are not
+ * supported across replicas; fetchSockets() only sees local sockets.
+ */
+
+const { Adapter } = require('socket.io-adapter');
+
+function serializeOptions(opts) {
+  return {
+    rooms: [...(opts.rooms || [])],
+    except: [...(opts.except || [])],
+    flags: opts.flags || {}
+  };
+}
+
+function deserializeOptions(opts) {
+  return {
+    rooms: new Set(opts.rooms),
+    except: new Set(opts.except),
+    flags: { ...opts.flags, local: true }
+  };
+}
+
+module.exports = function createSocketAdapter(pubSub) {
+  return class ClusterAdapter extends Adapter {
+    constructor(nsp) {
+      super(nsp);
+      this.channel = `socket.io:${nsp.name}`;
+      this.ready = pubSub.subscribe(this.channel, (message) => this.onClusterMessage(message));
+    }
+
+    init() {
+      return this.ready;
+    }
+
+    close() {
+      return pubSub.unsubscribe(this.channel);
+    }
+
+    async serverCount() {
+      return (await pubSub.getLiveNodes()).size;
+    }
+
+    broadcast(packet, opts) {
+      this.publishOperation('broadcast', opts, { packet });
+      super.broadcast(packet, opts);
+    }
+
+    addSockets(opts, rooms) {
+      this.publishOperation('addSockets', opts, { rooms });
+      super.addSockets(opts, rooms);
+    }
+
+    delSockets(opts, rooms) {
+      this.publishOperation('delSockets', opts, { rooms });
+      super.delSockets(opts, rooms);
+    }
+
+    disconnectSockets(opts, close) {
+      this.publishOperation('disconnectSockets', opts, { close });
+      super.disconnectSockets(opts, close);
+    }
+
+    publishOperation(type, opts, data) {
+      if (opts.flags && opts.flags.local) {
+        return;
+      }
+
+      pubSub.publish(this.channel, {
+        nodeId: pubSub.nodeId,
+        type,
+        opts: serializeOptions(opts),
+        ...data
+      }).catch(error => pubSub.logger.error(`Error publishing socket.io ${type}:`, error));
+    }
+
+    onClusterMessage(message) {
+      if (message.nodeId === pubSub.nodeId) {
+        return;
+      }
+
+      const opts = deserializeOptions(message.opts);
+
+      switch (message.type) {
+        case 'broadcast':
+          super.broadcast(message.packet, opts);
+          break;
+        case 'addSockets':
+          super.addSockets(opts, message.rooms);
+          break;
+        case 'delSockets':
+          super.delSockets(opts, message.rooms);
+          break;
+        case 'disconnectSockets':
+          super.disconnectSockets(opts, message.close);
+          break;
+      }
+    }
+  };
+};
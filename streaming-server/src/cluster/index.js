@@ -0,0 +1,43 @@
+/**
+ * Pub/sub adapter factory
+ *
+ * Adapters:
+ * - redis: replicas share state and broadcasts through Redis
+ * - memory: single process only; used when Redis is disabled and in tests
+ */
+
+const MemoryPubSubAdapter = require('./MemoryPubSubAdapter');
+const RedisPubSubAdapter = require('./RedisPubSubAdapter');
+const createSocketAdapter = require('./createSocketAdapter');
+
+const sharedConfig = () => ({
+  nodeId: process.env.CLUSTER_NODE_ID || undefined,
+  heartbeatInterval: parseInt(process.env.CLUSTER_HEARTBEAT_INTERVAL || '10000'),
+  nodeTimeout: parseInt(process.env.CLUSTER_NODE_TIMEOUT || '30000')
+});
+
+const adapters = {
+  redis: (redisClient, logger, overrides) => {
+    if (!redisClient) {
+      throw new Error('The redis pub/sub adapter needs a Redis connection');
+    }
+    return new RedisPubSubAdapter(redisClient, { ...sharedConfig(), ...overrides }, logger);
+  },
+
+  memory: (redisClient, logger, overrides) => new MemoryPubSubAdapter({ ...sharedConfig(), ...overrides }, logger)
+};
+
+function createPubSubAdapter(name, redisClient, logger, overrides = {}) {
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Unknown pub/sub adapter: ${name}`);
+  }
+  return factory(redisClient, logger, overrides);
+}
+
+module.exports = {
+  createPubSubAdapter,
+  createSocketAdapter,
+  MemoryPubSubAdapter,
+  RedisPubSubAdapter
+};
@@ -0,0 +1,293 @@
+/**
+ * ContentAnalyzer - Sample live HLS or a recording with ffmpeg and analyze it
+ *
+ * Every analysis makes one ffmpeg pass for the built-in metrics (see
+ * mediaMetrics), then runs the registered detection plugins. Plugins are
+ * objects:
+ *
+ *   {
+ *     name: 'nudity',                 // unique; results are stored under it
+ *     media: 'video' | 'audio',       // skipped when that medium is absent
+ *     description: 'Shown to admins',
+ *     analyze: async (context) => ({ violations: [...], ...anything })
+ *   }
+ *
+ * context carries { input, live, subject, metrics, frames(), audio() }:
+ * subject is whatever the caller passed as options.subject (ContentManager
+ * passes { streamId, recordingId, source }), frames() resolves to
+ * [{ time, path }] JPEGs sampled evenly from the same window, audio() to a
+ * 16 kHz mono WAV of it. Both are extracted on first use and deleted after
+ * the analysis.
+ *
+ * Violations are { type, severity: 'low' | 'medium' | 'high' | 'critical',
+ * confidence?, time? }. A plugin that throws is recorded with its error
+ * and does not fail the analysis.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const {
+  parseSampledSeconds,
+  parseVideoReport,
+  parseAudioReport,
+  summarizeVideo,
+  summarizeAudio,
+  assessQuality
+} = require('./mediaMetrics');
+
+const MEDIA = ['video', 'audio'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+class ContentAnalyzer {
+  constructor(logger, config = {}) {
+    this.logger = logger;
+    this.config = {
+      sampleSeconds: parseInt(process.env.CONTENT_ANALYSIS_SAMPLE_SECONDS || '20'),
+      frameCount: parseInt(process.env.CONTENT_ANALYSIS_FRAME_COUNT || '8'),
+      // Frames per second the metric filters look at
+      metricsFps: 2,
+      sceneThreshold: 0.3,
+      timeout: 5 * 60 * 1000,
+      tmpDir: os.tmpdir(),
+      thresholds: {},
+      ...config
+    };
+
+    this.plugins = new Map();
+  }
+
+  /**
+   * Register a detection plugin
+   */
+  use(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new Error('Content analysis plugins need a name');
+    }
+    if (!MEDIA.includes(plugin.media)) {
+      throw new Error(`Content analysis plugin ${plugin.name} must analyze one of: ${MEDIA.join(', ')}`);
+    }
+    if (typeof plugin.analyze !== 'function') {
+      throw new Error(`Content analysis plugin ${plugin.name} has no analyze function`);
+    }
+    if (this.plugins.has(plugin.name)) {
+      throw new Error(`Content analysis plugin ${plugin.name} is already registered`);
+    }
+
+    this.plugins.set(plugin.name, plugin);
+    return this;
+  }
+
+  listPlugins() {
+    return [...this.plugins.values()].map(({ name, media, description }) => ({
+      name,
+      media,
+      description: description || null
+    }));
+  }
+
+  /**
+   * Analyze up to sampleSeconds of the input: from the live edge for live
+   * HLS, from options.start for recordings. Resolves to
+   * { sampledSeconds, video, audio }, each medium null when the input
+   * has none or it was not asked for.
+   */
+  async analyze(input, options = {}) {
+    const wants = {
+      video: options.video !== false,
+      audio: options.audio !== false
+    };
+    const window = {
+      start: options.live ? 0 : (options.start || 0),
+      duration: options.duration || this.config.sampleSeconds,
+      live: Boolean(options.live)
+    };
+
+    const stderr = await this.runMetricsPass(input, wants, window);
+    const sampledSeconds = parseSampledSeconds(stderr) || window.duration;
+
+    const metrics = {
+      video: wants.video ? summarizeVideo(parseVideoReport(stderr, sampledSeconds)) : null,
+      audio: wants.audio ? summarizeAudio(parseAudioReport(stderr, sampledSeconds)) : null
+    };
+    const assessment = assessQuality(metrics.video, metrics.audio, this.config.thresholds);
+
+    const workDir = path.join(this.config.tmpDir, `content-analysis-${uuidv4()}`);
+    const context = this.createPluginContext(input, window, metrics, workDir);
+    context.subject = options.subject || {};
+
+    try {
+      const result = { sampledSeconds, video: null, audio: null };
+
+      for (const medium of MEDIA) {
+        if (!metrics[medium]) {
+          continue;
+        }
+
+        const { detections, violations } = await this.runPlugins(medium, context);
+        result[medium] = {
+          metrics: metrics[medium],
+          quality: assessment[medium].quality,
+          issues: assessment[medium].issues,
+          detections,
+          violations
+        };
+      }
+
+      return result;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async runPlugins(medium, context) {
+    const detections = {};
+    const violations = [];
+
+    for (const plugin of this.plugins.values()) {
+      if (plugin.media !== medium) {
+        continue;
+      }
+
+      try {
+        const output = (await plugin.analyze(context)) || {};
+        detections[plugin.name] = output;
+
+        for (const violation of output.violations || []) {
+          violations.push({
+            ...violation,
+            severity: SEVERITIES.includes(violation.severity) ? violation.severity : 'medium',
+            plugin: plugin.name
+          });
+        }
+      } catch (error) {
+        this.logger.error(`Content analysis plugin ${plugin.name} failed:`, error);
+        detections[plugin.name] = { error: error.message };
+      }
+    }
+
+    return { detections, violations };
+  }
+
+  /**
+   * What plugins get; frames and audio are extracted once, on demand
+   */
+  createPluginContext(input, window, metrics, workDir) {
+    let frames = null;
+    let audio = null;
+
+    const ensureDir = () => fs.mkdir(workDir, { recursive: true });
+
+    return {
+      input,
+      live: window.live,
+      metrics,
+      frames: () => {
+        if (!frames) {
+          frames = ensureDir().then(() => this.extractFrames(input, window, workDir));
+        }
+        return frames;
+      },
+      audio: () => {
+        if (!audio) {
+          const outputPath = path.join(workDir, 'audio.wav');
+          audio = ensureDir().then(() => this.extractAudio(input, window, outputPath)).then(() => outputPath);
+        }
+        return audio;
+      }
+    };
+  }
+
+  inputOptions(window) {
+    const options = ['-t', String(window.duration)];
+    if (!window.live && window.start > 0) {
+      options.unshift('-ss', String(window.start));
+    }
+    return options;
+  }
+
+  /**
+   * The metric filters in a single decode; resolves to ffmpeg's log lines
+   */
+  runMetricsPass(input, wants, window) {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(input, { timeout: this.config.timeout / 1000 })
+        .inputOptions(this.inputOptions(window));
+
+      if (wants.video) {
+        command.videoFilters([
+          `fps=${this.config.metricsFps}`,
+          'blackdetect=d=0.5:pix_th=0.10',
+          'blurdetect',
+          'metadata=mode=print:key=lavfi.blur',
+          `select='gt(scene,${this.config.sceneThreshold})'`,
+          'showinfo'
+        ]);
+      } else {
+        command.noVideo();
+      }
+
+      if (wants.audio) {
+        command.audioFilters([
+          // Per-frame loudness only at verbose, so the log keeps the summary
+          'ebur128=peak=true:framelog=verbose',
+          'volumedetect',
+          'silencedetect=n=-50dB:d=2'
+        ]);
+      } else {
+        command.noAudio();
+      }
+
+      const lines = [];
+      command
+        .format('null')
+        .output('-')
+        .on('stderr', line => lines.push(line))
+        .on('end', () => resolve(lines))
+        .on('error', error => reject(error))
+        .run();
+    });
+  }
+
+  extractFrames(input, window, workDir) {
+    const count = this.config.frameCount;
+    const interval = window.duration / count;
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(input, { timeout: this.config.timeout / 1000 })
+        .inputOptions(this.inputOptions(window))
+        .noAudio()
+        .outputOptions(['-vf', `fps=1/${interval}`, '-frames:v', String(count), '-q:v', '3'])
+        .output(path.join(workDir, 'frame-%03d.jpg'))
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    }).then(async () => {
+      const files = (await fs.readdir(workDir)).filter(file => file.startsWith('frame-')).sort();
+      return files.map((file, index) => ({
+        time: Math.round((window.start + index * interval) * 1000) / 1000,
+        path: path.join(workDir, file)
+      }));
+    });
+  }
+
+  extractAudio(input, window, outputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(input, { timeout: this.config.timeout / 1000 })
+        .inputOptions(this.inputOptions(window))
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(16000)
+        .audioCodec('pcm_s16le')
+        .format('wav')
+        .output(outputPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+  }
+}
+
+module.exports = ContentAnalyzer;
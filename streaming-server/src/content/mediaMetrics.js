@@ -0,0 +1,261 @@
+/**
+ * Media metrics - read ffmpeg's analysis filter output and rate the result
+ *
+ * One ffmpeg pass samples the media with:
+ * - video: blackdetect, blurdetect (printed per frame), and scene
+ *   changes selected into showinfo
+ * - audio: ebur128 (loudness in LUFS, true peak), volumedetect (level and
+ *   0 dB samples, i.e. clipping) and silencedetect
+ *
+ * Times are seconds into the sample.
+ */
+
+const round = (value, digits = 3) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// ffmpeg prints -inf for silence
+const parseLevel = value => (value === undefined || /inf/.test(value) ? null : parseFloat(value));
+
+const lastMatch = (lines, pattern) => {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const match = lines[i].match(pattern);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+};
+
+const toLines = stderr => (Array.isArray(stderr) ? stderr : String(stderr).split(/\r?\n|\r/));
+
+/**
+ * Seconds ffmpeg got through, from its last progress line
+ */
+function parseSampledSeconds(stderr) {
+  const match = lastMatch(toLines(stderr), /time=(\d+):(\d+):(\d+(?:\.\d+)?)/);
+  return match ? round(Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3])) : null;
+}
+
+/**
+ * Pair up start/end lines (black_start/black_end, silence_start/silence_end);
+ * a range still open at the end of the sample runs to its end
+ */
+function parseRanges(lines, startPattern, endPattern, sampledSeconds) {
+  const ranges = [];
+  let open = null;
+
+  for (const line of lines) {
+    const start = line.match(startPattern);
+    if (start) {
+      open = parseFloat(start[1]);
+    }
+    const end = line.match(endPattern);
+    if (end) {
+      const endTime = parseFloat(end[1]);
+      ranges.push({ start: round(open ?? 0), end: round(endTime) });
+      open = null;
+    }
+  }
+  if (open !== null && sampledSeconds) {
+    ranges.push({ start: round(open), end: round(sampledSeconds) });
+  }
+  return ranges;
+}
+
+function parseVideoReport(stderr, sampledSeconds) {
+  const lines = toLines(stderr);
+
+  // blackdetect reports start and end on one line
+  const blackSegments = [];
+  for (const line of lines) {
+    const match = line.match(/black_start:\s*(-?\d+(?:\.\d+)?)\s+black_end:\s*(\d+(?:\.\d+)?)/);
+    if (match) {
+      blackSegments.push({ start: round(Math.max(0, parseFloat(match[1]))), end: round(parseFloat(match[2])) });
+    }
+  }
+
+  const blurValues = lines
+    .map(line => line.match(/lavfi\.blur=(\d+(?:\.\d+)?)/))
+    .filter(Boolean)
+    .map(match => parseFloat(match[1]));
+
+  const sceneCuts = lines
+    .filter(line => line.includes('showinfo'))
+    .map(line => line.match(/pts_time:\s*(\d+(?:\.\d+)?)/))
+    .filter(Boolean)
+    .map(match => round(parseFloat(match[1])));
+
+  return {
+    frames: blurValues.length,
+    blurValues,
+    blackSegments,
+    sceneCuts,
+    sampledSeconds
+  };
+}
+
+function parseAudioReport(stderr, sampledSeconds) {
+  const lines = toLines(stderr);
+  const number = '(-?(?:\\d+(?:\\.\\d+)?|inf))';
+
+  const integrated = lastMatch(lines, new RegExp(`\\bI:\\s+${number} LUFS`));
+  const range = lastMatch(lines, new RegExp(`\\bLRA:\\s+${number} LU\\b`));
+  const peak = lastMatch(lines, new RegExp(`\\bPeak:\\s+${number} dBFS`));
+  const samples = lastMatch(lines, /n_samples:\s*(\d+)/);
+  const meanVolume = lastMatch(lines, new RegExp(`mean_volume:\\s*${number} dB`));
+  const maxVolume = lastMatch(lines, new RegExp(`max_volume:\\s*${number} dB`));
+  const zeroDb = lastMatch(lines, /histogram_0db:\s*(\d+)/);
+
+  return {
+    integratedLufs: integrated ? parseLevel(integrated[1]) : null,
+    loudnessRange: range ? parseLevel(range[1]) : null,
+    truePeakDbfs: peak ? parseLevel(peak[1]) : null,
+    meanVolumeDb: meanVolume ? parseLevel(meanVolume[1]) : null,
+    maxVolumeDb: maxVolume ? parseLevel(maxVolume[1]) : null,
+    sampleCount: samples ? Number(samples[1]) : 0,
+    // volumedetect only prints the histogram down from the loudest bucket
+    clippedSamples: zeroDb ? Number(zeroDb[1]) : 0,
+    silenceSegments: parseRanges(
+      lines,
+      /silence_start:\s*(-?\d+(?:\.\d+)?)/,
+      /silence_end:\s*(\d+(?:\.\d+)?)/,
+      sampledSeconds
+    ),
+    sampledSeconds
+  };
+}
+
+const totalLength = ranges => round(ranges.reduce((total, range) => total + (range.end - range.start), 0));
+
+/**
+ * Video metrics from a parsed report, or null when no frames were seen
+ */
+function summarizeVideo(report) {
+  if (report.frames === 0) {
+    return null;
+  }
+
+  const seconds = report.sampledSeconds || 0;
+  const blackSeconds = totalLength(report.blackSegments);
+
+  return {
+    sampledSeconds: seconds,
+    frames: report.frames,
+    blur: {
+      mean: round(report.blurValues.reduce((total, value) => total + value, 0) / report.frames, 2),
+      max: round(Math.max(...report.blurValues), 2)
+    },
+    blackFrames: {
+      segments: report.blackSegments,
+      seconds: blackSeconds,
+      ratio: seconds > 0 ? round(Math.min(1, blackSeconds / seconds)) : 0
+    },
+    sceneCuts: {
+      times: report.sceneCuts,
+      perMinute: seconds > 0 ? round(report.sceneCuts.length / (seconds / 60), 1) : 0
+    }
+  };
+}
+
+/**
+ * Audio metrics from a parsed report, or null when there was no audio
+ */
+function summarizeAudio(report) {
+  if (report.sampleCount === 0 && report.integratedLufs === null) {
+    return null;
+  }
+
+  const seconds = report.sampledSeconds || 0;
+  const silenceSeconds = totalLength(report.silenceSegments);
+
+  return {
+    sampledSeconds: seconds,
+    loudness: {
+      integratedLufs: report.integratedLufs,
+      rangeLu: report.loudnessRange,
+      truePeakDbfs: report.truePeakDbfs,
+      meanVolumeDb: report.meanVolumeDb,
+      maxVolumeDb: report.maxVolumeDb
+    },
+    clipping: {
+      samples: report.clippedSamples,
+      ratio: report.sampleCount > 0 ? round(report.clippedSamples / report.sampleCount, 6) : 0
+    },
+    silence: {
+      segments: report.silenceSegments,
+      seconds: silenceSeconds,
+      ratio: seconds > 0 ? round(Math.min(1, silenceSeconds / seconds)) : 0
+    }
+  };
+}
+
+const DEFAULT_THRESHOLDS = {
+  blur: 8, // blurdetect's mean score; sharp video is around 2-5
+  blackRatio: 0.2,
+  quietLufs: -30,
+  loudLufs: -9,
+  clippingRatio: 0.001,
+  silenceRatio: 0.5
+};
+
+/**
+ * Quality issues in the metrics and a rating per medium: good when there
+ * are none, poor when any is high severity, fair otherwise
+ */
+function assessQuality(video, audio, thresholds = {}) {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const videoIssues = [];
+  const audioIssues = [];
+
+  if (video) {
+    if (video.blur.mean > limits.blur) {
+      videoIssues.push({ type: 'blurry', severity: video.blur.mean > limits.blur * 2 ? 'high' : 'medium', value: video.blur.mean });
+    }
+    if (video.blackFrames.ratio > limits.blackRatio) {
+      videoIssues.push({ type: 'black_frames', severity: video.blackFrames.ratio > 0.9 ? 'high' : 'medium', value: video.blackFrames.ratio });
+    }
+  }
+
+  if (audio) {
+    const lufs = audio.loudness.integratedLufs;
+    if (lufs !== null && lufs < limits.quietLufs) {
+      audioIssues.push({ type: 'too_quiet', severity: 'medium', value: lufs });
+    }
+    if (lufs !== null && lufs > limits.loudLufs) {
+      audioIssues.push({ type: 'too_loud', severity: 'medium', value: lufs });
+    }
+    if (audio.clipping.ratio > limits.clippingRatio) {
+      audioIssues.push({ type: 'clipping', severity: audio.clipping.ratio > limits.clippingRatio * 10 ? 'high' : 'medium', value: audio.clipping.ratio });
+    }
+    if (audio.silence.ratio > limits.silenceRatio) {
+      audioIssues.push({ type: 'silence', severity: audio.silence.ratio > 0.95 ? 'high' : 'medium', value: audio.silence.ratio });
+    }
+  }
+
+  const rate = (metrics, issues) => {
+    if (!metrics) {
+      return null;
+    }
+    if (issues.some(issue => issue.severity === 'high')) {
+      return 'poor';
+    }
+    return issues.length > 0 ? 'fair' : 'good';
+  };
+
+  return {
+    video: { quality: rate(video, videoIssues), issues: videoIssues },
+    audio: { quality: rate(audio, audioIssues), issues: audioIssues }
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  parseSampledSeconds,
+  parseVideoReport,
+  parseAudioReport,
+  summarizeVideo,
+  summarizeAudio,
+  assessQuality
+};
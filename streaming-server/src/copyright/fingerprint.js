@@ -0,0 +1,327 @@
+/**
+ * Acoustic fingerprints - landmark hashes of 8 kHz mono audio
+ *
+ * The audio is cut into overlapping 128 ms frames (64 ms apart), and the
+ * loudest frequency in each of a few bands is kept as a peak when it stands
+ * out from the frame. Every peak is then paired with the next few peaks up
+ * to ~4 s later, and each pair hashed from both frequencies and the frames
+ * between them. Hashes survive volume changes, compression and most
+ * background noise; what matters is that they line up in time.
+ *
+ * Matching looks the query's hashes up in the reference index and counts,
+ * per track, how many agree on the same offset between query and track.
+ */
+
+const SAMPLE_RATE = 8000;
+
+const DEFAULTS = {
+  fftSize: 1024,
+  hopSize: 512,
+  // Bin ranges the peaks are picked from; low bands are narrower, like pitch
+  bands: [[1, 10], [10, 20], [20, 40], [40, 80], [80, 160], [160, 512]],
+  // Peaks quieter than this (about -48 dBFS) are noise or silence
+  minMagnitude: 1,
+  fanout: 5,
+  maxDelta: 63 // frames; hashes keep six bits for it
+};
+
+const FRAME_SECONDS = DEFAULTS.hopSize / SAMPLE_RATE;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Radix-2 FFT magnitudes of real frames of one size
+ */
+function createSpectrum(size) {
+  const bits = Math.log2(size);
+  if (!Number.isInteger(bits)) {
+    throw new Error('FFT size must be a power of two');
+  }
+
+  const reverse = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let reversed = 0;
+    for (let bit = 0; bit < bits; bit++) {
+      reversed = (reversed << 1) | ((i >> bit) & 1);
+    }
+    reverse[i] = reversed;
+  }
+
+  const window = new Float64Array(size);
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  }
+  for (let i = 0; i < size / 2; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / size);
+    sin[i] = -Math.sin((2 * Math.PI * i) / size);
+  }
+
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  const magnitudes = new Float64Array(size / 2 + 1);
+
+  return (samples, start) => {
+    for (let i = 0; i < size; i++) {
+      re[reverse[i]] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+
+    for (let length = 2; length <= size; length <<= 1) {
+      const half = length >> 1;
+      const step = size / length;
+      for (let offset = 0; offset < size; offset += length) {
+        for (let k = 0; k < half; k++) {
+          const a = offset + k;
+          const b = a + half;
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+
+    for (let i = 0; i <= size / 2; i++) {
+      magnitudes[i] = Math.sqrt(re[i] * re[i] + im[i] * im[i]);
+    }
+    return magnitudes;
+  };
+}
+
+/**
+ * f1 and f2 are bins below 512, dt frames below 64: 24 bits in all
+ */
+function hashPair(f1, f2, dt) {
+  return f1 * 32768 + f2 * 64 + dt;
+}
+
+/**
+ * Streaming fingerprinter: push() samples as they are decoded and get back
+ * the hashes whose anchors can no longer gain pairs; flush() at the end.
+ * Hashes are { hash, offset } with offset the anchor's frame, counted from
+ * the first sample pushed.
+ */
+class Fingerprinter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.spectrum = createSpectrum(this.options.fftSize);
+    this.pending = new Float32Array(0);
+    this.frame = 0;
+    this.peaks = [];
+  }
+
+  push(samples) {
+    const { fftSize, hopSize } = this.options;
+    const buffer = new Float32Array(this.pending.length + samples.length);
+    buffer.set(this.pending);
+    buffer.set(samples, this.pending.length);
+
+    let start = 0;
+    for (; start + fftSize <= buffer.length; start += hopSize) {
+      this.findPeaks(this.spectrum(buffer, start), this.frame);
+      this.frame++;
+    }
+    this.pending = buffer.slice(start);
+
+    return this.pairAnchors(this.frame - 1 - this.options.maxDelta);
+  }
+
+  flush() {
+    return this.pairAnchors(Infinity);
+  }
+
+  /**
+   * Seconds of audio pushed so far that made it into frames
+   */
+  get seconds() {
+    return round(this.frame * FRAME_SECONDS);
+  }
+
+  findPeaks(magnitudes, frame) {
+    const candidates = this.options.bands.map(([from, to]) => {
+      let bin = from;
+      for (let i = from + 1; i < to && i < magnitudes.length; i++) {
+        if (magnitudes[i] > magnitudes[bin]) {
+          bin = i;
+        }
+      }
+      return { bin, magnitude: magnitudes[bin] };
+    });
+
+    // Keep the bands that are louder than this frame's average band
+    const mean = candidates.reduce((total, peak) => total + peak.magnitude, 0) / candidates.length;
+    for (const peak of candidates) {
+      if (peak.magnitude >= this.options.minMagnitude && peak.magnitude >= mean) {
+        this.peaks.push({ frame, bin: peak.bin });
+      }
+    }
+  }
+
+  /**
+   * Hash the peaks up to the given frame with the peaks that follow them
+   */
+  pairAnchors(lastFrame) {
+    const { fanout, maxDelta } = this.options;
+    const hashes = [];
+    let anchor = 0;
+
+    for (; anchor < this.peaks.length && this.peaks[anchor].frame <= lastFrame; anchor++) {
+      const { frame, bin } = this.peaks[anchor];
+      let paired = 0;
+
+      for (let target = anchor + 1; target < this.peaks.length && paired < fanout; target++) {
+        const dt = this.peaks[target].frame - frame;
+        if (dt > maxDelta) {
+          break;
+        }
+        if (dt > 0) {
+          hashes.push({ hash: hashPair(bin, this.peaks[target].bin, dt), offset: frame });
+          paired++;
+        }
+      }
+    }
+
+    this.peaks = this.peaks.slice(anchor);
+    return hashes;
+  }
+}
+
+/**
+ * Signed 16-bit little-endian PCM to samples in [-1, 1)
+ */
+function decodePcm16(buffer) {
+  const samples = new Float32Array(Math.floor(buffer.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buffer.readInt16LE(i * 2) / 32768;
+  }
+  return samples;
+}
+
+function fingerprintSamples(samples, options = {}) {
+  const fingerprinter = new Fingerprinter(options);
+  return [...fingerprinter.push(samples), ...fingerprinter.flush()];
+}
+
+/**
+ * Score query hashes against index rows ({ trackId, hash, offset }) from
+ * the same hashes. A track matches when enough hashes agree on one offset
+ * (give or take a frame, for audio that does not start on a frame
+ * boundary). Confidence is the share of the query's hashes that agree.
+ *
+ * Returns matches, best first: { trackId, confidence, matchedHashes,
+ * start, end, trackStart, trackEnd }, times in seconds.
+ */
+function matchHashes(queryHashes, candidates, options = {}) {
+  const threshold = options.threshold ?? 0;
+  const minMatches = options.minMatches ?? 1;
+
+  // hash -> indexes of the query hashes with it
+  const queryIndexes = new Map();
+  queryHashes.forEach(({ hash }, index) => {
+    if (!queryIndexes.has(hash)) {
+      queryIndexes.set(hash, []);
+    }
+    queryIndexes.get(hash).push(index);
+  });
+
+  // trackId -> offset difference -> query hashes that agree on it
+  const histograms = new Map();
+  for (const { trackId, hash, offset } of candidates) {
+    const indexes = queryIndexes.get(hash);
+    if (!indexes) {
+      continue;
+    }
+    if (!histograms.has(trackId)) {
+      histograms.set(trackId, new Map());
+    }
+    const histogram = histograms.get(trackId);
+    for (const index of indexes) {
+      const delta = offset - queryHashes[index].offset;
+      if (!histogram.has(delta)) {
+        histogram.set(delta, []);
+      }
+      histogram.get(delta).push(index);
+    }
+  }
+
+  const matches = [];
+  for (const [trackId, histogram] of histograms) {
+    let best = null;
+    for (const delta of histogram.keys()) {
+      // A query hash counts once, however many index rows it agrees with
+      const agreeing = new Set([delta - 1, delta, delta + 1].flatMap(bin => histogram.get(bin) || []));
+      if (!best || agreeing.size > best.agreeing.size) {
+        best = { delta, agreeing };
+      }
+    }
+
+    const matchedHashes = best.agreeing.size;
+    const confidence = queryHashes.length > 0 ? matchedHashes / queryHashes.length : 0;
+    if (matchedHashes < minMatches || confidence < threshold) {
+      continue;
+    }
+
+    let first = Infinity;
+    let last = -Infinity;
+    for (const index of best.agreeing) {
+      first = Math.min(first, queryHashes[index].offset);
+      last = Math.max(last, queryHashes[index].offset);
+    }
+    const frameLength = DEFAULTS.fftSize / SAMPLE_RATE;
+    matches.push({
+      trackId,
+      confidence: round(confidence),
+      matchedHashes,
+      start: round(first * FRAME_SECONDS),
+      end: round(last * FRAME_SECONDS + frameLength),
+      trackStart: round(Math.max(0, (first + best.delta) * FRAME_SECONDS)),
+      trackEnd: round((last + best.delta) * FRAME_SECONDS + frameLength)
+    });
+  }
+
+  return matches.sort((a, b) => b.matchedHashes - a.matchedHashes);
+}
+
+/**
+ * Join matches of the same track that carry on from each other, e.g. from
+ * consecutive windows of a recording: the gap between them is small and
+ * the track position moved along with the query's.
+ */
+function mergeMatches(matches, maxGapSeconds = 5) {
+  const sorted = [...matches].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const match of sorted) {
+    const previous = merged.slice().reverse().find(candidate => candidate.trackId === match.trackId);
+    const continues = previous &&
+      match.start - previous.end <= maxGapSeconds &&
+      Math.abs((match.trackStart - match.start) - (previous.trackStart - previous.start)) <= 1;
+
+    if (continues) {
+      previous.end = Math.max(previous.end, match.end);
+      previous.trackEnd = Math.max(previous.trackEnd, match.trackEnd);
+      previous.matchedHashes += match.matchedHashes;
+      previous.confidence = Math.max(previous.confidence, match.confidence);
+    } else {
+      merged.push({ ...match });
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  FRAME_SECONDS,
+  Fingerprinter,
+  decodePcm16,
+  fingerprintSamples,
+  matchHashes,
+  mergeMatches
+};
@@ -1,14 +1,39 @@
 /**
  * Authentication Middleware for Streaming Server
+ *
+ * Routes declare who may call them with authorize(): a permission from the
+ * roles (SecurityManager.config.roles) and, for routes on one resource,
+ * that the caller owns it. Owners are looked up by resource type through
+ * lookups the server registers (registerOwnership).
+ *
+ * Tokens of a session that was signed out (they carry its sid) are
+ * refused, through the SessionStore the server wires in.
  */
 
 const jwt = require('jsonwebtoken');
-const mysql = require('mysql2/promise');
+const { ROLES, hasPermission } = require('../security/roles');
+
+// Where authorize may look for a resource ID
+const ID_SOURCES = ['params', 'query', 'body'];
 
 class AuthMiddleware {
   constructor(config) {
     this.config = config;
     this.jwtSecret = config.jwtSecret;
+
+    // Wired up by the server; validates keys through the shared pool and cache
+    this.streamManager = null;
+
+    // The server wires in SecurityManager.config.roles
+    this.roles = config.roles || ROLES;
+
+    // Wired up by the server (SecurityManager.sessions), to refuse tokens
+    // of signed-out sessions
+    this.sessions = null;
+
+    // resource -> { lookup: async (id) => owner's user ID or null when it
+    // does not exist, noun for messages }
+    this.ownership = new Map();
   }
 
   /**
@@ -21,34 +46,96 @@ class AuthMiddleware {
       return res.status(401).json({ error: 'No token provided' });
     }
 
+    const user = this.decodeToken(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    this.checkSession(user, (active, message) => {
+      if (!active) {
+        return res.status(401).json({ error: message });
+      }
+      req.user = user;
+      next();
+    });
+  }
+
+  /**
+   * Calls back with whether the token's session is still signed in, and
+   * the refusal message when it is not. Tokens without a session are let
+   * through; access tokens expire soon anyway. Tokens with one are refused
+   * when the lookup fails, as they could belong to a signed-out session.
+   */
+  checkSession(user, callback) {
+    if (!user.sid || !this.sessions) {
+      return callback(true);
+    }
+
+    this.sessions.isRevoked(user.sid).then(
+      revoked => callback(!revoked, 'Session has been signed out'),
+      error => {
+        console.error('Error checking session:', error);
+        callback(false, 'Could not check session, please try again');
+      }
+    );
+  }
+
+  /**
+   * Set req.user when a token is sent, for routes that are public but
+   * show more to signed-in callers
+   */
+  optionalToken(req, res, next) {
+    if (!req.headers.authorization) {
+      return next();
+    }
+    this.verifyToken(req, res, next);
+  }
+
+  /**
+   * User for a token sent over a socket, or null
+   */
+  verifySocketToken(token) {
+    return token ? this.decodeToken(String(token).replace('Bearer ', '')) : null;
+  }
+
+  /**
+   * User for a token whose session is still signed in, or null; for
+   * callers that identify users without refusing the request
+   */
+  verifyActiveToken(token) {
+    const user = this.verifySocketToken(token);
+    if (!user) {
+      return Promise.resolve(null);
+    }
+    return new Promise(resolve => this.checkSession(user, active => resolve(active ? user : null)));
+  }
+
+  decodeToken(token) {
     try {
       const decoded = jwt.verify(token, this.jwtSecret);
-      req.user = decoded;
-      next();
+      // Refresh tokens only buy new access tokens at /api/auth/refresh
+      if (decoded.type === 'refresh') {
+        return null;
+      }
+      // SecurityManager issues `userId`, older tokens carry `id`
+      return { ...decoded, id: decoded.id ?? decoded.userId };
     } catch (error) {
-      return res.status(401).json({ error: 'Invalid token' });
+      return null;
     }
   }
 
   /**
    * Verify stream key for RTMP authentication
+   *
+   * Resolves to { streamId, streamKey, keyId } or null; see
+   * StreamManager.validateStreamKey for the checks and context.
    */
-  async verifyStreamKey(streamKey) {
-    try {
-      const connection = await mysql.createConnection(this.config.mysqlConfig);
-      
-      const [rows] = await connection.execute(
-        'SELECT * FROM live_streams WHERE stream_key = ? AND status = "scheduled"',
-        [streamKey]
-      );
-      
-      await connection.end();
-      
-      return rows.length > 0 ? rows[0] : null;
-    } catch (error) {
-      console.error('Stream key verification error:', error);
+  async verifyStreamKey(streamKey, context = {}) {
+    if (!this.streamManager) {
+      console.error('Stream key verification error: no stream manager');
       return null;
     }
+    return this.streamManager.validateStreamKey(streamKey, context);
   }
 
   /**
@@ -76,18 +163,155 @@ class AuthMiddleware {
   }
 
   /**
-   * Stream owner or admin middleware
+   * Whether the user's role grants the permission, or any of a list
    */
-  streamOwnerOrAdmin(req, res, next) {
-    const streamId = req.params.streamId || req.params.id;
-    
-    // For development, allow all
-    if (this.config.environment === 'development') {
+  can(user, permission) {
+    return Boolean(user) && hasPermission(this.roles, user.role || 'user', permission);
+  }
+
+  registerOwnership(resource, lookup, noun = resource) {
+    this.ownership.set(resource, { lookup, noun });
+  }
+
+  /**
+   * Middleware for a route's access rule:
+   *
+   * permission - required permission, or a list of which any will do;
+   *              without one any signed-in user passes
+   * owner      - resource type the caller must own, e.g. 'stream'
+   * param      - name of its ID (default `${owner}Id`)
+   * in         - where the handler reads the ID: 'params' (default),
+   *              'query' or 'body'. The same name elsewhere in the
+   *              request with another value is refused, so the check
+   *              and the handler cannot be given different IDs
+   * optional   - a missing ID means the caller's own data, e.g. a userId
+   *              for someone else's dashboard; otherwise it is refused
+   * override   - permission that stands in for ownership; admins ('*')
+   *              always pass
+   * message    - error for callers without the permission
+   *
+   * Anonymous callers get 401, callers without the permission or not
+   * owning the resource 403, requests without the ID or with conflicting
+   * ones 400 and missing resources 404. The rule is kept on the
+   * middleware as `access` so it can be listed.
+   */
+  authorize(permission, options = {}) {
+    const { owner, param = owner && `${owner}Id`, in: source = 'params', optional = false, override, message } = options;
+    if (owner && !ID_SOURCES.includes(source)) {
+      throw new Error(`Unknown ID source for ${owner}: ${source}`);
+    }
+
+    const check = async (req, res, next) => {
+      if (permission && !this.can(req.user, permission)) {
+        return res.status(403).json({
+          error: message || 'Permission denied',
+          permission
+        });
+      }
+
+      if (!owner) {
+        return next();
+      }
+
+      try {
+        const { noun } = this.getOwnership(owner);
+        const title = `${noun.charAt(0).toUpperCase()}${noun.slice(1)}`;
+
+        const id = (req[source] || {})[param];
+        const conflicting = ID_SOURCES
+          .map(other => (req[other] || {})[param])
+          .some(value => value !== undefined && id !== undefined && String(value) !== String(id));
+        if (conflicting) {
+          return res.status(400).json({
+            error: `Conflicting ${noun} IDs`
+          });
+        }
+
+        if ((id === undefined && optional) || this.can(req.user, override || '*')) {
+          return next();
+        }
+
+        if (id === undefined || id === null || id === '') {
+          return res.status(400).json({
+            error: `${title} ID is required`
+          });
+        }
+
+        const ownerId = await this.getOwner(owner, id);
+        if (ownerId === null || ownerId === undefined) {
+          return res.status(404).json({
+            error: `${title} not found`
+          });
+        }
+
+        if (String(ownerId) !== String(req.user.id)) {
+          return res.status(403).json({
+            error: `You do not own this ${noun}`
+          });
+        }
+        next();
+      } catch (error) {
+        console.error(`Error checking ${owner} owner:`, error);
+        res.status(500).json({
+          error: `Failed to check ${owner} owner`,
+          message: error.message
+        });
+      }
+    };
+
+    check.access = {
+      permission: permission || null,
+      owner: owner || null,
+      param: param || null,
+      in: owner ? source : null,
+      optional,
+      override: override || null
+    };
+    return [(req, res, next) => this.verifyToken(req, res, next), check];
+  }
+
+  getOwnership(resource) {
+    const ownership = this.ownership.get(resource);
+    if (!ownership) {
+      throw new Error(`No ownership lookup for ${resource}`);
+    }
+    return ownership;
+  }
+
+  async getOwner(resource, id) {
+    return this.getOwnership(resource).lookup(id);
+  }
+
+  /**
+   * socket.io middleware: sockets may connect anonymously, as viewers, but
+   * a token that is sent (auth.token, or the Authorization header) must be
+   * valid. The user is kept on socket.user for the handlers.
+   */
+  authenticateSocket(socket, next) {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const token = auth.token || headers.authorization;
+
+    if (!token) {
+      socket.user = null;
       return next();
     }
-    
-    // TODO: Implement proper stream ownership check
-    next();
+
+    const user = this.verifySocketToken(token);
+    if (!user) {
+      const error = new Error('Invalid token');
+      error.data = { status: 401 };
+      return next(error);
+    }
+
+    this.checkSession(user, (active, message) => {
+      if (!active) {
+        const error = new Error(message);
+        error.data = { status: 401 };
+        return next(error);
+      }
+      socket.user = user;
+      next();
+    });
   }
 }
 
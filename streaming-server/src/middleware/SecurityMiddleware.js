@@ -0,0 +1,203 @@
+/**
+ * Security Middleware for Streaming Server
+ *
+ * Runs HTTP requests and socket.io handshakes through SecurityMonitor's
+ * checks, in order: rate limits, DDoS protection, intrusion detection,
+ * bot detection and geoblocking. Refused requests get 429 or 403, with
+ * Retry-After when the limit or block runs out. IPs that a check blocked
+ * are refused on every route.
+ *
+ * A policy says which checks apply. config.policy sets the default and
+ * config.routes overrides it for paths under a prefix (first match wins):
+ *
+ *   { path: '/playback', rateLimit: false, bot: false }
+ *   { path: '/api/chat', method: 'POST', rateLimit: { type: 'chat', window: 60, perIP: 30 } }
+ *   { path: '/api/admin/query', intrusion: { sql: true } }
+ *
+ * In dry-run mode (config.dryRun, or dryRun on a policy) the checks still
+ * count and log, but nothing is refused and no IP is blocked, so
+ * thresholds can be tuned against real traffic before they are enforced.
+ */
+
+const DEFAULT_POLICY = {
+  // Limit type from SecurityMonitor.config.rateLimiting, or
+  // { type, window, global, perIP, perUser }; false to skip
+  rateLimit: 'requests',
+  ddos: true,
+  // true, or { sql: true } to also match SQL injection patterns
+  intrusion: true,
+  bot: true,
+  geo: true
+};
+
+class SecurityMiddleware {
+  constructor(securityMonitor, logger, config = {}) {
+    this.monitor = securityMonitor;
+    this.logger = logger;
+
+    this.config = {
+      policy: { ...DEFAULT_POLICY, dryRun: Boolean(config.dryRun), ...config.policy },
+      // [{ path, method?, ...policy overrides }]
+      routes: config.routes || []
+    };
+
+    // Wired up by the server; identifies callers for per-user rate limits
+    this.authMiddleware = null;
+  }
+
+  /**
+   * The default policy with the first matching route's overrides
+   */
+  policyFor(method, path) {
+    const route = this.config.routes.find(candidate =>
+      (path === candidate.path || path.startsWith(`${candidate.path.replace(/\/$/, '')}/`)) &&
+      (!candidate.method || candidate.method.toUpperCase() === method.toUpperCase())
+    );
+    if (!route) {
+      return this.config.policy;
+    }
+
+    const overrides = { ...route };
+    delete overrides.path;
+    delete overrides.method;
+    return { ...this.config.policy, ...overrides };
+  }
+
+  /**
+   * Run a policy's checks; resolves to null or the refusal
+   * ({ status, message, retryAfter })
+   */
+  async inspect(req, policy) {
+    const options = { dryRun: policy.dryRun };
+
+    try {
+      // Blocks from any check hold whatever the route's policy
+      const clientIP = this.monitor.getClientIP(req);
+      if (await this.monitor.isIPBlocked(clientIP)) {
+        return {
+          status: 403,
+          message: 'IP address is blocked due to security violations',
+          retryAfter: await this.monitor.getRetryAfter(`blocked_ip:${clientIP}`)
+        };
+      }
+
+      if (policy.rateLimit) {
+        const limits = typeof policy.rateLimit === 'string' ? { type: policy.rateLimit } : policy.rateLimit;
+        const { type, ...overrides } = limits;
+        await this.monitor.checkRateLimit(req, type, { ...options, limits: overrides });
+      }
+
+      if (policy.ddos) {
+        await this.monitor.checkDDoSProtection(req, options);
+      }
+
+      if (policy.intrusion) {
+        await this.monitor.detectIntrusion(req, { ...options, sql: Boolean(policy.intrusion.sql) });
+      }
+
+      if (policy.bot) {
+        const { isBot } = await this.monitor.detectBot(req);
+        if (isBot) {
+          return { status: 403, message: 'Automated requests are not allowed', retryAfter: null };
+        }
+      }
+
+      if (policy.geo) {
+        await this.monitor.checkGeoBlocking(req);
+      }
+
+      return null;
+    } catch (error) {
+      if (!error.statusCode) {
+        // Redis or the database being down must not take the API with it
+        this.logger.error('Security checks failed, allowing request:', error);
+        return null;
+      }
+      return { status: error.statusCode, message: error.message, retryAfter: error.retryAfter };
+    }
+  }
+
+  /**
+   * Express middleware for every request
+   */
+  protect() {
+    return async (req, res, next) => {
+      if (!req.user && this.authMiddleware && req.headers.authorization) {
+        req.user = await this.authMiddleware.verifyActiveToken(req.headers.authorization) || undefined;
+      }
+
+      const policy = this.policyFor(req.method, req.path);
+      const refusal = await this.inspect(req, policy);
+
+      if (!refusal) {
+        return next();
+      }
+      if (policy.dryRun) {
+        this.logger.warn(`Security dry run: would refuse ${req.method} ${req.path} with ${refusal.status} (${refusal.message})`);
+        return next();
+      }
+
+      if (refusal.retryAfter) {
+        res.set('Retry-After', String(refusal.retryAfter));
+      }
+      res.status(refusal.status).json({
+        error: refusal.message,
+        retryAfter: refusal.retryAfter || undefined
+      });
+    };
+  }
+
+  /**
+   * socket.io middleware for handshakes; accepted sockets count towards
+   * their IP's concurrent connections until they disconnect
+   */
+  protectSocket() {
+    return async (socket, next) => {
+      const req = await this.handshakeRequest(socket);
+      const policy = this.policyFor(req.method, req.path);
+      const refusal = await this.inspect(req, policy);
+
+      if (refusal && policy.dryRun) {
+        this.logger.warn(`Security dry run: would refuse socket from ${this.monitor.getClientIP(req)} with ${refusal.status} (${refusal.message})`);
+      } else if (refusal) {
+        const error = new Error(refusal.message);
+        error.data = { status: refusal.status, retryAfter: refusal.retryAfter };
+        return next(error);
+      }
+
+      const ip = this.monitor.getClientIP(req);
+      try {
+        await this.monitor.trackConnection(ip);
+        socket.on('disconnect', () => {
+          this.monitor.releaseConnection(ip).catch(error => {
+            this.logger.error('Error releasing connection:', error);
+          });
+        });
+      } catch (error) {
+        this.logger.error('Error tracking connection:', error);
+      }
+      next();
+    };
+  }
+
+  /**
+   * The handshake in the shape the monitor's checks read from requests
+   */
+  async handshakeRequest(socket) {
+    const { headers = {}, query = {}, auth = {}, url = '/socket.io/', address } = socket.handshake;
+    const token = auth.token || headers.authorization;
+
+    return {
+      method: 'GET',
+      url,
+      path: url.split('?')[0],
+      headers,
+      query,
+      body: {},
+      ip: address,
+      user: token && this.authMiddleware ? await this.authMiddleware.verifyActiveToken(token) : null
+    };
+  }
+}
+
+module.exports = SecurityMiddleware;
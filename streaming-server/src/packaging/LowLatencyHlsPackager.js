@@ -0,0 +1,333 @@
+/**
+ * LowLatencyHlsPackager - LL-HLS playlists over CMAF segments
+ *
+ * ffmpeg's DASH muxer writes chunked CMAF segments (one moof/mdat pair per
+ * fragment) and the DASH manifest. This packager follows the segment files
+ * as they grow and publishes each fragment as an LL-HLS partial segment, so
+ * HLS and DASH players read the same bytes.
+ *
+ * Playlists:
+ * - Parts are byte ranges of their segment, with a preload hint for the next
+ * - Parts are listed for the last few segments only
+ * - Requests with _HLS_msn/_HLS_part block until that part exists
+ *   (waitFor), as required for CAN-BLOCK-RELOAD
+ * - Preload hint requests block until the hinted part is written
+ *   (waitForRange)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { readBoxes, readTimescale, readFragment } = require('./fmp4');
+const { createHttpError } = require('../utils/errors');
+
+// Segments at the end of a playlist that still list their parts
+const PART_SEGMENTS = 3;
+
+const segmentName = (id, number) => `chunk-${id}-${String(number).padStart(5, '0')}.m4s`;
+const initName = id => `init-${id}.m4s`;
+const round = value => Math.round(value * 1000) / 1000;
+
+class LowLatencyHlsPackager {
+  /**
+   * renditions: [{ id, name, type: 'video' | 'audio', bandwidth, resolution, fps }]
+   * where id is the DASH representation id
+   */
+  constructor(outputDir, renditions, logger, options = {}) {
+    this.outputDir = outputDir;
+    this.logger = logger;
+    this.options = {
+      segmentDuration: 2,
+      partDuration: 0.5,
+      windowSize: 10,
+      pollInterval: 50,
+      startNumber: 1,
+      ...options
+    };
+
+    this.renditions = new Map(renditions.map(rendition => [rendition.name, {
+      ...rendition,
+      timescale: null,
+      segments: [], // completed: { number, duration, parts, independent }
+      current: { number: this.options.startNumber, offset: 0, parts: [] }
+    }]));
+
+    this.waiters = new Set();
+    this.timer = null;
+    this.scanning = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.scan().catch(error => this.logger.error('Error scanning CMAF segments:', error));
+    }, this.options.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    for (const waiter of this.waiters) {
+      waiter.resolve(false);
+    }
+    this.waiters.clear();
+  }
+
+  /**
+   * Pick up fragments written since the last scan
+   */
+  async scan() {
+    if (this.scanning) {
+      return;
+    }
+
+    this.scanning = true;
+    try {
+      for (const rendition of this.renditions.values()) {
+        await this.scanRendition(rendition);
+      }
+      this.notifyWaiters();
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  async scanRendition(rendition) {
+    if (!rendition.timescale) {
+      const init = await this.readFile(initName(rendition.id));
+      rendition.timescale = init && readTimescale(init);
+      if (!rendition.timescale) {
+        return;
+      }
+    }
+
+    // Read the current segment, then move on while later segments exist
+    for (;;) {
+      const current = rendition.current;
+      const data = await this.readFile(segmentName(rendition.id, current.number), current.offset);
+      if (!data) {
+        return;
+      }
+
+      this.readParts(rendition, data);
+
+      if (!await this.exists(segmentName(rendition.id, current.number + 1))) {
+        return;
+      }
+
+      // ffmpeg has moved on, so the current segment is complete
+      rendition.segments.push({
+        number: current.number,
+        duration: current.parts.reduce((total, part) => total + part.duration, 0),
+        parts: current.parts
+      });
+      if (rendition.segments.length > this.options.windowSize) {
+        rendition.segments.shift();
+      }
+      rendition.current = { number: current.number + 1, offset: 0, parts: [] };
+    }
+  }
+
+  /**
+   * Each complete moof/mdat pair in data (read from the current offset) is a part
+   */
+  readParts(rendition, data) {
+    const current = rendition.current;
+    const base = current.offset;
+    let moof = null;
+
+    for (const box of readBoxes(data)) {
+      if (box.type === 'moof') {
+        moof = box;
+      } else if (box.type === 'mdat' && moof) {
+        const fragment = readFragment(data, moof);
+        current.parts.push({
+          offset: base + moof.start,
+          length: box.end - moof.start,
+          duration: fragment ? fragment.duration / rendition.timescale : 0,
+          independent: rendition.type === 'audio' || Boolean(fragment && fragment.independent)
+        });
+        current.offset = base + box.end;
+        moof = null;
+      } else if (!moof) {
+        // styp and other boxes ahead of the first fragment
+        current.offset = base + box.end;
+      }
+    }
+  }
+
+  /**
+   * File contents from offset on, or null when it does not exist yet
+   */
+  async readFile(name, offset = 0) {
+    let handle;
+    try {
+      handle = await fs.open(path.join(this.outputDir, name), 'r');
+      const { size } = await handle.stat();
+      const buffer = Buffer.alloc(Math.max(0, size - offset));
+      await handle.read(buffer, 0, buffer.length, offset);
+      return buffer;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    } finally {
+      await handle?.close();
+    }
+  }
+
+  async exists(name) {
+    try {
+      await fs.access(path.join(this.outputDir, name));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getRendition(name) {
+    const rendition = this.renditions.get(name);
+    if (!rendition) {
+      throw createHttpError('Rendition not found', 404);
+    }
+    return rendition;
+  }
+
+  /**
+   * Whether a playlist would contain part `part` of segment `msn` (or the
+   * whole segment when no part is given)
+   */
+  hasReached(rendition, msn, part) {
+    const last = rendition.segments[rendition.segments.length - 1];
+    if (last && last.number >= msn) {
+      return true;
+    }
+    if (part === undefined) {
+      return false;
+    }
+    return rendition.current.number > msn ||
+      (rendition.current.number === msn && rendition.current.parts.length > part);
+  }
+
+  /**
+   * Resolve once the rendition reaches msn/part; false on timeout
+   */
+  waitFor(name, msn, part, timeout = this.options.segmentDuration * 3000) {
+    const rendition = this.getRendition(name);
+
+    // Spec: requests more than two segments ahead are rejected
+    if (msn > rendition.current.number + 2) {
+      return Promise.reject(createHttpError('Media sequence number is too far ahead', 400));
+    }
+    if (this.hasReached(rendition, msn, part)) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const waiter = { rendition, msn, part, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters.delete(waiter);
+        resolve(false);
+      }, timeout);
+      waiter.timer.unref();
+      this.waiters.add(waiter);
+    });
+  }
+
+  /**
+   * Block a preload hint request (a range starting at the end of the part
+   * being written) until that part is complete
+   */
+  waitForRange(file, start, timeout) {
+    const match = /^chunk-(\d+)-(\d+)\.m4s$/.exec(file);
+    const rendition = match && [...this.renditions.values()]
+      .find(candidate => String(candidate.id) === match[1]);
+    if (!rendition) {
+      return Promise.resolve(true);
+    }
+
+    const number = parseInt(match[2]);
+    const current = rendition.current;
+    if (number !== current.number || start < current.offset) {
+      return Promise.resolve(true);
+    }
+    return this.waitFor(rendition.name, number, current.parts.length, timeout);
+  }
+
+  notifyWaiters() {
+    for (const waiter of this.waiters) {
+      if (this.hasReached(waiter.rendition, waiter.msn, waiter.part)) {
+        clearTimeout(waiter.timer);
+        this.waiters.delete(waiter);
+        waiter.resolve(true);
+      }
+    }
+  }
+
+  getMasterPlaylist() {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:9', '#EXT-X-INDEPENDENT-SEGMENTS', ''];
+    const renditions = [...this.renditions.values()];
+    const audio = renditions.find(rendition => rendition.type === 'audio');
+
+    if (audio) {
+      lines.push(`#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="${audio.name}",DEFAULT=YES,AUTOSELECT=YES,URI="${audio.name}.m3u8"`, '');
+    }
+
+    for (const rendition of renditions.filter(candidate => candidate.type === 'video')) {
+      const bandwidth = rendition.bandwidth + (audio ? audio.bandwidth : 0);
+      const attributes = [
+        `BANDWIDTH=${bandwidth}`,
+        `RESOLUTION=${rendition.resolution}`,
+        `FRAME-RATE=${rendition.fps}`
+      ];
+      if (audio) {
+        attributes.push('AUDIO="audio"');
+      }
+      lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, `${rendition.name}.m3u8`, '');
+    }
+
+    return lines.join('\n');
+  }
+
+  getMediaPlaylist(name) {
+    const rendition = this.getRendition(name);
+    const { segmentDuration, partDuration } = this.options;
+    const segments = rendition.segments;
+    const firstNumber = segments.length > 0 ? segments[0].number : rendition.current.number;
+    const targetDuration = Math.ceil(Math.max(segmentDuration, ...segments.map(segment => segment.duration)));
+    const partTarget = round(Math.max(partDuration, ...segments.flatMap(segment => segment.parts.map(part => part.duration))));
+
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:9',
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      `#EXT-X-PART-INF:PART-TARGET=${partTarget}`,
+      `#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=${round(partTarget * 3)},HOLD-BACK=${targetDuration * 3}`,
+      `#EXT-X-MEDIA-SEQUENCE:${firstNumber}`,
+      `#EXT-X-MAP:URI="${initName(rendition.id)}"`
+    ];
+
+    const partLines = (number, parts) => parts.map(part => {
+      const independent = part.independent ? ',INDEPENDENT=YES' : '';
+      return `#EXT-X-PART:DURATION=${round(part.duration)},URI="${segmentName(rendition.id, number)}",BYTERANGE="${part.length}@${part.offset}"${independent}`;
+    });
+
+    segments.forEach((segment, index) => {
+      if (index >= segments.length - (PART_SEGMENTS - 1)) {
+        lines.push(...partLines(segment.number, segment.parts));
+      }
+      lines.push(`#EXTINF:${round(segment.duration)},`, segmentName(rendition.id, segment.number));
+    });
+
+    const current = rendition.current;
+    lines.push(...partLines(current.number, current.parts));
+    lines.push(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="${segmentName(rendition.id, current.number)}",BYTERANGE-START=${current.offset}`);
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+LowLatencyHlsPackager.segmentName = segmentName;
+
+module.exports = LowLatencyHlsPackager;
@@ -0,0 +1,162 @@
+/**
+ * Minimal fragmented MP4 (ISO BMFF) reading for CMAF packaging
+ *
+ * Only what the LL-HLS packager needs: top-level box boundaries, the media
+ * timescale from an init segment, and the duration and sync flag of each
+ * moof fragment.
+ */
+
+// trun / tfhd flags (ISO/IEC 14496-12)
+const TFHD_BASE_DATA_OFFSET = 0x1;
+const TFHD_SAMPLE_DESCRIPTION_INDEX = 0x2;
+const TFHD_DEFAULT_SAMPLE_DURATION = 0x8;
+const TFHD_DEFAULT_SAMPLE_SIZE = 0x10;
+const TFHD_DEFAULT_SAMPLE_FLAGS = 0x20;
+
+const TRUN_DATA_OFFSET = 0x1;
+const TRUN_FIRST_SAMPLE_FLAGS = 0x4;
+const TRUN_SAMPLE_DURATION = 0x100;
+const TRUN_SAMPLE_SIZE = 0x200;
+const TRUN_SAMPLE_FLAGS = 0x400;
+const TRUN_SAMPLE_COMPOSITION_OFFSET = 0x800;
+
+// sample_is_non_sync_sample bit of sample flags
+const NON_SYNC_SAMPLE = 0x10000;
+
+/**
+ * Complete boxes between start and end; a trailing partial box is left out
+ */
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) {
+        break;
+      }
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    }
+
+    // size 0 (runs to end of file) never ends while the file is still growing
+    if (size < headerSize || offset + size > end) {
+      break;
+    }
+
+    boxes.push({ type, start: offset, end: offset + size, contentStart: offset + headerSize });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+function findBox(buffer, parent, type) {
+  return readBoxes(buffer, parent.contentStart, parent.end).find(box => box.type === type) || null;
+}
+
+function findPath(buffer, parent, types) {
+  return types.reduce((box, type) => box && findBox(buffer, box, type), parent);
+}
+
+/**
+ * Media timescale from an init segment (moov/trak/mdia/mdhd)
+ */
+function readTimescale(buffer) {
+  const moov = readBoxes(buffer).find(box => box.type === 'moov');
+  const mdhd = moov && findPath(buffer, moov, ['trak', 'mdia', 'mdhd']);
+  if (!mdhd) {
+    return null;
+  }
+
+  const version = buffer.readUInt8(mdhd.contentStart);
+  // version, flags, then creation and modification times
+  const offset = mdhd.contentStart + 4 + (version === 1 ? 16 : 8);
+  return buffer.readUInt32BE(offset);
+}
+
+/**
+ * Duration in timescale ticks and whether a moof fragment starts on a sync sample
+ */
+function readFragment(buffer, moof) {
+  const traf = findBox(buffer, moof, 'traf');
+  const tfhd = traf && findBox(buffer, traf, 'tfhd');
+  const trun = traf && findBox(buffer, traf, 'trun');
+  if (!tfhd || !trun) {
+    return null;
+  }
+
+  // tfhd defaults
+  const tfhdFlags = buffer.readUInt32BE(tfhd.contentStart) & 0xffffff;
+  let offset = tfhd.contentStart + 8; // version/flags, track_ID
+  if (tfhdFlags & TFHD_BASE_DATA_OFFSET) {
+    offset += 8;
+  }
+  if (tfhdFlags & TFHD_SAMPLE_DESCRIPTION_INDEX) {
+    offset += 4;
+  }
+  let defaultDuration = 0;
+  if (tfhdFlags & TFHD_DEFAULT_SAMPLE_DURATION) {
+    defaultDuration = buffer.readUInt32BE(offset);
+    offset += 4;
+  }
+  if (tfhdFlags & TFHD_DEFAULT_SAMPLE_SIZE) {
+    offset += 4;
+  }
+  let defaultFlags = null;
+  if (tfhdFlags & TFHD_DEFAULT_SAMPLE_FLAGS) {
+    defaultFlags = buffer.readUInt32BE(offset);
+  }
+
+  // trun samples
+  const trunFlags = buffer.readUInt32BE(trun.contentStart) & 0xffffff;
+  const sampleCount = buffer.readUInt32BE(trun.contentStart + 4);
+  offset = trun.contentStart + 8;
+  if (trunFlags & TRUN_DATA_OFFSET) {
+    offset += 4;
+  }
+  let firstFlags = null;
+  if (trunFlags & TRUN_FIRST_SAMPLE_FLAGS) {
+    firstFlags = buffer.readUInt32BE(offset);
+    offset += 4;
+  }
+
+  let duration = 0;
+  for (let i = 0; i < sampleCount; i++) {
+    if (trunFlags & TRUN_SAMPLE_DURATION) {
+      duration += buffer.readUInt32BE(offset);
+      offset += 4;
+    } else {
+      duration += defaultDuration;
+    }
+    if (trunFlags & TRUN_SAMPLE_SIZE) {
+      offset += 4;
+    }
+    if (trunFlags & TRUN_SAMPLE_FLAGS) {
+      if (i === 0 && firstFlags === null) {
+        firstFlags = buffer.readUInt32BE(offset);
+      }
+      offset += 4;
+    }
+    if (trunFlags & TRUN_SAMPLE_COMPOSITION_OFFSET) {
+      offset += 4;
+    }
+  }
+
+  const flags = firstFlags ?? defaultFlags;
+  return {
+    duration,
+    sampleCount,
+    independent: flags === null ? null : (flags & NON_SYNC_SAMPLE) === 0
+  };
+}
+
+module.exports = {
+  readBoxes,
+  readTimescale,
+  readFragment
+};
@@ -0,0 +1,173 @@
+/**
+ * FakeGateway - In-process payment gateway for tests and local development
+ *
+ * Behaviour is driven by the payment method, mirroring Stripe test cards:
+ * - pm_card_visa, pm_card_mastercard: succeed
+ * - pm_card_chargeDeclined: generic decline
+ * - pm_card_chargeDeclinedInsufficientFunds: insufficient funds
+ * - pm_card_authenticationRequired, pm_card_threeDSecure2Required: 3-D Secure
+ *   required; call completeAuthentication(paymentId) to simulate the customer
+ *   passing the challenge (or failAuthentication to fail it)
+ * - acct_* payout destinations succeed, anything else is rejected
+ *
+ * Idempotency keys replay the original result; reusing a key with different
+ * parameters throws, as Stripe does.
+ */
+
+const crypto = require('crypto');
+const PaymentGateway = require('./PaymentGateway');
+
+const DECLINES = {
+  pm_card_chargeDeclined: { declineCode: 'generic_decline', message: 'Your card was declined.' },
+  pm_card_chargeDeclinedInsufficientFunds: { declineCode: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+  pm_card_chargeDeclinedExpiredCard: { declineCode: 'expired_card', message: 'Your card has expired.' }
+};
+
+const AUTHENTICATION_REQUIRED = ['pm_card_authenticationRequired', 'pm_card_threeDSecure2Required'];
+
+class FakeGateway extends PaymentGateway {
+  constructor(config = {}, logger = null) {
+    super('fake', config, logger);
+
+    this.payments = new Map();
+    this.refunds = new Map();
+    this.payouts = new Map();
+    this.idempotencyKeys = new Map();
+  }
+
+  async createPayment(params) {
+    return this.idempotent(params.idempotencyKey, params, () => {
+      const id = `pi_fake_${crypto.randomBytes(8).toString('hex')}`;
+      const payment = {
+        id,
+        amount: Number(params.amount),
+        currency: params.currency.toUpperCase(),
+        paymentMethodId: params.paymentMethodId,
+        metadata: params.metadata || {},
+        refunded: 0,
+        status: 'succeeded',
+        failureCode: null,
+        declineCode: null,
+        failureMessage: null
+      };
+
+      if (!params.paymentMethodId) {
+        payment.status = 'failed';
+        payment.failureCode = 'payment_method_required';
+        payment.failureMessage = 'A payment method is required.';
+      } else if (DECLINES[params.paymentMethodId]) {
+        payment.status = 'failed';
+        payment.failureCode = 'card_declined';
+        payment.declineCode = DECLINES[params.paymentMethodId].declineCode;
+        payment.failureMessage = DECLINES[params.paymentMethodId].message;
+      } else if (AUTHENTICATION_REQUIRED.includes(params.paymentMethodId)) {
+        payment.status = 'requires_action';
+      }
+
+      this.payments.set(id, payment);
+      return this.toResult(payment);
+    });
+  }
+
+  async retrievePayment(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      throw new Error(`No such payment: ${paymentId}`);
+    }
+    return this.toResult(payment);
+  }
+
+  /**
+   * Simulate the customer completing the 3-D Secure challenge
+   */
+  completeAuthentication(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (payment && payment.status === 'requires_action') {
+      payment.status = 'succeeded';
+    }
+  }
+
+  failAuthentication(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (payment && payment.status === 'requires_action') {
+      payment.status = 'failed';
+      payment.failureCode = 'payment_intent_authentication_failure';
+      payment.failureMessage = 'The customer failed 3-D Secure authentication.';
+    }
+  }
+
+  async refundPayment(paymentId, params = {}) {
+    return this.idempotent(params.idempotencyKey, { paymentId, ...params }, () => {
+      const payment = this.payments.get(paymentId);
+      const amount = params.amount !== undefined ? Number(params.amount) : payment?.amount - payment?.refunded;
+
+      if (!payment || payment.status !== 'succeeded') {
+        return { id: null, paymentId, status: 'failed', failureCode: 'charge_not_refundable', failureMessage: 'Payment cannot be refunded.' };
+      }
+      if (amount <= 0 || payment.refunded + amount > payment.amount) {
+        return { id: null, paymentId, status: 'failed', failureCode: 'amount_too_large', failureMessage: 'Refund exceeds the remaining amount.' };
+      }
+
+      const id = `re_fake_${crypto.randomBytes(8).toString('hex')}`;
+      payment.refunded += amount;
+      const refund = { id, paymentId, status: 'succeeded', amount, currency: payment.currency };
+      this.refunds.set(id, refund);
+      return { ...refund };
+    });
+  }
+
+  async createPayout(params) {
+    return this.idempotent(params.idempotencyKey, params, () => {
+      if (!String(params.destination || '').startsWith('acct_')) {
+        return { id: null, status: 'failed', failureCode: 'invalid_destination', failureMessage: 'Payout destination is not a connected account.' };
+      }
+
+      const id = `tr_fake_${crypto.randomBytes(8).toString('hex')}`;
+      const payout = { id, status: 'succeeded', amount: Number(params.amount), currency: params.currency.toUpperCase() };
+      this.payouts.set(id, payout);
+      return { ...payout };
+    });
+  }
+
+  /**
+   * Replay stored results for a repeated idempotency key
+   */
+  idempotent(key, params, operation) {
+    if (!key) {
+      return operation();
+    }
+
+    const { idempotencyKey, ...request } = params;
+    const fingerprint = JSON.stringify(request);
+    const stored = this.idempotencyKeys.get(key);
+
+    if (stored) {
+      if (stored.fingerprint !== fingerprint) {
+        const error = new Error(`Idempotency key ${key} was already used with different parameters`);
+        error.code = 'idempotency_key_reused';
+        throw error;
+      }
+      return { ...stored.result };
+    }
+
+    const result = operation();
+    this.idempotencyKeys.set(key, { fingerprint, result: { ...result } });
+    return result;
+  }
+
+  toResult(payment) {
+    return {
+      id: payment.id,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      clientSecret: payment.status === 'requires_action' ? `${payment.id}_secret_fake` : null,
+      nextAction: payment.status === 'requires_action' ? 'use_stripe_sdk' : null,
+      failureCode: payment.failureCode,
+      declineCode: payment.declineCode,
+      failureMessage: payment.failureMessage
+    };
+  }
+}
+
+module.exports = FakeGateway;
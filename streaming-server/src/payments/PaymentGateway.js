@@ -0,0 +1,61 @@
+/**
+ * PaymentGateway - Base class for payment processor adapters
+ *
+ * Gateways implement:
+ * - createPayment(params) -> PaymentResult
+ * - retrievePayment(paymentId) -> PaymentResult
+ * - refundPayment(paymentId, params) -> RefundResult
+ * - createPayout(params) -> PayoutResult
+ *
+ * PaymentResult: { id, status, amount, currency, clientSecret, nextAction,
+ *                  failureCode, declineCode, failureMessage }
+ * status is one of 'succeeded', 'requires_action', 'processing' or 'failed'.
+ * Declines are reported as results, not thrown; thrown errors mean the
+ * gateway could not be reached or rejected the request itself.
+ */
+
+// Currencies without minor units (amounts are sent as-is)
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+class PaymentGateway {
+  constructor(name, config, logger) {
+    this.name = name;
+    this.config = config || {};
+    this.logger = logger;
+  }
+
+  async createPayment(params) {
+    throw new Error(`${this.name} payment gateway does not implement createPayment`);
+  }
+
+  async retrievePayment(paymentId) {
+    throw new Error(`${this.name} payment gateway does not implement retrievePayment`);
+  }
+
+  async refundPayment(paymentId, params = {}) {
+    throw new Error(`${this.name} payment gateway does not implement refundPayment`);
+  }
+
+  async createPayout(params) {
+    throw new Error(`${this.name} payment gateway does not implement createPayout`);
+  }
+
+  /**
+   * Convert a decimal amount into the currency's smallest unit
+   */
+  toMinorUnits(amount, currency) {
+    if (ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase())) {
+      return Math.round(Number(amount));
+    }
+    return Math.round(Number(amount) * 100);
+  }
+
+  fromMinorUnits(amount, currency) {
+    if (ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase())) {
+      return amount;
+    }
+    return amount / 100;
+  }
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,192 @@
+/**
+ * StripeGateway - Stripe PaymentIntents, Refunds and Connect transfers
+ *
+ * Payments are confirmed immediately with the saved payment method. Cards
+ * that need 3-D Secure come back as 'requires_action' with a client secret
+ * the web client hands to Stripe.js; the payment is then re-read with
+ * retrievePayment once the customer has authenticated.
+ */
+
+const PaymentGateway = require('./PaymentGateway');
+
+class StripeGateway extends PaymentGateway {
+  constructor(config, logger) {
+    super('stripe', config, logger);
+
+    this.client = config.client || null;
+
+    if (!this.client && config.secretKey) {
+      const Stripe = require('stripe');
+      this.client = new Stripe(config.secretKey, {
+        apiVersion: config.apiVersion,
+        maxNetworkRetries: config.maxNetworkRetries ?? 2
+      });
+    }
+
+    if (!this.client) {
+      this.logger.warn('Stripe secret key not configured, payments will fail');
+    }
+  }
+
+  getClient() {
+    if (!this.client) {
+      throw new Error('Stripe is not configured');
+    }
+    return this.client;
+  }
+
+  async createPayment(params) {
+    const stripe = this.getClient();
+
+    try {
+      const intent = await stripe.paymentIntents.create({
+        amount: this.toMinorUnits(params.amount, params.currency),
+        currency: params.currency.toLowerCase(),
+        payment_method: params.paymentMethodId,
+        customer: params.customerId || undefined,
+        description: params.description,
+        metadata: params.metadata || {},
+        confirm: true,
+        return_url: params.returnUrl || this.config.returnUrl || undefined,
+        automatic_payment_methods: params.returnUrl || this.config.returnUrl
+          ? undefined
+          : { enabled: true, allow_redirects: 'never' }
+      }, {
+        idempotencyKey: params.idempotencyKey
+      });
+
+      return this.mapPaymentIntent(intent);
+    } catch (error) {
+      return this.handleStripeError(error);
+    }
+  }
+
+  async retrievePayment(paymentId) {
+    const intent = await this.getClient().paymentIntents.retrieve(paymentId);
+    return this.mapPaymentIntent(intent);
+  }
+
+  async refundPayment(paymentId, params = {}) {
+    const stripe = this.getClient();
+
+    try {
+      const refund = await stripe.refunds.create({
+        payment_intent: paymentId,
+        amount: params.amount !== undefined ? this.toMinorUnits(params.amount, params.currency || 'usd') : undefined,
+        reason: params.reason,
+        metadata: params.metadata || {}
+      }, {
+        idempotencyKey: params.idempotencyKey
+      });
+
+      return {
+        id: refund.id,
+        paymentId,
+        status: refund.status === 'succeeded' ? 'succeeded' : (refund.status === 'failed' ? 'failed' : 'pending'),
+        amount: this.fromMinorUnits(refund.amount, refund.currency),
+        currency: refund.currency.toUpperCase(),
+        failureMessage: refund.failure_reason || null
+      };
+    } catch (error) {
+      if (error.type === 'StripeInvalidRequestError') {
+        return {
+          id: null,
+          paymentId,
+          status: 'failed',
+          failureCode: error.code || 'invalid_request',
+          failureMessage: error.message
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Pay a creator through a Stripe Connect transfer
+   */
+  async createPayout(params) {
+    const stripe = this.getClient();
+
+    try {
+      const transfer = await stripe.transfers.create({
+        amount: this.toMinorUnits(params.amount, params.currency),
+        currency: params.currency.toLowerCase(),
+        destination: params.destination,
+        metadata: params.metadata || {}
+      }, {
+        idempotencyKey: params.idempotencyKey
+      });
+
+      return {
+        id: transfer.id,
+        status: 'succeeded',
+        amount: this.fromMinorUnits(transfer.amount, transfer.currency),
+        currency: transfer.currency.toUpperCase()
+      };
+    } catch (error) {
+      if (error.type === 'StripeInvalidRequestError') {
+        return {
+          id: null,
+          status: 'failed',
+          failureCode: error.code || 'invalid_request',
+          failureMessage: error.message
+        };
+      }
+      throw error;
+    }
+  }
+
+  mapPaymentIntent(intent) {
+    const statusMap = {
+      succeeded: 'succeeded',
+      requires_action: 'requires_action',
+      requires_confirmation: 'requires_action',
+      processing: 'processing',
+      requires_capture: 'processing',
+      requires_payment_method: 'failed',
+      canceled: 'failed'
+    };
+    const lastError = intent.last_payment_error || {};
+
+    return {
+      id: intent.id,
+      status: statusMap[intent.status] || 'failed',
+      amount: this.fromMinorUnits(intent.amount, intent.currency),
+      currency: intent.currency.toUpperCase(),
+      clientSecret: intent.status === 'requires_action' ? intent.client_secret : null,
+      nextAction: intent.next_action ? intent.next_action.type : null,
+      failureCode: lastError.code || (intent.status === 'canceled' ? 'payment_canceled' : null),
+      declineCode: lastError.decline_code || null,
+      failureMessage: lastError.message || null
+    };
+  }
+
+  /**
+   * Card errors are declines, everything else is a gateway failure
+   */
+  handleStripeError(error) {
+    if (error.type === 'StripeCardError') {
+      const intent = error.payment_intent || error.raw?.payment_intent;
+
+      return {
+        id: intent ? intent.id : null,
+        status: 'failed',
+        amount: intent ? this.fromMinorUnits(intent.amount, intent.currency) : null,
+        currency: intent ? intent.currency.toUpperCase() : null,
+        clientSecret: null,
+        nextAction: null,
+        failureCode: error.code || 'card_declined',
+        declineCode: error.decline_code || null,
+        failureMessage: error.message
+      };
+    }
+
+    if (error.type === 'StripeIdempotencyError') {
+      this.logger.error(`Stripe idempotency key reused with different parameters: ${error.message}`);
+    }
+
+    throw error;
+  }
+}
+
+module.exports = StripeGateway;
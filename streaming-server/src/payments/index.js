@@ -0,0 +1,50 @@
+/**
+ * Payment gateway factory
+ *
+ * Gateways:
+ * - stripe: Stripe PaymentIntents and Connect transfers
+ * - fake: in-process gateway driven by Stripe-style test payment methods
+ */
+
+const PaymentGateway = require('./PaymentGateway');
+const StripeGateway = require('./StripeGateway');
+const FakeGateway = require('./FakeGateway');
+
+const gateways = {
+  stripe: (logger, overrides) => new StripeGateway({
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    apiVersion: process.env.STRIPE_API_VERSION || undefined,
+    returnUrl: process.env.STRIPE_RETURN_URL || null,
+    ...overrides
+  }, logger),
+
+  fake: (logger, overrides) => new FakeGateway(overrides, logger)
+};
+
+function createPaymentGateway(name, logger, overrides = {}) {
+  const factory = gateways[name];
+  if (!factory) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return factory(logger, overrides);
+}
+
+/**
+ * Build the error thrown to callers when a payment does not succeed
+ */
+function createPaymentError(result, fallbackMessage = 'Payment processing failed') {
+  const error = new Error(result.failureMessage || fallbackMessage);
+  error.code = result.failureCode || 'payment_failed';
+  error.declineCode = result.declineCode || null;
+  error.paymentId = result.id || null;
+  error.statusCode = 402;
+  return error;
+}
+
+module.exports = {
+  createPaymentGateway,
+  createPaymentError,
+  PaymentGateway,
+  StripeGateway,
+  FakeGateway
+};
@@ -0,0 +1,543 @@
+/**
+ * RecordingJobQueue - Durable queue for recording post-processing
+ *
+ * Jobs live in recording_jobs, so they survive restarts and every replica
+ * works from the same queue:
+ * - Workers claim jobs by priority, then age, up to `concurrency` at once
+ * - A claim is a lease the worker keeps renewing; jobs whose worker died
+ *   are claimed again once the lease runs out
+ * - Each step's result is saved as a checkpoint, so a retried or resumed
+ *   job starts at the step that failed
+ * - Failed jobs are retried with exponential backoff up to maxAttempts
+ *
+ * Job types are registered as ordered steps:
+ *   queue.register('process', [{ name, run: async (job, context) => result }])
+ * where context.results holds the results of earlier steps and
+ * context.progress(fraction) reports progress within the step.
+ *
+ * Events: 'progress' (every status or progress change), 'completed',
+ * 'retrying' and 'failed' (out of attempts), each with the job.
+ */
+
+const EventEmitter = require('events');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { createHttpError } = require('../utils/errors');
+
+const PRIORITIES = { low: 0, normal: 5, high: 10 };
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+class RecordingJobQueue extends EventEmitter {
+  constructor(dbPool, logger, options = {}) {
+    super();
+    this.db = dbPool;
+    this.logger = logger;
+
+    // Lease holder name; the server uses the cluster node id
+    this.nodeId = options.nodeId || `${os.hostname()}-${process.pid}`;
+
+    this.config = {
+      concurrency: parseInt(process.env.RECORDING_JOB_CONCURRENCY) || 1,
+      maxAttempts: parseInt(process.env.RECORDING_JOB_MAX_ATTEMPTS) || 3,
+      pollInterval: 5000,
+      leaseDuration: 60 * 1000,
+      retryBaseDelay: 30 * 1000,
+      retryMaxDelay: 30 * 60 * 1000,
+      ...options.config
+    };
+
+    // Job type -> ordered steps
+    this.handlers = new Map();
+
+    // Jobs running on this replica (job id -> promise)
+    this.running = new Map();
+
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  register(type, steps) {
+    this.handlers.set(type, steps);
+  }
+
+  /**
+   * Queue a job; a recording has at most one unfinished job per type,
+   * which is returned (with its priority raised if asked) instead
+   */
+  async enqueue(type, recordingId, options = {}) {
+    try {
+      if (!this.handlers.has(type)) {
+        throw createHttpError(`Unknown job type: ${type}`);
+      }
+      const priority = this.parsePriority(options.priority);
+
+      const [existing] = await this.db.execute(
+        'SELECT * FROM recording_jobs WHERE recording_id = ? AND type = ? AND status IN (?, ?)',
+        [recordingId, type, 'queued', 'running']
+      );
+      if (existing.length > 0) {
+        const job = this.parseJob(existing[0]);
+        if (job.status === 'queued' && PRIORITIES[job.priority] < priority) {
+          return this.updatePriority(job.id, options.priority);
+        }
+        return job;
+      }
+
+      const now = new Date();
+      const job = {
+        id: uuidv4(),
+        type,
+        recordingId,
+        status: 'queued',
+        priority,
+        payload: options.payload || {},
+        attempts: 0,
+        maxAttempts: options.maxAttempts || this.config.maxAttempts,
+        createdBy: options.createdBy || null
+      };
+
+      await this.db.execute(`
+        INSERT INTO recording_jobs (
+          id, recording_id, type, status, priority, payload, attempts, max_attempts,
+          progress, run_at, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        job.id,
+        recordingId,
+        type,
+        job.status,
+        priority,
+        JSON.stringify(job.payload),
+        0,
+        job.maxAttempts,
+        0,
+        now,
+        job.createdBy,
+        now,
+        now
+      ]);
+
+      this.logger.info(`Queued ${type} job ${job.id} for recording ${recordingId}`);
+      this.schedulePoll();
+
+      return this.getJob(job.id);
+    } catch (error) {
+      this.logger.error('Error queueing recording job:', error);
+      throw error;
+    }
+  }
+
+  async getJob(jobId) {
+    const [rows] = await this.db.execute(`
+      SELECT j.*, s.user_id
+      FROM recording_jobs j
+      JOIN stream_recordings r ON r.id = j.recording_id
+      JOIN live_streams s ON s.id = r.stream_id
+      WHERE j.id = ?
+    `, [jobId]);
+    return rows[0] ? this.parseJob(rows[0]) : null;
+  }
+
+  /**
+   * Jobs, newest first; with ownerId, only jobs for that user's recordings
+   */
+  async listJobs(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      conditions.push('j.status = ?');
+      params.push(filters.status);
+    }
+    if (filters.recordingId) {
+      conditions.push('j.recording_id = ?');
+      params.push(filters.recordingId);
+    }
+    if (filters.ownerId !== undefined && filters.ownerId !== null) {
+      conditions.push('s.user_id = ?');
+      params.push(filters.ownerId);
+    }
+
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const [rows] = await this.db.execute(`
+      SELECT j.*, s.user_id
+      FROM recording_jobs j
+      JOIN stream_recordings r ON r.id = j.recording_id
+      JOIN live_streams s ON s.id = r.stream_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY j.created_at DESC
+      LIMIT ${limit}
+    `, params);
+
+    return rows.map(row => this.parseJob(row));
+  }
+
+  /**
+   * Queue a failed or cancelled job again; it resumes from its checkpoint
+   */
+  async retryJob(jobId) {
+    const [result] = await this.db.execute(`
+      UPDATE recording_jobs
+      SET status = ?, attempts = 0, run_at = ?, error_message = NULL, completed_at = NULL, updated_at = NOW()
+      WHERE id = ? AND status IN (?, ?)
+    `, ['queued', new Date(), jobId, 'failed', 'cancelled']);
+
+    if (result.affectedRows === 0) {
+      throw await this.notInStatus(jobId, 'Only failed or cancelled jobs can be retried');
+    }
+
+    const job = await this.getJob(jobId);
+    this.emit('progress', job);
+    this.schedulePoll();
+    return job;
+  }
+
+  /**
+   * Cancel a job that has not started
+   */
+  async cancelJob(jobId) {
+    const [result] = await this.db.execute(
+      'UPDATE recording_jobs SET status = ?, updated_at = NOW() WHERE id = ? AND status = ?',
+      ['cancelled', jobId, 'queued']
+    );
+
+    if (result.affectedRows === 0) {
+      throw await this.notInStatus(jobId, 'Only queued jobs can be cancelled');
+    }
+
+    const job = await this.getJob(jobId);
+    this.emit('progress', job);
+    return job;
+  }
+
+  async updatePriority(jobId, priority) {
+    const [result] = await this.db.execute(
+      'UPDATE recording_jobs SET priority = ?, updated_at = NOW() WHERE id = ? AND status = ?',
+      [this.parsePriority(priority), jobId, 'queued']
+    );
+
+    if (result.affectedRows === 0) {
+      throw await this.notInStatus(jobId, 'Only queued jobs can be reprioritized');
+    }
+    return this.getJob(jobId);
+  }
+
+  async notInStatus(jobId, message) {
+    const job = await this.getJob(jobId);
+    return job ? createHttpError(message, 409) : createHttpError('Job not found', 404);
+  }
+
+  /**
+   * Start claiming jobs, including any left running by a crashed worker
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+    this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+    this.pollTimer.unref();
+    this.schedulePoll();
+  }
+
+  /**
+   * Stop claiming jobs. Steps already running finish on their own; if the
+   * process exits first, their leases run out and they resume elsewhere.
+   */
+  close() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  schedulePoll() {
+    if (this.pollTimer) {
+      setImmediate(() => this.poll());
+    }
+  }
+
+  /**
+   * Claim as many due jobs as there are free workers
+   */
+  async poll(now = Date.now()) {
+    if (this.polling) {
+      return [];
+    }
+    this.polling = true;
+
+    try {
+      const free = this.config.concurrency - this.running.size;
+      if (free <= 0) {
+        return [];
+      }
+
+      const due = new Date(now);
+      const [candidates] = await this.db.execute(`
+        SELECT id FROM recording_jobs
+        WHERE (status = ? AND run_at <= ?) OR (status = ? AND locked_until < ?)
+        ORDER BY priority DESC, created_at
+        LIMIT ${free + this.running.size}
+      `, ['queued', due, 'running', due]);
+
+      const started = [];
+      for (const { id } of candidates) {
+        if (started.length >= free) {
+          break;
+        }
+        if (this.running.has(id)) {
+          continue;
+        }
+
+        const job = await this.claim(id, now);
+        if (job) {
+          started.push(job);
+          const run = this.runJob(job)
+            .catch(error => this.logger.error(`Error running recording job ${job.id}:`, error))
+            .finally(() => {
+              this.running.delete(job.id);
+              this.schedulePoll();
+            });
+          this.running.set(job.id, run);
+        }
+      }
+      return started;
+    } catch (error) {
+      this.logger.error('Error polling recording jobs:', error);
+      return [];
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Take the lease on a job; another replica may get there first
+   */
+  async claim(jobId, now) {
+    const due = new Date(now);
+
+    // A worker died during the last attempt: fail the job instead of
+    // running it again
+    const [expired] = await this.db.execute(`
+      UPDATE recording_jobs
+      SET status = ?, error_message = ?, locked_by = NULL, locked_until = NULL,
+          completed_at = ?, updated_at = NOW()
+      WHERE id = ? AND status = ? AND locked_until < ? AND attempts >= max_attempts
+    `, ['failed', 'Worker stopped during the last attempt', due, jobId, 'running', due]);
+
+    if (expired.affectedRows === 1) {
+      const job = await this.getJob(jobId);
+      this.logger.error(`Recording job ${jobId} failed after ${job.attempts} attempts: worker lease expired`);
+      this.emit('progress', { ...job });
+      this.emit('failed', job);
+      return null;
+    }
+
+    const [result] = await this.db.execute(`
+      UPDATE recording_jobs
+      SET status = ?, locked_by = ?, locked_until = ?, attempts = attempts + 1,
+          started_at = COALESCE(started_at, ?), updated_at = NOW()
+      WHERE id = ? AND ((status = ? AND run_at <= ?)
+        OR (status = ? AND locked_until < ? AND attempts < max_attempts))
+    `, [
+      'running',
+      this.nodeId,
+      new Date(now + this.config.leaseDuration),
+      due,
+      jobId,
+      'queued',
+      due,
+      'running',
+      due
+    ]);
+
+    return result.affectedRows === 1 ? this.getJob(jobId) : null;
+  }
+
+  async runJob(job) {
+    const steps = this.handlers.get(job.type) || [];
+    const results = { ...job.checkpoint };
+
+    const renewLease = setInterval(() => {
+      this.db.execute(
+        'UPDATE recording_jobs SET locked_until = ? WHERE id = ? AND locked_by = ?',
+        [new Date(Date.now() + this.config.leaseDuration), job.id, this.nodeId]
+      ).catch(error => this.logger.error(`Error renewing lease on job ${job.id}:`, error));
+    }, Math.floor(this.config.leaseDuration / 3));
+    renewLease.unref();
+
+    if (Object.keys(results).length > 0) {
+      this.logger.info(`Resuming recording job ${job.id} after ${Object.keys(results).join(', ')}`);
+    }
+
+    try {
+      for (let index = 0; index < steps.length; index++) {
+        const step = steps[index];
+        if (step.name in results) {
+          continue;
+        }
+
+        const report = (fraction) => {
+          job.currentStep = step.name;
+          job.progress = Math.round(((index + Math.min(Math.max(fraction, 0), 1)) / steps.length) * 100);
+          this.emit('progress', { ...job });
+        };
+        report(0);
+
+        const result = await step.run(job, { results, progress: report });
+        results[step.name] = result === undefined ? null : result;
+
+        job.progress = Math.round(((index + 1) / steps.length) * 100);
+        await this.saveCheckpoint(job, results, step.name);
+      }
+
+      if (await this.finish(job, 'completed')) {
+        this.emit('completed', job);
+      }
+    } catch (error) {
+      if (error.leaseLost) {
+        this.warnLeaseLost(job);
+        return;
+      }
+      await this.handleFailure(job, error);
+    } finally {
+      clearInterval(renewLease);
+    }
+  }
+
+  async saveCheckpoint(job, results, stepName) {
+    const [result] = await this.db.execute(`
+      UPDATE recording_jobs
+      SET checkpoint = ?, current_step = ?, progress = ?, updated_at = NOW()
+      WHERE id = ? AND locked_by = ?
+    `, [JSON.stringify(results), stepName, job.progress, job.id, this.nodeId]);
+
+    if (result.affectedRows === 0) {
+      const error = new Error('Lease lost');
+      error.leaseLost = true;
+      throw error;
+    }
+
+    job.checkpoint = results;
+    job.currentStep = stepName;
+  }
+
+  /**
+   * Record the outcome; false when another worker holds the job now
+   */
+  async finish(job, status, errorMessage = null) {
+    const [result] = await this.db.execute(`
+      UPDATE recording_jobs
+      SET status = ?, progress = ?, error_message = ?, locked_by = NULL, locked_until = NULL,
+          completed_at = ?, updated_at = NOW()
+      WHERE id = ? AND locked_by = ?
+    `, [status, status === 'completed' ? 100 : job.progress || 0, errorMessage, new Date(), job.id, this.nodeId]);
+
+    if (result.affectedRows === 0) {
+      this.warnLeaseLost(job);
+      return false;
+    }
+
+    job.status = status;
+    job.error = errorMessage;
+    if (status === 'completed') {
+      job.progress = 100;
+    }
+    this.emit('progress', { ...job });
+    return true;
+  }
+
+  warnLeaseLost(job) {
+    this.logger.warn(`Recording job ${job.id} was taken over by another worker`);
+  }
+
+  /**
+   * Retry with backoff, or give up once out of attempts
+   */
+  async handleFailure(job, error) {
+    if (job.attempts >= job.maxAttempts) {
+      this.logger.error(`Recording job ${job.id} failed after ${job.attempts} attempts:`, error);
+      if (await this.finish(job, 'failed', error.message)) {
+        this.emit('failed', job);
+      }
+      return;
+    }
+
+    const delay = Math.min(this.config.retryBaseDelay * 2 ** (job.attempts - 1), this.config.retryMaxDelay);
+    const runAt = new Date(Date.now() + delay);
+
+    const [result] = await this.db.execute(`
+      UPDATE recording_jobs
+      SET status = ?, run_at = ?, error_message = ?, locked_by = NULL, locked_until = NULL, updated_at = NOW()
+      WHERE id = ? AND locked_by = ?
+    `, ['queued', runAt, error.message, job.id, this.nodeId]);
+
+    if (result.affectedRows === 0) {
+      this.warnLeaseLost(job);
+      return;
+    }
+
+    this.logger.warn(`Recording job ${job.id} failed at ${job.currentStep} (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}ms:`, error.message);
+
+    Object.assign(job, { status: 'queued', runAt, error: error.message });
+    this.emit('progress', { ...job });
+    this.emit('retrying', job);
+  }
+
+  /**
+   * Public representation: step names instead of their results, no
+   * payload (local paths) or lease holder
+   */
+  serializeJob(job) {
+    const { payload, checkpoint, lockedBy, ...rest } = job;
+    return {
+      ...rest,
+      completedSteps: Object.keys(checkpoint || {})
+    };
+  }
+
+  parsePriority(priority = 'normal') {
+    if (!(priority in PRIORITIES)) {
+      throw createHttpError(`Priority must be one of: ${Object.keys(PRIORITIES).join(', ')}`);
+    }
+    return PRIORITIES[priority];
+  }
+
+  parseJob(row) {
+    const parseJson = (value) => {
+      if (!value) {
+        return {};
+      }
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    };
+    const priority = Object.keys(PRIORITIES).find(name => PRIORITIES[name] === row.priority)
+      || (row.priority > PRIORITIES.normal ? 'high' : 'low');
+
+    return {
+      id: row.id,
+      type: row.type,
+      recordingId: row.recording_id,
+      ownerId: row.user_id ?? null,
+      status: row.status,
+      priority,
+      payload: parseJson(row.payload),
+      checkpoint: parseJson(row.checkpoint),
+      currentStep: row.current_step || null,
+      progress: row.progress || 0,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      runAt: row.run_at,
+      lockedBy: row.locked_by || null,
+      error: row.error_message || null,
+      createdBy: row.created_by || null,
+      createdAt: row.created_at,
+      startedAt: row.started_at || null,
+      completedAt: row.completed_at || null
+    };
+  }
+}
+
+RecordingJobQueue.PRIORITIES = PRIORITIES;
+RecordingJobQueue.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = RecordingJobQueue;
@@ -0,0 +1,187 @@
+/**
+ * Edit plans - turn a recording's edit decision list into what to render
+ *
+ * Edits (times in seconds of the original recording):
+ * - marker { time, label }  - starts a chapter with that title
+ * - split  { time }         - starts a new, untitled part
+ * - trim   { start, end }   - removes the range from the rendition
+ *
+ * A plan lists the source segments to keep, in order, and the chapters on
+ * the rendered timeline, where trimmed time no longer counts.
+ */
+
+// Segments and chapters shorter than this are dropped
+const MIN_LENGTH = 0.1;
+
+// Markers and splits this close together start a single chapter
+const CHAPTER_MERGE_WINDOW = 0.5;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Merge overlapping trims, clamped to the recording
+ */
+function mergeTrims(trims, duration) {
+  const ranges = trims
+    .map(trim => [Math.max(0, trim.start), Math.min(duration, trim.end)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Build the render plan for a recording of the given duration
+ */
+function buildEditPlan(edits, duration) {
+  const trims = mergeTrims(edits.filter(edit => edit.type === 'trim'), duration);
+
+  // Kept ranges between the trims
+  const kept = [];
+  let cursor = 0;
+  for (const [start, end] of trims) {
+    kept.push([cursor, start]);
+    cursor = end;
+  }
+  kept.push([cursor, duration]);
+
+  // Splits cut kept ranges into separate segments
+  const splitTimes = edits.filter(edit => edit.type === 'split').map(edit => edit.time);
+  const segments = [];
+  for (const [start, end] of kept) {
+    const cuts = splitTimes.filter(time => time > start && time < end).sort((a, b) => a - b);
+    let from = start;
+    for (const cut of [...cuts, end]) {
+      if (cut - from >= MIN_LENGTH) {
+        segments.push({ start: round(from), end: round(cut) });
+      }
+      from = cut;
+    }
+  }
+
+  // Where a source time lands on the rendered timeline; null when trimmed
+  const toOutputTime = (time) => {
+    let offset = 0;
+    for (const segment of segments) {
+      if (time >= segment.start && time <= segment.end) {
+        return offset + (time - segment.start);
+      }
+      offset += segment.end - segment.start;
+    }
+    return null;
+  };
+
+  const outputDuration = round(segments.reduce((total, segment) => total + segment.end - segment.start, 0));
+
+  const starts = [{ time: 0, title: null }];
+  for (const edit of edits) {
+    if (edit.type !== 'marker' && edit.type !== 'split') {
+      continue;
+    }
+    const time = toOutputTime(edit.time);
+    if (time !== null) {
+      starts.push({ time, title: edit.type === 'marker' ? edit.label || null : null });
+    }
+  }
+  starts.sort((a, b) => a.time - b.time);
+
+  // A marker next to a split (or the start) names that chapter
+  const boundaries = [];
+  for (const start of starts) {
+    const last = boundaries[boundaries.length - 1];
+    if (last && start.time - last.time < CHAPTER_MERGE_WINDOW) {
+      last.title = last.title || start.title;
+    } else {
+      boundaries.push({ ...start });
+    }
+  }
+
+  const chapters = boundaries
+    .map((boundary, index) => ({
+      start: round(boundary.time),
+      end: round(index + 1 < boundaries.length ? boundaries[index + 1].time : outputDuration),
+      title: boundary.title || (index === 0 ? 'Start' : `Part ${index + 1}`)
+    }))
+    .filter(chapter => chapter.end - chapter.start >= MIN_LENGTH);
+
+  return {
+    duration: outputDuration,
+    removed: round(duration - outputDuration),
+    segments,
+    chapters
+  };
+}
+
+/**
+ * FFMETADATA file embedding chapters in the rendered file
+ */
+function buildChapterMetadata(chapters, title) {
+  const escape = value => String(value).replace(/([=;#\\\n])/g, '\\$1');
+  const lines = [';FFMETADATA1'];
+
+  if (title) {
+    lines.push(`title=${escape(title)}`);
+  }
+
+  for (const chapter of chapters) {
+    lines.push(
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${escape(chapter.title)}`
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * WebVTT chapters track for players
+ */
+function buildChapterVtt(chapters) {
+  const cues = chapters.map((chapter, index) =>
+    `${index + 1}\n${formatVttTime(chapter.start)} --> ${formatVttTime(chapter.end)}\n${chapter.title}`);
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+/**
+ * ffmpeg filter graph that keeps the segments and joins them
+ */
+function buildSegmentFilter(segments) {
+  const filters = [];
+  const inputs = [];
+
+  segments.forEach((segment, index) => {
+    filters.push(`[0:v]trim=start=${segment.start}:end=${segment.end},setpts=PTS-STARTPTS[v${index}]`);
+    filters.push(`[0:a]atrim=start=${segment.start}:end=${segment.end},asetpts=PTS-STARTPTS[a${index}]`);
+    inputs.push(`[v${index}][a${index}]`);
+  });
+  filters.push(`${inputs.join('')}concat=n=${segments.length}:v=1:a=1[outv][outa]`);
+
+  return filters.join(';');
+}
+
+module.exports = {
+  buildEditPlan,
+  buildChapterMetadata,
+  buildChapterVtt,
+  buildSegmentFilter,
+  formatVttTime
+};
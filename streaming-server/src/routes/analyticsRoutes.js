@@ -1,13 +1,17 @@
 /**
  * Analytics Routes
+ *
+ * A stream's analytics are its owner's; the dashboard needs the analytics
+ * permission and events a signed-in user.
  */
 
 const express = require('express');
-const router = express.Router();
 
-module.exports = (analyticsCollector) => {
+module.exports = (analyticsCollector, authMiddleware) => {
+  const router = express.Router();
+
   // Get stream analytics
-  router.get('/stream/:streamId', async (req, res) => {
+  router.get('/stream/:streamId', authMiddleware.authorize('create_stream', { owner: 'stream' }), async (req, res) => {
     try {
       const { streamId } = req.params;
       
@@ -29,7 +33,7 @@ module.exports = (analyticsCollector) => {
   });
 
   // Get dashboard analytics
-  router.get('/dashboard', async (req, res) => {
+  router.get('/dashboard', authMiddleware.authorize('analytics'), async (req, res) => {
     try {
       res.json({
         success: true,
@@ -48,7 +52,7 @@ module.exports = (analyticsCollector) => {
   });
 
   // Record analytics event
-  router.post('/event', async (req, res) => {
+  router.post('/event', authMiddleware.authorize('view_content'), async (req, res) => {
     try {
       const { streamId, event, data } = req.body;
       
@@ -0,0 +1,486 @@
+/**
+ * Authentication API Routes
+ *
+ * Endpoints:
+ * GET    /api/auth/providers                  - Social login providers (public)
+ * POST   /api/auth/oauth/:provider/start      - Start signing in with a provider (public)
+ * POST   /api/auth/oauth/:provider/callback   - Finish signing in (public) or linking (the user who started it)
+ * POST   /api/auth/mfa                        - Second factor for a login that asked for it (public)
+ * POST   /api/auth/refresh                    - Trade a refresh token for new tokens (public)
+ * POST   /api/auth/logout                     - Sign out the caller's session
+ * GET    /api/auth/sessions                   - The caller's signed-in devices
+ * DELETE /api/auth/sessions                   - Sign out every other device
+ * DELETE /api/auth/sessions/:sessionId        - Sign out one device
+ * POST   /api/auth/passkeys/login/options     - Passkey sign-in challenge (public)
+ * POST   /api/auth/passkeys/login             - Sign in with a passkey (public)
+ * GET    /api/auth/passkeys                   - The caller's passkeys
+ * POST   /api/auth/passkeys/options           - Passkey registration challenge
+ * POST   /api/auth/passkeys                   - Register a passkey
+ * DELETE /api/auth/passkeys/:credentialId     - Revoke a passkey
+ * GET    /api/auth/identities                 - The caller's linked providers
+ * POST   /api/auth/identities/confirm         - Link the provider from a login whose email matched this account
+ * POST   /api/auth/identities/:provider       - Start linking a provider
+ * DELETE /api/auth/identities/:provider       - Unlink a provider
+ *
+ * The callback is called with the code and state the provider sent back
+ * to the frontend's redirect URL. It answers with tokens, or requiresMFA
+ * and an mfaToken for /mfa, or requiresLink and a linkToken for the owner
+ * of the account with that email to confirm once signed in.
+ *
+ * Passkey options are for navigator.credentials.create() and .get(), with
+ * binary fields base64url-encoded; credentials are sent back as
+ * PublicKeyCredential.toJSON() returns them.
+ *
+ * Refresh tokens are single use: /refresh answers with the next one, and
+ * sending one that was already used signs its session out.
+ */
+
+const express = require('express');
+const { body, param, oneOf, validationResult } = require('express-validator');
+
+module.exports = (securityManager, authMiddleware) => {
+  const router = express.Router();
+
+  const signedIn = authMiddleware.authorize();
+
+  // Validation middleware
+  const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  };
+
+  // Social login, passkey and session errors carry their own status (400, 401, 403, 404, 409, 429, 502)
+  const sendError = (res, error, message, fallbackStatus = 500) => {
+    res.status(error.statusCode || fallbackStatus).json({
+      error: message,
+      message: error.message
+    });
+  };
+
+  const providerParam = param('provider').matches(/^[a-z0-9_-]{1,50}$/).withMessage('Invalid provider');
+  const credentialBody = body('credential').isObject().withMessage('Passkey credential is required');
+
+  /**
+   * GET /api/auth/providers - Social login providers
+   */
+  router.get('/providers', (req, res) => {
+    res.json({
+      success: true,
+      data: securityManager.getSocialProviders()
+    });
+  });
+
+  /**
+   * POST /api/auth/oauth/:provider/start - URL to send the browser to
+   */
+  router.post('/oauth/:provider/start',
+    [providerParam],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { url, state } = await securityManager.beginSocialLogin(req.params.provider);
+
+        res.json({
+          success: true,
+          data: { url, state }
+        });
+      } catch (error) {
+        console.error('Error starting social login:', error);
+        sendError(res, error, 'Failed to start sign-in');
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/oauth/:provider/callback - Finish signing in or linking
+   */
+  router.post('/oauth/:provider/callback',
+    (req, res, next) => authMiddleware.optionalToken(req, res, next),
+    [
+      providerParam,
+      body('code').isString().isLength({ min: 1, max: 2048 }).withMessage('Authorization code is required'),
+      body('state').isString().isLength({ min: 1, max: 256 }).withMessage('State is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await securityManager.completeSocialLogin(
+          req.params.provider,
+          { code: req.body.code, state: req.body.state, userId: req.user ? req.user.id : null },
+          req.ip,
+          req.get('User-Agent')
+        );
+
+        res.json(result);
+      } catch (error) {
+        console.error('Error completing social login:', error);
+        sendError(res, error, 'Sign-in failed');
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/mfa - Trade an mfaToken and a TOTP or backup code, or a
+   * passkey credential, for tokens
+   */
+  router.post('/mfa',
+    [
+      body('mfaToken').isString().isLength({ min: 1, max: 256 }).withMessage('MFA token is required'),
+      oneOf([
+        body('code').isString().isLength({ min: 6, max: 16 }),
+        credentialBody
+      ], { message: 'A code or a passkey credential is required' })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await securityManager.completeMFAChallenge(
+          req.body.mfaToken,
+          req.body.credential || req.body.code,
+          req.ip,
+          req.get('User-Agent')
+        );
+
+        res.json(result);
+      } catch (error) {
+        console.error('Error verifying MFA:', error);
+        sendError(res, error, 'Verification failed', 401);
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/refresh - Rotate the refresh token and issue an access token
+   */
+  router.post('/refresh',
+    [
+      body('refreshToken').isString().isLength({ min: 1, max: 2048 }).withMessage('Refresh token is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const tokens = await securityManager.refreshAccessToken(req.body.refreshToken, req.ip);
+
+        res.json({
+          success: true,
+          tokens
+        });
+      } catch (error) {
+        console.error('Error refreshing token:', error);
+        sendError(res, error, 'Failed to refresh token', 401);
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/logout - Sign out the session of the caller's token
+   */
+  router.post('/logout',
+    signedIn,
+    async (req, res) => {
+      try {
+        if (!req.user.sid) {
+          return res.status(400).json({ error: 'This token is not tied to a session' });
+        }
+
+        await securityManager.signOutSession(req.user.id, req.user.sid, req.user.sid, req.ip);
+
+        res.json({
+          success: true,
+          message: 'Signed out'
+        });
+      } catch (error) {
+        console.error('Error signing out:', error);
+        sendError(res, error, 'Failed to sign out');
+      }
+    }
+  );
+
+  /**
+   * GET /api/auth/sessions - Signed-in devices
+   */
+  router.get('/sessions',
+    signedIn,
+    async (req, res) => {
+      try {
+        const sessions = await securityManager.listSessions(req.user.id, req.user.sid);
+
+        res.json({
+          success: true,
+          data: sessions
+        });
+      } catch (error) {
+        console.error('Error listing sessions:', error);
+        sendError(res, error, 'Failed to list sessions');
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/auth/sessions - Sign out everywhere but here
+   */
+  router.delete('/sessions',
+    signedIn,
+    async (req, res) => {
+      try {
+        const count = await securityManager.signOutOtherSessions(req.user.id, req.user.sid, req.ip);
+
+        res.json({
+          success: true,
+          data: { signedOut: count },
+          message: `Signed out ${count} other ${count === 1 ? 'session' : 'sessions'}`
+        });
+      } catch (error) {
+        console.error('Error signing out other sessions:', error);
+        sendError(res, error, 'Failed to sign out other sessions');
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/auth/sessions/:sessionId - Sign out one device
+   */
+  router.delete('/sessions/:sessionId',
+    signedIn,
+    [param('sessionId').isUUID().withMessage('Invalid session ID')],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await securityManager.signOutSession(req.user.id, req.params.sessionId, req.user.sid, req.ip);
+
+        res.json({
+          success: true,
+          message: 'Session signed out'
+        });
+      } catch (error) {
+        console.error('Error signing out session:', error);
+        sendError(res, error, 'Failed to sign out session');
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/passkeys/login/options - Challenge for any of the
+   * browser's passkeys for this site
+   */
+  router.post('/passkeys/login/options', async (req, res) => {
+    try {
+      const options = await securityManager.beginPasskeyLogin();
+
+      res.json({
+        success: true,
+        data: options
+      });
+    } catch (error) {
+      console.error('Error starting passkey login:', error);
+      sendError(res, error, 'Failed to start passkey sign-in');
+    }
+  });
+
+  /**
+   * POST /api/auth/passkeys/login - Sign in with the signed challenge
+   */
+  router.post('/passkeys/login',
+    [credentialBody],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await securityManager.completePasskeyLogin(
+          req.body.credential,
+          req.ip,
+          req.get('User-Agent')
+        );
+
+        res.json(result);
+      } catch (error) {
+        console.error('Error completing passkey login:', error);
+        sendError(res, error, 'Passkey sign-in failed', 401);
+      }
+    }
+  );
+
+  /**
+   * GET /api/auth/passkeys - Registered passkeys
+   */
+  router.get('/passkeys',
+    signedIn,
+    async (req, res) => {
+      try {
+        const passkeys = await securityManager.listPasskeys(req.user.id);
+
+        res.json({
+          success: true,
+          data: passkeys
+        });
+      } catch (error) {
+        console.error('Error listing passkeys:', error);
+        sendError(res, error, 'Failed to list passkeys');
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/passkeys/options - Challenge for a new passkey
+   */
+  router.post('/passkeys/options',
+    signedIn,
+    async (req, res) => {
+      try {
+        const options = await securityManager.beginPasskeyRegistration(req.user.id);
+
+        res.json({
+          success: true,
+          data: options
+        });
+      } catch (error) {
+        console.error('Error starting passkey registration:', error);
+        sendError(res, error, 'Failed to start passkey registration');
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/passkeys - Register the passkey created for the challenge
+   */
+  router.post('/passkeys',
+    signedIn,
+    [
+      credentialBody,
+      body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const passkey = await securityManager.finishPasskeyRegistration(req.user.id, req.body.credential, req.body.name);
+
+        res.status(201).json({
+          success: true,
+          data: passkey,
+          message: 'Passkey added'
+        });
+      } catch (error) {
+        console.error('Error registering passkey:', error);
+        sendError(res, error, 'Failed to add passkey');
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/auth/passkeys/:credentialId - Revoke a passkey
+   */
+  router.delete('/passkeys/:credentialId',
+    signedIn,
+    [param('credentialId').isUUID().withMessage('Invalid passkey ID')],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await securityManager.revokePasskey(req.user.id, req.params.credentialId);
+
+        res.json({
+          success: true,
+          message: 'Passkey revoked'
+        });
+      } catch (error) {
+        console.error('Error revoking passkey:', error);
+        sendError(res, error, 'Failed to revoke passkey');
+      }
+    }
+  );
+
+  /**
+   * GET /api/auth/identities - Linked providers
+   */
+  router.get('/identities',
+    signedIn,
+    async (req, res) => {
+      try {
+        const identities = await securityManager.getLinkedAccounts(req.user.id);
+
+        res.json({
+          success: true,
+          data: identities
+        });
+      } catch (error) {
+        console.error('Error listing linked accounts:', error);
+        sendError(res, error, 'Failed to list linked accounts');
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/identities/confirm - Link after an email collision
+   */
+  router.post('/identities/confirm',
+    signedIn,
+    [
+      body('linkToken').isString().isLength({ min: 1, max: 256 }).withMessage('Link token is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const identity = await securityManager.confirmSocialLink(req.user.id, req.body.linkToken);
+
+        res.status(201).json({
+          success: true,
+          data: identity,
+          message: 'Account linked'
+        });
+      } catch (error) {
+        console.error('Error confirming account link:', error);
+        sendError(res, error, 'Failed to link account');
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/identities/:provider - Start linking; finishes at the callback
+   */
+  router.post('/identities/:provider',
+    signedIn,
+    [providerParam],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { url, state } = await securityManager.beginSocialLogin(req.params.provider, req.user.id);
+
+        res.json({
+          success: true,
+          data: { url, state }
+        });
+      } catch (error) {
+        console.error('Error starting account link:', error);
+        sendError(res, error, 'Failed to start linking');
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/auth/identities/:provider - Unlink a provider
+   */
+  router.delete('/identities/:provider',
+    signedIn,
+    [providerParam],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await securityManager.unlinkSocialAccount(req.user.id, req.params.provider);
+
+        res.json({
+          success: true,
+          message: 'Account unlinked'
+        });
+      } catch (error) {
+        console.error('Error unlinking account:', error);
+        sendError(res, error, 'Failed to unlink account');
+      }
+    }
+  );
+
+  return router;
+};
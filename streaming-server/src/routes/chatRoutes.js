@@ -1,35 +1,121 @@
 /**
  * Chat Routes
+ *
+ * Endpoints:
+ * GET    /api/chat/history/:streamId        - Chat history, paged with ?before=<cursor>
+ * GET    /api/chat/settings/:streamId       - Chat settings
+ * PUT    /api/chat/settings/:streamId       - Update chat settings
+ * GET    /api/chat/moderators/:streamId     - Chat moderators
+ * GET    /api/chat/users/:streamId          - Everyone in chat, on every replica
+ * GET    /api/chat/moderation/:streamId/log - Moderation audit log (moderators)
+ * GET    /api/chat/commands/:streamId       - Commands the caller can run, for autocomplete
+ * POST   /api/chat/commands/:streamId       - Create a custom command (broadcaster)
+ * PUT    /api/chat/commands/:streamId/:name - Update a custom command (broadcaster)
+ * DELETE /api/chat/commands/:streamId/:name - Delete a custom command (broadcaster)
+ * GET    /api/chat/bots/:streamId           - List bot accounts (broadcaster)
+ * POST   /api/chat/bots/:streamId           - Create a bot account, returns its token once (broadcaster)
+ * DELETE /api/chat/bots/:streamId/:botId    - Delete a bot account (broadcaster)
+ * POST   /api/chat/bots/messages            - Post as a bot (X-Bot-Token header)
+ *
+ * History, settings, moderators, users and commands are public to read, as
+ * chat is; changes are the broadcaster's (or an admin's).
  */
 
 const express = require('express');
-const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
 
-module.exports = (chatManager) => {
-  // Get chat history
-  router.get('/history/:streamId', async (req, res) => {
-    try {
-      const { streamId } = req.params;
-      const { limit = 50, offset = 0 } = req.query;
-      
-      // For now, return empty history
-      res.json({
-        success: true,
-        data: {
-          messages: [],
-          total: 0,
-          streamId
-        }
+const MODERATION_ACTIONS = ['timeout', 'untimeout', 'ban', 'unban', 'delete', 'slow', 'followers_only', 'clear'];
+const COMMAND_PERMISSIONS = ['everyone', 'moderator', 'broadcaster'];
+
+module.exports = (chatManager, authMiddleware) => {
+  const router = express.Router();
+
+  // Validation middleware
+  const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
+    }
+    next();
+  };
+
+  // Chat manager errors carry their own status (404, 403, 409, 400)
+  const sendError = (res, error, message) => {
+    res.status(error.statusCode || 500).json({
+      error: message,
+      message: error.message
+    });
+  };
+
+  // Signed-in callers see the commands for their level; others see everyone's
+  const optionalAuthenticate = (req, res, next) => authMiddleware.optionalToken(req, res, next);
+
+  // Bots sign in with their own token instead of a user's
+  const authenticateBot = async (req, res, next) => {
+    try {
+      req.bot = await chatManager.authenticateBot(req.get('X-Bot-Token'));
+      if (!req.bot) {
+        return res.status(401).json({ error: 'Invalid bot token' });
+      }
+      next();
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      console.error('Error authenticating bot:', error);
+      res.status(500).json({
+        error: 'Failed to authenticate bot',
+        message: error.message
+      });
     }
-  });
+  };
+
+  // The stream's broadcaster, or an admin
+  const streamOwner = authMiddleware.authorize('create_stream', { owner: 'stream' });
+
+  const commandFields = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+      field('response').isString().isLength({ min: 1, max: chatManager.commandConfig.maxCustomResponseLength })
+        .withMessage(`Response must be 1-${chatManager.commandConfig.maxCustomResponseLength} characters`),
+      body('description').optional().isString().isLength({ max: 255 }).withMessage('Description must be less than 255 characters'),
+      body('permission').optional().isIn(COMMAND_PERMISSIONS).withMessage('Invalid permission'),
+      body('cooldown').optional().isInt({ min: 0, max: 3600 }).withMessage('Cooldown must be between 0 and 3600 seconds').toInt(),
+      body('enabled').optional().isBoolean().withMessage('enabled must be a boolean')
+    ];
+  };
+
+  // Get chat history
+  router.get('/history/:streamId',
+    [
+      query('before').optional().isInt({ min: 1 }).withMessage('Invalid history cursor'),
+      query('limit').optional().isInt({ min: 1, max: chatManager.moderationConfig.maxHistoryPageSize })
+        .withMessage(`Limit must be between 1 and ${chatManager.moderationConfig.maxHistoryPageSize}`)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const history = await chatManager.getChatHistory(req.params.streamId, {
+          before: req.query.before,
+          limit: req.query.limit
+        });
+
+        res.json({
+          success: true,
+          data: history
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
 
   // Get chat settings
   router.get('/settings/:streamId', async (req, res) => {
     try {
       const { streamId } = req.params;
+      const room = chatManager.chatRooms.get(streamId);
       
       res.json({
         success: true,
@@ -38,7 +124,9 @@ module.exports = (chatManager) => {
           slowMode: false,
           slowModeDelay: 0,
           followersOnly: false,
+          followersOnlyMinutes: 0,
           subscribersOnly: false,
+          ...(room ? room.settings : {}),
           streamId
         }
       });
@@ -48,7 +136,7 @@ module.exports = (chatManager) => {
   });
 
   // Update chat settings
-  router.put('/settings/:streamId', async (req, res) => {
+  router.put('/settings/:streamId', authMiddleware.authorize('create_stream', { owner: 'stream' }), async (req, res) => {
     try {
       const { streamId } = req.params;
       const settings = req.body;
@@ -81,5 +169,270 @@ module.exports = (chatManager) => {
     }
   });
 
+  // Get chat users
+  router.get('/users/:streamId', async (req, res) => {
+    try {
+      const users = await chatManager.getChatUsers(req.params.streamId);
+
+      res.json({
+        success: true,
+        data: {
+          streamId: req.params.streamId,
+          userCount: users.length,
+          users: users.map(({ userId, username, role, joinedAt }) => ({ userId, username, role, joinedAt }))
+        }
+      });
+    } catch (error) {
+      console.error('Error getting chat users:', error);
+      res.status(500).json({
+        error: 'Failed to get chat users',
+        message: error.message
+      });
+    }
+  });
+
+  // Get moderation audit log; staff can read any, broadcasters their own stream's
+  router.get('/moderation/:streamId/log',
+    authMiddleware.authorize('chat', { owner: 'stream', override: 'moderate_content' }),
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID'),
+      query('cursor').optional().isInt({ min: 1 }).withMessage('Invalid cursor'),
+      query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+      query('action').optional().isIn(MODERATION_ACTIONS).withMessage('Invalid moderation action'),
+      query('targetUserId').optional().isInt({ min: 1 }).withMessage('Invalid target user ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const log = await chatManager.getModerationLog(req.params.streamId, {
+          cursor: req.query.cursor,
+          limit: req.query.limit,
+          action: req.query.action,
+          targetUserId: req.query.targetUserId
+        });
+
+        res.json({
+          success: true,
+          data: log
+        });
+      } catch (error) {
+        console.error('Error getting moderation log:', error);
+        res.status(500).json({
+          error: 'Failed to get moderation log',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  // Post as a bot; registered before /bots/:streamId so "messages" isn't taken as a stream ID
+  router.post('/bots/messages',
+    authenticateBot,
+    [
+      body('message').isString().withMessage('Message is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await chatManager.postBotMessage(req.bot, req.body.message);
+
+        res.status(result.type === 'message' ? 201 : 200).json({
+          success: true,
+          data: result
+        });
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error('Error posting bot message:', error);
+        }
+        if (error.retryAfter) {
+          res.set('Retry-After', String(error.retryAfter));
+        }
+        sendError(res, error, 'Failed to post message');
+      }
+    }
+  );
+
+  // Get available commands
+  router.get('/commands/:streamId',
+    optionalAuthenticate,
+    async (req, res) => {
+      try {
+        let level = 'everyone';
+        if (req.user) {
+          if (authMiddleware.can(req.user, '*') || String(await chatManager.getStreamOwner(req.params.streamId)) === String(req.user.id)) {
+            level = 'broadcaster';
+          } else if (['moderator', 'broadcaster'].includes(req.user.role)) {
+            level = 'moderator';
+          }
+        }
+
+        const commands = await chatManager.getAvailableCommands(req.params.streamId, level);
+
+        // Broadcasters also get custom command responses for editing
+        const customCommands = level === 'broadcaster' ? await chatManager.listCustomCommands(req.params.streamId) : undefined;
+
+        res.json({
+          success: true,
+          data: {
+            streamId: req.params.streamId,
+            level,
+            commands,
+            customCommands
+          }
+        });
+      } catch (error) {
+        console.error('Error getting chat commands:', error);
+        sendError(res, error, 'Failed to get chat commands');
+      }
+    }
+  );
+
+  // Create custom command
+  router.post('/commands/:streamId',
+    streamOwner,
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID'),
+      body('name').matches(/^[a-z0-9_]{1,32}$/i).withMessage('Command names are 1-32 letters, numbers or underscores'),
+      ...commandFields(false)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const command = await chatManager.createCustomCommand(req.params.streamId, req.body, req.user.id);
+
+        res.status(201).json({
+          success: true,
+          data: command
+        });
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error('Error creating chat command:', error);
+        }
+        sendError(res, error, 'Failed to create chat command');
+      }
+    }
+  );
+
+  // Update custom command
+  router.put('/commands/:streamId/:name',
+    streamOwner,
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID'),
+      ...commandFields(true)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const command = await chatManager.updateCustomCommand(req.params.streamId, req.params.name, req.body);
+
+        res.json({
+          success: true,
+          data: command
+        });
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error('Error updating chat command:', error);
+        }
+        sendError(res, error, 'Failed to update chat command');
+      }
+    }
+  );
+
+  // Delete custom command
+  router.delete('/commands/:streamId/:name',
+    streamOwner,
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await chatManager.deleteCustomCommand(req.params.streamId, req.params.name);
+
+        res.json({
+          success: true,
+          message: 'Chat command deleted'
+        });
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error('Error deleting chat command:', error);
+        }
+        sendError(res, error, 'Failed to delete chat command');
+      }
+    }
+  );
+
+  // List bots
+  router.get('/bots/:streamId',
+    streamOwner,
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        res.json({
+          success: true,
+          data: await chatManager.listBots(req.params.streamId)
+        });
+      } catch (error) {
+        console.error('Error listing chat bots:', error);
+        sendError(res, error, 'Failed to list chat bots');
+      }
+    }
+  );
+
+  // Create bot
+  router.post('/bots/:streamId',
+    streamOwner,
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID'),
+      body('name').matches(/^[\w-]{2,50}$/).withMessage('Bot names are 2-50 letters, numbers, underscores or dashes'),
+      body('permission').optional().isIn(['everyone', 'moderator']).withMessage('Bot permission must be everyone or moderator')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const bot = await chatManager.createBot(req.params.streamId, req.body, req.user.id);
+
+        res.status(201).json({
+          success: true,
+          data: bot,
+          message: 'Store the bot token now, it will not be shown again'
+        });
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error('Error creating chat bot:', error);
+        }
+        sendError(res, error, 'Failed to create chat bot');
+      }
+    }
+  );
+
+  // Delete bot
+  router.delete('/bots/:streamId/:botId',
+    streamOwner,
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID'),
+      param('botId').isUUID().withMessage('Invalid bot ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await chatManager.deleteBot(req.params.streamId, req.params.botId);
+
+        res.json({
+          success: true,
+          message: 'Chat bot deleted'
+        });
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error('Error deleting chat bot:', error);
+        }
+        sendError(res, error, 'Failed to delete chat bot');
+      }
+    }
+  );
+
   return router;
 };
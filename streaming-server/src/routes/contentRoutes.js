@@ -0,0 +1,689 @@
+/**
+ * Content Management API Routes
+ *
+ * Endpoints:
+ * GET    /api/content/categories                  - List stream categories
+ * GET    /api/content/trending                    - Get trending streams
+ * POST   /api/content/streams/:streamId/categorize - Categorize and tag stream
+ * POST   /api/content/streams/:streamId/analyze   - Run content analysis { analysisType?, recordingId? }
+ * GET    /api/content/streams/:streamId/analyses  - A stream's past analyses
+ * GET    /api/content/analyses                    - Recent analyses of all streams (staff)
+ * GET    /api/content/analyses/:analysisId        - Analysis details
+ * GET    /api/content/analysis-plugins            - Registered detection plugins (staff)
+ * POST   /api/content/streams/:streamId/report    - Report stream content
+ * POST   /api/content/dmca                        - Submit DMCA takedown request
+ *
+ * Copyright fingerprinting (rights holders; admins see everything):
+ * POST   /api/content/copyright/tracks            - Register a reference track (multipart: audio, title, artist?, isrc?)
+ * GET    /api/content/copyright/tracks            - Registered reference tracks
+ * DELETE /api/content/copyright/tracks/:trackId   - Remove a reference track
+ * GET    /api/content/copyright/matches           - Matches of the tracks (also moderators; ?status&streamId&limit)
+ * GET    /api/content/copyright/matches/:matchId  - Match evidence (also the stream's owner)
+ * POST   /api/content/copyright/matches/:matchId/review - Confirm (files a DMCA notice) or dismiss a match
+ * GET    /api/content/streams/:streamId/copyright-matches - Matches in a stream (owner or staff)
+ */
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const CopyrightMatcher = require('../copyright/CopyrightMatcher');
+
+const REPORT_REASONS = [
+  'inappropriate_content', 'harassment', 'spam', 'violence',
+  'copyright_violation', 'underage_user', 'hate_speech', 'other'
+];
+
+const ANALYSIS_STATUSES = ['processing', 'completed', 'failed'];
+
+const MAX_REFERENCE_TRACK_SIZE = 200 * 1024 * 1024;
+
+module.exports = (contentManager, authMiddleware) => {
+  const router = express.Router();
+
+  // Validation middleware
+  const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  };
+
+  // Manager errors carry their own status (404, 409)
+  const sendError = (res, error, message) => {
+    res.status(error.statusCode || 500).json({
+      error: message,
+      message: error.message
+    });
+  };
+
+  const staffOnly = authMiddleware.authorize('moderate_content', {
+    message: 'Moderator access required'
+  });
+
+  const rightsHolderOnly = authMiddleware.authorize('manage_reference_tracks', {
+    message: 'Rights holder access required'
+  });
+
+  const copyrightReviewer = authMiddleware.authorize(['manage_reference_tracks', 'moderate_content'], {
+    message: 'Rights holder or moderator access required'
+  });
+
+  // Reference audio is only kept until it is fingerprinted
+  const referenceUpload = multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: MAX_REFERENCE_TRACK_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => callback(null, /^(audio|video)\//.test(file.mimetype))
+  }).single('audio');
+
+  const receiveReferenceAudio = (req, res, next) => {
+    referenceUpload(req, res, (error) => {
+      res.on('finish', () => {
+        if (req.file) {
+          fs.unlink(req.file.path, () => {});
+        }
+      });
+
+      if (error) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          error: 'Invalid upload',
+          message: error.message
+        });
+      }
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: [{ path: 'audio', msg: 'An audio file is required' }]
+        });
+      }
+      next();
+    });
+  };
+
+  /**
+   * Load a match for someone allowed to see it: staff, the track's rights
+   * holder or the stream's owner
+   */
+  const loadCopyrightMatch = async (req, res, next) => {
+    try {
+      const match = await contentManager.copyright.getMatch(req.params.matchId);
+      const allowed = match && (
+        authMiddleware.can(req.user, 'moderate_content') ||
+        String(match.rightsHolderId) === String(req.user.id) ||
+        String(match.ownerId) === String(req.user.id)
+      );
+
+      if (!allowed) {
+        return res.status(404).json({
+          error: 'Match not found'
+        });
+      }
+
+      req.match = match;
+      next();
+    } catch (error) {
+      console.error('Error loading copyright match:', error);
+      sendError(res, error, 'Failed to load copyright match');
+    }
+  };
+
+  /**
+   * Load the stream and allow its owner, or callers with the override
+   * permission (admins always)
+   */
+  const streamOwnerOr = (override = '*') => async (req, res, next) => {
+    try {
+      const stream = await contentManager.getStreamData(req.params.streamId);
+
+      if (!stream) {
+        return res.status(404).json({
+          error: 'Stream not found'
+        });
+      }
+
+      if (String(stream.user_id) !== String(req.user.id) && !authMiddleware.can(req.user, override)) {
+        return res.status(403).json({
+          error: 'You can only manage your own streams'
+        });
+      }
+
+      req.stream = stream;
+      next();
+    } catch (error) {
+      console.error('Error loading stream:', error);
+      res.status(500).json({
+        error: 'Failed to load stream',
+        message: error.message
+      });
+    }
+  };
+
+  /**
+   * GET /api/content/categories - List stream categories
+   */
+  router.get('/categories', (req, res) => {
+    res.json({
+      success: true,
+      data: Object.entries(contentManager.config.categories).map(([id, category]) => ({ id, ...category }))
+    });
+  });
+
+  /**
+   * GET /api/content/trending - Get trending streams
+   */
+  router.get('/trending',
+    [
+      query('category').optional().isIn(Object.keys(contentManager.config.categories)).withMessage('Invalid category'),
+      query('timeRange').optional().isIn(['1h', '6h', '24h', '7d', '30d']).withMessage('Invalid time range'),
+      query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const trending = await contentManager.getTrendingContent(
+          req.query.category || null,
+          req.query.timeRange || '24h',
+          parseInt(req.query.limit) || 20
+        );
+
+        res.json({
+          success: true,
+          data: trending
+        });
+      } catch (error) {
+        console.error('Error getting trending content:', error);
+        res.status(500).json({
+          error: 'Failed to get trending content',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/content/streams/:streamId/categorize - Categorize and tag stream
+   */
+  router.post('/streams/:streamId/categorize',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID'),
+      body('category').isIn(Object.keys(contentManager.config.categories)).withMessage('Invalid category'),
+      body('tags').optional().isArray({ max: 10 }).withMessage('Tags must be an array of at most 10 items'),
+      body('tags.*').optional().isString().isLength({ min: 2, max: 50 }).withMessage('Tags must be 2-50 characters'),
+      body('description').optional().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters')
+    ],
+    handleValidationErrors,
+    streamOwnerOr(),
+    async (req, res) => {
+      try {
+        const result = await contentManager.categorizeStream(
+          req.params.streamId,
+          req.body.category,
+          req.body.tags || [],
+          req.body.description !== undefined ? req.body.description : (req.stream.description || '')
+        );
+
+        res.json({
+          success: true,
+          data: {
+            category: result.category,
+            tags: result.tags
+          },
+          message: 'Stream categorized successfully'
+        });
+      } catch (error) {
+        console.error('Error categorizing stream:', error);
+        res.status(500).json({
+          error: 'Failed to categorize stream',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/content/streams/:streamId/analyze - Run content analysis
+   */
+  router.post('/streams/:streamId/analyze',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID'),
+      body('analysisType').optional().isIn(['full', 'text', 'audio', 'video']).withMessage('Invalid analysis type'),
+      body('recordingId').optional().isUUID().withMessage('Invalid recording ID')
+    ],
+    handleValidationErrors,
+    streamOwnerOr('moderate_content'),
+    async (req, res) => {
+      try {
+        const analysis = await contentManager.analyzeStreamContent(
+          req.params.streamId,
+          req.body.analysisType || 'full',
+          { recordingId: req.body.recordingId, requestedBy: req.user.id }
+        );
+
+        res.json({
+          success: true,
+          data: {
+            id: analysis.id,
+            streamId: analysis.streamId,
+            type: analysis.type,
+            source: analysis.source,
+            recordingId: analysis.recordingId,
+            status: analysis.status,
+            contentScore: analysis.contentScore,
+            violations: analysis.violations,
+            results: analysis.results,
+            sampledSeconds: analysis.sampledSeconds,
+            completedAt: analysis.completedAt
+          }
+        });
+      } catch (error) {
+        console.error('Error analyzing stream content:', error);
+        sendError(res, error, 'Failed to analyze stream content');
+      }
+    }
+  );
+
+  /**
+   * GET /api/content/streams/:streamId/analyses - A stream's past analyses
+   */
+  router.get('/streams/:streamId/analyses',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID'),
+      query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+    ],
+    handleValidationErrors,
+    streamOwnerOr('moderate_content'),
+    async (req, res) => {
+      try {
+        const analyses = await contentManager.listContentAnalyses({
+          streamId: req.params.streamId,
+          limit: req.query.limit
+        });
+
+        res.json({
+          success: true,
+          data: analyses
+        });
+      } catch (error) {
+        console.error('Error listing content analyses:', error);
+        sendError(res, error, 'Failed to list content analyses');
+      }
+    }
+  );
+
+  /**
+   * GET /api/content/analyses - Recent analyses of all streams (staff)
+   */
+  router.get('/analyses',
+    staffOnly,
+    [
+      query('status').optional().isIn(ANALYSIS_STATUSES).withMessage(`Status must be one of: ${ANALYSIS_STATUSES.join(', ')}`),
+      query('flagged').optional().isBoolean().withMessage('Flagged must be true or false'),
+      query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const analyses = await contentManager.listContentAnalyses({
+          status: req.query.status,
+          flagged: req.query.flagged === 'true',
+          limit: req.query.limit
+        });
+
+        res.json({
+          success: true,
+          data: analyses
+        });
+      } catch (error) {
+        console.error('Error listing content analyses:', error);
+        sendError(res, error, 'Failed to list content analyses');
+      }
+    }
+  );
+
+  /**
+   * GET /api/content/analyses/:analysisId - Analysis details
+   */
+  router.get('/analyses/:analysisId',
+    authMiddleware.authorize('view_content'),
+    [
+      param('analysisId').isUUID().withMessage('Invalid analysis ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const analysis = await contentManager.getContentAnalysis(req.params.analysisId);
+
+        if (!analysis || (String(analysis.ownerId) !== String(req.user.id) && !authMiddleware.can(req.user, 'moderate_content'))) {
+          return res.status(404).json({
+            error: 'Analysis not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: analysis
+        });
+      } catch (error) {
+        console.error('Error getting content analysis:', error);
+        sendError(res, error, 'Failed to get content analysis');
+      }
+    }
+  );
+
+  /**
+   * GET /api/content/analysis-plugins - Registered detection plugins (staff)
+   */
+  router.get('/analysis-plugins',
+    staffOnly,
+    (req, res) => {
+      res.json({
+        success: true,
+        data: contentManager.analyzer.listPlugins()
+      });
+    }
+  );
+
+  /**
+   * POST /api/content/streams/:streamId/report - Report stream content
+   */
+  router.post('/streams/:streamId/report',
+    authMiddleware.authorize('view_content'),
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID'),
+      body('reason').isIn(REPORT_REASONS).withMessage('Invalid report reason'),
+      body('description').optional().isLength({ max: 2000 }).withMessage('Description must be less than 2000 characters')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const stream = await contentManager.getStreamData(req.params.streamId);
+
+        if (!stream) {
+          return res.status(404).json({
+            error: 'Stream not found'
+          });
+        }
+
+        const result = await contentManager.handleContentReport(
+          req.user.id,
+          req.params.streamId,
+          req.body.reason,
+          req.body.description || ''
+        );
+
+        res.status(201).json({
+          success: true,
+          data: { reportId: result.reportId },
+          message: 'Report submitted successfully'
+        });
+      } catch (error) {
+        console.error('Error reporting content:', error);
+        res.status(500).json({
+          error: 'Failed to submit report',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/content/dmca - Submit DMCA takedown request
+   */
+  router.post('/dmca',
+    authMiddleware.authorize('view_content'),
+    [
+      body('claimantName').isLength({ min: 1, max: 255 }).withMessage('Claimant name is required'),
+      body('claimantEmail').isEmail().withMessage('A valid claimant email is required'),
+      body('copyrightedWork').isLength({ min: 1, max: 5000 }).withMessage('Description of the copyrighted work is required'),
+      body('infringingContent').isLength({ min: 1, max: 5000 }).withMessage('Description of the infringing content is required'),
+      body('streamId').isUUID().withMessage('Invalid stream ID'),
+      body('swornStatement').equals('true').withMessage('The good-faith and accuracy statement must be accepted')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const stream = await contentManager.getStreamData(req.body.streamId);
+
+        if (!stream) {
+          return res.status(404).json({
+            error: 'Stream not found'
+          });
+        }
+
+        const result = await contentManager.handleDMCARequest({
+          claimantName: req.body.claimantName,
+          claimantEmail: req.body.claimantEmail,
+          copyrightedWork: req.body.copyrightedWork,
+          infringingContent: req.body.infringingContent,
+          streamId: req.body.streamId
+        });
+
+        res.status(201).json({
+          success: true,
+          data: { dmcaId: result.dmcaId },
+          message: 'DMCA request submitted successfully'
+        });
+      } catch (error) {
+        console.error('Error submitting DMCA request:', error);
+        res.status(500).json({
+          error: 'Failed to submit DMCA request',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/content/copyright/tracks - Register a reference track
+   */
+  router.post('/copyright/tracks',
+    rightsHolderOnly,
+    receiveReferenceAudio,
+    [
+      body('title').trim().isLength({ min: 1, max: 255 }).withMessage('Title is required'),
+      body('artist').optional().trim().isLength({ max: 255 }).withMessage('Artist must be less than 255 characters'),
+      body('isrc').optional().matches(/^[A-Z]{2}[A-Z0-9]{3}\d{7}$/).withMessage('Invalid ISRC')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const track = await contentManager.copyright.registerTrack({
+          title: req.body.title,
+          artist: req.body.artist,
+          isrc: req.body.isrc
+        }, req.file.path, req.user.id);
+
+        res.status(201).json({
+          success: true,
+          data: track,
+          message: 'Reference track registered'
+        });
+      } catch (error) {
+        console.error('Error registering reference track:', error);
+        sendError(res, error, 'Failed to register reference track');
+      }
+    }
+  );
+
+  /**
+   * GET /api/content/copyright/tracks - Registered reference tracks
+   */
+  router.get('/copyright/tracks',
+    rightsHolderOnly,
+    async (req, res) => {
+      try {
+        const tracks = await contentManager.copyright.listTracks({
+          rightsHolderId: authMiddleware.can(req.user, '*') ? null : req.user.id
+        });
+
+        res.json({
+          success: true,
+          data: tracks
+        });
+      } catch (error) {
+        console.error('Error listing reference tracks:', error);
+        sendError(res, error, 'Failed to list reference tracks');
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/content/copyright/tracks/:trackId - Remove a reference track
+   */
+  router.delete('/copyright/tracks/:trackId',
+    rightsHolderOnly,
+    [
+      param('trackId').isUUID().withMessage('Invalid track ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const track = await contentManager.copyright.getTrack(req.params.trackId);
+
+        if (!track || (String(track.rightsHolderId) !== String(req.user.id) && !authMiddleware.can(req.user, '*'))) {
+          return res.status(404).json({
+            error: 'Reference track not found'
+          });
+        }
+
+        await contentManager.copyright.deleteTrack(track.id);
+
+        res.json({
+          success: true,
+          message: 'Reference track removed'
+        });
+      } catch (error) {
+        console.error('Error deleting reference track:', error);
+        sendError(res, error, 'Failed to remove reference track');
+      }
+    }
+  );
+
+  /**
+   * GET /api/content/copyright/matches - Matches of the user's tracks, or
+   * of all tracks for staff
+   */
+  router.get('/copyright/matches',
+    copyrightReviewer,
+    [
+      query('status').optional().isIn(CopyrightMatcher.MATCH_STATUSES).withMessage(`Status must be one of: ${CopyrightMatcher.MATCH_STATUSES.join(', ')}`),
+      query('streamId').optional().isUUID().withMessage('Invalid stream ID'),
+      query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const matches = await contentManager.copyright.listMatches({
+          status: req.query.status,
+          streamId: req.query.streamId,
+          rightsHolderId: authMiddleware.can(req.user, 'moderate_content') ? null : req.user.id,
+          limit: req.query.limit
+        });
+
+        res.json({
+          success: true,
+          data: matches
+        });
+      } catch (error) {
+        console.error('Error listing copyright matches:', error);
+        sendError(res, error, 'Failed to list copyright matches');
+      }
+    }
+  );
+
+  /**
+   * GET /api/content/copyright/matches/:matchId - Match evidence
+   */
+  router.get('/copyright/matches/:matchId',
+    authMiddleware.authorize('view_content'),
+    [
+      param('matchId').isUUID().withMessage('Invalid match ID')
+    ],
+    handleValidationErrors,
+    loadCopyrightMatch,
+    (req, res) => {
+      res.json({
+        success: true,
+        data: req.match
+      });
+    }
+  );
+
+  /**
+   * POST /api/content/copyright/matches/:matchId/review - Confirm or dismiss
+   * a match. Confirming is the rights holder's takedown notice, so it needs
+   * the same sworn statement as /dmca.
+   */
+  router.post('/copyright/matches/:matchId/review',
+    authMiddleware.authorize('view_content'),
+    [
+      param('matchId').isUUID().withMessage('Invalid match ID'),
+      body('decision').isIn(['confirm', 'dismiss']).withMessage('Decision must be confirm or dismiss'),
+      body('note').optional().isLength({ max: 2000 }).withMessage('Note must be less than 2000 characters'),
+      body('swornStatement').if(body('decision').equals('confirm'))
+        .equals('true').withMessage('The good-faith and accuracy statement must be accepted')
+    ],
+    handleValidationErrors,
+    loadCopyrightMatch,
+    async (req, res) => {
+      try {
+        if (String(req.match.rightsHolderId) !== String(req.user.id) && !authMiddleware.can(req.user, '*')) {
+          return res.status(403).json({
+            error: 'Only the rights holder can review this match'
+          });
+        }
+
+        const match = await contentManager.copyright.reviewMatch(
+          req.match.id,
+          req.body.decision,
+          req.user.id,
+          req.body.note || null
+        );
+
+        res.json({
+          success: true,
+          data: match,
+          message: req.body.decision === 'confirm' ? 'Match confirmed and DMCA notice filed' : 'Match dismissed'
+        });
+      } catch (error) {
+        console.error('Error reviewing copyright match:', error);
+        sendError(res, error, 'Failed to review copyright match');
+      }
+    }
+  );
+
+  /**
+   * GET /api/content/streams/:streamId/copyright-matches - Matches in a stream
+   */
+  router.get('/streams/:streamId/copyright-matches',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID')
+    ],
+    handleValidationErrors,
+    streamOwnerOr('moderate_content'),
+    async (req, res) => {
+      try {
+        const matches = await contentManager.copyright.listMatches({ streamId: req.params.streamId });
+
+        res.json({
+          success: true,
+          data: matches
+        });
+      } catch (error) {
+        console.error('Error listing copyright matches:', error);
+        sendError(res, error, 'Failed to list copyright matches');
+      }
+    }
+  );
+
+  return router;
+};
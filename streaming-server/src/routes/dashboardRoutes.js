@@ -2,14 +2,21 @@
  * Analytics Dashboard API Routes
  * 
  * Endpoints for comprehensive analytics dashboard and reporting
+ *
+ * Callers need the analytics permission and see their own streams; a
+ * userId for someone else's is for admins. Export downloads are
+ * authorized by their signed URL.
  */
 
 const express = require('express');
 const { param, query, body, validationResult } = require('express-validator');
 
-module.exports = (analyticsDashboard) => {
+module.exports = (analyticsDashboard, analyticsExporter, authMiddleware) => {
   const router = express.Router();
 
+  const dashboardOwner = authMiddleware.authorize('analytics', { owner: 'user', param: 'userId', in: 'query', optional: true });
+  const exportOwner = authMiddleware.authorize('analytics', { owner: 'user', param: 'userId', in: 'body', optional: true });
+
   // Validation middleware
   const handleValidationErrors = (req, res, next) => {
     const errors = validationResult(req);
@@ -26,6 +33,7 @@ module.exports = (analyticsDashboard) => {
    * GET /api/dashboard - Get comprehensive dashboard data
    */
   router.get('/',
+    dashboardOwner,
     [
       query('timeRange').optional().isIn(['1h', '6h', '24h', '7d', '30d', '90d']).withMessage('Invalid time range'),
       query('userId').optional().isInt().withMessage('User ID must be an integer'),
@@ -68,6 +76,7 @@ module.exports = (analyticsDashboard) => {
    * GET /api/dashboard/real-time - Get real-time metrics
    */
   router.get('/real-time',
+    dashboardOwner,
     [
       query('userId').optional().isInt().withMessage('User ID must be an integer')
     ],
@@ -102,6 +111,7 @@ module.exports = (analyticsDashboard) => {
    * GET /api/dashboard/viewer-trends - Get viewer trends
    */
   router.get('/viewer-trends',
+    dashboardOwner,
     [
       query('userId').optional().isInt().withMessage('User ID must be an integer'),
       query('timeRange').optional().isIn(['1h', '6h', '24h', '7d', '30d', '90d']).withMessage('Invalid time range')
@@ -138,6 +148,7 @@ module.exports = (analyticsDashboard) => {
    * GET /api/dashboard/engagement - Get engagement analytics
    */
   router.get('/engagement',
+    dashboardOwner,
     [
       query('userId').optional().isInt().withMessage('User ID must be an integer'),
       query('timeRange').optional().isIn(['1h', '6h', '24h', '7d', '30d', '90d']).withMessage('Invalid time range')
@@ -174,6 +185,7 @@ module.exports = (analyticsDashboard) => {
    * GET /api/dashboard/revenue - Get revenue analytics
    */
   router.get('/revenue',
+    dashboardOwner,
     [
       query('userId').optional().isInt().withMessage('User ID must be an integer'),
       query('timeRange').optional().isIn(['1h', '6h', '24h', '7d', '30d', '90d']).withMessage('Invalid time range')
@@ -210,6 +222,7 @@ module.exports = (analyticsDashboard) => {
    * GET /api/dashboard/geographic - Get geographic distribution
    */
   router.get('/geographic',
+    dashboardOwner,
     [
       query('userId').optional().isInt().withMessage('User ID must be an integer'),
       query('timeRange').optional().isIn(['1h', '6h', '24h', '7d', '30d', '90d']).withMessage('Invalid time range')
@@ -246,6 +259,7 @@ module.exports = (analyticsDashboard) => {
    * GET /api/dashboard/top-streams - Get top performing streams
    */
   router.get('/top-streams',
+    dashboardOwner,
     [
       query('userId').optional().isInt().withMessage('User ID must be an integer'),
       query('timeRange').optional().isIn(['1h', '6h', '24h', '7d', '30d', '90d']).withMessage('Invalid time range'),
@@ -283,6 +297,7 @@ module.exports = (analyticsDashboard) => {
    * GET /api/dashboard/kpis - Get key performance indicators
    */
   router.get('/kpis',
+    dashboardOwner,
     [
       query('userId').optional().isInt().withMessage('User ID must be an integer'),
       query('timeRange').optional().isIn(['1h', '6h', '24h', '7d', '30d', '90d']).withMessage('Invalid time range')
@@ -319,6 +334,7 @@ module.exports = (analyticsDashboard) => {
    * GET /api/dashboard/alerts - Get analytics alerts and recommendations
    */
   router.get('/alerts',
+    dashboardOwner,
     [
       query('userId').optional().isInt().withMessage('User ID must be an integer')
     ],
@@ -350,14 +366,16 @@ module.exports = (analyticsDashboard) => {
   );
 
   /**
-   * POST /api/dashboard/export - Export analytics data
+   * POST /api/dashboard/export - Start an analytics export job
    */
   router.post('/export',
+    exportOwner,
     [
       body('userId').optional().isInt().withMessage('User ID must be an integer'),
       body('timeRange').optional().isIn(['1h', '6h', '24h', '7d', '30d', '90d']).withMessage('Invalid time range'),
       body('format').optional().isIn(['csv', 'json', 'pdf']).withMessage('Invalid export format'),
-      body('widgets').optional().isArray().withMessage('Widgets must be an array')
+      body('widgets').optional().isArray().withMessage('Widgets must be an array'),
+      body('widgets.*').optional().isIn(['all', ...analyticsExporter.getAvailableWidgets()]).withMessage('Invalid widget')
     ],
     handleValidationErrors,
     async (req, res) => {
@@ -373,18 +391,14 @@ module.exports = (analyticsDashboard) => {
           });
         }
 
-        // TODO: Implement data export functionality
-        // This would generate and return the requested export format
+        const job = await analyticsExporter.createExportJob(userId, { timeRange, format, widgets });
 
-        res.json({
+        res.status(202).json({
           success: true,
-          message: 'Export functionality not implemented yet',
+          message: 'Export job created',
           data: {
-            exportId: 'export_' + Date.now(),
-            format,
-            timeRange,
-            widgets,
-            downloadUrl: `/exports/analytics_${userId}_${Date.now()}.${format}`
+            ...analyticsExporter.serializeJob(job),
+            statusUrl: `/api/dashboard/export/${job.id}`
           }
         });
       } catch (error) {
@@ -397,5 +411,86 @@ module.exports = (analyticsDashboard) => {
     }
   );
 
+  /**
+   * GET /api/dashboard/export/:exportId - Get export job status
+   */
+  router.get('/export/:exportId',
+    authMiddleware.authorize('analytics'),
+    [
+      param('exportId').isUUID().withMessage('Invalid export ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const job = await analyticsExporter.getExportJob(req.params.exportId);
+
+        if (!job || (String(job.userId) !== String(req.user.id) && !authMiddleware.can(req.user, '*'))) {
+          return res.status(404).json({
+            error: 'Export not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: analyticsExporter.serializeJob(job)
+        });
+      } catch (error) {
+        console.error('Error getting export status:', error);
+        res.status(500).json({
+          error: 'Failed to get export status',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/dashboard/export/:exportId/download - Download export via signed URL
+   */
+  router.get('/export/:exportId/download',
+    [
+      param('exportId').isUUID().withMessage('Invalid export ID'),
+      query('expires').isInt().withMessage('Expiry is required'),
+      query('signature').isHexadecimal().withMessage('Signature is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { exportId } = req.params;
+        const verification = analyticsExporter.verifyDownload(exportId, req.query.expires, req.query.signature);
+
+        if (verification === 'invalid') {
+          return res.status(403).json({
+            error: 'Invalid download signature'
+          });
+        }
+
+        if (verification === 'expired') {
+          return res.status(410).json({
+            error: 'Download link has expired'
+          });
+        }
+
+        const file = await analyticsExporter.getExportFile(exportId);
+
+        if (!file) {
+          return res.status(404).json({
+            error: 'Export file not available'
+          });
+        }
+
+        res.set('Content-Type', file.contentType);
+        res.set('X-Content-SHA256', file.checksum);
+        res.download(file.path, file.fileName);
+      } catch (error) {
+        console.error('Error downloading export:', error);
+        res.status(500).json({
+          error: 'Failed to download export',
+          message: error.message
+        });
+      }
+    }
+  );
+
   return router;
 };
@@ -0,0 +1,505 @@
+/**
+ * Monetization API Routes
+ *
+ * Endpoints:
+ * GET    /api/monetization/plans                        - List subscription plans
+ * POST   /api/monetization/subscriptions                - Subscribe to a plan
+ * POST   /api/monetization/ppv/events                   - Create pay-per-view event
+ * GET    /api/monetization/ppv/events/:eventId          - Get pay-per-view event
+ * POST   /api/monetization/ppv/events/:eventId/purchase - Purchase event access
+ * GET    /api/monetization/ppv/events/:eventId/access   - Check event access
+ * GET    /api/monetization/gifts                        - List virtual gifts
+ * POST   /api/monetization/gifts                        - Send virtual gift
+ * POST   /api/monetization/donations                    - Send donation
+ * POST   /api/monetization/payments/:paymentId/confirm  - Confirm payment after 3-D Secure
+ * POST   /api/monetization/payments/:paymentId/refund   - Refund payment (admin)
+ * GET    /api/monetization/earnings                     - Get creator earnings and balance
+ * POST   /api/monetization/payouts                      - Request creator payout
+ *
+ * Paying needs the donate permission, selling and earnings monetize.
+ *
+ * Payments that need customer action respond with 202 and a client secret;
+ * declined payments respond with 402.
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+module.exports = (monetizationManager, authMiddleware) => {
+  const router = express.Router();
+
+  const adminOnly = authMiddleware.authorize('manage_platform', { message: 'Admin access required' });
+  const creatorOnly = authMiddleware.authorize('monetize', { message: 'Creator access required' });
+  // Paying: subscriptions, purchases, gifts and donations
+  const payer = authMiddleware.authorize('donate');
+
+  // Validation middleware
+  const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  };
+
+  // Payment errors carry their own status (402 for declines)
+  const sendError = (res, error, message) => {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: message,
+        message: error.message,
+        code: error.code,
+        declineCode: error.declineCode
+      });
+    }
+    res.status(500).json({
+      error: message,
+      message: error.message
+    });
+  };
+
+  // Payments waiting on 3-D Secure are accepted but not yet complete
+  const sendPaymentResult = (res, result, successStatus = 200) => {
+    res.status(result.success ? successStatus : 202).json({
+      success: result.success,
+      data: result
+    });
+  };
+
+  const paymentValidators = [
+    body('paymentMethodId').isString().isLength({ min: 1, max: 255 }).withMessage('Payment method is required'),
+    body('idempotencyKey').optional().isString().isLength({ min: 8, max: 255 }).withMessage('Idempotency key must be 8-255 characters')
+  ];
+
+  /**
+   * GET /api/monetization/plans - List subscription plans
+   */
+  router.get('/plans', (req, res) => {
+    res.json({
+      success: true,
+      data: Object.values(monetizationManager.config.subscriptionPlans)
+    });
+  });
+
+  /**
+   * POST /api/monetization/subscriptions - Subscribe to a plan
+   */
+  router.post('/subscriptions',
+    payer,
+    [
+      body('planId').isIn(Object.keys(monetizationManager.config.subscriptionPlans)).withMessage('Invalid subscription plan'),
+      ...paymentValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await monetizationManager.createSubscription(
+          req.user.id,
+          req.body.planId,
+          req.body.paymentMethodId,
+          { idempotencyKey: req.body.idempotencyKey }
+        );
+
+        sendPaymentResult(res, result, 201);
+      } catch (error) {
+        console.error('Error creating subscription:', error);
+        sendError(res, error, 'Failed to create subscription');
+      }
+    }
+  );
+
+  /**
+   * POST /api/monetization/ppv/events - Create pay-per-view event
+   */
+  router.post('/ppv/events',
+    creatorOnly,
+    [
+      body('title').isLength({ min: 1, max: 255 }).withMessage('Title is required and must be less than 255 characters'),
+      body('description').optional().isLength({ max: 2000 }).withMessage('Description must be less than 2000 characters'),
+      body('price').isFloat({ min: 0.5, max: 10000 }).withMessage('Price must be between 0.50 and 10000'),
+      body('currency').optional().isISO4217().withMessage('Invalid currency'),
+      body('scheduledTime').isISO8601().withMessage('Scheduled time must be an ISO 8601 date'),
+      body('duration').optional().isInt({ min: 1, max: 1440 }).withMessage('Duration must be between 1 and 1440 minutes'),
+      body('maxViewers').optional().isInt({ min: 1 }).withMessage('Max viewers must be a positive integer')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        if (new Date(req.body.scheduledTime) <= new Date()) {
+          return res.status(400).json({
+            error: 'Scheduled time must be in the future'
+          });
+        }
+
+        const result = await monetizationManager.createPayPerViewEvent(req.user.id, {
+          title: req.body.title,
+          description: req.body.description,
+          price: parseFloat(req.body.price),
+          currency: req.body.currency ? req.body.currency.toUpperCase() : undefined,
+          scheduledTime: req.body.scheduledTime,
+          duration: req.body.duration,
+          maxViewers: req.body.maxViewers
+        });
+
+        res.status(201).json({
+          success: true,
+          data: result.event,
+          message: 'Pay-per-view event created successfully'
+        });
+      } catch (error) {
+        console.error('Error creating PPV event:', error);
+        sendError(res, error, 'Failed to create pay-per-view event');
+      }
+    }
+  );
+
+  /**
+   * GET /api/monetization/ppv/events/:eventId - Get pay-per-view event
+   */
+  router.get('/ppv/events/:eventId',
+    authMiddleware.authorize('view_content'),
+    [
+      param('eventId').isUUID().withMessage('Invalid event ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const event = await monetizationManager.getPPVEvent(req.params.eventId);
+
+        if (!event) {
+          return res.status(404).json({
+            error: 'Pay-per-view event not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: event
+        });
+      } catch (error) {
+        console.error('Error getting PPV event:', error);
+        sendError(res, error, 'Failed to get pay-per-view event');
+      }
+    }
+  );
+
+  /**
+   * POST /api/monetization/ppv/events/:eventId/purchase - Purchase event access
+   */
+  router.post('/ppv/events/:eventId/purchase',
+    payer,
+    [
+      param('eventId').isUUID().withMessage('Invalid event ID'),
+      ...paymentValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const event = await monetizationManager.getPPVEvent(req.params.eventId);
+
+        if (!event) {
+          return res.status(404).json({
+            error: 'Pay-per-view event not found'
+          });
+        }
+
+        if (event.status !== 'scheduled' && event.status !== 'live') {
+          return res.status(409).json({
+            error: 'Pay-per-view event is not available for purchase'
+          });
+        }
+
+        const result = await monetizationManager.purchasePPVAccess(
+          req.user.id,
+          req.params.eventId,
+          req.body.paymentMethodId,
+          { idempotencyKey: req.body.idempotencyKey }
+        );
+
+        sendPaymentResult(res, result, 201);
+      } catch (error) {
+        console.error('Error purchasing PPV access:', error);
+        sendError(res, error, 'Failed to purchase pay-per-view access');
+      }
+    }
+  );
+
+  /**
+   * GET /api/monetization/ppv/events/:eventId/access - Check event access
+   */
+  router.get('/ppv/events/:eventId/access',
+    authMiddleware.authorize('view_content'),
+    [
+      param('eventId').isUUID().withMessage('Invalid event ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const purchase = await monetizationManager.checkPPVAccess(req.user.id, req.params.eventId);
+
+        res.json({
+          success: true,
+          data: {
+            hasAccess: !!purchase,
+            purchasedAt: purchase ? purchase.purchased_at : null
+          }
+        });
+      } catch (error) {
+        console.error('Error checking PPV access:', error);
+        sendError(res, error, 'Failed to check pay-per-view access');
+      }
+    }
+  );
+
+  /**
+   * GET /api/monetization/gifts - List virtual gifts
+   */
+  router.get('/gifts', (req, res) => {
+    res.json({
+      success: true,
+      data: Object.values(monetizationManager.config.virtualGifts)
+    });
+  });
+
+  /**
+   * POST /api/monetization/gifts - Send virtual gift
+   */
+  router.post('/gifts',
+    payer,
+    [
+      body('recipientId').isInt({ min: 1 }).withMessage('Invalid recipient ID'),
+      body('giftId').isIn(Object.keys(monetizationManager.config.virtualGifts)).withMessage('Invalid gift type'),
+      body('streamId').isUUID().withMessage('Invalid stream ID'),
+      body('message').optional().isLength({ max: 500 }).withMessage('Message must be less than 500 characters'),
+      ...paymentValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const recipientId = parseInt(req.body.recipientId);
+
+        if (recipientId === req.user.id) {
+          return res.status(400).json({
+            error: 'You cannot send gifts to yourself'
+          });
+        }
+
+        const result = await monetizationManager.sendVirtualGift(
+          req.user.id,
+          recipientId,
+          req.body.giftId,
+          req.body.streamId,
+          req.body.message || '',
+          req.body.paymentMethodId,
+          { idempotencyKey: req.body.idempotencyKey }
+        );
+
+        sendPaymentResult(res, result, 201);
+      } catch (error) {
+        console.error('Error sending virtual gift:', error);
+        sendError(res, error, 'Failed to send virtual gift');
+      }
+    }
+  );
+
+  /**
+   * POST /api/monetization/donations - Send donation
+   */
+  router.post('/donations',
+    payer,
+    [
+      body('recipientId').isInt({ min: 1 }).withMessage('Invalid recipient ID'),
+      body('amount').isFloat({ min: 1, max: 10000 }).withMessage('Amount must be between 1 and 10000'),
+      body('currency').optional().isISO4217().withMessage('Invalid currency'),
+      body('streamId').optional().isUUID().withMessage('Invalid stream ID'),
+      body('message').optional().isLength({ max: 500 }).withMessage('Message must be less than 500 characters'),
+      ...paymentValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const recipientId = parseInt(req.body.recipientId);
+
+        if (recipientId === req.user.id) {
+          return res.status(400).json({
+            error: 'You cannot donate to yourself'
+          });
+        }
+
+        const result = await monetizationManager.processDonation(
+          req.user.id,
+          recipientId,
+          parseFloat(req.body.amount),
+          (req.body.currency || 'USD').toUpperCase(),
+          req.body.message || '',
+          req.body.streamId || null,
+          req.body.paymentMethodId,
+          { idempotencyKey: req.body.idempotencyKey }
+        );
+
+        sendPaymentResult(res, result, 201);
+      } catch (error) {
+        console.error('Error processing donation:', error);
+        sendError(res, error, 'Failed to process donation');
+      }
+    }
+  );
+
+  /**
+   * POST /api/monetization/payments/:paymentId/confirm - Confirm payment after 3-D Secure
+   */
+  router.post('/payments/:paymentId/confirm',
+    payer,
+    [
+      param('paymentId').isString().isLength({ min: 1, max: 255 }).withMessage('Invalid payment ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const transaction = await monetizationManager.getPaymentTransaction(req.params.paymentId);
+
+        if (!transaction || String(transaction.user_id) !== String(req.user.id)) {
+          return res.status(404).json({
+            error: 'Payment not found'
+          });
+        }
+
+        const result = await monetizationManager.confirmPayment(req.params.paymentId);
+
+        sendPaymentResult(res, result);
+      } catch (error) {
+        console.error('Error confirming payment:', error);
+        sendError(res, error, 'Failed to confirm payment');
+      }
+    }
+  );
+
+  /**
+   * POST /api/monetization/payments/:paymentId/refund - Refund payment (admin)
+   */
+  router.post('/payments/:paymentId/refund',
+    adminOnly,
+    [
+      param('paymentId').isString().isLength({ min: 1, max: 255 }).withMessage('Invalid payment ID'),
+      body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+      body('reason').optional().isIn(['duplicate', 'fraudulent', 'requested_by_customer']).withMessage('Invalid refund reason')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const transaction = await monetizationManager.getPaymentTransaction(req.params.paymentId);
+
+        if (!transaction) {
+          return res.status(404).json({
+            error: 'Payment not found'
+          });
+        }
+
+        if (transaction.status !== 'succeeded') {
+          return res.status(409).json({
+            error: 'Only completed payments can be refunded'
+          });
+        }
+
+        const result = await monetizationManager.refundPayment(req.params.paymentId, {
+          amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+          reason: req.body.reason
+        });
+
+        res.json({
+          success: true,
+          data: result.refund
+        });
+      } catch (error) {
+        console.error('Error refunding payment:', error);
+        sendError(res, error, 'Failed to refund payment');
+      }
+    }
+  );
+
+  /**
+   * GET /api/monetization/earnings - Get creator earnings and balance
+   */
+  router.get('/earnings',
+    creatorOnly,
+    [
+      query('timeRange').optional().isIn(['1h', '24h', '7d', '30d', '90d']).withMessage('Invalid time range')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const timeRange = req.query.timeRange || '30d';
+        const [earnings, balance] = await Promise.all([
+          monetizationManager.calculateCreatorEarnings(req.user.id, timeRange),
+          monetizationManager.getCreatorBalance(req.user.id)
+        ]);
+
+        res.json({
+          success: true,
+          data: {
+            ...earnings,
+            balance: Number(balance),
+            minimumPayout: monetizationManager.config.minimumPayout
+          }
+        });
+      } catch (error) {
+        console.error('Error getting creator earnings:', error);
+        sendError(res, error, 'Failed to get creator earnings');
+      }
+    }
+  );
+
+  /**
+   * POST /api/monetization/payouts - Request creator payout
+   */
+  router.post('/payouts',
+    creatorOnly,
+    [
+      body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be positive')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const amount = parseFloat(req.body.amount);
+
+        if (amount < monetizationManager.config.minimumPayout) {
+          return res.status(400).json({
+            error: `Minimum payout amount is $${monetizationManager.config.minimumPayout}`
+          });
+        }
+
+        const balance = await monetizationManager.getCreatorBalance(req.user.id);
+        if (Number(balance) < amount) {
+          return res.status(400).json({
+            error: 'Insufficient balance for payout'
+          });
+        }
+
+        const result = await monetizationManager.processCreatorPayout(req.user.id, amount);
+
+        // The gateway did not answer; the payout is retried and the funds stay reserved
+        if (result.pending) {
+          return res.status(202).json({
+            success: true,
+            data: result.payout,
+            message: 'Payout submitted and awaiting confirmation'
+          });
+        }
+
+        res.status(201).json({
+          success: true,
+          data: result.payout,
+          message: 'Payout processed successfully'
+        });
+      } catch (error) {
+        console.error('Error processing creator payout:', error);
+        sendError(res, error, 'Failed to process payout');
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,159 @@
+/**
+ * Low Latency Playback Routes
+ *
+ * LL-HLS playlists and the DASH manifest for streams in low latency mode.
+ * Both point at the same CMAF segments, which are served from here too so
+ * playlist blocking and preload hints work.
+ */
+
+const express = require('express');
+const path = require('path');
+const { param, query, validationResult } = require('express-validator');
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.m4s': 'video/iso.segment'
+};
+
+module.exports = (qualityManager) => {
+  const router = express.Router();
+
+  // Validation middleware
+  const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  };
+
+  const getPackager = (req, res, next) => {
+    const packager = qualityManager.getPackager(req.params.streamKey);
+    if (!packager) {
+      return res.status(404).json({
+        error: 'Stream is not live in low latency mode'
+      });
+    }
+    req.packager = packager;
+    next();
+  };
+
+  const sendPlaylist = (res, content) => {
+    res.set('Cache-Control', 'no-cache');
+    res.type(CONTENT_TYPES['.m3u8']).send(content);
+  };
+
+  const streamKeyParam = param('streamKey').isAlphanumeric().withMessage('Invalid stream key');
+
+  /**
+   * GET /playback/:streamKey/master.m3u8 - LL-HLS multivariant playlist
+   */
+  router.get('/:streamKey/master.m3u8',
+    [streamKeyParam],
+    handleValidationErrors,
+    getPackager,
+    (req, res) => {
+      sendPlaylist(res, req.packager.getMasterPlaylist());
+    }
+  );
+
+  /**
+   * GET /playback/:streamKey/:rendition.m3u8 - LL-HLS media playlist
+   *
+   * _HLS_msn (and optionally _HLS_part) block until the playlist contains
+   * that segment or part.
+   */
+  router.get('/:streamKey/:rendition.m3u8',
+    [
+      streamKeyParam,
+      param('rendition').matches(/^[\w-]+$/).withMessage('Invalid rendition'),
+      query('_HLS_msn').optional().isInt({ min: 0 }).toInt(),
+      query('_HLS_part').optional().isInt({ min: 0 }).toInt()
+    ],
+    handleValidationErrors,
+    getPackager,
+    async (req, res) => {
+      try {
+        const { rendition } = req.params;
+        const { _HLS_msn: msn, _HLS_part: part } = req.query;
+
+        if (part !== undefined && msn === undefined) {
+          return res.status(400).json({
+            error: '_HLS_part requires _HLS_msn'
+          });
+        }
+
+        if (msn !== undefined) {
+          const reached = await req.packager.waitFor(rendition, msn, part);
+          if (!reached) {
+            return res.status(503).json({
+              error: 'Playlist update timed out'
+            });
+          }
+        }
+
+        sendPlaylist(res, req.packager.getMediaPlaylist(rendition));
+      } catch (error) {
+        if (error.statusCode) {
+          return res.status(error.statusCode).json({
+            error: error.message
+          });
+        }
+        console.error('Error getting media playlist:', error);
+        res.status(500).json({
+          error: 'Failed to get media playlist',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /playback/:streamKey/:file - DASH manifest and CMAF segments
+   *
+   * A range starting where the current part is being written (an LL-HLS
+   * preload hint) is held until that part is complete.
+   */
+  router.get('/:streamKey/:file',
+    [
+      streamKeyParam,
+      param('file').matches(/^(manifest\.mpd|(init|chunk)-[\w-]+\.m4s)$/).withMessage('Invalid file')
+    ],
+    handleValidationErrors,
+    getPackager,
+    async (req, res) => {
+      try {
+        const { file } = req.params;
+        const range = /^bytes=(\d+)-/.exec(req.get('Range') || '');
+        if (range) {
+          await req.packager.waitForRange(file, parseInt(range[1]));
+        }
+
+        res.sendFile(path.resolve(req.packager.outputDir, file), {
+          headers: {
+            'Content-Type': CONTENT_TYPES[path.extname(file)],
+            'Cache-Control': file === 'manifest.mpd' ? 'no-cache' : 'max-age=60'
+          }
+        }, (error) => {
+          if (error && !res.headersSent) {
+            res.status(error.statusCode || 404).json({
+              error: 'File not found'
+            });
+          }
+        });
+      } catch (error) {
+        console.error('Error serving playback file:', error);
+        res.status(500).json({
+          error: 'Failed to serve playback file',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  return router;
+};
@@ -2,14 +2,20 @@
  * Quality Management API Routes
  * 
  * Endpoints for adaptive bitrate streaming and quality control
+ *
+ * Presets are public to read and admin-only to change; a stream's analytics,
+ * ladder and ABR session are its owner's; any signed-in viewer reports
+ * network stats.
  */
 
 const express = require('express');
 const { param, body, query, validationResult } = require('express-validator');
 
-module.exports = (qualityManager) => {
+module.exports = (qualityManager, authMiddleware) => {
   const router = express.Router();
 
+  const streamOwner = authMiddleware.authorize('create_stream', { owner: 'streamKey', param: 'streamKey' });
+
   // Validation middleware
   const handleValidationErrors = (req, res, next) => {
     const errors = validationResult(req);
@@ -46,6 +52,7 @@ module.exports = (qualityManager) => {
    * PUT /api/quality/presets/:quality - Update quality preset
    */
   router.put('/presets/:quality',
+    authMiddleware.authorize('manage_platform'),
     [
       param('quality').isIn(['240p', '360p', '480p', '720p', '1080p']).withMessage('Invalid quality level'),
       body('resolution').optional().matches(/^\d+x\d+$/).withMessage('Invalid resolution format'),
@@ -85,6 +92,7 @@ module.exports = (qualityManager) => {
    * GET /api/quality/:streamKey/analytics - Get quality analytics
    */
   router.get('/:streamKey/analytics',
+    streamOwner,
     [
       param('streamKey').isLength({ min: 1 }).withMessage('Stream key is required')
     ],
@@ -115,10 +123,82 @@ module.exports = (qualityManager) => {
     }
   );
 
+  /**
+   * GET /api/quality/:streamKey/ladder - Get stored ladder overrides and the running ladder
+   */
+  router.get('/:streamKey/ladder',
+    streamOwner,
+    [
+      param('streamKey').isLength({ min: 1 }).withMessage('Stream key is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { streamKey } = req.params;
+        const overrides = await qualityManager.getLadderOverrides(streamKey);
+        const session = qualityManager.qualitySessions.get(streamKey);
+
+        res.json({
+          success: true,
+          data: {
+            overrides,
+            source: session ? session.source : null,
+            ladder: session ? session.ladder : null
+          }
+        });
+      } catch (error) {
+        console.error('Error getting ladder:', error);
+        res.status(500).json({
+          error: 'Failed to get ladder',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * PUT /api/quality/:streamKey/ladder - Set ladder overrides for the stream's next start
+   */
+  router.put('/:streamKey/ladder',
+    streamOwner,
+    [
+      param('streamKey').isLength({ min: 1 }).withMessage('Stream key is required'),
+      body('qualities').optional().isArray({ min: 1 }).withMessage('Qualities must be a non-empty array'),
+      body('maxQuality').optional().isString().withMessage('Max quality must be a quality name'),
+      body('presets').optional().isObject().withMessage('Presets must be an object keyed by quality'),
+      body('presets.*.resolution').optional().matches(/^\d+x\d+$/).withMessage('Invalid resolution format'),
+      body('presets.*.videoBitrate').optional().matches(/^\d+k$/).withMessage('Invalid video bitrate format'),
+      body('presets.*.audioBitrate').optional().matches(/^\d+k$/).withMessage('Invalid audio bitrate format'),
+      body('presets.*.fps').optional().isInt({ min: 15, max: 60 }).toInt().withMessage('FPS must be between 15 and 60')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { streamKey } = req.params;
+        const overrides = await qualityManager.setLadderOverrides(streamKey, req.body);
+
+        res.json({
+          success: true,
+          data: overrides
+        });
+      } catch (error) {
+        if (error.statusCode) {
+          return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Error saving ladder overrides:', error);
+        res.status(500).json({
+          error: 'Failed to save ladder overrides',
+          message: error.message
+        });
+      }
+    }
+  );
+
   /**
    * POST /api/quality/:streamKey/network-stats - Submit network statistics
    */
   router.post('/:streamKey/network-stats',
+    authMiddleware.authorize('view_content'),
     [
       param('streamKey').isLength({ min: 1 }).withMessage('Stream key is required'),
       body('viewerId').isLength({ min: 1 }).withMessage('Viewer ID is required'),
@@ -162,7 +242,7 @@ module.exports = (qualityManager) => {
   /**
    * GET /api/quality/sessions - Get active quality sessions
    */
-  router.get('/sessions', (req, res) => {
+  router.get('/sessions', authMiddleware.authorize('manage_platform'), (req, res) => {
     try {
       const sessions = qualityManager.getActiveSessions();
       
@@ -183,6 +263,7 @@ module.exports = (qualityManager) => {
    * DELETE /api/quality/:streamKey - Stop ABR session
    */
   router.delete('/:streamKey',
+    streamOwner,
     [
       param('streamKey').isLength({ min: 1 }).withMessage('Stream key is required')
     ],
@@ -0,0 +1,190 @@
+/**
+ * Recording Job API Routes
+ *
+ * Endpoints:
+ * GET    /api/recordings/jobs                - Processing jobs, newest first
+ * GET    /api/recordings/jobs/:jobId         - Job status, step and progress
+ * PATCH  /api/recordings/jobs/:jobId         - Change a queued job's priority
+ * POST   /api/recordings/jobs/:jobId/retry   - Queue a failed or cancelled job again
+ * POST   /api/recordings/jobs/:jobId/cancel  - Cancel a queued job
+ *
+ * Users see jobs for their own streams' recordings; admins see all.
+ * Live progress is pushed over socket.io after recording:subscribe.
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { PRIORITIES, JOB_STATUSES } = require('../recording/RecordingJobQueue');
+
+module.exports = (recordingManager, authMiddleware) => {
+  const router = express.Router();
+  const queue = recordingManager.jobs;
+
+  // Validation middleware
+  const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  };
+
+  // Queue errors carry their own status (404, 409, 400)
+  const sendError = (res, error, message) => {
+    res.status(error.statusCode || 500).json({
+      error: message,
+      message: error.message
+    });
+  };
+
+  /**
+   * Load the job and allow the owner of its recording's stream or an admin
+   */
+  const jobOwner = async (req, res, next) => {
+    try {
+      const job = await queue.getJob(req.params.jobId);
+
+      if (!job || (String(job.ownerId) !== String(req.user.id) && !authMiddleware.can(req.user, '*'))) {
+        return res.status(404).json({
+          error: 'Job not found'
+        });
+      }
+
+      req.job = job;
+      next();
+    } catch (error) {
+      console.error('Error loading recording job:', error);
+      res.status(500).json({
+        error: 'Failed to load job',
+        message: error.message
+      });
+    }
+  };
+
+  const jobIdParam = param('jobId').isUUID().withMessage('Invalid job ID');
+  const priorityField = body('priority').isIn(Object.keys(PRIORITIES))
+    .withMessage(`Priority must be one of: ${Object.keys(PRIORITIES).join(', ')}`);
+
+  /**
+   * GET /api/recordings/jobs - List jobs
+   */
+  router.get('/',
+    authMiddleware.authorize('create_stream'),
+    [
+      query('status').optional().isIn(JOB_STATUSES).withMessage(`Status must be one of: ${JOB_STATUSES.join(', ')}`),
+      query('recordingId').optional().isUUID().withMessage('Invalid recording ID'),
+      query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const jobs = await queue.listJobs({
+          status: req.query.status,
+          recordingId: req.query.recordingId,
+          limit: req.query.limit,
+          ownerId: authMiddleware.can(req.user, '*') ? null : req.user.id
+        });
+
+        res.json({
+          success: true,
+          data: jobs.map(job => queue.serializeJob(job))
+        });
+      } catch (error) {
+        console.error('Error listing recording jobs:', error);
+        sendError(res, error, 'Failed to list recording jobs');
+      }
+    }
+  );
+
+  /**
+   * GET /api/recordings/jobs/:jobId - Job details
+   */
+  router.get('/:jobId',
+    authMiddleware.authorize('create_stream'),
+    [jobIdParam],
+    handleValidationErrors,
+    jobOwner,
+    (req, res) => {
+      res.json({
+        success: true,
+        data: queue.serializeJob(req.job)
+      });
+    }
+  );
+
+  /**
+   * PATCH /api/recordings/jobs/:jobId - Reprioritize a queued job
+   */
+  router.patch('/:jobId',
+    authMiddleware.authorize('create_stream'),
+    [jobIdParam, priorityField],
+    handleValidationErrors,
+    jobOwner,
+    async (req, res) => {
+      try {
+        const job = await queue.updatePriority(req.job.id, req.body.priority);
+
+        res.json({
+          success: true,
+          data: queue.serializeJob(job)
+        });
+      } catch (error) {
+        console.error('Error updating recording job:', error);
+        sendError(res, error, 'Failed to update recording job');
+      }
+    }
+  );
+
+  /**
+   * POST /api/recordings/jobs/:jobId/retry - Retry from the last checkpoint
+   */
+  router.post('/:jobId/retry',
+    authMiddleware.authorize('create_stream'),
+    [jobIdParam],
+    handleValidationErrors,
+    jobOwner,
+    async (req, res) => {
+      try {
+        const job = await queue.retryJob(req.job.id);
+
+        res.json({
+          success: true,
+          data: queue.serializeJob(job),
+          message: 'Job queued again'
+        });
+      } catch (error) {
+        console.error('Error retrying recording job:', error);
+        sendError(res, error, 'Failed to retry recording job');
+      }
+    }
+  );
+
+  /**
+   * POST /api/recordings/jobs/:jobId/cancel - Cancel a queued job
+   */
+  router.post('/:jobId/cancel',
+    authMiddleware.authorize('create_stream'),
+    [jobIdParam],
+    handleValidationErrors,
+    jobOwner,
+    async (req, res) => {
+      try {
+        const job = await queue.cancelJob(req.job.id);
+
+        res.json({
+          success: true,
+          data: queue.serializeJob(job),
+          message: 'Job cancelled'
+        });
+      } catch (error) {
+        console.error('Error cancelling recording job:', error);
+        sendError(res, error, 'Failed to cancel recording job');
+      }
+    }
+  );
+
+  return router;
+};
@@ -2,12 +2,40 @@
  * Recording Management API Routes
  * 
  * Endpoints for video recording and VOD management
+ *
+ * Recording details, thumbnails, previews, captions and shared clips are
+ * public; everything else is for the stream's owner or an admin.
+ *
+ * POST   /api/recordings/:recordingId/process        - Queue processing { priority? }
+ *                                                    (see recordingJobRoutes for the queue)
+ *
+ * Captions (transcribed when a recording is processed):
+ * GET    /api/recordings/:recordingId/captions       - Caption tracks (public)
+ * GET    /api/recordings/:recordingId/captions/:language.vtt|.srt - Caption file (public)
+ * POST   /api/recordings/:recordingId/captions       - Transcribe again { language?, priority? }
+ *
+ * Editing (stream owner or admin; times in seconds of the recording):
+ * GET    /api/recordings/:recordingId/edits          - Edit decision list and its plan
+ * POST   /api/recordings/:recordingId/edits          - Add a marker, trim or split
+ * PATCH  /api/recordings/:recordingId/edits/:editId  - Move or relabel an edit
+ * DELETE /api/recordings/:recordingId/edits/:editId  - Remove an edit
+ * POST   /api/recordings/:recordingId/render         - Render the edits with chapters
+ * POST   /api/recordings/:recordingId/clips          - Export a shareable clip
+ * GET    /api/recordings/:recordingId/renditions     - Renditions and clips
+ * GET    /api/recordings/renditions/:renditionId     - Rendition status and files
+ * GET    /api/recordings/renditions/:renditionId/chapters.vtt - Chapters track
+ * GET    /api/recordings/clips/:shareId              - Shared clip (public)
  */
 
 const express = require('express');
-const { param, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { EDIT_TYPES } = require('../RecordingManager');
+const { PRIORITIES } = require('../recording/RecordingJobQueue');
 
-module.exports = (recordingManager) => {
+// e.g. en.vtt, pt-BR.srt
+const CAPTION_FILE = /^([a-z]{2,3}(?:-[A-Za-z0-9]+)?)\.(vtt|srt)$/;
+
+module.exports = (recordingManager, authMiddleware) => {
   const router = express.Router();
 
   // Validation middleware
@@ -22,6 +50,67 @@ module.exports = (recordingManager) => {
     next();
   };
 
+  // Manager errors carry their own status (404, 409, 400)
+  const sendError = (res, error, message) => {
+    res.status(error.statusCode || 500).json({
+      error: message,
+      message: error.message
+    });
+  };
+
+  /**
+   * Load the recording (or the loaded rendition's) and allow its
+   * stream's owner or an admin
+   */
+  const recordingOwner = async (req, res, next) => {
+    try {
+      const recordingId = req.rendition ? req.rendition.recordingId : req.params.recordingId;
+      const recording = await recordingManager.getRecordingWithOwner(recordingId);
+
+      if (!recording) {
+        return res.status(404).json({
+          error: 'Recording not found'
+        });
+      }
+
+      if (String(recording.user_id) !== String(req.user.id) && !authMiddleware.can(req.user, '*')) {
+        return res.status(403).json({
+          error: 'You can only manage recordings of your own streams'
+        });
+      }
+
+      req.recording = recording;
+      next();
+    } catch (error) {
+      console.error('Error loading recording:', error);
+      res.status(500).json({
+        error: 'Failed to load recording',
+        message: error.message
+      });
+    }
+  };
+
+  /**
+   * GET /api/recordings/active - Get active recording sessions; before
+   * /:recordingId, which would take "active" as an ID
+   */
+  router.get('/active', authMiddleware.authorize('manage_platform'), (req, res) => {
+    try {
+      const activeRecordings = recordingManager.getActiveRecordings();
+      
+      res.json({
+        success: true,
+        data: activeRecordings
+      });
+    } catch (error) {
+      console.error('Error getting active recordings:', error);
+      res.status(500).json({
+        error: 'Failed to get active recordings',
+        message: error.message
+      });
+    }
+  });
+
   /**
    * GET /api/recordings/:recordingId - Get recording details
    */
@@ -100,50 +189,33 @@ module.exports = (recordingManager) => {
   );
 
   /**
-   * GET /api/recordings/active - Get active recording sessions
-   */
-  router.get('/active', (req, res) => {
-    try {
-      const activeRecordings = recordingManager.getActiveRecordings();
-      
-      res.json({
-        success: true,
-        data: activeRecordings
-      });
-    } catch (error) {
-      console.error('Error getting active recordings:', error);
-      res.status(500).json({
-        error: 'Failed to get active recordings',
-        message: error.message
-      });
-    }
-  });
-
-  /**
-   * POST /api/recordings/:recordingId/process - Manually trigger recording processing
+   * POST /api/recordings/:recordingId/process - Queue recording processing
    */
   router.post('/:recordingId/process',
+    authMiddleware.authorize('create_stream'),
     [
-      param('recordingId').isUUID().withMessage('Invalid recording ID')
+      param('recordingId').isUUID().withMessage('Invalid recording ID'),
+      body('priority').optional().isIn(Object.keys(PRIORITIES)).withMessage(`Priority must be one of: ${Object.keys(PRIORITIES).join(', ')}`)
     ],
     handleValidationErrors,
+    recordingOwner,
     async (req, res) => {
       try {
         const { recordingId } = req.params;
         
-        const result = await recordingManager.processRecording(recordingId);
+        const job = await recordingManager.processRecording(recordingId, {
+          priority: req.body.priority,
+          createdBy: req.user.id
+        });
         
-        res.json({
+        res.status(202).json({
           success: true,
-          data: result,
-          message: 'Recording processing started'
+          data: recordingManager.jobs.serializeJob(job),
+          message: 'Recording processing queued'
         });
       } catch (error) {
         console.error('Error processing recording:', error);
-        res.status(500).json({
-          error: 'Failed to process recording',
-          message: error.message
-        });
+        sendError(res, error, 'Failed to process recording');
       }
     }
   );
@@ -152,6 +224,7 @@ module.exports = (recordingManager) => {
    * DELETE /api/recordings/:recordingId - Delete recording
    */
   router.delete('/:recordingId',
+    authMiddleware.authorize('create_stream', { owner: 'recording' }),
     [
       param('recordingId').isUUID().withMessage('Invalid recording ID')
     ],
@@ -184,6 +257,7 @@ module.exports = (recordingManager) => {
    * GET /api/recordings/:recordingId/download - Download recording
    */
   router.get('/:recordingId/download',
+    authMiddleware.authorize('create_stream', { owner: 'recording' }),
     [
       param('recordingId').isUUID().withMessage('Invalid recording ID'),
       query('quality').optional().isIn(['240p', '360p', '480p', '720p', '1080p']).withMessage('Invalid quality'),
@@ -315,5 +389,383 @@ module.exports = (recordingManager) => {
     }
   );
 
+  /**
+   * GET /api/recordings/:recordingId/captions - Caption tracks, public
+   */
+  router.get('/:recordingId/captions',
+    [
+      param('recordingId').isUUID().withMessage('Invalid recording ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const tracks = await recordingManager.listCaptionTracks(req.params.recordingId);
+
+        res.json({
+          success: true,
+          data: tracks
+        });
+      } catch (error) {
+        console.error('Error getting caption tracks:', error);
+        sendError(res, error, 'Failed to get caption tracks');
+      }
+    }
+  );
+
+  /**
+   * GET /api/recordings/:recordingId/captions/:language.(vtt|srt) - Caption file, public
+   */
+  router.get('/:recordingId/captions/:file',
+    [
+      param('recordingId').isUUID().withMessage('Invalid recording ID'),
+      param('file').matches(CAPTION_FILE).withMessage('Caption file must be <language>.vtt or <language>.srt')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const [, language, format] = req.params.file.match(CAPTION_FILE);
+        const captions = await recordingManager.getCaptionFile(req.params.recordingId, language, format);
+
+        if (captions === null) {
+          return res.status(404).json({
+            error: 'Caption track not found'
+          });
+        }
+
+        res.type(format === 'srt' ? 'application/x-subrip' : 'text/vtt').send(captions);
+      } catch (error) {
+        console.error('Error getting captions:', error);
+        sendError(res, error, 'Failed to get captions');
+      }
+    }
+  );
+
+  /**
+   * POST /api/recordings/:recordingId/captions - Transcribe again
+   */
+  router.post('/:recordingId/captions',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('recordingId').isUUID().withMessage('Invalid recording ID'),
+      body('language').optional().matches(/^([a-z]{2,3}(-[A-Za-z0-9]+)?|auto)$/).withMessage('Invalid language code'),
+      body('priority').optional().isIn(Object.keys(PRIORITIES)).withMessage(`Priority must be one of: ${Object.keys(PRIORITIES).join(', ')}`)
+    ],
+    handleValidationErrors,
+    recordingOwner,
+    async (req, res) => {
+      try {
+        const job = await recordingManager.requestCaptions(req.params.recordingId, {
+          language: req.body.language,
+          priority: req.body.priority
+        }, req.user.id);
+
+        res.status(202).json({
+          success: true,
+          data: recordingManager.jobs.serializeJob(job),
+          message: 'Transcription queued'
+        });
+      } catch (error) {
+        console.error('Error requesting captions:', error);
+        sendError(res, error, 'Failed to request captions');
+      }
+    }
+  );
+
+  // Which times an edit needs depends on its type; the manager checks that
+  const editValidation = [
+    body('time').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Time must be a non-negative number of seconds'),
+    body('start').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Start must be a non-negative number of seconds'),
+    body('end').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('End must be a non-negative number of seconds'),
+    body('label').optional({ values: 'null' }).isString().isLength({ max: 255 }).withMessage('Label must be at most 255 characters')
+  ];
+
+  /**
+   * GET /api/recordings/:recordingId/edits - Edit decision list and the plan it renders to
+   */
+  router.get('/:recordingId/edits',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('recordingId').isUUID().withMessage('Invalid recording ID')
+    ],
+    handleValidationErrors,
+    recordingOwner,
+    async (req, res) => {
+      try {
+        const edits = await recordingManager.getEditDecisionList(req.params.recordingId);
+
+        res.json({
+          success: true,
+          data: edits
+        });
+      } catch (error) {
+        console.error('Error getting recording edits:', error);
+        sendError(res, error, 'Failed to get recording edits');
+      }
+    }
+  );
+
+  /**
+   * POST /api/recordings/:recordingId/edits - Add a marker, trim or split
+   */
+  router.post('/:recordingId/edits',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('recordingId').isUUID().withMessage('Invalid recording ID'),
+      body('type').isIn(EDIT_TYPES).withMessage(`Type must be one of: ${EDIT_TYPES.join(', ')}`),
+      ...editValidation
+    ],
+    handleValidationErrors,
+    recordingOwner,
+    async (req, res) => {
+      try {
+        const { type, time, start, end, label } = req.body;
+        const edit = await recordingManager.addEdit(req.params.recordingId, { type, time, start, end, label }, req.user.id);
+
+        res.status(201).json({
+          success: true,
+          data: edit
+        });
+      } catch (error) {
+        console.error('Error adding recording edit:', error);
+        sendError(res, error, 'Failed to add recording edit');
+      }
+    }
+  );
+
+  /**
+   * PATCH /api/recordings/:recordingId/edits/:editId - Move or relabel an edit
+   */
+  router.patch('/:recordingId/edits/:editId',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('recordingId').isUUID().withMessage('Invalid recording ID'),
+      param('editId').isUUID().withMessage('Invalid edit ID'),
+      ...editValidation
+    ],
+    handleValidationErrors,
+    recordingOwner,
+    async (req, res) => {
+      try {
+        const changes = {};
+        for (const field of ['time', 'start', 'end', 'label']) {
+          if (req.body[field] !== undefined) {
+            changes[field] = req.body[field];
+          }
+        }
+
+        const edit = await recordingManager.updateEdit(req.params.recordingId, req.params.editId, changes);
+
+        res.json({
+          success: true,
+          data: edit
+        });
+      } catch (error) {
+        console.error('Error updating recording edit:', error);
+        sendError(res, error, 'Failed to update recording edit');
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/recordings/:recordingId/edits/:editId - Remove an edit
+   */
+  router.delete('/:recordingId/edits/:editId',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('recordingId').isUUID().withMessage('Invalid recording ID'),
+      param('editId').isUUID().withMessage('Invalid edit ID')
+    ],
+    handleValidationErrors,
+    recordingOwner,
+    async (req, res) => {
+      try {
+        await recordingManager.deleteEdit(req.params.recordingId, req.params.editId);
+
+        res.json({
+          success: true,
+          message: 'Edit removed'
+        });
+      } catch (error) {
+        console.error('Error deleting recording edit:', error);
+        sendError(res, error, 'Failed to delete recording edit');
+      }
+    }
+  );
+
+  /**
+   * POST /api/recordings/:recordingId/render - Render the edits into a new rendition
+   */
+  router.post('/:recordingId/render',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('recordingId').isUUID().withMessage('Invalid recording ID')
+    ],
+    handleValidationErrors,
+    recordingOwner,
+    async (req, res) => {
+      try {
+        const rendition = await recordingManager.renderEdits(req.params.recordingId, req.user.id);
+
+        res.status(202).json({
+          success: true,
+          data: rendition,
+          message: 'Rendering started'
+        });
+      } catch (error) {
+        console.error('Error rendering recording:', error);
+        sendError(res, error, 'Failed to render recording');
+      }
+    }
+  );
+
+  /**
+   * POST /api/recordings/:recordingId/clips - Export a shareable clip
+   */
+  router.post('/:recordingId/clips',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('recordingId').isUUID().withMessage('Invalid recording ID'),
+      body('start').isFloat({ min: 0 }).withMessage('Start must be a non-negative number of seconds'),
+      body('end').isFloat({ min: 0 }).withMessage('End must be a non-negative number of seconds'),
+      body('title').optional().isString().isLength({ max: 255 }).withMessage('Title must be at most 255 characters')
+    ],
+    handleValidationErrors,
+    recordingOwner,
+    async (req, res) => {
+      try {
+        const { start, end, title } = req.body;
+        const clip = await recordingManager.exportClip(req.params.recordingId, { start, end, title }, req.user.id);
+
+        res.status(202).json({
+          success: true,
+          data: clip,
+          message: 'Clip export started'
+        });
+      } catch (error) {
+        console.error('Error exporting clip:', error);
+        sendError(res, error, 'Failed to export clip');
+      }
+    }
+  );
+
+  /**
+   * GET /api/recordings/:recordingId/renditions - Renditions and clips of a recording
+   */
+  router.get('/:recordingId/renditions',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('recordingId').isUUID().withMessage('Invalid recording ID')
+    ],
+    handleValidationErrors,
+    recordingOwner,
+    async (req, res) => {
+      try {
+        const renditions = await recordingManager.listRenditions(req.params.recordingId);
+
+        res.json({
+          success: true,
+          data: renditions
+        });
+      } catch (error) {
+        console.error('Error getting renditions:', error);
+        sendError(res, error, 'Failed to get renditions');
+      }
+    }
+  );
+
+  /**
+   * Load a rendition and its recording's owner
+   */
+  const renditionOwner = async (req, res, next) => {
+    try {
+      const rendition = await recordingManager.getRendition(req.params.renditionId);
+
+      if (!rendition) {
+        return res.status(404).json({
+          error: 'Rendition not found'
+        });
+      }
+
+      req.rendition = rendition;
+      recordingOwner(req, res, next);
+    } catch (error) {
+      console.error('Error loading rendition:', error);
+      res.status(500).json({
+        error: 'Failed to load rendition',
+        message: error.message
+      });
+    }
+  };
+
+  /**
+   * GET /api/recordings/renditions/:renditionId - Rendition status and files
+   */
+  router.get('/renditions/:renditionId',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('renditionId').isUUID().withMessage('Invalid rendition ID')
+    ],
+    handleValidationErrors,
+    renditionOwner,
+    (req, res) => {
+      res.json({
+        success: true,
+        data: req.rendition
+      });
+    }
+  );
+
+  /**
+   * GET /api/recordings/renditions/:renditionId/chapters.vtt - WebVTT chapters track
+   */
+  router.get('/renditions/:renditionId/chapters.vtt',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('renditionId').isUUID().withMessage('Invalid rendition ID')
+    ],
+    handleValidationErrors,
+    renditionOwner,
+    async (req, res) => {
+      try {
+        const vtt = await recordingManager.getRenditionChapters(req.params.renditionId);
+
+        res.type('text/vtt').send(vtt);
+      } catch (error) {
+        console.error('Error getting rendition chapters:', error);
+        sendError(res, error, 'Failed to get rendition chapters');
+      }
+    }
+  );
+
+  /**
+   * GET /api/recordings/clips/:shareId - Shared clip, public
+   */
+  router.get('/clips/:shareId',
+    [
+      param('shareId').isString().isLength({ min: 8, max: 32 }).withMessage('Invalid share ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const clip = await recordingManager.getSharedClip(req.params.shareId);
+
+        if (!clip) {
+          return res.status(404).json({
+            error: 'Clip not found'
+          });
+        }
+
+        const { id, title, duration, url, thumbnailUrl, previewUrl, createdAt } = clip;
+        res.json({
+          success: true,
+          data: { id, title, duration, url, thumbnailUrl, previewUrl, createdAt }
+        });
+      } catch (error) {
+        console.error('Error getting shared clip:', error);
+        sendError(res, error, 'Failed to get clip');
+      }
+    }
+  );
+
   return router;
 };
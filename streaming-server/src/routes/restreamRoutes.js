@@ -0,0 +1,242 @@
+/**
+ * Restream API Routes
+ *
+ * Endpoints:
+ * GET    /api/restreams/streams/:streamId          - List a stream's destinations with relay health
+ * POST   /api/restreams/streams/:streamId          - Add a destination
+ * GET    /api/restreams/:destinationId             - Get a destination
+ * PATCH  /api/restreams/:destinationId             - Change name, server, key or enabled
+ * DELETE /api/restreams/:destinationId             - Remove a destination
+ * POST   /api/restreams/:destinationId/reconnect   - Restart a destination's relay
+ *
+ * Third-party stream keys are write-only; responses carry the last four
+ * characters as streamKeyHint.
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const PLATFORMS = ['youtube', 'twitch', 'facebook', 'linkedin', 'custom'];
+
+module.exports = (restreamManager, authMiddleware) => {
+  const router = express.Router();
+
+  // Validation middleware
+  const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  };
+
+  // Manager errors carry their own status (404, 403, 409, 400)
+  const sendError = (res, error, message) => {
+    res.status(error.statusCode || 500).json({
+      error: message,
+      message: error.message
+    });
+  };
+
+  /**
+   * Load the destination and allow its owner or an admin
+   */
+  const destinationOwner = async (req, res, next) => {
+    try {
+      const destination = await restreamManager.getDestination(req.params.destinationId);
+
+      if (!destination) {
+        return res.status(404).json({
+          error: 'Restream destination not found'
+        });
+      }
+
+      if (String(destination.userId) !== String(req.user.id) && !authMiddleware.can(req.user, '*')) {
+        return res.status(403).json({
+          error: 'You can only manage your own restream destinations'
+        });
+      }
+
+      req.destination = destination;
+      next();
+    } catch (error) {
+      console.error('Error loading restream destination:', error);
+      res.status(500).json({
+        error: 'Failed to load restream destination',
+        message: error.message
+      });
+    }
+  };
+
+  const destinationFields = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+      body('platform').optional().isIn(PLATFORMS).withMessage('Invalid platform'),
+      body('name').optional().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+      body('serverUrl').optional().matches(/^rtmps?:\/\//).isLength({ max: 500 })
+        .withMessage('Server URL must be an rtmp:// or rtmps:// URL'),
+      field('streamKey').isString().isLength({ min: 1, max: 500 }).withMessage('Stream key is required'),
+      body('enabled').optional().isBoolean().withMessage('enabled must be a boolean')
+    ];
+  };
+
+  const destinationIdParam = param('destinationId').isUUID().withMessage('Invalid destination ID');
+
+  /**
+   * GET /api/restreams/streams/:streamId - List a stream's destinations
+   */
+  router.get('/streams/:streamId',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const destinations = await restreamManager.listDestinations(req.user.id, req.params.streamId);
+
+        res.json({
+          success: true,
+          data: destinations
+        });
+      } catch (error) {
+        console.error('Error listing restream destinations:', error);
+        sendError(res, error, 'Failed to list restream destinations');
+      }
+    }
+  );
+
+  /**
+   * POST /api/restreams/streams/:streamId - Add a destination
+   */
+  router.post('/streams/:streamId',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('streamId').isUUID().withMessage('Invalid stream ID'),
+      ...destinationFields(false)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const destination = await restreamManager.createDestination(req.user.id, req.params.streamId, {
+          platform: req.body.platform,
+          name: req.body.name,
+          serverUrl: req.body.serverUrl,
+          streamKey: req.body.streamKey,
+          enabled: req.body.enabled
+        });
+
+        res.status(201).json({
+          success: true,
+          data: destination,
+          message: 'Restream destination added'
+        });
+      } catch (error) {
+        console.error('Error creating restream destination:', error);
+        sendError(res, error, 'Failed to add restream destination');
+      }
+    }
+  );
+
+  /**
+   * GET /api/restreams/:destinationId - Get a destination
+   */
+  router.get('/:destinationId',
+    authMiddleware.authorize('create_stream'),
+    [destinationIdParam],
+    handleValidationErrors,
+    destinationOwner,
+    (req, res) => {
+      res.json({
+        success: true,
+        data: req.destination
+      });
+    }
+  );
+
+  /**
+   * PATCH /api/restreams/:destinationId - Change a destination
+   */
+  router.patch('/:destinationId',
+    authMiddleware.authorize('create_stream'),
+    [
+      destinationIdParam,
+      ...destinationFields(true)
+    ],
+    handleValidationErrors,
+    destinationOwner,
+    async (req, res) => {
+      try {
+        const destination = await restreamManager.updateDestination(req.params.destinationId, {
+          platform: req.body.platform,
+          name: req.body.name,
+          serverUrl: req.body.serverUrl,
+          streamKey: req.body.streamKey,
+          enabled: req.body.enabled
+        });
+
+        res.json({
+          success: true,
+          data: destination,
+          message: 'Restream destination updated'
+        });
+      } catch (error) {
+        console.error('Error updating restream destination:', error);
+        sendError(res, error, 'Failed to update restream destination');
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/restreams/:destinationId - Remove a destination
+   */
+  router.delete('/:destinationId',
+    authMiddleware.authorize('create_stream'),
+    [destinationIdParam],
+    handleValidationErrors,
+    destinationOwner,
+    async (req, res) => {
+      try {
+        await restreamManager.deleteDestination(req.params.destinationId);
+
+        res.json({
+          success: true,
+          message: 'Restream destination removed'
+        });
+      } catch (error) {
+        console.error('Error deleting restream destination:', error);
+        sendError(res, error, 'Failed to remove restream destination');
+      }
+    }
+  );
+
+  /**
+   * POST /api/restreams/:destinationId/reconnect - Restart a relay
+   */
+  router.post('/:destinationId/reconnect',
+    authMiddleware.authorize('create_stream'),
+    [destinationIdParam],
+    handleValidationErrors,
+    destinationOwner,
+    async (req, res) => {
+      try {
+        const destination = await restreamManager.reconnectDestination(req.params.destinationId);
+
+        res.json({
+          success: true,
+          data: destination,
+          message: 'Restream relay restarted'
+        });
+      } catch (error) {
+        console.error('Error reconnecting restream destination:', error);
+        sendError(res, error, 'Failed to restart restream relay');
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,239 @@
+/**
+ * Stream Schedule API Routes
+ *
+ * Endpoints:
+ * GET    /api/schedules              - List the host's schedules
+ * POST   /api/schedules              - Schedule a stream (optionally recurring)
+ * GET    /api/schedules/:scheduleId  - Get schedule with upcoming occurrences
+ * PATCH  /api/schedules/:scheduleId  - Reschedule or change settings
+ * DELETE /api/schedules/:scheduleId  - Cancel the series, or ?scope=occurrence to skip the next one
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const RECURRENCES = ['none', 'daily', 'weekly', 'monthly'];
+const STATUSES = ['scheduled', 'started', 'missed', 'completed', 'cancelled'];
+
+module.exports = (streamScheduler, authMiddleware) => {
+  const router = express.Router();
+
+  // Validation middleware
+  const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  };
+
+  // Scheduler errors carry their own status (404, 403, 409, 400)
+  const sendError = (res, error, message) => {
+    res.status(error.statusCode || 500).json({
+      error: message,
+      message: error.message
+    });
+  };
+
+  /**
+   * Load the schedule and allow its host or an admin
+   */
+  const scheduleOwner = async (req, res, next) => {
+    try {
+      const schedule = await streamScheduler.getSchedule(req.params.scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          error: 'Schedule not found'
+        });
+      }
+
+      if (String(schedule.userId) !== String(req.user.id) && !authMiddleware.can(req.user, '*')) {
+        return res.status(403).json({
+          error: 'You can only manage your own schedules'
+        });
+      }
+
+      req.schedule = schedule;
+      next();
+    } catch (error) {
+      console.error('Error loading schedule:', error);
+      res.status(500).json({
+        error: 'Failed to load schedule',
+        message: error.message
+      });
+    }
+  };
+
+  const scheduleFields = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+      field('scheduledTime').isISO8601().withMessage('Scheduled time must be an ISO 8601 date'),
+      body('title').optional().isLength({ min: 1, max: 255 }).withMessage('Title must be 1-255 characters'),
+      body('description').optional().isLength({ max: 5000 }).withMessage('Description must be less than 5000 characters'),
+      body('autoStart').optional().isBoolean().withMessage('autoStart must be a boolean'),
+      body('reminderOffsets').optional().isArray({ max: streamScheduler.config.maxReminders })
+        .withMessage(`At most ${streamScheduler.config.maxReminders} reminders are allowed`),
+      body('reminderOffsets.*').optional().isInt({ min: 1, max: streamScheduler.config.maxReminderOffset })
+        .withMessage('Reminder offsets are minutes before the start'),
+      body('recurrence.frequency').optional().isIn(RECURRENCES).withMessage('Invalid recurrence'),
+      body('recurrence.interval').optional().isInt({ min: 1, max: streamScheduler.config.maxRecurrenceInterval })
+        .withMessage('Invalid recurrence interval'),
+      body('recurrence.until').optional({ values: 'null' }).isISO8601().withMessage('Recurrence end must be an ISO 8601 date'),
+      body('recurrence.count').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Recurrence count must be a positive integer')
+    ];
+  };
+
+  /**
+   * GET /api/schedules - List the host's schedules
+   */
+  router.get('/',
+    authMiddleware.authorize('create_stream'),
+    [
+      query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+      query('streamId').optional().isUUID().withMessage('Invalid stream ID'),
+      query('from').optional().isISO8601().withMessage('Invalid from date'),
+      query('to').optional().isISO8601().withMessage('Invalid to date'),
+      query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const schedules = await streamScheduler.listSchedules(req.user.id, {
+          status: req.query.status,
+          streamId: req.query.streamId,
+          from: req.query.from,
+          to: req.query.to,
+          limit: req.query.limit
+        });
+
+        res.json({
+          success: true,
+          data: schedules
+        });
+      } catch (error) {
+        console.error('Error listing schedules:', error);
+        sendError(res, error, 'Failed to list schedules');
+      }
+    }
+  );
+
+  /**
+   * POST /api/schedules - Schedule a stream
+   */
+  router.post('/',
+    authMiddleware.authorize('create_stream'),
+    [
+      body('streamId').isUUID().withMessage('Invalid stream ID'),
+      ...scheduleFields(false)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const schedule = await streamScheduler.createSchedule(req.user.id, {
+          streamId: req.body.streamId,
+          scheduledTime: req.body.scheduledTime,
+          title: req.body.title,
+          description: req.body.description,
+          autoStart: req.body.autoStart,
+          reminderOffsets: req.body.reminderOffsets,
+          recurrence: req.body.recurrence
+        });
+
+        res.status(201).json({
+          success: true,
+          data: schedule,
+          message: 'Stream scheduled successfully'
+        });
+      } catch (error) {
+        console.error('Error creating schedule:', error);
+        sendError(res, error, 'Failed to schedule stream');
+      }
+    }
+  );
+
+  /**
+   * GET /api/schedules/:scheduleId - Get schedule
+   */
+  router.get('/:scheduleId',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('scheduleId').isUUID().withMessage('Invalid schedule ID')
+    ],
+    handleValidationErrors,
+    scheduleOwner,
+    (req, res) => {
+      res.json({
+        success: true,
+        data: req.schedule
+      });
+    }
+  );
+
+  /**
+   * PATCH /api/schedules/:scheduleId - Reschedule or change settings
+   */
+  router.patch('/:scheduleId',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('scheduleId').isUUID().withMessage('Invalid schedule ID'),
+      ...scheduleFields(true)
+    ],
+    handleValidationErrors,
+    scheduleOwner,
+    async (req, res) => {
+      try {
+        const changes = {};
+        for (const key of ['scheduledTime', 'title', 'description', 'autoStart', 'reminderOffsets', 'recurrence']) {
+          if (req.body[key] !== undefined) {
+            changes[key] = req.body[key];
+          }
+        }
+
+        const schedule = await streamScheduler.rescheduleSchedule(req.params.scheduleId, changes);
+
+        res.json({
+          success: true,
+          data: schedule,
+          message: 'Schedule updated successfully'
+        });
+      } catch (error) {
+        console.error('Error rescheduling stream:', error);
+        sendError(res, error, 'Failed to update schedule');
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/schedules/:scheduleId - Cancel schedule
+   */
+  router.delete('/:scheduleId',
+    authMiddleware.authorize('create_stream'),
+    [
+      param('scheduleId').isUUID().withMessage('Invalid schedule ID'),
+      query('scope').optional().isIn(['series', 'occurrence']).withMessage('Scope must be series or occurrence')
+    ],
+    handleValidationErrors,
+    scheduleOwner,
+    async (req, res) => {
+      try {
+        const schedule = await streamScheduler.cancelSchedule(req.params.scheduleId, req.query.scope || 'series');
+
+        res.json({
+          success: true,
+          data: schedule,
+          message: schedule.status === 'cancelled' ? 'Schedule cancelled' : 'Next occurrence skipped'
+        });
+      } catch (error) {
+        console.error('Error cancelling schedule:', error);
+        sendError(res, error, 'Failed to cancel schedule');
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,254 @@
+/**
+ * Stream Key API Routes
+ *
+ * Endpoints:
+ * GET    /api/streams/:streamId/keys          - List the stream's publishing keys
+ * POST   /api/streams/:streamId/keys/rotate   - Issue a new primary key
+ * POST   /api/streams/:streamId/keys/backup   - Issue one-time backup keys
+ * GET    /api/streams/:streamId/keys/audit    - Recent publish attempts
+ * PATCH  /api/streams/:streamId/keys/:keyId   - Change a key's allowlist or expiry
+ * DELETE /api/streams/:streamId/keys/:keyId   - Revoke a key, ending any publish using it
+ *
+ * Plain keys are only returned by rotate and backup; listings carry the
+ * first four characters as prefix.
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+module.exports = (streamKeyManager, authMiddleware) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Validation middleware
+  const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  };
+
+  // Manager errors carry their own status (404, 409, 400)
+  const sendError = (res, error, message) => {
+    res.status(error.statusCode || 500).json({
+      error: message,
+      message: error.message
+    });
+  };
+
+  // The stream's owner or an admin
+  const streamOwner = authMiddleware.authorize('create_stream', { owner: 'stream' });
+
+  /**
+   * Load a key that belongs to the stream
+   */
+  const streamKey = async (req, res, next) => {
+    try {
+      const key = await streamKeyManager.getKey(req.params.keyId);
+
+      if (!key || key.streamId !== req.params.streamId) {
+        return res.status(404).json({
+          error: 'Stream key not found'
+        });
+      }
+
+      req.streamKey = key;
+      next();
+    } catch (error) {
+      console.error('Error loading stream key:', error);
+      res.status(500).json({
+        error: 'Failed to load stream key',
+        message: error.message
+      });
+    }
+  };
+
+  const streamIdParam = param('streamId').isUUID().withMessage('Invalid stream ID');
+  const keyIdParam = param('keyId').isUUID().withMessage('Invalid key ID');
+
+  const keyFields = [
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+    body('allowedIps').optional({ values: 'null' }).isArray({ max: 20 }).withMessage('allowedIps must be a list of at most 20 entries'),
+    body('allowedIps.*').isString().withMessage('allowedIps entries must be addresses or CIDR ranges')
+  ];
+
+  /**
+   * GET /api/streams/:streamId/keys - List keys
+   */
+  router.get('/',
+    streamOwner,
+    [streamIdParam],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const keys = await streamKeyManager.listKeys(req.params.streamId);
+
+        res.json({
+          success: true,
+          data: keys
+        });
+      } catch (error) {
+        console.error('Error listing stream keys:', error);
+        sendError(res, error, 'Failed to list stream keys');
+      }
+    }
+  );
+
+  /**
+   * POST /api/streams/:streamId/keys/rotate - Issue a new primary key
+   */
+  router.post('/rotate',
+    streamOwner,
+    [
+      streamIdParam,
+      body('gracePeriod').optional().isInt({ min: 0, max: 10080 }).withMessage('gracePeriod must be 0-10080 minutes'),
+      ...keyFields
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const key = await streamKeyManager.rotateKey(req.params.streamId, {
+          gracePeriod: req.body.gracePeriod !== undefined ? req.body.gracePeriod * 60 * 1000 : undefined,
+          expiresAt: req.body.expiresAt,
+          allowedIps: req.body.allowedIps,
+          createdBy: req.user.id
+        });
+
+        res.status(201).json({
+          success: true,
+          data: key,
+          message: 'Stream key rotated'
+        });
+      } catch (error) {
+        console.error('Error rotating stream key:', error);
+        sendError(res, error, 'Failed to rotate stream key');
+      }
+    }
+  );
+
+  /**
+   * POST /api/streams/:streamId/keys/backup - Issue backup keys
+   */
+  router.post('/backup',
+    streamOwner,
+    [
+      streamIdParam,
+      body('count').optional().isInt({ min: 1, max: 10 }).withMessage('count must be 1-10'),
+      ...keyFields
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const keys = await streamKeyManager.createBackupKeys(req.params.streamId, {
+          count: req.body.count,
+          expiresAt: req.body.expiresAt,
+          allowedIps: req.body.allowedIps,
+          createdBy: req.user.id
+        });
+
+        res.status(201).json({
+          success: true,
+          data: keys,
+          message: 'Backup stream keys issued'
+        });
+      } catch (error) {
+        console.error('Error issuing backup stream keys:', error);
+        sendError(res, error, 'Failed to issue backup stream keys');
+      }
+    }
+  );
+
+  /**
+   * GET /api/streams/:streamId/keys/audit - Recent publish attempts
+   */
+  router.get('/audit',
+    streamOwner,
+    [
+      streamIdParam,
+      query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be 1-500')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const attempts = await streamKeyManager.listPublishAttempts(req.params.streamId, {
+          limit: req.query.limit
+        });
+
+        res.json({
+          success: true,
+          data: attempts
+        });
+      } catch (error) {
+        console.error('Error listing publish attempts:', error);
+        sendError(res, error, 'Failed to list publish attempts');
+      }
+    }
+  );
+
+  /**
+   * PATCH /api/streams/:streamId/keys/:keyId - Change allowlist or expiry
+   */
+  router.patch('/:keyId',
+    streamOwner,
+    [
+      streamIdParam,
+      keyIdParam,
+      ...keyFields
+    ],
+    handleValidationErrors,
+    streamKey,
+    async (req, res) => {
+      try {
+        const key = await streamKeyManager.updateKey(req.streamKey.id, {
+          allowedIps: req.body.allowedIps,
+          expiresAt: req.body.expiresAt
+        });
+
+        res.json({
+          success: true,
+          data: key,
+          message: 'Stream key updated'
+        });
+      } catch (error) {
+        console.error('Error updating stream key:', error);
+        sendError(res, error, 'Failed to update stream key');
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/streams/:streamId/keys/:keyId - Revoke a key
+   */
+  router.delete('/:keyId',
+    streamOwner,
+    [
+      streamIdParam,
+      keyIdParam,
+      body('reason').optional().isString().isLength({ max: 255 }).withMessage('reason must be at most 255 characters')
+    ],
+    handleValidationErrors,
+    streamKey,
+    async (req, res) => {
+      try {
+        const key = await streamKeyManager.revokeKey(req.streamKey.id, {
+          reason: req.body.reason,
+          revokedBy: req.user.id
+        });
+
+        res.json({
+          success: true,
+          data: key,
+          message: 'Stream key revoked'
+        });
+      } catch (error) {
+        console.error('Error revoking stream key:', error);
+        sendError(res, error, 'Failed to revoke stream key');
+      }
+    }
+  );
+
+  return router;
+};
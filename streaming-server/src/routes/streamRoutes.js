@@ -2,40 +2,25 @@
  * Stream Management API Routes
  * 
  * Endpoints:
- * POST   /api/streams           - Create new stream
- * GET    /api/streams/:id       - Get stream details
- * PUT    /api/streams/:id       - Update stream
- * DELETE /api/streams/:id       - Delete stream
- * POST   /api/streams/:id/start - Start stream
- * POST   /api/streams/:id/stop  - Stop stream
- * GET    /api/streams/live      - List active streams
- * GET    /api/streams/:id/stats - Get stream statistics
+ * POST   /api/streams           - Create new stream (create_stream)
+ * GET    /api/streams/:id       - Get stream details (public)
+ * PUT    /api/streams/:id       - Update stream (owner)
+ * DELETE /api/streams/:id       - Delete stream (owner)
+ * POST   /api/streams/:id/start - Start stream (owner)
+ * POST   /api/streams/:id/stop  - Stop stream (owner)
+ * GET    /api/streams/live      - List active streams (public)
+ * GET    /api/streams/:id/stats - Get stream statistics (owner)
+ *
+ * Owner routes are for the stream's owner or an admin.
  */
 
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 
-module.exports = (streamManager, analyticsCollector) => {
+module.exports = (streamManager, analyticsCollector, authMiddleware) => {
   const router = express.Router();
 
-  // Authentication middleware
-  const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
-    }
-
-    jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-      if (err) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
-      }
-      req.user = user;
-      next();
-    });
-  };
+  const streamOwner = authMiddleware.authorize('create_stream', { owner: 'stream', param: 'id' });
 
   // Validation middleware
   const handleValidationErrors = (req, res, next) => {
@@ -53,7 +38,7 @@ module.exports = (streamManager, analyticsCollector) => {
    * POST /api/streams - Create new stream
    */
   router.post('/',
-    authenticateToken,
+    authMiddleware.authorize('create_stream'),
     [
       body('title').isLength({ min: 1, max: 255 }).withMessage('Title is required and must be less than 255 characters'),
       body('description').optional().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
@@ -61,7 +46,8 @@ module.exports = (streamManager, analyticsCollector) => {
       body('quality').optional().isIn(['360p', '480p', '720p', '1080p']).withMessage('Invalid quality setting'),
       body('max_viewers').optional().isInt({ min: 1, max: 10000 }).withMessage('Max viewers must be between 1 and 10000'),
       body('recording_enabled').optional().isBoolean().withMessage('Recording enabled must be boolean'),
-      body('chat_enabled').optional().isBoolean().withMessage('Chat enabled must be boolean')
+      body('chat_enabled').optional().isBoolean().withMessage('Chat enabled must be boolean'),
+      body('latency_mode').optional().isIn(['standard', 'low']).withMessage('Latency mode must be standard or low')
     ],
     handleValidationErrors,
     async (req, res) => {
@@ -73,7 +59,8 @@ module.exports = (streamManager, analyticsCollector) => {
           quality: req.body.quality || '720p',
           max_viewers: req.body.max_viewers || 1000,
           recording_enabled: req.body.recording_enabled !== false,
-          chat_enabled: req.body.chat_enabled !== false
+          chat_enabled: req.body.chat_enabled !== false,
+          latency_mode: req.body.latency_mode || 'standard'
         };
 
         const stream = await streamManager.createStream(req.user.id, streamData);
@@ -109,7 +96,7 @@ module.exports = (streamManager, analyticsCollector) => {
         const limit = parseInt(req.query.limit) || 20;
         const category = req.query.category;
 
-        const activeStreams = streamManager.getActiveStreams();
+        const activeStreams = await streamManager.getActiveStreams();
 
         res.json({
           success: true,
@@ -140,7 +127,7 @@ module.exports = (streamManager, analyticsCollector) => {
     handleValidationErrors,
     async (req, res) => {
       try {
-        const stream = await streamManager.getStreamById(req.params.id);
+        const stream = await streamManager.getStream(req.params.id);
 
         if (!stream) {
           return res.status(404).json({
@@ -175,7 +162,7 @@ module.exports = (streamManager, analyticsCollector) => {
    * PUT /api/streams/:id - Update stream
    */
   router.put('/:id',
-    authenticateToken,
+    streamOwner,
     [
       param('id').isUUID().withMessage('Invalid stream ID'),
       body('title').optional().isLength({ min: 1, max: 255 }).withMessage('Title must be less than 255 characters'),
@@ -185,7 +172,7 @@ module.exports = (streamManager, analyticsCollector) => {
     handleValidationErrors,
     async (req, res) => {
       try {
-        const stream = await streamManager.getStreamById(req.params.id);
+        const stream = await streamManager.getStream(req.params.id);
         
         if (!stream) {
           return res.status(404).json({
@@ -193,13 +180,6 @@ module.exports = (streamManager, analyticsCollector) => {
           });
         }
 
-        // Check if user owns the stream
-        if (stream.user_id !== req.user.id) {
-          return res.status(403).json({
-            error: 'You can only update your own streams'
-          });
-        }
-
         // Can't update live streams
         if (stream.status === 'live') {
           return res.status(400).json({
@@ -228,14 +208,14 @@ module.exports = (streamManager, analyticsCollector) => {
    * DELETE /api/streams/:id - Delete stream
    */
   router.delete('/:id',
-    authenticateToken,
+    streamOwner,
     [
       param('id').isUUID().withMessage('Invalid stream ID')
     ],
     handleValidationErrors,
     async (req, res) => {
       try {
-        const stream = await streamManager.getStreamById(req.params.id);
+        const stream = await streamManager.getStream(req.params.id);
         
         if (!stream) {
           return res.status(404).json({
@@ -243,13 +223,6 @@ module.exports = (streamManager, analyticsCollector) => {
           });
         }
 
-        // Check if user owns the stream
-        if (stream.user_id !== req.user.id) {
-          return res.status(403).json({
-            error: 'You can only delete your own streams'
-          });
-        }
-
         // Can't delete live streams
         if (stream.status === 'live') {
           return res.status(400).json({
@@ -277,14 +250,14 @@ module.exports = (streamManager, analyticsCollector) => {
    * POST /api/streams/:id/start - Start stream
    */
   router.post('/:id/start',
-    authenticateToken,
+    streamOwner,
     [
       param('id').isUUID().withMessage('Invalid stream ID')
     ],
     handleValidationErrors,
     async (req, res) => {
       try {
-        const stream = await streamManager.getStreamById(req.params.id);
+        const stream = await streamManager.getStream(req.params.id);
         
         if (!stream) {
           return res.status(404).json({
@@ -292,13 +265,6 @@ module.exports = (streamManager, analyticsCollector) => {
           });
         }
 
-        // Check if user owns the stream
-        if (stream.user_id !== req.user.id) {
-          return res.status(403).json({
-            error: 'You can only start your own streams'
-          });
-        }
-
         // Check if stream can be started
         if (stream.status !== 'scheduled') {
           return res.status(400).json({
@@ -314,7 +280,7 @@ module.exports = (streamManager, analyticsCollector) => {
             id: stream.id,
             status: 'live',
             rtmpUrl: `rtmp://localhost:1935/live/${stream.stream_key}`,
-            hlsUrl: `http://localhost:8080/live/${stream.stream_key}/index.m3u8`
+            ...streamManager.getPlaybackUrls(stream.stream_key, stream.latency_mode)
           },
           message: 'Stream started successfully'
         });
@@ -332,14 +298,14 @@ module.exports = (streamManager, analyticsCollector) => {
    * POST /api/streams/:id/stop - Stop stream
    */
   router.post('/:id/stop',
-    authenticateToken,
+    streamOwner,
     [
       param('id').isUUID().withMessage('Invalid stream ID')
     ],
     handleValidationErrors,
     async (req, res) => {
       try {
-        const stream = await streamManager.getStreamById(req.params.id);
+        const stream = await streamManager.getStream(req.params.id);
         
         if (!stream) {
           return res.status(404).json({
@@ -347,13 +313,6 @@ module.exports = (streamManager, analyticsCollector) => {
           });
         }
 
-        // Check if user owns the stream
-        if (stream.user_id !== req.user.id) {
-          return res.status(403).json({
-            error: 'You can only stop your own streams'
-          });
-        }
-
         // Check if stream is live
         if (stream.status !== 'live') {
           return res.status(400).json({
@@ -387,13 +346,14 @@ module.exports = (streamManager, analyticsCollector) => {
    * GET /api/streams/:id/stats - Get stream statistics
    */
   router.get('/:id/stats',
+    streamOwner,
     [
       param('id').isUUID().withMessage('Invalid stream ID')
     ],
     handleValidationErrors,
     async (req, res) => {
       try {
-        const stream = await streamManager.getStreamById(req.params.id);
+        const stream = await streamManager.getStream(req.params.id);
         
         if (!stream) {
           return res.status(404).json({
@@ -1,11 +1,15 @@
 /**
  * WebRTC Routes
+ *
+ * The configuration is public; signaling needs a signed-in user and SFU
+ * stats the stream's owner.
  */
 
 const express = require('express');
-const router = express.Router();
 
-module.exports = (webrtcSignaling) => {
+module.exports = (webrtcSignaling, sfu, authMiddleware) => {
+  const router = express.Router();
+
   // Get WebRTC configuration
   router.get('/config', (req, res) => {
     res.json({
@@ -17,7 +21,7 @@ module.exports = (webrtcSignaling) => {
   });
 
   // Create offer
-  router.post('/offer', async (req, res) => {
+  router.post('/offer', authMiddleware.authorize('view_content'), async (req, res) => {
     try {
       const { streamId, offer } = req.body;
       
@@ -33,7 +37,7 @@ module.exports = (webrtcSignaling) => {
   });
 
   // Create answer
-  router.post('/answer', async (req, res) => {
+  router.post('/answer', authMiddleware.authorize('view_content'), async (req, res) => {
     try {
       const { streamId, answer } = req.body;
       
@@ -49,7 +53,7 @@ module.exports = (webrtcSignaling) => {
   });
 
   // ICE candidate
-  router.post('/ice-candidate', async (req, res) => {
+  router.post('/ice-candidate', authMiddleware.authorize('view_content'), async (req, res) => {
     try {
       const { streamId, candidate } = req.body;
       
@@ -64,5 +68,20 @@ module.exports = (webrtcSignaling) => {
     }
   });
 
+  // Publishers, subscribers and chosen layers for a stream in SFU mode
+  router.get('/sfu/:streamId', authMiddleware.authorize('create_stream', { owner: 'stream' }), async (req, res) => {
+    try {
+      const stats = sfu && sfu.getRoomStats(req.params.streamId);
+
+      if (!stats) {
+        return res.status(404).json({ error: 'No SFU session for this stream' });
+      }
+
+      res.json({ success: true, data: stats });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   return router;
 };
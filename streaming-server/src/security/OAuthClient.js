@@ -0,0 +1,222 @@
+/**
+ * OAuthClient - Authorization code flow with PKCE for one provider
+ *
+ * Builds the authorization URL, exchanges the code for tokens and reads
+ * the signed-in account's profile. For OpenID Connect providers the
+ * endpoints come from discovery and the profile from the ID token, which
+ * is checked against the issuer's keys (JWKS), the client ID and the
+ * nonce sent with the authorization request.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createHttpError } = require('../utils/errors');
+
+const REQUEST_TIMEOUT = 10000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const base64url = buffer => buffer.toString('base64url');
+
+/**
+ * A PKCE code verifier and its S256 challenge
+ */
+function createPkcePair() {
+  const verifier = base64url(crypto.randomBytes(32));
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+}
+
+class OAuthClient {
+  constructor(name, provider) {
+    this.name = name;
+    this.provider = provider;
+
+    // Discovery document and keys, fetched once; keys again on rotation
+    this.metadata = null;
+    this.keys = null;
+  }
+
+  /**
+   * Endpoints, from discovery for OIDC providers
+   */
+  async getMetadata() {
+    if (this.metadata) {
+      return this.metadata;
+    }
+
+    if (this.provider.type !== 'oidc') {
+      this.metadata = {
+        authorization_endpoint: this.provider.authorizationEndpoint,
+        token_endpoint: this.provider.tokenEndpoint,
+        userinfo_endpoint: this.provider.userinfoEndpoint
+      };
+      return this.metadata;
+    }
+
+    const issuer = this.provider.issuer.replace(/\/$/, '');
+    const metadata = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer !== this.provider.issuer && metadata.issuer !== issuer) {
+      throw createHttpError(`${this.provider.displayName} discovery returned a different issuer`, 502);
+    }
+
+    this.metadata = metadata;
+    return metadata;
+  }
+
+  /**
+   * Where to send the browser to sign in
+   */
+  async getAuthorizationUrl({ redirectUri, state, codeChallenge, nonce }) {
+    const metadata = await this.getMetadata();
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.provider.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', this.provider.scopes.join(' '));
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (this.provider.type === 'oidc') {
+      url.searchParams.set('nonce', nonce);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Trade the authorization code for tokens
+   */
+  async exchangeCode({ code, codeVerifier, redirectUri }) {
+    const metadata = await this.getMetadata();
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier
+    });
+    const headers = {
+      Accept: 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    };
+
+    if (this.provider.tokenAuth === 'basic') {
+      const credentials = `${encodeURIComponent(this.provider.clientId)}:${encodeURIComponent(this.provider.clientSecret || '')}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_id', this.provider.clientId);
+      if (this.provider.clientSecret) {
+        params.set('client_secret', this.provider.clientSecret);
+      }
+    }
+
+    const response = await fetch(metadata.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: params,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    const tokens = await response.json().catch(() => ({}));
+
+    // GitHub answers refused codes with 200 and an error field
+    if (!response.ok || tokens.error || !tokens.access_token) {
+      throw createHttpError(
+        `${this.provider.displayName} refused the sign-in: ${tokens.error_description || tokens.error || response.status}`,
+        response.status >= 500 ? 502 : 400
+      );
+    }
+    return tokens;
+  }
+
+  /**
+   * The signed-in account, normalized (see oauthProviders)
+   */
+  async getProfile(tokens, { nonce } = {}) {
+    if (this.provider.type === 'oidc') {
+      if (!tokens.id_token) {
+        throw createHttpError(`${this.provider.displayName} did not return an ID token`, 502);
+      }
+      const claims = await this.verifyIdToken(tokens.id_token, nonce);
+      return {
+        subject: String(claims.sub),
+        email: claims.email || null,
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name || claims.preferred_username || null,
+        avatarUrl: claims.picture || null
+      };
+    }
+
+    const metadata = await this.getMetadata();
+    const authorization = { Authorization: `Bearer ${tokens.access_token}` };
+    const user = await this.fetchJson(metadata.userinfo_endpoint, authorization);
+    const emails = this.provider.emailsEndpoint
+      ? await this.fetchJson(this.provider.emailsEndpoint, authorization).catch(() => [])
+      : undefined;
+
+    return this.provider.profile(user, emails);
+  }
+
+  /**
+   * Claims of an ID token signed by the issuer for this client
+   */
+  async verifyIdToken(idToken, nonce) {
+    const metadata = await this.getMetadata();
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw createHttpError('Malformed ID token', 400);
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: this.provider.clientId
+      });
+    } catch (error) {
+      throw createHttpError(`Invalid ID token: ${error.message}`, 400);
+    }
+
+    if (!nonce || claims.nonce !== nonce) {
+      throw createHttpError('ID token nonce does not match the sign-in request', 400);
+    }
+    return claims;
+  }
+
+  /**
+   * Public key for a key ID; refetches the key set once for keys rotated
+   * in since the last fetch
+   */
+  async getSigningKey(kid) {
+    const find = () => (this.keys || []).find(jwk => !kid || jwk.kid === kid);
+
+    if (!find()) {
+      const metadata = await this.getMetadata();
+      const { keys } = await this.fetchJson(metadata.jwks_uri);
+      this.keys = keys.filter(jwk => !jwk.use || jwk.use === 'sig');
+    }
+
+    const jwk = find();
+    if (!jwk) {
+      throw createHttpError('ID token was signed with an unknown key', 400);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  async fetchJson(url, headers = {}) {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json', ...headers },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    if (!response.ok) {
+      throw createHttpError(`${this.provider.displayName} request failed (${response.status})`, 502);
+    }
+    return response.json();
+  }
+}
+
+module.exports = {
+  OAuthClient,
+  createPkcePair
+};
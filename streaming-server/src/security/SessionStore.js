@@ -0,0 +1,296 @@
+/**
+ * SessionStore - Signed-in devices and their refresh tokens
+ *
+ * Each session is a row in user_sessions: one device, with the hash of
+ * its current refresh token. Refreshing rotates the token. Presenting a
+ * token that was already rotated means it was copied, so the whole
+ * session (the token family) is signed out.
+ *
+ * Refresh tokens are signed with their own secret and audience, so they
+ * are never accepted where an access token is expected.
+ *
+ * Access tokens carry the session ID (sid). Signing a session out marks
+ * it revoked in Redis for as long as any of its tokens could live, so
+ * AuthMiddleware can refuse them, and disconnects its sockets.
+ *
+ * A sign-in from a device (browser, OS and device type) the user has not
+ * used recently sends a new-device notification, unless the user turned
+ * login notifications off.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { createHttpError } = require('../utils/errors');
+
+const REFRESH_AUDIENCE = 'refresh';
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Browser, OS and device type from a User-Agent, for listing devices and
+ * recognizing them across sign-ins
+ */
+function describeDevice(userAgent = '') {
+  const ua = String(userAgent || '');
+  const match = (patterns, fallback) => (patterns.find(([pattern]) => pattern.test(ua)) || [null, fallback])[1];
+
+  return {
+    browser: match([
+      [/OBS\//, 'OBS Studio'],
+      [/Edg(e|A|iOS)?\//, 'Edge'],
+      [/OPR\/|Opera/, 'Opera'],
+      [/Firefox\/|FxiOS/, 'Firefox'],
+      [/Chrome\/|CriOS/, 'Chrome'],
+      [/Version\/.*Safari\//, 'Safari']
+    ], 'Unknown browser'),
+    os: match([
+      [/iPhone|iPad|iPod/, 'iOS'],
+      [/Android/, 'Android'],
+      [/CrOS/, 'ChromeOS'],
+      [/Windows/, 'Windows'],
+      [/Mac OS X|Macintosh/, 'macOS'],
+      [/Linux/, 'Linux']
+    ], 'Unknown OS'),
+    type: match([
+      [/iPad|Tablet/, 'tablet'],
+      [/Mobile|iPhone|Android/, 'mobile']
+    ], 'desktop')
+  };
+}
+
+class SessionStore {
+  constructor(dbPool, redisClient, logger, config = {}) {
+    this.db = dbPool;
+    this.redis = redisClient;
+    this.logger = logger;
+
+    this.config = {
+      secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key',
+      refreshSecret: process.env.JWT_REFRESH_SECRET || null, // Derived from secret when not set
+      algorithm: 'HS256',
+      refreshTTL: 7 * 24 * 60 * 60, // Sliding: each refresh extends it
+      maxConcurrent: 5, // Signing in on one more device signs out the least recently used
+      knownDeviceDays: 90,
+      ...config
+    };
+    if (!this.config.refreshSecret) {
+      this.config.refreshSecret = crypto.createHmac('sha256', this.config.secret).update('refresh-tokens').digest('hex');
+    }
+
+    // Wired up by the server, to alert and disconnect signed-in sockets
+    this.io = null;
+  }
+
+  /**
+   * Start a session for a sign-in. Resolves to the session and its first
+   * refresh token.
+   */
+  async create(userId, { ipAddress = null, userAgent = null } = {}) {
+    const id = uuidv4();
+    const device = describeDevice(userAgent);
+    const fingerprint = hashToken(`${userId}:${device.browser}:${device.os}:${device.type}`);
+    const refreshToken = this.signRefreshToken(userId, id);
+
+    const [history] = await this.db.execute(`
+      SELECT device_fingerprint FROM user_sessions
+      WHERE user_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+    `, [userId, this.config.knownDeviceDays]);
+    const newDevice = history.length > 0 && !history.some(row => row.device_fingerprint === fingerprint);
+
+    await this.enforceLimit(userId);
+
+    await this.db.execute(`
+      INSERT INTO user_sessions (
+        id, user_id, refresh_token_hash, ip_address, user_agent, device_fingerprint,
+        is_active, last_activity, expires_at, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, TRUE, NOW(), DATE_ADD(NOW(), INTERVAL ? SECOND), NOW())
+    `, [id, userId, hashToken(refreshToken), ipAddress, userAgent ? String(userAgent).slice(0, 1000) : null, fingerprint, this.config.refreshTTL]);
+
+    const session = this.formatSession(await this.getRow(id), id);
+    if (newDevice) {
+      await this.notifyNewDevice(userId, session);
+    }
+    return { session, refreshToken };
+  }
+
+  /**
+   * Trade a refresh token for the next one. A token that was already
+   * traded signs the session out.
+   */
+  async rotate(refreshToken, { ipAddress = null } = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, this.config.refreshSecret, {
+        algorithms: [this.config.algorithm],
+        audience: REFRESH_AUDIENCE
+      });
+    } catch (error) {
+      throw createHttpError('Invalid refresh token', 401);
+    }
+    if (decoded.type !== 'refresh' || !decoded.sid) {
+      throw createHttpError('Invalid refresh token', 401);
+    }
+
+    const row = await this.getRow(decoded.sid);
+    if (!row || !row.is_active || new Date(row.expires_at) <= new Date()) {
+      throw createHttpError('Session has been signed out', 401);
+    }
+
+    const next = this.signRefreshToken(row.user_id, row.id);
+    const [result] = await this.db.execute(`
+      UPDATE user_sessions
+      SET refresh_token_hash = ?, ip_address = COALESCE(?, ip_address), last_activity = NOW(),
+          rotated_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+      WHERE id = ? AND refresh_token_hash = ? AND is_active = TRUE
+    `, [hashToken(next), ipAddress, this.config.refreshTTL, row.id, hashToken(refreshToken)]);
+
+    // Not the current token: it was rotated before, by this device or a copy
+    if (result.affectedRows === 0) {
+      await this.revokeRows([row], 'refresh_token_reuse');
+      this.logger.warn(`Refresh token reused for session ${row.id} of user ${row.user_id}; session signed out`);
+      throw createHttpError('Refresh token was already used. Please sign in again.', 401, {
+        reuse: { userId: row.user_id, sessionId: row.id }
+      });
+    }
+
+    return { userId: row.user_id, sessionId: row.id, refreshToken: next };
+  }
+
+  /**
+   * Active sessions, most recently used first; current marks the caller's
+   */
+  async list(userId, currentSessionId = null) {
+    const [rows] = await this.db.execute(`
+      SELECT * FROM user_sessions
+      WHERE user_id = ? AND is_active = TRUE AND expires_at > NOW()
+      ORDER BY last_activity DESC
+    `, [userId]);
+    return rows.map(row => this.formatSession(row, currentSessionId));
+  }
+
+  /**
+   * Sign one of the user's sessions out
+   */
+  async revoke(userId, sessionId, reason = 'sign_out') {
+    const row = await this.getRow(sessionId);
+    if (!row || String(row.user_id) !== String(userId) || !row.is_active) {
+      throw createHttpError('Session not found', 404);
+    }
+    await this.revokeRows([row], reason);
+    return this.formatSession(row);
+  }
+
+  /**
+   * Sign out every session of the user but keepSessionId; resolves to how
+   * many were signed out
+   */
+  async revokeOthers(userId, keepSessionId, reason = 'remote_sign_out') {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM user_sessions WHERE user_id = ? AND is_active = TRUE',
+      [userId]
+    );
+    const others = rows.filter(row => row.id !== keepSessionId);
+    await this.revokeRows(others, reason);
+    return others.length;
+  }
+
+  /**
+   * Whether access tokens of this session must be refused
+   */
+  async isRevoked(sessionId) {
+    return Boolean(await this.redis.get(`revoked_session:${sessionId}`));
+  }
+
+  async revokeRows(rows, reason) {
+    for (const row of rows) {
+      await this.db.execute(
+        'UPDATE user_sessions SET is_active = FALSE, revoked_at = NOW(), revoked_reason = ? WHERE id = ?',
+        [reason, row.id]
+      );
+      // Outlives the session's last refresh token, not just its access tokens
+      await this.redis.setEx(`revoked_session:${row.id}`, this.config.refreshTTL, reason);
+
+      if (this.io) {
+        this.io.to(`user:${row.user_id}`).emit('session:revoked', { sessionId: row.id, reason });
+        this.io.in(`session:${row.id}`).disconnectSockets(true);
+      }
+    }
+  }
+
+  /**
+   * Least recently used sessions beyond the limit, leaving room for one
+   */
+  async enforceLimit(userId) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM user_sessions WHERE user_id = ? AND is_active = TRUE ORDER BY last_activity DESC',
+      [userId]
+    );
+    if (rows.length >= this.config.maxConcurrent) {
+      await this.revokeRows(rows.slice(this.config.maxConcurrent - 1), 'session_limit');
+    }
+  }
+
+  /**
+   * In-app notification and a socket event to the user's signed-in devices
+   */
+  async notifyNewDevice(userId, session) {
+    try {
+      const [settings] = await this.db.execute(
+        'SELECT login_notifications FROM user_account_settings WHERE user_id = ?',
+        [userId]
+      );
+      if (settings.length > 0 && !settings[0].login_notifications) {
+        return;
+      }
+
+      const { browser, os } = session.device;
+      const message = `New sign-in with ${browser} on ${os}${session.ipAddress ? ` from ${session.ipAddress}` : ''}. ` +
+        'If this was not you, sign that device out and change your password.';
+
+      await this.db.execute(`
+        INSERT INTO notifications (
+          user_id, type, title, message, data, action_url, priority, created_at, updated_at
+        ) VALUES (?, 'security_new_device', 'New sign-in to your account', ?, ?, '/settings/security', 'high', NOW(), NOW())
+      `, [userId, message, JSON.stringify({ sessionId: session.id, device: session.device, ipAddress: session.ipAddress })]);
+
+      if (this.io) {
+        this.io.to(`user:${userId}`).emit('security:new_device', { session, message });
+      }
+    } catch (error) {
+      // The sign-in goes ahead without the alert
+      this.logger.warn(`Could not send new device notification to user ${userId}: ${error.message}`);
+    }
+  }
+
+  signRefreshToken(userId, sessionId) {
+    return jwt.sign(
+      { userId, type: 'refresh', sid: sessionId, jti: crypto.randomBytes(16).toString('hex') },
+      this.config.refreshSecret,
+      { expiresIn: this.config.refreshTTL, algorithm: this.config.algorithm, audience: REFRESH_AUDIENCE }
+    );
+  }
+
+  async getRow(sessionId) {
+    const [rows] = await this.db.execute('SELECT * FROM user_sessions WHERE id = ?', [sessionId]);
+    return rows[0] || null;
+  }
+
+  formatSession(row, currentSessionId = null) {
+    return {
+      id: row.id,
+      device: describeDevice(row.user_agent),
+      userAgent: row.user_agent,
+      ipAddress: row.ip_address,
+      location: row.location_city || row.location_country
+        ? { city: row.location_city || null, country: row.location_country || null }
+        : null,
+      createdAt: row.created_at,
+      lastSeenAt: row.last_activity,
+      expiresAt: row.expires_at,
+      current: row.id === currentSessionId
+    };
+  }
+}
+
+module.exports = SessionStore;
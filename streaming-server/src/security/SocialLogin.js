@@ -0,0 +1,374 @@
+/**
+ * SocialLogin - Sign-in and account linking through OAuth/OIDC providers
+ *
+ * begin() returns the provider URL for a login, or for linking the
+ * provider to a signed-in user. The state, PKCE verifier and nonce stay in
+ * Redis until complete() gets the code back, once. A link only completes
+ * for the signed-in user who started it. Otherwise complete() decides who
+ * is signing in:
+ * - An identity linked before signs in as its user
+ * - A new identity whose verified email is free creates an account
+ * - A new identity whose email an account already has is never merged
+ *   silently: the account owner signs in the usual way (password and MFA)
+ *   and confirms the link with the returned link token
+ * - Users with MFA enabled still need their second factor
+ *
+ * Identities are rows in oauth_providers; provider tokens are not kept.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { OAuthClient, createPkcePair } = require('./OAuthClient');
+const { loadProviders } = require('./oauthProviders');
+const { createHttpError } = require('../utils/errors');
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+class SocialLogin {
+  constructor(dbPool, redisClient, logger, config = {}) {
+    this.db = dbPool;
+    this.redis = redisClient;
+    this.logger = logger;
+
+    this.config = {
+      providers: loadProviders(),
+      // {provider} is replaced with the provider's name
+      redirectUrl: process.env.OAUTH_REDIRECT_URL ||
+        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback/{provider}`,
+      stateTTL: 600, // 10 minutes to sign in at the provider
+      linkTTL: 900, // 15 minutes to sign in and confirm a link
+      ...config
+    };
+
+    this.clients = new Map();
+  }
+
+  /**
+   * Configured providers for sign-in buttons
+   */
+  listProviders() {
+    return Object.entries(this.config.providers).map(([name, provider]) => ({
+      name,
+      displayName: provider.displayName
+    }));
+  }
+
+  getClient(providerName) {
+    const provider = this.config.providers[providerName];
+    if (!provider) {
+      throw createHttpError('Unknown sign-in provider', 404);
+    }
+
+    if (!this.clients.has(providerName)) {
+      this.clients.set(providerName, new OAuthClient(providerName, provider));
+    }
+    return this.clients.get(providerName);
+  }
+
+  getRedirectUri(providerName) {
+    return this.config.redirectUrl.replace('{provider}', providerName);
+  }
+
+  /**
+   * Start signing in with a provider, or linking it to userId
+   */
+  async begin(providerName, { userId = null } = {}) {
+    const client = this.getClient(providerName);
+    const state = randomToken();
+    const nonce = randomToken();
+    const pkce = createPkcePair();
+
+    await this.redis.setEx(`oauth_state:${state}`, this.config.stateTTL, JSON.stringify({
+      provider: providerName,
+      codeVerifier: pkce.verifier,
+      nonce,
+      userId
+    }));
+
+    const url = await client.getAuthorizationUrl({
+      redirectUri: this.getRedirectUri(providerName),
+      state,
+      codeChallenge: pkce.challenge,
+      nonce
+    });
+
+    return { url, state };
+  }
+
+  /**
+   * Finish the flow begin() started. Resolves to one of:
+   * { action: 'login', user, created }
+   * { action: 'mfa_required', user }
+   * { action: 'link_required', provider, email, linkToken }
+   * { action: 'linked', userId, identity }
+   *
+   * userId is the signed-in caller, if any.
+   */
+  async complete(providerName, { code, state, userId = null }) {
+    const pending = await this.takeState(state);
+    if (!pending || pending.provider !== providerName) {
+      throw createHttpError('Sign-in request expired or was already used');
+    }
+    // Otherwise a link callback URL sent to someone else would link their
+    // provider account to the sender's
+    if (pending.userId && String(pending.userId) !== String(userId)) {
+      throw createHttpError('Sign in to the account that started linking to finish it', 403);
+    }
+
+    const client = this.getClient(providerName);
+    const tokens = await client.exchangeCode({
+      code,
+      codeVerifier: pending.codeVerifier,
+      redirectUri: this.getRedirectUri(providerName)
+    });
+    const profile = await client.getProfile(tokens, { nonce: pending.nonce });
+
+    if (pending.userId) {
+      const identity = await this.linkIdentity(pending.userId, providerName, profile);
+      return { action: 'linked', userId: pending.userId, identity };
+    }
+
+    return this.resolveLogin(providerName, profile);
+  }
+
+  /**
+   * Who a provider profile signs in as
+   */
+  async resolveLogin(providerName, profile) {
+    const { displayName } = this.config.providers[providerName];
+    const identity = await this.getIdentity(providerName, profile.subject);
+
+    let user;
+    let created = false;
+    if (identity) {
+      user = await this.getUserById(identity.user_id);
+      await this.db.execute(
+        'UPDATE oauth_providers SET provider_email = ?, provider_data = ?, last_used_at = NOW() WHERE id = ?',
+        [profile.email, JSON.stringify({ name: profile.name, avatarUrl: profile.avatarUrl }), identity.id]
+      );
+    } else {
+      if (!profile.email) {
+        throw createHttpError(`${displayName} did not share an email address. Sign in another way and link ${displayName} from your account settings.`);
+      }
+
+      const existing = await this.getUserByEmail(profile.email);
+      if (existing) {
+        return this.requireLink(providerName, profile, existing);
+      }
+
+      if (!profile.emailVerified) {
+        throw createHttpError(`${displayName} has not verified your email address`);
+      }
+      user = await this.createUser(profile);
+      await this.linkIdentity(user.id, providerName, profile);
+      created = true;
+    }
+
+    if (!user) {
+      throw createHttpError('Account not found', 404);
+    }
+    if (user.status === 'suspended' || user.status === 'locked') {
+      throw createHttpError(`Account is ${user.status}`, 403);
+    }
+    if (user.mfa_enabled) {
+      return { action: 'mfa_required', user };
+    }
+    return { action: 'login', user, created };
+  }
+
+  /**
+   * An account already has the profile's email. Only an address the
+   * provider verified may be linked, and only by that account's owner
+   * after signing in (confirmLink).
+   */
+  async requireLink(providerName, profile, user) {
+    const { displayName } = this.config.providers[providerName];
+    if (!profile.emailVerified) {
+      throw createHttpError(`An account already uses this email. Sign in and link ${displayName} from your account settings.`, 409);
+    }
+
+    const linkToken = randomToken();
+    await this.redis.setEx(`oauth_link:${linkToken}`, this.config.linkTTL, JSON.stringify({
+      provider: providerName,
+      profile,
+      userId: user.id
+    }));
+
+    return { action: 'link_required', provider: providerName, email: profile.email, linkToken };
+  }
+
+  /**
+   * Link the identity from a login that hit an existing account, for its
+   * signed-in owner
+   */
+  async confirmLink(userId, linkToken) {
+    const data = await this.redis.getDel(`oauth_link:${linkToken}`);
+    if (!data) {
+      throw createHttpError('Link request expired', 404);
+    }
+
+    const pending = JSON.parse(data);
+    if (String(pending.userId) !== String(userId)) {
+      throw createHttpError('This link request is for another account', 403);
+    }
+
+    return this.linkIdentity(userId, pending.provider, pending.profile);
+  }
+
+  async linkIdentity(userId, providerName, profile) {
+    const { displayName } = this.config.providers[providerName];
+    const identity = await this.getIdentity(providerName, profile.subject);
+
+    if (identity && String(identity.user_id) !== String(userId)) {
+      throw createHttpError(`This ${displayName} account is linked to another user`, 409);
+    }
+    if (identity) {
+      return this.formatIdentity(identity);
+    }
+
+    const [existing] = await this.db.execute(
+      'SELECT id FROM oauth_providers WHERE user_id = ? AND provider = ?',
+      [userId, providerName]
+    );
+    if (existing.length > 0) {
+      throw createHttpError(`Another ${displayName} account is already linked. Unlink it first.`, 409);
+    }
+
+    const id = uuidv4();
+    await this.db.execute(`
+      INSERT INTO oauth_providers (
+        id, user_id, provider, provider_user_id, provider_email, provider_data,
+        is_active, connected_at, last_used_at
+      ) VALUES (?, ?, ?, ?, ?, ?, TRUE, NOW(), NOW())
+    `, [
+      id,
+      userId,
+      providerName,
+      profile.subject,
+      profile.email,
+      JSON.stringify({ name: profile.name, avatarUrl: profile.avatarUrl })
+    ]);
+
+    this.logger.info(`Linked ${providerName} account to user ${userId}`);
+    return this.formatIdentity(await this.getIdentity(providerName, profile.subject));
+  }
+
+  /**
+   * Remove a linked provider, unless it is the account's only way in
+   */
+  async unlink(userId, providerName) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM oauth_providers WHERE user_id = ? AND is_active = TRUE',
+      [userId]
+    );
+    const identity = rows.find(row => row.provider === providerName);
+    if (!identity) {
+      throw createHttpError('No linked account for this provider', 404);
+    }
+
+    const user = await this.getUserById(userId);
+    const [passkeys] = await this.db.execute(
+      'SELECT COUNT(*) AS count FROM webauthn_credentials WHERE user_id = ?',
+      [userId]
+    );
+    if (!user.password_hash && rows.length === 1 && Number(passkeys[0].count) === 0) {
+      throw createHttpError('Set a password, link another account or add a passkey before unlinking your only way to sign in', 409);
+    }
+
+    await this.db.execute('DELETE FROM oauth_providers WHERE id = ?', [identity.id]);
+    this.logger.info(`Unlinked ${providerName} account from user ${userId}`);
+    return true;
+  }
+
+  async listIdentities(userId) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM oauth_providers WHERE user_id = ? AND is_active = TRUE ORDER BY connected_at',
+      [userId]
+    );
+    return rows.map(row => this.formatIdentity(row));
+  }
+
+  /**
+   * New account from a provider profile; it has no password until the
+   * user sets one
+   */
+  async createUser(profile) {
+    const id = uuidv4();
+    const username = await this.chooseUsername(profile);
+
+    await this.db.execute(`
+      INSERT INTO users (
+        id, username, email, password_hash, role, email_verified,
+        created_at, updated_at
+      ) VALUES (?, ?, ?, NULL, 'user', TRUE, NOW(), NOW())
+    `, [id, username, profile.email]);
+
+    this.logger.info(`User registered through social login: ${username} (${profile.email})`);
+    return this.getUserById(id);
+  }
+
+  /**
+   * A free username (3-30 letters, numbers and underscores) from the
+   * profile's name or email
+   */
+  async chooseUsername(profile) {
+    const base = (profile.name || profile.email.split('@')[0])
+      .normalize('NFKD')
+      .replace(/[^a-zA-Z0-9_]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 24)
+      .padEnd(3, '_');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const candidate = attempt === 0 ? base : `${base}_${crypto.randomInt(1000, 100000)}`;
+      const [rows] = await this.db.execute('SELECT id FROM users WHERE username = ?', [candidate]);
+      if (rows.length === 0) {
+        return candidate;
+      }
+    }
+    return `${base.slice(0, 17)}_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  /**
+   * State saved by begin(), which only one callback may use
+   */
+  async takeState(state) {
+    if (!state) {
+      return null;
+    }
+    // GETDEL, so two callbacks cannot both use the state
+    const data = await this.redis.getDel(`oauth_state:${state}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async getIdentity(providerName, subject) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM oauth_providers WHERE provider = ? AND provider_user_id = ? AND is_active = TRUE',
+      [providerName, subject]
+    );
+    return rows[0] || null;
+  }
+
+  async getUserById(userId) {
+    const [rows] = await this.db.execute('SELECT * FROM users WHERE id = ?', [userId]);
+    return rows[0] || null;
+  }
+
+  async getUserByEmail(email) {
+    const [rows] = await this.db.execute('SELECT * FROM users WHERE LOWER(email) = LOWER(?)', [email]);
+    return rows[0] || null;
+  }
+
+  formatIdentity(row) {
+    const data = typeof row.provider_data === 'string' ? JSON.parse(row.provider_data) : row.provider_data || {};
+    return {
+      provider: row.provider,
+      email: row.provider_email,
+      name: data.name || null,
+      connectedAt: row.connected_at,
+      lastUsedAt: row.last_used_at
+    };
+  }
+}
+
+module.exports = SocialLogin;
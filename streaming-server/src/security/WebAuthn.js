@@ -0,0 +1,522 @@
+/**
+ * WebAuthn - Passkeys and security keys
+ *
+ * Registration and assertion ceremonies (W3C Web Authentication Level 2)
+ * for the browser's navigator.credentials.create() and .get(). Options are
+ * sent as JSON with binary fields base64url-encoded; responses come back
+ * the same way (PublicKeyCredential.toJSON()).
+ *
+ * Challenges are kept in Redis until one response uses them. Attestation
+ * is not requested, so credentials are trusted for the account that
+ * registered them, not for the authenticator model. Public keys are
+ * stored as JWK with their COSE algorithm; sign counters that stop
+ * increasing reject the assertion as a possibly cloned authenticator.
+ *
+ * Passkey login (discoverable credentials) requires user verification (PIN
+ * or biometrics), so it counts as both factors. As a second factor after a
+ * password, user presence is enough.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createHttpError } = require('../utils/errors');
+
+// COSE algorithms, in order of preference
+const ALGORITHMS = {
+  [-7]: { kty: 'EC', hash: 'sha256' }, // ES256
+  [-8]: { kty: 'OKP', hash: null }, // EdDSA (Ed25519)
+  [-35]: { kty: 'EC', hash: 'sha384' }, // ES384
+  [-36]: { kty: 'EC', hash: 'sha512' }, // ES512
+  [-257]: { kty: 'RSA', hash: 'sha256' } // RS256
+};
+
+const EC_CURVES = { 1: 'P-256', 2: 'P-384', 3: 'P-521' };
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_DATA = 0x40;
+
+const fromBase64url = (value, field) => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw createHttpError(`Malformed ${field}`);
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+/**
+ * The CBOR (RFC 8949) subset authenticators use: integers, byte and text
+ * strings, arrays, maps and simple values. Returns the value and the
+ * offset after it, since authenticator data continues past the key.
+ */
+function decodeCbor(buffer, offset = 0) {
+  const readLength = (info) => {
+    if (info < 24) {
+      return info;
+    }
+    const size = { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+    if (!size || offset + size > buffer.length) {
+      throw createHttpError('Malformed CBOR');
+    }
+    const value = size === 8 ? Number(buffer.readBigUInt64BE(offset)) : buffer.readUIntBE(offset, size);
+    offset += size;
+    return value;
+  };
+
+  const read = (depth) => {
+    if (offset >= buffer.length || depth > 16) {
+      throw createHttpError('Malformed CBOR');
+    }
+    const initial = buffer[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (major === 7) {
+      const simple = { 20: false, 21: true, 22: null, 23: undefined };
+      if (info in simple) {
+        return simple[info];
+      }
+      throw createHttpError('Unsupported CBOR value');
+    }
+
+    const length = readLength(info);
+    switch (major) {
+      case 0:
+        return length;
+      case 1:
+        return -1 - length;
+      case 2:
+      case 3: {
+        if (offset + length > buffer.length) {
+          throw createHttpError('Malformed CBOR');
+        }
+        const bytes = buffer.subarray(offset, offset + length);
+        offset += length;
+        return major === 2 ? Buffer.from(bytes) : bytes.toString('utf8');
+      }
+      case 4:
+        return Array.from({ length }, () => read(depth + 1));
+      case 5: {
+        const map = new Map();
+        for (let i = 0; i < length; i++) {
+          const key = read(depth + 1);
+          map.set(key, read(depth + 1));
+        }
+        return map;
+      }
+      default:
+        throw createHttpError('Unsupported CBOR value');
+    }
+  };
+
+  const value = read(0);
+  return { value, offset };
+}
+
+/**
+ * JWK for a COSE_Key (RFC 9053)
+ */
+function coseToJwk(cose) {
+  const kty = cose.get(1);
+  const b64 = (label) => {
+    const value = cose.get(label);
+    if (!Buffer.isBuffer(value)) {
+      throw createHttpError('Malformed credential public key');
+    }
+    return value.toString('base64url');
+  };
+
+  if (kty === 2 && EC_CURVES[cose.get(-1)]) {
+    return { kty: 'EC', crv: EC_CURVES[cose.get(-1)], x: b64(-2), y: b64(-3) };
+  }
+  if (kty === 1 && cose.get(-1) === 6) {
+    return { kty: 'OKP', crv: 'Ed25519', x: b64(-2) };
+  }
+  if (kty === 3) {
+    return { kty: 'RSA', n: b64(-1), e: b64(-2) };
+  }
+  throw createHttpError('Unsupported credential key type');
+}
+
+/**
+ * rpIdHash, flags, counter and, at registration, the new credential
+ */
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw createHttpError('Malformed authenticator data');
+  }
+
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (parsed.flags & FLAG_ATTESTED_DATA) {
+    if (authData.length < 55) {
+      throw createHttpError('Malformed authenticator data');
+    }
+    const aaguid = authData.subarray(37, 53).toString('hex');
+    const idLength = authData.readUInt16BE(53);
+    const credentialId = authData.subarray(55, 55 + idLength);
+    const { value: publicKey } = decodeCbor(authData, 55 + idLength);
+
+    parsed.credential = {
+      aaguid: aaguid.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5'),
+      id: credentialId.toString('base64url'),
+      publicKey
+    };
+  }
+  return parsed;
+}
+
+class WebAuthn {
+  constructor(dbPool, redisClient, logger, config = {}) {
+    this.db = dbPool;
+    this.redis = redisClient;
+    this.logger = logger;
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    this.config = {
+      rpName: process.env.WEBAUTHN_RP_NAME || 'Interviews.tv',
+      // The site's registrable domain; passkeys only work on it and its subdomains
+      rpId: process.env.WEBAUTHN_RP_ID || new URL(frontendUrl).hostname,
+      origins: (process.env.WEBAUTHN_ORIGINS || frontendUrl).split(',').map(origin => origin.trim()),
+      challengeTTL: 300,
+      timeout: 120000, // What the browser is asked to wait, in ms
+      maxCredentials: 20,
+      ...config
+    };
+  }
+
+  /**
+   * navigator.credentials.create() options for a signed-in user
+   */
+  async beginRegistration(user) {
+    const credentials = await this.getCredentialRows(user.id);
+    if (credentials.length >= this.config.maxCredentials) {
+      throw createHttpError(`No more than ${this.config.maxCredentials} passkeys per account`, 409);
+    }
+
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    await this.redis.setEx(`webauthn_registration:${user.id}`, this.config.challengeTTL, challenge);
+
+    return {
+      challenge,
+      rp: { id: this.config.rpId, name: this.config.rpName },
+      user: {
+        id: Buffer.from(String(user.id)).toString('base64url'),
+        name: user.email,
+        displayName: user.display_name || user.username
+      },
+      pubKeyCredParams: Object.keys(ALGORITHMS).map(alg => ({ type: 'public-key', alg: Number(alg) })),
+      timeout: this.config.timeout,
+      attestation: 'none',
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+      // The browser refuses authenticators that already hold one of these
+      excludeCredentials: credentials.map(row => ({
+        type: 'public-key',
+        id: row.credential_id,
+        transports: this.parseTransports(row)
+      }))
+    };
+  }
+
+  /**
+   * Check the create() response to beginRegistration and store the
+   * credential under the given name
+   */
+  async finishRegistration(userId, credential, name) {
+    const challenge = await this.redis.getDel(`webauthn_registration:${userId}`);
+    if (!challenge) {
+      throw createHttpError('Passkey registration expired. Please try again.');
+    }
+
+    const response = credential && credential.response;
+    if (!response || credential.type !== 'public-key') {
+      throw createHttpError('Malformed credential');
+    }
+    this.checkClientData(fromBase64url(response.clientDataJSON, 'client data'), 'webauthn.create', challenge);
+
+    const { value: attestation } = decodeCbor(fromBase64url(response.attestationObject, 'attestation object'));
+    const authData = attestation instanceof Map && attestation.get('authData');
+    if (!Buffer.isBuffer(authData)) {
+      throw createHttpError('Malformed attestation object');
+    }
+
+    const parsed = this.checkAuthenticatorData(parseAuthenticatorData(authData), false);
+    if (!parsed.credential || parsed.credential.id !== credential.id) {
+      throw createHttpError('Credential ID does not match the authenticator data');
+    }
+
+    const algorithm = parsed.credential.publicKey instanceof Map && parsed.credential.publicKey.get(3);
+    if (!ALGORITHMS[algorithm]) {
+      throw createHttpError('Unsupported credential algorithm');
+    }
+    const jwk = coseToJwk(parsed.credential.publicKey);
+    if (jwk.kty !== ALGORITHMS[algorithm].kty) {
+      throw createHttpError('Credential key does not match its algorithm');
+    }
+    try {
+      crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch (error) {
+      throw createHttpError('Malformed credential public key');
+    }
+
+    const [existing] = await this.db.execute(
+      'SELECT id FROM webauthn_credentials WHERE credential_id = ?',
+      [parsed.credential.id]
+    );
+    if (existing.length > 0) {
+      throw createHttpError('This passkey is already registered', 409);
+    }
+
+    const id = uuidv4();
+    const transports = Array.isArray(response.transports) ? response.transports.filter(t => typeof t === 'string').slice(0, 8) : [];
+    await this.db.execute(`
+      INSERT INTO webauthn_credentials (
+        id, user_id, credential_id, public_key, algorithm, sign_count, transports,
+        aaguid, backup_eligible, backed_up, name, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [
+      id,
+      userId,
+      parsed.credential.id,
+      JSON.stringify(jwk),
+      algorithm,
+      parsed.signCount,
+      JSON.stringify(transports),
+      parsed.credential.aaguid,
+      Boolean(parsed.flags & FLAG_BACKUP_ELIGIBLE),
+      Boolean(parsed.flags & FLAG_BACKED_UP),
+      name
+    ]);
+
+    this.logger.info(`Passkey registered for user ${userId}`);
+    return this.formatCredential(await this.getCredential(userId, id));
+  }
+
+  /**
+   * navigator.credentials.get() options. With a userId (second factor)
+   * only that user's credentials are allowed; without one (passkey login)
+   * the browser offers the passkeys it has for this site.
+   */
+  async beginAuthentication({ userId = null } = {}) {
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    const userVerification = userId ? 'preferred' : 'required';
+
+    let allowCredentials = [];
+    if (userId) {
+      const rows = await this.getCredentialRows(userId);
+      if (rows.length === 0) {
+        throw createHttpError('No passkeys registered', 404);
+      }
+      allowCredentials = rows.map(row => ({
+        type: 'public-key',
+        id: row.credential_id,
+        transports: this.parseTransports(row)
+      }));
+    }
+
+    await this.redis.setEx(`webauthn_assertion:${challenge}`, this.config.challengeTTL, JSON.stringify({
+      userId,
+      userVerification
+    }));
+
+    return {
+      challenge,
+      rpId: this.config.rpId,
+      timeout: this.config.timeout,
+      userVerification,
+      allowCredentials
+    };
+  }
+
+  /**
+   * Check a get() response to beginAuthentication. Resolves to the user ID
+   * and credential; userId, when given, must own the credential.
+   */
+  async finishAuthentication(credential, { userId = null } = {}) {
+    const response = credential && credential.response;
+    if (!response || credential.type !== 'public-key') {
+      throw createHttpError('Malformed credential');
+    }
+
+    const clientDataJSON = fromBase64url(response.clientDataJSON, 'client data');
+    const clientData = this.parseClientData(clientDataJSON);
+    const pending = await this.takeChallenge(clientData.challenge);
+    if (!pending || (userId && String(pending.userId) !== String(userId)) || (!userId && pending.userId)) {
+      throw createHttpError('Passkey request expired or was already used', 401);
+    }
+    this.checkClientData(clientDataJSON, 'webauthn.get', clientData.challenge);
+
+    const [rows] = await this.db.execute(
+      'SELECT * FROM webauthn_credentials WHERE credential_id = ?',
+      [String(credential.id)]
+    );
+    const row = rows[0];
+    if (!row || (userId && String(row.user_id) !== String(userId))) {
+      throw createHttpError('Unknown passkey', 401);
+    }
+    // A discoverable credential names its user; it must be the owner
+    if (response.userHandle && fromBase64url(response.userHandle, 'user handle').toString() !== String(row.user_id)) {
+      throw createHttpError('Unknown passkey', 401);
+    }
+
+    const authData = fromBase64url(response.authenticatorData, 'authenticator data');
+    const parsed = this.checkAuthenticatorData(parseAuthenticatorData(authData), pending.userVerification === 'required');
+
+    const signed = Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+    const key = crypto.createPublicKey({ key: JSON.parse(row.public_key), format: 'jwk' });
+    const valid = crypto.verify(ALGORITHMS[row.algorithm].hash, signed, key, fromBase64url(response.signature, 'signature'));
+    if (!valid) {
+      throw createHttpError('Passkey signature is invalid', 401);
+    }
+
+    // Counters only move forward; authenticators without one always send 0
+    const storedCount = Number(row.sign_count);
+    if ((parsed.signCount > 0 || storedCount > 0) && parsed.signCount <= storedCount) {
+      this.logger.warn(`Passkey ${row.id} of user ${row.user_id} sent a stale sign count; it may be cloned`);
+      throw createHttpError('Passkey sign count did not increase', 401);
+    }
+
+    await this.db.execute(
+      'UPDATE webauthn_credentials SET sign_count = ?, backed_up = ?, last_used_at = NOW() WHERE id = ?',
+      [parsed.signCount, Boolean(parsed.flags & FLAG_BACKED_UP), row.id]
+    );
+
+    return { userId: row.user_id, credential: this.formatCredential(row) };
+  }
+
+  async listCredentials(userId) {
+    const rows = await this.getCredentialRows(userId);
+    return rows.map(row => this.formatCredential(row));
+  }
+
+  async hasCredentials(userId) {
+    const [rows] = await this.db.execute(
+      'SELECT COUNT(*) AS count FROM webauthn_credentials WHERE user_id = ?',
+      [userId]
+    );
+    return Number(rows[0].count) > 0;
+  }
+
+  /**
+   * Remove a credential, unless it is the account's only way to sign in
+   */
+  async revokeCredential(userId, credentialId) {
+    const row = await this.getCredential(userId, credentialId);
+    if (!row) {
+      throw createHttpError('Passkey not found', 404);
+    }
+
+    const [users] = await this.db.execute('SELECT password_hash FROM users WHERE id = ?', [userId]);
+    const [identities] = await this.db.execute(
+      'SELECT id FROM oauth_providers WHERE user_id = ? AND is_active = TRUE',
+      [userId]
+    );
+    const credentials = await this.getCredentialRows(userId);
+    if (!users[0].password_hash && identities.length === 0 && credentials.length === 1) {
+      throw createHttpError('Set a password or add another way to sign in before removing your only passkey', 409);
+    }
+
+    await this.db.execute('DELETE FROM webauthn_credentials WHERE id = ?', [row.id]);
+    this.logger.info(`Passkey ${row.id} revoked for user ${userId}`);
+    return this.formatCredential(row);
+  }
+
+  parseClientData(clientDataJSON) {
+    let clientData;
+    try {
+      clientData = JSON.parse(clientDataJSON.toString('utf8'));
+    } catch (error) {
+      throw createHttpError('Malformed client data');
+    }
+    if (!clientData || typeof clientData.challenge !== 'string') {
+      throw createHttpError('Malformed client data');
+    }
+    return clientData;
+  }
+
+  /**
+   * The browser signed this ceremony, for our challenge, on our site
+   */
+  checkClientData(clientDataJSON, type, challenge) {
+    const clientData = this.parseClientData(clientDataJSON);
+
+    if (clientData.type !== type) {
+      throw createHttpError('Wrong passkey ceremony');
+    }
+    if (clientData.challenge !== challenge) {
+      throw createHttpError('Passkey challenge does not match');
+    }
+    if (!this.config.origins.includes(clientData.origin)) {
+      throw createHttpError(`Passkeys cannot be used from ${clientData.origin}`);
+    }
+    if (clientData.crossOrigin === true) {
+      throw createHttpError('Passkeys cannot be used from embedded pages');
+    }
+    return clientData;
+  }
+
+  checkAuthenticatorData(parsed, requireVerification) {
+    const rpIdHash = crypto.createHash('sha256').update(this.config.rpId).digest();
+    if (!crypto.timingSafeEqual(parsed.rpIdHash, rpIdHash)) {
+      throw createHttpError('Passkey is for another site');
+    }
+    if (!(parsed.flags & FLAG_USER_PRESENT)) {
+      throw createHttpError('The authenticator did not confirm user presence');
+    }
+    if (requireVerification && !(parsed.flags & FLAG_USER_VERIFIED)) {
+      throw createHttpError('The authenticator did not verify the user (PIN or biometrics)');
+    }
+    return parsed;
+  }
+
+  /**
+   * Challenge saved by beginAuthentication, which only one response may use
+   */
+  async takeChallenge(challenge) {
+    // GETDEL, so two requests cannot both use the challenge
+    const data = await this.redis.getDel(`webauthn_assertion:${challenge}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async getCredentialRows(userId) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM webauthn_credentials WHERE user_id = ? ORDER BY created_at',
+      [userId]
+    );
+    return rows;
+  }
+
+  async getCredential(userId, credentialId) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM webauthn_credentials WHERE id = ? AND user_id = ?',
+      [credentialId, userId]
+    );
+    return rows[0] || null;
+  }
+
+  parseTransports(row) {
+    if (!row.transports) {
+      return [];
+    }
+    return typeof row.transports === 'string' ? JSON.parse(row.transports) : row.transports;
+  }
+
+  formatCredential(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      transports: this.parseTransports(row),
+      backedUp: Boolean(row.backed_up),
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at || null
+    };
+  }
+}
+
+module.exports = WebAuthn;
@@ -0,0 +1,119 @@
+/**
+ * OAuth 2.0 and OpenID Connect providers for social login
+ *
+ * OIDC providers are configured by issuer: endpoints come from the
+ * issuer's /.well-known/openid-configuration and ID tokens are verified
+ * against its keys. Plain OAuth 2.0 providers (GitHub, Facebook, Twitter)
+ * list their endpoints and how to read a profile from their user API.
+ *
+ * A preset is enabled by setting its client ID and secret, e.g.
+ * OAUTH_GOOGLE_CLIENT_ID and OAUTH_GOOGLE_CLIENT_SECRET. OIDC_ISSUER,
+ * OIDC_CLIENT_ID and OIDC_CLIENT_SECRET add any other OIDC provider, named
+ * OIDC_PROVIDER_NAME ('oidc' by default), such as a company IdP.
+ *
+ * Profiles are normalized to { subject, email, emailVerified, name,
+ * avatarUrl }; emailVerified is only true when the provider vouches for
+ * the address.
+ */
+
+const PRESETS = {
+  google: {
+    type: 'oidc',
+    displayName: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: ['openid', 'email', 'profile']
+  },
+
+  github: {
+    type: 'oauth2',
+    displayName: 'GitHub',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    userinfoEndpoint: 'https://api.github.com/user',
+    // The profile only has the public email; verification is listed here
+    emailsEndpoint: 'https://api.github.com/user/emails',
+    scopes: ['read:user', 'user:email'],
+    profile: (user, emails = []) => {
+      const primary = emails.find(entry => entry.primary && entry.verified);
+      return {
+        subject: String(user.id),
+        email: primary ? primary.email : user.email || null,
+        emailVerified: Boolean(primary),
+        name: user.name || user.login,
+        avatarUrl: user.avatar_url || null
+      };
+    }
+  },
+
+  facebook: {
+    type: 'oauth2',
+    displayName: 'Facebook',
+    authorizationEndpoint: 'https://www.facebook.com/v19.0/dialog/oauth',
+    tokenEndpoint: 'https://graph.facebook.com/v19.0/oauth/access_token',
+    userinfoEndpoint: 'https://graph.facebook.com/me?fields=id,name,email,picture',
+    scopes: ['email', 'public_profile'],
+    // Facebook does not say whether the address was confirmed, so it can
+    // neither sign up nor be offered a link by email
+    profile: (user) => ({
+      subject: String(user.id),
+      email: user.email || null,
+      emailVerified: false,
+      name: user.name,
+      avatarUrl: user.picture?.data?.url || null
+    })
+  },
+
+  twitter: {
+    type: 'oauth2',
+    displayName: 'Twitter',
+    authorizationEndpoint: 'https://twitter.com/i/oauth2/authorize',
+    tokenEndpoint: 'https://api.twitter.com/2/oauth2/token',
+    userinfoEndpoint: 'https://api.twitter.com/2/users/me?user.fields=profile_image_url',
+    tokenAuth: 'basic',
+    scopes: ['users.read', 'tweet.read'],
+    // No email address: Twitter accounts can only be linked, not sign up
+    profile: ({ data }) => ({
+      subject: String(data.id),
+      email: null,
+      emailVerified: false,
+      name: data.name || data.username,
+      avatarUrl: data.profile_image_url || null
+    })
+  }
+};
+
+/**
+ * Providers with client credentials in the environment, by name
+ */
+function loadProviders(env = process.env) {
+  const providers = {};
+
+  for (const [name, preset] of Object.entries(PRESETS)) {
+    const prefix = `OAUTH_${name.toUpperCase()}`;
+    if (env[`${prefix}_CLIENT_ID`]) {
+      providers[name] = {
+        ...preset,
+        clientId: env[`${prefix}_CLIENT_ID`],
+        clientSecret: env[`${prefix}_CLIENT_SECRET`] || null
+      };
+    }
+  }
+
+  if (env.OIDC_ISSUER && env.OIDC_CLIENT_ID) {
+    providers[env.OIDC_PROVIDER_NAME || 'oidc'] = {
+      type: 'oidc',
+      displayName: env.OIDC_DISPLAY_NAME || 'Single sign-on',
+      issuer: env.OIDC_ISSUER,
+      clientId: env.OIDC_CLIENT_ID,
+      clientSecret: env.OIDC_CLIENT_SECRET || null,
+      scopes: ['openid', 'email', 'profile']
+    };
+  }
+
+  return providers;
+}
+
+module.exports = {
+  PRESETS,
+  loadProviders
+};
@@ -0,0 +1,52 @@
+/**
+ * Roles and the permissions they grant
+ *
+ * SecurityManager.config.roles starts from these, and routes declare the
+ * permission they need (AuthMiddleware.authorize):
+ *
+ * view_content            - Watch, report and file notices about content
+ * create_stream           - Run streams and manage their recordings, keys,
+ *                           schedules, restreams and chat
+ * chat                    - Take part in chat
+ * donate                  - Pay: subscriptions, pay-per-view, gifts, donations
+ * monetize                - Sell pay-per-view events, earnings and payouts
+ * analytics               - Analytics dashboards and exports
+ * moderate_content        - Moderation queue and content analyses
+ * ban_users               - Bans across chats
+ * manage_reference_tracks - Register reference tracks, review their matches
+ * manage_platform         - Server-wide settings and data; only '*' has it
+ */
+
+const ROLES = {
+  user: {
+    permissions: ['view_content', 'create_stream', 'chat', 'donate']
+  },
+  creator: {
+    permissions: ['view_content', 'create_stream', 'chat', 'donate', 'monetize', 'analytics']
+  },
+  moderator: {
+    permissions: ['view_content', 'create_stream', 'chat', 'donate', 'moderate_content', 'ban_users']
+  },
+  rights_holder: {
+    permissions: ['view_content', 'chat', 'manage_reference_tracks']
+  },
+  admin: {
+    permissions: ['*'] // All permissions
+  }
+};
+
+/**
+ * Whether the role has the permission, or any of a list of them
+ */
+function hasPermission(roles, role, permission) {
+  const granted = roles[role] ? roles[role].permissions : [];
+  if (granted.includes('*')) {
+    return true;
+  }
+  return [].concat(permission).some(required => granted.includes(required));
+}
+
+module.exports = {
+  ROLES,
+  hasPermission
+};
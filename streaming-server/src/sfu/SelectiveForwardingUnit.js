@@ -0,0 +1,513 @@
+/**
+ * SelectiveForwardingUnit - Server-side media forwarding for multi-guest streams
+ *
+ * Each participant publishes once to the server over its own peer connection.
+ * The server forwards every published track to the other participants and
+ * viewers over one subscriber connection each, instead of every peer
+ * connecting to every other peer.
+ *
+ * Simulcast:
+ * - Publishers send up to three encodings identified by rid, lowest first
+ *   (the order of RTCRtpSender sendEncodings)
+ * - Each subscriber receives one layer per video track, chosen from the
+ *   network stats it reports via QualityManager.analyzeNetworkCondition
+ * - Layer switches wait for a keyframe on the new layer and keep the
+ *   subscriber's sequence numbers and timestamps continuous
+ *
+ * SDP is exchanged whole: answers and offers are returned once ICE gathering
+ * completes, so no trickle candidates are needed. Media only flows within
+ * this process, so a stream's peers must reach the same replica.
+ */
+
+const {
+  RTCPeerConnection,
+  useVP8,
+  useH264,
+  useOPUS,
+  useSdesMid,
+  useSdesRTPStreamId,
+  useRepairedRtpStreamId,
+  Vp8RtpPayload,
+  H264RtpPayload
+} = require('werift');
+const { createHttpError } = require('../utils/errors');
+
+// Layer picked for each network condition, as a share of the available layers
+const CONDITION_LEVELS = { excellent: 1, good: 1, fair: 0.5, poor: 0 };
+
+// 90kHz clock ticks of one frame at 30fps
+const FRAME_TICKS = 3000;
+
+const ICE_GATHERING_TIMEOUT = 5000;
+
+const KEYFRAME_DETECTORS = {
+  vp8: (payload) => Vp8RtpPayload.deSerialize(payload).isKeyframe,
+  h264: (payload) => H264RtpPayload.deSerialize(payload).isKeyframe
+};
+
+/**
+ * Pick the layer for a network condition from rids ordered lowest first
+ */
+function selectLayer(condition, rids) {
+  if (rids.length === 0) {
+    return null;
+  }
+
+  const level = CONDITION_LEVELS[condition] ?? 0;
+  return rids[Math.floor(level * (rids.length - 1))];
+}
+
+function waitForIceGathering(pc, timeout = ICE_GATHERING_TIMEOUT) {
+  if (pc.iceGatheringState === 'complete') {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, timeout);
+    timer.unref();
+    const { unSubscribe } = pc.iceGatheringStateChange.subscribe((state) => {
+      if (state === 'complete') {
+        clearTimeout(timer);
+        unSubscribe();
+        resolve();
+      }
+    });
+  });
+}
+
+class SelectiveForwardingUnit {
+  constructor(qualityManager, logger, options = {}) {
+    this.qualityManager = qualityManager;
+    this.logger = logger;
+
+    this.options = {
+      iceServers: [],
+      icePortRange: undefined,
+      iceAdditionalHostAddresses: undefined,
+      ...options
+    };
+
+    this.rooms = new Map(); // streamId -> { publishers: Map, subscribers: Map }
+    this.publishers = new Map(); // socketId -> publisher
+    this.subscribers = new Map(); // socketId -> subscriber
+
+    // Called with (subscriberSocketId, offer) when a subscription changes
+    this.onRenegotiate = () => {};
+  }
+
+  createPeerConnection() {
+    return new RTCPeerConnection({
+      codecs: {
+        video: [useVP8(), useH264()],
+        audio: [useOPUS()]
+      },
+      headerExtensions: {
+        video: [useSdesMid(), useSdesRTPStreamId(), useRepairedRtpStreamId()],
+        audio: [useSdesMid()]
+      },
+      iceServers: this.options.iceServers,
+      icePortRange: this.options.icePortRange,
+      iceAdditionalHostAddresses: this.options.iceAdditionalHostAddresses
+    });
+  }
+
+  getRoom(streamId) {
+    if (!this.rooms.has(streamId)) {
+      this.rooms.set(streamId, { publishers: new Map(), subscribers: new Map() });
+    }
+    return this.rooms.get(streamId);
+  }
+
+  /**
+   * Accept a participant's offer and return the server's answer
+   */
+  async publish(socketId, { streamId, userId, offer }) {
+    try {
+      if (!offer || offer.type !== 'offer' || !offer.sdp) {
+        throw createHttpError('A publish offer is required', 400);
+      }
+      if (this.publishers.has(socketId)) {
+        throw createHttpError('Already publishing to this stream', 409);
+      }
+
+      const pc = this.createPeerConnection();
+      const publisher = { socketId, streamId, userId, pc, tracks: [] };
+      this.publishers.set(socketId, publisher);
+      this.getRoom(streamId).publishers.set(socketId, publisher);
+
+      try {
+        await pc.setRemoteDescription(offer);
+
+        for (const transceiver of pc.getTransceivers()) {
+          if (transceiver.receiver) {
+            publisher.tracks.push(this.createPublishedTrack(publisher, transceiver));
+          }
+        }
+
+        await pc.setLocalDescription(await pc.createAnswer());
+        await waitForIceGathering(pc);
+      } catch (error) {
+        await this.unpublish(socketId);
+        throw error.statusCode ? error : createHttpError('Invalid publish offer', 400);
+      }
+
+      pc.connectionStateChange.subscribe((state) => {
+        if (state === 'failed' || state === 'closed') {
+          this.unpublish(socketId)
+            .catch(error => this.logger.error('Error removing failed publisher:', error));
+        }
+      });
+
+      // Existing subscribers start receiving the new tracks
+      for (const subscriber of this.getRoom(streamId).subscribers.values()) {
+        if (subscriber.socketId !== socketId) {
+          this.addPublisherToSubscriber(subscriber, publisher);
+          await this.renegotiate(subscriber);
+        }
+      }
+
+      this.logger.info(`SFU publisher ${socketId} joined stream ${streamId} with ${publisher.tracks.length} tracks`);
+
+      return {
+        answer: { type: 'answer', sdp: pc.localDescription.sdp },
+        tracks: publisher.tracks.map(track => ({ id: track.id, kind: track.kind, layers: track.layers.map(layer => layer.rid) }))
+      };
+    } catch (error) {
+      this.logger.error('Error publishing to SFU:', error);
+      throw error;
+    }
+  }
+
+  createPublishedTrack(publisher, transceiver) {
+    const kind = transceiver.kind;
+    const codecName = (transceiver.codecs[0]?.name || '').toLowerCase();
+    const simulcast = transceiver.receiver.tracks.filter(track => track.rid);
+    const tracks = simulcast.length > 0 ? simulcast : [transceiver.receiver.track];
+
+    const published = {
+      id: `${publisher.socketId}:${transceiver.mid}`,
+      kind,
+      publisherSocketId: publisher.socketId,
+      receiver: transceiver.receiver,
+      isKeyframe: KEYFRAME_DETECTORS[codecName] || null,
+      layers: tracks.map(track => ({ rid: track.rid || null, track, ssrc: null })),
+      forwarders: new Set()
+    };
+
+    for (const layer of published.layers) {
+      layer.track.onReceiveRtp.subscribe((rtp) => {
+        layer.ssrc = rtp.header.ssrc;
+        for (const forwarder of published.forwarders) {
+          this.forwardRtp(forwarder, layer, rtp);
+        }
+      });
+    }
+
+    return published;
+  }
+
+  /**
+   * Open a subscriber connection and return the server's offer
+   */
+  async subscribe(socketId, { streamId, userId, networkStats }) {
+    try {
+      if (this.subscribers.has(socketId)) {
+        throw createHttpError('Already subscribed to this stream', 409);
+      }
+
+      const subscriber = {
+        socketId,
+        streamId,
+        userId,
+        pc: this.createPeerConnection(),
+        forwarders: new Map(), // publishedTrackId -> forwarder
+        // Start in the middle until the subscriber reports its network stats
+        condition: 'fair',
+        negotiating: false,
+        pendingNegotiation: false
+      };
+      this.subscribers.set(socketId, subscriber);
+      this.getRoom(streamId).subscribers.set(socketId, subscriber);
+
+      if (networkStats) {
+        subscriber.condition = this.qualityManager.analyzeNetworkCondition(networkStats);
+      }
+
+      for (const publisher of this.getRoom(streamId).publishers.values()) {
+        if (publisher.socketId !== socketId) {
+          this.addPublisherToSubscriber(subscriber, publisher);
+        }
+      }
+
+      subscriber.pc.connectionStateChange.subscribe((state) => {
+        if (state === 'connected') {
+          for (const forwarder of subscriber.forwarders.values()) {
+            this.requestKeyframe(forwarder.published, forwarder.targetRid);
+          }
+        } else if (state === 'failed' || state === 'closed') {
+          this.unsubscribe(socketId)
+            .catch(error => this.logger.error('Error removing failed subscriber:', error));
+        }
+      });
+
+      this.logger.info(`SFU subscriber ${socketId} joined stream ${streamId}`);
+
+      return { offer: await this.createOffer(subscriber), condition: subscriber.condition };
+    } catch (error) {
+      this.logger.error('Error subscribing to SFU:', error);
+      throw error;
+    }
+  }
+
+  addPublisherToSubscriber(subscriber, publisher) {
+    for (const published of publisher.tracks) {
+      const transceiver = subscriber.pc.addTransceiver(published.kind, { direction: 'sendonly' });
+      const forwarder = {
+        published,
+        subscriber,
+        transceiver,
+        sender: transceiver.sender,
+        currentRid: undefined,
+        targetRid: this.pickLayer(published, subscriber.condition)
+      };
+
+      // The subscriber's decoder lost a frame; ask the publisher for a keyframe
+      transceiver.sender.onPictureLossIndication.subscribe(() => {
+        this.requestKeyframe(published, forwarder.currentRid ?? forwarder.targetRid);
+      });
+
+      subscriber.forwarders.set(published.id, forwarder);
+      published.forwarders.add(forwarder);
+    }
+  }
+
+  pickLayer(published, condition) {
+    if (published.kind !== 'video') {
+      return published.layers[0].rid;
+    }
+    return selectLayer(condition, published.layers.map(layer => layer.rid));
+  }
+
+  forwardRtp(forwarder, layer, rtp) {
+    if (forwarder.sender.dtlsTransport?.state !== 'connected') {
+      return;
+    }
+
+    if (layer.rid !== forwarder.currentRid) {
+      if (layer.rid !== forwarder.targetRid) {
+        return;
+      }
+
+      // Switch on the target layer's next keyframe
+      const { isKeyframe } = forwarder.published;
+      if (isKeyframe && forwarder.published.kind === 'video' && !isKeyframe(rtp.payload)) {
+        return;
+      }
+
+      // Continue the subscriber's sequence numbers and timestamps across the switch
+      forwarder.sender.replaceRTP({
+        sequenceNumber: (rtp.header.sequenceNumber - 1) & 0xffff,
+        timestamp: (rtp.header.timestamp - FRAME_TICKS) >>> 0
+      });
+      forwarder.currentRid = layer.rid;
+    }
+
+    // The sender rewrites the header in place, so each subscriber gets a copy.
+    // Extension ids were negotiated with the publisher; the sender adds its own.
+    const packet = rtp.clone();
+    packet.header.extensions = [];
+    forwarder.sender.sendRtp(packet)
+      .catch(error => this.logger.debug(`SFU forward to ${forwarder.subscriber.socketId} failed:`, error.message));
+  }
+
+  requestKeyframe(published, rid) {
+    const layer = published.layers.find(candidate => candidate.rid === rid);
+    if (!layer || layer.ssrc === null || published.kind !== 'video') {
+      return;
+    }
+
+    published.receiver.sendRtcpPLI(layer.ssrc)
+      .catch(error => this.logger.debug('SFU keyframe request failed:', error.message));
+  }
+
+  async createOffer(subscriber) {
+    await subscriber.pc.setLocalDescription(await subscriber.pc.createOffer());
+    await waitForIceGathering(subscriber.pc);
+    subscriber.negotiating = true;
+    return { type: 'offer', sdp: subscriber.pc.localDescription.sdp };
+  }
+
+  /**
+   * Send a fresh offer, or queue one until the current offer is answered
+   */
+  async renegotiate(subscriber) {
+    if (subscriber.negotiating) {
+      subscriber.pendingNegotiation = true;
+      return;
+    }
+
+    this.onRenegotiate(subscriber.socketId, await this.createOffer(subscriber));
+  }
+
+  /**
+   * Apply a subscriber's answer to the server's latest offer
+   */
+  async completeSubscription(socketId, answer) {
+    try {
+      const subscriber = this.subscribers.get(socketId);
+      if (!subscriber) {
+        throw createHttpError('Not subscribed to this stream', 404);
+      }
+      if (!answer || answer.type !== 'answer' || !answer.sdp) {
+        throw createHttpError('A subscribe answer is required', 400);
+      }
+      if (!subscriber.negotiating) {
+        throw createHttpError('No offer is waiting for an answer', 409);
+      }
+
+      try {
+        await subscriber.pc.setRemoteDescription(answer);
+      } catch (error) {
+        throw createHttpError('Invalid subscribe answer', 400);
+      }
+      subscriber.negotiating = false;
+
+      if (subscriber.pendingNegotiation) {
+        subscriber.pendingNegotiation = false;
+        await this.renegotiate(subscriber);
+      }
+    } catch (error) {
+      this.logger.error('Error completing SFU subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Choose layers for a subscriber from the network stats it reports
+   */
+  updateNetworkStats(socketId, stats) {
+    const subscriber = this.subscribers.get(socketId);
+    if (!subscriber) {
+      throw createHttpError('Not subscribed to this stream', 404);
+    }
+
+    subscriber.condition = this.qualityManager.analyzeNetworkCondition(stats);
+
+    const layers = {};
+    for (const [trackId, forwarder] of subscriber.forwarders) {
+      const rid = this.pickLayer(forwarder.published, subscriber.condition);
+      if (rid !== forwarder.targetRid) {
+        forwarder.targetRid = rid;
+        this.requestKeyframe(forwarder.published, rid);
+      }
+      if (forwarder.published.kind === 'video') {
+        layers[trackId] = rid;
+      }
+    }
+
+    return { condition: subscriber.condition, layers };
+  }
+
+  async unpublish(socketId) {
+    const publisher = this.publishers.get(socketId);
+    if (!publisher) {
+      return;
+    }
+
+    this.publishers.delete(socketId);
+    const room = this.rooms.get(publisher.streamId);
+    room?.publishers.delete(socketId);
+
+    const affected = new Set();
+    for (const published of publisher.tracks) {
+      for (const forwarder of published.forwarders) {
+        forwarder.subscriber.forwarders.delete(published.id);
+        forwarder.transceiver.setDirection('inactive');
+        affected.add(forwarder.subscriber);
+      }
+      published.forwarders.clear();
+    }
+
+    await publisher.pc.close();
+    this.cleanupRoom(publisher.streamId);
+
+    for (const subscriber of affected) {
+      if (this.subscribers.has(subscriber.socketId)) {
+        await this.renegotiate(subscriber)
+          .catch(error => this.logger.error('Error renegotiating subscriber:', error));
+      }
+    }
+
+    this.logger.info(`SFU publisher ${socketId} left stream ${publisher.streamId}`);
+  }
+
+  async unsubscribe(socketId) {
+    const subscriber = this.subscribers.get(socketId);
+    if (!subscriber) {
+      return;
+    }
+
+    this.subscribers.delete(socketId);
+    this.rooms.get(subscriber.streamId)?.subscribers.delete(socketId);
+
+    for (const forwarder of subscriber.forwarders.values()) {
+      forwarder.published.forwarders.delete(forwarder);
+    }
+    subscriber.forwarders.clear();
+
+    await subscriber.pc.close();
+    this.cleanupRoom(subscriber.streamId);
+  }
+
+  /**
+   * Drop everything a socket published or subscribed to
+   */
+  async removePeer(socketId) {
+    await Promise.all([this.unpublish(socketId), this.unsubscribe(socketId)]);
+  }
+
+  cleanupRoom(streamId) {
+    const room = this.rooms.get(streamId);
+    if (room && room.publishers.size === 0 && room.subscribers.size === 0) {
+      this.rooms.delete(streamId);
+    }
+  }
+
+  getRoomStats(streamId) {
+    const room = this.rooms.get(streamId);
+    if (!room) {
+      return null;
+    }
+
+    return {
+      streamId,
+      publishers: [...room.publishers.values()].map(publisher => ({
+        socketId: publisher.socketId,
+        userId: publisher.userId,
+        tracks: publisher.tracks.map(track => ({
+          id: track.id,
+          kind: track.kind,
+          layers: track.layers.map(layer => layer.rid),
+          subscribers: track.forwarders.size
+        }))
+      })),
+      subscribers: [...room.subscribers.values()].map(subscriber => ({
+        socketId: subscriber.socketId,
+        userId: subscriber.userId,
+        condition: subscriber.condition,
+        layers: Object.fromEntries([...subscriber.forwarders]
+          .filter(([, forwarder]) => forwarder.published.kind === 'video')
+          .map(([trackId, forwarder]) => [trackId, forwarder.currentRid ?? null]))
+      }))
+    };
+  }
+
+  async close() {
+    await Promise.all([...this.publishers.keys(), ...this.subscribers.keys()]
+      .map(socketId => this.removePeer(socketId)));
+  }
+}
+
+SelectiveForwardingUnit.selectLayer = selectLayer;
+
+module.exports = SelectiveForwardingUnit;
@@ -0,0 +1,42 @@
+/**
+ * LocalStorageProvider - Serves recordings straight from the local disk
+ *
+ * Files are already written under RECORDING_PATH, so uploads only verify
+ * the file and map the storage key to its public URL.
+ */
+
+const fs = require('fs').promises;
+const StorageProvider = require('./StorageProvider');
+
+class LocalStorageProvider extends StorageProvider {
+  constructor(config, logger) {
+    super('local', {
+      baseUrl: '',
+      ...config
+    }, logger);
+  }
+
+  async upload(localPath, key, options = {}) {
+    const stats = await fs.stat(localPath);
+
+    return {
+      provider: this.name,
+      key,
+      path: localPath,
+      url: this.getUrl(key),
+      size: stats.size,
+      checksum: options.checksum || null
+    };
+  }
+
+  async delete(key) {
+    // Local files are removed by RecordingManager, which knows their paths
+    return false;
+  }
+
+  getUrl(key) {
+    return `${this.config.baseUrl}/${key}`;
+  }
+}
+
+module.exports = LocalStorageProvider;
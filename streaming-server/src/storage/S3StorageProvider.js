@@ -0,0 +1,252 @@
+/**
+ * S3StorageProvider - S3-compatible object storage (AWS S3, MinIO, GCS interop)
+ *
+ * Handles:
+ * - Single-request uploads for small files
+ * - Multipart uploads with bounded part concurrency
+ * - Per-part retries with exponential backoff
+ * - MD5 verification of every part and SHA-256 verification of the object
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const {
+  S3Client,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const StorageProvider = require('./StorageProvider');
+
+const MIN_PART_SIZE = 5 * 1024 * 1024; // S3 minimum for all but the last part
+
+class S3StorageProvider extends StorageProvider {
+  constructor(name, config, logger) {
+    super(name, {
+      region: 'us-east-1',
+      endpoint: null,
+      forcePathStyle: false,
+      bucket: null,
+      prefix: '',
+      publicUrl: null,
+      partSize: 8 * 1024 * 1024,
+      partConcurrency: 3,
+      ...config
+    }, logger);
+
+    if (!this.config.bucket) {
+      throw new Error(`${name} storage provider requires a bucket`);
+    }
+
+    this.config.partSize = Math.max(this.config.partSize, MIN_PART_SIZE);
+
+    this.client = config.client || new S3Client({
+      region: this.config.region,
+      endpoint: this.config.endpoint || undefined,
+      forcePathStyle: this.config.forcePathStyle,
+      credentials: this.config.accessKeyId ? {
+        accessKeyId: this.config.accessKeyId,
+        secretAccessKey: this.config.secretAccessKey
+      } : undefined,
+      // Checksums are verified explicitly below; keep requests plain for S3-compatible servers
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED'
+    });
+  }
+
+  isRemote() {
+    return true;
+  }
+
+  /**
+   * Upload a local file and verify the stored object
+   */
+  async upload(localPath, key, options = {}) {
+    const objectKey = this.config.prefix + key;
+    const stats = await fs.stat(localPath);
+    const checksum = options.checksum || await this.computeFileChecksum(localPath);
+    const contentType = options.contentType || this.guessContentType(key);
+
+    const etag = stats.size <= this.config.partSize
+      ? await this.putObject(localPath, objectKey, contentType, checksum)
+      : await this.multipartUpload(localPath, objectKey, stats.size, contentType, checksum);
+
+    await this.verifyObject(objectKey, stats.size, checksum, etag);
+
+    this.logger.debug(`Uploaded ${localPath} to ${this.name}://${this.config.bucket}/${objectKey} (${stats.size} bytes)`);
+
+    return {
+      provider: this.name,
+      key: objectKey,
+      url: this.getUrl(key),
+      size: stats.size,
+      checksum,
+      etag
+    };
+  }
+
+  async putObject(localPath, objectKey, contentType, checksum) {
+    const body = await fs.readFile(localPath);
+    const md5 = crypto.createHash('md5').update(body).digest();
+
+    return this.withRetry(async () => {
+      const response = await this.client.send(new PutObjectCommand({
+        Bucket: this.config.bucket,
+        Key: objectKey,
+        Body: body,
+        ContentType: contentType,
+        ContentMD5: md5.toString('base64'),
+        Metadata: { sha256: checksum }
+      }));
+
+      const etag = this.normalizeETag(response.ETag);
+      if (etag !== md5.toString('hex')) {
+        throw new Error(`ETag mismatch for ${objectKey}`);
+      }
+      return etag;
+    }, `Upload of ${objectKey}`);
+  }
+
+  async multipartUpload(localPath, objectKey, size, contentType, checksum) {
+    const { UploadId: uploadId } = await this.withRetry(() => this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.config.bucket,
+      Key: objectKey,
+      ContentType: contentType,
+      Metadata: { sha256: checksum }
+    })), `Multipart initiation for ${objectKey}`);
+
+    const partCount = Math.ceil(size / this.config.partSize);
+    const parts = new Array(partCount);
+    let nextPart = 0;
+    const handle = await fs.open(localPath, 'r');
+
+    try {
+      const uploadWorker = async () => {
+        while (nextPart < partCount) {
+          const index = nextPart++;
+          parts[index] = await this.uploadPart(handle, objectKey, uploadId, index, size);
+        }
+      };
+
+      const workers = [];
+      for (let i = 0; i < Math.min(this.config.partConcurrency, partCount); i++) {
+        workers.push(uploadWorker());
+      }
+      await Promise.all(workers);
+
+      const response = await this.withRetry(() => this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.config.bucket,
+        Key: objectKey,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.map(part => ({ ETag: part.etag, PartNumber: part.partNumber }))
+        }
+      })), `Multipart completion for ${objectKey}`);
+
+      // Multipart ETag is the MD5 of the concatenated part MD5s plus the part count
+      const expected = crypto.createHash('md5')
+        .update(Buffer.concat(parts.map(part => part.md5)))
+        .digest('hex') + `-${partCount}`;
+      const etag = this.normalizeETag(response.ETag);
+      if (etag !== expected) {
+        throw new Error(`Multipart ETag mismatch for ${objectKey}`);
+      }
+
+      return etag;
+    } catch (error) {
+      this.logger.error(`Multipart upload of ${objectKey} failed, aborting:`, error);
+      await this.client.send(new AbortMultipartUploadCommand({
+        Bucket: this.config.bucket,
+        Key: objectKey,
+        UploadId: uploadId
+      })).catch(abortError => {
+        this.logger.warn(`Failed to abort multipart upload ${uploadId}: ${abortError.message}`);
+      });
+      throw error;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async uploadPart(handle, objectKey, uploadId, index, size) {
+    const offset = index * this.config.partSize;
+    const length = Math.min(this.config.partSize, size - offset);
+    const body = Buffer.alloc(length);
+    await handle.read(body, 0, length, offset);
+
+    const md5 = crypto.createHash('md5').update(body).digest();
+    const partNumber = index + 1;
+
+    const etag = await this.withRetry(async () => {
+      const response = await this.client.send(new UploadPartCommand({
+        Bucket: this.config.bucket,
+        Key: objectKey,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: body,
+        ContentMD5: md5.toString('base64')
+      }));
+
+      const partETag = this.normalizeETag(response.ETag);
+      if (partETag !== md5.toString('hex')) {
+        throw new Error(`ETag mismatch for part ${partNumber} of ${objectKey}`);
+      }
+      return response.ETag;
+    }, `Part ${partNumber} of ${objectKey}`);
+
+    return { partNumber, etag, md5 };
+  }
+
+  /**
+   * Confirm the stored object matches the local file
+   */
+  async verifyObject(objectKey, size, checksum, etag) {
+    const head = await this.withRetry(() => this.client.send(new HeadObjectCommand({
+      Bucket: this.config.bucket,
+      Key: objectKey
+    })), `Verification of ${objectKey}`);
+
+    if (Number(head.ContentLength) !== size) {
+      throw new Error(`Size mismatch for ${objectKey}: expected ${size}, got ${head.ContentLength}`);
+    }
+    if (head.Metadata && head.Metadata.sha256 && head.Metadata.sha256 !== checksum) {
+      throw new Error(`Checksum mismatch for ${objectKey}`);
+    }
+    if (head.ETag && this.normalizeETag(head.ETag) !== etag) {
+      throw new Error(`ETag changed for ${objectKey}`);
+    }
+  }
+
+  async delete(key) {
+    await this.withRetry(() => this.client.send(new DeleteObjectCommand({
+      Bucket: this.config.bucket,
+      Key: this.config.prefix + key
+    })), `Deletion of ${key}`);
+    return true;
+  }
+
+  getUrl(key) {
+    const objectKey = this.config.prefix + key;
+
+    if (this.config.publicUrl) {
+      return `${this.config.publicUrl.replace(/\/$/, '')}/${objectKey}`;
+    }
+    if (this.config.endpoint) {
+      const endpoint = this.config.endpoint.replace(/\/$/, '');
+      return this.config.forcePathStyle
+        ? `${endpoint}/${this.config.bucket}/${objectKey}`
+        : endpoint.replace('://', `://${this.config.bucket}.`) + `/${objectKey}`;
+    }
+    return `https://${this.config.bucket}.s3.${this.config.region}.amazonaws.com/${objectKey}`;
+  }
+
+  normalizeETag(etag) {
+    return String(etag || '').replace(/"/g, '');
+  }
+}
+
+module.exports = S3StorageProvider;
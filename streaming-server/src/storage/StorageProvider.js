@@ -0,0 +1,97 @@
+/**
+ * StorageProvider - Base class for recording storage backends
+ *
+ * Providers implement:
+ * - upload(localPath, key, options) -> { provider, key, url, size, checksum }
+ * - delete(key)
+ * - getUrl(key)
+ */
+
+const crypto = require('crypto');
+const fsSync = require('fs');
+
+class StorageProvider {
+  constructor(name, config, logger) {
+    this.name = name;
+    this.config = {
+      uploadRetries: 3,
+      retryDelay: 1000, // Base delay for exponential backoff
+      ...config
+    };
+    this.logger = logger;
+  }
+
+  async upload(localPath, key, options = {}) {
+    throw new Error(`${this.name} storage provider does not implement upload`);
+  }
+
+  async delete(key) {
+    throw new Error(`${this.name} storage provider does not implement delete`);
+  }
+
+  getUrl(key) {
+    throw new Error(`${this.name} storage provider does not implement getUrl`);
+  }
+
+  /**
+   * Whether uploaded files live somewhere other than the local disk
+   */
+  isRemote() {
+    return false;
+  }
+
+  /**
+   * Run an operation with exponential backoff retries
+   */
+  async withRetry(operation, description) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.config.uploadRetries; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < this.config.uploadRetries) {
+          const delay = this.config.retryDelay * Math.pow(2, attempt - 1);
+          this.logger.warn(`${description} failed (attempt ${attempt}/${this.config.uploadRetries}), retrying in ${delay}ms: ${error.message}`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Compute a file checksum without loading the whole file into memory
+   */
+  computeFileChecksum(filePath, algorithm = 'sha256') {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(algorithm);
+      fsSync.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  guessContentType(key) {
+    const types = {
+      '.mp4': 'video/mp4',
+      '.webm': 'video/webm',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png',
+      '.m3u8': 'application/vnd.apple.mpegurl',
+      '.ts': 'video/mp2t',
+      '.vtt': 'text/vtt',
+      '.srt': 'application/x-subrip',
+      '.json': 'application/json'
+    };
+    const extension = key.slice(key.lastIndexOf('.')).toLowerCase();
+    return types[extension] || 'application/octet-stream';
+  }
+}
+
+module.exports = StorageProvider;
@@ -0,0 +1,66 @@
+/**
+ * Storage provider factory
+ *
+ * Providers:
+ * - local: files stay under RECORDING_PATH
+ * - s3: AWS S3 or any S3-compatible endpoint (MinIO, Ceph, R2)
+ * - gcs: Google Cloud Storage through its S3-compatible XML API (HMAC keys)
+ */
+
+const LocalStorageProvider = require('./LocalStorageProvider');
+const S3StorageProvider = require('./S3StorageProvider');
+
+const sharedConfig = () => ({
+  uploadRetries: parseInt(process.env.STORAGE_UPLOAD_RETRIES || '3'),
+  partSize: parseInt(process.env.STORAGE_PART_SIZE_MB || '8') * 1024 * 1024,
+  partConcurrency: parseInt(process.env.STORAGE_PART_CONCURRENCY || '3')
+});
+
+const providers = {
+  local: (logger, overrides) => new LocalStorageProvider({
+    ...sharedConfig(),
+    baseUrl: process.env.LOCAL_STORAGE_BASE_URL || '',
+    ...overrides
+  }, logger),
+
+  s3: (logger, overrides) => new S3StorageProvider('s3', {
+    ...sharedConfig(),
+    region: process.env.AWS_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || null,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    bucket: process.env.AWS_S3_BUCKET,
+    prefix: process.env.S3_KEY_PREFIX || '',
+    publicUrl: process.env.S3_PUBLIC_URL || process.env.CDN_URL || null,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    ...overrides
+  }, logger),
+
+  gcs: (logger, overrides) => new S3StorageProvider('gcs', {
+    ...sharedConfig(),
+    region: 'auto',
+    endpoint: process.env.GCS_ENDPOINT || 'https://storage.googleapis.com',
+    forcePathStyle: true,
+    bucket: process.env.GCS_BUCKET,
+    prefix: process.env.GCS_KEY_PREFIX || '',
+    publicUrl: process.env.GCS_PUBLIC_URL || process.env.CDN_URL || null,
+    accessKeyId: process.env.GCS_HMAC_ACCESS_KEY,
+    secretAccessKey: process.env.GCS_HMAC_SECRET,
+    ...overrides
+  }, logger)
+};
+
+function createStorageProvider(name, logger, overrides = {}) {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+  return factory(logger, overrides);
+}
+
+module.exports = {
+  createStorageProvider,
+  StorageProvider: require('./StorageProvider'),
+  LocalStorageProvider,
+  S3StorageProvider
+};
@@ -0,0 +1,29 @@
+/**
+ * TranscriptionProvider - Base class for speech-to-text engines
+ *
+ * Providers implement:
+ * - transcribe(input, options) -> { language, segments: [{ start, end, text }] }
+ *   where input is a local path or URL ffmpeg can read, options.language
+ *   is a language code or 'auto', and times are in seconds
+ * - isAvailable() -> whether the engine is configured on this server
+ *
+ * The base class doubles as the 'none' provider: never available.
+ */
+
+class TranscriptionProvider {
+  constructor(name, config, logger) {
+    this.name = name;
+    this.config = { ...config };
+    this.logger = logger;
+  }
+
+  isAvailable() {
+    return false;
+  }
+
+  async transcribe(input, options = {}) {
+    throw new Error(`${this.name} transcription provider does not implement transcribe`);
+  }
+}
+
+module.exports = TranscriptionProvider;
@@ -0,0 +1,106 @@
+/**
+ * WhisperCppProvider - Offline speech-to-text with whisper.cpp
+ *
+ * Runs the whisper.cpp CLI on this server; no audio leaves it. Needs the
+ * binary (WHISPER_CPP_PATH) and a ggml model file (WHISPER_MODEL_PATH).
+ *
+ * ffmpeg first extracts the audio as 16 kHz mono WAV, which is what
+ * whisper.cpp reads; its JSON output carries segment offsets in ms.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const TranscriptionProvider = require('./TranscriptionProvider');
+
+class WhisperCppProvider extends TranscriptionProvider {
+  constructor(config, logger) {
+    super('whisper', {
+      binaryPath: 'whisper-cli',
+      modelPath: null,
+      threads: 4,
+      timeout: 60 * 60 * 1000, // long recordings take a while on CPU
+      tmpDir: os.tmpdir(),
+      ...config
+    }, logger);
+  }
+
+  isAvailable() {
+    return Boolean(this.config.modelPath) && fsSync.existsSync(this.config.modelPath);
+  }
+
+  async transcribe(input, options = {}) {
+    const base = path.join(this.config.tmpDir, `whisper-${uuidv4()}`);
+    const audioPath = `${base}.wav`;
+
+    try {
+      await this.extractAudio(input, audioPath);
+      await this.runEngine([
+        '-m', this.config.modelPath,
+        '-f', audioPath,
+        '-l', options.language || 'auto',
+        '-t', String(this.config.threads),
+        '-oj',
+        '-of', base
+      ]);
+
+      const output = JSON.parse(await fs.readFile(`${base}.json`, 'utf8'));
+      return this.parseOutput(output);
+    } finally {
+      await Promise.all([audioPath, `${base}.json`].map(file => fs.unlink(file).catch(() => {})));
+    }
+  }
+
+  extractAudio(input, outputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(input)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(16000)
+        .audioCodec('pcm_s16le')
+        .format('wav')
+        .output(outputPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+  }
+
+  runEngine(args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.config.binaryPath, args, { timeout: this.config.timeout, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          error.message = `whisper.cpp failed: ${stderr.trim().split('\n').pop() || error.message}`;
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  /**
+   * whisper.cpp -oj output: { result: { language }, transcription: [{ offsets: { from, to }, text }] }
+   */
+  parseOutput(output) {
+    const segments = (output.transcription || [])
+      .map(segment => ({
+        start: segment.offsets.from / 1000,
+        end: segment.offsets.to / 1000,
+        text: segment.text.trim()
+      }))
+      // whisper.cpp marks silence and music as [BLANK_AUDIO], (music) and the like
+      .filter(segment => segment.text && !/^[[(].*[\])]$/.test(segment.text));
+
+    return {
+      language: (output.result && output.result.language) || null,
+      segments
+    };
+  }
+}
+
+module.exports = WhisperCppProvider;
@@ -0,0 +1,97 @@
+/**
+ * Captions - turn transcription segments into caption cues and files
+ *
+ * Segments are split into cues of at most two lines of 42 characters
+ * (the usual broadcast limits), sharing the segment's time by length.
+ */
+
+const { formatVttTime } = require('../recording/editPlan');
+
+const MAX_LINE_LENGTH = 42;
+const MAX_LINES = 2;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Greedy word wrap; words longer than a line get a line of their own
+ */
+function wrapWords(text, maxLineLength) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > maxLineLength) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+function buildCues(segments, options = {}) {
+  const maxLineLength = options.maxLineLength || MAX_LINE_LENGTH;
+  const maxLines = options.maxLines || MAX_LINES;
+  const cues = [];
+
+  for (const segment of segments) {
+    const lines = wrapWords(segment.text, maxLineLength);
+    const groups = [];
+    for (let i = 0; i < lines.length; i += maxLines) {
+      groups.push(lines.slice(i, i + maxLines));
+    }
+
+    const totalLength = groups.reduce((total, group) => total + group.join(' ').length, 0);
+    let start = segment.start;
+    groups.forEach((group, index) => {
+      const end = index === groups.length - 1
+        ? segment.end
+        : start + (segment.end - segment.start) * (group.join(' ').length / totalLength);
+      cues.push({ start: round(start), end: round(end), text: group.join('\n') });
+      start = end;
+    });
+  }
+
+  return cues;
+}
+
+// Cue text cannot contain markup characters or the timing arrow
+const escapeVtt = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+function buildWebVtt(cues) {
+  const blocks = cues.map((cue, index) =>
+    `${index + 1}\n${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${escapeVtt(cue.text)}`);
+  return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
+
+function buildSrt(cues) {
+  const time = seconds => formatVttTime(seconds).replace('.', ',');
+  const blocks = cues.map((cue, index) =>
+    `${index + 1}\n${time(cue.start)} --> ${time(cue.end)}\n${cue.text}`);
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Track label for a language code, e.g. 'en' -> 'English'
+ */
+function languageLabel(language) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+  } catch (error) {
+    return language;
+  }
+}
+
+module.exports = {
+  buildCues,
+  buildWebVtt,
+  buildSrt,
+  languageLabel
+};
@@ -0,0 +1,37 @@
+/**
+ * Transcription provider factory
+ *
+ * Providers:
+ * - whisper: whisper.cpp running offline on this server
+ * - none: transcription disabled
+ */
+
+const TranscriptionProvider = require('./TranscriptionProvider');
+const WhisperCppProvider = require('./WhisperCppProvider');
+const captions = require('./captions');
+
+const providers = {
+  whisper: (logger, overrides) => new WhisperCppProvider({
+    binaryPath: process.env.WHISPER_CPP_PATH || 'whisper-cli',
+    modelPath: process.env.WHISPER_MODEL_PATH || null,
+    threads: parseInt(process.env.WHISPER_THREADS || '4'),
+    ...overrides
+  }, logger),
+
+  none: (logger, overrides) => new TranscriptionProvider('none', overrides, logger)
+};
+
+function createTranscriptionProvider(name, logger, overrides = {}) {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown transcription provider: ${name}`);
+  }
+  return factory(logger, overrides);
+}
+
+module.exports = {
+  createTranscriptionProvider,
+  TranscriptionProvider,
+  WhisperCppProvider,
+  ...captions
+};
@@ -0,0 +1,20 @@
+/**
+ * Errors callers can surface as-is
+ *
+ * Managers throw these for requests they refuse; routes answer with the
+ * error's statusCode and message.
+ */
+
+/**
+ * An Error tagged with the HTTP status to answer with; details (such as a
+ * machine-readable code) are copied onto it
+ */
+function createHttpError(message, statusCode = 400, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return Object.assign(error, details);
+}
+
+module.exports = {
+  createHttpError
+};
@@ -0,0 +1,192 @@
+/**
+ * In-memory stand-ins shared by the chat and signaling tests
+ *
+ * - createFakeRedis: the Redis commands the chat uses
+ * - createFakeIo: records room broadcasts and sockets leaving rooms
+ * - createSocket: records what is emitted to one client
+ * - createFakeDb: the stream owner, moderation log and custom command
+ *   queries every chat test makes, plus the test's own
+ */
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function createFakeRedis() {
+  const data = new Map();
+  const entry = (key, create) => {
+    if (!data.has(key)) {
+      data.set(key, create());
+    }
+    return data.get(key);
+  };
+
+  return {
+    data,
+    async incr(key) {
+      const value = (data.get(key) || 0) + 1;
+      data.set(key, value);
+      return value;
+    },
+    async zAdd(key, { score, value }) {
+      entry(key, () => []).push({ score, value });
+      data.get(key).sort((a, b) => a.score - b.score);
+    },
+    async zRange(key, start, stop, options) {
+      const entries = data.get(key) || [];
+      if (!options) {
+        const end = stop < 0 ? entries.length + stop + 1 : stop + 1;
+        return entries.slice(start, Math.max(end, 0)).map(item => item.value);
+      }
+      const max = start === '+inf' ? Infinity : parseInt(String(start).replace('(', ''));
+      const exclusive = String(start).startsWith('(');
+      return [...entries]
+        .reverse()
+        .filter(item => (exclusive ? item.score < max : item.score <= max))
+        .slice(options.LIMIT.offset, options.LIMIT.offset + options.LIMIT.count)
+        .map(item => item.value);
+    },
+    async zRemRangeByRank(key, start, stop) {
+      data.get(key).splice(start, stop - start + 1);
+    },
+    async hSet(key, field, value) {
+      entry(key, () => new Map()).set(field, value);
+    },
+    async hGet(key, field) {
+      return data.get(key)?.get(field) || null;
+    },
+    async hmGet(key, fields) {
+      return fields.map(field => data.get(key)?.get(field) || null);
+    },
+    async hGetAll(key) {
+      return Object.fromEntries(data.get(key) || []);
+    },
+    async hIncrBy(key, field, amount) {
+      const hash = entry(key, () => new Map());
+      const value = parseInt(hash.get(field) || '0') + amount;
+      hash.set(field, String(value));
+      return value;
+    },
+    async hDel(key, fields) {
+      [].concat(fields).forEach(field => data.get(key)?.delete(field));
+    },
+    async del(key) {
+      data.delete(key);
+    },
+    async sAdd(key, member) {
+      entry(key, () => new Set()).add(member);
+    },
+    async sRem(key, member) {
+      data.get(key)?.delete(member);
+    },
+    async sMembers(key) {
+      return [...(data.get(key) || [])];
+    },
+    async expire() {},
+    async get() {
+      return null;
+    },
+    async setEx() {}
+  };
+}
+
+function createFakeIo() {
+  const emitted = [];
+  const left = [];
+
+  // Sockets registered by createSocket, and a stand-in for any other
+  const sockets = new Map();
+  const registered = sockets.get.bind(sockets);
+  sockets.get = (socketId) => registered(socketId) || { leave: (room) => left.push({ socketId, room }) };
+
+  return {
+    emitted,
+    left,
+    sockets: { sockets },
+    to(room) {
+      return { emit: (event, data) => emitted.push({ room, event, data }) };
+    }
+  };
+}
+
+/**
+ * A client socket; socket.to() broadcasts are recorded with broadcast: true
+ * and skipped by last()
+ */
+function createSocket(id, io = null) {
+  const emitted = [];
+  const socket = {
+    id,
+    emitted,
+    emit: (event, data) => emitted.push({ event, data }),
+    on: () => {},
+    join: () => {},
+    leave: () => {},
+    to: () => ({ emit: (event, data) => emitted.push({ event, data, broadcast: true }) }),
+    last(event) {
+      return [...emitted].reverse().find(entry => entry.event === event && !entry.broadcast);
+    }
+  };
+
+  if (io) {
+    io.sockets.sockets.set(id, socket);
+  }
+  return socket;
+}
+
+/**
+ * handle(sql, params) answers the test's own queries first and returns
+ * undefined for the rest. The stream with streamId (any stream when
+ * omitted) is owned by ownerId.
+ */
+function createFakeDb({ streamId = null, ownerId, handle = () => undefined } = {}) {
+  const log = [];
+
+  return {
+    log,
+    async execute(query, params) {
+      const sql = query.replace(/\s+/g, ' ').trim();
+
+      const handled = await handle(sql, params);
+      if (handled !== undefined) {
+        return handled;
+      }
+
+      if (sql.startsWith('SELECT user_id FROM live_streams')) {
+        return [streamId === null || params[0] === streamId ? [{ user_id: ownerId }] : []];
+      }
+      if (sql.startsWith('SELECT * FROM chat_custom_commands')) {
+        return [[]];
+      }
+      if (sql.startsWith('INSERT INTO chat_moderation_log')) {
+        const columns = sql.match(/\(([^)]+)\) VALUES/)[1].split(',').map(c => c.trim());
+        const row = { id: log.length + 1 };
+        columns.forEach((column, i) => { row[column] = params[i]; });
+        log.push(row);
+        return [{ insertId: row.id }];
+      }
+      if (sql.startsWith('SELECT * FROM chat_moderation_log')) {
+        let rows = log.filter(row => row.stream_id === params[0]);
+        let index = 1;
+        if (sql.includes('id < ?')) {
+          const cursor = params[index++];
+          rows = rows.filter(row => row.id < cursor);
+        }
+        if (sql.includes('action = ?')) {
+          const action = params[index++];
+          rows = rows.filter(row => row.action === action);
+        }
+        const limit = parseInt(sql.match(/LIMIT (\d+)/)[1]);
+        return [[...rows].reverse().slice(0, limit)];
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+module.exports = {
+  logger,
+  createFakeRedis,
+  createFakeIo,
+  createSocket,
+  createFakeDb
+};
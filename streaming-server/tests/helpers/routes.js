@@ -0,0 +1,54 @@
+/**
+ * Shared setup for the route integration tests
+ *
+ * - token: a bearer token the real AuthMiddleware accepts
+ * - host, stranger, admin: tokens for the stream owner (user 7), another
+ *   user and an admin
+ * - createRecorder: stub methods that record their calls
+ * - mountRouter: an app serving one router behind the real AuthMiddleware
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const AuthMiddleware = require('../../src/middleware/AuthMiddleware');
+
+const JWT_SECRET = 'route-tests-secret';
+
+const token = (user) => `Bearer ${jwt.sign(user, JWT_SECRET)}`;
+
+const host = token({ userId: 7, role: 'creator' });
+const stranger = token({ userId: 1, role: 'user' });
+const admin = token({ userId: 99, role: 'admin' });
+
+/**
+ * record(name, result) builds an async stub that logs { name, args } to
+ * calls and resolves to result, or to result(...args) when it is a function
+ */
+function createRecorder() {
+  const calls = [];
+  const record = (name, result) => async (...args) => {
+    calls.push({ name, args });
+    return typeof result === 'function' ? result(...args) : result;
+  };
+  return { calls, record };
+}
+
+/**
+ * createRouter(auth) builds the router under test; it is mounted at prefix
+ * after the JSON body parser
+ */
+function mountRouter(prefix, createRouter) {
+  const app = express();
+  app.use(express.json());
+  app.use(prefix, createRouter(new AuthMiddleware({ jwtSecret: JWT_SECRET })));
+  return app;
+}
+
+module.exports = {
+  token,
+  host,
+  stranger,
+  admin,
+  createRecorder,
+  mountRouter
+};
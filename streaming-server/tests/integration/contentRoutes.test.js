@@ -0,0 +1,288 @@
+/**
+ * Integration Tests for Content Routes
+ *
+ * Mounts the router with the real AuthMiddleware and a stubbed
+ * ContentManager to cover:
+ * - Public category and trending listings
+ * - Stream ownership checks for categorize and analyze
+ * - Analysis history for owners and staff
+ * - Report and DMCA validation
+ * - Reference tracks and match review for rights holders
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const request = require('supertest');
+const ContentManager = require('../../src/ContentManager');
+const contentRoutes = require('../../src/routes/contentRoutes');
+const { token, host: owner, stranger: viewer, admin, createRecorder, mountRouter } = require('../helpers/routes');
+
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+const MISSING_STREAM_ID = '11111111-1111-4111-8111-111111111111';
+const ANALYSIS_ID = '3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e6f';
+const RECORDING_ID = '9f8e7d6c-5b4a-4392-8170-6f5e4d3c2b1a';
+const TRACK_ID = '5d6e7f80-9a1b-4c2d-8e3f-4a5b6c7d8e9f';
+const MATCH_ID = '6e7f8091-ab2c-4d3e-9f40-5b6c7d8e9fa0';
+
+/**
+ * Manager stub that keeps the real configuration and records calls
+ */
+function createManagerStub() {
+  const config = new ContentManager(null, null, null).config;
+  const { calls, record } = createRecorder();
+
+  return {
+    config,
+    calls,
+    async getStreamData(streamId) {
+      return streamId === STREAM_ID ? { id: STREAM_ID, user_id: 7, description: 'Weekly show' } : null;
+    },
+    getTrendingContent: record('getTrendingContent', [{ id: STREAM_ID, trendingScore: 12 }]),
+    categorizeStream: record('categorizeStream', (streamId, category, tags) => ({ success: true, category, tags })),
+    analyzeStreamContent: record('analyzeStreamContent', (streamId, type) => ({
+      id: 'analysis-1', streamId, type, status: 'completed', contentScore: 91, violations: [], results: {}
+    })),
+    listContentAnalyses: record('listContentAnalyses', [{ id: ANALYSIS_ID, streamId: STREAM_ID, ownerId: 7, contentScore: 85 }]),
+    async getContentAnalysis(analysisId) {
+      return analysisId === ANALYSIS_ID ? { id: ANALYSIS_ID, streamId: STREAM_ID, ownerId: 7, contentScore: 85 } : null;
+    },
+    analyzer: {
+      listPlugins: () => [{ name: 'speech', media: 'audio', description: 'Transcribes the sampled audio' }]
+    },
+    handleContentReport: record('handleContentReport', { success: true, reportId: 'report-1' }),
+    handleDMCARequest: record('handleDMCARequest', { success: true, dmcaId: 'dmca-1' }),
+    copyright: {
+      registerTrack: record('registerTrack', (details, input, rightsHolderId) => ({ id: TRACK_ID, ...details, rightsHolderId, status: 'active' })),
+      listTracks: record('listTracks', []),
+      async getTrack(trackId) {
+        return trackId === TRACK_ID ? { id: TRACK_ID, rightsHolderId: 30 } : null;
+      },
+      deleteTrack: record('deleteTrack', undefined),
+      listMatches: record('listMatches', []),
+      async getMatch(matchId) {
+        return matchId === MATCH_ID
+          ? { id: MATCH_ID, trackId: TRACK_ID, rightsHolderId: 30, streamId: STREAM_ID, ownerId: 7, status: 'pending' }
+          : null;
+      },
+      reviewMatch: record('reviewMatch', (matchId, decision) => ({
+        id: matchId, status: decision === 'confirm' ? 'confirmed' : 'dismissed', dmcaRequestId: decision === 'confirm' ? 'dmca-2' : null
+      }))
+    }
+  };
+}
+
+describe('Content Routes', () => {
+  let app;
+  let manager;
+
+  const moderator = token({ userId: 50, role: 'moderator' });
+
+  beforeEach(() => {
+    manager = createManagerStub();
+    app = mountRouter('/api/content', auth => contentRoutes(manager, auth));
+  });
+
+  it('should list categories and trending streams without authentication', async () => {
+    const categories = await request(app).get('/api/content/categories');
+    const trending = await request(app).get('/api/content/trending?category=technology&timeRange=7d&limit=5');
+    const invalid = await request(app).get('/api/content/trending?timeRange=1y');
+
+    expect(categories.body.data.find(category => category.id === 'technology').name).toBe('Technology');
+    expect(trending.status).toBe(200);
+    expect(manager.calls[0].args).toEqual(['technology', '7d', 5]);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should let only the owner or an admin categorize a stream', async () => {
+    const url = `/api/content/streams/${STREAM_ID}/categorize`;
+    const payload = { category: 'technology', tags: ['webrtc', 'streaming'] };
+
+    const anonymous = await request(app).post(url).send(payload);
+    const asViewer = await request(app).post(url).set('Authorization', viewer).send(payload);
+    const asOwner = await request(app).post(url).set('Authorization', owner).send(payload);
+    const asAdmin = await request(app).post(url).set('Authorization', admin).send(payload);
+    const missing = await request(app)
+      .post(`/api/content/streams/${MISSING_STREAM_ID}/categorize`)
+      .set('Authorization', owner)
+      .send(payload);
+
+    expect(anonymous.status).toBe(401);
+    expect(asViewer.status).toBe(403);
+    expect(asOwner.status).toBe(200);
+    expect(asOwner.body.data).toEqual({ category: 'technology', tags: ['webrtc', 'streaming'] });
+    expect(manager.calls[0].args[3]).toBe('Weekly show');
+    expect(asAdmin.status).toBe(200);
+    expect(missing.status).toBe(404);
+  });
+
+  it('should reject invalid categories and tags', async () => {
+    const response = await request(app)
+      .post(`/api/content/streams/${STREAM_ID}/categorize`)
+      .set('Authorization', owner)
+      .send({ category: 'cooking', tags: ['x'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.map(detail => detail.path)).toEqual(['category', 'tags[0]']);
+    expect(manager.calls).toHaveLength(0);
+  });
+
+  it('should let owners and moderators run content analysis', async () => {
+    const url = `/api/content/streams/${STREAM_ID}/analyze`;
+
+    const asViewer = await request(app).post(url).set('Authorization', viewer).send({});
+    const asModerator = await request(app).post(url).set('Authorization', moderator).send({ analysisType: 'text' });
+    const badType = await request(app).post(url).set('Authorization', owner).send({ analysisType: 'smell' });
+
+    expect(asViewer.status).toBe(403);
+    expect(asModerator.status).toBe(200);
+    expect(asModerator.body.data).toMatchObject({ type: 'text', contentScore: 91 });
+    expect(badType.status).toBe(400);
+  });
+
+  it('should analyze a chosen recording and show analyses to owners and staff', async () => {
+    const analyze = await request(app)
+      .post(`/api/content/streams/${STREAM_ID}/analyze`)
+      .set('Authorization', owner)
+      .send({ analysisType: 'video', recordingId: RECORDING_ID });
+    const badRecording = await request(app)
+      .post(`/api/content/streams/${STREAM_ID}/analyze`)
+      .set('Authorization', owner)
+      .send({ recordingId: 'latest' });
+
+    expect(analyze.status).toBe(200);
+    expect(badRecording.status).toBe(400);
+    expect(manager.calls[0].args).toEqual([STREAM_ID, 'video', { recordingId: RECORDING_ID, requestedBy: 7 }]);
+
+    const history = await request(app).get(`/api/content/streams/${STREAM_ID}/analyses`).set('Authorization', owner);
+    const allAsOwner = await request(app).get('/api/content/analyses').set('Authorization', owner);
+    const flagged = await request(app).get('/api/content/analyses?flagged=true').set('Authorization', moderator);
+    const plugins = await request(app).get('/api/content/analysis-plugins').set('Authorization', admin);
+
+    expect(history.status).toBe(200);
+    expect(allAsOwner.status).toBe(403);
+    expect(flagged.status).toBe(200);
+    expect(plugins.body.data.map(plugin => plugin.name)).toEqual(['speech']);
+    expect(manager.calls.slice(1).map(call => call.args[0])).toEqual([
+      { streamId: STREAM_ID, limit: undefined },
+      { status: undefined, flagged: true, limit: undefined }
+    ]);
+
+    const asOwner = await request(app).get(`/api/content/analyses/${ANALYSIS_ID}`).set('Authorization', owner);
+    const asViewer = await request(app).get(`/api/content/analyses/${ANALYSIS_ID}`).set('Authorization', viewer);
+
+    expect(asOwner.body.data.contentScore).toBe(85);
+    expect(asViewer.status).toBe(404);
+  });
+
+  it('should accept reports from any signed-in user', async () => {
+    const response = await request(app)
+      .post(`/api/content/streams/${STREAM_ID}/report`)
+      .set('Authorization', viewer)
+      .send({ reason: 'spam', description: 'Link flooding' });
+    const badReason = await request(app)
+      .post(`/api/content/streams/${STREAM_ID}/report`)
+      .set('Authorization', viewer)
+      .send({ reason: 'boring' });
+
+    expect(response.status).toBe(201);
+    expect(manager.calls[0].args).toEqual([1, STREAM_ID, 'spam', 'Link flooding']);
+    expect(badReason.status).toBe(400);
+  });
+
+  it('should require a complete sworn DMCA notice', async () => {
+    const notice = {
+      claimantName: 'Rights Holder LLC',
+      claimantEmail: 'legal@example.com',
+      copyrightedWork: 'Track "Example" (2024)',
+      infringingContent: 'Played in full from 00:12:00',
+      streamId: STREAM_ID
+    };
+
+    const unsworn = await request(app).post('/api/content/dmca').set('Authorization', viewer).send(notice);
+    const sworn = await request(app).post('/api/content/dmca').set('Authorization', viewer).send({ ...notice, swornStatement: true });
+    const missing = await request(app)
+      .post('/api/content/dmca')
+      .set('Authorization', viewer)
+      .send({ ...notice, streamId: MISSING_STREAM_ID, swornStatement: true });
+
+    expect(unsworn.status).toBe(400);
+    expect(sworn.status).toBe(201);
+    expect(sworn.body.data.dmcaId).toBe('dmca-1');
+    expect(missing.status).toBe(404);
+  });
+
+  it('should let rights holders register and remove only their own reference tracks', async () => {
+    const holder = token({ userId: 30, role: 'rights_holder' });
+    const otherHolder = token({ userId: 31, role: 'rights_holder' });
+    const wav = Buffer.from('RIFF....WAVEfmt ');
+
+    const asCreator = await request(app)
+      .post('/api/content/copyright/tracks')
+      .set('Authorization', owner)
+      .field('title', 'Example')
+      .attach('audio', wav, { filename: 'example.wav', contentType: 'audio/wav' });
+    const withoutAudio = await request(app)
+      .post('/api/content/copyright/tracks')
+      .set('Authorization', holder)
+      .field('title', 'Example');
+    const badIsrc = await request(app)
+      .post('/api/content/copyright/tracks')
+      .set('Authorization', holder)
+      .field('title', 'Example')
+      .field('isrc', 'not-an-isrc')
+      .attach('audio', wav, { filename: 'example.wav', contentType: 'audio/wav' });
+    const registered = await request(app)
+      .post('/api/content/copyright/tracks')
+      .set('Authorization', holder)
+      .field('title', 'Example')
+      .field('artist', 'The Examples')
+      .field('isrc', 'USRC17607839')
+      .attach('audio', wav, { filename: 'example.wav', contentType: 'audio/wav' });
+
+    expect(asCreator.status).toBe(403);
+    expect(withoutAudio.status).toBe(400);
+    expect(badIsrc.status).toBe(400);
+    expect(registered.status).toBe(201);
+    expect(manager.calls).toHaveLength(1);
+    expect(manager.calls[0].args[0]).toEqual({ title: 'Example', artist: 'The Examples', isrc: 'USRC17607839' });
+    expect(manager.calls[0].args[2]).toBe(30);
+
+    await request(app).get('/api/content/copyright/tracks').set('Authorization', holder);
+    await request(app).get('/api/content/copyright/tracks').set('Authorization', admin);
+    expect(manager.calls.filter(call => call.name === 'listTracks').map(call => call.args[0])).toEqual([
+      { rightsHolderId: 30 },
+      { rightsHolderId: null }
+    ]);
+
+    const foreign = await request(app).delete(`/api/content/copyright/tracks/${TRACK_ID}`).set('Authorization', otherHolder);
+    const removed = await request(app).delete(`/api/content/copyright/tracks/${TRACK_ID}`).set('Authorization', holder);
+    expect(foreign.status).toBe(404);
+    expect(removed.status).toBe(200);
+    expect(manager.calls.filter(call => call.name === 'deleteTrack')).toHaveLength(1);
+  });
+
+  it('should show match evidence to those involved and let only the rights holder confirm it', async () => {
+    const holder = token({ userId: 30, role: 'rights_holder' });
+    const url = `/api/content/copyright/matches/${MATCH_ID}`;
+
+    expect((await request(app).get(url).set('Authorization', owner)).status).toBe(200);
+    expect((await request(app).get(url).set('Authorization', moderator)).status).toBe(200);
+    expect((await request(app).get(url).set('Authorization', viewer)).status).toBe(404);
+    expect((await request(app).get('/api/content/copyright/matches').set('Authorization', viewer)).status).toBe(403);
+
+    await request(app).get('/api/content/copyright/matches?status=pending').set('Authorization', holder);
+    expect(manager.calls[0].args[0]).toMatchObject({ status: 'pending', rightsHolderId: 30 });
+
+    const byOwner = await request(app).post(`${url}/review`).set('Authorization', owner).send({ decision: 'dismiss' });
+    const unsworn = await request(app).post(`${url}/review`).set('Authorization', holder).send({ decision: 'confirm' });
+    const confirmed = await request(app)
+      .post(`${url}/review`)
+      .set('Authorization', holder)
+      .send({ decision: 'confirm', swornStatement: true, note: 'Unlicensed use' });
+
+    expect(byOwner.status).toBe(403);
+    expect(unsworn.status).toBe(400);
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.data).toMatchObject({ status: 'confirmed', dmcaRequestId: 'dmca-2' });
+    expect(manager.calls[1].args).toEqual([MATCH_ID, 'confirm', 30, 'Unlicensed use']);
+  });
+});
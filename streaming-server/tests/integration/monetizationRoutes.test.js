@@ -0,0 +1,228 @@
+/**
+ * Integration Tests for Monetization Routes
+ *
+ * Mounts the router with the real AuthMiddleware and a stubbed
+ * MonetizationManager to cover:
+ * - Authentication and role checks
+ * - Request validation
+ * - Payment outcomes (success, 3-D Secure, declines)
+ * - Earnings and payouts
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const MonetizationManager = require('../../src/MonetizationManager');
+const { FakeGateway, createPaymentError } = require('../../src/payments');
+const monetizationRoutes = require('../../src/routes/monetizationRoutes');
+const { host: creator, stranger: viewer, admin, createRecorder, mountRouter } = require('../helpers/routes');
+
+const EVENT_ID = '6f1c1f0e-3d5b-4c1a-9a53-0d6f7f2b8a11';
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+
+/**
+ * Manager stub that keeps the real configuration and records calls
+ */
+function createManagerStub() {
+  const config = new MonetizationManager({}, null, { warn: () => {} }, new FakeGateway()).config;
+  const { calls, record } = createRecorder();
+
+  return {
+    config,
+    calls,
+    events: new Map([[EVENT_ID, { id: EVENT_ID, creator_id: 7, price: 10, currency: 'USD', status: 'scheduled' }]]),
+    transactions: new Map(),
+    balance: 0,
+    createSubscription: record('createSubscription', (userId, planId) => ({ success: true, subscription: { userId, planId, status: 'active' } })),
+    createPayPerViewEvent: record('createPayPerViewEvent', (creatorId, data) => ({ success: true, event: { id: EVENT_ID, creatorId, ...data } })),
+    async getPPVEvent(eventId) {
+      return this.events.get(eventId) || null;
+    },
+    purchasePPVAccess: record('purchasePPVAccess', (userId, eventId, paymentMethodId) => {
+      if (paymentMethodId === 'pm_card_chargeDeclined') {
+        throw createPaymentError({ id: 'pi_1', failureCode: 'card_declined', declineCode: 'generic_decline', failureMessage: 'Your card was declined.' });
+      }
+      if (paymentMethodId === 'pm_card_authenticationRequired') {
+        return { success: false, requiresAction: true, status: 'requires_action', paymentId: 'pi_2', clientSecret: 'pi_2_secret' };
+      }
+      return { success: true, purchase: { userId, eventId, status: 'completed' }, paymentId: 'pi_3' };
+    }),
+    checkPPVAccess: record('checkPPVAccess', null),
+    sendVirtualGift: record('sendVirtualGift', { success: true, transaction: {} }),
+    processDonation: record('processDonation', { success: true, donation: {} }),
+    async getPaymentTransaction(paymentId) {
+      return this.transactions.get(paymentId) || null;
+    },
+    confirmPayment: record('confirmPayment', { success: true, status: 'succeeded' }),
+    refundPayment: record('refundPayment', (paymentId, options) => ({ success: true, refund: { paymentId, amount: options.amount ?? 10 } })),
+    calculateCreatorEarnings: record('calculateCreatorEarnings', { totalEarnings: 42, breakdown: {} }),
+    async getCreatorBalance() {
+      return this.balance;
+    },
+    processCreatorPayout: record('processCreatorPayout', (creatorId, amount) => ({ success: true, payout: { creatorId, amount, destination: 'acct_creator7' } }))
+  };
+}
+
+describe('Monetization Routes', () => {
+  let app;
+  let manager;
+
+  beforeEach(() => {
+    manager = createManagerStub();
+    app = mountRouter('/api/monetization', auth => monetizationRoutes(manager, auth));
+  });
+
+  it('should list plans and gifts without authentication', async () => {
+    const plans = await request(app).get('/api/monetization/plans');
+    const gifts = await request(app).get('/api/monetization/gifts');
+
+    expect(plans.status).toBe(200);
+    expect(plans.body.data.map(plan => plan.id)).toEqual(['basic', 'premium', 'creator']);
+    expect(gifts.body.data).toHaveLength(5);
+  });
+
+  it('should reject anonymous and forged requests', async () => {
+    const anonymous = await request(app).post('/api/monetization/donations').send({});
+    const forged = await request(app)
+      .post('/api/monetization/donations')
+      .set('Authorization', `Bearer ${jwt.sign({ userId: 1 }, 'wrong-secret')}`)
+      .send({});
+
+    expect(anonymous.status).toBe(401);
+    expect(forged.status).toBe(401);
+    expect(manager.calls).toHaveLength(0);
+  });
+
+  it('should validate subscription requests and pass the token user through', async () => {
+    const invalid = await request(app)
+      .post('/api/monetization/subscriptions')
+      .set('Authorization', viewer)
+      .send({ planId: 'platinum', paymentMethodId: 'pm_card_visa' });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details[0].msg).toBe('Invalid subscription plan');
+
+    const created = await request(app)
+      .post('/api/monetization/subscriptions')
+      .set('Authorization', viewer)
+      .send({ planId: 'premium', paymentMethodId: 'pm_card_visa', idempotencyKey: 'sub-request-1' });
+
+    expect(created.status).toBe(201);
+    expect(manager.calls[0].args).toEqual([1, 'premium', 'pm_card_visa', { idempotencyKey: 'sub-request-1' }]);
+  });
+
+  it('should only let creators create PPV events', async () => {
+    const event = {
+      title: 'Founder AMA',
+      price: 12.5,
+      scheduledTime: new Date(Date.now() + 86400000).toISOString()
+    };
+
+    const asViewer = await request(app).post('/api/monetization/ppv/events').set('Authorization', viewer).send(event);
+    const asCreator = await request(app).post('/api/monetization/ppv/events').set('Authorization', creator).send(event);
+    const inPast = await request(app)
+      .post('/api/monetization/ppv/events')
+      .set('Authorization', creator)
+      .send({ ...event, scheduledTime: '2020-01-01T00:00:00Z' });
+
+    expect(asViewer.status).toBe(403);
+    expect(asCreator.status).toBe(201);
+    expect(asCreator.body.data.creatorId).toBe(7);
+    expect(inPast.status).toBe(400);
+  });
+
+  it('should map PPV payment outcomes to status codes', async () => {
+    const url = `/api/monetization/ppv/events/${EVENT_ID}/purchase`;
+
+    const paid = await request(app).post(url).set('Authorization', viewer).send({ paymentMethodId: 'pm_card_visa' });
+    const challenged = await request(app).post(url).set('Authorization', viewer).send({ paymentMethodId: 'pm_card_authenticationRequired' });
+    const declined = await request(app).post(url).set('Authorization', viewer).send({ paymentMethodId: 'pm_card_chargeDeclined' });
+    const missing = await request(app)
+      .post('/api/monetization/ppv/events/11111111-1111-4111-8111-111111111111/purchase')
+      .set('Authorization', viewer)
+      .send({ paymentMethodId: 'pm_card_visa' });
+
+    expect(paid.status).toBe(201);
+    expect(challenged.status).toBe(202);
+    expect(challenged.body.data).toMatchObject({ requiresAction: true, clientSecret: 'pi_2_secret' });
+    expect(declined.status).toBe(402);
+    expect(declined.body).toMatchObject({ code: 'card_declined', declineCode: 'generic_decline' });
+    expect(missing.status).toBe(404);
+  });
+
+  it('should validate gifts and donations', async () => {
+    const selfGift = await request(app)
+      .post('/api/monetization/gifts')
+      .set('Authorization', viewer)
+      .send({ recipientId: 1, giftId: 'heart', streamId: STREAM_ID, paymentMethodId: 'pm_card_visa' });
+    const badGift = await request(app)
+      .post('/api/monetization/gifts')
+      .set('Authorization', viewer)
+      .send({ recipientId: 7, giftId: 'yacht', streamId: STREAM_ID, paymentMethodId: 'pm_card_visa' });
+    const donation = await request(app)
+      .post('/api/monetization/donations')
+      .set('Authorization', viewer)
+      .send({ recipientId: 7, amount: 5, currency: 'eur', paymentMethodId: 'pm_card_visa' });
+
+    expect(selfGift.status).toBe(400);
+    expect(badGift.status).toBe(400);
+    expect(donation.status).toBe(201);
+    expect(manager.calls[0].args.slice(0, 4)).toEqual([1, 7, 5, 'EUR']);
+  });
+
+  it('should only confirm the payer\'s own payments', async () => {
+    manager.transactions.set('pi_2', { user_id: 1, status: 'requires_action' });
+
+    const stranger = await request(app).post('/api/monetization/payments/pi_2/confirm').set('Authorization', creator);
+    const payer = await request(app).post('/api/monetization/payments/pi_2/confirm').set('Authorization', viewer);
+
+    expect(stranger.status).toBe(404);
+    expect(payer.status).toBe(200);
+
+    // The payer's ID as the database returns it
+    manager.transactions.set('pi_4', { user_id: '1', status: 'requires_action' });
+    const stored = await request(app).post('/api/monetization/payments/pi_4/confirm').set('Authorization', viewer);
+    expect(stored.status).toBe(200);
+  });
+
+  it('should restrict refunds to admins', async () => {
+    manager.transactions.set('pi_3', { user_id: 1, status: 'succeeded' });
+
+    const asViewer = await request(app).post('/api/monetization/payments/pi_3/refund').set('Authorization', viewer).send({});
+    const asAdmin = await request(app)
+      .post('/api/monetization/payments/pi_3/refund')
+      .set('Authorization', admin)
+      .send({ amount: 4, reason: 'requested_by_customer' });
+
+    expect(asViewer.status).toBe(403);
+    expect(asAdmin.status).toBe(200);
+    expect(asAdmin.body.data).toEqual({ paymentId: 'pi_3', amount: 4 });
+  });
+
+  it('should report earnings and enforce payout limits', async () => {
+    manager.balance = 80;
+
+    const earnings = await request(app).get('/api/monetization/earnings?timeRange=7d').set('Authorization', creator);
+    const belowMinimum = await request(app)
+      .post('/api/monetization/payouts')
+      .set('Authorization', creator)
+      .send({ amount: 20 });
+    const overBalance = await request(app)
+      .post('/api/monetization/payouts')
+      .set('Authorization', creator)
+      .send({ amount: 100 });
+    const payout = await request(app)
+      .post('/api/monetization/payouts')
+      .set('Authorization', creator)
+      .send({ amount: 60, destination: 'acct_attacker' });
+
+    expect(earnings.status).toBe(200);
+    expect(earnings.body.data).toMatchObject({ totalEarnings: 42, balance: 80, minimumPayout: 50 });
+    expect(belowMinimum.status).toBe(400);
+    expect(overBalance.status).toBe(400);
+    expect(payout.status).toBe(201);
+    expect(payout.body.data).toEqual({ creatorId: 7, amount: 60, destination: 'acct_creator7' });
+    // The destination is never taken from the request
+    expect(manager.calls.at(-1).args).toEqual([7, 60]);
+  });
+});
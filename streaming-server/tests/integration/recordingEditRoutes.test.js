@@ -0,0 +1,140 @@
+/**
+ * Integration Tests for the recording editing routes
+ *
+ * Mounts the recording router with the real AuthMiddleware and a stubbed
+ * RecordingManager to cover:
+ * - Authentication and ownership of the recording's stream
+ * - Request validation
+ * - Public shared clips and caption files
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const request = require('supertest');
+const recordingRoutes = require('../../src/routes/recordingRoutes');
+const { createHttpError } = require('../../src/utils/errors');
+const { host, stranger, admin, createRecorder, mountRouter } = require('../helpers/routes');
+
+const RECORDING_ID = '7d3e2f1a-0b9c-4d8e-a7f6-5e4d3c2b1a09';
+const RENDITION_ID = '2f4e6a8c-1b3d-4f5a-9c7e-0d2b4f6a8c1e';
+
+function createManagerStub() {
+  const { calls, record } = createRecorder();
+  const rendition = { id: RENDITION_ID, recordingId: RECORDING_ID, kind: 'clip', status: 'rendering' };
+
+  return {
+    calls,
+    async getRecordingWithOwner(recordingId) {
+      return recordingId === RECORDING_ID ? { id: RECORDING_ID, user_id: 7, status: 'completed' } : null;
+    },
+    async getRendition(renditionId) {
+      return renditionId === RENDITION_ID ? rendition : null;
+    },
+    getEditDecisionList: record('getEditDecisionList', { recordingId: RECORDING_ID, edits: [] }),
+    addEdit: record('addEdit', (recordingId, edit) => ({ id: 'edit-1', ...edit })),
+    renderEdits: record('renderEdits', () => {
+      throw createHttpError('This recording is already being rendered', 409);
+    }),
+    exportClip: record('exportClip', () => rendition),
+    getRenditionChapters: record('getRenditionChapters', 'WEBVTT\n'),
+    getCaptionFile: record('getCaptionFile', (recordingId, language, format) => (language === 'en'
+      ? (format === 'srt' ? '1\n00:00:00,000 --> 00:00:02,000\nHello\n' : 'WEBVTT\n')
+      : null)),
+    getSharedClip: record('getSharedClip', shareId => (shareId === 'c2hhcmVkLWNsaXA' ? {
+      ...rendition,
+      status: 'completed',
+      title: 'Best answer',
+      duration: 25,
+      url: 'https://cdn.test/clip.mp4',
+      createdBy: 7
+    } : null))
+  };
+}
+
+describe('Recording Edit Routes', () => {
+  let app;
+  let manager;
+
+  const base = `/api/recordings/${RECORDING_ID}`;
+
+  beforeEach(() => {
+    manager = createManagerStub();
+    app = mountRouter('/api/recordings', auth => recordingRoutes(manager, auth));
+  });
+
+  it('should only let the stream owner or an admin edit', async () => {
+    const anonymous = await request(app).get(`${base}/edits`);
+    const foreign = await request(app).post(`${base}/clips`).set('Authorization', stranger).send({ start: 0, end: 10 });
+    const foreignRendition = await request(app).get(`/api/recordings/renditions/${RENDITION_ID}`).set('Authorization', stranger);
+    const owner = await request(app).get(`${base}/edits`).set('Authorization', host);
+    const byAdmin = await request(app).get(`/api/recordings/renditions/${RENDITION_ID}/chapters.vtt`).set('Authorization', admin);
+    const missing = await request(app).get('/api/recordings/5d4c3b2a-1f0e-4d9c-8b7a-6f5e4d3c2b1a/edits').set('Authorization', host);
+
+    expect(anonymous.status).toBe(401);
+    expect(foreign.status).toBe(403);
+    expect(foreignRendition.status).toBe(403);
+    expect(owner.status).toBe(200);
+    expect(byAdmin.status).toBe(200);
+    expect(byAdmin.headers['content-type']).toMatch(/^text\/vtt/);
+    expect(missing.status).toBe(404);
+    expect(manager.calls.map(call => call.name)).toEqual(['getEditDecisionList', 'getRenditionChapters']);
+  });
+
+  it('should validate edits before passing them on', async () => {
+    const invalid = await request(app)
+      .post(`${base}/edits`)
+      .set('Authorization', host)
+      .send({ type: 'fade', time: -1 });
+    const added = await request(app)
+      .post(`${base}/edits`)
+      .set('Authorization', host)
+      .send({ type: 'marker', time: 42.5, label: 'Questions' });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.map(detail => detail.path)).toEqual(['type', 'time']);
+    expect(added.status).toBe(201);
+    expect(manager.calls).toEqual([{
+      name: 'addEdit',
+      args: [RECORDING_ID, { type: 'marker', time: 42.5, start: undefined, end: undefined, label: 'Questions' }, 7]
+    }]);
+  });
+
+  it('should pass manager error statuses through', async () => {
+    const response = await request(app).post(`${base}/render`).set('Authorization', host);
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({ error: 'Failed to render recording', message: 'This recording is already being rendered' });
+  });
+
+  it('should serve shared clips without a login', async () => {
+    const shared = await request(app).get('/api/recordings/clips/c2hhcmVkLWNsaXA');
+    const unknown = await request(app).get('/api/recordings/clips/unknown-share');
+
+    expect(shared.status).toBe(200);
+    expect(shared.body.data).toEqual({
+      id: RENDITION_ID,
+      title: 'Best answer',
+      duration: 25,
+      url: 'https://cdn.test/clip.mp4'
+    });
+    expect(unknown.status).toBe(404);
+  });
+
+  it('should serve caption files without a login', async () => {
+    const vtt = await request(app).get(`${base}/captions/en.vtt`);
+    const srt = await request(app).get(`${base}/captions/en.srt`);
+    const missing = await request(app).get(`${base}/captions/de.vtt`);
+    const invalid = await request(app).get(`${base}/captions/en.txt`);
+
+    expect(vtt.status).toBe(200);
+    expect(vtt.headers['content-type']).toMatch(/^text\/vtt/);
+    expect(srt.status).toBe(200);
+    expect(srt.headers['content-type']).toMatch(/^application\/x-subrip/);
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+    expect(manager.calls.map(call => call.args)).toEqual([
+      [RECORDING_ID, 'en', 'vtt'],
+      [RECORDING_ID, 'en', 'srt'],
+      [RECORDING_ID, 'de', 'vtt']
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Integration Tests for Recording Job Routes
+ *
+ * Mounts the job router with the real AuthMiddleware and a stubbed queue
+ * to cover:
+ * - Users only seeing jobs for their own recordings
+ * - Request validation
+ * - Queue error statuses
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const request = require('supertest');
+const RecordingJobQueue = require('../../src/recording/RecordingJobQueue');
+const recordingJobRoutes = require('../../src/routes/recordingJobRoutes');
+const { createHttpError } = require('../../src/utils/errors');
+const { host, stranger, admin, createRecorder, mountRouter } = require('../helpers/routes');
+
+const JOB_ID = '4d5e6f7a-8b9c-4d0e-9f1a-2b3c4d5e6f7a';
+
+function createQueueStub() {
+  const { calls, record } = createRecorder();
+  const job = {
+    id: JOB_ID,
+    recordingId: '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d',
+    ownerId: 7,
+    status: 'running',
+    priority: 'normal',
+    payload: { rawPath: '/recordings/raw/interview.mp4' },
+    checkpoint: { probe: {} },
+    lockedBy: 'node-a'
+  };
+
+  return {
+    calls,
+    async getJob(jobId) {
+      return jobId === JOB_ID ? job : null;
+    },
+    listJobs: record('listJobs', [job]),
+    updatePriority: record('updatePriority', () => {
+      throw createHttpError('Only queued jobs can be reprioritized', 409);
+    }),
+    retryJob: record('retryJob', { ...job, status: 'queued' }),
+    cancelJob: record('cancelJob', { ...job, status: 'cancelled' }),
+    serializeJob: RecordingJobQueue.prototype.serializeJob
+  };
+}
+
+describe('Recording Job Routes', () => {
+  let app;
+  let queue;
+
+  beforeEach(() => {
+    queue = createQueueStub();
+    app = mountRouter('/api/recordings/jobs', auth => recordingJobRoutes({ jobs: queue }, auth));
+  });
+
+  it('should list only the caller\'s jobs unless they are an admin', async () => {
+    const anonymous = await request(app).get('/api/recordings/jobs');
+    const own = await request(app).get('/api/recordings/jobs?status=running').set('Authorization', host);
+    const all = await request(app).get('/api/recordings/jobs').set('Authorization', admin);
+    const invalid = await request(app).get('/api/recordings/jobs?status=stuck').set('Authorization', host);
+
+    expect(anonymous.status).toBe(401);
+    expect(own.status).toBe(200);
+    expect(own.body.data).toEqual([{
+      id: JOB_ID,
+      recordingId: '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d',
+      ownerId: 7,
+      status: 'running',
+      priority: 'normal',
+      completedSteps: ['probe']
+    }]);
+    expect(all.status).toBe(200);
+    expect(invalid.status).toBe(400);
+    expect(queue.calls.map(call => call.args[0])).toEqual([
+      { status: 'running', recordingId: undefined, limit: undefined, ownerId: 7 },
+      { status: undefined, recordingId: undefined, limit: undefined, ownerId: null }
+    ]);
+  });
+
+  it('should hide other users\' jobs', async () => {
+    const foreign = await request(app).post(`/api/recordings/jobs/${JOB_ID}/cancel`).set('Authorization', stranger);
+    const owner = await request(app).post(`/api/recordings/jobs/${JOB_ID}/retry`).set('Authorization', host);
+
+    expect(foreign.status).toBe(404);
+    expect(owner.status).toBe(200);
+    expect(owner.body.data.status).toBe('queued');
+    expect(queue.calls).toEqual([{ name: 'retryJob', args: [JOB_ID] }]);
+  });
+
+  it('should validate priorities and pass queue errors through', async () => {
+    const invalid = await request(app).patch(`/api/recordings/jobs/${JOB_ID}`).set('Authorization', host).send({ priority: 'urgent' });
+    const running = await request(app).patch(`/api/recordings/jobs/${JOB_ID}`).set('Authorization', host).send({ priority: 'high' });
+
+    expect(invalid.status).toBe(400);
+    expect(running.status).toBe(409);
+    expect(running.body).toEqual({ error: 'Failed to update recording job', message: 'Only queued jobs can be reprioritized' });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Integration Tests for Restream Routes
+ *
+ * Mounts the router with the real AuthMiddleware and a stubbed
+ * RestreamManager to cover:
+ * - Authentication and destination ownership
+ * - Request validation
+ * - Manager error statuses
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const request = require('supertest');
+const restreamRoutes = require('../../src/routes/restreamRoutes');
+const { createHttpError } = require('../../src/utils/errors');
+const { host, stranger, admin, createRecorder, mountRouter } = require('../helpers/routes');
+
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+const DESTINATION_ID = '9a1c7f3e-4b2d-4e8f-a6c5-1d2e3f4a5b6c';
+
+function createManagerStub() {
+  const { calls, record } = createRecorder();
+  const destination = { id: DESTINATION_ID, streamId: STREAM_ID, userId: 7, platform: 'twitch', streamKeyHint: 'abcd', status: 'live' };
+
+  return {
+    calls,
+    async getDestination(destinationId) {
+      return destinationId === DESTINATION_ID ? destination : null;
+    },
+    listDestinations: record('listDestinations', [destination]),
+    createDestination: record('createDestination', (userId, streamId, data) => {
+      if (userId !== 7) {
+        throw createHttpError('You can only restream your own streams', 403);
+      }
+      return { ...destination, ...data, streamKey: undefined };
+    }),
+    updateDestination: record('updateDestination', (destinationId, changes) => ({ ...destination, ...changes })),
+    deleteDestination: record('deleteDestination'),
+    reconnectDestination: record('reconnectDestination', () => {
+      throw createHttpError('Stream is not live', 409);
+    })
+  };
+}
+
+describe('Restream Routes', () => {
+  let app;
+  let manager;
+
+  beforeEach(() => {
+    manager = createManagerStub();
+    app = mountRouter('/api/restreams', auth => restreamRoutes(manager, auth));
+  });
+
+  it('should require a signed-in user', async () => {
+    const listed = await request(app).get(`/api/restreams/streams/${STREAM_ID}`);
+    const created = await request(app).post(`/api/restreams/streams/${STREAM_ID}`).send({ platform: 'twitch', streamKey: 'key' });
+
+    expect(listed.status).toBe(401);
+    expect(created.status).toBe(401);
+    expect(manager.calls).toEqual([]);
+  });
+
+  it('should validate and create destinations', async () => {
+    const created = await request(app)
+      .post(`/api/restreams/streams/${STREAM_ID}`)
+      .set('Authorization', host)
+      .send({ platform: 'twitch', name: 'Twitch', streamKey: 'live_123_abcd' });
+    const missingKey = await request(app)
+      .post(`/api/restreams/streams/${STREAM_ID}`)
+      .set('Authorization', host)
+      .send({ platform: 'twitch' });
+    const badUrl = await request(app)
+      .post(`/api/restreams/streams/${STREAM_ID}`)
+      .set('Authorization', host)
+      .send({ platform: 'custom', serverUrl: 'https://example.com', streamKey: 'key' });
+    const foreign = await request(app)
+      .post(`/api/restreams/streams/${STREAM_ID}`)
+      .set('Authorization', stranger)
+      .send({ platform: 'twitch', streamKey: 'key' });
+
+    expect(created.status).toBe(201);
+    expect(manager.calls[0].args.slice(0, 2)).toEqual([7, STREAM_ID]);
+    expect(created.body.data).not.toHaveProperty('streamKey');
+    expect(missingKey.status).toBe(400);
+    expect(badUrl.status).toBe(400);
+    expect(foreign.status).toBe(403);
+  });
+
+  it('should only let the owner or an admin manage a destination', async () => {
+    const foreign = await request(app).patch(`/api/restreams/${DESTINATION_ID}`).set('Authorization', stranger).send({ enabled: false });
+    const owner = await request(app).patch(`/api/restreams/${DESTINATION_ID}`).set('Authorization', host).send({ enabled: false });
+    const byAdmin = await request(app).delete(`/api/restreams/${DESTINATION_ID}`).set('Authorization', admin);
+    const missing = await request(app).get(`/api/restreams/${STREAM_ID}`).set('Authorization', host);
+
+    expect(foreign.status).toBe(403);
+    expect(owner.status).toBe(200);
+    expect(owner.body.data.enabled).toBe(false);
+    expect(byAdmin.status).toBe(200);
+    expect(missing.status).toBe(404);
+    expect(manager.calls.map(call => call.name)).toEqual(['updateDestination', 'deleteDestination']);
+  });
+
+  it('should pass manager error statuses through', async () => {
+    const response = await request(app).post(`/api/restreams/${DESTINATION_ID}/reconnect`).set('Authorization', host);
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({ error: 'Failed to restart restream relay', message: 'Stream is not live' });
+  });
+});
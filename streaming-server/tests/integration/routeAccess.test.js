@@ -0,0 +1,364 @@
+/**
+ * Integration Tests for route access
+ *
+ * Mounts every router the way the server does, with the real AuthMiddleware
+ * and stubs whose resources all belong to one user, then walks each route:
+ * - Anonymous callers get 401 unless the route is listed as public
+ * - Callers whose role lacks the route's declared permission get 403
+ * - Another user's stream, recording, dashboard, schedule and so on are
+ *   refused (403 or 404), except on routes that only act on the caller's
+ *   own data. Routes that validate before checking ownership may answer
+ *   400 instead, as long as the owner gets the same.
+ * - The caller's own ID elsewhere in the request cannot stand in for the
+ *   ID the handler reads
+ */
+
+const { describe, it, beforeAll, expect } = require('@jest/globals');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const AuthMiddleware = require('../../src/middleware/AuthMiddleware');
+const { ROLES, hasPermission } = require('../../src/security/roles');
+
+const JWT_SECRET = 'route-access-test-secret';
+const OWNER_ID = 7;
+const FOREIGN_ID = 30;
+const RESOURCE_ID = '6f1c2b3a-4d5e-4f60-8a7b-9c0d1e2f3a4b';
+
+const token = (user) => `Bearer ${jwt.sign(user, JWT_SECRET)}`;
+
+// Routes anyone can call: public content, playback and chat reads; clip
+// shares and export downloads carry their own secret
+const PUBLIC_ROUTES = [
+  'GET /api/streams/live',
+  'GET /api/streams/:id',
+  'GET /api/quality/presets',
+  'GET /playback/:streamKey/master.m3u8',
+  'GET /playback/:streamKey/:rendition.m3u8',
+  'GET /playback/:streamKey/:file',
+  'GET /api/recordings/:recordingId',
+  'GET /api/recordings/stream/:streamId',
+  'GET /api/recordings/:recordingId/thumbnails',
+  'GET /api/recordings/:recordingId/preview',
+  'GET /api/recordings/:recordingId/captions',
+  'GET /api/recordings/:recordingId/captions/:file',
+  'GET /api/recordings/clips/:shareId',
+  'GET /api/webrtc/config',
+  'GET /api/chat/history/:streamId',
+  'GET /api/chat/settings/:streamId',
+  'GET /api/chat/moderators/:streamId',
+  'GET /api/chat/users/:streamId',
+  'GET /api/chat/commands/:streamId',
+  'GET /api/dashboard/export/:exportId/download',
+  'GET /api/monetization/plans',
+  'GET /api/monetization/gifts',
+  'GET /api/content/categories',
+  'GET /api/content/trending',
+  'GET /api/auth/providers',
+  'POST /api/auth/oauth/:provider/start',
+  'POST /api/auth/oauth/:provider/callback',
+  'POST /api/auth/mfa',
+  'POST /api/auth/passkeys/login/options',
+  'POST /api/auth/passkeys/login',
+  'POST /api/auth/refresh'
+];
+
+// Signed-in routes that act on the caller's own data, or on nobody's
+const SELF_ROUTES = [
+  'POST /api/streams',
+  'POST /api/quality/:streamKey/network-stats',
+  'POST /api/webrtc/offer',
+  'POST /api/webrtc/answer',
+  'POST /api/webrtc/ice-candidate',
+  'POST /api/chat/bots/messages',
+  'GET /api/analytics/dashboard',
+  'POST /api/analytics/event',
+  'GET /api/recordings/jobs',
+  'POST /api/monetization/subscriptions',
+  'POST /api/monetization/ppv/events',
+  'GET /api/monetization/ppv/events/:eventId',
+  'POST /api/monetization/ppv/events/:eventId/purchase',
+  'GET /api/monetization/ppv/events/:eventId/access',
+  'POST /api/monetization/gifts',
+  'POST /api/monetization/donations',
+  'POST /api/monetization/payments/:paymentId/confirm',
+  'GET /api/monetization/earnings',
+  'POST /api/monetization/payouts',
+  'POST /api/content/streams/:streamId/report',
+  'POST /api/content/dmca',
+  'GET /api/schedules',
+  'POST /api/schedules',
+  'GET /api/auth/identities',
+  'POST /api/auth/identities/confirm',
+  'POST /api/auth/identities/:provider',
+  'DELETE /api/auth/identities/:provider',
+  'GET /api/auth/passkeys',
+  'POST /api/auth/passkeys/options',
+  'POST /api/auth/passkeys',
+  'DELETE /api/auth/passkeys/:credentialId',
+  'POST /api/auth/logout',
+  'GET /api/auth/sessions',
+  'DELETE /api/auth/sessions',
+  'DELETE /api/auth/sessions/:sessionId'
+];
+
+// Values for route params; IDs are all the same resource
+const PARAMS = {
+  streamKey: 'ownerstreamkey',
+  quality: '720p',
+  rendition: '720p',
+  file: 'en.vtt',
+  name: 'hello',
+  shareId: 'abcdefgh12',
+  provider: 'google'
+};
+
+/**
+ * Stubs for what routers and their ownership checks load; everything
+ * belongs to OWNER_ID. Handlers are never reached by the requests here,
+ * so anything else throws.
+ */
+function createStubs() {
+  const owned = { id: RESOURCE_ID, user_id: OWNER_ID, userId: OWNER_ID, ownerId: OWNER_ID, recordingId: RESOURCE_ID, streamId: RESOURCE_ID };
+  const unreachable = name => async () => {
+    throw new Error(`${name} should not be reached`);
+  };
+  const notOwned = async () => {
+    const error = new Error('Stream not found');
+    error.statusCode = 404;
+    throw error;
+  };
+  const stub = (methods) => new Proxy(methods, {
+    get: (target, name) => (name in target || typeof name !== 'string' ? target[name] : unreachable(name))
+  });
+
+  return {
+    streamManager: stub({ streamKeys: stub({ getKey: async () => owned }) }),
+    analyticsCollector: stub({}),
+    qualityManager: stub({ getPackager: () => null }),
+    recordingManager: stub({
+      jobs: stub({ getJob: async () => owned }),
+      getRecordingWithOwner: async () => owned,
+      getRendition: async () => owned
+    }),
+    webrtcSignaling: stub({}),
+    sfu: stub({}),
+    chatManager: stub({
+      commandConfig: { maxCustomResponseLength: 500 },
+      moderationConfig: { maxHistoryPageSize: 100 },
+      getStreamOwner: async () => OWNER_ID,
+      authenticateBot: async () => null
+    }),
+    analyticsDashboard: stub({}),
+    analyticsExporter: stub({ getAvailableWidgets: () => ['overview'], getExportJob: async () => owned }),
+    monetizationManager: stub({
+      config: { subscriptionPlans: { basic: {} }, virtualGifts: { heart: {} }, minimumPayout: 50 }
+    }),
+    contentManager: stub({
+      config: { categories: { interview: {} } },
+      getStreamData: async () => owned,
+      getContentAnalysis: async () => owned,
+      copyright: stub({
+        getTrack: async () => ({ ...owned, rightsHolderId: 31 }),
+        getMatch: async () => ({ ...owned, rightsHolderId: 31 })
+      })
+    }),
+    streamScheduler: stub({
+      config: { maxReminders: 5, maxReminderOffset: 10080, maxRecurrenceInterval: 52 },
+      getSchedule: async () => owned
+    }),
+    securityManager: stub({}),
+    restreamManager: stub({
+      getDestination: async () => owned,
+      // RestreamManager checks the stream's owner itself
+      listDestinations: notOwned,
+      createDestination: notOwned
+    })
+  };
+}
+
+/**
+ * Every router, mounted as in server.js setupRoutes
+ */
+function mountRouters(app, stubs, auth) {
+  const mounts = [
+    ['/api/auth', require('../../src/routes/authRoutes')(stubs.securityManager, auth)],
+    ['/api/streams/:streamId/keys', require('../../src/routes/streamKeyRoutes')(stubs.streamManager.streamKeys, auth)],
+    ['/api/streams', require('../../src/routes/streamRoutes')(stubs.streamManager, stubs.analyticsCollector, auth)],
+    ['/api/quality', require('../../src/routes/qualityRoutes')(stubs.qualityManager, auth)],
+    ['/playback', require('../../src/routes/playbackRoutes')(stubs.qualityManager)],
+    ['/api/recordings/jobs', require('../../src/routes/recordingJobRoutes')(stubs.recordingManager, auth)],
+    ['/api/recordings', require('../../src/routes/recordingRoutes')(stubs.recordingManager, auth)],
+    ['/api/webrtc', require('../../src/routes/webrtcRoutes')(stubs.webrtcSignaling, stubs.sfu, auth)],
+    ['/api/chat', require('../../src/routes/chatRoutes')(stubs.chatManager, auth)],
+    ['/api/analytics', require('../../src/routes/analyticsRoutes')(stubs.analyticsCollector, auth)],
+    ['/api/dashboard', require('../../src/routes/dashboardRoutes')(stubs.analyticsDashboard, stubs.analyticsExporter, auth)],
+    ['/api/monetization', require('../../src/routes/monetizationRoutes')(stubs.monetizationManager, auth)],
+    ['/api/content', require('../../src/routes/contentRoutes')(stubs.contentManager, auth)],
+    ['/api/schedules', require('../../src/routes/scheduleRoutes')(stubs.streamScheduler, auth)],
+    ['/api/restreams', require('../../src/routes/restreamRoutes')(stubs.restreamManager, auth)]
+  ];
+
+  const routes = [];
+  for (const [prefix, router] of mounts) {
+    app.use(prefix, router);
+
+    for (const layer of router.stack.filter(entry => entry.route)) {
+      const template = `${prefix}${layer.route.path === '/' ? '' : layer.route.path}`;
+      const access = layer.route.stack.map(entry => entry.handle.access).find(Boolean) || null;
+
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({
+          name: `${method.toUpperCase()} ${template}`,
+          method,
+          path: template.replace(/:(\w+)/g, (match, param) => PARAMS[param] || RESOURCE_ID),
+          access
+        });
+      }
+    }
+  }
+  return routes;
+}
+
+const send = (app, route, authorization) => {
+  const req = request(app)[route.method](route.path);
+  if (authorization) {
+    req.set('Authorization', authorization);
+  }
+  // Point at the owner's data where routes take whose data it is
+  return route.method === 'get' ? req.query({ userId: OWNER_ID }) : req.send({ userId: OWNER_ID, streamId: RESOURCE_ID });
+};
+
+describe('Route access', () => {
+  let app;
+  let routes;
+
+  beforeAll(() => {
+    const auth = new AuthMiddleware({ jwtSecret: JWT_SECRET });
+    auth.registerOwnership('stream', async () => OWNER_ID);
+    auth.registerOwnership('streamKey', async () => OWNER_ID, 'stream');
+    auth.registerOwnership('recording', async () => OWNER_ID);
+    auth.registerOwnership('user', async userId => userId);
+
+    app = express();
+    app.use(express.json());
+    routes = mountRouters(app, createStubs(), auth);
+  });
+
+  it('should only list routes that exist', () => {
+    const names = routes.map(route => route.name);
+
+    expect(routes.length).toBeGreaterThan(100);
+    expect([...PUBLIC_ROUTES, ...SELF_ROUTES].filter(name => !names.includes(name))).toEqual([]);
+  });
+
+  it('should reject anonymous callers on every route that is not public', async () => {
+    const allowed = [];
+
+    for (const route of routes.filter(candidate => !PUBLIC_ROUTES.includes(candidate.name))) {
+      const response = await send(app, route);
+      if (response.status !== 401) {
+        allowed.push(`${route.name} -> ${response.status}`);
+      }
+    }
+
+    expect(allowed).toEqual([]);
+  });
+
+  it('should reject roles without the route\'s permission', async () => {
+    const allowed = [];
+    let checked = 0;
+
+    for (const route of routes.filter(candidate => candidate.access && candidate.access.permission)) {
+      const role = Object.keys(ROLES).find(name => !hasPermission(ROLES, name, route.access.permission));
+      if (!role) {
+        continue;
+      }
+
+      checked++;
+      const response = await send(app, route, token({ userId: OWNER_ID, role }));
+      if (response.status !== 403) {
+        allowed.push(`${route.name} as ${role} -> ${response.status}`);
+      }
+    }
+
+    expect(checked).toBeGreaterThan(80);
+    expect(allowed).toEqual([]);
+  });
+
+  it('should refuse another user\'s resources', async () => {
+    const foreign = token({ userId: FOREIGN_ID, role: 'creator' });
+    const owner = token({ userId: OWNER_ID, role: 'creator' });
+    const allowed = [];
+
+    const scoped = routes.filter(route => !PUBLIC_ROUTES.includes(route.name) && !SELF_ROUTES.includes(route.name));
+    for (const route of scoped) {
+      const response = await send(app, route, foreign);
+      if ([403, 404].includes(response.status)) {
+        continue;
+      }
+      // Some routes validate before checking ownership; the owner must fail
+      // the same way for that to be validation and not a way in
+      if (response.status === 400 && (await send(app, route, owner)).status === 400) {
+        continue;
+      }
+      allowed.push(`${route.name} -> ${response.status}`);
+    }
+
+    expect(scoped.length).toBeGreaterThan(70);
+    expect(allowed).toEqual([]);
+  });
+
+  it('should refuse owner checks that are not given the resource ID', async () => {
+    const auth = new AuthMiddleware({ jwtSecret: JWT_SECRET });
+    auth.registerOwnership('stream', async () => OWNER_ID);
+    const guarded = express().post('/settings', auth.authorize('create_stream', { owner: 'stream' }), (req, res) => res.json({ success: true }));
+
+    const response = await request(guarded).post('/settings').set('Authorization', token({ userId: FOREIGN_ID, role: 'creator' }));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Stream ID is required');
+  });
+
+  it('should let admins past ownership and owners through to the handler', async () => {
+    const dashboard = routes.find(route => route.name === 'GET /api/dashboard/real-time');
+    const deleteRecording = routes.find(route => route.name === 'DELETE /api/recordings/:recordingId');
+
+    // Past authorization the stubs throw, so a 500 means the request got in
+    expect((await send(app, dashboard, token({ userId: 99, role: 'admin' }))).status).toBe(500);
+    expect((await send(app, deleteRecording, token({ userId: OWNER_ID, role: 'user' }))).status).not.toBe(403);
+
+    const invalid = await send(app, deleteRecording, 'Bearer not-a-token');
+    expect(invalid.status).toBe(401);
+  });
+
+  it('should refuse requests that name another resource where the owner check does not look', async () => {
+    const caller = token({ userId: FOREIGN_ID, role: 'creator' });
+
+    // The caller's own ID in the query, another user's in the body the export reads
+    const exported = await request(app)
+      .post('/api/dashboard/export')
+      .query({ userId: FOREIGN_ID })
+      .set('Authorization', caller)
+      .send({ userId: OWNER_ID });
+    expect(exported.status).toBe(400);
+    expect(exported.body.error).toBe('Conflicting user IDs');
+
+    const allowed = [];
+    const owned = routes.filter(route => route.access && route.access.owner);
+    for (const route of owned) {
+      const { param, in: source } = route.access;
+      const own = { [param]: FOREIGN_ID };
+      const query = source === 'query' ? { [param]: OWNER_ID } : own;
+      const body = source === 'body' ? { [param]: OWNER_ID } : own;
+
+      const response = await request(app)[route.method](route.path).query(query).set('Authorization', caller).send(body);
+      if (response.status !== 400 || !/^Conflicting/.test(response.body.error)) {
+        allowed.push(`${route.name} -> ${response.status}`);
+      }
+    }
+
+    expect(owned.length).toBeGreaterThan(30);
+    expect(allowed).toEqual([]);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Integration Tests for Stream Schedule Routes
+ *
+ * Mounts the router with the real AuthMiddleware and a stubbed
+ * StreamScheduler to cover:
+ * - Authentication and schedule ownership
+ * - Request validation
+ * - Scheduler error statuses
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const request = require('supertest');
+const StreamScheduler = require('../../src/StreamScheduler');
+const scheduleRoutes = require('../../src/routes/scheduleRoutes');
+const { createHttpError } = require('../../src/utils/errors');
+const { host, stranger, admin, createRecorder, mountRouter } = require('../helpers/routes');
+
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+const SCHEDULE_ID = '5d0f3a8e-2b7c-4f61-9e1a-3c4b5d6e7f80';
+
+/**
+ * Scheduler stub that keeps the real configuration and records calls
+ */
+function createSchedulerStub() {
+  const scheduler = new StreamScheduler(null, null, null);
+  scheduler.stopScheduleProcessor();
+
+  const { calls, record } = createRecorder();
+  const schedule = { id: SCHEDULE_ID, streamId: STREAM_ID, userId: 7, status: 'scheduled' };
+
+  return {
+    config: scheduler.config,
+    calls,
+    async getSchedule(scheduleId) {
+      return scheduleId === SCHEDULE_ID ? schedule : null;
+    },
+    listSchedules: record('listSchedules', [schedule]),
+    createSchedule: record('createSchedule', (userId, data) => {
+      if (data.streamId !== STREAM_ID) {
+        throw createHttpError('Stream not found', 404);
+      }
+      return { ...schedule, userId, ...data };
+    }),
+    rescheduleSchedule: record('rescheduleSchedule', (scheduleId, changes) => ({ ...schedule, ...changes })),
+    cancelSchedule: record('cancelSchedule', (scheduleId, scope) => ({ ...schedule, status: scope === 'series' ? 'cancelled' : 'scheduled' }))
+  };
+}
+
+describe('Schedule Routes', () => {
+  let app;
+  let scheduler;
+
+  const future = () => new Date(Date.now() + 3600000).toISOString();
+
+  beforeEach(() => {
+    scheduler = createSchedulerStub();
+    app = mountRouter('/api/schedules', auth => scheduleRoutes(scheduler, auth));
+  });
+
+  it('should list only the signed-in host\'s schedules', async () => {
+    const anonymous = await request(app).get('/api/schedules');
+    const listed = await request(app).get('/api/schedules?status=scheduled').set('Authorization', host);
+    const badStatus = await request(app).get('/api/schedules?status=live').set('Authorization', host);
+
+    expect(anonymous.status).toBe(401);
+    expect(listed.status).toBe(200);
+    expect(scheduler.calls[0].args[0]).toBe(7);
+    expect(badStatus.status).toBe(400);
+  });
+
+  it('should validate and create schedules', async () => {
+    const created = await request(app)
+      .post('/api/schedules')
+      .set('Authorization', host)
+      .send({ streamId: STREAM_ID, scheduledTime: future(), autoStart: true, recurrence: { frequency: 'weekly', count: 4 } });
+    const invalid = await request(app)
+      .post('/api/schedules')
+      .set('Authorization', host)
+      .send({ streamId: STREAM_ID, scheduledTime: 'tomorrow', reminderOffsets: [0] });
+    const missing = await request(app)
+      .post('/api/schedules')
+      .set('Authorization', host)
+      .send({ streamId: '11111111-1111-4111-8111-111111111111', scheduledTime: future() });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.recurrence).toEqual({ frequency: 'weekly', count: 4 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.map(detail => detail.path)).toEqual(['scheduledTime', 'reminderOffsets[0]']);
+    expect(missing.status).toBe(404);
+  });
+
+  it('should only let the host or an admin change a schedule', async () => {
+    const url = `/api/schedules/${SCHEDULE_ID}`;
+
+    const asStranger = await request(app).patch(url).set('Authorization', stranger).send({ title: 'Mine now' });
+    const asHost = await request(app).patch(url).set('Authorization', host).send({ title: 'Renamed' });
+    const skipped = await request(app).delete(`${url}?scope=occurrence`).set('Authorization', host);
+    const cancelled = await request(app).delete(url).set('Authorization', admin);
+    const unknown = await request(app).get('/api/schedules/11111111-1111-4111-8111-111111111111').set('Authorization', host);
+
+    expect(asStranger.status).toBe(403);
+    expect(asHost.status).toBe(200);
+    expect(scheduler.calls[0].args).toEqual([SCHEDULE_ID, { title: 'Renamed' }]);
+    expect(skipped.body.message).toBe('Next occurrence skipped');
+    expect(cancelled.body.data.status).toBe('cancelled');
+    expect(unknown.status).toBe(404);
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * Integration Tests for the Security Middleware
+ *
+ * Runs the real SecurityMonitor against in-memory stand-ins for Redis and
+ * the security_events table to cover:
+ * - 429 and 403 refusals with Retry-After
+ * - Client IPs from X-Forwarded-For of trusted proxies only
+ * - Per-caller limits by default; shared limits never block IPs
+ * - Escalation to IP blocks and intrusion detection, SQL patterns only
+ *   on routes that opt in
+ * - Identifying callers only by tokens of signed-in sessions
+ * - Bot detection and geoblocking
+ * - Per-route policies and dry-run mode
+ * - Failing open when the monitor itself fails
+ * - socket.io handshakes and connection counting
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const SecurityMonitor = require('../../src/SecurityMonitor');
+const SecurityMiddleware = require('../../src/middleware/SecurityMiddleware');
+const AuthMiddleware = require('../../src/middleware/AuthMiddleware');
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Just the Redis commands the monitor uses, with expiry
+ */
+function createFakeRedis() {
+  const data = new Map();
+  const expiries = new Map();
+  const live = (key) => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      data.delete(key);
+      expiries.delete(key);
+    }
+    return data.has(key);
+  };
+
+  return {
+    data,
+    async get(key) {
+      return live(key) ? String(data.get(key)) : null;
+    },
+    async setEx(key, seconds, value) {
+      data.set(key, value);
+      expiries.set(key, Date.now() + seconds * 1000);
+    },
+    async incr(key) {
+      const value = (live(key) ? parseInt(data.get(key)) : 0) + 1;
+      data.set(key, value);
+      return value;
+    },
+    async decr(key) {
+      const value = (live(key) ? parseInt(data.get(key)) : 0) - 1;
+      data.set(key, value);
+      return value;
+    },
+    async del(key) {
+      data.delete(key);
+      expiries.delete(key);
+    },
+    async expire(key, seconds) {
+      expiries.set(key, Date.now() + seconds * 1000);
+    },
+    async ttl(key) {
+      if (!live(key)) {
+        return -2;
+      }
+      return expiries.has(key) ? Math.ceil((expiries.get(key) - Date.now()) / 1000) : -1;
+    },
+    async lPush(key, value) {
+      if (!live(key)) {
+        data.set(key, []);
+      }
+      data.get(key).unshift(value);
+    },
+    async lTrim(key, start, stop) {
+      data.set(key, data.get(key).slice(start, stop + 1));
+    },
+    async lRange(key, start, stop) {
+      return live(key) ? data.get(key).slice(start, stop + 1) : [];
+    }
+  };
+}
+
+function createFakeDb() {
+  const events = [];
+  return {
+    events,
+    async execute(query, params) {
+      if (query.includes('INSERT INTO security_events')) {
+        events.push({ type: params[1], ip: params[3] });
+        return [{ affectedRows: 1 }];
+      }
+      throw new Error(`Unexpected query: ${query}`);
+    }
+  };
+}
+
+// Headers a browser sends, so bot detection only looks at what a test sets
+const BROWSER = {
+  'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0',
+  Accept: 'application/json',
+  'Accept-Language': 'en-GB'
+};
+
+describe('Security Middleware', () => {
+  let redis;
+  let db;
+  let monitor;
+
+  // Tests stand in for a proxy on loopback that sets X-Forwarded-For
+  const createApp = (config, trustProxy = 'loopback') => {
+    const security = new SecurityMiddleware(monitor, logger, config);
+    const app = express();
+    app.set('trust proxy', trustProxy);
+    app.use(express.json());
+    app.use(security.protect());
+    app.all('*', (req, res) => res.json({ ok: true }));
+    return { app, security };
+  };
+  const call = (app, path, ip, headers = BROWSER) => request(app).get(path).set({ ...headers, 'X-Forwarded-For': ip });
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    db = createFakeDb();
+    monitor = new SecurityMonitor(db, redis, logger);
+  });
+
+  it('should answer 429 with Retry-After once a route\'s limit is used up', async () => {
+    const { app } = createApp({
+      routes: [{ path: '/api/uploads', rateLimit: { type: 'api', window: 60, perIP: 2 } }]
+    });
+
+    expect((await call(app, '/api/uploads', '203.0.113.5')).status).toBe(200);
+    expect((await call(app, '/api/uploads/part', '203.0.113.5')).status).toBe(200);
+    const limited = await call(app, '/api/uploads', '203.0.113.5');
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.error).toBe('Rate limit exceeded for api');
+    expect(parseInt(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(parseInt(limited.headers['retry-after'])).toBeLessThanOrEqual(60);
+
+    // The limit is per route policy and per IP
+    expect((await call(app, '/api/streams', '203.0.113.5')).status).toBe(200);
+    expect((await call(app, '/api/uploads', '203.0.113.6')).status).toBe(200);
+    expect(db.events.map(event => event.type)).toEqual(['rate_limit_exceeded']);
+  });
+
+  it('should block IPs that keep hitting limits, on every route', async () => {
+    const { app } = createApp({
+      routes: [{ path: '/api/uploads', rateLimit: { type: 'api', window: 60, perIP: 1 } }]
+    });
+
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await call(app, '/api/uploads', '203.0.113.7')).status);
+    }
+    const elsewhere = await call(app, '/api/streams', '203.0.113.7');
+
+    expect(statuses).toEqual([200, 429, 429, 429]);
+    expect(elsewhere.status).toBe(403);
+    expect(elsewhere.body.error).toBe('IP address is blocked due to security violations');
+    expect(parseInt(elsewhere.headers['retry-after'])).toBe(3600);
+  });
+
+  it('should count every caller separately by default and never block IPs for a full shared limit', async () => {
+    const { app } = createApp({
+      routes: [{ path: '/api/uploads', rateLimit: { type: 'api', window: 60, global: 2 } }]
+    });
+
+    for (let i = 0; i < 5; i++) {
+      expect((await call(app, '/api/streams', `203.0.113.${20 + i}`)).status).toBe(200);
+    }
+    expect([...redis.data.keys()].filter(key => key.endsWith(':global'))).toEqual([]);
+
+    expect((await call(app, '/api/uploads', '203.0.113.30')).status).toBe(200);
+    expect((await call(app, '/api/uploads', '203.0.113.31')).status).toBe(200);
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await call(app, '/api/uploads', '203.0.113.32')).status);
+    }
+
+    expect(statuses).toEqual([429, 429, 429, 429]);
+    expect((await call(app, '/api/streams', '203.0.113.32')).status).toBe(200);
+    expect(db.events.map(event => event.type)).not.toContain('ip_blocked');
+  });
+
+  it('should ignore X-Forwarded-For unless it comes from a trusted proxy', async () => {
+    const { app } = createApp({
+      routes: [{ path: '/api/uploads', rateLimit: { type: 'api', window: 60, perIP: 1 } }]
+    }, false);
+
+    // A new forged address on every request still counts as the same caller
+    expect((await call(app, '/api/uploads', '203.0.113.40')).status).toBe(200);
+    expect((await call(app, '/api/uploads', '203.0.113.41')).status).toBe(429);
+    expect([...redis.data.keys()].some(key => key.includes('203.0.113.4'))).toBe(false);
+  });
+
+  it('should block repeated injection attempts but not ordinary text', async () => {
+    const { app } = createApp({
+      policy: { rateLimit: false },
+      routes: [{ path: '/api/content/search', intrusion: { sql: true } }]
+    });
+
+    const fine = await request(app).post('/api/streams').set({ ...BROWSER, 'X-Forwarded-For': '203.0.113.8' })
+      .send({ title: 'Select questions from the audience, then delete from the drafts' });
+    expect(fine.status).toBe(200);
+    expect(db.events).toEqual([]);
+
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+      statuses.push((await call(app, `/api/content/search?q=${encodeURIComponent("' UNION SELECT password FROM users")}`, '203.0.113.8')).status);
+    }
+
+    expect(statuses).toEqual([200, 200, 200, 200, 403]);
+    // Blocked on routes without rate limits too
+    const elsewhere = await call(app, '/api/streams', '203.0.113.8');
+    expect(elsewhere.status).toBe(403);
+    expect(parseInt(elsewhere.headers['retry-after'])).toBe(7200);
+  });
+
+  it('should identify callers only by tokens of signed-in sessions', async () => {
+    const auth = new AuthMiddleware({ jwtSecret: 'security-test-secret' });
+    auth.sessions = { isRevoked: async sid => sid === 'signed-out' };
+    const security = new SecurityMiddleware(monitor, logger, { policy: { rateLimit: false } });
+    security.authMiddleware = auth;
+    const app = express();
+    app.set('trust proxy', 'loopback');
+    app.use(security.protect());
+    app.get('*', (req, res) => res.json({ userId: req.user ? req.user.id : null }));
+
+    const caller = (sid) => `Bearer ${jwt.sign({ userId: 7, role: 'creator', sid }, 'security-test-secret')}`;
+    const active = await call(app, '/api/streams', '203.0.113.14', { ...BROWSER, Authorization: caller('current') });
+    const revoked = await call(app, '/api/streams', '203.0.113.14', { ...BROWSER, Authorization: caller('signed-out') });
+
+    expect(active.body.userId).toBe(7);
+    expect(revoked.body.userId).toBeNull();
+  });
+
+  it('should refuse bots and blocked countries, except where a route allows them', async () => {
+    const { app } = createApp({
+      routes: [{ path: '/api/chat/bots/messages', bot: false }]
+    });
+    const crawler = { 'User-Agent': 'ExampleCrawler/1.0' };
+
+    const refused = await call(app, '/api/streams/live', '203.0.113.9', crawler);
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toBe('Automated requests are not allowed');
+    expect(refused.headers['retry-after']).toBeUndefined();
+    expect((await call(app, '/api/chat/bots/messages', '203.0.113.9', crawler)).status).toBe(200);
+
+    monitor.config.geoBlocking = { enabled: true, blockedCountries: ['US'], allowedCountries: [] };
+    const geo = await call(app, '/api/streams/live', '203.0.113.10');
+    expect(geo.status).toBe(403);
+    expect(geo.body.error).toBe('Access denied from country: US');
+  });
+
+  it('should only observe in dry-run mode, unless a route opts into enforcing', async () => {
+    const { app } = createApp({
+      dryRun: true,
+      policy: { rateLimit: { type: 'api', window: 60, perIP: 1 } },
+      routes: [{ path: '/api/monetization', dryRun: false }]
+    });
+
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await call(app, '/api/streams', '203.0.113.11')).status);
+    }
+
+    expect(statuses).toEqual([200, 200, 200, 200]);
+    expect(redis.data.has('blocked_ip:203.0.113.11')).toBe(false);
+    expect(db.events.map(event => event.type)).toContain('ip_block_observed');
+
+    // Counters are shared, so the enforcing route sees the same traffic
+    const enforced = await call(app, '/api/monetization/plans', '203.0.113.11');
+    expect(enforced.status).toBe(429);
+  });
+
+  it('should let requests through when the monitor itself fails', async () => {
+    const { app } = createApp();
+    redis.get = async () => {
+      throw new Error('Redis connection lost');
+    };
+
+    expect((await call(app, '/api/streams/live', '203.0.113.12')).status).toBe(200);
+  });
+
+  it('should check socket handshakes and count open connections', async () => {
+    const { security } = createApp({
+      routes: [{ path: '/socket.io', rateLimit: { type: 'api', window: 60, perIP: 1 } }]
+    });
+    const createSocket = () => {
+      const handlers = {};
+      return {
+        handlers,
+        handshake: { headers: { 'user-agent': BROWSER['User-Agent'], accept: '*/*', 'accept-language': 'en', 'x-forwarded-for': '198.51.100.1' }, url: '/socket.io/?EIO=4&transport=polling', query: {}, auth: {}, address: '203.0.113.13' },
+        on: (event, handler) => { handlers[event] = handler; }
+      };
+    };
+    const handshake = (socket) => new Promise(resolve => security.protectSocket()(socket, resolve));
+
+    const accepted = createSocket();
+    expect(await handshake(accepted)).toBeUndefined();
+    expect(await redis.get('ddos:connections:203.0.113.13')).toBe('1');
+
+    const refused = await handshake(createSocket());
+    expect(refused.message).toBe('Rate limit exceeded for api');
+    expect(refused.data.status).toBe(429);
+    expect(refused.data.retryAfter).toBeGreaterThan(0);
+
+    accepted.handlers.disconnect();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(redis.data.has('ddos:connections:203.0.113.13')).toBe(false);
+  });
+});
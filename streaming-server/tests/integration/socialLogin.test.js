@@ -0,0 +1,399 @@
+/**
+ * Integration Tests for social login
+ *
+ * Runs SocialLogin against a local mock identity provider (OIDC discovery,
+ * JWKS, a PKCE-checking token endpoint and a GitHub-style user API) and
+ * in-memory users and oauth_providers tables to cover:
+ * - Authorization URLs with PKCE, single-use state and ID token checks
+ * - Sign-up and returning sign-in
+ * - Email collisions, which only the account owner can resolve
+ * - MFA after a provider sign-in
+ * - Linking from settings, finished only by the user who started it,
+ *   and unlinking
+ * - Plain OAuth 2.0 providers with verified emails from a separate API
+ * - Facebook addresses, which are never taken as verified
+ */
+
+const { describe, it, beforeAll, afterAll, beforeEach, expect } = require('@jest/globals');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const SocialLogin = require('../../src/security/SocialLogin');
+const { PRESETS } = require('../../src/security/oauthProviders');
+
+const CLIENT_ID = 'interviews-tv';
+const CLIENT_SECRET = 'mock-client-secret';
+const REDIRECT_URL = 'http://localhost:3000/auth/callback/{provider}';
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * An identity provider on a local port. approve() stands in for the user
+ * signing in at the authorization URL and returns what the provider would
+ * redirect back with.
+ */
+function createMockIdp() {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key-1';
+  const codes = new Map();
+  const accessTokens = new Map();
+  const idp = { issuer: null, codes, server: null, tamper: {} };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: idp.issuer,
+      authorization_endpoint: `${idp.issuer}/authorize`,
+      token_endpoint: `${idp.issuer}/token`,
+      jwks_uri: `${idp.issuer}/jwks`
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!grant || req.body.client_id !== CLIENT_ID || req.body.client_secret !== CLIENT_SECRET ||
+        req.body.redirect_uri !== grant.redirectUri || challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Code, client or verifier mismatch' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.account);
+    const idToken = jwt.sign({
+      sub: grant.account.sub,
+      email: grant.account.email,
+      email_verified: grant.account.emailVerified,
+      name: grant.account.name,
+      nonce: idp.tamper.nonce || grant.nonce
+    }, idp.tamper.signingKey || privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: idp.issuer,
+      audience: CLIENT_ID,
+      expiresIn: 300
+    });
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', id_token: idToken });
+  });
+
+  // GitHub-style user API for plain OAuth 2.0
+  const account = (req) => accessTokens.get((req.get('Authorization') || '').replace('Bearer ', ''));
+  app.get('/user', (req, res) => {
+    const user = account(req);
+    return user ? res.json({ id: Number(user.sub), login: user.name, name: null, email: null }) : res.sendStatus(401);
+  });
+  app.get('/user/emails', (req, res) => {
+    const user = account(req);
+    return user ? res.json([{ email: user.email, primary: true, verified: user.emailVerified }]) : res.sendStatus(401);
+  });
+
+  idp.approve = (authorizationUrl, user) => {
+    const url = new URL(authorizationUrl);
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      account: user,
+      redirectUri: url.searchParams.get('redirect_uri'),
+      codeChallenge: url.searchParams.get('code_challenge'),
+      nonce: url.searchParams.get('nonce')
+    });
+    return { code, state: url.searchParams.get('state') };
+  };
+
+  idp.start = () => new Promise(resolve => {
+    idp.server = app.listen(0, '127.0.0.1', () => {
+      idp.issuer = `http://127.0.0.1:${idp.server.address().port}`;
+      resolve();
+    });
+  });
+  idp.stop = () => new Promise(resolve => idp.server.close(resolve));
+
+  return idp;
+}
+
+function createFakeRedis() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+    async setEx(key, seconds, value) {
+      data.set(key, value);
+    },
+    async getDel(key) {
+      const value = data.has(key) ? data.get(key) : null;
+      data.delete(key);
+      return value;
+    },
+    async del(key) {
+      data.delete(key);
+    }
+  };
+}
+
+/**
+ * The users and oauth_providers queries SocialLogin makes
+ */
+function createFakeDb() {
+  const users = [];
+  const identities = [];
+  const passkeys = [];
+
+  return {
+    users,
+    identities,
+    passkeys,
+    async execute(query, params) {
+      const sql = query.replace(/\s+/g, ' ').trim();
+
+      if (sql.startsWith('SELECT * FROM users WHERE id = ?')) {
+        return [users.filter(user => user.id === params[0])];
+      }
+      if (sql.startsWith('SELECT * FROM users WHERE LOWER(email)')) {
+        return [users.filter(user => user.email.toLowerCase() === params[0].toLowerCase())];
+      }
+      if (sql.startsWith('SELECT id FROM users WHERE username = ?')) {
+        return [users.filter(user => user.username === params[0])];
+      }
+      if (sql.startsWith('INSERT INTO users')) {
+        const [id, username, email] = params;
+        users.push({ id, username, email, password_hash: null, role: 'user', email_verified: true, mfa_enabled: false, status: 'active' });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT * FROM oauth_providers WHERE provider = ?')) {
+        return [identities.filter(row => row.provider === params[0] && row.provider_user_id === params[1])];
+      }
+      if (sql.startsWith('SELECT * FROM oauth_providers WHERE user_id = ?')) {
+        return [identities.filter(row => row.user_id === params[0])];
+      }
+      if (sql.startsWith('SELECT id FROM oauth_providers WHERE user_id = ? AND provider = ?')) {
+        return [identities.filter(row => row.user_id === params[0] && row.provider === params[1])];
+      }
+      if (sql.startsWith('INSERT INTO oauth_providers')) {
+        const [id, userId, provider, subject, email, data] = params;
+        identities.push({
+          id, user_id: userId, provider, provider_user_id: subject, provider_email: email,
+          provider_data: data, is_active: true, connected_at: new Date(), last_used_at: new Date()
+        });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE oauth_providers SET provider_email')) {
+        const row = identities.find(identity => identity.id === params[2]);
+        Object.assign(row, { provider_email: params[0], provider_data: params[1], last_used_at: new Date() });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT COUNT(*) AS count FROM webauthn_credentials')) {
+        return [[{ count: passkeys.filter(userId => userId === params[0]).length }]];
+      }
+      if (sql.startsWith('DELETE FROM oauth_providers WHERE id = ?')) {
+        identities.splice(identities.findIndex(row => row.id === params[0]), 1);
+        return [{ affectedRows: 1 }];
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+describe('Social Login', () => {
+  const idp = createMockIdp();
+  let social;
+  let db;
+  let redis;
+
+  const alice = { sub: 'alice-1', email: 'alice@example.test', emailVerified: true, name: 'Alice Example' };
+
+  // Begin, sign in at the provider, come back to the callback as the
+  // same user
+  const signIn = async (account, provider = 'mock', options = {}) => {
+    const { url } = await social.begin(provider, options);
+    return social.complete(provider, { ...idp.approve(url, account), userId: options.userId });
+  };
+
+  beforeAll(() => idp.start());
+  afterAll(() => idp.stop());
+
+  beforeEach(() => {
+    db = createFakeDb();
+    redis = createFakeRedis();
+    social = new SocialLogin(db, redis, logger, {
+      redirectUrl: REDIRECT_URL,
+      providers: {
+        mock: { type: 'oidc', displayName: 'Mock ID', issuer: idp.issuer, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, scopes: ['openid', 'email', 'profile'] },
+        hub: {
+          ...PRESETS.github,
+          authorizationEndpoint: `${idp.issuer}/authorize`,
+          tokenEndpoint: `${idp.issuer}/token`,
+          userinfoEndpoint: `${idp.issuer}/user`,
+          emailsEndpoint: `${idp.issuer}/user/emails`,
+          clientId: CLIENT_ID,
+          clientSecret: CLIENT_SECRET
+        }
+      }
+    });
+    idp.tamper = {};
+  });
+
+  it('should send the browser to the provider with PKCE, state and nonce', async () => {
+    const { url, state } = await social.begin('mock');
+    const params = new URL(url).searchParams;
+
+    expect(url.startsWith(`${idp.issuer}/authorize?`)).toBe(true);
+    expect(params.get('client_id')).toBe(CLIENT_ID);
+    expect(params.get('redirect_uri')).toBe('http://localhost:3000/auth/callback/mock');
+    expect(params.get('scope')).toBe('openid email profile');
+    expect(params.get('state')).toBe(state);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('nonce')).toHaveLength(43);
+
+    // The verifier never leaves the server
+    const saved = JSON.parse(await redis.get(`oauth_state:${state}`));
+    expect(url).not.toContain(saved.codeVerifier);
+    expect(social.listProviders()).toEqual([{ name: 'mock', displayName: 'Mock ID' }, { name: 'hub', displayName: 'GitHub' }]);
+    await expect(social.begin('myspace')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should create an account on first sign-in and sign the same user in later', async () => {
+    const first = await signIn(alice);
+
+    expect(first).toMatchObject({ action: 'login', created: true });
+    expect(first.user).toMatchObject({ email: 'alice@example.test', username: 'Alice_Example', password_hash: null });
+    expect(db.identities).toHaveLength(1);
+    expect(db.identities[0]).toMatchObject({ user_id: first.user.id, provider: 'mock', provider_user_id: 'alice-1' });
+
+    const again = await signIn({ ...alice, email: 'alice@new.example.test' });
+    expect(again).toMatchObject({ action: 'login', created: false });
+    expect(again.user.id).toBe(first.user.id);
+    expect(db.users).toHaveLength(1);
+    expect(db.identities[0].provider_email).toBe('alice@new.example.test');
+  });
+
+  it('should only accept a callback once, with the verifier and nonce it was started with', async () => {
+    const { url } = await social.begin('mock');
+    const callback = idp.approve(url, alice);
+    await social.complete('mock', callback);
+
+    await expect(social.complete('mock', callback)).rejects.toThrow('Sign-in request expired or was already used');
+
+    // Another provider's callback cannot use the state
+    const other = await social.begin('mock');
+    await expect(social.complete('hub', idp.approve(other.url, alice))).rejects.toThrow('Sign-in request expired or was already used');
+
+    // A code stolen from another sign-in fails PKCE at the token endpoint
+    const victim = idp.approve((await social.begin('mock')).url, alice);
+    const attacker = await social.begin('mock');
+    await expect(social.complete('mock', { code: victim.code, state: attacker.state })).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('Mock ID refused the sign-in')
+    });
+
+    idp.tamper = { nonce: 'replayed-nonce' };
+    await expect(signIn(alice)).rejects.toThrow('ID token nonce does not match the sign-in request');
+
+    idp.tamper = { signingKey: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey };
+    await expect(signIn(alice)).rejects.toThrow(/^Invalid ID token/);
+  });
+
+  it('should leave email collisions to the account owner', async () => {
+    db.users.push({ id: 'owner-1', username: 'alice', email: 'Alice@Example.test', password_hash: 'hash', status: 'active', mfa_enabled: false });
+    db.users.push({ id: 'other-2', username: 'mallory', email: 'mallory@example.test', password_hash: 'hash', status: 'active', mfa_enabled: false });
+
+    const collision = await signIn(alice);
+    expect(collision).toMatchObject({ action: 'link_required', provider: 'mock', email: 'alice@example.test' });
+    expect(db.identities).toEqual([]);
+    expect(db.users).toHaveLength(2);
+
+    // Another account's attempt uses the link token up
+    await expect(social.confirmLink('other-2', collision.linkToken)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(social.confirmLink('owner-1', collision.linkToken)).rejects.toMatchObject({ statusCode: 404 });
+
+    const { linkToken } = await signIn(alice);
+    const identity = await social.confirmLink('owner-1', linkToken);
+    expect(identity).toMatchObject({ provider: 'mock', email: 'alice@example.test', name: 'Alice Example' });
+    await expect(social.confirmLink('owner-1', linkToken)).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(await signIn(alice)).toMatchObject({ action: 'login', created: false, user: { id: 'owner-1' } });
+
+    // An address the provider has not verified is never offered for linking
+    await expect(signIn({ sub: 'mallory-9', email: 'mallory@example.test', emailVerified: false, name: 'M' }))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('Sign in and link Mock ID') });
+    await expect(signIn({ sub: 'new-3', email: 'new@example.test', emailVerified: false, name: 'New' }))
+      .rejects.toThrow('Mock ID has not verified your email address');
+  });
+
+  it('should still require MFA and refuse suspended accounts', async () => {
+    const { user } = await signIn(alice);
+
+    user.mfa_enabled = true;
+    const mfa = await signIn(alice);
+    expect(mfa).toEqual({ action: 'mfa_required', user });
+
+    user.status = 'suspended';
+    await expect(signIn(alice)).rejects.toMatchObject({ statusCode: 403, message: 'Account is suspended' });
+  });
+
+  it('should link providers from settings and refuse identities of other users', async () => {
+    db.users.push({ id: 'owner-1', username: 'alice', email: 'alice@work.example.test', password_hash: 'hash', status: 'active' });
+
+    const linked = await signIn(alice, 'mock', { userId: 'owner-1' });
+    expect(linked).toMatchObject({ action: 'linked', userId: 'owner-1', identity: { provider: 'mock' } });
+    expect(await social.listIdentities('owner-1')).toHaveLength(1);
+
+    db.users.push({ id: 'other-2', username: 'bob', email: 'bob@example.test', password_hash: 'hash', status: 'active' });
+    await expect(signIn(alice, 'mock', { userId: 'other-2' })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'This Mock ID account is linked to another user'
+    });
+    await expect(signIn({ ...alice, sub: 'alice-2' }, 'mock', { userId: 'owner-1' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should only finish a link for the user who started it', async () => {
+    db.users.push({ id: 'owner-1', username: 'mallory', email: 'mallory@example.test', password_hash: 'hash', status: 'active' });
+
+    // The callback URL of a link owner-1 started, opened by someone else
+    const { url } = await social.begin('mock', { userId: 'owner-1' });
+    const callback = idp.approve(url, alice);
+    await expect(social.complete('mock', callback)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(social.complete('mock', { ...callback, userId: 'owner-1' })).rejects.toThrow('Sign-in request expired or was already used');
+    expect(db.identities).toEqual([]);
+  });
+
+  it('should not unlink an account\'s only way to sign in', async () => {
+    const { user } = await signIn(alice);
+
+    await expect(social.unlink(user.id, 'mock')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(social.unlink(user.id, 'hub')).rejects.toMatchObject({ statusCode: 404 });
+
+    await signIn({ sub: '4242', email: 'alice@example.test', emailVerified: true, name: 'alice' }, 'hub', { userId: user.id });
+    await social.unlink(user.id, 'mock');
+    expect((await social.listIdentities(user.id)).map(identity => identity.provider)).toEqual(['hub']);
+
+    // A passkey is another way in
+    db.passkeys.push(user.id);
+    await social.unlink(user.id, 'hub');
+    expect(db.identities).toEqual([]);
+  });
+
+  it('should read plain OAuth 2.0 profiles and their verified email', async () => {
+    const result = await signIn({ sub: '4242', email: 'octo@example.test', emailVerified: true, name: 'octocat' }, 'hub');
+
+    expect(result).toMatchObject({ action: 'login', created: true, user: { username: 'octocat', email: 'octo@example.test' } });
+    expect(db.identities[0]).toMatchObject({ provider: 'hub', provider_user_id: '4242' });
+
+    await expect(signIn({ sub: '4343', email: 'unverified@example.test', emailVerified: false, name: 'someone' }, 'hub'))
+      .rejects.toThrow('GitHub did not share an email address');
+  });
+
+  it('should not take Facebook addresses as verified', () => {
+    expect(PRESETS.facebook.profile({ id: 99, email: 'someone@example.test', name: 'Someone' }))
+      .toMatchObject({ subject: '99', email: 'someone@example.test', emailVerified: false });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Integration Tests for Stream Key Routes
+ *
+ * Mounts the router with the real AuthMiddleware and a stubbed
+ * StreamKeyManager to cover:
+ * - Authentication and stream ownership
+ * - Keys that belong to another stream
+ * - Request validation and unit conversion
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const request = require('supertest');
+const streamKeyRoutes = require('../../src/routes/streamKeyRoutes');
+const { createHttpError } = require('../../src/utils/errors');
+const { host, stranger, admin, createRecorder, mountRouter } = require('../helpers/routes');
+
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+const KEY_ID = '9a1c7f3e-4b2d-4e8f-a6c5-1d2e3f4a5b6c';
+const FOREIGN_KEY_ID = '3c2b1a09-8f7e-4d6c-b5a4-93827160f5e4';
+
+function createManagerStub() {
+  const { calls, record } = createRecorder();
+  const key = { id: KEY_ID, streamId: STREAM_ID, type: 'primary', prefix: 'a1b2', status: 'active' };
+
+  return {
+    calls,
+    async getKey(keyId) {
+      if (keyId === FOREIGN_KEY_ID) {
+        return { ...key, id: FOREIGN_KEY_ID, streamId: 'another-stream' };
+      }
+      return keyId === KEY_ID ? key : null;
+    },
+    listKeys: record('listKeys', [key]),
+    rotateKey: record('rotateKey', () => ({ ...key, key: 'new-plain-key' })),
+    createBackupKeys: record('createBackupKeys', () => {
+      throw createHttpError('A stream can have at most 5 unused backup keys', 409);
+    }),
+    updateKey: record('updateKey', (keyId, changes) => ({ ...key, ...changes })),
+    revokeKey: record('revokeKey', () => ({ ...key, status: 'revoked' })),
+    listPublishAttempts: record('listPublishAttempts', [])
+  };
+}
+
+describe('Stream Key Routes', () => {
+  let app;
+  let manager;
+
+  const base = `/api/streams/${STREAM_ID}/keys`;
+
+  beforeEach(() => {
+    manager = createManagerStub();
+    app = mountRouter('/api/streams/:streamId/keys', (auth) => {
+      auth.registerOwnership('stream', async streamId => (streamId === STREAM_ID ? 7 : null));
+      return streamKeyRoutes(manager, auth);
+    });
+  });
+
+  it('should only let the stream owner or an admin manage keys', async () => {
+    const anonymous = await request(app).get(base);
+    const foreign = await request(app).post(`${base}/rotate`).set('Authorization', stranger);
+    const owner = await request(app).get(base).set('Authorization', host);
+    const byAdmin = await request(app).get(`${base}/audit`).set('Authorization', admin);
+    const missing = await request(app).get('/api/streams/5d4c3b2a-1f0e-4d9c-8b7a-6f5e4d3c2b1a/keys').set('Authorization', host);
+
+    expect(anonymous.status).toBe(401);
+    expect(foreign.status).toBe(403);
+    expect(owner.status).toBe(200);
+    expect(byAdmin.status).toBe(200);
+    expect(missing.status).toBe(404);
+    expect(manager.calls.map(call => call.name)).toEqual(['listKeys', 'listPublishAttempts']);
+  });
+
+  it('should rotate with the grace period given in minutes', async () => {
+    const response = await request(app)
+      .post(`${base}/rotate`)
+      .set('Authorization', host)
+      .send({ gracePeriod: 30, allowedIps: ['198.51.100.0/24'] });
+    const invalid = await request(app)
+      .post(`${base}/rotate`)
+      .set('Authorization', host)
+      .send({ gracePeriod: -5, expiresAt: 'tomorrow' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.key).toBe('new-plain-key');
+    expect(manager.calls[0].args).toEqual([STREAM_ID, {
+      gracePeriod: 30 * 60 * 1000,
+      expiresAt: undefined,
+      allowedIps: ['198.51.100.0/24'],
+      createdBy: 7
+    }]);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.map(detail => detail.path)).toEqual(['gracePeriod', 'expiresAt']);
+  });
+
+  it('should not touch keys of another stream', async () => {
+    const foreignKey = await request(app).delete(`${base}/${FOREIGN_KEY_ID}`).set('Authorization', host);
+    const revoked = await request(app).delete(`${base}/${KEY_ID}`).set('Authorization', host).send({ reason: 'Leaked' });
+
+    expect(foreignKey.status).toBe(404);
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.data.status).toBe('revoked');
+    expect(manager.calls).toEqual([{ name: 'revokeKey', args: [KEY_ID, { reason: 'Leaked', revokedBy: 7 }] }]);
+  });
+
+  it('should pass manager error statuses through', async () => {
+    const response = await request(app).post(`${base}/backup`).set('Authorization', host).send({ count: 2 });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({ error: 'Failed to issue backup stream keys', message: 'A stream can have at most 5 unused backup keys' });
+  });
+});
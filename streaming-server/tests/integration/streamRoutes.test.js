@@ -0,0 +1,99 @@
+/**
+ * Integration Tests for Stream Routes
+ *
+ * Mounts the router with the real AuthMiddleware and StreamManager over an
+ * in-memory live_streams table to cover:
+ * - Stream details for anyone
+ * - Updates and deletes by the owner or an admin, not by other users
+ * - Live streams that cannot be changed
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const request = require('supertest');
+const StreamManager = require('../../src/StreamManager');
+const streamRoutes = require('../../src/routes/streamRoutes');
+const { logger, createFakeRedis } = require('../helpers/fakes');
+const { token, host, admin, mountRouter } = require('../helpers/routes');
+
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+const LIVE_STREAM_ID = '5d4c3b2a-1f0e-4d9c-8b7a-6f5e4d3c2b1a';
+const MISSING_ID = '9a1c7f3e-4b2d-4e8f-a6c5-1d2e3f4a5b6c';
+
+function createFakeDb() {
+  const streams = new Map([
+    [STREAM_ID, { id: STREAM_ID, user_id: 7, title: 'Weekly interview', description: '', stream_key: 'publicstreamkey', latency_mode: 'standard', status: 'scheduled' }],
+    [LIVE_STREAM_ID, { id: LIVE_STREAM_ID, user_id: 7, title: 'On air', description: '', stream_key: 'livestreamkey', latency_mode: 'low', status: 'live' }]
+  ]);
+
+  return {
+    streams,
+    async execute(query, params) {
+      const sql = query.replace(/\s+/g, ' ').trim();
+
+      if (sql.startsWith('SELECT user_id FROM live_streams')) {
+        return [streams.has(params[0]) ? [{ user_id: streams.get(params[0]).user_id }] : []];
+      }
+      if (sql.startsWith('SELECT id, user_id, title') && sql.endsWith('WHERE id = ?')) {
+        return [streams.has(params[0]) ? [{ ...streams.get(params[0]) }] : []];
+      }
+      if (sql.startsWith('UPDATE live_streams SET')) {
+        const fields = sql.match(/SET (.*), updated_at/)[1].split(', ').map(field => field.replace(' = ?', ''));
+        const id = params[fields.length];
+        fields.forEach((field, i) => { streams.get(id)[field] = params[i]; });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('DELETE FROM live_streams')) {
+        return [{ affectedRows: streams.delete(params[0]) ? 1 : 0 }];
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+describe('Stream Routes', () => {
+  let app;
+  let db;
+
+  // Allowed to manage streams, just not this one
+  const stranger = token({ userId: 1, role: 'creator' });
+
+  beforeEach(() => {
+    db = createFakeDb();
+    const streamManager = new StreamManager(db, createFakeRedis(), logger);
+    app = mountRouter('/api/streams', (auth) => {
+      auth.registerOwnership('stream', streamId => streamManager.getStreamOwner(streamId));
+      return streamRoutes(streamManager, {}, auth);
+    });
+  });
+
+  it('should show stream details to anyone', async () => {
+    const response = await request(app).get(`/api/streams/${STREAM_ID}`);
+    const missing = await request(app).get(`/api/streams/${MISSING_ID}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ id: STREAM_ID, title: 'Weekly interview', status: 'scheduled', stats: null });
+    expect(missing.status).toBe(404);
+  });
+
+  it('should let the owner update the stream and refuse other users', async () => {
+    const foreign = await request(app).put(`/api/streams/${STREAM_ID}`).set('Authorization', stranger).send({ title: 'Mine now' });
+    const owner = await request(app).put(`/api/streams/${STREAM_ID}`).set('Authorization', host).send({ title: 'Monthly interview' });
+    const live = await request(app).put(`/api/streams/${LIVE_STREAM_ID}`).set('Authorization', host).send({ title: 'Renamed' });
+
+    expect(foreign.status).toBe(403);
+    expect(owner.status).toBe(200);
+    expect(owner.body.data).toMatchObject({ id: STREAM_ID, title: 'Monthly interview' });
+    expect(live.status).toBe(400);
+    expect(db.streams.get(LIVE_STREAM_ID).title).toBe('On air');
+  });
+
+  it('should let an admin delete a stream that is not live', async () => {
+    const live = await request(app).delete(`/api/streams/${LIVE_STREAM_ID}`).set('Authorization', admin);
+    const response = await request(app).delete(`/api/streams/${STREAM_ID}`).set('Authorization', admin);
+
+    expect(live.status).toBe(400);
+    expect(response.status).toBe(200);
+    expect([...db.streams.keys()]).toEqual([LIVE_STREAM_ID]);
+  });
+});
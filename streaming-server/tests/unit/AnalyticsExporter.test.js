@@ -0,0 +1,163 @@
+/**
+ * Unit Tests for AnalyticsExporter
+ *
+ * Tests:
+ * - Export job lifecycle, run once per job
+ * - CSV, JSON and PDF rendering
+ * - Signed download URLs
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const AnalyticsExporter = require('../../src/AnalyticsExporter');
+
+describe('AnalyticsExporter', () => {
+  let exporter;
+  let exportPath;
+  let mockDashboard;
+  let mockLogger;
+
+  beforeEach(() => {
+    exportPath = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+    process.env.EXPORT_PATH = exportPath;
+
+    mockDashboard = {
+      getViewerTrends: jest.fn().mockResolvedValue({
+        data: {
+          labels: ['2025-01-01 10:00:00', '2025-01-01 11:00:00'],
+          datasets: [
+            { label: 'Unique Viewers', data: [10, 20] },
+            { label: 'Peak Viewers', data: [5, 12] }
+          ]
+        }
+      }),
+      getEngagementAnalytics: jest.fn().mockResolvedValue({ data: {} }),
+      getRevenueAnalytics: jest.fn().mockResolvedValue({ data: {} }),
+      getGeographicDistribution: jest.fn().mockResolvedValue({
+        data: [{ country: 'US', viewers: 42, views: 50, avgWatchTime: 12 }]
+      }),
+      getTopStreams: jest.fn().mockResolvedValue({
+        data: [{ id: 's1', title: 'Hiring, "live"', peakViewers: 30 }]
+      }),
+      calculateKPIs: jest.fn().mockResolvedValue({ viewerGrowth: 12.5, engagementRate: 8 })
+    };
+
+    mockLogger = {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn()
+    };
+
+    exporter = new AnalyticsExporter(mockDashboard, null, mockLogger);
+  });
+
+  // createExportJob starts the job in the background; wait for that run
+  async function finished(jobId) {
+    for (;;) {
+      const job = await exporter.getExportJob(jobId);
+      if (job.status === 'completed' || job.status === 'failed') {
+        return job;
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  afterEach(() => {
+    clearInterval(exporter.cleanupTimer);
+    fs.rmSync(exportPath, { recursive: true, force: true });
+    delete process.env.EXPORT_PATH;
+  });
+
+  it('should expand "all" to every widget', () => {
+    expect(exporter.resolveWidgets(['all'])).toEqual(exporter.getAvailableWidgets());
+  });
+
+  it('should reject unknown widgets', () => {
+    expect(() => exporter.resolveWidgets(['viewerTrends', 'bogus'])).toThrow('Unknown export widgets: bogus');
+  });
+
+  it('should process a CSV export job with only the selected widgets', async () => {
+    const job = await exporter.createExportJob(7, { format: 'csv', widgets: ['viewerTrends', 'topStreams'] });
+    const result = await finished(job.id);
+
+    expect(result.status).toBe('completed');
+    expect(mockDashboard.getViewerTrends).toHaveBeenCalledWith(7, '24h');
+    expect(mockDashboard.getRevenueAnalytics).not.toHaveBeenCalled();
+
+    const csv = fs.readFileSync(path.join(exportPath, result.fileName), 'utf8');
+    expect(csv).toContain('label,Unique Viewers,Peak Viewers');
+    expect(csv).toContain('2025-01-01 10:00:00,10,5');
+    expect(csv).toContain('s1,"Hiring, ""live""",30');
+  });
+
+  it('should render JSON exports', async () => {
+    const job = await exporter.createExportJob(7, { format: 'json', widgets: ['kpis'] });
+    const result = await finished(job.id);
+
+    const report = JSON.parse(fs.readFileSync(path.join(exportPath, result.fileName), 'utf8'));
+    expect(report.widgets.kpis.data).toEqual({ viewerGrowth: 12.5, engagementRate: 8 });
+  });
+
+  it('should paginate long PDF reports', () => {
+    const rows = Array.from({ length: 150 }, (_, i) => ({ country: `C${i}`, viewers: i }));
+    const pdf = exporter.renderPDF({
+      generatedAt: '2025-01-01T00:00:00.000Z',
+      timeRange: '30d',
+      widgets: { geographicDistribution: { title: 'Geographic Distribution', data: rows } }
+    }).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('/Count 3');
+    expect(pdf).toContain('(Page 3 of 3) Tj');
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  it('should mark a job as failed when a widget cannot be loaded', async () => {
+    mockDashboard.calculateKPIs.mockRejectedValue(new Error('db down'));
+    const job = await exporter.createExportJob(7, { format: 'json', widgets: ['kpis'] });
+
+    const result = await finished(job.id);
+    expect(result.status).toBe('failed');
+    expect(result.error).toBe('db down');
+  });
+
+  it('should run a job only once', async () => {
+    const job = await exporter.createExportJob(7, { format: 'json', widgets: ['kpis'] });
+
+    // Claims it before the background run starts
+    const first = exporter.processExportJob(job.id);
+    const second = await exporter.processExportJob(job.id);
+
+    expect(second).toBeNull();
+    expect((await first).status).toBe('completed');
+    await finished(job.id);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(mockDashboard.calculateKPIs).toHaveBeenCalledTimes(1);
+  });
+
+  describe('signed downloads', () => {
+    it('should accept a fresh signature', () => {
+      const { url } = exporter.createDownloadUrl({ id: 'abc' });
+      const params = new URLSearchParams(url.split('?')[1]);
+
+      expect(exporter.verifyDownload('abc', params.get('expires'), params.get('signature'))).toBe('valid');
+    });
+
+    it('should reject a signature for another export', () => {
+      const { url } = exporter.createDownloadUrl({ id: 'abc' });
+      const params = new URLSearchParams(url.split('?')[1]);
+
+      expect(exporter.verifyDownload('def', params.get('expires'), params.get('signature'))).toBe('invalid');
+    });
+
+    it('should report expired links', () => {
+      const expires = Math.floor(Date.now() / 1000) - 10;
+      const signature = exporter.signDownload('abc', expires);
+
+      expect(exporter.verifyDownload('abc', expires, signature)).toBe('expired');
+    });
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Unit Tests for captions
+ *
+ * Covers turning transcripts into caption files and storing them, with
+ * ffmpeg and whisper.cpp replaced by stubs and an in-memory database:
+ * - Cue wrapping and timing, WebVTT and SRT output
+ * - Parsing whisper.cpp output
+ * - Captions generated, stored and served per recording
+ * - Caption tracks satisfying the accessibility check
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecordingManager = require('../../src/RecordingManager');
+const ComplianceManager = require('../../src/ComplianceManager');
+const { WhisperCppProvider, buildCues, buildWebVtt, buildSrt } = require('../../src/transcription');
+
+const RECORDING_ID = '2b4c6d8e-0f1a-4b3c-9d5e-7f8a9b0c1d2e';
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function createFakeDb(recording) {
+  const captions = new Map();
+  const logs = [];
+
+  return {
+    captions,
+    logs,
+    async execute(query, params) {
+      const sql = query.replace(/\s+/g, ' ').trim();
+
+      if (sql.startsWith('SELECT * FROM stream_recordings')) {
+        return [params[0] === recording.id ? [recording] : []];
+      }
+      if (sql.startsWith('INSERT INTO recording_captions')) {
+        const [id, recordingId, language, label, source, provider, cues] = params;
+        const key = `${recordingId}:${language}`;
+        captions.set(key, { id: captions.has(key) ? captions.get(key).id : id, recording_id: recordingId, language, label, source, provider, cues });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT recording_id, language, label')) {
+        return [[...captions.values()]
+          .filter(row => row.recording_id === params[0])
+          .map(row => ({ ...row, cue_count: JSON.parse(row.cues).length }))];
+      }
+      if (sql.startsWith('SELECT cues FROM recording_captions')) {
+        const row = captions.get(`${params[0]}:${params[1]}`);
+        return [row ? [row] : []];
+      }
+      if (sql.startsWith('SELECT DISTINCT c.language')) {
+        const matches = params.includes(recording.id) || params.includes(recording.stream_id);
+        return [[...captions.values()]
+          .filter(row => matches && JSON.parse(row.cues).length > 0)
+          .map(row => ({ language: row.language }))];
+      }
+      if (sql.startsWith('INSERT INTO compliance_logs')) {
+        logs.push({ action: params[2], details: JSON.parse(params[4]) });
+        return [{ affectedRows: 1 }];
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+describe('Caption files', () => {
+  it('should wrap long segments into cues of two lines, sharing the time by length', () => {
+    const cues = buildCues([
+      { start: 0, end: 2.5, text: 'Welcome to the show.' },
+      {
+        start: 2.5,
+        end: 12.5,
+        text: 'Today we are talking to a founder who built a company from a garage into a global brand in ten years.'
+      }
+    ]);
+
+    expect(cues[0]).toEqual({ start: 0, end: 2.5, text: 'Welcome to the show.' });
+    expect(cues).toHaveLength(3);
+    expect(cues[1].text.split('\n')).toEqual([
+      'Today we are talking to a founder who',
+      'built a company from a garage into a'
+    ]);
+    expect(cues[1].start).toBe(2.5);
+    expect(cues[1].end).toBeCloseTo(cues[2].start);
+    expect(cues[1].end).toBeGreaterThan(9);
+    expect(cues[2]).toMatchObject({ end: 12.5, text: 'global brand in ten years.' });
+  });
+
+  it('should write WebVTT with escaped text and SRT with comma timestamps', () => {
+    const cues = [
+      { start: 1.2, end: 3.45, text: 'Q&A <live>' },
+      { start: 3725.5, end: 3727, text: 'Thanks\nfor watching' }
+    ];
+
+    expect(buildWebVtt(cues)).toBe(
+      'WEBVTT\n\n' +
+      '1\n00:00:01.200 --> 00:00:03.450\nQ&amp;A &lt;live&gt;\n\n' +
+      '2\n01:02:05.500 --> 01:02:07.000\nThanks\nfor watching\n'
+    );
+    expect(buildSrt(cues)).toBe(
+      '1\n00:00:01,200 --> 00:00:03,450\nQ&A <live>\n\n' +
+      '2\n01:02:05,500 --> 01:02:07,000\nThanks\nfor watching\n'
+    );
+  });
+});
+
+describe('WhisperCppProvider', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should only be available with a model file', () => {
+    const modelPath = path.join(tmpDir, 'ggml-base.bin');
+
+    expect(new WhisperCppProvider({ modelPath: null }, logger).isAvailable()).toBe(false);
+    expect(new WhisperCppProvider({ modelPath }, logger).isAvailable()).toBe(false);
+
+    fs.writeFileSync(modelPath, 'model');
+    expect(new WhisperCppProvider({ modelPath }, logger).isAvailable()).toBe(true);
+  });
+
+  it('should transcribe extracted audio into timed segments and clean up', async () => {
+    const provider = new WhisperCppProvider({ modelPath: '/models/ggml-base.bin', tmpDir }, logger);
+    let engineArgs;
+
+    provider.extractAudio = async (input, outputPath) => {
+      fs.writeFileSync(outputPath, 'wav');
+    };
+    provider.runEngine = async (args) => {
+      engineArgs = args;
+      const base = args[args.indexOf('-of') + 1];
+      fs.writeFileSync(`${base}.json`, JSON.stringify({
+        result: { language: 'en' },
+        transcription: [
+          { offsets: { from: 0, to: 1800 }, text: ' Hello and welcome.' },
+          { offsets: { from: 1800, to: 4000 }, text: ' [BLANK_AUDIO]' },
+          { offsets: { from: 4000, to: 6250 }, text: ' Let\'s get started.' }
+        ]
+      }));
+    };
+
+    const result = await provider.transcribe('/recordings/raw/interview.mp4', { language: 'en' });
+
+    expect(result).toEqual({
+      language: 'en',
+      segments: [
+        { start: 0, end: 1.8, text: 'Hello and welcome.' },
+        { start: 4, end: 6.25, text: 'Let\'s get started.' }
+      ]
+    });
+    expect(engineArgs.slice(0, 2)).toEqual(['-m', '/models/ggml-base.bin']);
+    expect(engineArgs[engineArgs.indexOf('-l') + 1]).toBe('en');
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+  });
+});
+
+describe('Recording captions', () => {
+  let recordingPath;
+  let previousRecordingPath;
+  let db;
+  let manager;
+
+  beforeEach(() => {
+    previousRecordingPath = process.env.RECORDING_PATH;
+    recordingPath = fs.mkdtempSync(path.join(os.tmpdir(), 'captions-test-'));
+    process.env.RECORDING_PATH = recordingPath;
+
+    db = createFakeDb({
+      id: RECORDING_ID,
+      stream_id: 'c1d2e3f4-a5b6-4c7d-8e9f-0a1b2c3d4e5f',
+      status: 'completed',
+      file_path: path.join(recordingPath, 'raw', 'interview.mp4')
+    });
+    manager = new RecordingManager(db, null, logger);
+    manager.transcription = {
+      name: 'whisper',
+      isAvailable: () => true,
+      transcribe: async () => ({
+        language: 'en',
+        segments: [
+          { start: 0.5, end: 2, text: 'Thanks for joining us.' },
+          { start: 2, end: 4, text: 'Happy to be here.' }
+        ]
+      })
+    };
+  });
+
+  afterEach(() => {
+    if (previousRecordingPath === undefined) {
+      delete process.env.RECORDING_PATH;
+    } else {
+      process.env.RECORDING_PATH = previousRecordingPath;
+    }
+    fs.rmSync(recordingPath, { recursive: true, force: true });
+  });
+
+  it('should store a track per language and serve it as WebVTT and SRT', async () => {
+    const track = await manager.generateCaptions(RECORDING_ID, '/recordings/raw/interview.mp4');
+
+    expect(track).toEqual({
+      recordingId: RECORDING_ID,
+      language: 'en',
+      label: 'English',
+      source: 'auto',
+      provider: 'whisper',
+      cueCount: 2,
+      urls: {
+        vtt: `/api/recordings/${RECORDING_ID}/captions/en.vtt`,
+        srt: `/api/recordings/${RECORDING_ID}/captions/en.srt`
+      }
+    });
+
+    // Transcribing again replaces the track
+    await manager.generateCaptions(RECORDING_ID, '/recordings/raw/interview.mp4');
+    const tracks = await manager.listCaptionTracks(RECORDING_ID);
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0]).toMatchObject({ language: 'en', label: 'English', cueCount: 2 });
+
+    expect(await manager.getCaptionFile(RECORDING_ID, 'en', 'vtt')).toBe(
+      'WEBVTT\n\n1\n00:00:00.500 --> 00:00:02.000\nThanks for joining us.\n\n' +
+      '2\n00:00:02.000 --> 00:00:04.000\nHappy to be here.\n'
+    );
+    expect(await manager.getCaptionFile(RECORDING_ID, 'en', 'srt')).toMatch(/^1\n00:00:00,500 --> 00:00:02,000\n/);
+    expect(await manager.getCaptionFile(RECORDING_ID, 'de', 'vtt')).toBeNull();
+  });
+
+  it('should skip captions without an engine and refuse to queue them', async () => {
+    manager.transcription = { name: 'none', isAvailable: () => false };
+
+    expect(await manager.generateCaptions(RECORDING_ID, '/recordings/raw/interview.mp4')).toBeNull();
+    expect(db.captions.size).toBe(0);
+    await expect(manager.requestCaptions(RECORDING_ID)).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  it('should count caption tracks as closed captions in the accessibility check', async () => {
+    const compliance = new ComplianceManager(db, null, logger);
+
+    expect(await compliance.hasClosedCaptions(RECORDING_ID)).toBe(false);
+
+    await manager.generateCaptions(RECORDING_ID, '/recordings/raw/interview.mp4');
+    const features = await compliance.ensureAccessibilityCompliance('c1d2e3f4-a5b6-4c7d-8e9f-0a1b2c3d4e5f', 'stream');
+
+    expect(features).toMatchObject({ closedCaptions: true, captionLanguages: ['en'] });
+    expect(db.logs[0]).toMatchObject({ action: 'accessibility_check' });
+  });
+});
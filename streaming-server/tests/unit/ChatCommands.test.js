@@ -0,0 +1,255 @@
+/**
+ * Unit Tests for the chat command framework
+ *
+ * Covers:
+ * - Argument parsing, permissions and cooldowns in ChatCommandRegistry
+ * - Built-in moderation, poll and uptime commands run from chat
+ * - Per-stream custom commands and the autocomplete list
+ * - Bot accounts posting and moderating through the same path
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const ChatManager = require('../../src/ChatManager');
+const ChatCommandRegistry = require('../../src/chat/ChatCommandRegistry');
+const { logger, createFakeRedis, createFakeIo, createSocket, createFakeDb } = require('../helpers/fakes');
+
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+const OWNER_ID = 7;
+
+/**
+ * The live_streams, users, chat_custom_commands and chat_bots queries the
+ * chat makes, on top of the shared moderation log
+ */
+function createChatDb() {
+  const commands = [];
+  const bots = [];
+  const startedAt = new Date(Date.now() - (2 * 3600 + 5 * 60) * 1000);
+
+  const db = createFakeDb({
+    streamId: STREAM_ID,
+    ownerId: OWNER_ID,
+    handle: (sql, params) => {
+      if (sql.startsWith('SELECT status, started_at FROM live_streams')) {
+        return [[{ status: 'live', started_at: startedAt }]];
+      }
+      if (sql.startsWith('SELECT title, category FROM live_streams')) {
+        return [params[0] === 42 ? [{ title: 'Speedrunning', category: 'Gaming' }] : []];
+      }
+      if (sql.startsWith('SELECT id, username FROM users')) {
+        return [params[0] === 'friend' ? [{ id: 42, username: 'friend' }] : []];
+      }
+
+      if (sql.startsWith('SELECT COUNT(*) AS count FROM chat_custom_commands')) {
+        return [[{ count: commands.filter(row => row.stream_id === params[0]).length }]];
+      }
+      if (sql.startsWith('SELECT id FROM chat_custom_commands') || sql.startsWith('SELECT * FROM chat_custom_commands WHERE stream_id = ? AND name = ?')) {
+        return [commands.filter(row => row.stream_id === params[0] && row.name === params[1])];
+      }
+      if (sql.startsWith('SELECT * FROM chat_custom_commands')) {
+        return [commands.filter(row => row.stream_id === params[0])];
+      }
+      if (sql.startsWith('INSERT INTO chat_custom_commands')) {
+        const [stream_id, name, response, description, permission, cooldown_seconds, enabled, created_by] = params;
+        commands.push({ id: commands.length + 1, stream_id, name, response, description, permission, cooldown_seconds, enabled, created_by, usage_count: 0 });
+        return [{ insertId: commands.length }];
+      }
+      if (sql.startsWith('UPDATE chat_custom_commands SET usage_count')) {
+        commands.find(row => row.stream_id === params[0] && row.name === params[1]).usage_count++;
+        return [{ affectedRows: 1 }];
+      }
+
+      if (sql.startsWith('INSERT INTO chat_bots')) {
+        const [id, stream_id, name, token_hash, permission, created_by] = params;
+        bots.push({ id, stream_id, name, token_hash, permission, created_by, enabled: 1, created_at: new Date() });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.includes('FROM chat_bots WHERE stream_id = ?')) {
+        return [bots.filter(row => row.stream_id === params[0])];
+      }
+      if (sql.includes('FROM chat_bots WHERE token_hash = ?')) {
+        return [bots.filter(row => row.token_hash === params[0] && row.enabled)];
+      }
+      if (sql.startsWith('UPDATE chat_bots SET last_used_at')) {
+        return [{ affectedRows: 1 }];
+      }
+    }
+  });
+  return Object.assign(db, { commands, bots });
+}
+
+describe('ChatCommandRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ChatCommandRegistry();
+    registry.register({
+      name: 'timeout',
+      aliases: ['mute'],
+      permission: 'moderator',
+      args: [
+        { name: 'user', type: 'user', required: true },
+        { name: 'duration', type: 'duration', default: 600 },
+        { name: 'reason', type: 'text' }
+      ],
+      cooldown: { global: 0, user: 5 },
+      handler: () => {}
+    });
+  });
+
+  it('should parse typed arguments and build usage', () => {
+    const command = registry.get('MUTE');
+
+    expect(command.name).toBe('timeout');
+    expect(command.usage).toBe('/timeout <user> [duration] [reason]');
+    expect(registry.parseArguments(command, ['@troll', '1h30m', 'spamming', 'links'])).toEqual({
+      user: 'troll',
+      duration: 5400,
+      reason: 'spamming links'
+    });
+    expect(registry.parseArguments(command, ['troll'])).toEqual({ user: 'troll', duration: 600, reason: null });
+    expect(() => registry.parseArguments(command, [])).toThrow('Usage: /timeout <user> [duration] [reason]');
+    expect(() => registry.parseArguments(command, ['troll', 'soon'])).toThrow(/duration must be/);
+  });
+
+  it('should rank permissions and track cooldowns per user', () => {
+    const command = registry.get('timeout');
+
+    expect(ChatCommandRegistry.hasPermission('broadcaster', 'moderator')).toBe(true);
+    expect(ChatCommandRegistry.hasPermission('everyone', 'moderator')).toBe(false);
+    expect(registry.list('everyone')).toHaveLength(0);
+
+    registry.startCooldown(command, STREAM_ID, 1, 1000);
+    expect(registry.getCooldownRemaining(command, STREAM_ID, 1, 3000)).toBe(3);
+    expect(registry.getCooldownRemaining(command, STREAM_ID, 2, 3000)).toBe(0);
+    expect(registry.getCooldownRemaining(command, STREAM_ID, 1, 6000)).toBe(0);
+  });
+});
+
+describe('ChatManager commands', () => {
+  let chat;
+  let io;
+  let db;
+  let owner;
+  let mod;
+  let viewer;
+
+  // The user the socket's handshake token signed in as
+  const join = (socket, userId, username, role) => {
+    socket.user = { id: userId, username, role };
+    return chat.handleJoinChat(socket, { streamId: STREAM_ID });
+  };
+  const send = (socket, message) => chat.handleChatMessage(socket, { streamId: STREAM_ID, message });
+  const broadcasts = (event) => io.emitted.filter(entry => entry.event === event && entry.room === `chat:${STREAM_ID}`);
+
+  beforeEach(async () => {
+    io = createFakeIo();
+    db = createChatDb();
+    chat = new ChatManager(io, createFakeRedis(), logger);
+    chat.initializeCommands();
+    chat.db = db;
+
+    owner = createSocket('owner-socket');
+    mod = createSocket('mod-socket');
+    viewer = createSocket('viewer-socket');
+
+    await join(owner, OWNER_ID, 'host', 'viewer');
+    await join(mod, 20, 'mod', 'moderator');
+    await join(viewer, 30, 'viewer', 'viewer');
+  });
+
+  it('should run moderation commands through the moderation path', async () => {
+    await send(viewer, '/timeout mod 5m');
+    expect(viewer.last('chat:error').data.message).toBe("You don't have permission to use /timeout");
+
+    await send(mod, '/timeout @viewer 5m being rude');
+    expect(mod.last('chat:message').data.message).toBe('viewer has been timed out for 5m');
+    expect(db.log[0]).toMatchObject({ action: 'timeout', target_user_id: 30, duration_seconds: 300, reason: 'being rude' });
+
+    await send(mod, '/slow 10');
+    expect(chat.chatRooms.get(STREAM_ID).settings).toMatchObject({ slowMode: true, slowModeDelay: 10 });
+
+    await send(mod, '/slow off');
+    expect(chat.chatRooms.get(STREAM_ID).settings.slowMode).toBe(false);
+
+    await send(mod, '/ban nobody');
+    expect(mod.last('chat:error').data.message).toBe('User nobody not found');
+
+    await send(owner, '/nope');
+    expect(owner.last('chat:error').data.message).toBe('Unknown command: /nope');
+  });
+
+  it('should run polls, shoutouts and uptime', async () => {
+    await send(mod, '/poll Best map? | Dust | Inferno');
+    expect(broadcasts('chat:poll')[0].data.poll.options.map(option => option.text)).toEqual(['Dust', 'Inferno']);
+
+    await send(viewer, '/vote 2');
+    await send(owner, '/vote 2');
+    await send(viewer, '/vote 1');
+    await send(viewer, '/vote 3');
+    expect(viewer.last('chat:error').data.message).toBe('Pick an option from 1 to 2');
+
+    await send(mod, '/poll end');
+    const results = broadcasts('chat:poll-ended')[0].data.poll;
+    expect(results.options.map(option => option.votes)).toEqual([1, 1]);
+    expect(results.totalVotes).toBe(2);
+    expect(await chat.getPollResults(STREAM_ID)).toBeNull();
+
+    await send(mod, '/so friend');
+    expect(broadcasts('chat:shoutout')[0].data).toMatchObject({ userId: 42, lastStream: { title: 'Speedrunning' } });
+
+    await send(viewer, '/uptime');
+    expect(broadcasts('chat:message').pop().data.message).toBe('Live for 2h 5m');
+
+    // Global cooldown for viewers
+    await send(viewer, '/uptime');
+    expect(viewer.last('chat:error').data).toMatchObject({ retryAfter: 10 });
+  });
+
+  it('should run custom commands and list them for autocomplete', async () => {
+    await expect(chat.createCustomCommand(STREAM_ID, { name: 'ban', response: 'nope' }, OWNER_ID))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    await chat.createCustomCommand(STREAM_ID, {
+      name: 'Discord',
+      response: 'Hey {target}, join us! Shared {count} times',
+      cooldown: 30
+    }, OWNER_ID);
+    await chat.createCustomCommand(STREAM_ID, { name: 'modnote', response: 'Be nice', permission: 'moderator' }, OWNER_ID);
+
+    await send(viewer, '/discord @pal');
+    expect(broadcasts('chat:message').pop().data.message).toBe('Hey pal, join us! Shared 1 times');
+    expect(db.commands[0].usage_count).toBe(1);
+
+    await send(viewer, '/discord');
+    expect(viewer.last('chat:error').data.message).toBe('/discord is on cooldown, wait 30 seconds');
+
+    const viewerCommands = (await chat.getAvailableCommands(STREAM_ID, 'everyone')).map(command => command.name);
+    expect(viewerCommands).toEqual(expect.arrayContaining(['discord', 'help', 'uptime', 'vote']));
+    expect(viewerCommands).not.toContain('modnote');
+    expect(viewerCommands).not.toContain('timeout');
+
+    const modCommands = mod.last('chat:joined').data.commands.map(command => command.name);
+    expect(modCommands).toContain('timeout');
+  });
+
+  it('should let bots post and moderate through the same path', async () => {
+    const bot = await chat.createBot(STREAM_ID, { name: 'helper', permission: 'moderator' }, OWNER_ID);
+    expect(bot.token).toMatch(/^chatbot_[0-9a-f]{64}$/);
+    expect(db.bots[0].token_hash).not.toBe(bot.token);
+
+    expect(await chat.authenticateBot('chatbot_wrong')).toBeNull();
+    const authenticated = await chat.authenticateBot(bot.token);
+
+    const posted = await chat.postBotMessage(authenticated, 'Welcome everyone!');
+    expect(posted.type).toBe('message');
+    expect(broadcasts('chat:message').pop().data).toMatchObject({ username: 'helper', role: 'bot' });
+
+    const command = await chat.postBotMessage(authenticated, '/timeout viewer 60');
+    expect(command.replies[0].message).toBe('viewer has been timed out for 1m');
+    expect(db.log[0]).toMatchObject({ moderator_id: OWNER_ID, moderator_username: 'helper' });
+
+    const chatty = await chat.createBot(STREAM_ID, { name: 'chatty' }, OWNER_ID);
+    await expect(chat.postBotMessage(await chat.authenticateBot(chatty.token), '/ban viewer'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Unit Tests for the chat filter
+ *
+ * Covers:
+ * - Word boundaries, Unicode normalization, leetspeak and homoglyph folding
+ * - Allowed words, phrases and link filtering in ContentFilter
+ * - Severity actions: masking, holding for review and auto-timeouts
+ * - Duplicate and flood detection
+ * - ProfanityFilterPanel requests over the chat socket
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const ChatManager = require('../../src/ChatManager');
+const ContentFilter = require('../../src/chat/ContentFilter');
+const { MemoryPubSubAdapter } = require('../../src/cluster');
+const { logger, createFakeRedis, createFakeIo, createSocket, createFakeDb } = require('../helpers/fakes');
+
+const STREAM_ID = '9d3b6c1e-2f4a-4b5c-8d7e-1a2b3c4d5e6f';
+const OWNER_ID = 7;
+
+/**
+ * The chat_filter_settings queries, on top of the shared chat tables
+ */
+function createChatDb() {
+  const filterSettings = new Map();
+
+  const db = createFakeDb({
+    ownerId: OWNER_ID,
+    handle: (sql, params) => {
+      if (sql.startsWith('INSERT INTO chat_filter_settings')) {
+        const [streamId, config, blockedWords, allowedWords, updatedBy] = params;
+        filterSettings.set(streamId, { config, blocked_words: blockedWords, allowed_words: allowedWords, updated_by: updatedBy });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT config, blocked_words, allowed_words FROM chat_filter_settings')) {
+        return [filterSettings.has(params[0]) ? [filterSettings.get(params[0])] : []];
+      }
+    }
+  });
+  return Object.assign(db, { filterSettings });
+}
+
+describe('ContentFilter', () => {
+  it('should match whole words after normalization, leetspeak and homoglyph folding', () => {
+    const filter = new ContentFilter();
+    const check = (text) => filter.analyze(text);
+
+    expect(check('hello shell, that was hell').text).toBe('hello shell, that was ****');
+    expect(check('what the fück').violations[0]).toMatchObject({ word: 'fuck', method: 'exact_match' });
+    expect(check('fuсk this').text).toBe('**** this'); // Cyrillic "с"
+    expect(check('sh1t happens')).toMatchObject({ text: '**** happens', action: 'mask' });
+    expect(check('He11 no').violations[0]).toMatchObject({ word: 'hell', method: 'leetspeak' });
+    expect(check('fuuuk and phuck').violations.map(v => v.method)).toEqual(['phonetic', 'phonetic']);
+    expect(check('a heel in class').violations).toHaveLength(0);
+    expect(check('SH!T!').text).toBe('****!');
+  });
+
+  it('should apply allowed words, phrases, partial matches and links', () => {
+    const filter = new ContentFilter({
+      config: { methods: { partialMatch: true }, links: { enabled: true, allowedDomains: ['interviews.tv'] } },
+      blockedWords: { moderate: ['shit'], extreme: ['kill yourself'] },
+      allowedWords: ['shitake']
+    });
+
+    expect(filter.analyze('go kill   yourself')).toMatchObject({ action: 'timeout', severityScore: 100 });
+    expect(filter.analyze('bullshit').violations[0]).toMatchObject({ method: 'partial_match', confidence: 0.6 });
+    expect(filter.analyze('shitake mushrooms').violations).toHaveLength(0);
+
+    const links = filter.analyze('see https://evil.example.com/x or clips.interviews.tv/abc and cheap-pills.ru');
+    expect(links.violations.map(v => v.word)).toEqual(['https://evil.example.com/x', 'cheap-pills.ru']);
+    expect(links.text).toBe('see ************************** or clips.interviews.tv/abc and **************');
+  });
+
+  it('should round-trip settings in the panel format and drop invalid values', () => {
+    const settings = ContentFilter.parseFilterConfig({
+      strict_mode: true,
+      replacement_methods: { asterisk: false, custom: true },
+      custom_replacement: '[nope]',
+      severity_actions: { mild: 'explode', severe: 'reject' },
+      link_filter: { enabled: true, allowed_domains: ['https://www.Example.com/path'] },
+      spam_detection: { flood_messages: 1000 }
+    }, ContentFilter.createFilterSettings());
+
+    expect(settings.config).toMatchObject({
+      strictMode: true,
+      replacement: 'custom',
+      actions: { mild: 'mask', moderate: 'mask', severe: 'reject', extreme: 'timeout' },
+      links: { enabled: true, allowedDomains: ['example.com'] },
+      spam: { floodMessages: 100 }
+    });
+
+    const formatted = ContentFilter.formatFilterSettings(settings);
+    expect(formatted.config.replacement_methods).toEqual({ asterisk: false, emoji: false, custom: true, remove: false });
+    expect(new ContentFilter(settings).test('damn')).toMatchObject({
+      filtered_content: '[nope]',
+      is_clean: false,
+      severity_score: 25,
+      action: 'reject',
+      filter_methods_used: ['exact_match']
+    });
+  });
+});
+
+describe('ChatManager filter', () => {
+  let chat;
+  let db;
+  let owner;
+  let mod;
+  let viewer;
+
+  // The user the socket's handshake token signed in as
+  const join = (socket, userId, username, role) => {
+    socket.user = { id: userId, username, role };
+    return chat.handleJoinChat(socket, { streamId: STREAM_ID });
+  };
+  const send = (socket, message) => chat.handleChatMessage(socket, { streamId: STREAM_ID, message });
+  const broadcasts = (event) => chat.io.emitted.filter(entry => entry.event === event && entry.room === `chat:${STREAM_ID}`);
+  const toSocket = (socket, event) => chat.io.emitted.filter(entry => entry.event === event && entry.room === socket.id);
+
+  beforeEach(async () => {
+    db = createChatDb();
+    chat = new ChatManager(createFakeIo(), createFakeRedis(), logger);
+    chat.initializeCommands();
+    chat.db = db;
+
+    owner = createSocket('owner-socket');
+    mod = createSocket('mod-socket');
+    viewer = createSocket('viewer-socket');
+
+    await join(owner, OWNER_ID, 'host', 'viewer');
+    await join(mod, 20, 'mod', 'moderator');
+    await join(viewer, 30, 'viewer', 'viewer');
+
+    await chat.handleFilterRequest(owner, 'profanity_filter_update', {
+      streamId: STREAM_ID,
+      action: 'add_profanity',
+      data: { word: 'grifter', severity: 'severe' }
+    });
+    await chat.handleFilterRequest(owner, 'profanity_filter_update', {
+      streamId: STREAM_ID,
+      action: 'add_profanity',
+      data: { word: 'doxx', severity: 'extreme' }
+    });
+  });
+
+  it('should mask mild words and hold severe ones for moderator review', async () => {
+    await send(viewer, 'well damn');
+    expect(broadcasts('chat:message')[0].data).toMatchObject({ message: 'well ****', flagged: true });
+
+    await send(viewer, 'what a gr1fter');
+    expect(broadcasts('chat:message')).toHaveLength(1);
+    expect(viewer.last('chat:message').data.message).toBe('Your message is being reviewed by the moderators');
+
+    const [held] = toSocket(mod, 'chat:message-held').map(entry => entry.data);
+    expect(held).toMatchObject({ message: 'what a gr1fter', username: 'viewer' });
+    expect(held.violations[0]).toMatchObject({ word: 'grifter', severity: 'severe', method: 'leetspeak' });
+    expect(toSocket(viewer, 'chat:message-held')).toHaveLength(0);
+
+    await chat.handleReviewHeld(viewer, { streamId: STREAM_ID, messageId: held.id, approve: true });
+    expect(viewer.last('chat:error').data.message).toBe('Only moderators can review held messages');
+
+    await chat.handleReviewHeld(mod, { streamId: STREAM_ID, messageId: held.id, approve: true });
+    expect(broadcasts('chat:message')[1].data).toMatchObject({ id: held.id, message: 'what a gr1fter' });
+    expect(toSocket(owner, 'chat:held-resolved')[0].data).toMatchObject({ messageId: held.id, approved: true, moderator: 'mod' });
+
+    await chat.handleReviewHeld(mod, { streamId: STREAM_ID, messageId: held.id, approve: false });
+    expect(mod.last('chat:error').data.message).toBe('Held message not found');
+    expect(await chat.getHeldMessages(STREAM_ID)).toEqual([]);
+  });
+
+  it('should time out extreme messages and spare moderators', async () => {
+    await send(viewer, "I'll d0xx you");
+    expect(viewer.last('chat:error').data.message).toBe('Your message was removed by the chat filter');
+    expect(broadcasts('chat:message')).toHaveLength(0);
+    expect(db.log[0]).toMatchObject({
+      action: 'timeout',
+      moderator_id: OWNER_ID,
+      moderator_username: 'AutoMod',
+      target_user_id: 30,
+      duration_seconds: 600,
+      reason: 'AutoMod: extreme language'
+    });
+
+    await send(mod, 'do not doxx anyone');
+    expect(broadcasts('chat:message')[0].data.message).toBe('do not **** anyone');
+  });
+
+  it('should reject repeated messages and time out floods', async () => {
+    await send(viewer, 'Hello there');
+    await send(viewer, 'hello   THERE');
+    expect(viewer.last('chat:error').data.message).toBe('You already sent that message');
+
+    // The rejected repeat counts toward the five messages per ten seconds
+    for (let i = 0; i < 4; i++) {
+      await send(viewer, `message ${i}`);
+    }
+    expect(broadcasts('chat:message').map(entry => entry.data.message)).toEqual(['Hello there', 'message 0', 'message 1', 'message 2']);
+    expect(viewer.last('chat:error').data.message).toBe('Your message was removed by the chat filter');
+    expect(db.log[0]).toMatchObject({ action: 'timeout', target_user_id: 30, reason: 'AutoMod: flooding' });
+
+    const stats = await chat.getFilterStats(STREAM_ID);
+    expect(stats).toMatchObject({ total_filtered: 2, total_blocked: 2, method_breakdown: { duplicate: 1, flood: 1 } });
+  });
+
+  it('should serve the panel protocol to moderators only and persist changes', async () => {
+    await chat.handleFilterRequest(viewer, 'profanity_filter_get', { streamId: STREAM_ID });
+    expect(viewer.last('profanity_filter_error').data.message).toBe('Only moderators can manage the chat filter');
+
+    await chat.handleFilterRequest(mod, 'profanity_filter_update', {
+      streamId: STREAM_ID,
+      action: 'add_profanity',
+      data: { word: 'x', severity: 'catastrophic' }
+    });
+    expect(mod.last('profanity_filter_error').data.message).toMatch(/^Severity must be one of/);
+
+    await chat.handleFilterRequest(mod, 'profanity_filter_config', {
+      streamId: STREAM_ID,
+      config: { link_filter: { enabled: true }, severity_actions: { moderate: 'hold' } }
+    });
+    expect(mod.last('profanity_filter_success').data.message).toBe('Filter configuration saved');
+    const settings = mod.last('profanity_filter_settings').data;
+    expect(settings.config.link_filter).toMatchObject({ enabled: true, allowed_domains: ['interviews.tv'] });
+    expect(settings.profanity_lists.severe).toEqual(['grifter']);
+
+    const saved = db.filterSettings.get(STREAM_ID);
+    expect(saved.updated_by).toBe(20);
+    expect(JSON.parse(saved.config).actions.moderate).toBe('hold');
+
+    await chat.handleFilterRequest(mod, 'profanity_filter_test', { streamId: STREAM_ID, content: 'visit spam.xyz' });
+    expect(mod.last('profanity_filter_test_result').data.result).toMatchObject({
+      filtered_content: 'visit ********',
+      action: 'hold',
+      filter_methods_used: ['link_filter']
+    });
+
+    // A room opened later, on any replica, loads the saved filter
+    const other = new ChatManager(createFakeIo(), createFakeRedis(), logger);
+    other.db = db;
+    const room = await other.createChatRoom(STREAM_ID);
+    expect(room.filter.config.links.enabled).toBe(true);
+    expect(room.filter.settings.blockedWords.extreme).toEqual(['doxx']);
+  });
+});
+
+describe('Chat filter across replicas', () => {
+  let replicas;
+
+  afterEach(async () => {
+    for (const chat of replicas) {
+      await chat.stopClusterSync();
+      await chat.cluster.close();
+    }
+  });
+
+  it('should apply filter changes and held messages on every replica', async () => {
+    const hub = MemoryPubSubAdapter.createHub();
+    replicas = await Promise.all(['node-a', 'node-b'].map(async nodeId => {
+      const chat = new ChatManager(createFakeIo(), createFakeRedis(), logger);
+      chat.cluster = new MemoryPubSubAdapter({ hub, nodeId }, logger);
+      await chat.cluster.start();
+      await chat.startClusterSync();
+      return chat;
+    }));
+    const [a, b] = replicas;
+
+    const mod = createSocket('mod-socket');
+    const viewer = createSocket('viewer-socket');
+    mod.user = { id: 20, username: 'mod', role: 'moderator' };
+    viewer.user = { id: 30, username: 'viewer', role: 'user' };
+    await a.handleJoinChat(mod, { streamId: STREAM_ID });
+    await b.handleJoinChat(viewer, { streamId: STREAM_ID });
+
+    await a.handleFilterRequest(mod, 'profanity_filter_update', {
+      streamId: STREAM_ID,
+      action: 'add_profanity',
+      data: { word: 'grifter', severity: 'severe' }
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(b.chatRooms.get(STREAM_ID).filter.settings.blockedWords.severe).toEqual(['grifter']);
+
+    await b.handleChatMessage(viewer, { streamId: STREAM_ID, message: 'grifter!' });
+    await new Promise(resolve => setImmediate(resolve));
+    const held = a.io.emitted.find(entry => entry.event === 'chat:message-held' && entry.room === 'mod-socket');
+    expect(held.data.message).toBe('grifter!');
+
+    await a.reviewHeldMessage(a.chatRooms.get(STREAM_ID), { username: 'mod' }, held.data.id, true);
+    expect(a.io.emitted.some(entry => entry.event === 'chat:message' && entry.data.id === held.data.id)).toBe(true);
+  });
+});
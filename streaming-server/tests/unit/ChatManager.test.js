@@ -0,0 +1,232 @@
+/**
+ * Unit Tests for ChatManager moderation, history and typing
+ *
+ * Runs the manager against in-memory stand-ins for Redis, socket.io and
+ * the MySQL tables it reads to cover:
+ * - Moderator-only actions and protected targets
+ * - Read-only guests and identities taken from the handshake, not the client
+ * - Timeouts, bans, deletion, slow mode and followers-only mode
+ * - Cursor-paginated history
+ * - Typing indicator throttling
+ * - The moderation audit log
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const ChatManager = require('../../src/ChatManager');
+const { logger, createFakeRedis, createFakeIo, createSocket, createFakeDb } = require('../helpers/fakes');
+
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+const OWNER_ID = 7;
+
+function createChatDb() {
+  const follows = new Map();
+  const db = createFakeDb({
+    streamId: STREAM_ID,
+    ownerId: OWNER_ID,
+    handle: (sql, params) => {
+      if (sql.startsWith('SELECT created_at FROM follows')) {
+        return [follows.has(params[0]) ? [{ created_at: follows.get(params[0]) }] : []];
+      }
+    }
+  });
+  return Object.assign(db, { follows });
+}
+
+describe('ChatManager', () => {
+  let chat;
+  let redis;
+  let io;
+  let db;
+  let owner;
+  let mod;
+  let viewer;
+
+  // The user the socket's handshake token signed in as
+  const join = async (socket, userId, username, role) => {
+    socket.user = { id: userId, username, role };
+    await chat.handleJoinChat(socket, { streamId: STREAM_ID });
+  };
+  const send = (socket, message) => chat.handleChatMessage(socket, { streamId: STREAM_ID, message });
+  const moderate = (socket, data) => chat.handleModerationAction(socket, { streamId: STREAM_ID, ...data });
+  const broadcasts = (event) => io.emitted.filter(entry => entry.event === event);
+
+  beforeEach(async () => {
+    redis = createFakeRedis();
+    io = createFakeIo();
+    db = createChatDb();
+    chat = new ChatManager(io, redis, logger);
+    chat.initializeCommands();
+    chat.db = db;
+
+    owner = createSocket('owner-socket');
+    mod = createSocket('mod-socket');
+    viewer = createSocket('viewer-socket');
+
+    await join(owner, OWNER_ID, 'host', 'viewer');
+    await join(mod, 20, 'mod', 'moderator');
+    await join(viewer, 30, 'viewer', 'viewer');
+  });
+
+  it('should only let moderators moderate and protect the broadcaster', async () => {
+    await moderate(viewer, { action: 'timeout', targetUserId: 20 });
+    expect(viewer.last('chat:error').data.message).toBe('Only moderators can perform moderation actions');
+
+    await moderate(mod, { action: 'ban', targetUserId: OWNER_ID });
+    expect(mod.last('chat:error').data.message).toBe('The broadcaster cannot be moderated');
+
+    // The owner is recognised from live_streams, not from the role they claim
+    await moderate(owner, { action: 'timeout', targetUserId: 20, duration: 60 });
+    expect(owner.last('chat:moderation-success').data).toMatchObject({ action: 'timeout', targetUserId: 20, durationSeconds: 60 });
+
+    expect(db.log).toHaveLength(1);
+  });
+
+  it('should let guests read but not chat, and ignore roles clients claim', async () => {
+    const guest = createSocket('guest-socket');
+    guest.user = null;
+    await chat.handleJoinChat(guest, { streamId: STREAM_ID, username: 'admin', role: 'moderator' });
+    await send(guest, 'hello');
+
+    expect(guest.last('chat:joined')).toBeDefined();
+    expect(guest.last('chat:error').data.message).toBe('Sign in to chat');
+    expect(chat.chatRooms.get(STREAM_ID).users.get('guest-socket')).toMatchObject({ userId: null, username: 'Guest', role: 'viewer' });
+
+    const impostor = createSocket('impostor-socket');
+    impostor.user = { id: 31, role: 'user' };
+    await chat.handleJoinChat(impostor, { streamId: STREAM_ID, userId: 20, username: 'mod', role: 'moderator' });
+    await moderate(impostor, { action: 'timeout', targetUserId: 30 });
+
+    expect(chat.chatRooms.get(STREAM_ID).users.get('impostor-socket')).toMatchObject({ userId: 31, username: 'user31', role: 'viewer' });
+
+    expect(impostor.last('chat:error').data.message).toBe('Only moderators can perform moderation actions');
+  });
+
+  it('should time out users until the timeout expires or is lifted', async () => {
+    await moderate(mod, { action: 'timeout', targetUserId: 30, duration: 120, reason: 'Spamming links' });
+    await send(viewer, 'hello?');
+
+    expect(viewer.last('chat:error').data.message).toBe('You are temporarily muted');
+    expect(io.emitted.find(entry => entry.event === 'chat:timed-out').room).toBe('viewer-socket');
+    expect(broadcasts('chat:moderation')[0].data.reason).toBeUndefined();
+
+    await moderate(mod, { action: 'untimeout', targetUserId: 30 });
+    await send(viewer, 'back again');
+
+    expect(broadcasts('chat:message')).toHaveLength(1);
+    await moderate(mod, { action: 'timeout', targetUserId: 30, duration: 0 });
+    expect(mod.last('chat:error').data.message).toMatch(/^Timeout must be between/);
+  });
+
+  it('should ban users, remove them from the room and remember the ban', async () => {
+    await moderate(mod, { action: 'ban', targetUserId: 30, reason: 'Harassment' });
+
+    expect(io.left).toEqual([{ socketId: 'viewer-socket', room: `chat:${STREAM_ID}` }]);
+    expect(chat.chatRooms.get(STREAM_ID).users.has('viewer-socket')).toBe(false);
+
+    // A fresh room (e.g. after a restart) restores bans from Redis
+    chat.chatRooms.clear();
+    const rejoin = createSocket('viewer-socket-2');
+    await join(rejoin, 30, 'viewer', 'viewer');
+    expect(rejoin.last('chat:error').data.message).toBe('You are banned from this chat');
+
+    await join(mod, 20, 'mod', 'moderator');
+    await moderate(mod, { action: 'unban', targetUserId: 30 });
+    await join(rejoin, 30, 'viewer', 'viewer');
+    expect(rejoin.last('chat:joined')).toBeDefined();
+  });
+
+  it('should delete messages and hide them from history', async () => {
+    await send(viewer, 'buy followers at example.test');
+    const message = broadcasts('chat:message')[0].data;
+
+    await moderate(mod, { action: 'delete', messageId: message.id });
+    const history = await chat.getChatHistory(STREAM_ID);
+
+    expect(broadcasts('chat:message-deleted')[0].data.messageId).toBe(message.id);
+    expect(history.messages[0]).toMatchObject({ id: message.id, deleted: true, message: '' });
+    expect(db.log[0]).toMatchObject({ action: 'delete', target_user_id: 30, message_id: message.id });
+    expect(JSON.parse(db.log[0].details).message).toBe('buy followers at example.test');
+  });
+
+  it('should enforce slow mode for everyone but moderators', async () => {
+    await moderate(mod, { action: 'slow', delay: 30 });
+    await send(viewer, 'first');
+    await send(viewer, 'second');
+    await send(mod, 'mods are exempt');
+    await send(mod, 'still exempt');
+
+    expect(viewer.last('chat:error').data).toMatchObject({ retryAfter: 30 });
+    expect(broadcasts('chat:message').map(entry => entry.data.message)).toEqual(['first', 'mods are exempt', 'still exempt']);
+
+    await moderate(mod, { action: 'slow', enabled: false });
+    await send(viewer, 'third');
+    expect(broadcasts('chat:message')).toHaveLength(4);
+  });
+
+  it('should only let followers chat in followers-only mode', async () => {
+    await moderate(owner, { action: 'followers_only', minFollowMinutes: 10 });
+
+    await send(viewer, 'not following');
+    expect(viewer.last('chat:error').data.message).toBe('Chat is in followers-only mode');
+
+    db.follows.set(30, new Date(Date.now() - 5 * 60000));
+    chat.chatRooms.get(STREAM_ID).followerCache.clear();
+    await send(viewer, 'followed five minutes ago');
+    expect(broadcasts('chat:message')).toHaveLength(0);
+
+    db.follows.set(30, new Date(Date.now() - 60 * 60000));
+    chat.chatRooms.get(STREAM_ID).followerCache.clear();
+    await send(viewer, 'long-time follower');
+    expect(broadcasts('chat:message')).toHaveLength(1);
+  });
+
+  it('should page chat history with cursors', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await send(viewer, `message ${i}`);
+    }
+
+    await chat.handleChatHistory(viewer, { streamId: STREAM_ID, limit: 2 });
+    const latest = viewer.last('chat:history').data;
+    await chat.handleChatHistory(viewer, { streamId: STREAM_ID, limit: 2, before: latest.nextCursor });
+    const older = viewer.last('chat:history').data;
+    const oldest = await chat.getChatHistory(STREAM_ID, { limit: 2, before: older.nextCursor });
+
+    expect(latest.messages.map(m => m.message)).toEqual(['message 4', 'message 5']);
+    expect(older.messages.map(m => m.message)).toEqual(['message 2', 'message 3']);
+    expect(oldest).toMatchObject({ hasMore: false, nextCursor: null });
+    expect(oldest.messages.map(m => m.message)).toEqual(['message 1']);
+
+    await chat.handleChatHistory(viewer, { streamId: STREAM_ID, before: 'abc' });
+    expect(viewer.last('chat:error').data.message).toBe('Invalid history cursor');
+  });
+
+  it('should throttle typing broadcasts', async () => {
+    const typing = () => viewer.emitted.filter(entry => entry.broadcast && entry.event === 'chat:typing');
+
+    chat.handleTypingIndicator(viewer, { streamId: STREAM_ID, isTyping: true });
+    chat.handleTypingIndicator(viewer, { streamId: STREAM_ID, isTyping: true });
+    chat.handleTypingIndicator(viewer, { streamId: STREAM_ID, isTyping: false });
+    chat.handleTypingIndicator(viewer, { streamId: STREAM_ID, isTyping: false });
+
+    expect(typing().map(entry => entry.data.isTyping)).toEqual([true, false]);
+    expect(typing()[0].data).toMatchObject({ userId: 30, username: 'viewer', expiresIn: 5000 });
+  });
+
+  it('should page the moderation audit log for moderators', async () => {
+    await moderate(mod, { action: 'slow', delay: 10 });
+    await moderate(mod, { action: 'timeout', targetUserId: 30, duration: 60 });
+    await moderate(mod, { action: 'clear' });
+
+    const firstPage = await chat.getModerationLog(STREAM_ID, { limit: 2 });
+    const secondPage = await chat.getModerationLog(STREAM_ID, { limit: 2, cursor: firstPage.nextCursor });
+    const timeouts = await chat.getModerationLog(STREAM_ID, { action: 'timeout' });
+
+    expect(firstPage.entries.map(entry => entry.action)).toEqual(['clear', 'timeout']);
+    expect(secondPage).toMatchObject({ nextCursor: null });
+    expect(secondPage.entries[0]).toMatchObject({ action: 'slow', durationSeconds: 10, details: { previous: { slowMode: false } } });
+    expect(timeouts.entries).toHaveLength(1);
+
+    await chat.handleModerationLog(viewer, { streamId: STREAM_ID });
+    expect(viewer.last('chat:error').data.message).toBe('Only moderators can view the moderation log');
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Unit Tests for running chat and signaling on several replicas
+ *
+ * Covers:
+ * - Presence, moderation, slow mode, rate limits and polls shared between
+ *   two ChatManagers on one pub/sub hub
+ * - Signaling peers counted across replicas
+ * - The socket.io adapter relaying room broadcasts
+ * - Dropping presence held by replicas that stopped heartbeating
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const ChatManager = require('../../src/ChatManager');
+const WebRTCSignaling = require('../../src/WebRTCSignaling');
+const AuthMiddleware = require('../../src/middleware/AuthMiddleware');
+const { MemoryPubSubAdapter, createSocketAdapter } = require('../../src/cluster');
+const { logger, createFakeRedis, createFakeIo, createSocket, createFakeDb } = require('../helpers/fakes');
+
+const STREAM_ID = '5c1f2e0a-3b4d-4e6f-8a9b-0c1d2e3f4a5b';
+const OWNER_ID = 7;
+
+function createChatDb() {
+  const users = { host: OWNER_ID, mod: 20, viewer: 30 };
+
+  return createFakeDb({
+    ownerId: OWNER_ID,
+    handle: (sql, params) => {
+      if (sql.startsWith('SELECT id, username FROM users')) {
+        return [users[params[0]] ? [{ id: users[params[0]], username: params[0] }] : []];
+      }
+    }
+  });
+}
+
+// Let published messages reach the other replica
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Chat across replicas', () => {
+  let hub;
+  let redis;
+  let replicas;
+  let chatA;
+  let chatB;
+
+  const createReplica = async (nodeId) => {
+    const io = createFakeIo();
+    const chat = new ChatManager(io, redis, logger);
+    chat.initializeCommands();
+    chat.db = createChatDb();
+    chat.cluster = new MemoryPubSubAdapter({ hub, nodeId }, logger);
+    await chat.cluster.start();
+    await chat.startClusterSync();
+    replicas.push(chat);
+    return chat;
+  };
+
+  const join = (chat, socketId, userId, username, role = 'user') => {
+    const socket = createSocket(socketId, chat.io);
+    socket.user = { id: userId, username, role };
+    return chat.handleJoinChat(socket, { streamId: STREAM_ID }).then(() => socket);
+  };
+  const send = (chat, socket, message) => chat.handleChatMessage(socket, { streamId: STREAM_ID, message });
+
+  beforeEach(async () => {
+    hub = MemoryPubSubAdapter.createHub();
+    redis = createFakeRedis();
+    replicas = [];
+    chatA = await createReplica('node-a');
+    chatB = await createReplica('node-b');
+  });
+
+  afterEach(async () => {
+    for (const chat of replicas) {
+      await chat.stopClusterSync();
+      await chat.cluster.close();
+    }
+  });
+
+  it('should count viewers connected to any replica', async () => {
+    await join(chatA, 'host-socket', OWNER_ID, 'host');
+    const viewer = await join(chatB, 'viewer-socket', 30, 'viewer');
+
+    expect(viewer.last('chat:joined').data.userCount).toBe(2);
+    expect((await chatA.getChatUsers(STREAM_ID)).map(user => user.username).sort()).toEqual(['host', 'viewer']);
+    expect(chatA.chatRooms.get(STREAM_ID).users.size).toBe(1);
+
+    await chatB.handleLeaveChat(viewer, { streamId: STREAM_ID });
+    expect((await chatA.getChatUsers(STREAM_ID)).map(user => user.username)).toEqual(['host']);
+  });
+
+  it('should apply timeouts, bans and slow mode from another replica', async () => {
+    const host = await join(chatA, 'host-socket', OWNER_ID, 'host');
+    const viewer = await join(chatB, 'viewer-socket', 30, 'viewer');
+
+    await send(chatA, host, '/timeout viewer 5m');
+    await settle();
+    expect(chatB.io.emitted.some(entry => entry.room === 'viewer-socket' && entry.event === 'chat:timed-out')).toBe(true);
+    await send(chatB, viewer, 'hello?');
+    expect(viewer.last('chat:error').data.message).toBe('You are temporarily muted');
+
+    await send(chatA, host, '/slow 30');
+    await settle();
+    expect(chatB.chatRooms.get(STREAM_ID).settings).toMatchObject({ slowMode: true, slowModeDelay: 30 });
+
+    await send(chatA, host, '/ban viewer');
+    await settle();
+    expect(chatB.chatRooms.get(STREAM_ID).users.has('viewer-socket')).toBe(false);
+    expect(chatB.io.emitted.some(entry => entry.room === 'viewer-socket' && entry.event === 'chat:banned')).toBe(true);
+
+    // A replica that opens the room later loads the stored state
+    const chatC = await createReplica('node-c');
+    const late = await join(chatC, 'late-socket', 30, 'viewer');
+    expect(late.last('chat:error').data.message).toBe('You are banned from this chat');
+    expect(chatC.chatRooms.get(STREAM_ID).settings.slowModeDelay).toBe(30);
+  });
+
+  it('should share the slow mode window and message rate limit', async () => {
+    const host = await join(chatA, 'host-socket', OWNER_ID, 'host');
+    await send(chatA, host, '/slow 30');
+    await settle();
+
+    const viewerA = await join(chatA, 'viewer-a', 30, 'viewer');
+    const viewerB = await join(chatB, 'viewer-b', 30, 'viewer');
+
+    await send(chatA, viewerA, 'first');
+    await send(chatB, viewerB, 'second');
+    expect(viewerB.last('chat:error').data.message).toMatch(/Slow mode/);
+
+    chatA.moderationConfig.messagesPerMinute = 2;
+    expect(await chatA.checkRateLimit(99)).toBe(true);
+    expect(await chatB.checkRateLimit(99)).toBe(true);
+    expect(await chatA.checkRateLimit(99)).toBe(false);
+  });
+
+  it('should collect poll votes from every replica', async () => {
+    const host = await join(chatA, 'host-socket', OWNER_ID, 'host');
+    const viewerA = await join(chatA, 'viewer-a', 30, 'viewer');
+    const viewerB = await join(chatB, 'viewer-b', 31, 'other');
+
+    await send(chatA, host, '/poll Next topic? | Hiring | Salaries');
+    await settle();
+    await send(chatA, viewerA, '/vote 2');
+    await send(chatB, viewerB, '/vote 2');
+
+    const results = await chatB.getPollResults(STREAM_ID);
+    expect(results.options.map(option => option.votes)).toEqual([0, 2]);
+    expect(results.totalVotes).toBe(2);
+  });
+
+  it('should drop presence held by a replica that stopped heartbeating', async () => {
+    await join(chatA, 'host-socket', OWNER_ID, 'host');
+    await join(chatB, 'viewer-socket', 30, 'viewer');
+
+    // node-b's last heartbeat is older than the node timeout
+    await chatA.cluster.hashSet(MemoryPubSubAdapter.NODES_KEY, 'node-b', String(Date.now() - 60000));
+
+    expect((await chatA.getChatUsers(STREAM_ID)).map(user => user.username)).toEqual(['host']);
+  });
+});
+
+describe('Signaling across replicas', () => {
+  it('should report peers connected to any replica', async () => {
+    const hub = MemoryPubSubAdapter.createHub();
+    const signaling = ['node-a', 'node-b'].map(nodeId => {
+      const instance = new WebRTCSignaling(createFakeIo(), logger);
+      instance.authMiddleware = new AuthMiddleware({ jwtSecret: 'test-secret' });
+      instance.authMiddleware.registerOwnership('stream', async () => OWNER_ID);
+      instance.cluster = new MemoryPubSubAdapter({ hub, nodeId }, logger);
+      return instance;
+    });
+    await Promise.all(signaling.map(instance => instance.cluster.start()));
+
+    const [a, b] = signaling;
+    const broadcaster = createSocket('broadcaster', a.io);
+    const viewer = createSocket('viewer', b.io);
+    a.handleConnection(broadcaster);
+    b.handleConnection(viewer);
+
+    broadcaster.user = { id: OWNER_ID, role: 'creator' };
+    viewer.user = null;
+    await a.handleJoinStream(broadcaster, { streamId: STREAM_ID, role: 'broadcaster' });
+    await b.handleJoinStream(viewer, { streamId: STREAM_ID, role: 'viewer' });
+
+    expect(viewer.last('webrtc:joined').data.roomSize).toBe(2);
+    expect(await a.getRoomStats(STREAM_ID)).toMatchObject({ totalConnections: 2, broadcasters: 1, viewers: 1 });
+
+    await Promise.all(signaling.map(instance => instance.cluster.close()));
+  });
+});
+
+describe('Socket.io cluster adapter', () => {
+  it('should relay room broadcasts to sockets on other replicas', async () => {
+    const hub = MemoryPubSubAdapter.createHub();
+    const received = { a: [], b: [] };
+
+    const createNamespace = (label, nodeId) => {
+      const pubSub = new MemoryPubSubAdapter({ hub, nodeId }, logger);
+      const socket = {
+        id: `${label}-socket`,
+        client: { writeToEngine: (packets) => received[label].push(packets[0]) }
+      };
+      const nsp = {
+        name: '/',
+        sockets: new Map([[socket.id, socket]]),
+        server: { encoder: { encode: (packet) => [JSON.stringify(packet.data)] } }
+      };
+      const Adapter = createSocketAdapter(pubSub);
+      const adapter = new Adapter(nsp);
+      adapter.addAll(socket.id, new Set([`chat:${STREAM_ID}`]));
+      return { pubSub, adapter };
+    };
+
+    const a = createNamespace('a', 'node-a');
+    const b = createNamespace('b', 'node-b');
+    await Promise.all([a.adapter.init(), b.adapter.init()]);
+
+    a.adapter.broadcast({ type: 2, data: ['chat:message', { message: 'hi' }] }, { rooms: new Set([`chat:${STREAM_ID}`]), except: new Set() });
+    await settle();
+
+    expect(received.a).toEqual(['["chat:message",{"message":"hi"}]']);
+    expect(received.b).toEqual(['["chat:message",{"message":"hi"}]']);
+
+    await Promise.all([a.adapter.close(), b.adapter.close()]);
+  });
+});
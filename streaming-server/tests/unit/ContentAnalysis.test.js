@@ -0,0 +1,349 @@
+/**
+ * Unit Tests for content analysis
+ *
+ * Covers the media analysis pipeline with ffmpeg's log replaced by a
+ * recorded one, and ContentManager against an in-memory database:
+ * - Blur, black frames, scene cuts, loudness, clipping and silence
+ * - Quality ratings
+ * - Detection plugins, their violations and failures
+ * - Choosing what to sample, persisting results and acting on violations
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentAnalyzer = require('../../src/content/ContentAnalyzer');
+const ContentManager = require('../../src/ContentManager');
+const {
+  parseVideoReport,
+  parseAudioReport,
+  parseSampledSeconds,
+  summarizeVideo,
+  summarizeAudio,
+  assessQuality
+} = require('../../src/content/mediaMetrics');
+
+const STREAM_ID = '5a6b7c8d-9e0f-4a1b-8c2d-3e4f5a6b7c8d';
+const RECORDING_ID = '6b7c8d9e-0f1a-4b2c-9d3e-4f5a6b7c8d9e';
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+// What ffmpeg logs for a 20 second sample with the metric filters
+const FFMPEG_LOG = [
+  '[Parsed_metadata_3 @ 0x55d1] frame:0    pts:0       pts_time:0',
+  '[Parsed_metadata_3 @ 0x55d1] lavfi.blur=3.5',
+  '[Parsed_metadata_3 @ 0x55d1] frame:1    pts:1       pts_time:0.5',
+  '[Parsed_metadata_3 @ 0x55d1] lavfi.blur=4.5',
+  '[Parsed_metadata_3 @ 0x55d1] frame:2    pts:2       pts_time:1',
+  '[Parsed_metadata_3 @ 0x55d1] lavfi.blur=12.5',
+  '[Parsed_metadata_3 @ 0x55d1] frame:3    pts:3       pts_time:1.5',
+  '[Parsed_metadata_3 @ 0x55d1] lavfi.blur=3.5',
+  '[Parsed_showinfo_5 @ 0x55d2] n:   0 pts:     18 pts_time:9       duration:1 fmt:yuv420p',
+  '[Parsed_showinfo_5 @ 0x55d2] n:   1 pts:     30 pts_time:15      duration:1 fmt:yuv420p',
+  '[blackdetect @ 0x55d3] black_start:2 black_end:7 black_duration:5',
+  '[silencedetect @ 0x55d4] silence_start: 4',
+  '[silencedetect @ 0x55d4] silence_end: 8 | silence_duration: 4',
+  '[silencedetect @ 0x55d4] silence_start: 18.5',
+  'frame=   40 fps=0.0 q=-0.0 Lsize=N/A time=00:00:20.00 bitrate=N/A speed=41.2x',
+  '[Parsed_ebur128_0 @ 0x55d5] Summary:',
+  '',
+  '  Integrated loudness:',
+  '    I:         -19.6 LUFS',
+  '    Threshold: -29.8 LUFS',
+  '',
+  '  Loudness range:',
+  '    LRA:         6.3 LU',
+  '',
+  '  True peak:',
+  '    Peak:        -0.4 dBFS',
+  '[Parsed_volumedetect_1 @ 0x55d6] n_samples: 1920000',
+  '[Parsed_volumedetect_1 @ 0x55d6] mean_volume: -24.1 dB',
+  '[Parsed_volumedetect_1 @ 0x55d6] max_volume: 0.0 dB',
+  '[Parsed_volumedetect_1 @ 0x55d6] histogram_0db: 3840'
+];
+
+describe('Media metrics', () => {
+  it('should read blur, black frames, scene cuts, loudness, clipping and silence from ffmpeg', () => {
+    const seconds = parseSampledSeconds(FFMPEG_LOG);
+    const video = summarizeVideo(parseVideoReport(FFMPEG_LOG, seconds));
+    const audio = summarizeAudio(parseAudioReport(FFMPEG_LOG, seconds));
+
+    expect(seconds).toBe(20);
+    expect(video).toEqual({
+      sampledSeconds: 20,
+      frames: 4,
+      blur: { mean: 6, max: 12.5 },
+      blackFrames: { segments: [{ start: 2, end: 7 }], seconds: 5, ratio: 0.25 },
+      sceneCuts: { times: [9, 15], perMinute: 6 }
+    });
+    expect(audio).toEqual({
+      sampledSeconds: 20,
+      loudness: { integratedLufs: -19.6, rangeLu: 6.3, truePeakDbfs: -0.4, meanVolumeDb: -24.1, maxVolumeDb: 0 },
+      clipping: { samples: 3840, ratio: 0.002 },
+      // The last silence runs to the end of the sample
+      silence: { segments: [{ start: 4, end: 8 }, { start: 18.5, end: 20 }], seconds: 5.5, ratio: 0.275 }
+    });
+
+    expect(assessQuality(video, audio)).toEqual({
+      video: { quality: 'fair', issues: [{ type: 'black_frames', severity: 'medium', value: 0.25 }] },
+      audio: { quality: 'fair', issues: [{ type: 'clipping', severity: 'medium', value: 0.002 }] }
+    });
+  });
+
+  it('should report no media when ffmpeg saw none', () => {
+    const log = ['[Parsed_volumedetect_1 @ 0x1] n_samples: 0', 'time=00:00:05.00'];
+
+    expect(summarizeVideo(parseVideoReport(log, 5))).toBeNull();
+    expect(summarizeAudio(parseAudioReport(log, 5))).toBeNull();
+    expect(assessQuality(null, null)).toEqual({
+      video: { quality: null, issues: [] },
+      audio: { quality: null, issues: [] }
+    });
+  });
+});
+
+describe('ContentAnalyzer', () => {
+  let tmpDir;
+  let analyzer;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-analysis-test-'));
+    analyzer = new ContentAnalyzer(logger, { tmpDir, sampleSeconds: 20, frameCount: 2 });
+    analyzer.runMetricsPass = async () => FFMPEG_LOG;
+    analyzer.extractFrames = async (input, window, workDir) => {
+      const frames = [0, 10].map(time => ({ time, path: path.join(workDir, `frame-${time}.jpg`) }));
+      frames.forEach(frame => fs.writeFileSync(frame.path, 'jpeg'));
+      return frames;
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should only accept complete plugins with unique names', () => {
+    const analyze = async () => ({});
+
+    expect(() => analyzer.use({ media: 'video', analyze })).toThrow('need a name');
+    expect(() => analyzer.use({ name: 'smell', media: 'odour', analyze })).toThrow('must analyze one of');
+    expect(() => analyzer.use({ name: 'faces', media: 'video' })).toThrow('no analyze function');
+
+    analyzer.use({ name: 'faces', media: 'video', description: 'Counts faces', analyze });
+    expect(() => analyzer.use({ name: 'faces', media: 'video', analyze })).toThrow('already registered');
+    expect(analyzer.listPlugins()).toEqual([{ name: 'faces', media: 'video', description: 'Counts faces' }]);
+  });
+
+  it('should run plugins on sampled frames and keep going when one fails', async () => {
+    let framesSeen;
+    analyzer.use({
+      name: 'violence',
+      media: 'video',
+      analyze: async ({ frames, metrics }) => {
+        framesSeen = await frames();
+        expect(metrics.video.frames).toBe(4);
+        return { score: 0.93, violations: [{ type: 'violence', severity: 'critical', time: 10 }, { type: 'gore', severity: 'extreme' }] };
+      }
+    });
+    analyzer.use({
+      name: 'logo',
+      media: 'video',
+      analyze: async () => {
+        throw new Error('model not loaded');
+      }
+    });
+
+    const result = await analyzer.analyze('https://media.test/live/key/master.m3u8', { live: true });
+
+    expect(framesSeen.map(frame => frame.time)).toEqual([0, 10]);
+    expect(result.sampledSeconds).toBe(20);
+    expect(result.video.quality).toBe('fair');
+    expect(result.video.detections).toEqual({
+      violence: expect.objectContaining({ score: 0.93 }),
+      logo: { error: 'model not loaded' }
+    });
+    expect(result.video.violations).toEqual([
+      { type: 'violence', severity: 'critical', time: 10, plugin: 'violence' },
+      { type: 'gore', severity: 'medium', plugin: 'violence' }
+    ]);
+    expect(result.audio).toMatchObject({ quality: 'fair', detections: {}, violations: [] });
+
+    // Frames are deleted afterwards
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+  });
+});
+
+function createFakeDb({ stream, recording }) {
+  const analyses = new Map();
+  const streamUpdates = [];
+
+  return {
+    analyses,
+    streamUpdates,
+    async execute(query, params) {
+      const sql = query.replace(/\s+/g, ' ').trim();
+
+      if (sql.startsWith('SELECT * FROM live_streams')) {
+        return [params[0] === stream.id ? [stream] : []];
+      }
+      if (sql.startsWith('SELECT message FROM stream_chat')) {
+        return [[{ message: 'Great interview' }]];
+      }
+      if (sql.startsWith('SELECT id, file_path, storage_url, status FROM stream_recordings WHERE id')) {
+        return [params[0] === recording.id && params[1] === stream.id ? [recording] : []];
+      }
+      if (sql.startsWith('SELECT id, file_path, storage_url, status FROM stream_recordings WHERE stream_id')) {
+        return [recording.status === 'completed' ? [recording] : []];
+      }
+      if (sql.startsWith('INSERT INTO stream_content_analyses')) {
+        const [id, streamId, recordingId, type, source, status, requestedBy, createdAt] = params;
+        analyses.set(id, { id, stream_id: streamId, recording_id: recordingId, analysis_type: type, source, status, requested_by: requestedBy, created_at: createdAt });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE stream_content_analyses')) {
+        const [status, score, videoQuality, audioQuality, seconds, results, violations, errorMessage, id] = params;
+        Object.assign(analyses.get(id), {
+          status,
+          content_score: score,
+          video_quality: videoQuality,
+          audio_quality: audioQuality,
+          sampled_seconds: seconds,
+          results,
+          violations,
+          error_message: errorMessage
+        });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE live_streams')) {
+        streamUpdates.push({ sql, params });
+        return [{ affectedRows: 1 }];
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+describe('ContentManager analysis', () => {
+  let tmpDir;
+  let db;
+  let manager;
+  let sampled;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-manager-test-'));
+    const filePath = path.join(tmpDir, 'interview.mp4');
+    fs.writeFileSync(filePath, 'video');
+
+    db = createFakeDb({
+      stream: { id: STREAM_ID, user_id: 7, status: 'ended', stream_key: 'live_key', title: 'Founder interview', description: '' },
+      recording: { id: RECORDING_ID, file_path: filePath, storage_url: 'https://cdn.test/interview.mp4', status: 'completed' }
+    });
+    manager = new ContentManager(db, null, logger);
+    manager.analyzer.config.tmpDir = tmpDir;
+    manager.analyzer.runMetricsPass = async (input) => {
+      sampled = input;
+      return FFMPEG_LOG;
+    };
+    manager.analyzer.extractAudio = async (input, window, outputPath) => {
+      fs.writeFileSync(outputPath, 'wav');
+    };
+    manager.transcription = {
+      isAvailable: () => true,
+      transcribe: async () => ({ language: 'en', segments: [{ start: 0, end: 2, text: 'What a badword1 question' }] })
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should sample the latest recording of an offline stream and persist the results', async () => {
+    manager.analyzer.use({
+      name: 'violence',
+      media: 'video',
+      analyze: async () => ({ violations: [{ type: 'violence', severity: 'critical', confidence: 0.97 }] })
+    });
+
+    const analysis = await manager.analyzeStreamContent(STREAM_ID, 'full', { requestedBy: 50 });
+
+    expect(sampled).toBe(path.join(tmpDir, 'interview.mp4'));
+    expect(analysis).toMatchObject({ source: 'recording', recordingId: RECORDING_ID, status: 'completed', sampledSeconds: 20 });
+    expect(analysis.results.audio).toMatchObject({
+      audioQuality: 'fair',
+      transcription: 'What a badword1 question',
+      inappropriateAudio: true
+    });
+    expect(analysis.results.video).toMatchObject({ videoQuality: 'fair', violence: true });
+    // 100 - 20 (speech) - 60 (violence) - 5 - 5 (fair quality)
+    expect(analysis.contentScore).toBe(10);
+    expect(analysis.violations.map(violation => [violation.type, violation.severity])).toEqual([
+      ['inappropriate_audio', 'medium'],
+      ['violence', 'critical']
+    ]);
+
+    const row = db.analyses.get(analysis.id);
+    expect(row).toMatchObject({
+      stream_id: STREAM_ID,
+      recording_id: RECORDING_ID,
+      source: 'recording',
+      status: 'completed',
+      content_score: 10,
+      video_quality: 'fair',
+      audio_quality: 'fair',
+      requested_by: 50
+    });
+    expect(JSON.parse(row.results).audio.metrics.loudness.integratedLufs).toBe(-19.6);
+
+    // Critical violations suspend the stream
+    expect(db.streamUpdates).toEqual([{
+      sql: 'UPDATE live_streams SET status = ?, suspension_reason = ? WHERE id = ?',
+      params: ['suspended', 'violence', STREAM_ID]
+    }]);
+  });
+
+  it('should sample the live output of a live stream', async () => {
+    await manager.analyzeStreamContent(STREAM_ID, 'video');
+    expect(sampled).toBe(path.join(tmpDir, 'interview.mp4'));
+
+    db = createFakeDb({
+      stream: { id: STREAM_ID, status: 'live', stream_key: 'live_key', title: 'Live', description: '' },
+      recording: { id: RECORDING_ID, status: 'processing' }
+    });
+    manager.db = db;
+    const analysis = await manager.analyzeStreamContent(STREAM_ID, 'audio');
+
+    expect(sampled).toBe('http://localhost:8080/live/live_key/master.m3u8');
+    expect(analysis).toMatchObject({ source: 'live', recordingId: null });
+    expect(analysis.results.video).toBeNull();
+  });
+
+  it('should refuse media analysis with nothing to sample and record failures', async () => {
+    db = createFakeDb({
+      stream: { id: STREAM_ID, status: 'ended', stream_key: 'live_key', title: 'Old', description: '' },
+      recording: { id: RECORDING_ID, status: 'failed' }
+    });
+    manager.db = db;
+
+    await expect(manager.analyzeStreamContent(STREAM_ID, 'video')).rejects.toMatchObject({ statusCode: 409 });
+    expect(db.analyses.size).toBe(0);
+
+    // Text still works without media
+    const text = await manager.analyzeStreamContent(STREAM_ID, 'full');
+    expect(text.results).toMatchObject({ audio: null, video: null });
+    expect(text.source).toBeNull();
+
+    manager.db = createFakeDb({
+      stream: { id: STREAM_ID, status: 'live', stream_key: 'live_key', title: 'Live', description: '' },
+      recording: { id: RECORDING_ID, status: 'processing' }
+    });
+    manager.analyzer.runMetricsPass = async () => {
+      throw new Error('ffmpeg exited with code 1: Connection refused');
+    };
+    await expect(manager.analyzeStreamContent(STREAM_ID, 'video')).rejects.toThrow('Connection refused');
+    expect([...manager.db.analyses.values()][0]).toMatchObject({
+      status: 'failed',
+      error_message: 'ffmpeg exited with code 1: Connection refused'
+    });
+  });
+});
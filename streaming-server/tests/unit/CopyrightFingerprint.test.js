@@ -0,0 +1,386 @@
+/**
+ * Unit Tests for copyright fingerprinting
+ *
+ * Uses synthesized audio and an in-memory database, with ffmpeg decoding
+ * replaced by PCM streams:
+ * - Fingerprints matching an excerpt at its offset, and not other audio
+ * - Joining window matches of a long recording
+ * - Reference tracks indexed and recordings and live streams matched as
+ *   pending evidence
+ * - A confirmed match filing a DMCA notice with strikes, a dismissed one
+ *   staying out of the strike count
+ * - Analysis matches never flagging or suspending a stream by themselves
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const { Readable } = require('stream');
+const CopyrightMatcher = require('../../src/copyright/CopyrightMatcher');
+const ComplianceManager = require('../../src/ComplianceManager');
+const ContentManager = require('../../src/ContentManager');
+const { SAMPLE_RATE, fingerprintSamples, matchHashes, mergeMatches } = require('../../src/copyright/fingerprint');
+
+const STREAM_ID = 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+const RECORDING_ID = 'b2c3d4e5-f6a7-4b8c-9d0e-1f2a3b4c5d6e';
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Notes of a sine pair every quarter second, from a seeded generator
+ */
+function melody(seed, seconds) {
+  let state = seed;
+  const random = () => (state = (state * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const samples = new Float32Array(seconds * SAMPLE_RATE);
+  const noteLength = SAMPLE_RATE / 4;
+  let low = 0;
+  let high = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    if (i % noteLength === 0) {
+      low = 100 + random() * 900;
+      high = 1000 + random() * 2500;
+    }
+    samples[i] = 0.4 * Math.sin((2 * Math.PI * low * i) / SAMPLE_RATE) + 0.2 * Math.sin((2 * Math.PI * high * i) / SAMPLE_RATE);
+  }
+  return samples;
+}
+
+/**
+ * A quieter copy of part of the samples with noise mixed in
+ */
+function excerpt(samples, start, seconds) {
+  let state = 7;
+  const noise = () => (state = (state * 1103515245 + 12345) % 2147483648) / 2147483648 - 0.5;
+  const from = Math.round(start * SAMPLE_RATE);
+  return samples.slice(from, from + seconds * SAMPLE_RATE).map(value => value * 0.5 + noise() * 0.1);
+}
+
+function concat(...parts) {
+  const samples = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    samples.set(part, offset);
+    offset += part.length;
+  }
+  return samples;
+}
+
+/**
+ * 16-bit PCM in chunks of an odd size, like a pipe might deliver it
+ */
+function pcmStream(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((value, i) => buffer.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value * 32768))), i * 2));
+
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += 16001) {
+    chunks.push(buffer.subarray(i, i + 16001));
+  }
+  return Readable.from(chunks);
+}
+
+function createFakeDb() {
+  const state = {
+    tracks: new Map(),
+    fingerprints: [],
+    matches: new Map(),
+    dmca: [],
+    strikes: [],
+    queries: [],
+    users: new Map([[30, { id: 30, username: 'Label Records', email: 'rights@label.example' }]]),
+    streams: new Map([[STREAM_ID, { id: STREAM_ID, title: 'Friday show', user_id: 7, stream_key: 'live_key', status: 'live' }]])
+  };
+
+  const matchRow = match => {
+    const track = state.tracks.get(match.track_id);
+    const stream = state.streams.get(match.stream_id);
+    return { ...match, title: track.title, artist: track.artist, rights_holder_id: track.rights_holder_id, stream_title: stream.title, user_id: stream.user_id };
+  };
+
+  return {
+    state,
+    async execute(query, params = []) {
+      const sql = query.replace(/\s+/g, ' ').trim();
+      state.queries.push(sql);
+
+      if (sql.startsWith('SELECT COUNT(*) AS count FROM copyright_reference_tracks')) {
+        return [[{ count: [...state.tracks.values()].filter(track => track.status === 'active').length }]];
+      }
+      if (sql.startsWith('INSERT INTO copyright_reference_tracks')) {
+        const [id, holder, title, artist, isrc, createdAt] = params;
+        state.tracks.set(id, { id, rights_holder_id: holder, title, artist, isrc, status: 'indexing', hash_count: 0, duration_seconds: null, created_at: createdAt });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('INSERT INTO copyright_fingerprints')) {
+        for (let i = 0; i < params.length; i += 3) {
+          state.fingerprints.push({ track_id: params[i], hash: params[i + 1], track_offset: params[i + 2] });
+        }
+        return [{ affectedRows: params.length / 3 }];
+      }
+      if (sql.startsWith("UPDATE copyright_reference_tracks SET status = 'active'")) {
+        Object.assign(state.tracks.get(params[2]), { status: 'active', duration_seconds: params[0], hash_count: params[1] });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith("UPDATE copyright_reference_tracks SET status = 'failed'")) {
+        Object.assign(state.tracks.get(params[1]), { status: 'failed', error_message: params[0] });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT t.*,')) {
+        const track = state.tracks.get(params[0]);
+        return [track ? [{ ...track, pending_matches: 0 }] : []];
+      }
+      if (sql.startsWith('SELECT f.track_id, f.hash, f.track_offset')) {
+        const hashes = new Set(params);
+        return [state.fingerprints.filter(row => hashes.has(row.hash) && state.tracks.get(row.track_id).status === 'active')];
+      }
+      if (sql.startsWith('SELECT id, title, artist FROM copyright_reference_tracks')) {
+        return [params.map(id => state.tracks.get(id)).filter(Boolean)];
+      }
+      if (sql.startsWith('SELECT id, status, segments, confidence, matched_hashes FROM copyright_matches')) {
+        const [streamId, trackId, recordingId = null] = params;
+        return [[...state.matches.values()].filter(match =>
+          match.stream_id === streamId && match.track_id === trackId && match.recording_id === recordingId)];
+      }
+      if (sql.startsWith('INSERT INTO copyright_matches')) {
+        const [id, trackId, streamId, recordingId, source, confidence, matchedHashes, segments, first, last] = params;
+        state.matches.set(id, {
+          id, track_id: trackId, stream_id: streamId, recording_id: recordingId, source, confidence,
+          matched_hashes: matchedHashes, segments, detections: 1, status: 'pending',
+          first_detected_at: first, last_detected_at: last
+        });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE copyright_matches SET segments')) {
+        const match = state.matches.get(params[4]);
+        Object.assign(match, { segments: params[0], confidence: params[1], matched_hashes: params[2], detections: match.detections + 1, last_detected_at: params[3] });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT m.*, t.title')) {
+        const match = state.matches.get(params[0]);
+        return [match ? [matchRow(match)] : []];
+      }
+      if (sql.startsWith('UPDATE copyright_matches SET status')) {
+        const [status, reviewedBy, note, dmcaRequestId, id] = params;
+        Object.assign(state.matches.get(id), { status, reviewed_by: reviewedBy, review_note: note, dmca_request_id: dmcaRequestId });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT id, username, email FROM users')) {
+        return [state.users.has(params[0]) ? [state.users.get(params[0])] : []];
+      }
+      if (sql.startsWith("SELECT id, stream_key FROM live_streams WHERE status = 'live'")) {
+        return [[...state.streams.values()].filter(stream => stream.status === 'live')];
+      }
+      if (sql.startsWith('INSERT INTO dmca_requests')) {
+        state.dmca.push({ id: params[0], copyrighted_work: params[3], infringing_content: params[4], stream_id: params[5], user_id: params[6], evidence: JSON.parse(params[7]) });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE live_streams SET status')) {
+        Object.assign(state.streams.get(params[2]), { status: params[0], suspension_reason: params[1] });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('INSERT INTO copyright_strikes')) {
+        state.strikes.push({ id: params[0], user_id: params[1], dmca_request_id: params[2], match_id: params[3] });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT COUNT(*) as count FROM copyright_strikes')) {
+        return [[{ count: state.strikes.filter(strike => strike.user_id === params[0]).length }]];
+      }
+      if (sql.startsWith('UPDATE users SET status')) {
+        state.users.set(params[2], { ...(state.users.get(params[2]) || { id: params[2] }), status: params[0], suspension_reason: params[1] });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('INSERT INTO compliance_logs')) {
+        return [{ affectedRows: 1 }];
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+describe('Acoustic fingerprints', () => {
+  const track = melody(1, 60);
+  const other = melody(2, 60);
+  const index = [
+    ...fingerprintSamples(track).map(hash => ({ ...hash, trackId: 'track' })),
+    ...fingerprintSamples(other).map(hash => ({ ...hash, trackId: 'other' }))
+  ];
+  const options = { threshold: 0.1, minMatches: 20 };
+
+  it('should find an excerpt of a track at its offset, despite noise and volume', () => {
+    // Not on a frame boundary of the reference
+    const matches = matchHashes(fingerprintSamples(excerpt(track, 20.03, 15)), index, options);
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].trackId).toBe('track');
+    expect(matches[0].confidence).toBeGreaterThan(0.5);
+    expect(matches[0].start).toBeCloseTo(0, 0);
+    expect(matches[0].end).toBeCloseTo(15, 0);
+    expect(matches[0].trackStart).toBeCloseTo(20, 0);
+    expect(matches[0].trackEnd).toBeCloseTo(35, 0);
+  });
+
+  it('should not match unrelated audio or silence', () => {
+    expect(matchHashes(fingerprintSamples(melody(3, 15)), index, options)).toEqual([]);
+    expect(fingerprintSamples(new Float32Array(5 * SAMPLE_RATE))).toEqual([]);
+  });
+
+  it('should join window matches that carry on through the track', () => {
+    const merged = mergeMatches([
+      { trackId: 'track', confidence: 0.4, matchedHashes: 300, start: 30, end: 60, trackStart: 0, trackEnd: 30 },
+      { trackId: 'track', confidence: 0.6, matchedHashes: 500, start: 0, end: 29.9, trackStart: 50, trackEnd: 79.9 },
+      { trackId: 'track', confidence: 0.5, matchedHashes: 400, start: 60, end: 75, trackStart: 30, trackEnd: 45 }
+    ]);
+
+    // Played from 0:50, then again from the start at 0:30
+    expect(merged).toEqual([
+      { trackId: 'track', confidence: 0.6, matchedHashes: 500, start: 0, end: 29.9, trackStart: 50, trackEnd: 79.9 },
+      { trackId: 'track', confidence: 0.5, matchedHashes: 700, start: 30, end: 75, trackStart: 0, trackEnd: 45 }
+    ]);
+  });
+});
+
+describe('CopyrightMatcher', () => {
+  let db;
+  let matcher;
+  let audio;
+  let trackId;
+
+  beforeEach(async () => {
+    db = createFakeDb();
+    matcher = new CopyrightMatcher(db, logger, { liveScanInterval: 0 });
+    audio = new Map([['/uploads/reference.wav', melody(1, 40)]]);
+    matcher.openAudio = input => pcmStream(audio.get(input));
+
+    const registered = await matcher.registerTrack({ title: 'Summer Anthem', artist: 'The Examples' }, '/uploads/reference.wav', 30);
+    trackId = registered.id;
+  });
+
+  it('should index a reference track without keeping its audio', async () => {
+    const track = await matcher.getTrack(trackId);
+
+    expect(track).toMatchObject({ title: 'Summer Anthem', rightsHolderId: 30, status: 'active' });
+    expect(track.durationSeconds).toBeCloseTo(40, 0);
+    expect(track.hashCount).toBe(db.state.fingerprints.length);
+    expect(track.hashCount).toBeGreaterThan(1000);
+
+    audio.set('/uploads/silence.wav', new Float32Array(10 * SAMPLE_RATE));
+    await expect(matcher.registerTrack({ title: 'Silence' }, '/uploads/silence.wav', 30)).rejects.toMatchObject({ statusCode: 422 });
+    expect([...db.state.tracks.values()].find(row => row.title === 'Silence').status).toBe('failed');
+  });
+
+  it('should store matches in a recording as pending evidence with timestamps', async () => {
+    // 10 s of other music, then the track from 0:20
+    audio.set('/recordings/raw/show.mp4', concat(melody(3, 10), excerpt(melody(1, 40), 20.03, 15)));
+
+    const matches = await matcher.scan('/recordings/raw/show.mp4', { streamId: STREAM_ID, recordingId: RECORDING_ID, source: 'recording' });
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0]).toMatchObject({ trackId, title: 'Summer Anthem', artist: 'The Examples' });
+    expect(matches[0].start).toBeCloseTo(10, 0);
+    expect(matches[0].trackStart).toBeCloseTo(20, 0);
+
+    const stored = await matcher.getMatch(matches[0].matchId);
+    expect(stored).toMatchObject({ status: 'pending', source: 'recording', recordingId: RECORDING_ID, ownerId: 7, rightsHolderId: 30, detections: 1 });
+    expect(stored.segments).toHaveLength(1);
+
+    // Scanning the recording again replaces its segments
+    await matcher.scan('/recordings/raw/show.mp4', { streamId: STREAM_ID, recordingId: RECORDING_ID, source: 'recording' });
+    expect(db.state.matches.size).toBe(1);
+    expect(await matcher.getMatch(matches[0].matchId)).toMatchObject({ detections: 2, segments: [expect.any(Object)] });
+
+    // Nothing was taken down
+    expect(db.state.streams.get(STREAM_ID).status).toBe('live');
+    expect(db.state.dmca).toEqual([]);
+  });
+
+  it('should sample each live stream on one replica and gather its detections', async () => {
+    const live = excerpt(melody(1, 40), 5, 12);
+    matcher.openAudio = (input, window) => {
+      expect(input).toBe('http://localhost:8080/live/live_key/master.m3u8');
+      expect(window).toMatchObject({ live: true, duration: 20 });
+      return pcmStream(live);
+    };
+
+    const counters = new Map();
+    matcher.cluster = {
+      incrementWindow: async key => {
+        counters.set(key, (counters.get(key) || 0) + 1);
+        return counters.get(key);
+      }
+    };
+
+    expect(await matcher.scanLiveStreams()).toBe(1);
+    // Another replica in the same interval
+    expect(await matcher.scanLiveStreams()).toBe(0);
+    counters.clear();
+    expect(await matcher.scanLiveStreams()).toBe(1);
+
+    const [match] = db.state.matches.values();
+    expect(db.state.matches.size).toBe(1);
+    expect(match).toMatchObject({ source: 'live', recording_id: null, detections: 2 });
+    expect(JSON.parse(match.segments)).toHaveLength(2);
+  });
+
+  it('should file a DMCA notice with the evidence when the rights holder confirms a match', async () => {
+    matcher.compliance = new ComplianceManager(db, null, logger);
+    audio.set('/recordings/raw/show.mp4', excerpt(melody(1, 40), 20.03, 15));
+    db.state.strikes.push({ user_id: 7 }, { user_id: 7 });
+
+    const [{ matchId }] = await matcher.scan('/recordings/raw/show.mp4', { streamId: STREAM_ID, recordingId: RECORDING_ID });
+    const reviewed = await matcher.reviewMatch(matchId, 'confirm', 30, 'Not licensed');
+
+    expect(reviewed).toMatchObject({ status: 'confirmed', dmcaRequestId: db.state.dmca[0].id });
+    expect(db.state.dmca[0]).toMatchObject({
+      copyrighted_work: '"Summer Anthem" by The Examples',
+      stream_id: STREAM_ID,
+      user_id: 7,
+      evidence: { type: 'fingerprint_match', matchId, trackId, recordingId: RECORDING_ID, confirmedBy: 30, note: 'Not licensed' }
+    });
+    expect(db.state.dmca[0].infringing_content).toMatch(/^Audio fingerprint match in recording .* at 0:00-0:1\d \(track 0:2\d-0:3\d\)/);
+
+    // The usual policy: content down, a strike, and the third one suspends the account
+    expect(db.state.streams.get(STREAM_ID)).toMatchObject({ status: 'suspended', suspension_reason: 'dmca_takedown' });
+    expect(db.state.strikes[2]).toMatchObject({ user_id: 7, dmca_request_id: db.state.dmca[0].id, match_id: matchId });
+    expect(db.state.users.get(7)).toMatchObject({ status: 'suspended', suspension_reason: 'repeat_copyright_infringer' });
+
+    await expect(matcher.reviewMatch(matchId, 'dismiss', 30)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should leave dismissed matches out of strikes and later detections', async () => {
+    matcher.compliance = new ComplianceManager(db, null, logger);
+    audio.set('/recordings/raw/show.mp4', excerpt(melody(1, 40), 20.03, 15));
+
+    const [{ matchId }] = await matcher.scan('/recordings/raw/show.mp4', { streamId: STREAM_ID, recordingId: RECORDING_ID });
+    await matcher.reviewMatch(matchId, 'dismiss', 30, 'Licensed for this show');
+    await matcher.scan('/recordings/raw/show.mp4', { streamId: STREAM_ID, recordingId: RECORDING_ID });
+
+    expect(db.state.matches.get(matchId)).toMatchObject({ status: 'dismissed', detections: 1, dmca_request_id: null });
+    expect(db.state.dmca).toEqual([]);
+    expect(db.state.strikes).toEqual([]);
+  });
+});
+
+describe('Fingerprint analysis plugin', () => {
+  it('should report matches as low-severity evidence that takes no action', async () => {
+    const db = createFakeDb();
+    const manager = new ContentManager(db, null, logger);
+    manager.transcription = { isAvailable: () => false };
+    manager.copyright.scan = async (input, context) => {
+      expect(context).toEqual({ streamId: STREAM_ID, recordingId: null, source: 'live', live: true });
+      return [{ trackId: 'track-1', matchId: 'match-1', confidence: 0.42, start: 3.2 }];
+    };
+
+    const context = { live: true, subject: { streamId: STREAM_ID, recordingId: null, source: 'live' }, audio: async () => '/tmp/sample.wav' };
+    const { detections, violations } = await manager.analyzer.runPlugins('audio', context);
+    const audio = manager.analyzeAudioContent({ quality: 'good', metrics: {}, issues: [], detections, violations });
+
+    expect(audio.copyrightMusic).toBe(true);
+    expect(violations).toEqual([
+      { type: 'copyright_music', severity: 'low', confidence: 0.42, time: 3.2, trackId: 'track-1', matchId: 'match-1', plugin: 'fingerprint' }
+    ]);
+
+    await manager.handleContentViolations(STREAM_ID, manager.detectViolations({ audio }));
+    expect(db.state.queries).toEqual([]);
+  });
+});
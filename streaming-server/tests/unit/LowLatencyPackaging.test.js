@@ -0,0 +1,193 @@
+/**
+ * Unit Tests for low latency packaging
+ *
+ * Covers:
+ * - LL-HLS parts and preload hints from growing CMAF segments
+ * - Blocking playlist reloads (_HLS_msn/_HLS_part)
+ * - The CMAF/DASH transcode options for low latency mode
+ * - Playback URLs returned by StreamManager.createStream
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LowLatencyHlsPackager = require('../../src/packaging/LowLatencyHlsPackager');
+const QualityManager = require('../../src/QualityManager');
+const StreamManager = require('../../src/StreamManager');
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const TIMESCALE = 90000;
+const NON_SYNC_SAMPLE = 0x10000;
+
+function box(type, ...payloads) {
+  const content = Buffer.concat(payloads);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(content.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, content]);
+}
+
+function uint32(...values) {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, index) => buffer.writeUInt32BE(value, index * 4));
+  return buffer;
+}
+
+// moov/trak/mdia/mdhd (version 0) carrying the timescale
+function initSegment() {
+  const mdhd = box('mdhd', uint32(0, 0, 0, TIMESCALE, 0, 0));
+  return Buffer.concat([
+    box('ftyp', Buffer.from('iso6')),
+    box('moov', box('trak', box('mdia', mdhd)))
+  ]);
+}
+
+// One moof/mdat pair: a single sample of `seconds`, sync or not
+function fragment(seconds, sync) {
+  const tfhd = box('tfhd', uint32(0, 1));
+  // flags: first-sample-flags + sample-duration
+  const trun = box('trun', uint32(0x104, 1, sync ? 0 : NON_SYNC_SAMPLE, seconds * TIMESCALE));
+  return Buffer.concat([
+    box('moof', box('traf', tfhd, trun)),
+    box('mdat', Buffer.alloc(100, 1))
+  ]);
+}
+
+const styp = box('styp', Buffer.from('msdh'));
+
+describe('Low latency packaging', () => {
+  let outputDir;
+  let packager;
+
+  const chunk = number => path.join(outputDir, LowLatencyHlsPackager.segmentName(0, number));
+  const append = (number, ...buffers) => fs.appendFile(chunk(number), Buffer.concat(buffers));
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cmaf-'));
+    await fs.writeFile(path.join(outputDir, 'init-0.m4s'), initSegment());
+
+    packager = new LowLatencyHlsPackager(outputDir, [
+      { id: 0, name: '240p', type: 'video', bandwidth: 400000, resolution: '426x240', fps: 30 },
+      { id: 1, name: 'audio', type: 'audio', bandwidth: 128000 }
+    ], logger);
+  });
+
+  afterEach(async () => {
+    packager.stop();
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  it('should publish each complete CMAF chunk as a part with a preload hint', async () => {
+    const first = fragment(0.5, true);
+    const second = fragment(0.5, false);
+    await append(1, styp, first, second);
+
+    // A fragment still being written is not a part yet
+    const third = fragment(0.5, false);
+    await append(1, third.subarray(0, 40));
+    await packager.scan();
+
+    let playlist = packager.getMediaPlaylist('240p');
+    expect(playlist).toContain('#EXT-X-VERSION:9');
+    expect(playlist).toContain('#EXT-X-PART-INF:PART-TARGET=0.5');
+    expect(playlist).toContain('#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=1.5,HOLD-BACK=6');
+    expect(playlist).toContain('#EXT-X-MAP:URI="init-0.m4s"');
+    expect(playlist).toContain(`#EXT-X-PART:DURATION=0.5,URI="chunk-0-00001.m4s",BYTERANGE="${first.length}@${styp.length}",INDEPENDENT=YES`);
+    expect(playlist).toContain(`#EXT-X-PART:DURATION=0.5,URI="chunk-0-00001.m4s",BYTERANGE="${second.length}@${styp.length + first.length}"\n`);
+    expect(playlist).toContain(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="chunk-0-00001.m4s",BYTERANGE-START=${styp.length + first.length + second.length}`);
+
+    await append(1, third.subarray(40));
+    await packager.scan();
+
+    playlist = packager.getMediaPlaylist('240p');
+    expect(playlist.match(/#EXT-X-PART:/g)).toHaveLength(3);
+  });
+
+  it('should close a segment once ffmpeg starts the next one', async () => {
+    await append(1, styp, fragment(0.5, true), fragment(0.5, false), fragment(0.5, false), fragment(0.5, false));
+    await append(2, styp, fragment(0.5, true));
+    await packager.scan();
+
+    const playlist = packager.getMediaPlaylist('240p');
+    expect(playlist).toContain('#EXT-X-MEDIA-SEQUENCE:1');
+    expect(playlist).toContain('#EXTINF:2,\nchunk-0-00001.m4s');
+    expect(playlist).toContain('URI="chunk-0-00002.m4s",BYTERANGE-START=');
+    expect(playlist.match(/#EXT-X-PART:/g)).toHaveLength(5);
+  });
+
+  it('should block playlist reloads until the requested part exists', async () => {
+    await append(1, styp, fragment(0.5, true));
+    await packager.scan();
+
+    await expect(packager.waitFor('240p', 1, 0)).resolves.toBe(true);
+
+    const waiting = packager.waitFor('240p', 1, 1);
+    await append(1, fragment(0.5, false));
+    await packager.scan();
+    await expect(waiting).resolves.toBe(true);
+
+    // A preload hint request is held until its part is written
+    const { size } = await fs.stat(chunk(1));
+    const hinted = packager.waitForRange('chunk-0-00001.m4s', size);
+    await append(1, fragment(0.5, false));
+    await packager.scan();
+    await expect(hinted).resolves.toBe(true);
+
+    await expect(packager.waitFor('240p', 2, 0, 20)).resolves.toBe(false);
+    await expect(packager.waitFor('240p', 9)).rejects.toMatchObject({ statusCode: 400 });
+    expect(() => packager.getMediaPlaylist('4k')).toThrow('Rendition not found');
+  });
+
+  it('should group audio in the multivariant playlist', () => {
+    const master = packager.getMasterPlaylist();
+
+    expect(master).toContain('#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="audio",DEFAULT=YES,AUTOSELECT=YES,URI="audio.m3u8"');
+    expect(master).toContain('#EXT-X-STREAM-INF:BANDWIDTH=528000,RESOLUTION=426x240,FRAME-RATE=30,AUDIO="audio"\n240p.m3u8');
+  });
+
+  it('should write chunked CMAF with a DASH manifest in low latency mode', () => {
+    const qualityManager = new QualityManager(logger, {});
+    const source = { width: 1280, height: 720, fps: 30, hasAudio: true };
+    const ladder = qualityManager.buildLadder(source, { qualities: ['360p', '720p'] });
+    const { outputOptions, output } = qualityManager.buildTranscodeOptions(ladder, source, '/tmp/live/key-1', 'low');
+    const option = name => outputOptions[outputOptions.indexOf(name) + 1];
+
+    expect(output).toBe(path.join('/tmp/live/key-1', 'manifest.mpd'));
+    expect(option('-f')).toBe('dash');
+    expect(option('-frag_duration')).toBe('0.5');
+    expect(option('-ldash')).toBe('1');
+    expect(option('-format_options')).toBe('movflags=cmaf');
+    expect(option('-adaptation_sets')).toBe('id=0,streams=v id=1,streams=a');
+    expect(option('-media_seg_name')).toBe('chunk-$RepresentationID$-$Number%05d$.m4s');
+    expect(option('-force_key_frames')).toBe('expr:gte(t,n_forced*2)');
+    expect(outputOptions.filter(value => value === '0:a:0')).toHaveLength(1);
+    expect(outputOptions).not.toContain('-var_stream_map');
+
+    const renditions = [...qualityManager.createPackager(ladder, source, '/tmp/live/key-1').renditions.values()];
+    expect(renditions.map(rendition => `${rendition.id}:${rendition.name}`)).toEqual(['0:360p', '1:720p', '2:audio']);
+  });
+
+  it('should return playback URLs for the stream latency mode', async () => {
+    const executed = [];
+    const db = { execute: async (sql, values) => executed.push(values) };
+    const redis = { setEx: async () => {} };
+    const streamManager = new StreamManager(db, redis, logger);
+
+    const low = await streamManager.createStream(7, { title: 'Live Q&A', latency_mode: 'low' });
+    expect(low).toMatchObject({
+      latencyMode: 'low',
+      hlsUrl: `http://localhost:8081/playback/${low.streamKey}/master.m3u8`,
+      dashUrl: `http://localhost:8081/playback/${low.streamKey}/manifest.mpd`
+    });
+    expect(executed[0]).toContain('low');
+
+    const standard = await streamManager.createStream(7, { title: 'Panel' });
+    expect(standard).toMatchObject({
+      latencyMode: 'standard',
+      hlsUrl: `http://localhost:8080/live/${standard.streamKey}/master.m3u8`,
+      dashUrl: null
+    });
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * Unit Tests for MonetizationManager payments
+ *
+ * Runs the manager against the in-process FakeGateway and a small
+ * in-memory stand-in for the MySQL tables it touches to cover:
+ * - Declined cards
+ * - 3-D Secure confirmation
+ * - Idempotent retries
+ * - Refunds and payouts
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const MonetizationManager = require('../../src/MonetizationManager');
+const { FakeGateway } = require('../../src/payments');
+
+/**
+ * Just enough of the monetization schema to follow money through the manager
+ */
+function createFakeDb() {
+  const tables = {
+    payment_transactions: [],
+    ppv_purchases: [],
+    donations: [],
+    virtual_gifts: [],
+    subscriptions: [],
+    creator_payouts: [],
+    revenue_logs: []
+  };
+  const balances = new Map();
+  const events = new Map();
+  const payoutAccounts = new Map();
+
+  const balance = (creatorId) => {
+    if (!balances.has(creatorId)) {
+      balances.set(creatorId, { balance: 0, total_earned: 0, total_withdrawn: 0 });
+    }
+    return balances.get(creatorId);
+  };
+
+  const columns = (query) => query.match(/INSERT INTO \w+ \(([^)]+)\)/)[1].split(',').map(c => c.trim());
+
+  const execute = async (query, params) => {
+    const sql = query.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('INSERT INTO creator_balances')) {
+      const entry = balance(params[0]);
+      entry.balance += params[1];
+      entry.total_earned += params[2];
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('UPDATE creator_balances SET balance = balance - ?')) {
+      const entry = balance(params[1]);
+      if (entry.balance < params[2]) {
+        return [{ affectedRows: 0 }];
+      }
+      entry.balance -= params[0];
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('UPDATE creator_balances SET balance = balance + ?')) {
+      balance(params[1]).balance += params[0];
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('UPDATE creator_balances SET total_withdrawn')) {
+      balance(params[1]).total_withdrawn += params[0];
+      return [{ affectedRows: 1 }];
+    }
+
+    const insert = sql.match(/^INSERT INTO (\w+)/);
+    if (insert) {
+      const row = {};
+      columns(sql).forEach((column, i) => { row[column] = params[i]; });
+      if (insert[1] === 'payment_transactions') {
+        row.refunded_amount = 0;
+        if (tables.payment_transactions.some(t => t.idempotency_key === row.idempotency_key)) {
+          throw new Error('Duplicate entry for key unique_idempotency_key');
+        }
+      }
+      if (insert[1] === 'ppv_purchases') {
+        const index = tables.ppv_purchases.findIndex(p => p.user_id === row.user_id && p.event_id === row.event_id);
+        if (index !== -1) {
+          tables.ppv_purchases[index] = row;
+          return [{ affectedRows: 2 }];
+        }
+      }
+      tables[insert[1]].push(row);
+      return [{ affectedRows: 1 }];
+    }
+
+    if (sql.startsWith('SELECT * FROM payment_transactions WHERE idempotency_key')) {
+      return [tables.payment_transactions.filter(t => t.idempotency_key === params[0] && t.user_id === params[1])];
+    }
+    if (sql.startsWith('SELECT stripe_account_id FROM creator_payout_settings')) {
+      return [payoutAccounts.has(params[0]) ? [{ stripe_account_id: payoutAccounts.get(params[0]) }] : []];
+    }
+        if (sql.startsWith("SELECT * FROM creator_payouts WHERE status = 'pending'")) {
+      return [tables.creator_payouts.filter(p => p.status === 'pending')];
+    }
+    if (sql.startsWith('SELECT * FROM payment_transactions WHERE gateway_payment_id')) {
+      return [tables.payment_transactions.filter(t => t.gateway_payment_id === params[0] && !['payout', 'refund'].includes(t.type))];
+    }
+    if (sql.startsWith('UPDATE payment_transactions SET status = ?, failure_code')) {
+      const row = tables.payment_transactions.find(t => t.id === params[4]);
+      if (!row || !['pending', 'requires_action', 'processing'].includes(row.status)) {
+        return [{ affectedRows: 0 }];
+      }
+      row.status = params[0];
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('UPDATE payment_transactions SET refunded_amount')) {
+      const row = tables.payment_transactions.find(t => t.id === params[2]);
+      row.refunded_amount += params[0];
+      row.status = params[1];
+      return [{ affectedRows: 1 }];
+    }
+
+    if (sql.startsWith('SELECT * FROM ppv_events')) {
+      return [events.has(params[0]) ? [events.get(params[0])] : []];
+    }
+    if (sql.startsWith('SELECT * FROM ppv_purchases')) {
+      return [tables.ppv_purchases.filter(p => p.user_id === params[0] && p.event_id === params[1] && p.status === 'completed')];
+    }
+
+    const update = sql.match(/^UPDATE (ppv_purchases|donations|subscriptions|creator_payouts) SET status = \?/);
+    if (update) {
+      const row = tables[update[1]].find(r => r.id === params[params.length - 1] &&
+        (!sql.includes("AND status IN ('processing', 'pending')") || ['processing', 'pending'].includes(r.status)));
+      if (row) {
+        row.status = params[0];
+      }
+      return [{ affectedRows: row ? 1 : 0 }];
+    }
+
+    // users, ppv_events totals and other bookkeeping
+    return [{ affectedRows: 1 }];
+  };
+
+  return { execute, tables, balances, events, balance, payoutAccounts };
+}
+
+describe('MonetizationManager payments', () => {
+  let db;
+  let gateway;
+  let manager;
+
+  const mockLogger = {
+    info: () => {},
+    error: () => {},
+    warn: () => {},
+    debug: () => {}
+  };
+
+  beforeEach(() => {
+    db = createFakeDb();
+    gateway = new FakeGateway({}, mockLogger);
+    manager = new MonetizationManager(db, null, mockLogger, gateway);
+
+    db.events.set('event-1', {
+      id: 'event-1',
+      creator_id: 7,
+      title: 'Live Q&A',
+      price: 10,
+      currency: 'USD',
+      status: 'scheduled'
+    });
+  });
+
+  it('should grant PPV access and credit the creator when the payment succeeds', async () => {
+    const result = await manager.purchasePPVAccess(1, 'event-1', 'pm_card_visa');
+
+    expect(result.success).toBe(true);
+    expect(await manager.checkPPVAccess(1, 'event-1')).not.toBeNull();
+    expect(db.balance(7).balance).toBeCloseTo(7.5);
+    expect(db.tables.revenue_logs).toHaveLength(1);
+  });
+
+  it('should never grant access or credit balances for declined cards', async () => {
+    await expect(manager.purchasePPVAccess(1, 'event-1', 'pm_card_chargeDeclinedInsufficientFunds'))
+      .rejects.toMatchObject({ code: 'card_declined', declineCode: 'insufficient_funds', statusCode: 402 });
+
+    await expect(manager.processDonation(1, 7, 25, 'USD', 'gg', null, 'pm_card_chargeDeclined'))
+      .rejects.toMatchObject({ code: 'card_declined' });
+
+    expect(await manager.checkPPVAccess(1, 'event-1')).toBeNull();
+    expect(db.tables.ppv_purchases[0].status).toBe('failed');
+    expect(db.tables.donations[0].status).toBe('failed');
+    expect(db.balances.size).toBe(0);
+    expect(db.tables.revenue_logs).toHaveLength(0);
+  });
+
+  it('should hold PPV access until 3-D Secure is completed', async () => {
+    const pending = await manager.purchasePPVAccess(1, 'event-1', 'pm_card_authenticationRequired');
+
+    expect(pending).toMatchObject({ success: false, requiresAction: true, status: 'requires_action' });
+    expect(pending.clientSecret).toBeTruthy();
+    expect(await manager.checkPPVAccess(1, 'event-1')).toBeNull();
+    expect(db.balances.size).toBe(0);
+
+    gateway.completeAuthentication(pending.paymentId);
+    const confirmed = await manager.confirmPayment(pending.paymentId);
+
+    expect(confirmed).toMatchObject({ success: true, type: 'ppv' });
+    expect(await manager.checkPPVAccess(1, 'event-1')).not.toBeNull();
+    expect(db.balance(7).balance).toBeCloseTo(7.5);
+
+    // Confirming again must not credit the creator twice
+    await manager.confirmPayment(pending.paymentId);
+    expect(db.balance(7).balance).toBeCloseTo(7.5);
+  });
+
+  it('should not record a gift when 3-D Secure fails', async () => {
+    const pending = await manager.sendVirtualGift(1, 7, 'diamond', 'stream-1', '', 'pm_card_threeDSecure2Required');
+
+    gateway.failAuthentication(pending.paymentId);
+
+    await expect(manager.confirmPayment(pending.paymentId))
+      .rejects.toMatchObject({ code: 'payment_intent_authentication_failure' });
+    expect(db.tables.virtual_gifts).toHaveLength(0);
+    expect(db.balances.size).toBe(0);
+  });
+
+  it('should replay retried requests without charging twice', async () => {
+    const first = await manager.processDonation(1, 7, 20, 'USD', 'hi', null, 'pm_card_visa', { idempotencyKey: 'client-key-1' });
+    const retry = await manager.processDonation(1, 7, 20, 'USD', 'hi', null, 'pm_card_visa', { idempotencyKey: 'client-key-1' });
+
+    expect(retry).toMatchObject({ success: true, replayed: true, referenceId: first.donation.id, paymentId: first.paymentId });
+    expect(gateway.payments.size).toBe(1);
+    expect(db.tables.donations).toHaveLength(1);
+    expect(db.balance(7).balance).toBeCloseTo(17);
+  });
+
+  it('should not replay another user\'s payment for the same idempotency key', async () => {
+    const first = await manager.processDonation(1, 7, 20, 'USD', 'hi', null, 'pm_card_visa', { idempotencyKey: 'client-key-1' });
+    const other = await manager.processDonation(2, 7, 5, 'USD', 'hey', null, 'pm_card_visa', { idempotencyKey: 'client-key-1' });
+
+    expect(other.replayed).toBeUndefined();
+    expect(other.paymentId).not.toBe(first.paymentId);
+    expect(gateway.payments.size).toBe(2);
+    expect(db.tables.donations).toHaveLength(2);
+  });
+
+  it('should refund PPV purchases, revoke access and debit the creator', async () => {
+    const { paymentId } = await manager.purchasePPVAccess(1, 'event-1', 'pm_card_visa');
+
+    const partial = await manager.refundPayment(paymentId, { amount: 4 });
+    expect(partial.refund.fullyRefunded).toBe(false);
+    expect(await manager.checkPPVAccess(1, 'event-1')).not.toBeNull();
+
+    const rest = await manager.refundPayment(paymentId);
+    expect(rest.refund).toMatchObject({ amount: 6, fullyRefunded: true });
+    expect(await manager.checkPPVAccess(1, 'event-1')).toBeNull();
+    expect(db.balance(7).balance).toBeCloseTo(0);
+
+    await expect(manager.refundPayment(paymentId)).rejects.toThrow('Only completed payments can be refunded');
+  });
+
+  it('should release reserved funds when a payout fails', async () => {
+    db.balance(7).balance = 100;
+
+    await expect(manager.processCreatorPayout(7, 60))
+      .rejects.toMatchObject({ code: 'payout_account_required', statusCode: 400 });
+    expect(db.balance(7).balance).toBe(100);
+
+    db.payoutAccounts.set(7, 'bank_account_1');
+    await expect(manager.processCreatorPayout(7, 60))
+      .rejects.toMatchObject({ code: 'invalid_destination' });
+    expect(db.balance(7).balance).toBe(100);
+    expect(db.tables.creator_payouts[0].status).toBe('failed');
+
+    db.payoutAccounts.set(7, 'acct_creator7');
+    const { payout } = await manager.processCreatorPayout(7, 60);
+    expect(payout.transferId).toMatch(/^tr_fake_/);
+    expect(db.balance(7)).toMatchObject({ balance: 40, total_withdrawn: 60 });
+
+    await expect(manager.processCreatorPayout(7, 60)).rejects.toThrow('Insufficient balance for payout');
+  });
+
+  it('should keep funds reserved and retry under the same key when a payout outcome is unknown', async () => {
+    db.balance(7).balance = 100;
+    db.payoutAccounts.set(7, 'acct_creator7');
+    const createPayout = gateway.createPayout.bind(gateway);
+    const keys = [];
+    gateway.createPayout = async (params) => {
+      keys.push(params.idempotencyKey);
+      // The transfer went through but the response never arrived
+      await createPayout(params);
+      throw new Error('socket hang up');
+    };
+
+    const result = await manager.processCreatorPayout(7, 60);
+    expect(result).toMatchObject({ success: false, pending: true, payout: { status: 'pending' } });
+    expect(db.tables.creator_payouts[0].status).toBe('pending');
+    expect(db.balance(7)).toMatchObject({ balance: 40, total_withdrawn: 0 });
+
+    gateway.createPayout = async (params) => {
+      keys.push(params.idempotencyKey);
+      return createPayout(params);
+    };
+    await manager.reconcilePendingPayouts();
+    await manager.reconcilePendingPayouts();
+
+    expect(keys).toEqual([`payout:${result.payout.id}`, `payout:${result.payout.id}`]);
+    expect(gateway.payouts.size).toBe(1);
+    expect(db.tables.creator_payouts[0].status).toBe('completed');
+    expect(db.balance(7)).toMatchObject({ balance: 40, total_withdrawn: 60 });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for the QualityManager encoding ladder
+ *
+ * Covers:
+ * - Deriving renditions from the probed input without upscaling
+ * - Frame rate caps, portrait inputs and inputs smaller than every preset
+ * - Per-stream overrides of qualityPresets
+ * - One shared-decode transcode with keyframes aligned across renditions
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const QualityManager = require('../../src/QualityManager');
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function createFakeRedis() {
+  const values = new Map();
+
+  return {
+    values,
+    async get(key) {
+      return values.get(key) ?? null;
+    },
+    async set(key, value) {
+      values.set(key, value);
+    },
+    async setEx(key, ttl, value) {
+      values.set(key, value);
+    }
+  };
+}
+
+const source = (width, height, fps = 30, hasAudio = true) => ({ width, height, fps, hasAudio });
+const summarize = ladder => ladder.map(rendition => `${rendition.quality}:${rendition.resolution}@${rendition.fps}`);
+
+describe('QualityManager encoding ladder', () => {
+  let qualityManager;
+  let redis;
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    qualityManager = new QualityManager(logger, redis);
+  });
+
+  it('should never encode above the input resolution or frame rate', () => {
+    expect(summarize(qualityManager.buildLadder(source(854, 480, 25)))).toEqual([
+      '240p:428x240@15',
+      '360p:640x360@25',
+      '480p:854x480@25'
+    ]);
+
+    expect(summarize(qualityManager.buildLadder(source(1920, 1080, 60)))).toEqual([
+      '240p:426x240@15',
+      '360p:640x360@30',
+      '480p:854x480@30',
+      '720p:1280x720@30',
+      '1080p:1920x1080@30'
+    ]);
+  });
+
+  it('should follow the input aspect ratio for portrait and small inputs', () => {
+    expect(summarize(qualityManager.buildLadder(source(720, 1280)))).toEqual([
+      '240p:240x426@15',
+      '360p:360x640@30',
+      '480p:480x854@30',
+      '720p:720x1280@30'
+    ]);
+
+    // 4:3 input keeps its shape
+    expect(summarize(qualityManager.buildLadder(source(640, 480))).pop()).toBe('480p:640x480@30');
+
+    // Smaller than every preset: one rendition at the input size
+    expect(summarize(qualityManager.buildLadder(source(320, 180, 12)))).toEqual(['240p:320x180@12']);
+  });
+
+  it('should apply per-stream overrides of qualityPresets', async () => {
+    await qualityManager.setLadderOverrides('key-1', {
+      qualities: ['360p', '720p', '1080p'],
+      presets: { '720p': { videoBitrate: '3000k', fps: 60, codec: 'ignored' } }
+    });
+
+    const overrides = await qualityManager.getLadderOverrides('key-1');
+    expect(overrides.presets['720p']).toEqual({ videoBitrate: '3000k', fps: 60 });
+
+    const ladder = qualityManager.buildLadder(source(1920, 1080, 60), { ...overrides, maxQuality: '720p' });
+    expect(summarize(ladder)).toEqual(['360p:640x360@30', '720p:1280x720@60']);
+    expect(ladder[1].videoBitrate).toBe('3000k');
+
+    // The shared presets are untouched
+    expect(qualityManager.qualityPresets['720p'].videoBitrate).toBe('2500k');
+
+    await expect(qualityManager.setLadderOverrides('key-1', { qualities: ['4k'] }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Unknown quality preset: 4k' });
+  });
+
+  it('should decode once and align keyframes across renditions', () => {
+    const ladder = qualityManager.buildLadder(source(1280, 720, 30));
+    const { filters, outputOptions } = qualityManager.buildTranscodeOptions(ladder, source(1280, 720, 30), '/tmp/live/key-1');
+
+    expect(filters[0]).toBe('[0:v]split=4[v0][v1][v2][v3]');
+    expect(filters.slice(1)).toEqual([
+      '[v0]fps=15,scale=426:240[out0]',
+      '[v1]fps=30,scale=640:360[out1]',
+      '[v2]fps=30,scale=854:480[out2]',
+      '[v3]fps=30,scale=1280:720[out3]'
+    ]);
+
+    const option = name => outputOptions[outputOptions.indexOf(name) + 1];
+    expect(outputOptions.filter(value => value === '-force_key_frames')).toHaveLength(1);
+    expect(option('-force_key_frames')).toBe('expr:gte(t,n_forced*2)');
+    expect(option('-sc_threshold')).toBe('0');
+    expect([0, 1, 2, 3].map(index => option(`-g:v:${index}`))).toEqual(['30', '60', '60', '60']);
+    expect(option('-var_stream_map')).toBe('v:0,a:0,name:240p v:1,a:1,name:360p v:2,a:2,name:480p v:3,a:3,name:720p');
+
+    const silent = qualityManager.buildTranscodeOptions(ladder.slice(0, 1), source(1280, 720, 30, false), '/tmp/live/key-1');
+    expect(silent.outputOptions).not.toContain('0:a:0');
+    expect(silent.outputOptions[silent.outputOptions.indexOf('-var_stream_map') + 1]).toBe('v:0,name:240p');
+  });
+
+  describe('initializeABR', () => {
+    let liveDir;
+
+    beforeEach(async () => {
+      liveDir = await fs.mkdtemp(path.join(os.tmpdir(), 'abr-'));
+      qualityManager.liveDir = liveDir;
+    });
+
+    afterEach(async () => {
+      await fs.rm(liveDir, { recursive: true, force: true });
+    });
+
+    it('should start one transcode for the ladder and stop it with the session', async () => {
+      const started = [];
+      const killed = [];
+      qualityManager.probeInput = async () => source(854, 480, 30);
+      qualityManager.startLadderTranscode = async (sessionId, input, ladder) => {
+        started.push(ladder.map(rendition => rendition.quality));
+        return { kill: signal => killed.push(signal) };
+      };
+
+      const result = await qualityManager.initializeABR('key-1', 'rtmp://localhost/live/key-1');
+
+      expect(started).toEqual([['240p', '360p', '480p']]);
+      expect(result.qualities.map(quality => quality.resolution)).toEqual(['428x240', '640x360', '854x480']);
+
+      const master = await fs.readFile(path.join(liveDir, 'key-1', 'master.m3u8'), 'utf8');
+      expect(master).toContain('RESOLUTION=854x480,FRAME-RATE=30');
+      expect(master).not.toContain('720p');
+      expect(qualityManager.getActiveSessions()[0]).toMatchObject({ streamKey: 'key-1', currentQuality: '480p', qualityCount: 3 });
+
+      redis.keys = async () => [];
+      await qualityManager.stopABR('key-1');
+      expect(killed).toEqual(['SIGTERM']);
+      expect(qualityManager.getActiveSessions()).toEqual([]);
+    });
+  });
+});
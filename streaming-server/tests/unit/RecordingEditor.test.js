@@ -0,0 +1,361 @@
+/**
+ * Unit Tests for the recording editor
+ *
+ * Covers the edit plan maths and RecordingManager's edit API against an
+ * in-memory database, with ffmpeg replaced by commands that write files:
+ * - Trims, splits and markers mapped onto the rendered timeline
+ * - Edit validation and persistence
+ * - Rendering with chapters, thumbnails, preview and upload
+ * - Clip limits and share links
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecordingManager = require('../../src/RecordingManager');
+const { buildEditPlan, buildChapterMetadata, buildChapterVtt, buildSegmentFilter } = require('../../src/recording/editPlan');
+
+const RECORDING_ID = '7d3e2f1a-0b9c-4d8e-a7f6-5e4d3c2b1a09';
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function createFakeDb(recording) {
+  const edits = new Map();
+  const renditions = new Map();
+
+  return {
+    edits,
+    renditions,
+    async execute(query, params) {
+      const sql = query.replace(/\s+/g, ' ').trim();
+
+      if (sql.startsWith('SELECT * FROM stream_recordings')) {
+        return [params[0] === recording.id ? [recording] : []];
+      }
+      if (sql.startsWith('SELECT * FROM recording_edits')) {
+        return [[...edits.values()].filter(row => row.recording_id === params[0])];
+      }
+      if (sql.startsWith('INSERT INTO recording_edits')) {
+        const [id, recordingId, type, startTime, endTime, label, createdBy] = params;
+        edits.set(id, { id, recording_id: recordingId, type, start_time: startTime, end_time: endTime, label, created_by: createdBy });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE recording_edits')) {
+        const [startTime, endTime, label, id] = params;
+        Object.assign(edits.get(id), { start_time: startTime, end_time: endTime, label });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('DELETE FROM recording_edits')) {
+        return [{ affectedRows: edits.delete(params[0]) ? 1 : 0 }];
+      }
+      if (sql.startsWith('INSERT INTO recording_renditions')) {
+        const [id, recordingId, kind, title, status, shareId, plan, chapters, duration, createdBy, createdAt] = params;
+        renditions.set(id, {
+          id,
+          recording_id: recordingId,
+          kind,
+          title,
+          status,
+          share_id: shareId,
+          edit_plan: plan,
+          chapters,
+          duration_seconds: duration,
+          created_by: createdBy,
+          created_at: createdAt
+        });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE recording_renditions SET status = ?, file_path')) {
+        const [status, filePath, url, duration, size, thumbnailUrl, previews, id] = params;
+        Object.assign(renditions.get(id), {
+          status,
+          file_path: filePath,
+          storage_url: url,
+          duration_seconds: duration,
+          file_size: size,
+          thumbnail_url: thumbnailUrl,
+          preview_images: previews
+        });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE recording_renditions SET status = ?, error_message')) {
+        const [status, message, id] = params;
+        Object.assign(renditions.get(id), { status, error_message: message });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT * FROM recording_renditions WHERE share_id')) {
+        const [shareId, kind, status] = params;
+        return [[...renditions.values()].filter(row => row.share_id === shareId && row.kind === kind && row.status === status)];
+      }
+      if (sql.startsWith('SELECT * FROM recording_renditions WHERE id')) {
+        return [renditions.has(params[0]) ? [renditions.get(params[0])] : []];
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+/**
+ * Stand-in for a fluent-ffmpeg command that writes its output file
+ */
+function createFakeCommand(outputPath, { fail = false } = {}) {
+  const handlers = {};
+  const command = {
+    on(event, handler) {
+      handlers[event] = handler;
+      return command;
+    },
+    run() {
+      if (fail) {
+        handlers.error(new Error('ffmpeg exited with code 1'));
+        return;
+      }
+      fs.writeFileSync(outputPath, 'rendered');
+      handlers.end();
+    }
+  };
+  return command;
+}
+
+describe('Edit plans', () => {
+  it('should keep the untrimmed segments, cut at splits', () => {
+    const plan = buildEditPlan([
+      { type: 'trim', start: 0, end: 10 },
+      { type: 'trim', start: 50, end: 70 },
+      { type: 'trim', start: 60, end: 80 },
+      { type: 'split', time: 30 },
+      { type: 'split', time: 55 }
+    ], 120);
+
+    expect(plan.segments).toEqual([
+      { start: 10, end: 30 },
+      { start: 30, end: 50 },
+      { start: 80, end: 120 }
+    ]);
+    expect(plan.duration).toBe(80);
+    expect(plan.removed).toBe(40);
+  });
+
+  it('should place chapters on the rendered timeline', () => {
+    const plan = buildEditPlan([
+      { type: 'trim', start: 0, end: 10 },
+      { type: 'marker', time: 10.2, label: 'Intro' },
+      { type: 'split', time: 40 },
+      { type: 'marker', time: 40, label: 'Questions' },
+      { type: 'trim', start: 60, end: 90 },
+      { type: 'split', time: 100 },
+      { type: 'marker', time: 75, label: 'Trimmed away' }
+    ], 120);
+
+    expect(plan.chapters).toEqual([
+      { start: 0, end: 30, title: 'Intro' },
+      { start: 30, end: 60, title: 'Questions' },
+      { start: 60, end: 80, title: 'Part 3' }
+    ]);
+
+    expect(buildChapterMetadata(plan.chapters, 'Mock interview; round 2')).toBe([
+      ';FFMETADATA1',
+      'title=Mock interview\\; round 2',
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      'START=0',
+      'END=30000',
+      'title=Intro',
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      'START=30000',
+      'END=60000',
+      'title=Questions',
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      'START=60000',
+      'END=80000',
+      'title=Part 3',
+      ''
+    ].join('\n'));
+    expect(buildChapterVtt(plan.chapters.slice(0, 1))).toBe('WEBVTT\n\n1\n00:00:00.000 --> 00:00:30.000\nIntro\n');
+  });
+
+  it('should join the segments in one filter graph', () => {
+    expect(buildSegmentFilter([{ start: 10, end: 30 }, { start: 80, end: 120 }])).toBe([
+      '[0:v]trim=start=10:end=30,setpts=PTS-STARTPTS[v0]',
+      '[0:a]atrim=start=10:end=30,asetpts=PTS-STARTPTS[a0]',
+      '[0:v]trim=start=80:end=120,setpts=PTS-STARTPTS[v1]',
+      '[0:a]atrim=start=80:end=120,asetpts=PTS-STARTPTS[a1]',
+      '[v0][a0][v1][a1]concat=n=2:v=1:a=1[outv][outa]'
+    ].join(';'));
+  });
+});
+
+describe('RecordingManager editing', () => {
+  let tmpDir;
+  let recording;
+  let db;
+  let manager;
+  let uploads;
+  let commands;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-editor-'));
+    const sourcePath = path.join(tmpDir, 'raw', 'interview.flv');
+    fs.mkdirSync(path.dirname(sourcePath), { recursive: true });
+    fs.writeFileSync(sourcePath, 'source');
+
+    recording = {
+      id: RECORDING_ID,
+      stream_id: 'stream-1',
+      filename: 'Mock interview',
+      file_path: sourcePath,
+      duration_seconds: 120,
+      status: 'completed'
+    };
+    db = createFakeDb(recording);
+    uploads = [];
+    commands = [];
+
+    process.env.RECORDING_PATH = tmpDir;
+    manager = new RecordingManager(db, null, logger);
+    delete process.env.RECORDING_PATH;
+
+    manager.storage = {
+      name: 'fake',
+      upload: async (localPath, key) => {
+        uploads.push(key);
+        return { url: `https://cdn.test/${key}` };
+      }
+    };
+    manager.getVideoMetadata = async () => ({ duration: 80, size: '2048' });
+    manager.generateThumbnails = async (id) => [
+      { timestamp: 0, path: path.join(tmpDir, 'thumb_000.jpg'), url: `/thumbnails/${id}/thumb_000.jpg` }
+    ];
+    manager.generatePreview = async (id, videoPath, duration) => {
+      commands.push({ name: 'preview', args: [id, videoPath, duration] });
+      return path.join(tmpDir, `${id}_preview.mp4`);
+    };
+    manager.createEditCommand = (sourcePathArg, segments, metadataPath, outputPath) => {
+      commands.push({ name: 'edit', args: [sourcePathArg, segments], metadata: fs.readFileSync(metadataPath, 'utf8') });
+      return createFakeCommand(outputPath);
+    };
+    manager.createClipCommand = (sourcePathArg, start, end, outputPath) => {
+      commands.push({ name: 'clip', args: [sourcePathArg, start, end] });
+      return createFakeCommand(outputPath);
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Wait for the background render of a rendition
+  const rendered = rendition => manager.activeRenders.get(rendition.id);
+
+  it('should validate and persist edits', async () => {
+    const marker = await manager.addEdit(RECORDING_ID, { type: 'marker', time: 12.5, label: 'Intro' }, 7);
+    const trim = await manager.addEdit(RECORDING_ID, { type: 'trim', start: 0, end: 10 }, 7);
+
+    await expect(manager.addEdit(RECORDING_ID, { type: 'trim', start: 30, end: 20 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(manager.addEdit(RECORDING_ID, { type: 'split', time: 121 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Split time must be within the recording' });
+    await expect(manager.addEdit(RECORDING_ID, { type: 'fade', time: 3 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const moved = await manager.updateEdit(RECORDING_ID, marker.id, { time: 15, type: 'trim' });
+    expect(moved).toEqual({ id: marker.id, recordingId: RECORDING_ID, type: 'marker', time: 15, label: 'Intro' });
+
+    await manager.deleteEdit(RECORDING_ID, trim.id);
+    await expect(manager.deleteEdit(RECORDING_ID, trim.id)).rejects.toMatchObject({ statusCode: 404 });
+
+    const list = await manager.getEditDecisionList(RECORDING_ID);
+    expect(list.edits).toEqual([moved]);
+    expect(list.plan.chapters).toEqual([
+      { start: 0, end: 15, title: 'Start' },
+      { start: 15, end: 120, title: 'Intro' }
+    ]);
+
+    manager.config.maxEdits = 1;
+    await expect(manager.addEdit(RECORDING_ID, { type: 'split', time: 3 })).rejects.toMatchObject({ statusCode: 409 });
+
+    recording.status = 'processing';
+    await expect(manager.addEdit(RECORDING_ID, { type: 'split', time: 3 })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should render the edits with chapters through the thumbnail and preview pipeline', async () => {
+    await manager.addEdit(RECORDING_ID, { type: 'trim', start: 0, end: 10 }, 7);
+    await manager.addEdit(RECORDING_ID, { type: 'trim', start: 90, end: 120 }, 7);
+    await manager.addEdit(RECORDING_ID, { type: 'marker', time: 50, label: 'Answers' }, 7);
+
+    const rendition = await manager.renderEdits(RECORDING_ID, 7);
+    expect(rendition).toMatchObject({ kind: 'edit', status: 'rendering', duration: 80, shareId: null });
+    await expect(manager.renderEdits(RECORDING_ID, 7)).rejects.toMatchObject({ statusCode: 409 });
+
+    await rendered(rendition);
+
+    expect(commands[0]).toMatchObject({ name: 'edit', args: [recording.file_path, [{ start: 10, end: 90 }]] });
+    expect(commands[0].metadata).toContain('START=40000\nEND=80000\ntitle=Answers');
+    expect(commands[1]).toEqual({
+      name: 'preview',
+      args: [rendition.id, path.join(tmpDir, 'renditions', RECORDING_ID, `${rendition.id}.mp4`), 80]
+    });
+    expect(uploads).toEqual([
+      `renditions/${RECORDING_ID}/${rendition.id}.mp4`,
+      `thumbnails/${rendition.id}/thumb_000.jpg`,
+      `previews/${rendition.id}_preview.mp4`
+    ]);
+
+    // The metadata file is only needed while rendering
+    expect(fs.readdirSync(path.join(tmpDir, 'renditions', RECORDING_ID))).toEqual([`${rendition.id}.mp4`]);
+
+    const stored = await manager.getRendition(rendition.id);
+    expect(stored).toMatchObject({
+      status: 'completed',
+      url: `https://cdn.test/renditions/${RECORDING_ID}/${rendition.id}.mp4`,
+      fileSize: 2048,
+      thumbnailUrl: `https://cdn.test/thumbnails/${rendition.id}/thumb_000.jpg`,
+      previewUrl: `https://cdn.test/previews/${rendition.id}_preview.mp4`
+    });
+    expect(await manager.getRenditionChapters(rendition.id)).toBe([
+      'WEBVTT',
+      '',
+      '1\n00:00:00.000 --> 00:00:40.000\nStart',
+      '',
+      '2\n00:00:40.000 --> 00:01:20.000\nAnswers',
+      ''
+    ].join('\n'));
+
+    // Rendering again is allowed once the first one is done
+    manager.createEditCommand = (source, segments, metadataPath, outputPath) => createFakeCommand(outputPath, { fail: true });
+    const failed = await manager.renderEdits(RECORDING_ID, 7);
+    await rendered(failed);
+    expect(await manager.getRendition(failed.id)).toMatchObject({ status: 'failed', error: 'ffmpeg exited with code 1' });
+  });
+
+  it('should export clips within the limits and share them by link', async () => {
+    await expect(manager.exportClip(RECORDING_ID, { start: 10, end: 10.5 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(manager.exportClip(RECORDING_ID, { start: 0, end: 121 })).rejects.toMatchObject({ statusCode: 400 });
+    manager.config.maxClipDuration = 60;
+    await expect(manager.exportClip(RECORDING_ID, { start: 0, end: 90 }))
+      .rejects.toMatchObject({ message: 'Clips must be 1-60 seconds long' });
+
+    const clip = await manager.exportClip(RECORDING_ID, { start: 20, end: 45, title: 'Best answer' }, 7);
+    expect(clip).toMatchObject({ kind: 'clip', title: 'Best answer', duration: 25 });
+    expect(clip.shareId).toMatch(/^[A-Za-z0-9_-]{12}$/);
+    expect(clip.sharePath).toBe(`/api/recordings/clips/${clip.shareId}`);
+
+    // Not shared until it has rendered
+    expect(await manager.getSharedClip(clip.shareId)).toBeNull();
+    await rendered(clip);
+
+    expect(commands[0]).toEqual({ name: 'clip', args: [recording.file_path, 20, 45] });
+    expect(await manager.getSharedClip(clip.shareId)).toMatchObject({ id: clip.id, status: 'completed' });
+    expect(await manager.getSharedClip('unknown-share')).toBeNull();
+
+    fs.rmSync(recording.file_path);
+    await expect(manager.exportClip(RECORDING_ID, { start: 0, end: 10 })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
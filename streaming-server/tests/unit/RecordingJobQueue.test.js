@@ -0,0 +1,416 @@
+/**
+ * Unit Tests for RecordingJobQueue
+ *
+ * Runs two workers against an in-memory recording_jobs table to cover:
+ * - Priorities, concurrency and one unfinished job per recording
+ * - Checkpoints: retries and takeovers resume at the failed step
+ * - Workers that lost their lease cannot finish or requeue the job
+ * - Retry backoff, running out of attempts, manual retry and cancel
+ * - RecordingManager's processing job and its socket.io progress
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const RecordingJobQueue = require('../../src/recording/RecordingJobQueue');
+const RecordingManager = require('../../src/RecordingManager');
+const AuthMiddleware = require('../../src/middleware/AuthMiddleware');
+
+const RECORDING_A = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const RECORDING_B = '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d6e';
+const RECORDING_C = '3c4d5e6f-7a8b-4c9d-8e1f-2a3b4c5d6e7f';
+const OWNERS = { [RECORDING_A]: 7, [RECORDING_B]: 7, [RECORDING_C]: 8 };
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function createFakeDb() {
+  const jobs = new Map();
+  const withOwner = row => ({ ...row, user_id: OWNERS[row.recording_id] });
+  const isDue = (row, now) => (row.status === 'queued' && row.run_at <= now)
+    || (row.status === 'running' && row.locked_until < now);
+  const update = (id, changes, condition = () => true) => {
+    const row = jobs.get(id);
+    if (!row || !condition(row)) {
+      return [{ affectedRows: 0 }];
+    }
+    Object.assign(row, changes);
+    return [{ affectedRows: 1 }];
+  };
+
+  return {
+    jobs,
+    async execute(query, params) {
+      const sql = query.replace(/\s+/g, ' ').trim();
+
+      if (sql.startsWith('SELECT * FROM recording_jobs WHERE recording_id')) {
+        const [recordingId, type, ...statuses] = params;
+        return [[...jobs.values()].filter(row =>
+          row.recording_id === recordingId && row.type === type && statuses.includes(row.status))];
+      }
+      if (sql.startsWith('INSERT INTO recording_jobs')) {
+        const [id, recordingId, type, status, priority, payload, attempts, maxAttempts, progress, runAt, createdBy, createdAt] = params;
+        jobs.set(id, {
+          id,
+          recording_id: recordingId,
+          type,
+          status,
+          priority,
+          payload,
+          checkpoint: null,
+          current_step: null,
+          attempts,
+          max_attempts: maxAttempts,
+          progress,
+          run_at: runAt,
+          locked_by: null,
+          locked_until: null,
+          error_message: null,
+          created_by: createdBy,
+          created_at: createdAt
+        });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT j.*, s.user_id') && sql.includes('WHERE j.id = ?')) {
+        return [jobs.has(params[0]) ? [withOwner(jobs.get(params[0]))] : []];
+      }
+      if (sql.startsWith('SELECT j.*, s.user_id')) {
+        let rows = [...jobs.values()].map(withOwner);
+        let index = 0;
+        if (sql.includes('j.status = ?')) {
+          const status = params[index++];
+          rows = rows.filter(row => row.status === status);
+        }
+        if (sql.includes('j.recording_id = ?')) {
+          const recordingId = params[index++];
+          rows = rows.filter(row => row.recording_id === recordingId);
+        }
+        if (sql.includes('s.user_id = ?')) {
+          const ownerId = params[index++];
+          rows = rows.filter(row => row.user_id === ownerId);
+        }
+        return [rows.reverse()];
+      }
+      if (sql.startsWith('SELECT id FROM recording_jobs')) {
+        const now = params[1];
+        const limit = parseInt(sql.match(/LIMIT (\d+)/)[1]);
+        const due = [...jobs.values()]
+          .filter(row => isDue(row, now))
+          .sort((a, b) => b.priority - a.priority);
+        return [due.slice(0, limit).map(row => ({ id: row.id }))];
+      }
+      if (sql.startsWith('UPDATE recording_jobs SET status = ?, error_message = ?')) {
+        const [status, message, completedAt, id, from, now] = params;
+        return update(id, { status, error_message: message, completed_at: completedAt, locked_by: null, locked_until: null },
+          row => row.status === from && row.locked_until < now && row.attempts >= row.max_attempts);
+      }
+      if (sql.startsWith('UPDATE recording_jobs SET status = ?, locked_by = ?')) {
+        const [status, lockedBy, lockedUntil, startedAt, id, , now] = params;
+        return update(id, { status, locked_by: lockedBy, locked_until: lockedUntil, started_at: startedAt }, row => {
+          if (!isDue(row, now) || (row.status === 'running' && row.attempts >= row.max_attempts)) {
+            return false;
+          }
+          row.attempts += 1;
+          return true;
+        });
+      }
+      if (sql.startsWith('UPDATE recording_jobs SET locked_until')) {
+        const [lockedUntil, id, lockedBy] = params;
+        return update(id, { locked_until: lockedUntil }, row => row.locked_by === lockedBy);
+      }
+      if (sql.startsWith('UPDATE recording_jobs SET checkpoint')) {
+        const [checkpoint, step, progress, id, lockedBy] = params;
+        return update(id, { checkpoint, current_step: step, progress }, row => row.locked_by === lockedBy);
+      }
+      if (sql.startsWith('UPDATE recording_jobs SET status = ?, progress = ?')) {
+        const [status, progress, message, completedAt, id, lockedBy] = params;
+        return update(id, { status, progress, error_message: message, completed_at: completedAt, locked_by: null, locked_until: null },
+          row => row.locked_by === lockedBy);
+      }
+      if (sql.startsWith('UPDATE recording_jobs SET status = ?, run_at = ?, error_message')) {
+        const [status, runAt, message, id, lockedBy] = params;
+        return update(id, { status, run_at: runAt, error_message: message, locked_by: null, locked_until: null },
+          row => row.locked_by === lockedBy);
+      }
+      if (sql.startsWith('UPDATE recording_jobs SET status = ?, attempts = 0')) {
+        const [status, runAt, id, ...from] = params;
+        return update(id, { status, attempts: 0, run_at: runAt, error_message: null }, row => from.includes(row.status));
+      }
+      if (sql.startsWith('UPDATE recording_jobs SET status = ?, updated_at')) {
+        const [status, id, from] = params;
+        return update(id, { status }, row => row.status === from);
+      }
+      if (sql.startsWith('UPDATE recording_jobs SET priority')) {
+        const [priority, id, from] = params;
+        return update(id, { priority }, row => row.status === from);
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+// Wait for every job running on the worker
+const settle = queue => Promise.all([...queue.running.values()]);
+
+describe('RecordingJobQueue', () => {
+  let db;
+  let workerA;
+  let workerB;
+  let calls;
+  let failures;
+
+  const createWorker = (nodeId) => {
+    const queue = new RecordingJobQueue(db, logger, { nodeId });
+    queue.register('process', ['probe', 'thumbnails', 'transcode', 'upload'].map(name => ({
+      name,
+      run: async (job, { results, progress }) => {
+        calls.push(`${nodeId}:${job.recordingId}:${name}`);
+        if (failures[name] > 0) {
+          failures[name]--;
+          throw new Error(`${name} failed`);
+        }
+        if (name === 'transcode') {
+          progress(0.5);
+        }
+        return { step: name, after: Object.keys(results) };
+      }
+    })));
+    return queue;
+  };
+
+  beforeEach(() => {
+    db = createFakeDb();
+    calls = [];
+    failures = {};
+    workerA = createWorker('node-a');
+    workerB = createWorker('node-b');
+  });
+
+  afterEach(() => {
+    workerA.close();
+    workerB.close();
+  });
+
+  it('should run jobs by priority within the concurrency limit', async () => {
+    const low = await workerA.enqueue('process', RECORDING_A, { priority: 'low' });
+    await workerA.enqueue('process', RECORDING_B);
+    await workerA.enqueue('process', RECORDING_C, { priority: 'high', createdBy: 8 });
+
+    // One unfinished job per recording; asking again can raise its priority
+    const again = await workerA.enqueue('process', RECORDING_A, { priority: 'high' });
+    expect(again).toMatchObject({ id: low.id, priority: 'high' });
+    await expect(workerA.enqueue('process', RECORDING_A, { priority: 'urgent' })).rejects.toMatchObject({ statusCode: 400 });
+
+    workerA.config.concurrency = 2;
+    const started = await workerA.poll();
+    expect(started.map(job => job.recordingId)).toEqual([RECORDING_A, RECORDING_C]);
+    expect(await workerA.poll()).toEqual([]);
+    await settle(workerA);
+
+    expect((await workerB.poll()).map(job => job.recordingId)).toEqual([RECORDING_B]);
+    await settle(workerB);
+
+    const jobs = await workerA.listJobs({ ownerId: 7 });
+    expect(jobs.map(job => [job.recordingId, job.status, job.progress])).toEqual([
+      [RECORDING_B, 'completed', 100],
+      [RECORDING_A, 'completed', 100]
+    ]);
+    const serialized = workerA.serializeJob(jobs[0]);
+    expect(serialized.completedSteps).toEqual(['probe', 'thumbnails', 'transcode', 'upload']);
+    expect(serialized).not.toHaveProperty('payload');
+    expect(serialized).not.toHaveProperty('lockedBy');
+  });
+
+  it('should retry with backoff and resume at the failed step', async () => {
+    const events = [];
+    workerA.on('progress', job => events.push([job.status, job.currentStep, job.progress]));
+    failures.transcode = 1;
+
+    const job = await workerA.enqueue('process', RECORDING_A);
+    await workerA.poll();
+    await settle(workerA);
+
+    const queued = await workerA.getJob(job.id);
+    expect(queued).toMatchObject({ status: 'queued', attempts: 1, error: 'transcode failed' });
+    expect(Object.keys(queued.checkpoint)).toEqual(['probe', 'thumbnails']);
+    expect(queued.runAt.getTime() - Date.now()).toBeGreaterThan(workerA.config.retryBaseDelay - 1000);
+
+    // Not due until the backoff has passed
+    expect(await workerB.poll()).toEqual([]);
+    await workerB.poll(Date.now() + workerA.config.retryBaseDelay);
+    await settle(workerB);
+
+    expect(calls).toEqual([
+      `node-a:${RECORDING_A}:probe`,
+      `node-a:${RECORDING_A}:thumbnails`,
+      `node-a:${RECORDING_A}:transcode`,
+      `node-b:${RECORDING_A}:transcode`,
+      `node-b:${RECORDING_A}:upload`
+    ]);
+
+    const done = await workerB.getJob(job.id);
+    expect(done).toMatchObject({ status: 'completed', attempts: 2, error: null });
+    expect(done.checkpoint.upload).toEqual({ step: 'upload', after: ['probe', 'thumbnails', 'transcode'] });
+    expect(events).toEqual([
+      ['running', 'probe', 0],
+      ['running', 'thumbnails', 25],
+      ['running', 'transcode', 50],
+      ['queued', 'transcode', 50]
+    ]);
+  });
+
+  it('should take over jobs whose worker stopped renewing its lease', async () => {
+    let stall;
+    workerA.handlers.get('process')[1].run = () => new Promise(resolve => { stall = resolve; });
+
+    const job = await workerA.enqueue('process', RECORDING_A);
+    await workerA.poll();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await workerB.poll()).toEqual([]);
+
+    // Worker A hangs past its lease (as if it had crashed)
+    await workerB.poll(Date.now() + workerA.config.leaseDuration + 1);
+    await settle(workerB);
+    expect(await workerB.getJob(job.id)).toMatchObject({ status: 'completed', attempts: 2 });
+
+    // Worker A's late result is not written over worker B's
+    stall({ stale: true });
+    await settle(workerA);
+    expect((await workerA.getJob(job.id)).checkpoint.thumbnails).toEqual({ step: 'thumbnails', after: ['probe'] });
+    expect(calls.filter(call => call.endsWith(':probe'))).toEqual([`node-a:${RECORDING_A}:probe`]);
+  });
+
+  it('should not let a worker that lost its lease finish or requeue the job', async () => {
+    let failA;
+    let stallB;
+    workerA.handlers.get('process')[1].run = () => new Promise((resolve, reject) => { failA = reject; });
+    workerB.handlers.get('process')[3].run = () => new Promise(resolve => { stallB = resolve; });
+
+    const job = await workerA.enqueue('process', RECORDING_A);
+    await workerA.poll();
+    await new Promise(resolve => setImmediate(resolve));
+    await workerB.poll(Date.now() + workerA.config.leaseDuration + 1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Worker A's late failure and result leave worker B's lease alone
+    failA(new Error('thumbnails failed'));
+    await settle(workerA);
+    expect(await workerA.finish(await workerA.getJob(job.id), 'completed')).toBe(false);
+    expect(db.jobs.get(job.id)).toMatchObject({ status: 'running', locked_by: 'node-b', error_message: null });
+
+    stallB({ step: 'upload' });
+    await settle(workerB);
+    expect(await workerB.getJob(job.id)).toMatchObject({ status: 'completed', attempts: 2 });
+  });
+
+  it('should fail a job whose worker stopped during its last attempt', async () => {
+    const failed = [];
+    workerB.on('failed', failedJob => failed.push(failedJob.id));
+    workerA.handlers.get('process')[1].run = () => new Promise(() => {});
+
+    const job = await workerA.enqueue('process', RECORDING_A, { maxAttempts: 1 });
+    await workerA.poll();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await workerB.poll(Date.now() + workerA.config.leaseDuration + 1)).toEqual([]);
+    expect(failed).toEqual([job.id]);
+    expect(await workerB.getJob(job.id)).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(calls.filter(call => call.startsWith('node-b'))).toEqual([]);
+  });
+
+  it('should fail after the last attempt and support retry and cancel', async () => {
+    failures.upload = 2;
+    const failed = [];
+    workerA.on('failed', job => failed.push(job.id));
+
+    const job = await workerA.enqueue('process', RECORDING_A, { maxAttempts: 2 });
+    await workerA.poll();
+    await settle(workerA);
+    await workerA.poll(Date.now() + workerA.config.retryMaxDelay);
+    await settle(workerA);
+
+    expect(failed).toEqual([job.id]);
+    expect(await workerA.getJob(job.id)).toMatchObject({ status: 'failed', attempts: 2, error: 'upload failed' });
+    await expect(workerA.cancelJob(job.id)).rejects.toMatchObject({ statusCode: 409 });
+
+    // A manual retry starts again at the upload
+    await workerA.retryJob(job.id);
+    await workerA.poll();
+    await settle(workerA);
+    expect(calls.filter(call => call.endsWith(':probe'))).toHaveLength(1);
+    expect(await workerA.getJob(job.id)).toMatchObject({ status: 'completed', attempts: 1 });
+
+    const queued = await workerA.enqueue('process', RECORDING_B);
+    expect(await workerA.cancelJob(queued.id)).toMatchObject({ status: 'cancelled' });
+    expect(await workerA.poll()).toEqual([]);
+    await expect(workerA.retryJob('missing-job')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('RecordingManager processing jobs', () => {
+  it('should queue processing and stream its progress to the owner', async () => {
+    const db = createFakeDb();
+    const recordingDb = {
+      async execute(query, params) {
+        const sql = query.replace(/\s+/g, ' ').trim();
+        if (sql.startsWith('SELECT * FROM stream_recordings')) {
+          return [[{ id: params[0], file_path: `/recordings/raw/${params[0]}.mp4`, status: 'processing' }]];
+        }
+        if (sql.startsWith('SELECT r.*, s.user_id')) {
+          return [[{ id: params[0], user_id: OWNERS[params[0]] }]];
+        }
+        if (sql.startsWith('UPDATE stream_recordings')) {
+          return [{ affectedRows: 1 }];
+        }
+        return db.execute(query, params);
+      }
+    };
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-jobs-'));
+    process.env.RECORDING_PATH = tmpDir;
+    const manager = new RecordingManager(recordingDb, null, logger);
+    delete process.env.RECORDING_PATH;
+    manager.authMiddleware = new AuthMiddleware({ jwtSecret: 'recording-jobs-secret' });
+    const emitted = [];
+    manager.io = { to: room => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+
+    const ran = [];
+    for (const step of manager.jobs.handlers.get('process')) {
+      step.run = async () => {
+        ran.push(step.name);
+        return step.name === 'probe' ? { duration: 60 } : null;
+      };
+    }
+
+    const job = await manager.processRecording(RECORDING_A, { priority: 'high', createdBy: 7 });
+    expect(job).toMatchObject({ recordingId: RECORDING_A, priority: 'high', payload: { rawPath: `/recordings/raw/${RECORDING_A}.mp4` } });
+
+    // Only the owner can follow the recording
+    const handlers = {};
+    const socket = {
+      rooms: [],
+      sent: [],
+      on: (event, handler) => { handlers[event] = handler; },
+      emit: (event, data) => socket.sent.push({ event, data }),
+      join: room => socket.rooms.push(room)
+    };
+    manager.handleConnection(socket);
+    await handlers['recording:subscribe']({ recordingId: RECORDING_A, token: jwt.sign({ userId: 8 }, 'recording-jobs-secret') });
+    await handlers['recording:subscribe']({ recordingId: RECORDING_A, token: jwt.sign({ userId: 7 }, 'recording-jobs-secret') });
+    expect(socket.sent.map(entry => entry.event)).toEqual(['recording:error', 'recording:subscribed']);
+    expect(socket.rooms).toEqual([`recording:${RECORDING_A}`]);
+    expect(socket.sent[1].data.jobs[0]).toMatchObject({ id: job.id, status: 'queued', completedSteps: [] });
+
+    await manager.jobs.poll();
+    await settle(manager.jobs);
+
+    expect(ran).toEqual(['probe', 'thumbnails', 'preview', 'transcode', 'captions', 'copyright', 'upload', 'finalize']);
+    const progress = emitted.filter(entry => entry.room === `recording:${RECORDING_A}` && entry.event === 'recording:job-progress');
+    expect(progress[progress.length - 1].data).toMatchObject({ id: job.id, status: 'completed', progress: 100 });
+    expect(progress.every(entry => entry.data.payload === undefined)).toBe(true);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Unit Tests for RestreamManager
+ *
+ * Runs the manager against an in-memory restream_destinations table, with
+ * relays pointed at a local RTMP sink and the ffmpeg command replaced by a
+ * controllable stand-in, to cover:
+ * - Destination validation, ownership and encrypted stream keys
+ * - Checking custom servers again on connect (DNS rebinding)
+ * - Starting and stopping relays with the publish hooks
+ * - Reconnecting with backoff, giving up, and stall detection
+ * - Applying changes to running relays
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const EventEmitter = require('events');
+const RestreamManager = require('../../src/RestreamManager');
+
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+const HOST_ID = 7;
+const INPUT = 'rtmp://localhost:1935/live/ingest-key';
+const SINK = 'rtmp://localhost:1936/live';
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createFakeDb() {
+  const destinations = new Map();
+  const streams = new Map([[STREAM_ID, { id: STREAM_ID, user_id: HOST_ID, status: 'scheduled' }]]);
+
+  const execute = async (query, params = []) => {
+    const sql = query.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('SELECT id, user_id, status FROM live_streams')) {
+      return [streams.has(params[0]) ? [streams.get(params[0])] : []];
+    }
+    if (sql.startsWith('SELECT COUNT(*)')) {
+      return [[{ count: [...destinations.values()].filter(row => row.stream_id === params[0]).length }]];
+    }
+    if (sql.startsWith('INSERT INTO restream_destinations')) {
+      const columns = sql.match(/\(([^)]+)\) VALUES/)[1].split(',').map(column => column.trim());
+      const row = {};
+      columns.forEach((column, index) => { row[column] = params[index]; });
+      destinations.set(row.id, row);
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('SELECT * FROM restream_destinations WHERE id = ?')) {
+      return [destinations.has(params[0]) ? [{ ...destinations.get(params[0]) }] : []];
+    }
+    if (sql.startsWith('SELECT * FROM restream_destinations WHERE stream_id = ?')) {
+      return [[...destinations.values()]
+        .filter(row => row.stream_id === params[0] && (!sql.includes('enabled = TRUE') || row.enabled))
+        .map(row => ({ ...row }))];
+    }
+    if (sql.startsWith('UPDATE restream_destinations SET status = ?')) {
+      const row = destinations.get(params[3]);
+      if (row) {
+        Object.assign(row, { status: params[0], last_error: params[1] });
+      }
+      return [{ affectedRows: row ? 1 : 0 }];
+    }
+    if (sql.startsWith('UPDATE restream_destinations SET')) {
+      const columns = sql.match(/SET (.+?), updated_at/)[1].split(', ').map(part => part.split(' = ')[0]);
+      const row = destinations.get(params[params.length - 1]);
+      columns.forEach((column, index) => { row[column] = params[index]; });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('DELETE FROM restream_destinations')) {
+      destinations.delete(params[0]);
+      return [{ affectedRows: 1 }];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { destinations, execute };
+}
+
+/**
+ * Stands in for a fluent-ffmpeg relay command
+ */
+function createFakeCommand(inputSource, publishUrl, tcUrl) {
+  const command = new EventEmitter();
+  command.inputSource = inputSource;
+  command.publishUrl = publishUrl;
+  command.tcUrl = tcUrl;
+  command.running = false;
+  command.signals = [];
+  command.run = () => { command.running = true; };
+  command.kill = (signal) => {
+    command.signals.push(signal);
+    command.running = false;
+  };
+  return command;
+}
+
+describe('RestreamManager', () => {
+  let db;
+  let manager;
+  let commands;
+  let statuses;
+
+  beforeEach(() => {
+    db = createFakeDb();
+    manager = new RestreamManager(db, null, logger);
+    manager.config.retryBaseDelay = 5;
+    manager.config.maxRetries = 2;
+    // The local sink is on this host
+    manager.config.allowedHosts = ['localhost'];
+
+    commands = [];
+    manager.createRelayCommand = (inputSource, publishUrl, tcUrl) => {
+      const command = createFakeCommand(inputSource, publishUrl, tcUrl);
+      commands.push(command);
+      return command;
+    };
+
+    statuses = [];
+    manager.on('status', event => statuses.push(`${event.status}:${event.attempts}`));
+  });
+
+  afterEach(async () => {
+    await manager.close();
+  });
+
+  const addSink = (data = {}) => manager.createDestination(HOST_ID, STREAM_ID, {
+    platform: 'custom', name: 'Local sink', serverUrl: SINK, streamKey: 'sink-key-1234', ...data
+  });
+
+  it('should store third-party stream keys encrypted and never return them', async () => {
+    const destination = await addSink();
+    const row = db.destinations.get(destination.id);
+
+    expect(destination).not.toHaveProperty('streamKey');
+    expect(destination.streamKeyHint).toBe('1234');
+    expect(row.stream_key_encrypted).not.toContain('sink-key');
+    expect(RestreamManager.decryptStreamKey(row.stream_key_encrypted, manager.encryptionKey)).toBe('sink-key-1234');
+
+    // GCM rejects a tampered key
+    const [iv, tag, encrypted] = row.stream_key_encrypted.split(':');
+    const tampered = Buffer.from(encrypted, 'base64');
+    tampered[0] ^= 1;
+    expect(() => RestreamManager.decryptStreamKey([iv, tag, tampered.toString('base64')].join(':'), manager.encryptionKey)).toThrow();
+  });
+
+  it('should require RESTREAM_ENCRYPTION_KEY in production', () => {
+    const { NODE_ENV, RESTREAM_ENCRYPTION_KEY } = process.env;
+    try {
+      process.env.NODE_ENV = 'production';
+      delete process.env.RESTREAM_ENCRYPTION_KEY;
+      expect(() => new RestreamManager(db, null, logger)).toThrow('RESTREAM_ENCRYPTION_KEY must be set in production');
+
+      process.env.RESTREAM_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+      expect(new RestreamManager(db, null, logger).encryptionKey).toHaveLength(32);
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (RESTREAM_ENCRYPTION_KEY === undefined) {
+        delete process.env.RESTREAM_ENCRYPTION_KEY;
+      } else {
+        process.env.RESTREAM_ENCRYPTION_KEY = RESTREAM_ENCRYPTION_KEY;
+      }
+    }
+  });
+
+  it('should validate destinations and their owner', async () => {
+    const youtube = await manager.createDestination(HOST_ID, STREAM_ID, { platform: 'youtube', streamKey: 'yt-key' });
+    expect(youtube.serverUrl).toBe('rtmp://a.rtmp.youtube.com/live2');
+
+    await expect(manager.createDestination(1, STREAM_ID, { platform: 'youtube', streamKey: 'key' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(manager.createDestination(HOST_ID, 'missing', { platform: 'youtube', streamKey: 'key' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(manager.createDestination(HOST_ID, STREAM_ID, { platform: 'linkedin', streamKey: 'key' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'A server URL is required for linkedin' });
+    await expect(addSink({ serverUrl: 'http://example.com/live' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(addSink({ streamKey: ' ' })).rejects.toMatchObject({ statusCode: 400 });
+
+    // Relays never go to this host or its network
+    for (const serverUrl of ['rtmp://127.0.0.1/live', 'rtmp://[::1]:1935/live', 'rtmp://169.254.169.254/live', 'rtmps://10.0.0.5/app', 'rtmp://[::ffff:192.168.1.1]/live']) {
+      await expect(addSink({ serverUrl })).rejects.toMatchObject({ statusCode: 400, message: 'Server URL must point to a public RTMP server' });
+    }
+    manager.config.allowedHosts = [];
+    await expect(addSink()).rejects.toMatchObject({ statusCode: 400, message: 'Server URL must point to a public RTMP server' });
+    manager.config.allowedHosts = ['localhost'];
+
+    manager.config.maxDestinations = 1;
+    await expect(addSink()).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should check custom servers again when relays connect and connect to the checked address', async () => {
+    const lookup = jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '203.0.113.10', family: 4 }]);
+    try {
+      const destination = await addSink({ serverUrl: 'rtmp://ingest.example.com:1935/live' });
+      await manager.startRestreams(STREAM_ID, INPUT);
+
+      expect(commands[0].publishUrl).toBe('rtmp://203.0.113.10:1935/live/sink-key-1234');
+      expect(commands[0].tcUrl).toBe('rtmp://ingest.example.com:1935/live');
+
+      // The name now resolves to this host
+      lookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+      await manager.reconnectDestination(destination.id);
+
+      expect(commands).toHaveLength(1);
+      const [listed] = await manager.listDestinations(HOST_ID, STREAM_ID);
+      expect(listed.health).toMatchObject({ status: 'failed', lastError: 'Server URL must point to a public RTMP server' });
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  it('should relay to enabled destinations while the stream is published', async () => {
+    const sink = await addSink();
+    await addSink({ name: 'Disabled', enabled: false });
+
+    expect(await manager.startRestreams(STREAM_ID, INPUT)).toBe(1);
+    expect(commands).toHaveLength(1);
+    expect(commands[0].inputSource).toBe(INPUT);
+    expect(commands[0].publishUrl).toBe(`${SINK}/sink-key-1234`);
+    expect(commands[0].running).toBe(true);
+
+    commands[0].emit('progress', { currentKbps: 2600, currentFps: 30 });
+    const [listed] = await manager.listDestinations(HOST_ID, STREAM_ID);
+    expect(listed).toMatchObject({ id: sink.id, status: 'live', health: { bitrate: 2600, fps: 30, attempts: 0 } });
+    expect(db.destinations.get(sink.id).status).toBe('live');
+
+    await manager.stopRestreams(STREAM_ID);
+    expect(commands[0].signals).toEqual(['SIGTERM']);
+    expect(statuses).toEqual(['connecting:0', 'live:0', 'stopped:0']);
+    expect((await manager.getDestination(sink.id)).status).toBe('stopped');
+  });
+
+  it('should reconnect dropped relays with backoff and give up after the retry limit', async () => {
+    await addSink();
+    await manager.startRestreams(STREAM_ID, INPUT);
+
+    expect([0, 1, 2, 3, 10].map(attempt => manager.getRetryDelay(attempt))).toEqual([5, 10, 20, 40, 5120]);
+
+    // Dropped after going live: one retry, then live again resets the attempts
+    commands[0].emit('progress', {});
+    commands[0].emit('error', new Error('Connection reset by peer'));
+    await wait(20);
+    expect(commands).toHaveLength(2);
+    commands[1].emit('progress', {});
+    expect(statuses).toEqual(['connecting:0', 'live:0', 'reconnecting:1', 'live:0']);
+
+    // The sink goes away for good
+    commands[1].emit('error', new Error('Connection refused'));
+    await wait(20);
+    commands[2].emit('error', new Error('Connection refused'));
+    await wait(40);
+    commands[3].emit('error', new Error('Connection refused'));
+
+    expect(commands).toHaveLength(4);
+    expect(statuses.slice(4)).toEqual(['reconnecting:1', 'reconnecting:2', 'failed:2']);
+    const [failed] = await manager.listDestinations(HOST_ID, STREAM_ID);
+    expect(failed.health).toMatchObject({ status: 'failed', lastError: 'Connection refused' });
+
+    // A manual reconnect starts over
+    await manager.reconnectDestination(failed.id);
+    expect(commands).toHaveLength(5);
+    expect(commands[4].running).toBe(true);
+  });
+
+  it('should restart relays that stop reporting progress', async () => {
+    await addSink();
+    await manager.startRestreams(STREAM_ID, INPUT);
+    commands[0].emit('progress', {});
+
+    manager.checkRelayHealth();
+    expect(commands[0].signals).toEqual([]);
+
+    const relay = manager.sessions.get(STREAM_ID).relays.values().next().value;
+    relay.lastProgressAt = Date.now() - manager.config.stallTimeout - 1;
+    manager.checkRelayHealth();
+
+    expect(commands[0].signals).toEqual(['SIGTERM']);
+    expect(relay.lastError).toBe('No progress from relay');
+
+    // The killed process reporting its exit does not trigger a second retry
+    commands[0].emit('error', new Error('ffmpeg was killed with signal SIGTERM'));
+    await wait(20);
+    expect(commands).toHaveLength(2);
+  });
+
+  it('should apply destination changes to running relays', async () => {
+    const sink = await addSink();
+    await manager.startRestreams(STREAM_ID, INPUT);
+
+    await manager.updateDestination(sink.id, { streamKey: 'rotated-key' });
+    expect(commands[0].signals).toEqual(['SIGTERM']);
+    expect(commands[1].publishUrl).toBe(`${SINK}/rotated-key`);
+    expect(db.destinations.get(sink.id).stream_key_hint).toBe('-key');
+
+    await manager.updateDestination(sink.id, { enabled: false });
+    expect(commands[1].signals).toEqual(['SIGTERM']);
+    expect(commands).toHaveLength(2);
+
+    // Added while live: starts right away
+    await addSink({ name: 'Second sink', streamKey: 'second' });
+    expect(commands).toHaveLength(3);
+
+    await manager.deleteDestination(sink.id);
+    expect(db.destinations.has(sink.id)).toBe(false);
+    await expect(manager.reconnectDestination(sink.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
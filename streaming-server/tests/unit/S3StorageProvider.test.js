@@ -0,0 +1,211 @@
+/**
+ * Unit Tests for S3StorageProvider
+ *
+ * Runs the provider against a minimal in-process S3-compatible server
+ * (path-style, like MinIO) to cover:
+ * - Single-request and multipart uploads
+ * - Part retries
+ * - Checksum verification
+ */
+
+const { describe, it, beforeAll, afterAll, beforeEach, afterEach, expect } = require('@jest/globals');
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const S3StorageProvider = require('../../src/storage/S3StorageProvider');
+
+/**
+ * Tiny S3 stand-in: enough of the REST API for uploads, HEAD and DELETE
+ */
+function createFakeS3Server() {
+  const state = {
+    objects: new Map(),
+    uploads: new Map(),
+    failNextParts: 0,
+    corruptNextPut: false,
+    requests: []
+  };
+
+  const md5 = (buffer) => crypto.createHash('md5').update(buffer).digest('hex');
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucket, ...keyParts] = url.pathname.split('/');
+    const key = decodeURIComponent(keyParts.join('/'));
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const metadata = {};
+      for (const [name, value] of Object.entries(req.headers)) {
+        if (name.startsWith('x-amz-meta-')) {
+          metadata[name.slice('x-amz-meta-'.length)] = value;
+        }
+      }
+      state.requests.push(`${req.method} ${url.pathname}${url.search}`);
+
+      if (req.method === 'POST' && url.searchParams.has('uploads')) {
+        const uploadId = crypto.randomUUID();
+        state.uploads.set(uploadId, { key, metadata, parts: new Map() });
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(`<?xml version="1.0" encoding="UTF-8"?><InitiateMultipartUploadResult><Bucket>${bucket}</Bucket><Key>${key}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+      }
+
+      if (req.method === 'PUT' && url.searchParams.has('uploadId')) {
+        if (state.failNextParts > 0) {
+          state.failNextParts--;
+          res.writeHead(500, { 'Content-Type': 'application/xml' });
+          return res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>InternalError</Code><Message>boom</Message></Error>');
+        }
+        const upload = state.uploads.get(url.searchParams.get('uploadId'));
+        upload.parts.set(parseInt(url.searchParams.get('partNumber')), body);
+        res.writeHead(200, { ETag: `"${md5(body)}"` });
+        return res.end();
+      }
+
+      if (req.method === 'POST' && url.searchParams.has('uploadId')) {
+        const upload = state.uploads.get(url.searchParams.get('uploadId'));
+        const numbers = [...upload.parts.keys()].sort((a, b) => a - b);
+        const data = Buffer.concat(numbers.map(n => upload.parts.get(n)));
+        const etag = md5(Buffer.concat(numbers.map(n => Buffer.from(md5(upload.parts.get(n)), 'hex')))) + `-${numbers.length}`;
+        state.objects.set(key, { data, metadata: upload.metadata, etag });
+        state.uploads.delete(url.searchParams.get('uploadId'));
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(`<?xml version="1.0" encoding="UTF-8"?><CompleteMultipartUploadResult><Bucket>${bucket}</Bucket><Key>${key}</Key><ETag>"${etag}"</ETag></CompleteMultipartUploadResult>`);
+      }
+
+      if (req.method === 'DELETE' && url.searchParams.has('uploadId')) {
+        state.uploads.delete(url.searchParams.get('uploadId'));
+        res.writeHead(204);
+        return res.end();
+      }
+
+      if (req.method === 'PUT') {
+        const data = state.corruptNextPut ? Buffer.concat([body, Buffer.from('x')]) : body;
+        state.corruptNextPut = false;
+        state.objects.set(key, { data, metadata, etag: md5(data) });
+        res.writeHead(200, { ETag: `"${md5(data)}"` });
+        return res.end();
+      }
+
+      if (req.method === 'HEAD') {
+        const object = state.objects.get(key);
+        if (!object) {
+          res.writeHead(404);
+          return res.end();
+        }
+        const headers = { 'Content-Length': object.data.length, ETag: `"${object.etag}"` };
+        for (const [name, value] of Object.entries(object.metadata)) {
+          headers[`x-amz-meta-${name}`] = value;
+        }
+        res.writeHead(200, headers);
+        return res.end();
+      }
+
+      if (req.method === 'DELETE') {
+        state.objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      }
+
+      res.writeHead(400);
+      res.end();
+    });
+  });
+
+  return { server, state };
+}
+
+describe('S3StorageProvider', () => {
+  let fake;
+  let endpoint;
+  let tmpDir;
+  let provider;
+
+  const mockLogger = {
+    info: () => {},
+    error: () => {},
+    warn: () => {},
+    debug: () => {}
+  };
+
+  const writeFile = (name, size) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, crypto.randomBytes(size));
+    return filePath;
+  };
+
+  beforeAll(async () => {
+    fake = createFakeS3Server();
+    await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${fake.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => fake.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 's3-provider-'));
+    fake.state.objects.clear();
+    fake.state.requests.length = 0;
+
+    provider = new S3StorageProvider('s3', {
+      endpoint,
+      forcePathStyle: true,
+      bucket: 'recordings',
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio-secret',
+      partSize: 5 * 1024 * 1024,
+      retryDelay: 1
+    }, mockLogger);
+  });
+
+  afterEach(() => {
+    provider.client.destroy();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should upload small files in a single request', async () => {
+    const filePath = writeFile('thumb.jpg', 1024);
+
+    const result = await provider.upload(filePath, 'thumbnails/rec-1/thumb_000.jpg');
+
+    expect(result.size).toBe(1024);
+    expect(result.url).toBe(`${endpoint}/recordings/thumbnails/rec-1/thumb_000.jpg`);
+    expect(fake.state.objects.get('thumbnails/rec-1/thumb_000.jpg').data.equals(fs.readFileSync(filePath))).toBe(true);
+  });
+
+  it('should use multipart upload for large files and verify the composite ETag', async () => {
+    const filePath = writeFile('raw.mp4', 11 * 1024 * 1024);
+
+    const result = await provider.upload(filePath, 'raw/raw.mp4');
+
+    expect(result.etag).toMatch(/-3$/);
+    expect(result.checksum).toBe(crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'));
+    expect(fake.state.objects.get('raw/raw.mp4').data.equals(fs.readFileSync(filePath))).toBe(true);
+    expect(fake.state.objects.get('raw/raw.mp4').metadata.sha256).toBe(result.checksum);
+  });
+
+  it('should retry failed parts', async () => {
+    const filePath = writeFile('raw.mp4', 6 * 1024 * 1024);
+    fake.state.failNextParts = 1;
+
+    await provider.upload(filePath, 'raw/retry.mp4');
+
+    const partRequests = fake.state.requests.filter(r => r.startsWith('PUT') && r.includes('partNumber='));
+    expect(partRequests.length).toBeGreaterThanOrEqual(3);
+    expect(fake.state.objects.get('raw/retry.mp4').data.equals(fs.readFileSync(filePath))).toBe(true);
+  });
+
+  it('should fail when the stored object does not match the local file', async () => {
+    const filePath = writeFile('preview.mp4', 2048);
+    provider.config.uploadRetries = 1;
+    fake.state.corruptNextPut = true;
+
+    await expect(provider.upload(filePath, 'previews/bad.mp4')).rejects.toThrow('ETag mismatch');
+  });
+});
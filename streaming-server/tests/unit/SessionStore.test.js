@@ -0,0 +1,313 @@
+/**
+ * Unit Tests for SessionStore
+ *
+ * Runs sessions against in-memory user_sessions, user_account_settings and
+ * notifications tables, a Map-backed Redis and a recording socket.io
+ * stand-in, to cover:
+ * - Sessions per device, described from the User-Agent
+ * - Refresh token rotation, and signing the session out on reuse
+ * - Listing devices and signing out one or all others
+ * - The concurrent session limit
+ * - New-device notifications and opting out of them
+ * - AuthMiddleware refusing tokens of signed-out sessions, and refresh tokens
+ * - Refusing tokens with a session when Redis cannot be reached
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const SessionStore = require('../../src/security/SessionStore');
+const AuthMiddleware = require('../../src/middleware/AuthMiddleware');
+
+const SECRET = 'session-store-secret';
+const USER_ID = '3c1f6a2e-5b7d-4e8f-9a0b-1c2d3e4f5a6b';
+const OTHER_ID = '7d8e9f0a-1b2c-4d3e-8f4a-5b6c7d8e9f0a';
+
+const LAPTOP = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_4) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15';
+const PHONE = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+const STUDIO = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0';
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function createFakeRedis() {
+  const data = new Map();
+  const ttls = new Map();
+  return {
+    data,
+    ttls,
+    async get(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+    async setEx(key, seconds, value) {
+      data.set(key, value);
+      ttls.set(key, seconds);
+    }
+  };
+}
+
+function createFakeDb() {
+  const sessions = [];
+  const notifications = [];
+  const accountSettings = new Map();
+  let clock = Date.now();
+
+  const execute = async (query, params = []) => {
+    const sql = query.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('INSERT INTO user_sessions')) {
+      const [id, userId, hash, ipAddress, userAgent, fingerprint, ttl] = params;
+      clock += 1000;
+      sessions.push({
+        id, user_id: userId, refresh_token_hash: hash, ip_address: ipAddress, user_agent: userAgent,
+        device_fingerprint: fingerprint, location_country: null, location_city: null, is_active: true,
+        last_activity: new Date(clock), expires_at: new Date(clock + ttl * 1000), created_at: new Date(clock),
+        rotated_at: null, revoked_at: null, revoked_reason: null
+      });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('SELECT device_fingerprint FROM user_sessions')) {
+      return [sessions.filter(row => row.user_id === params[0])];
+    }
+    if (sql.startsWith('SELECT * FROM user_sessions WHERE user_id = ?')) {
+      const rows = sessions.filter(row => row.user_id === params[0] && row.is_active);
+      return [rows.sort((a, b) => b.last_activity - a.last_activity)];
+    }
+    if (sql.startsWith('SELECT * FROM user_sessions WHERE id = ?')) {
+      return [sessions.filter(row => row.id === params[0])];
+    }
+    if (sql.startsWith('UPDATE user_sessions SET refresh_token_hash')) {
+      const [hash, ipAddress, ttl, id, previousHash] = params;
+      const row = sessions.find(session => session.id === id && session.refresh_token_hash === previousHash && session.is_active);
+      if (!row) {
+        return [{ affectedRows: 0 }];
+      }
+      clock += 1000;
+      Object.assign(row, {
+        refresh_token_hash: hash, ip_address: ipAddress || row.ip_address, last_activity: new Date(clock),
+        rotated_at: new Date(clock), expires_at: new Date(clock + ttl * 1000)
+      });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('UPDATE user_sessions SET is_active = FALSE')) {
+      Object.assign(sessions.find(row => row.id === params[1]), { is_active: false, revoked_at: new Date(), revoked_reason: params[0] });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('SELECT login_notifications FROM user_account_settings')) {
+      return [accountSettings.has(params[0]) ? [{ login_notifications: accountSettings.get(params[0]) }] : []];
+    }
+    if (sql.startsWith('INSERT INTO notifications')) {
+      notifications.push({ user_id: params[0], message: params[1], data: JSON.parse(params[2]) });
+      return [{ affectedRows: 1 }];
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { execute, sessions, notifications, accountSettings };
+}
+
+function createFakeIo() {
+  const emitted = [];
+  const disconnected = [];
+  return {
+    emitted,
+    disconnected,
+    to: room => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+    in: room => ({ disconnectSockets: () => disconnected.push(room) })
+  };
+}
+
+describe('SessionStore', () => {
+  let store;
+  let db;
+  let redis;
+  let io;
+
+  beforeEach(() => {
+    db = createFakeDb();
+    redis = createFakeRedis();
+    io = createFakeIo();
+    store = new SessionStore(db, redis, logger, { secret: SECRET });
+    store.io = io;
+  });
+
+  it('should start a session per device with a refresh token for it', async () => {
+    const { session, refreshToken } = await store.create(USER_ID, { ipAddress: '203.0.113.7', userAgent: LAPTOP });
+
+    expect(session).toMatchObject({
+      device: { browser: 'Safari', os: 'macOS', type: 'desktop' },
+      ipAddress: '203.0.113.7',
+      userAgent: LAPTOP,
+      current: true
+    });
+    expect(jwt.verify(refreshToken, store.config.refreshSecret, { audience: 'refresh' })).toMatchObject({ userId: USER_ID, type: 'refresh', sid: session.id });
+    expect(() => jwt.verify(refreshToken, SECRET)).toThrow();
+    expect(db.sessions[0].refresh_token_hash).toHaveLength(64);
+    expect(db.sessions[0].refresh_token_hash).not.toContain(refreshToken);
+
+    const phone = await store.create(USER_ID, { userAgent: PHONE });
+    expect(phone.session.device).toEqual({ browser: 'Chrome', os: 'Android', type: 'mobile' });
+  });
+
+  it('should rotate refresh tokens and sign the session out when one is reused', async () => {
+    const { session, refreshToken } = await store.create(USER_ID, { userAgent: LAPTOP });
+
+    const first = await store.rotate(refreshToken, { ipAddress: '198.51.100.4' });
+    expect(first).toMatchObject({ userId: USER_ID, sessionId: session.id });
+    expect(first.refreshToken).not.toBe(refreshToken);
+    expect(db.sessions[0].ip_address).toBe('198.51.100.4');
+
+    const second = await store.rotate(first.refreshToken);
+
+    // A copy of an old token: the whole family goes
+    await expect(store.rotate(refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Refresh token was already used. Please sign in again.',
+      reuse: { userId: USER_ID, sessionId: session.id }
+    });
+    expect(db.sessions[0]).toMatchObject({ is_active: false, revoked_reason: 'refresh_token_reuse' });
+    expect(await store.isRevoked(session.id)).toBe(true);
+    expect(io.disconnected).toEqual([`session:${session.id}`]);
+
+    await expect(store.rotate(second.refreshToken)).rejects.toThrow('Session has been signed out');
+    await expect(store.rotate('not-a-token')).rejects.toThrow('Invalid refresh token');
+    await expect(store.rotate(jwt.sign({ userId: USER_ID, sid: session.id }, SECRET))).rejects.toThrow('Invalid refresh token');
+    await expect(store.rotate(jwt.sign({ userId: USER_ID, type: 'refresh', sid: session.id }, SECRET))).rejects.toThrow('Invalid refresh token');
+  });
+
+  it('should list devices and sign out one or all the others', async () => {
+    const laptop = await store.create(USER_ID, { ipAddress: '203.0.113.7', userAgent: LAPTOP });
+    const phone = await store.create(USER_ID, { userAgent: PHONE });
+    const studio = await store.create(USER_ID, { userAgent: STUDIO });
+    const foreign = await store.create(OTHER_ID, { userAgent: LAPTOP });
+
+    const list = await store.list(USER_ID, phone.session.id);
+    expect(list.map(session => session.device.browser)).toEqual(['Edge', 'Chrome', 'Safari']);
+    expect(list.filter(session => session.current).map(session => session.id)).toEqual([phone.session.id]);
+    expect(list[2]).toMatchObject({ ipAddress: '203.0.113.7', lastSeenAt: expect.any(Date), createdAt: expect.any(Date) });
+
+    await expect(store.revoke(USER_ID, foreign.session.id)).rejects.toMatchObject({ statusCode: 404 });
+    await store.revoke(USER_ID, studio.session.id, 'remote_sign_out');
+    expect(io.emitted).toContainEqual({
+      room: `user:${USER_ID}`,
+      event: 'session:revoked',
+      data: { sessionId: studio.session.id, reason: 'remote_sign_out' }
+    });
+    await expect(store.revoke(USER_ID, studio.session.id)).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(await store.revokeOthers(USER_ID, phone.session.id)).toBe(1);
+    expect((await store.list(USER_ID, phone.session.id)).map(session => session.id)).toEqual([phone.session.id]);
+    await expect(store.rotate(laptop.refreshToken)).rejects.toThrow('Session has been signed out');
+    expect(await store.list(OTHER_ID)).toHaveLength(1);
+  });
+
+  it('should sign out the least recently used session past the limit', async () => {
+    store.config.maxConcurrent = 3;
+    const first = await store.create(USER_ID, { userAgent: LAPTOP });
+    const second = await store.create(USER_ID, { userAgent: LAPTOP });
+    await store.create(USER_ID, { userAgent: LAPTOP });
+
+    // Using the first keeps it
+    await store.rotate(first.refreshToken);
+    await store.create(USER_ID, { userAgent: LAPTOP });
+
+    const active = (await store.list(USER_ID)).map(session => session.id);
+    expect(active).toHaveLength(3);
+    expect(active).toContain(first.session.id);
+    expect(active).not.toContain(second.session.id);
+    expect(db.sessions.find(row => row.id === second.session.id).revoked_reason).toBe('session_limit');
+  });
+
+  it('should notify the user of sign-ins from new devices', async () => {
+    // The first sign-in, and the same device again, are not news
+    await store.create(USER_ID, { userAgent: LAPTOP });
+    await store.create(USER_ID, { userAgent: LAPTOP });
+    expect(db.notifications).toEqual([]);
+
+    const { session } = await store.create(USER_ID, { ipAddress: '192.0.2.55', userAgent: STUDIO });
+    expect(db.notifications).toEqual([{
+      user_id: USER_ID,
+      message: expect.stringContaining('New sign-in with Edge on Windows from 192.0.2.55'),
+      data: { sessionId: session.id, device: { browser: 'Edge', os: 'Windows', type: 'desktop' }, ipAddress: '192.0.2.55' }
+    }]);
+    expect(io.emitted).toContainEqual(expect.objectContaining({ room: `user:${USER_ID}`, event: 'security:new_device' }));
+
+    db.accountSettings.set(USER_ID, false);
+    await store.create(USER_ID, { userAgent: PHONE });
+    expect(db.notifications).toHaveLength(1);
+  });
+
+  it('should let AuthMiddleware refuse tokens of signed-out sessions', async () => {
+    const auth = new AuthMiddleware({ jwtSecret: SECRET });
+    auth.sessions = store;
+    const app = express();
+    app.get('/me', auth.authorize(), (req, res) => res.json({ sid: req.user.sid }));
+
+    const { session } = await store.create(USER_ID, { userAgent: LAPTOP });
+    const accessToken = jwt.sign({ userId: USER_ID, role: 'user', sid: session.id }, SECRET);
+
+    const before = await request(app).get('/me').set('Authorization', `Bearer ${accessToken}`);
+    expect(before.status).toBe(200);
+    expect(before.body).toEqual({ sid: session.id });
+
+    await store.revoke(USER_ID, session.id);
+    const after = await request(app).get('/me').set('Authorization', `Bearer ${accessToken}`);
+    expect(after.status).toBe(401);
+    expect(after.body.error).toBe('Session has been signed out');
+    expect(redis.ttls.get(`revoked_session:${session.id}`)).toBeGreaterThanOrEqual(store.config.refreshTTL);
+
+    // Tokens without a session still work
+    const legacy = await request(app).get('/me').set('Authorization', `Bearer ${jwt.sign({ id: 5, role: 'user' }, SECRET)}`);
+    expect(legacy.status).toBe(200);
+
+    const socket = { handshake: { auth: { token: accessToken } } };
+    const error = await new Promise(resolve => auth.authenticateSocket(socket, resolve));
+    expect(error).toMatchObject({ message: 'Session has been signed out', data: { status: 401 } });
+  });
+
+  it('should refuse tokens with a session when the revocation lookup fails', async () => {
+    const auth = new AuthMiddleware({ jwtSecret: SECRET });
+    auth.sessions = store;
+    const app = express();
+    app.get('/me', auth.authorize(), (req, res) => res.json({ userId: req.user.id }));
+
+    const { session } = await store.create(USER_ID, { userAgent: LAPTOP });
+    const accessToken = jwt.sign({ userId: USER_ID, role: 'user', sid: session.id }, SECRET);
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    redis.get = async () => {
+      throw new Error('Redis connection lost');
+    };
+
+    const response = await request(app).get('/me').set('Authorization', `Bearer ${accessToken}`);
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Could not check session, please try again');
+    expect(await auth.verifyActiveToken(accessToken)).toBeNull();
+
+    const socket = { handshake: { auth: { token: accessToken } } };
+    const error = await new Promise(resolve => auth.authenticateSocket(socket, resolve));
+    expect(error).toMatchObject({ message: 'Could not check session, please try again', data: { status: 401 } });
+
+    // Tokens without a session never needed the lookup
+    const legacy = await request(app).get('/me').set('Authorization', `Bearer ${jwt.sign({ id: 5, role: 'user' }, SECRET)}`);
+    expect(legacy.status).toBe(200);
+    consoleError.mockRestore();
+  });
+
+  it('should not accept refresh tokens as access tokens', async () => {
+    const auth = new AuthMiddleware({ jwtSecret: SECRET });
+    auth.sessions = store;
+    const app = express();
+    app.get('/me', auth.authorize(), (req, res) => res.json({ sid: req.user.sid }));
+
+    const { session, refreshToken } = await store.create(USER_ID, { userAgent: LAPTOP });
+    // Even one signed with the access token secret
+    const sameSecret = jwt.sign({ userId: USER_ID, type: 'refresh', sid: session.id }, SECRET);
+
+    for (const token of [refreshToken, sameSecret]) {
+      const response = await request(app).get('/me').set('Authorization', `Bearer ${token}`);
+      expect(response.status).toBe(401);
+      expect(auth.verifySocketToken(token)).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Unit Tests for SFU mode
+ *
+ * Headless werift peers publish and subscribe over localhost through
+ * WebRTCSignaling and a real SelectiveForwardingUnit.
+ *
+ * Covers:
+ * - Publishing once and forwarding to every other participant and viewer
+ * - Simulcast layers chosen from QualityManager.analyzeNetworkCondition
+ * - Keyframe-aligned layer switches with continuous sequence numbers
+ * - Renegotiating subscribers when a guest publishes or leaves
+ * - Role and mode checks, and only the stream's owner broadcasting
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const {
+  RTCPeerConnection,
+  RtpPacket,
+  RtpHeader,
+  useVP8,
+  useOPUS,
+  useSdesMid,
+  useSdesRTPStreamId,
+  RTP_EXTENSION_URI
+} = require('werift');
+const WebRTCSignaling = require('../../src/WebRTCSignaling');
+const QualityManager = require('../../src/QualityManager');
+const SelectiveForwardingUnit = require('../../src/sfu/SelectiveForwardingUnit');
+const AuthMiddleware = require('../../src/middleware/AuthMiddleware');
+const { logger, createFakeIo, createSocket } = require('../helpers/fakes');
+
+const STREAM_ID = '3e7a9c2d-8b1f-4d6e-a5c0-7f2e9b4d1a63';
+const LAYERS = ['low', 'medium', 'high'];
+
+const POOR_NETWORK = { bandwidth: 600, latency: 400, packetLoss: 3 };
+const EXCELLENT_NETWORK = { bandwidth: 8000, latency: 20, packetLoss: 0 };
+
+/**
+ * A headless participant or viewer
+ */
+function createPeer() {
+  return new RTCPeerConnection({
+    codecs: { video: [useVP8()], audio: [useOPUS()] },
+    headerExtensions: { video: [useSdesMid(), useSdesRTPStreamId()], audio: [useSdesMid()] },
+    iceServers: []
+  });
+}
+
+function waitFor(check, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = () => {
+      const value = check();
+      if (value) {
+        resolve(value);
+      } else if (Date.now() - started > timeout) {
+        reject(new Error('Timed out waiting for condition'));
+      } else {
+        setTimeout(poll, 20);
+      }
+    };
+    poll();
+  });
+}
+
+async function createOffer(pc) {
+  await pc.setLocalDescription(await pc.createOffer());
+  await waitFor(() => pc.iceGatheringState === 'complete');
+  return { type: 'offer', sdp: pc.localDescription.sdp };
+}
+
+async function createAnswer(pc, offer) {
+  await pc.setRemoteDescription(offer);
+  await pc.setLocalDescription(await pc.createAnswer());
+  await waitFor(() => pc.iceGatheringState === 'complete');
+  return { type: 'answer', sdp: pc.localDescription.sdp };
+}
+
+/**
+ * Send VP8-shaped packets on each layer; the last payload byte names the
+ * layer and every fifth frame is a keyframe
+ */
+function startSending(transceiver, rids) {
+  const ridExtension = transceiver.headerExtensions.find(ext => ext.uri === RTP_EXTENSION_URI.sdesRTPStreamID);
+  let frame = 0;
+
+  const timer = setInterval(() => {
+    const keyframe = frame % 5 === 0;
+    rids.forEach((rid, index) => {
+      const header = new RtpHeader({
+        sequenceNumber: (frame + index * 1000) & 0xffff,
+        timestamp: frame * 3000,
+        payloadType: 96,
+        marker: true,
+        extensions: rid ? [{ id: ridExtension.id, payload: Buffer.from(rid) }] : []
+      });
+      transceiver.sender.sendRtp(new RtpPacket(header, Buffer.from([0x10, keyframe ? 0x00 : 0x01, 0x9d, index])))
+        .catch(() => {});
+    });
+    frame++;
+  }, 20);
+
+  return () => clearInterval(timer);
+}
+
+describe('SFU mode', () => {
+  let signaling;
+  let sfu;
+  let peers;
+  let stops;
+
+  const join = async (socketId, userId, role, mode) => {
+    const socket = createSocket(socketId);
+    socket.user = { id: userId, role: 'creator' };
+    signaling.handleConnection(socket);
+    await signaling.handleJoinStream(socket, { streamId: STREAM_ID, role, mode });
+    return socket;
+  };
+
+  const publish = async (socket, { rids = [null] } = {}) => {
+    const pc = createPeer();
+    peers.push(pc);
+    const simulcast = rids[0] ? rids.map(rid => ({ rid, direction: 'send' })) : undefined;
+    const transceiver = pc.addTransceiver('video', { direction: 'sendonly', simulcast });
+
+    await signaling.handleSfuPublish(socket, { streamId: STREAM_ID, offer: await createOffer(pc) });
+    const { answer } = socket.last('sfu:answer').data;
+    await pc.setRemoteDescription(answer);
+    await waitFor(() => pc.connectionState === 'connected');
+
+    stops.push(startSending(transceiver, rids));
+    return pc;
+  };
+
+  // Viewer that records the last payload byte of every packet per track
+  const subscribe = async (socket, networkStats) => {
+    const pc = createPeer();
+    peers.push(pc);
+    const received = new Map();
+
+    pc.onTrack.subscribe((track) => {
+      const packets = [];
+      received.set(track, packets);
+      track.onReceiveRtp.subscribe(rtp => packets.push({
+        layer: rtp.payload[rtp.payload.length - 1],
+        sequenceNumber: rtp.header.sequenceNumber
+      }));
+    });
+
+    await signaling.handleSfuSubscribe(socket, { streamId: STREAM_ID, networkStats });
+    const { offer } = socket.last('sfu:offer').data;
+    await signaling.handleSfuAnswer(socket, { streamId: STREAM_ID, answer: await createAnswer(pc, offer) });
+    await waitFor(() => pc.connectionState === 'connected');
+
+    return { pc, received };
+  };
+
+  beforeEach(() => {
+    peers = [];
+    stops = [];
+    signaling = new WebRTCSignaling(createFakeIo(), logger);
+    signaling.authMiddleware = new AuthMiddleware({ jwtSecret: 'test-secret' });
+    signaling.authMiddleware.registerOwnership('stream', async () => 7);
+    sfu = new SelectiveForwardingUnit(new QualityManager(logger, null), logger);
+    signaling.attachSfu(sfu);
+  });
+
+  afterEach(async () => {
+    stops.forEach(stop => stop());
+    await sfu.close();
+    await Promise.all(peers.map(pc => pc.close()));
+  });
+
+  it('should forward the simulcast layer chosen from the viewer network', async () => {
+    const host = await join('host', 7, 'broadcaster', 'sfu');
+    await publish(host, { rids: LAYERS });
+    expect(host.last('sfu:answer').data.tracks[0].layers).toEqual(LAYERS);
+
+    const viewerSocket = await join('viewer', 30, 'viewer');
+    expect(viewerSocket.last('webrtc:joined').data.mode).toBe('sfu');
+    const viewer = await subscribe(viewerSocket, POOR_NETWORK);
+    expect(viewerSocket.last('sfu:offer').data.condition).toBe('poor');
+
+    const packets = await waitFor(() => {
+      const [list] = viewer.received.values();
+      return list && list.length >= 10 && list;
+    });
+    expect(new Set(packets.map(packet => packet.layer))).toEqual(new Set([0]));
+
+    await signaling.handleSfuNetworkStats(viewerSocket, { streamId: STREAM_ID, ...EXCELLENT_NETWORK });
+    const { condition, layers } = viewerSocket.last('sfu:layers').data;
+    expect(condition).toBe('excellent');
+    expect(Object.values(layers)).toEqual(['high']);
+
+    await waitFor(() => packets.filter(packet => packet.layer === 2).length >= 5);
+    const switchedAt = packets.findIndex(packet => packet.layer === 2);
+
+    // Nothing from the middle layer, and no gap or repeat across the switch
+    expect(packets.some(packet => packet.layer === 1)).toBe(false);
+    expect(packets.slice(switchedAt).every(packet => packet.layer === 2)).toBe(true);
+    for (let i = 1; i < packets.length; i++) {
+      expect(packets[i].sequenceNumber).toBe((packets[i - 1].sequenceNumber + 1) & 0xffff);
+    }
+
+    expect(sfu.getRoomStats(STREAM_ID).subscribers[0]).toMatchObject({ userId: 30, condition: 'excellent' });
+  }, 30000);
+
+  it('should renegotiate viewers when a guest publishes and leaves', async () => {
+    const host = await join('host', 7, 'broadcaster', 'sfu');
+    await publish(host);
+
+    const viewerSocket = await join('viewer', 30, 'viewer');
+    const viewer = await subscribe(viewerSocket, EXCELLENT_NETWORK);
+    expect(viewer.received.size).toBe(1);
+
+    // The guest subscribes as well and never gets its own track back
+    const guestSocket = await join('guest', 31, 'guest');
+    const guest = await subscribe(guestSocket, EXCELLENT_NETWORK);
+    await publish(guestSocket);
+
+    const renegotiation = signaling.io.emitted.find(entry => entry.room === 'viewer' && entry.event === 'sfu:offer');
+    expect(renegotiation.data.renegotiation).toBe(true);
+    await signaling.handleSfuAnswer(viewerSocket, {
+      streamId: STREAM_ID,
+      answer: await createAnswer(viewer.pc, renegotiation.data.offer)
+    });
+
+    await waitFor(() => viewer.received.size === 2 && [...viewer.received.values()].every(list => list.length > 0));
+    expect(guest.received.size).toBe(1);
+    expect(signaling.io.emitted.some(entry => entry.room === 'guest' && entry.event === 'sfu:offer')).toBe(false);
+    expect(sfu.getRoomStats(STREAM_ID).publishers.map(publisher => publisher.tracks[0].subscribers)).toEqual([2, 1]);
+
+    signaling.handleLeaveStream(guestSocket, {});
+    await waitFor(() => signaling.io.emitted.filter(entry => entry.room === 'viewer' && entry.event === 'sfu:offer').length === 2);
+    expect(sfu.getRoomStats(STREAM_ID).publishers.map(publisher => publisher.userId)).toEqual([7]);
+  }, 30000);
+
+  it('should only let broadcasters and guests publish in sfu mode', async () => {
+    const host = await join('host', 7, 'broadcaster');
+    const offer = { type: 'offer', sdp: 'v=0' };
+
+    await signaling.handleSfuPublish(host, { streamId: STREAM_ID, offer });
+    expect(host.last('webrtc:error').data.message).toBe('This stream is not in SFU mode');
+
+    await signaling.handleJoinStream(host, { streamId: STREAM_ID, role: 'broadcaster', mode: 'sfu' });
+    const viewer = await join('viewer', 30, 'viewer');
+
+    // Broadcasting takes owning the stream, and guests have to sign in
+    const impostor = await join('impostor', 30, 'broadcaster');
+    expect(impostor.last('webrtc:error').data.message).toBe('Not allowed to join as broadcaster');
+    const anonymous = createSocket('anonymous');
+    anonymous.user = null;
+    await signaling.handleJoinStream(anonymous, { streamId: STREAM_ID, role: 'guest' });
+    expect(anonymous.last('webrtc:error').data.message).toBe('Not allowed to join as guest');
+
+    await signaling.handleSfuPublish(viewer, { streamId: STREAM_ID, offer });
+    expect(viewer.last('webrtc:error').data.message).toBe('Only broadcasters and guests can publish');
+
+    await signaling.handleSfuPublish(host, { streamId: STREAM_ID, offer: { type: 'answer' } });
+    expect(host.last('webrtc:error').data.message).toBe('A publish offer is required');
+
+    await signaling.handleSfuNetworkStats(viewer, { streamId: STREAM_ID, bandwidth: 5000 });
+    expect(viewer.last('webrtc:error').data.message).toBe('Bandwidth, latency and packet loss are required');
+
+    await signaling.handleJoinStream(host, { streamId: STREAM_ID, role: 'broadcaster', mode: 'p2p' });
+    expect(host.last('webrtc:error').data.message).toBe('Mode must be one of: mesh, sfu');
+  });
+
+  it('should map network conditions onto the available layers', () => {
+    const { selectLayer } = SelectiveForwardingUnit;
+
+    expect(['excellent', 'good', 'fair', 'poor'].map(condition => selectLayer(condition, LAYERS)))
+      .toEqual(['high', 'high', 'medium', 'low']);
+    expect(selectLayer('fair', ['low', 'high'])).toBe('low');
+    expect(selectLayer('poor', [null])).toBe(null);
+  });
+});
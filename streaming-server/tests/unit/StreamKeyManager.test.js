@@ -0,0 +1,291 @@
+/**
+ * Unit Tests for StreamKeyManager
+ *
+ * Runs the manager, and the StreamManager publish checks built on it,
+ * against in-memory stream_keys, stream_publish_audit and live_streams
+ * tables and a Map-backed Redis, to cover:
+ * - Rotation with a grace period, expiry and one-time backup keys
+ * - IP allowlists with CIDR ranges
+ * - Auditing every publish attempt
+ * - The cached lookup and its invalidation
+ * - Revoking a key that is publishing
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const StreamKeyManager = require('../../src/StreamKeyManager');
+const StreamManager = require('../../src/StreamManager');
+
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+const STREAM_KEY = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+const HOST_ID = 7;
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function createFakeDb() {
+  const keys = new Map();
+  const audit = [];
+  const streams = new Map([[STREAM_ID, { id: STREAM_ID, user_id: HOST_ID, stream_key: STREAM_KEY, status: 'scheduled' }]]);
+  const queries = [];
+
+  const execute = async (query, params = []) => {
+    const sql = query.replace(/\s+/g, ' ').trim();
+    queries.push(sql);
+
+    if (sql.startsWith('INSERT INTO stream_keys')) {
+      const columns = sql.match(/\(([^)]+)\) VALUES/)[1].split(',').map(column => column.trim());
+      const row = {};
+      columns.forEach((column, index) => { row[column] = params[index]; });
+      keys.set(row.id, { status: 'active', ...row });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('INSERT INTO live_streams')) {
+      streams.set(params[0], { id: params[0], user_id: params[1], title: params[2], stream_key: params[4], status: 'scheduled' });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('INSERT INTO stream_publish_audit')) {
+      const [streamId, keyId, keyPrefix, ip, sessionId, result, reason] = params;
+      audit.push({ id: audit.length + 1, stream_id: streamId, key_id: keyId, key_prefix: keyPrefix, ip_address: ip, session_id: sessionId, result, reason, created_at: new Date() });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('SELECT k.*, s.stream_key FROM stream_keys k')) {
+      const row = [...keys.values()].find(key => key.key_hash === params[0]);
+      return [row ? [{ ...row, stream_key: streams.get(row.stream_id).stream_key }] : []];
+    }
+    if (sql.startsWith('SELECT * FROM stream_keys WHERE id = ?')) {
+      return [keys.has(params[0]) ? [{ ...keys.get(params[0]) }] : []];
+    }
+    if (sql.startsWith('SELECT * FROM stream_keys WHERE stream_id = ?')) {
+      return [[...keys.values()].filter(row => row.stream_id === params[0]).reverse().map(row => ({ ...row }))];
+    }
+    if (sql.startsWith('UPDATE stream_keys SET expires_at = ?, rotated_at = ?')) {
+      Object.assign(keys.get(params[2]), { expires_at: params[0], rotated_at: params[1] });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('UPDATE stream_keys SET allowed_ips = ?')) {
+      Object.assign(keys.get(params[2]), { allowed_ips: params[0], expires_at: params[1] });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('UPDATE stream_keys SET status = ?, revoked_at')) {
+      Object.assign(keys.get(params[4]), { status: params[0], revoked_at: params[1], revoked_reason: params[2], revoked_by: params[3] });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('UPDATE stream_keys SET status = ?, last_used_at')) {
+      const row = keys.get(params[2]);
+      if (!row || row.status !== params[3]) {
+        return [{ affectedRows: 0 }];
+      }
+      Object.assign(row, { status: params[0], last_used_at: new Date(), last_used_ip: params[1] });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('UPDATE stream_keys SET last_used_at')) {
+      Object.assign(keys.get(params[1]), { last_used_at: new Date(), last_used_ip: params[0] });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('SELECT a.*, k.type AS key_type FROM stream_publish_audit')) {
+      return [audit.filter(row => row.stream_id === params[0]).reverse().map(row => ({
+        ...row,
+        key_type: keys.has(row.key_id) ? keys.get(row.key_id).type : null
+      }))];
+    }
+    if (sql.startsWith('SELECT id, user_id, title, description, status')) {
+      const row = [...streams.values()].find(stream => stream.stream_key === params[0]);
+      return [row ? [{ ...row }] : []];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { keys, audit, streams, queries, execute };
+}
+
+function createFakeRedis() {
+  const store = new Map();
+  return {
+    store,
+    async get(key) { return store.has(key) ? store.get(key) : null; },
+    async setEx(key, ttl, value) { store.set(key, value); },
+    async del(key) { store.delete(key); }
+  };
+}
+
+describe('StreamKeyManager', () => {
+  let db;
+  let redis;
+  let streamManager;
+  let keys;
+  let publishKey;
+
+  beforeEach(async () => {
+    db = createFakeDb();
+    redis = createFakeRedis();
+    streamManager = new StreamManager(db, redis, logger);
+    keys = streamManager.streamKeys;
+
+    // What createStream issues for a new stream
+    ({ key: publishKey } = await keys.issueKey(STREAM_ID, { createdBy: HOST_ID }));
+  });
+
+  const publish = (publishKey, ip = '203.0.113.10', sessionId = 'session-1') =>
+    streamManager.validateStreamKey(publishKey, { ip, sessionId });
+
+  it('should publish new streams with a secret key, not their public stream key', async () => {
+    const created = await streamManager.createStream(HOST_ID, { title: 'Launch' });
+
+    expect(created.publishKey).toHaveLength(32);
+    expect(created.publishKey).not.toBe(created.streamKey);
+    expect(created.rtmpUrl).toBe(`rtmp://localhost:1935/live/${created.publishKey}`);
+    expect(created.hlsUrl).not.toContain(created.publishKey);
+
+    expect(await publish(created.streamKey, undefined, 'public-key')).toBeNull();
+    expect(await publish(created.publishKey, undefined, 'secret-key')).toMatchObject({ streamId: created.id, streamKey: created.streamKey });
+  });
+
+  it('should store only hashes and return the plain key once', async () => {
+    const rotated = await keys.rotateKey(STREAM_ID, { createdBy: HOST_ID });
+    const row = db.keys.get(rotated.id);
+
+    expect(rotated.key).toHaveLength(32);
+    expect(row.key_hash).toBe(StreamKeyManager.hashKey(rotated.key));
+    expect(Object.values(row)).not.toContain(rotated.key);
+
+    const listed = await keys.listKeys(STREAM_ID);
+    expect(listed.map(key => key.type)).toEqual(['primary', 'primary']);
+    listed.forEach((key) => {
+      expect(key).not.toHaveProperty('key');
+      expect(key).not.toHaveProperty('hash');
+    });
+  });
+
+  it('should keep a rotated key working until its grace period ends', async () => {
+    const rotated = await keys.rotateKey(STREAM_ID, { gracePeriod: 60 * 1000 });
+
+    // Both keys publish to the stream's own key
+    expect(await publish(publishKey)).toMatchObject({ streamId: STREAM_ID, streamKey: STREAM_KEY });
+    expect(await publish(rotated.key, undefined, 'session-2')).toMatchObject({ streamKey: STREAM_KEY, keyId: rotated.id });
+
+    const [, old] = await keys.listKeys(STREAM_ID);
+    expect(old.rotatedAt).toBeInstanceOf(Date);
+    expect(old.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+
+    // Grace period over
+    db.keys.get(old.id).expires_at = new Date(Date.now() - 1000);
+    await keys.invalidateKey(db.keys.get(old.id).key_hash);
+    expect(await publish(publishKey, undefined, 'session-3')).toBeNull();
+    expect(db.audit[db.audit.length - 1]).toMatchObject({ result: 'rejected', reason: 'key_expired', key_id: old.id });
+
+    await expect(keys.rotateKey(STREAM_ID, { gracePeriod: -1 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(keys.issueKey(STREAM_ID, { expiresAt: '2001-01-01T00:00:00Z' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should let a backup key publish exactly once', async () => {
+    const [backup] = await keys.createBackupKeys(STREAM_ID, { count: 1 });
+
+    const [first, second] = await Promise.all([
+      publish(backup.key, undefined, 'session-1'),
+      publish(backup.key, undefined, 'session-2')
+    ]);
+
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    expect(db.keys.get(backup.id).status).toBe('used');
+    expect(await publish(backup.key, undefined, 'session-3')).toBeNull();
+    expect(db.audit.map(row => row.reason).filter(Boolean).sort()).toEqual(['key_used', 'key_used']);
+
+    keys.config.maxBackupKeys = 2;
+    await keys.createBackupKeys(STREAM_ID, { count: 2 });
+    await expect(keys.createBackupKeys(STREAM_ID)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should only accept publishes from allowed addresses', async () => {
+    const [primary] = await keys.listKeys(STREAM_ID);
+    await keys.updateKey(primary.id, { allowedIps: ['198.51.100.0/24', '2001:db8::/32'] });
+
+    expect(await publish(publishKey, '198.51.100.25', 's1')).not.toBeNull();
+    expect(await publish(publishKey, '::ffff:198.51.100.26', 's2')).not.toBeNull();
+    expect(await publish(publishKey, '2001:db8:0:1::5', 's3')).not.toBeNull();
+    expect(await publish(publishKey, '198.51.101.1', 's4')).toBeNull();
+    expect(await publish(publishKey, '2001:db9::1', 's5')).toBeNull();
+
+    expect(StreamKeyManager.ipMatches('10.0.0.1', '10.0.0.1')).toBe(true);
+    expect(StreamKeyManager.ipMatches('10.0.0.2', '10.0.0.1')).toBe(false);
+    expect(StreamKeyManager.ipMatches('10.1.2.3', '0.0.0.0/0')).toBe(true);
+    await expect(keys.updateKey(primary.id, { allowedIps: ['10.0.0.0/33'] })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(keys.updateKey(primary.id, { allowedIps: ['not-an-ip'] })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should audit every publish attempt', async () => {
+    await publish(publishKey, '203.0.113.10', 'ok');
+    await publish('guessed-key', '192.0.2.1', 'guess');
+    db.streams.get(STREAM_ID).status = 'ended';
+    await redis.del(`stream:${STREAM_KEY}`);
+    await publish(publishKey, '203.0.113.10', 'ended');
+
+    const attempts = await keys.listPublishAttempts(STREAM_ID);
+    expect(attempts.map(attempt => [attempt.sessionId, attempt.result, attempt.reason])).toEqual([
+      ['ended', 'rejected', 'stream_not_available'],
+      ['ok', 'accepted', null]
+    ]);
+    expect(attempts[1]).toMatchObject({ keyType: 'primary', keyPrefix: publishKey.slice(0, 4), ip: '203.0.113.10' });
+
+    // Unknown keys are audited without a stream
+    expect(db.audit[1]).toMatchObject({ stream_id: null, key_prefix: 'gues', ip_address: '192.0.2.1', reason: 'unknown_key' });
+  });
+
+  it('should serve lookups from the cache until a key changes', async () => {
+    const lookups = () => db.queries.filter(sql => sql.startsWith('SELECT k.*')).length;
+
+    await keys.findKey(publishKey);
+    await keys.findKey(publishKey);
+    expect(lookups()).toBe(1);
+
+    // Misses are cached too
+    await keys.findKey('guessed-key');
+    await keys.findKey('guessed-key');
+    expect(lookups()).toBe(2);
+
+    const [primary] = await keys.listKeys(STREAM_ID);
+    await keys.revokeKey(primary.id);
+    expect(await keys.findKey(publishKey)).toMatchObject({ status: 'revoked' });
+    expect(lookups()).toBe(3);
+  });
+
+  it('should announce revocations so a running publish can be ended', async () => {
+    const revoked = [];
+    keys.on('revoked', event => revoked.push(event));
+
+    const [backup] = await keys.createBackupKeys(STREAM_ID);
+    await publish(publishKey, undefined, 'primary-session');
+    await publish(backup.key, undefined, 'backup-session');
+
+    const [primary] = (await keys.listKeys(STREAM_ID)).filter(key => key.type === 'primary');
+    expect(await streamManager.getSessionsUsingKey(primary.id)).toEqual(['primary-session']);
+
+    const result = await keys.revokeKey(primary.id, { reason: 'Leaked on stream', revokedBy: HOST_ID });
+    expect(result).toMatchObject({ status: 'revoked', revokedReason: 'Leaked on stream' });
+    expect(revoked).toEqual([{ keyId: primary.id, streamId: STREAM_ID }]);
+    expect(db.keys.get(primary.id).revoked_by).toBe(HOST_ID);
+
+    // The stream itself is untouched and can publish again with a new key
+    expect(db.streams.has(STREAM_ID)).toBe(true);
+    await expect(keys.updateKey(primary.id, { allowedIps: [] })).rejects.toMatchObject({ statusCode: 409 });
+    expect(await publish(publishKey, undefined, 'retry')).toBeNull();
+    const rotated = await keys.rotateKey(STREAM_ID);
+    expect(await publish(rotated.key, undefined, 'new-session')).toMatchObject({ streamKey: STREAM_KEY });
+
+    // Ending a publish forgets its session
+    expect(await streamManager.endPublishSession('backup-session')).toMatchObject({ keyId: backup.id });
+    expect(await streamManager.getPublishSession('backup-session')).toBeNull();
+  });
+
+  it('should announce revocations through the cluster when there is one', async () => {
+    const published = [];
+    keys.cluster = {
+      publish: async (channel, message) => published.push({ channel, message }),
+      subscribe: async () => {},
+      unsubscribe: async () => {}
+    };
+
+    const [primary] = await keys.listKeys(STREAM_ID);
+    await keys.revokeKey(primary.id);
+
+    expect(published).toEqual([{ channel: 'stream-keys', message: { keyId: primary.id, streamId: STREAM_ID } }]);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Unit Tests for StreamScheduler
+ *
+ * Runs the scheduler against a small in-memory stand-in for the
+ * stream_schedules and live_streams tables to cover:
+ * - Schedule validation and ownership
+ * - Reminder offsets
+ * - Starting, auto-starting and missing occurrences
+ * - Recurring schedules, rescheduling and cancellation
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const StreamScheduler = require('../../src/StreamScheduler');
+
+const STREAM_ID = '0b7e4a52-8a9e-4a36-a7a3-7d1b0f9b2c44';
+const HOST_ID = 7;
+const MINUTE = 60000;
+
+/**
+ * Just enough of the schema to follow a schedule through its lifecycle
+ */
+function createFakeDb() {
+  const schedules = new Map();
+  const streams = new Map([[STREAM_ID, {
+    id: STREAM_ID, user_id: HOST_ID, title: 'Weekly show', description: '', stream_key: 'key-1', status: 'ended', scheduled_start: null
+  }]]);
+
+  const assign = (row, sql, params) => {
+    const set = sql.match(/SET (.+?) WHERE/)[1];
+    let index = 0;
+    for (const part of set.split(/, (?![^(]*\))/)) {
+      const [column, value] = part.split(' = ');
+      if (value === '?') {
+        row[column] = params[index++];
+      } else if (value === 'version + 1') {
+        row.version++;
+      } else if (value === 'COALESCE(?, status)') {
+        row.status = params[index++] || row.status;
+      } else if (value === 'NULL') {
+        row[column] = null;
+      } else if (value.startsWith('\'')) {
+        row[column] = value.slice(1, -1);
+      }
+    }
+    return index;
+  };
+
+  const execute = async (query, params = []) => {
+    const sql = query.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('INSERT INTO stream_schedules')) {
+      const columns = sql.match(/\(([^)]+)\) VALUES/)[1].split(',').map(c => c.trim());
+      const row = {};
+      columns.forEach((column, i) => { row[column] = params[i]; });
+      schedules.set(row.id, row);
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('SELECT * FROM stream_schedules WHERE id = ?')) {
+      return [schedules.has(params[0]) ? [{ ...schedules.get(params[0]) }] : []];
+    }
+    if (sql.includes('next_reminder_at <= ?')) {
+      return [[...schedules.values()]
+        .filter(row => row.status === 'scheduled' && row.next_reminder_at && row.next_reminder_at <= params[0])
+        .map(row => ({ ...row }))];
+    }
+    if (sql.includes('scheduled_time <= ?')) {
+      return [[...schedules.values()]
+        .filter(row => row.status === 'scheduled' && row.scheduled_time <= params[0])
+        .map(row => ({ ...row }))];
+    }
+    if (sql.startsWith('SELECT * FROM stream_schedules WHERE user_id = ?')) {
+      return [[...schedules.values()].filter(row => row.user_id === params[0]).map(row => ({ ...row }))];
+    }
+    if (sql.startsWith('SELECT COUNT(*)')) {
+      const count = [...schedules.values()].filter(row => row.stream_id === params[0] && row.status === params[1]).length;
+      return [[{ count }]];
+    }
+    if (sql.startsWith('UPDATE stream_schedules')) {
+      const row = schedules.get(params[params.length - (sql.endsWith('AND version = ?') ? 2 : 1)]);
+      if (!row || (sql.endsWith('AND version = ?') && row.version !== params[params.length - 1])) {
+        return [{ affectedRows: 0 }];
+      }
+      assign(row, sql, params);
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('SELECT id, user_id')) {
+      return [streams.has(params[0]) ? [{ ...streams.get(params[0]) }] : []];
+    }
+    if (sql.startsWith('UPDATE live_streams')) {
+      const used = sql.match(/SET (.+?) WHERE/)[1].split('?').length - 1;
+      const row = streams.get(params[used]);
+      if (row && (!sql.endsWith('AND status = ?') || row.status === params[used + 1])) {
+        assign(row, sql, params);
+      }
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('SELECT user_id FROM stream_subscriptions')) {
+      return [[{ user_id: 21 }, { user_id: 22 }]];
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { schedules, streams, execute };
+}
+
+function createFakeIo() {
+  const emitted = [];
+  return {
+    emitted,
+    to(room) {
+      return { emit: (event, data) => emitted.push({ room, event, data }) };
+    }
+  };
+}
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+describe('StreamScheduler', () => {
+  let db;
+  let io;
+  let redisKeys;
+  let scheduler;
+
+  const inMinutes = (minutes, from = Date.now()) => new Date(from + minutes * MINUTE);
+
+  beforeEach(() => {
+    db = createFakeDb();
+    io = createFakeIo();
+    redisKeys = [];
+    scheduler = new StreamScheduler(db, { del: async (key) => redisKeys.push(key) }, logger);
+    scheduler.io = io;
+    scheduler.broadcastingTools = { getBroadcastingSessionByStream: () => null };
+  });
+
+  afterEach(() => {
+    scheduler.stopScheduleProcessor();
+  });
+
+  it('should validate the stream owner, start time and reminder offsets', async () => {
+    await expect(scheduler.createSchedule(99, { streamId: STREAM_ID, scheduledTime: inMinutes(60) }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(scheduler.createSchedule(HOST_ID, { streamId: STREAM_ID, scheduledTime: inMinutes(-5) }))
+      .rejects.toThrow('Scheduled time must be in the future');
+    await expect(scheduler.createSchedule(HOST_ID, { streamId: STREAM_ID, scheduledTime: inMinutes(60), reminderOffsets: [0] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const start = inMinutes(90);
+    const schedule = await scheduler.createSchedule(HOST_ID, { streamId: STREAM_ID, scheduledTime: start.toISOString() });
+
+    // The 24 hour reminder is already past; the next one is an hour before the start
+    expect(schedule.reminderOffsets).toEqual([1440, 60, 10]);
+    expect(schedule.nextReminderAt).toEqual(new Date(start.getTime() - 60 * MINUTE));
+    expect(schedule.title).toBe('Weekly show');
+    expect(db.streams.get(STREAM_ID).scheduled_start).toEqual(start);
+  });
+
+  it('should send each reminder once and notify host and followers', async () => {
+    const start = inMinutes(90);
+    const schedule = await scheduler.createSchedule(HOST_ID, { streamId: STREAM_ID, scheduledTime: start, reminderOffsets: [60, 10] });
+    const reminders = [];
+    scheduler.on('reminder', reminder => reminders.push(reminder));
+
+    await scheduler.processSchedules(inMinutes(-60, start.getTime()));
+    await scheduler.processSchedules(inMinutes(-59, start.getTime()));
+
+    expect(reminders).toHaveLength(1);
+    expect(reminders[0].minutesUntilStart).toBe(60);
+    expect(reminders[0].recipients).toEqual([HOST_ID, 21, 22]);
+    expect(io.emitted.map(e => e.room)).toEqual([`broadcast:${STREAM_ID}`, `stream:${STREAM_ID}`]);
+    expect(db.schedules.get(schedule.id).next_reminder_at).toEqual(inMinutes(-10, start.getTime()));
+  });
+
+  it('should re-arm the stream when a one-off schedule comes due', async () => {
+    const start = inMinutes(30);
+    const schedule = await scheduler.createSchedule(HOST_ID, { streamId: STREAM_ID, scheduledTime: start, title: 'Launch day' });
+
+    await scheduler.processSchedules(start);
+
+    const row = db.schedules.get(schedule.id);
+    expect(row.status).toBe('started');
+    expect(row.last_run_status).toBe('started');
+    expect(db.streams.get(STREAM_ID)).toMatchObject({ status: 'scheduled', title: 'Launch day' });
+    expect(redisKeys).toEqual(['stream:key-1']);
+    expect(io.emitted.some(e => e.event === 'schedule:starting')).toBe(true);
+
+    // A second instance running the same tick finds nothing left to do
+    await scheduler.processSchedules(start);
+    expect(io.emitted.filter(e => e.event === 'schedule:starting' && e.room === `stream:${STREAM_ID}`)).toHaveLength(1);
+  });
+
+  it('should auto-start when the host has the studio open and miss otherwise', async () => {
+    const start = inMinutes(30);
+    const withHost = await scheduler.createSchedule(HOST_ID, { streamId: STREAM_ID, scheduledTime: start, autoStart: true });
+
+    scheduler.broadcastingTools = { getBroadcastingSessionByStream: () => ({ id: 'session-1', socketId: 'socket-1' }) };
+    await scheduler.processSchedules(start);
+
+    expect(io.emitted.find(e => e.event === 'broadcast:auto-start')).toMatchObject({
+      room: 'socket-1',
+      data: { scheduleId: withHost.id, streamKey: 'key-1' }
+    });
+    expect(db.schedules.get(withHost.id).status).toBe('started');
+
+    const later = inMinutes(60);
+    const withoutHost = await scheduler.createSchedule(HOST_ID, { streamId: STREAM_ID, scheduledTime: later, autoStart: true });
+    scheduler.broadcastingTools = { getBroadcastingSessionByStream: () => null };
+    await scheduler.processSchedules(later);
+
+    expect(db.schedules.get(withoutHost.id)).toMatchObject({ status: 'missed', last_run_status: 'missed' });
+    expect(io.emitted.find(e => e.event === 'schedule:missed').data.reason).toBe('host_not_connected');
+  });
+
+  it('should not start occurrences that are overdue past the grace period', async () => {
+    const start = inMinutes(30);
+    const schedule = await scheduler.createSchedule(HOST_ID, { streamId: STREAM_ID, scheduledTime: start });
+
+    await scheduler.processSchedules(inMinutes(60, start.getTime()));
+
+    expect(db.schedules.get(schedule.id).status).toBe('missed');
+    expect(db.streams.get(STREAM_ID).status).toBe('ended');
+  });
+
+  it('should advance recurring schedules and finish after the last occurrence', async () => {
+    const start = inMinutes(30);
+    const schedule = await scheduler.createSchedule(HOST_ID, {
+      streamId: STREAM_ID,
+      scheduledTime: start,
+      recurrence: { frequency: 'weekly', count: 2 }
+    });
+    const nextWeek = inMinutes(7 * 24 * 60, start.getTime());
+
+    expect(schedule.upcomingOccurrences).toEqual([start, nextWeek]);
+
+    await scheduler.processSchedules(start);
+    expect(db.schedules.get(schedule.id)).toMatchObject({ status: 'scheduled', scheduled_time: nextWeek, occurrence_count: 1 });
+
+    await scheduler.processSchedules(nextWeek);
+    expect(db.schedules.get(schedule.id)).toMatchObject({ status: 'completed', occurrence_count: 2, last_run_status: 'started' });
+  });
+
+  it('should keep monthly schedules on the anchor day', () => {
+    const anchor = new Date('2027-01-31T18:00:00Z');
+    const schedule = {
+      status: 'scheduled',
+      recurrence: 'monthly',
+      recurrenceInterval: 1,
+      recurrenceAnchor: anchor,
+      scheduledTime: anchor,
+      occurrenceCount: 0
+    };
+
+    expect(scheduler.getUpcomingOccurrences(schedule, 4).map(date => date.toISOString())).toEqual([
+      '2027-01-31T18:00:00.000Z',
+      '2027-02-28T18:00:00.000Z',
+      '2027-03-31T18:00:00.000Z',
+      '2027-04-30T18:00:00.000Z'
+    ]);
+  });
+
+  it('should reschedule and cancel single occurrences or whole series', async () => {
+    const schedule = await scheduler.createSchedule(HOST_ID, {
+      streamId: STREAM_ID,
+      scheduledTime: inMinutes(30),
+      recurrence: 'daily'
+    });
+    db.streams.get(STREAM_ID).status = 'scheduled';
+
+    const moved = inMinutes(120);
+    const rescheduled = await scheduler.rescheduleSchedule(schedule.id, { scheduledTime: moved.toISOString(), title: 'Moved' });
+    expect(rescheduled).toMatchObject({ scheduledTime: moved, title: 'Moved' });
+
+    const skipped = await scheduler.cancelSchedule(schedule.id, 'occurrence');
+    expect(skipped.scheduledTime).toEqual(inMinutes(24 * 60, moved.getTime()));
+    expect(skipped.lastRunStatus).toBe('skipped');
+
+    const cancelled = await scheduler.cancelSchedule(schedule.id);
+    expect(cancelled.status).toBe('cancelled');
+    expect(db.streams.get(STREAM_ID).status).toBe('cancelled');
+
+    await expect(scheduler.rescheduleSchedule(schedule.id, { title: 'Again' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit Tests for ViewerPresence
+ *
+ * Runs two replicas on one pub/sub hub, with an in-memory
+ * stream_viewer_minutes table, to cover:
+ * - Heartbeats and the heartbeat timeout
+ * - Concurrent, peak and unique counts across replicas and restarts
+ * - max_viewers, including sessions joining on two replicas at once
+ * - The per-minute series and the historical analytics that read it
+ * - The socket events players use
+ */
+
+const { describe, it, beforeEach, afterEach, expect } = require('@jest/globals');
+const ViewerPresence = require('../../src/ViewerPresence');
+const AnalyticsCollector = require('../../src/AnalyticsCollector');
+const { MemoryPubSubAdapter } = require('../../src/cluster');
+
+const STREAM_ID = '5c1f2e0a-3b4d-4e6f-8a9b-0c1d2e3f4a5b';
+const MINUTE = 60 * 1000;
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function createFakeDb() {
+  const minutes = new Map();
+
+  return {
+    minutes,
+    async execute(query, params) {
+      const sql = query.replace(/\s+/g, ' ').trim();
+
+      if (sql.startsWith('INSERT INTO stream_viewer_minutes')) {
+        const [streamId, minute, concurrent, peak, unique] = params;
+        const key = `${streamId}:${minute.getTime()}`;
+        const existing = minutes.get(key);
+        minutes.set(key, {
+          stream_id: streamId,
+          minute,
+          concurrent_viewers: concurrent,
+          peak_viewers: Math.max(existing ? existing.peak_viewers : 0, peak),
+          unique_viewers: unique
+        });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.includes('FROM stream_viewers')) {
+        return [[]];
+      }
+      if (sql.includes('FROM stream_viewer_minutes')) {
+        return [[...minutes.values()].filter(row => row.stream_id === params[0])];
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+function createSocket(id, user) {
+  const handlers = {};
+  const emitted = [];
+  return {
+    id,
+    user,
+    emitted,
+    on: (event, handler) => { handlers[event] = handler; },
+    emit: (event, data) => emitted.push({ event, data }),
+    trigger: (event, data) => handlers[event](data),
+    last(event) {
+      return [...emitted].reverse().find(entry => entry.event === event);
+    }
+  };
+}
+
+describe('ViewerPresence', () => {
+  let hub;
+  let db;
+  let replicaA;
+  let replicaB;
+  let broadcasts;
+
+  const createReplica = (nodeId) => {
+    const presence = new ViewerPresence(db, null, logger);
+    presence.cluster = new MemoryPubSubAdapter({ hub, nodeId }, logger);
+    presence.io = { to: room => ({ emit: (event, data) => broadcasts.push({ room, event, data }) }) };
+    return presence;
+  };
+
+  // Age every session of the stream as if its players had gone quiet
+  const ageSessions = (ms) => {
+    const sessions = hub.hashes.get(`presence:${STREAM_ID}:sessions`);
+    for (const [sessionId, value] of sessions) {
+      const session = JSON.parse(value);
+      sessions.set(sessionId, JSON.stringify({ ...session, joinedAt: session.joinedAt - ms, lastSeen: session.lastSeen - ms }));
+    }
+  };
+
+  beforeEach(async () => {
+    hub = MemoryPubSubAdapter.createHub();
+    db = createFakeDb();
+    broadcasts = [];
+    replicaA = createReplica('node-a');
+    replicaB = createReplica('node-b');
+    await replicaA.startStream(STREAM_ID, { maxViewers: 3 });
+  });
+
+  afterEach(() => {
+    replicaA.close();
+    replicaB.close();
+  });
+
+  it('should count viewers on every replica once per session', async () => {
+    await replicaA.join(STREAM_ID, 'session-1', { viewerId: 'user:1' });
+    await replicaB.join(STREAM_ID, 'session-2', { viewerId: 'user:1' });
+    await replicaB.join(STREAM_ID, 'session-3', { viewerId: 'user:2' });
+
+    // Heartbeats for a live session do not count it again
+    expect(await replicaA.heartbeat(STREAM_ID, 'session-1')).toBeNull();
+
+    expect(await replicaA.getCounts(STREAM_ID)).toEqual({ current: 3, peak: 3, unique: 2 });
+    expect(broadcasts[broadcasts.length - 1]).toEqual({
+      room: `analytics:${STREAM_ID}`,
+      event: 'analytics:viewer-count',
+      data: { streamId: STREAM_ID, currentViewers: 3, peakViewers: 3, uniqueViewers: 2 }
+    });
+
+    await replicaB.leave(STREAM_ID, 'session-3');
+    expect(await replicaA.getCounts(STREAM_ID)).toEqual({ current: 2, peak: 3, unique: 2 });
+  });
+
+  it('should stop counting sessions that miss their heartbeats', async () => {
+    await replicaA.join(STREAM_ID, 'session-1');
+    await replicaA.join(STREAM_ID, 'session-2');
+    ageSessions(replicaA.config.heartbeatTimeout + 1);
+    await replicaA.heartbeat(STREAM_ID, 'session-2');
+
+    expect(await replicaB.getCounts(STREAM_ID)).toEqual({ current: 1, peak: 2, unique: 2 });
+    expect(hub.hashes.get(`presence:${STREAM_ID}:sessions`).has('session-1')).toBe(false);
+
+    // A replica restarting loses nothing
+    const restarted = createReplica('node-a');
+    expect(await restarted.getCounts(STREAM_ID)).toEqual({ current: 1, peak: 2, unique: 2 });
+  });
+
+  it('should turn viewers away once the stream is full', async () => {
+    await replicaA.join(STREAM_ID, 'session-1');
+    await replicaA.join(STREAM_ID, 'session-2');
+
+    // The last place, wanted on both replicas at once
+    const results = await Promise.allSettled([
+      replicaA.join(STREAM_ID, 'session-3'),
+      replicaB.join(STREAM_ID, 'session-4')
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason)
+      .toMatchObject({ statusCode: 409, code: 'stream_full', message: 'Stream is full (3 viewers)' });
+    expect((await replicaA.getCounts(STREAM_ID)).current).toBe(3);
+
+    // Sessions already watching keep their place
+    await expect(replicaA.heartbeat(STREAM_ID, 'session-1')).resolves.toBeNull();
+
+    await replicaA.leave(STREAM_ID, 'session-1');
+    await expect(replicaB.join(STREAM_ID, 'session-5')).resolves.toMatchObject({ current: 3 });
+    await expect(replicaB.join('another-stream', 'session-6')).rejects.toMatchObject({ statusCode: 404, code: 'stream_not_live' });
+  });
+
+  it('should write one series row per minute and feed historical analytics', async () => {
+    const now = Date.now();
+    const minute = Math.floor(now / MINUTE) * MINUTE;
+
+    // Players keep heartbeating through the next minute
+    replicaA.config.heartbeatTimeout = replicaB.config.heartbeatTimeout = 2 * MINUTE;
+
+    await replicaA.join(STREAM_ID, 'session-1');
+    await replicaA.join(STREAM_ID, 'session-2');
+    await replicaA.join(STREAM_ID, 'session-3');
+    await replicaA.leave(STREAM_ID, 'session-3');
+
+    // Both replicas sample; only one row is written
+    await Promise.all([replicaA.sampleViewers(now), replicaB.sampleViewers(now)]);
+    expect([...db.minutes.values()]).toEqual([{
+      stream_id: STREAM_ID,
+      minute: new Date(minute),
+      concurrent_viewers: 2,
+      peak_viewers: 3,
+      unique_viewers: 3
+    }]);
+
+    // The next minute's peak starts from the viewers still watching
+    await replicaB.sampleViewers(now + MINUTE);
+    expect(db.minutes.get(`${STREAM_ID}:${minute + MINUTE}`)).toMatchObject({ concurrent_viewers: 2, peak_viewers: 2 });
+
+    // Without the periodic processor, which would keep the process alive
+    process.env.ENABLE_ANALYTICS = 'false';
+    const analytics = new AnalyticsCollector(db, null, logger);
+    delete process.env.ENABLE_ANALYTICS;
+    analytics.presence = replicaA;
+    const history = await analytics.getHistoricalAnalytics(STREAM_ID, '24h');
+    expect(history.viewerSeries).toEqual([
+      { minute: new Date(minute), concurrentViewers: 2, peakViewers: 3, uniqueViewers: 3 },
+      { minute: new Date(minute + MINUTE), concurrentViewers: 2, peakViewers: 2, uniqueViewers: 3 }
+    ]);
+
+    expect(await replicaA.endStream(STREAM_ID)).toEqual({ current: 2, peak: 3, unique: 3 });
+    await expect(replicaA.join(STREAM_ID, 'session-7')).rejects.toMatchObject({ statusCode: 404 });
+    expect(await replicaA.getCounts(STREAM_ID)).toEqual({ current: 0, peak: 0, unique: 0 });
+  });
+
+  it('should answer player socket events', async () => {
+    await replicaA.startStream(STREAM_ID, { maxViewers: 1 });
+    const first = createSocket('socket-1', { id: 42 });
+    const second = createSocket('socket-2');
+    replicaA.handleConnection(first);
+    replicaB.handleConnection(second);
+
+    await first.trigger('viewer:join', { streamId: STREAM_ID });
+    await second.trigger('viewer:join', { streamId: STREAM_ID, viewerId: 'device-1' });
+
+    expect(first.last('viewer:joined').data).toEqual({
+      streamId: STREAM_ID,
+      heartbeatInterval: 15,
+      viewers: { current: 1, peak: 1, unique: 1 }
+    });
+    expect(second.last('viewer:rejected').data).toEqual({
+      streamId: STREAM_ID,
+      reason: 'stream_full',
+      message: 'Stream is full (1 viewers)'
+    });
+    expect(Object.keys(Object.fromEntries(hub.hashes.get(`presence:${STREAM_ID}:unique`)))).toEqual(['user:42']);
+
+    await replicaA.handleDisconnect(first);
+    expect((await replicaB.getCounts(STREAM_ID)).current).toBe(0);
+    await second.trigger('viewer:heartbeat', { streamId: STREAM_ID, viewerId: 'device-1' });
+    expect(await replicaB.getCounts(STREAM_ID)).toEqual({ current: 1, peak: 1, unique: 2 });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Unit Tests for WebAuthn
+ *
+ * Runs registration and assertion ceremonies between WebAuthn and a
+ * software authenticator (real keys, CBOR attestation objects, signed
+ * assertions), with in-memory webauthn_credentials, users and
+ * oauth_providers tables and a Map-backed Redis, to cover:
+ * - Registering several named passkeys (ES256 and Ed25519)
+ * - Origin, site, challenge and credential ID checks
+ * - Passkey login requiring user verification, single-use challenges,
+ *   signatures and sign counters
+ * - Passkeys as a second factor, limited to the signing-in user
+ * - Listing and revoking, without removing the only way to sign in
+ */
+
+const { describe, it, beforeEach, expect } = require('@jest/globals');
+const crypto = require('crypto');
+const WebAuthn = require('../../src/security/WebAuthn');
+
+const RP_ID = 'interviews.test';
+const ORIGIN = 'https://interviews.test';
+const USER_ID = '5f0c3c1e-2a57-4f0e-9d5f-0d6b8e1c2a11';
+const OTHER_ID = '9a1d2b3c-4e5f-4a6b-8c7d-0e1f2a3b4c5d';
+
+const logger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * CBOR for what authenticators emit
+ */
+function encodeCbor(value) {
+  const head = (major, length) => {
+    if (length < 24) {
+      return Buffer.from([(major << 5) | length]);
+    }
+    if (length < 0x100) {
+      return Buffer.from([(major << 5) | 24, length]);
+    }
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (typeof value === 'number') {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  }
+  if (value instanceof Map) {
+    return Buffer.concat([head(5, value.size), ...[...value].flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])]);
+  }
+  throw new Error(`Cannot encode ${value}`);
+}
+
+/**
+ * A passkey on a device: one key pair and credential, for one site
+ */
+function createAuthenticator({ algorithm = 'ES256', rpId = RP_ID, origin = ORIGIN } = {}) {
+  const { privateKey, publicKey } = algorithm === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('ed25519');
+  const jwk = publicKey.export({ format: 'jwk' });
+  const coseKey = algorithm === 'ES256'
+    ? new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]])
+    : new Map([[1, 1], [3, -8], [-1, 6], [-2, Buffer.from(jwk.x, 'base64url')]]);
+  const credentialId = crypto.randomBytes(16);
+  const rpIdHash = crypto.createHash('sha256').update(rpId).digest();
+
+  const authenticator = { id: credentialId.toString('base64url'), counter: 0, origin, userHandle: null };
+
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({ type, challenge, origin: authenticator.origin, crossOrigin: false }));
+  const counterBytes = () => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(authenticator.counter);
+    return buffer;
+  };
+
+  authenticator.create = (options, { flags = 0x5d } = {}) => {
+    authenticator.userHandle = options.user.id;
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    const authData = Buffer.concat([
+      rpIdHash, Buffer.from([flags]), counterBytes(), Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey)
+    ]);
+
+    return {
+      id: authenticator.id,
+      rawId: authenticator.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientData('webauthn.create', options.challenge).toString('base64url'),
+        attestationObject: encodeCbor(new Map([['fmt', 'none'], ['attStmt', new Map()], ['authData', authData]])).toString('base64url'),
+        transports: ['internal', 'hybrid']
+      }
+    };
+  };
+
+  // flags 0x05: user present and verified
+  authenticator.get = (options, { flags = 0x05, count = 1 } = {}) => {
+    authenticator.counter += count;
+    const authData = Buffer.concat([rpIdHash, Buffer.from([flags]), counterBytes()]);
+    const clientDataJSON = clientData('webauthn.get', options.challenge);
+    const signed = Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+
+    return {
+      id: authenticator.id,
+      rawId: authenticator.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authData.toString('base64url'),
+        signature: crypto.sign(algorithm === 'ES256' ? 'sha256' : null, signed, privateKey).toString('base64url'),
+        userHandle: authenticator.userHandle
+      }
+    };
+  };
+
+  return authenticator;
+}
+
+function createFakeRedis() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+    async setEx(key, seconds, value) {
+      data.set(key, value);
+    },
+    async getDel(key) {
+      const value = data.has(key) ? data.get(key) : null;
+      data.delete(key);
+      return value;
+    },
+    async del(key) {
+      data.delete(key);
+    }
+  };
+}
+
+function createFakeDb() {
+  const credentials = [];
+  const users = new Map([
+    [USER_ID, { id: USER_ID, username: 'host', email: 'host@example.test', password_hash: 'hash' }],
+    [OTHER_ID, { id: OTHER_ID, username: 'guest', email: 'guest@example.test', password_hash: 'hash' }]
+  ]);
+  const identities = [];
+
+  const execute = async (query, params = []) => {
+    const sql = query.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('INSERT INTO webauthn_credentials')) {
+      const columns = sql.match(/\(([^)]+)\) VALUES/)[1].split(',').map(column => column.trim());
+      const row = { last_used_at: null };
+      columns.forEach((column, index) => { row[column] = params[index]; });
+      row.created_at = new Date(Date.now() + credentials.length);
+      credentials.push(row);
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('SELECT * FROM webauthn_credentials WHERE user_id = ?')) {
+      return [credentials.filter(row => row.user_id === params[0])];
+    }
+    if (sql.startsWith('SELECT * FROM webauthn_credentials WHERE id = ? AND user_id = ?')) {
+      return [credentials.filter(row => row.id === params[0] && row.user_id === params[1])];
+    }
+    if (sql.startsWith('SELECT * FROM webauthn_credentials WHERE credential_id = ?') ||
+        sql.startsWith('SELECT id FROM webauthn_credentials WHERE credential_id = ?')) {
+      return [credentials.filter(row => row.credential_id === params[0])];
+    }
+    if (sql.startsWith('SELECT COUNT(*) AS count FROM webauthn_credentials')) {
+      return [[{ count: credentials.filter(row => row.user_id === params[0]).length }]];
+    }
+    if (sql.startsWith('UPDATE webauthn_credentials SET sign_count')) {
+      const row = credentials.find(credential => credential.id === params[2]);
+      Object.assign(row, { sign_count: params[0], backed_up: params[1], last_used_at: new Date() });
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('DELETE FROM webauthn_credentials WHERE id = ?')) {
+      credentials.splice(credentials.findIndex(row => row.id === params[0]), 1);
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('SELECT password_hash FROM users WHERE id = ?')) {
+      return [[users.get(params[0])]];
+    }
+    if (sql.startsWith('SELECT id FROM oauth_providers WHERE user_id = ?')) {
+      return [identities.filter(row => row.user_id === params[0])];
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { execute, credentials, users, identities };
+}
+
+describe('WebAuthn', () => {
+  let webauthn;
+  let db;
+  let redis;
+
+  const user = { id: USER_ID, username: 'host', email: 'host@example.test' };
+
+  // Registration as the browser runs it
+  const register = async (authenticator, name = 'Studio laptop', owner = user) => {
+    const options = await webauthn.beginRegistration(owner);
+    return webauthn.finishRegistration(owner.id, authenticator.create(options), name);
+  };
+
+  beforeEach(() => {
+    db = createFakeDb();
+    redis = createFakeRedis();
+    webauthn = new WebAuthn(db, redis, logger, { rpId: RP_ID, origins: [ORIGIN] });
+  });
+
+  it('should register several named passkeys', async () => {
+    const laptop = createAuthenticator();
+    const options = await webauthn.beginRegistration(user);
+
+    expect(options.rp).toEqual({ id: RP_ID, name: 'Interviews.tv' });
+    expect(Buffer.from(options.user.id, 'base64url').toString()).toBe(USER_ID);
+    expect(options.pubKeyCredParams.map(param => param.alg)).toEqual([-7, -8, -35, -36, -257]);
+    expect(options.attestation).toBe('none');
+    expect(options.excludeCredentials).toEqual([]);
+
+    const passkey = await webauthn.finishRegistration(USER_ID, laptop.create(options), 'Studio laptop');
+    expect(passkey).toMatchObject({ name: 'Studio laptop', transports: ['internal', 'hybrid'], backedUp: true, lastUsedAt: null });
+    expect(db.credentials[0]).toMatchObject({ user_id: USER_ID, credential_id: laptop.id, algorithm: -7, sign_count: 0 });
+    expect(JSON.parse(db.credentials[0].public_key)).toMatchObject({ kty: 'EC', crv: 'P-256' });
+
+    await register(createAuthenticator({ algorithm: 'Ed25519' }), 'Security key');
+    const list = await webauthn.listCredentials(USER_ID);
+    expect(list.map(item => item.name)).toEqual(['Studio laptop', 'Security key']);
+
+    // The browser is told to skip authenticators already registered
+    const again = await webauthn.beginRegistration(user);
+    expect(again.excludeCredentials.map(credential => credential.id)).toContain(laptop.id);
+    await expect(webauthn.finishRegistration(USER_ID, laptop.create(again), 'Twice')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should refuse registrations from other sites or for other challenges', async () => {
+    const phished = createAuthenticator({ origin: 'https://interviews-tv.example' });
+    await expect(register(phished)).rejects.toThrow('Passkeys cannot be used from https://interviews-tv.example');
+
+    await expect(register(createAuthenticator({ rpId: 'example.test' }))).rejects.toThrow('Passkey is for another site');
+
+    const laptop = createAuthenticator();
+    const options = await webauthn.beginRegistration(user);
+    const response = laptop.create({ ...options, challenge: 'c3RhbGUtY2hhbGxlbmdl' });
+    await expect(webauthn.finishRegistration(USER_ID, response, 'Laptop')).rejects.toThrow('Passkey challenge does not match');
+
+    // The challenge went with the failed attempt
+    await expect(webauthn.finishRegistration(USER_ID, laptop.create(options), 'Laptop')).rejects.toThrow('Passkey registration expired');
+
+    const renamed = laptop.create(await webauthn.beginRegistration(user));
+    renamed.id = 'c29tZW9uZS1lbHNl';
+    await expect(webauthn.finishRegistration(USER_ID, renamed, 'Laptop')).rejects.toThrow('Credential ID does not match');
+
+    await expect(webauthn.finishRegistration(USER_ID, laptop.create(await webauthn.beginRegistration(user), { flags: 0x40 }), 'Laptop'))
+      .rejects.toThrow('did not confirm user presence');
+    expect(db.credentials).toEqual([]);
+  });
+
+  it('should sign in with a passkey once per challenge, with user verification', async () => {
+    const laptop = createAuthenticator();
+    await register(laptop);
+
+    const options = await webauthn.beginAuthentication();
+    expect(options).toMatchObject({ rpId: RP_ID, userVerification: 'required', allowCredentials: [] });
+
+    const assertion = laptop.get(options);
+    const result = await webauthn.finishAuthentication(assertion);
+    expect(result).toMatchObject({ userId: USER_ID, credential: { name: 'Studio laptop' } });
+    expect(db.credentials[0].sign_count).toBe(1);
+    expect(db.credentials[0].last_used_at).toBeInstanceOf(Date);
+
+    await expect(webauthn.finishAuthentication(assertion)).rejects.toMatchObject({ statusCode: 401, message: expect.stringContaining('already used') });
+
+    await expect(webauthn.finishAuthentication(laptop.get(await webauthn.beginAuthentication(), { flags: 0x01 })))
+      .rejects.toThrow('did not verify the user');
+
+    const forged = laptop.get(await webauthn.beginAuthentication());
+    forged.response.signature = laptop.get({ challenge: 'b3RoZXI' }).response.signature;
+    await expect(webauthn.finishAuthentication(forged)).rejects.toThrow('Passkey signature is invalid');
+  });
+
+  it('should reject a sign count that did not increase', async () => {
+    const laptop = createAuthenticator({ algorithm: 'Ed25519' });
+    await register(laptop);
+
+    await webauthn.finishAuthentication(laptop.get(await webauthn.beginAuthentication(), { count: 5 }));
+    expect(db.credentials[0].sign_count).toBe(5);
+
+    laptop.counter = 3;
+    await expect(webauthn.finishAuthentication(laptop.get(await webauthn.beginAuthentication())))
+      .rejects.toThrow('Passkey sign count did not increase');
+  });
+
+  it('should only accept the signing-in user\'s passkeys as a second factor', async () => {
+    const laptop = createAuthenticator();
+    const guestKey = createAuthenticator();
+    await register(laptop);
+    await register(guestKey, 'Guest key', { id: OTHER_ID, username: 'guest', email: 'guest@example.test' });
+
+    const options = await webauthn.beginAuthentication({ userId: USER_ID });
+    expect(options.userVerification).toBe('preferred');
+    expect(options.allowCredentials.map(credential => credential.id)).toEqual([laptop.id]);
+
+    // Presence alone is enough after a password
+    const result = await webauthn.finishAuthentication(laptop.get(options, { flags: 0x01 }), { userId: USER_ID });
+    expect(result.userId).toBe(USER_ID);
+
+    const stolen = guestKey.get(await webauthn.beginAuthentication({ userId: USER_ID }), { flags: 0x01 });
+    await expect(webauthn.finishAuthentication(stolen, { userId: USER_ID })).rejects.toThrow('Unknown passkey');
+
+    // Second-factor challenges are not login challenges, and are bound to their user
+    const mfaOptions = await webauthn.beginAuthentication({ userId: USER_ID });
+    await expect(webauthn.finishAuthentication(laptop.get(mfaOptions))).rejects.toMatchObject({ statusCode: 401 });
+    await expect(webauthn.finishAuthentication(guestKey.get(await webauthn.beginAuthentication({ userId: USER_ID })), { userId: OTHER_ID }))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    await expect(webauthn.beginAuthentication({ userId: 'no-passkeys' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should revoke passkeys but keep a way to sign in', async () => {
+    await register(createAuthenticator(), 'Laptop');
+    await register(createAuthenticator(), 'Phone');
+    const [laptop, phone] = await webauthn.listCredentials(USER_ID);
+
+    await expect(webauthn.revokeCredential(OTHER_ID, laptop.id)).rejects.toMatchObject({ statusCode: 404 });
+    expect(await webauthn.revokeCredential(USER_ID, laptop.id)).toMatchObject({ name: 'Laptop' });
+    expect(await webauthn.hasCredentials(USER_ID)).toBe(true);
+
+    db.users.get(USER_ID).password_hash = null;
+    await expect(webauthn.revokeCredential(USER_ID, phone.id)).rejects.toMatchObject({ statusCode: 409 });
+
+    db.identities.push({ id: 'identity-1', user_id: USER_ID });
+    await webauthn.revokeCredential(USER_ID, phone.id);
+    expect(await webauthn.hasCredentials(USER_ID)).toBe(false);
+  });
+});
@@ -7,6 +7,8 @@ class ChatCommandInterface {
         this.chatInput = options.chatInput;
         this.websocket = options.websocket || null;
         this.userRole = options.userRole || 'guest';
+        this.streamId = options.streamId || null;
+        this.apiBaseUrl = options.apiBaseUrl || 'http://localhost:8081';
         this.onCommandExecuted = options.onCommandExecuted || (() => {});
         
         this.availableCommands = [];
@@ -170,9 +172,9 @@ class ChatCommandInterface {
             const isActive = index === 0 ? 'active' : '';
             html += `
                 <div class="command-suggestion ${isActive}" data-index="${index}">
-                    <div class="command-name">/${command.name}</div>
-                    <div class="command-description">${command.description}</div>
-                    <div class="command-usage">${command.usage}</div>
+                    <div class="command-name">/${this.escapeHtml(command.name)}</div>
+                    <div class="command-description">${this.escapeHtml(command.description)}</div>
+                    <div class="command-usage">${this.escapeHtml(command.usage)}</div>
                 </div>
             `;
         });
@@ -285,12 +287,12 @@ class ChatCommandInterface {
         
         let helpContent = `
             <div class="command-help-content">
-                <h4>/${command.name}</h4>
-                <p class="command-description">${command.description}</p>
+                <h4>/${this.escapeHtml(command.name)}</h4>
+                <p class="command-description">${this.escapeHtml(command.description)}</p>
                 
                 <div class="help-section">
                     <h5>Usage</h5>
-                    <code>${command.usage}</code>
+                    <code>${this.escapeHtml(command.usage)}</code>
                 </div>
         `;
         
@@ -346,7 +348,7 @@ class ChatCommandInterface {
             commandsByCategory[category].forEach(command => {
                 helpContent += `
                     <div class="command-item">
-                        <strong>/${command.name}</strong> - ${command.description}
+                        <strong>/${this.escapeHtml(command.name)}</strong> - ${this.escapeHtml(command.description)}
                     </div>
                 `;
             });
@@ -405,7 +407,27 @@ class ChatCommandInterface {
         return modal;
     }
     
-    loadAvailableCommands() {
+    async loadAvailableCommands() {
+        // The streaming server knows the stream's custom commands and the caller's permissions
+        if (this.streamId) {
+            try {
+                const token = localStorage.getItem('auth_token');
+                const response = await fetch(`${this.apiBaseUrl}/api/chat/commands/${encodeURIComponent(this.streamId)}`, {
+                    headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+                });
+                
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                
+                const result = await response.json();
+                this.setCommands(result.data.commands);
+                return;
+            } catch (error) {
+                console.warn('Failed to load chat commands from server:', error);
+            }
+        }
+        
         if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
             this.websocket.send(JSON.stringify({
                 type: 'get_available_commands'
@@ -461,7 +483,7 @@ class ChatCommandInterface {
     handleWebSocketMessage(data) {
         switch (data.type) {
             case 'available_commands':
-                this.availableCommands = data.commands;
+                this.setCommands(data.commands);
                 break;
                 
             case 'command_result':
@@ -509,7 +531,33 @@ class ChatCommandInterface {
     
     getCurrentRoomId() {
         // This should be provided by the parent chat component
-        return 'default_room';
+        return this.streamId || 'default_room';
+    }
+    
+    // Replace the command list, e.g. from the chat:joined or chat:commands socket events
+    setCommands(commands) {
+        this.availableCommands = (commands || []).map(command => ({
+            aliases: [],
+            category: 'general',
+            ...command
+        }));
+        
+        if (this.isAutocompleteVisible && this.chatInput.value.startsWith('/')) {
+            this.showCommandAutocomplete(this.chatInput.value);
+        }
+    }
+    
+    // Custom command descriptions come from creators
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+    
+    // Switch to another stream's chat
+    setStreamId(streamId) {
+        this.streamId = streamId;
+        this.loadAvailableCommands();
     }
     
     // Update WebSocket connection
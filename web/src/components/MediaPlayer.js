@@ -21,6 +21,7 @@ export default class MediaPlayer {
         this.playbackRate = 1;
         this.chapters = [];
         this.transcript = null;
+        this.captions = this.normalizeCaptions(media);
     }
 
     render(container) {
@@ -70,7 +71,7 @@ export default class MediaPlayer {
                         style="max-height: 500px; background: #000;">
                         <source src="${media.url}" type="${media.mime_type || 'video/mp4'}">
                         ${media.compressed_url ? `<source src="${media.compressed_url}" type="video/mp4">` : ''}
-                        <track kind="subtitles" src="${media.subtitle_url || ''}" srclang="en" label="English" default>
+                        ${this.getCaptionTracksHTML()}
                         Your browser does not support the video tag.
                     </video>
                     
@@ -182,6 +183,12 @@ export default class MediaPlayer {
                                 </div>
                             ` : ''}
                             
+                            ${this.media.type === 'video' ? `
+                                <div class="caption-control" id="caption-control">
+                                    ${this.getCaptionSelectHTML()}
+                                </div>
+                            ` : ''}
+
                             <div class="volume-control d-flex align-items-center">
                                 <button class="btn btn-sm btn-outline-secondary" id="mute-btn">
                                     <i class="fas fa-volume-up"></i>
@@ -364,6 +371,13 @@ export default class MediaPlayer {
             });
         }
 
+        // Captions; the select is replaced when tracks load
+        container.addEventListener('change', (e) => {
+            if (e.target.id === 'caption-track') {
+                this.setCaptionTrack(e.target.value);
+            }
+        });
+
         // Fullscreen
         const fullscreenBtn = container.querySelector('#fullscreen-btn');
         if (fullscreenBtn) {
@@ -471,6 +485,73 @@ export default class MediaPlayer {
         this.updateMuteButton();
     }
 
+    /**
+     * Caption tracks as { language, label, url, default }, from media.captions
+     * or the single legacy subtitle_url
+     */
+    normalizeCaptions(media) {
+        if (Array.isArray(media.captions)) {
+            return media.captions.map(track => ({
+                language: track.language,
+                label: track.label || track.language,
+                url: track.url || track.urls?.vtt,
+                default: Boolean(track.default)
+            }));
+        }
+
+        if (media.subtitle_url) {
+            return [{ language: 'en', label: 'English', url: media.subtitle_url, default: true }];
+        }
+
+        return [];
+    }
+
+    getCaptionTracksHTML() {
+        return this.captions.map(track => `
+            <track kind="captions" src="${this.escapeHtml(track.url)}" srclang="${this.escapeHtml(track.language)}" label="${this.escapeHtml(track.label)}" ${track.default ? 'default' : ''}>
+        `).join('');
+    }
+
+    getCaptionSelectHTML() {
+        if (this.captions.length === 0) {
+            return '';
+        }
+
+        const active = this.captions.find(track => track.default);
+
+        return `
+            <select class="form-select form-select-sm" id="caption-track" title="Captions" style="width: auto;">
+                <option value="">Captions off</option>
+                ${this.captions.map(track => `
+                    <option value="${this.escapeHtml(track.language)}" ${track === active ? 'selected' : ''}>${this.escapeHtml(track.label)}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    // Caption labels and urls go into attributes as well as text
+    escapeHtml(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Show the captions in one language, or none for ''
+     */
+    setCaptionTrack(language) {
+        if (!this.player || !this.player.textTracks) return;
+
+        Array.from(this.player.textTracks).forEach(track => {
+            if (track.kind === 'captions' || track.kind === 'subtitles') {
+                track.mode = track.language === language ? 'showing' : 'disabled';
+            }
+        });
+    }
+
     setPlaybackRate(rate) {
         if (!this.player) return;
 
@@ -9,6 +9,8 @@ class ModerationPanel {
         this.currentRoom = options.currentRoom || null;
         this.userRole = options.userRole || 'guest';
         this.onAction = options.onAction || (() => {});
+        this.apiBaseUrl = options.apiBaseUrl || 'http://localhost:8081';
+        this.auditLogCursor = null;
         
         this.moderationStats = null;
         this.userHistory = {};
@@ -150,6 +152,30 @@ class ModerationPanel {
                             <p class="text-muted">No recent actions</p>
                         </div>
                     </div>
+                    
+                    <!-- Audit Log -->
+                    <div class="moderation-section">
+                        <h5>Audit Log</h5>
+                        <div class="audit-log-filters">
+                            <select id="audit-log-action" class="form-control">
+                                <option value="">All actions</option>
+                                <option value="timeout">Timeouts</option>
+                                <option value="untimeout">Timeouts lifted</option>
+                                <option value="ban">Bans</option>
+                                <option value="unban">Unbans</option>
+                                <option value="delete">Deleted messages</option>
+                                <option value="slow">Slow mode</option>
+                                <option value="followers_only">Followers-only mode</option>
+                                <option value="clear">Chat cleared</option>
+                            </select>
+                        </div>
+                        <div class="audit-log" id="audit-log">
+                            <p class="text-muted">No moderation actions logged</p>
+                        </div>
+                        <button class="btn btn-secondary" id="load-more-audit-log" style="display: none;">
+                            Load More
+                        </button>
+                    </div>
                 </div>
             </div>
         `;
@@ -200,6 +226,21 @@ class ModerationPanel {
             });
         }
         
+        // Audit log filter and paging
+        const auditLogAction = this.container.querySelector('#audit-log-action');
+        if (auditLogAction) {
+            auditLogAction.addEventListener('change', () => {
+                this.loadAuditLog();
+            });
+        }
+        
+        const loadMoreAuditLog = this.container.querySelector('#load-more-audit-log');
+        if (loadMoreAuditLog) {
+            loadMoreAuditLog.addEventListener('click', () => {
+                this.loadAuditLog(false);
+            });
+        }
+        
         // WebSocket message handlers
         if (this.websocket) {
             this.websocket.addEventListener('message', (event) => {
@@ -315,6 +356,80 @@ class ModerationPanel {
         }));
     }
     
+    async loadAuditLog(reset = true) {
+        if (!this.currentRoom) {
+            return;
+        }
+        
+        const params = new URLSearchParams({ limit: '20' });
+        const action = this.container.querySelector('#audit-log-action')?.value;
+        if (action) {
+            params.set('action', action);
+        }
+        if (!reset && this.auditLogCursor) {
+            params.set('cursor', this.auditLogCursor);
+        }
+        
+        try {
+            const response = await fetch(
+                `${this.apiBaseUrl}/api/chat/moderation/${encodeURIComponent(this.currentRoom)}/log?${params}`,
+                { headers: { Authorization: `Bearer ${localStorage.getItem('auth_token')}` } }
+            );
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP error! status: ${response.status}`);
+            }
+            
+            this.auditLogCursor = result.data.nextCursor;
+            this.displayAuditLog(result.data.entries, reset);
+        } catch (error) {
+            console.error('Failed to load moderation audit log:', error);
+            this.showError('Failed to load audit log');
+        }
+    }
+    
+    displayAuditLog(entries, reset) {
+        const log = this.container.querySelector('#audit-log');
+        if (!log) return;
+        
+        if (reset) {
+            log.innerHTML = entries.length === 0
+                ? '<p class="text-muted">No moderation actions logged</p>'
+                : '';
+        }
+        
+        entries.forEach(entry => {
+            const target = entry.targetUsername || entry.targetUserId;
+            const duration = entry.durationSeconds ? ` (${entry.durationSeconds}s)` : '';
+            
+            log.insertAdjacentHTML('beforeend', `
+                <div class="audit-log-item">
+                    <div class="action-info">
+                        <strong>${this.escapeHtml(entry.action)}</strong>${duration}
+                        ${target ? ` - User: ${this.escapeHtml(target)}` : ''}
+                    </div>
+                    <div class="action-details">
+                        By ${this.escapeHtml(entry.moderatorUsername || entry.moderatorId)}
+                        - ${this.escapeHtml(entry.reason || 'No reason provided')}
+                        - ${new Date(entry.createdAt).toLocaleString()}
+                    </div>
+                </div>
+            `);
+        });
+        
+        const loadMore = this.container.querySelector('#load-more-audit-log');
+        if (loadMore) {
+            loadMore.style.display = this.auditLogCursor ? 'block' : 'none';
+        }
+    }
+    
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
+    }
+    
     handleWebSocketMessage(data) {
         switch (data.type) {
             case 'moderation_stats':
@@ -441,6 +556,7 @@ class ModerationPanel {
             panel.style.display = 'block';
             this.isVisible = true;
             this.loadModerationStats();
+            this.loadAuditLog();
         }
     }
     
@@ -500,6 +616,7 @@ class ModerationPanel {
     // Update current room
     setCurrentRoom(roomId) {
         this.currentRoom = roomId;
+        this.auditLogCursor = null;
     }
     
     // Update user role
@@ -541,6 +658,18 @@ if (typeof document !== 'undefined' && !document.getElementById('moderation-pane
                 flex-direction: column;
             }
 
+            .audit-log {
+                max-height: 240px;
+                overflow-y: auto;
+                margin: 0.75rem 0;
+            }
+
+            .audit-log-item {
+                padding: 0.5rem 0;
+                border-bottom: 1px solid #444;
+                font-size: 0.85rem;
+            }
+
             .moderation-header {
                 display: flex;
                 justify-content: space-between;
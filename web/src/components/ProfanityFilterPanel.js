@@ -6,6 +6,10 @@ class ProfanityFilterPanel {
     constructor(options = {}) {
         this.container = options.container;
         this.websocket = options.websocket || null;
+        // socket.io connection to the streaming server's chat, which keeps
+        // filter settings per stream
+        this.socket = options.socket || null;
+        this.streamId = options.streamId || null;
         this.userRole = options.userRole || 'guest';
         this.onUpdate = options.onUpdate || (() => {});
         
@@ -29,10 +33,11 @@ class ProfanityFilterPanel {
         this.attachEventListeners();
         this.loadFilterConfiguration();
         this.loadStatistics();
+        this.requestFilterSettings();
     }
     
     hasAdminPermissions() {
-        return ['admin', 'moderator'].includes(this.userRole);
+        return ['admin', 'moderator', 'broadcaster'].includes(this.userRole);
     }
     
     createProfanityFilterPanel() {
@@ -121,6 +126,38 @@ class ProfanityFilterPanel {
                                     <input type="text" id="custom-replacement-text" class="form-control" placeholder="[FILTERED]">
                                 </div>
                             </div>
+                            
+                            <div class="config-group">
+                                <h6>Links &amp; Spam</h6>
+                                <label class="config-label">
+                                    <input type="checkbox" id="link-filter">
+                                    Filter Links
+                                </label>
+                                <input type="text" id="allowed-domains" class="form-control" placeholder="Allowed domains, comma separated">
+                                <label class="config-label">
+                                    <input type="checkbox" id="duplicate-detection" checked>
+                                    Block Repeated Messages
+                                </label>
+                                <label class="config-label">
+                                    <input type="checkbox" id="flood-detection" checked>
+                                    Time Out Flooding
+                                </label>
+                            </div>
+                            
+                            <div class="config-group">
+                                <h6>Severity Actions</h6>
+                                ${['mild', 'moderate', 'severe', 'extreme'].map(severity => `
+                                    <label class="config-label">
+                                        ${severity.charAt(0).toUpperCase() + severity.slice(1)}
+                                        <select id="action-${severity}" class="form-select form-select-sm">
+                                            <option value="mask">Mask</option>
+                                            <option value="hold">Hold for Review</option>
+                                            <option value="reject">Block</option>
+                                            <option value="timeout">Time Out</option>
+                                        </select>
+                                    </label>
+                                `).join('')}
+                            </div>
                         </div>
                         
                         <div class="config-actions">
@@ -390,6 +427,27 @@ class ProfanityFilterPanel {
                 this.handleWebSocketMessage(data);
             });
         }
+        
+        this.attachSocketListeners();
+    }
+    
+    attachSocketListeners() {
+        if (!this.socket || this.listeningSocket === this.socket) return;
+        this.listeningSocket = this.socket;
+        
+        ['profanity_filter_settings', 'profanity_filter_test_result', 'profanity_filter_success', 'profanity_filter_error'].forEach(type => {
+            this.socket.on(type, (data) => {
+                if (!data.streamId || data.streamId === this.streamId) {
+                    this.handleWebSocketMessage({ type, ...data });
+                }
+            });
+        });
+    }
+    
+    requestFilterSettings() {
+        if (this.socket && this.streamId) {
+            this.sendMessage({ type: 'profanity_filter_get' });
+        }
     }
     
     loadFilterConfiguration() {
@@ -413,7 +471,21 @@ class ProfanityFilterPanel {
                 custom: false,
                 remove: false
             },
-            custom_replacement: '[FILTERED]'
+            custom_replacement: '[FILTERED]',
+            severity_actions: {
+                mild: 'mask',
+                moderate: 'mask',
+                severe: 'hold',
+                extreme: 'timeout'
+            },
+            link_filter: {
+                enabled: false,
+                allowed_domains: ['interviews.tv']
+            },
+            spam_detection: {
+                duplicates: true,
+                flood: true
+            }
         };
         
         this.profanityLists = {
@@ -459,6 +531,21 @@ class ProfanityFilterPanel {
                 }
             }
         }
+        
+        // Link, spam and severity settings
+        const linkFilter = this.filterConfig.link_filter || {};
+        const spamDetection = this.filterConfig.spam_detection || {};
+        this.container.querySelector('#link-filter').checked = !!linkFilter.enabled;
+        this.container.querySelector('#allowed-domains').value = (linkFilter.allowed_domains || []).join(', ');
+        this.container.querySelector('#duplicate-detection').checked = spamDetection.duplicates !== false;
+        this.container.querySelector('#flood-detection').checked = spamDetection.flood !== false;
+        
+        Object.entries(this.filterConfig.severity_actions || {}).forEach(([severity, action]) => {
+            const select = this.container.querySelector(`#action-${severity}`);
+            if (select) {
+                select.value = action;
+            }
+        });
     }
     
     updateWordLists() {
@@ -633,9 +720,27 @@ class ProfanityFilterPanel {
             learning_enabled: this.container.querySelector('#learning-enabled').checked,
             filter_methods: {},
             replacement_methods: {},
-            custom_replacement: this.container.querySelector('#custom-replacement-text').value
+            custom_replacement: this.container.querySelector('#custom-replacement-text').value,
+            severity_actions: {},
+            link_filter: {
+                ...this.filterConfig.link_filter,
+                enabled: this.container.querySelector('#link-filter').checked,
+                allowed_domains: this.container.querySelector('#allowed-domains').value
+                    .split(',')
+                    .map(domain => domain.trim())
+                    .filter(Boolean)
+            },
+            spam_detection: {
+                ...this.filterConfig.spam_detection,
+                duplicates: this.container.querySelector('#duplicate-detection').checked,
+                flood: this.container.querySelector('#flood-detection').checked
+            }
         };
         
+        ['mild', 'moderate', 'severe', 'extreme'].forEach(severity => {
+            newConfig.severity_actions[severity] = this.container.querySelector(`#action-${severity}`).value;
+        });
+        
         // Collect filter methods
         ['exact-match', 'partial-match', 'leetspeak', 'phonetic', 'context-analysis', 'pattern-detection'].forEach(method => {
             const checkbox = this.container.querySelector(`#${method}`);
@@ -865,52 +970,64 @@ class ProfanityFilterPanel {
     }
     
     sendWordListUpdate(action, data) {
-        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-            this.websocket.send(JSON.stringify({
-                type: 'profanity_filter_update',
-                action: action,
-                data: data
-            }));
-        }
+        this.sendMessage({
+            type: 'profanity_filter_update',
+            action: action,
+            data: data
+        });
     }
     
     sendConfigurationUpdate(config) {
-        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-            this.websocket.send(JSON.stringify({
-                type: 'profanity_filter_config',
-                config: config
-            }));
-        }
+        this.sendMessage({
+            type: 'profanity_filter_config',
+            config: config
+        });
     }
     
     sendFilterTest(content) {
-        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-            this.websocket.send(JSON.stringify({
-                type: 'profanity_filter_test',
-                content: content
-            }));
-        }
+        this.sendMessage({
+            type: 'profanity_filter_test',
+            content: content
+        });
     }
     
     sendConfigurationImport(data) {
-        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-            this.websocket.send(JSON.stringify({
-                type: 'profanity_filter_import',
-                data: data
-            }));
-        }
+        this.sendMessage({
+            type: 'profanity_filter_import',
+            data: data
+        });
     }
     
     sendCleanupRequest() {
-        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-            this.websocket.send(JSON.stringify({
-                type: 'profanity_filter_cleanup'
-            }));
+        this.sendMessage({
+            type: 'profanity_filter_cleanup'
+        });
+    }
+    
+    // The streaming server takes the same messages as socket.io events
+    sendMessage(message) {
+        if (this.socket) {
+            const { type, ...data } = message;
+            this.socket.emit(type, { ...data, streamId: this.streamId });
+        } else if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+            this.websocket.send(JSON.stringify(message));
         }
     }
     
     handleWebSocketMessage(data) {
         switch (data.type) {
+            case 'profanity_filter_settings':
+                this.filterConfig = data.config;
+                this.profanityLists = data.profanity_lists;
+                this.whitelist = data.whitelist;
+                this.updateConfigurationUI();
+                this.updateProfanityWordList(this.getCurrentSeverity());
+                this.updateWhitelistWordList();
+                if (data.stats) {
+                    this.statistics = data.stats;
+                    this.updateStatisticsDisplay();
+                }
+                break;
             case 'profanity_filter_test_result':
                 this.displayTestResults(data.result);
                 break;
@@ -995,6 +1112,14 @@ class ProfanityFilterPanel {
         this.websocket = websocket;
     }
     
+    // Manage a stream's filter through the streaming server's chat socket
+    setSocket(socket, streamId) {
+        this.socket = socket;
+        this.streamId = streamId;
+        this.attachSocketListeners();
+        this.requestFilterSettings();
+    }
+    
     // Update user role
     setUserRole(role) {
         this.userRole = role;
@@ -3,24 +3,65 @@ import Auth from '../../services/auth.js';
 import Router from '../../utils/router.js';
 
 class ContentManagementPage {
-    constructor() {
+    constructor(options = {}) {
+        this.apiBaseUrl = options.apiBaseUrl || 'http://localhost:8081';
         this.currentUser = Auth.getCurrentUser();
         this.dashboardData = null;
         this.selectedContent = new Set();
-        this.currentView = 'dashboard'; // dashboard, analytics, moderation
+        this.currentView = 'dashboard'; // dashboard, analytics, analysis, copyright, moderation
         this.isLoading = false;
     }
 
     async render(container, props = {}) {
         // Check permissions
-        if (!this.currentUser || !['admin', 'moderator'].includes(this.currentUser.role)) {
+        if (!this.currentUser || !['admin', 'moderator', 'rights_holder'].includes(this.currentUser.role)) {
             Router.navigate('/');
             return;
         }
 
+        // Rights holders only manage their reference tracks and matches
+        if (this.currentUser.role === 'rights_holder') {
+            this.currentView = 'copyright';
+        }
+
         container.innerHTML = this.getHTML();
-        await this.loadDashboardData();
         this.setupEventListeners(container);
+
+        if (this.currentView === 'copyright') {
+            await this.loadCopyright();
+        } else {
+            await this.loadDashboardData();
+        }
+    }
+
+    isStaff() {
+        return ['admin', 'moderator'].includes(this.currentUser.role);
+    }
+
+    /**
+     * Content analyses and copyright are served by the streaming server,
+     * not the API
+     */
+    async streamingRequest(endpoint, options = {}) {
+        const token = localStorage.getItem('auth_token');
+        const response = await fetch(`${this.apiBaseUrl}${endpoint}`, {
+            ...options,
+            headers: {
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...options.headers
+            }
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+
+        return result;
+    }
+
+    canManageTracks() {
+        return ['admin', 'rights_holder'].includes(this.currentUser.role);
     }
 
     getHTML() {
@@ -31,13 +72,23 @@ class ContentManagementPage {
                         <div class="d-flex justify-content-between align-items-center mb-4">
                             <h1 class="h3 mb-0">Content Management</h1>
                             <div class="btn-group" role="group">
-                                <button type="button" class="btn btn-outline-primary ${this.currentView === 'dashboard' ? 'active' : ''}" 
-                                        data-view="dashboard">
-                                    <i class="fas fa-tachometer-alt me-2"></i>Dashboard
-                                </button>
-                                <button type="button" class="btn btn-outline-primary ${this.currentView === 'analytics' ? 'active' : ''}" 
-                                        data-view="analytics">
-                                    <i class="fas fa-chart-line me-2"></i>Analytics
+                                ${this.isStaff() ? `
+                                    <button type="button" class="btn btn-outline-primary ${this.currentView === 'dashboard' ? 'active' : ''}" 
+                                            data-view="dashboard">
+                                        <i class="fas fa-tachometer-alt me-2"></i>Dashboard
+                                    </button>
+                                    <button type="button" class="btn btn-outline-primary ${this.currentView === 'analytics' ? 'active' : ''}" 
+                                            data-view="analytics">
+                                        <i class="fas fa-chart-line me-2"></i>Analytics
+                                    </button>
+                                    <button type="button" class="btn btn-outline-primary ${this.currentView === 'analysis' ? 'active' : ''}" 
+                                            data-view="analysis">
+                                        <i class="fas fa-wave-square me-2"></i>Media Analysis
+                                    </button>
+                                ` : ''}
+                                <button type="button" class="btn btn-outline-primary ${this.currentView === 'copyright' ? 'active' : ''}" 
+                                        data-view="copyright">
+                                    <i class="fas fa-copyright me-2"></i>Copyright
                                 </button>
                                 ${this.currentUser.role === 'admin' ? `
                                     <button type="button" class="btn btn-outline-primary ${this.currentView === 'moderation' ? 'active' : ''}" 
@@ -60,6 +111,16 @@ class ContentManagementPage {
                             ${this.getAnalyticsHTML()}
                         </div>
 
+                        <!-- Media Analysis View -->
+                        <div id="analysis-view" style="display: ${this.currentView === 'analysis' ? 'block' : 'none'}">
+                            ${this.getContentAnalysisHTML()}
+                        </div>
+
+                        <!-- Copyright View -->
+                        <div id="copyright-view" style="display: ${this.currentView === 'copyright' ? 'block' : 'none'}">
+                            ${this.getCopyrightHTML()}
+                        </div>
+
                         <!-- Moderation View -->
                         <div id="moderation-view" style="display: ${this.currentView === 'moderation' ? 'block' : 'none'}">
                             ${this.getModerationHTML()}
@@ -292,6 +353,99 @@ class ContentManagementPage {
         `;
     }
 
+    getContentAnalysisHTML() {
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <h5 class="mb-0">Stream Content Analysis</h5>
+                        <div class="d-flex gap-2">
+                            <select class="form-select form-select-sm" id="analysis-filter" style="width: auto;">
+                                <option value="all">All analyses</option>
+                                <option value="flagged">With violations</option>
+                                <option value="failed">Failed</option>
+                            </select>
+                            <button type="button" class="btn btn-primary btn-sm" id="refresh-analysis">
+                                <i class="fas fa-sync-alt me-2"></i>Refresh
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div id="analysis-content">
+                        <div class="text-center py-5">
+                            <div class="spinner-border text-primary" role="status">
+                                <span class="visually-hidden">Loading analyses...</span>
+                            </div>
+                        </div>
+                    </div>
+                    <div id="analysis-plugins" class="small text-muted mt-3"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    getCopyrightHTML() {
+        return `
+            ${this.canManageTracks() ? `
+                <div class="card mb-4">
+                    <div class="card-header">
+                        <h5 class="mb-0">Reference Tracks</h5>
+                    </div>
+                    <div class="card-body">
+                        <form id="reference-track-form" class="row g-2 align-items-end mb-3">
+                            <div class="col-md-3">
+                                <label class="form-label small" for="reference-title">Title</label>
+                                <input type="text" class="form-control form-control-sm" id="reference-title" name="title" required maxlength="255">
+                            </div>
+                            <div class="col-md-3">
+                                <label class="form-label small" for="reference-artist">Artist</label>
+                                <input type="text" class="form-control form-control-sm" id="reference-artist" name="artist" maxlength="255">
+                            </div>
+                            <div class="col-md-2">
+                                <label class="form-label small" for="reference-isrc">ISRC</label>
+                                <input type="text" class="form-control form-control-sm" id="reference-isrc" name="isrc" maxlength="12">
+                            </div>
+                            <div class="col-md-3">
+                                <label class="form-label small" for="reference-audio">Audio</label>
+                                <input type="file" class="form-control form-control-sm" id="reference-audio" name="audio" accept="audio/*,video/*" required>
+                            </div>
+                            <div class="col-md-1">
+                                <button type="submit" class="btn btn-primary btn-sm w-100">Add</button>
+                            </div>
+                        </form>
+                        <div id="reference-tracks"></div>
+                    </div>
+                </div>
+            ` : ''}
+            <div class="card">
+                <div class="card-header">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <h5 class="mb-0">Fingerprint Matches</h5>
+                        <div class="d-flex gap-2">
+                            <select class="form-select form-select-sm" id="copyright-filter" style="width: auto;">
+                                <option value="pending">Pending review</option>
+                                <option value="confirmed">Confirmed</option>
+                                <option value="dismissed">Dismissed</option>
+                                <option value="all">All matches</option>
+                            </select>
+                            <button type="button" class="btn btn-primary btn-sm" id="refresh-copyright">
+                                <i class="fas fa-sync-alt me-2"></i>Refresh
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div id="copyright-content"></div>
+                    <p class="small text-muted mt-3 mb-0">
+                        Matches are evidence only. Confirming one files a DMCA notice for the rights holder,
+                        which takes the stream down and gives its owner a copyright strike.
+                    </p>
+                </div>
+            </div>
+        `;
+    }
+
     getTopContentTable(topContent) {
         if (!topContent || topContent.length === 0) {
             return '<p class="text-muted">No content data available</p>';
@@ -369,6 +523,64 @@ class ContentManagementPage {
             });
         }
 
+        // Media analysis filter and refresh
+        const analysisFilter = container.querySelector('#analysis-filter');
+        if (analysisFilter) {
+            analysisFilter.addEventListener('change', () => {
+                this.loadContentAnalyses();
+            });
+        }
+
+        const refreshAnalysisBtn = container.querySelector('#refresh-analysis');
+        if (refreshAnalysisBtn) {
+            refreshAnalysisBtn.addEventListener('click', () => {
+                this.loadContentAnalyses();
+            });
+        }
+
+        // Copyright matches and reference tracks
+        const copyrightFilter = container.querySelector('#copyright-filter');
+        if (copyrightFilter) {
+            copyrightFilter.addEventListener('change', () => {
+                this.loadCopyright();
+            });
+        }
+
+        const refreshCopyrightBtn = container.querySelector('#refresh-copyright');
+        if (refreshCopyrightBtn) {
+            refreshCopyrightBtn.addEventListener('click', () => {
+                this.loadCopyright();
+            });
+        }
+
+        const referenceTrackForm = container.querySelector('#reference-track-form');
+        if (referenceTrackForm) {
+            referenceTrackForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.registerReferenceTrack(referenceTrackForm);
+            });
+        }
+
+        const copyrightContent = container.querySelector('#copyright-content');
+        if (copyrightContent) {
+            copyrightContent.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-review]');
+                if (button) {
+                    this.reviewCopyrightMatch(button.dataset.matchId, button.dataset.review);
+                }
+            });
+        }
+
+        const referenceTracks = container.querySelector('#reference-tracks');
+        if (referenceTracks) {
+            referenceTracks.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-delete-track]');
+                if (button) {
+                    this.deleteReferenceTrack(button.dataset.deleteTrack);
+                }
+            });
+        }
+
         // Refresh moderation queue
         const refreshBtn = container.querySelector('#refresh-moderation');
         if (refreshBtn) {
@@ -389,11 +601,17 @@ class ContentManagementPage {
         // Show/hide views
         document.getElementById('dashboard-view').style.display = view === 'dashboard' ? 'block' : 'none';
         document.getElementById('analytics-view').style.display = view === 'analytics' ? 'block' : 'none';
+        document.getElementById('analysis-view').style.display = view === 'analysis' ? 'block' : 'none';
+        document.getElementById('copyright-view').style.display = view === 'copyright' ? 'block' : 'none';
         document.getElementById('moderation-view').style.display = view === 'moderation' ? 'block' : 'none';
 
         // Load data for the view
         if (view === 'analytics') {
             this.loadAnalytics();
+        } else if (view === 'analysis') {
+            this.loadContentAnalyses();
+        } else if (view === 'copyright') {
+            this.loadCopyright();
         } else if (view === 'moderation') {
             this.loadModerationQueue();
         }
@@ -448,6 +666,323 @@ class ContentManagementPage {
         }
     }
 
+    async loadContentAnalyses() {
+        const analysisContent = document.getElementById('analysis-content');
+        
+        if (!analysisContent) return;
+
+        const filter = document.getElementById('analysis-filter')?.value || 'all';
+        const params = filter === 'flagged' ? '?flagged=true' : (filter === 'failed' ? '?status=failed' : '');
+
+        analysisContent.innerHTML = `
+            <div class="text-center py-5">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">Loading analyses...</span>
+                </div>
+            </div>
+        `;
+
+        try {
+            const [analyses, plugins] = await Promise.all([
+                this.streamingRequest(`/api/content/analyses${params}`),
+                this.streamingRequest('/api/content/analysis-plugins')
+            ]);
+            if (analyses.success) {
+                analysisContent.innerHTML = this.renderContentAnalyses(analyses.data);
+            }
+            if (plugins.success) {
+                this.renderAnalysisPlugins(plugins.data);
+            }
+        } catch (error) {
+            console.error('Failed to load content analyses:', error);
+            analysisContent.innerHTML = '<p class="text-danger">Failed to load content analyses</p>';
+        }
+    }
+
+    renderContentAnalyses(analyses) {
+        if (!analyses || analyses.length === 0) {
+            return '<p class="text-muted">No content analyses yet</p>';
+        }
+
+        const qualityBadge = (quality) => {
+            const colors = { good: 'success', fair: 'warning', poor: 'danger' };
+            return quality ? `<span class="badge bg-${colors[quality]}">${quality}</span>` : '<span class="text-muted">-</span>';
+        };
+        const percent = (ratio) => (ratio === undefined || ratio === null ? '-' : `${Math.round(ratio * 100)}%`);
+
+        return `
+            <div class="table-responsive">
+                <table class="table table-hover align-middle">
+                    <thead>
+                        <tr>
+                            <th>Stream</th>
+                            <th>Source</th>
+                            <th>Score</th>
+                            <th>Video</th>
+                            <th>Audio</th>
+                            <th>Loudness</th>
+                            <th>Blur</th>
+                            <th>Black</th>
+                            <th>Silence</th>
+                            <th>Clipping</th>
+                            <th>Scene cuts/min</th>
+                            <th>Violations</th>
+                            <th>Analyzed</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${analyses.map(analysis => {
+                            const video = analysis.results.video?.metrics;
+                            const audio = analysis.results.audio?.metrics;
+                            const issues = [
+                                ...(analysis.results.video?.issues || []),
+                                ...(analysis.results.audio?.issues || [])
+                            ];
+
+                            return `
+                                <tr>
+                                    <td>
+                                        ${analysis.streamTitle || analysis.streamId}
+                                        ${issues.length > 0 ? `
+                                            <div class="small text-muted">${issues.map(issue => issue.type.replace(/_/g, ' ')).join(', ')}</div>
+                                        ` : ''}
+                                    </td>
+                                    <td>
+                                        ${analysis.status === 'failed'
+                                            ? `<span class="badge bg-danger" title="${analysis.error || ''}">failed</span>`
+                                            : `<span class="badge bg-secondary">${analysis.source || analysis.type}</span>`}
+                                    </td>
+                                    <td>${analysis.contentScore ?? '-'}</td>
+                                    <td>${qualityBadge(analysis.videoQuality)}</td>
+                                    <td>${qualityBadge(analysis.audioQuality)}</td>
+                                    <td>${audio?.loudness.integratedLufs !== null && audio?.loudness.integratedLufs !== undefined ? `${audio.loudness.integratedLufs} LUFS` : '-'}</td>
+                                    <td>${video ? video.blur.mean : '-'}</td>
+                                    <td>${percent(video?.blackFrames.ratio)}</td>
+                                    <td>${percent(audio?.silence.ratio)}</td>
+                                    <td>${audio ? `${(audio.clipping.ratio * 100).toFixed(2)}%` : '-'}</td>
+                                    <td>${video ? video.sceneCuts.perMinute : '-'}</td>
+                                    <td>
+                                        ${analysis.violations.length > 0
+                                            ? analysis.violations.map(violation => `
+                                                <span class="badge bg-${violation.severity === 'critical' || violation.severity === 'high' ? 'danger' : 'warning'}">
+                                                    ${violation.type.replace(/_/g, ' ')}
+                                                </span>
+                                            `).join(' ')
+                                            : '<span class="text-muted">None</span>'}
+                                    </td>
+                                    <td>${this.formatDate(analysis.createdAt)}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    async loadCopyright() {
+        const copyrightContent = document.getElementById('copyright-content');
+
+        if (!copyrightContent) return;
+
+        const filter = document.getElementById('copyright-filter')?.value || 'pending';
+        const params = filter === 'all' ? '' : `?status=${filter}`;
+
+        copyrightContent.innerHTML = `
+            <div class="text-center py-5">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">Loading matches...</span>
+                </div>
+            </div>
+        `;
+
+        try {
+            const [matches, tracks] = await Promise.all([
+                this.streamingRequest(`/api/content/copyright/matches${params}`),
+                this.canManageTracks() ? this.streamingRequest('/api/content/copyright/tracks') : null
+            ]);
+            if (matches.success) {
+                copyrightContent.innerHTML = this.renderCopyrightMatches(matches.data);
+            }
+            if (tracks?.success) {
+                document.getElementById('reference-tracks').innerHTML = this.renderReferenceTracks(tracks.data);
+            }
+        } catch (error) {
+            console.error('Failed to load copyright matches:', error);
+            copyrightContent.innerHTML = '<p class="text-danger">Failed to load copyright matches</p>';
+        }
+    }
+
+    renderCopyrightMatches(matches) {
+        if (!matches || matches.length === 0) {
+            return '<p class="text-muted">No matches</p>';
+        }
+
+        const time = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+        const statusColors = { pending: 'warning', confirmed: 'danger', dismissed: 'secondary' };
+
+        return `
+            <div class="table-responsive">
+                <table class="table table-hover align-middle">
+                    <thead>
+                        <tr>
+                            <th>Track</th>
+                            <th>Stream</th>
+                            <th>Source</th>
+                            <th>Confidence</th>
+                            <th>Heard at (track position)</th>
+                            <th>Status</th>
+                            <th>Last detected</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${matches.map(match => `
+                            <tr>
+                                <td>
+                                    ${match.title}
+                                    ${match.artist ? `<div class="small text-muted">${match.artist}</div>` : ''}
+                                </td>
+                                <td>${match.streamTitle || match.streamId}</td>
+                                <td><span class="badge bg-secondary">${match.source}</span></td>
+                                <td>${Math.round(match.confidence * 100)}%</td>
+                                <td class="small">
+                                    ${match.segments.map(segment =>
+                                        `${time(segment.start)}-${time(segment.end)} (${time(segment.trackStart)}-${time(segment.trackEnd)})`
+                                    ).join('<br>')}
+                                </td>
+                                <td><span class="badge bg-${statusColors[match.status]}">${match.status}</span></td>
+                                <td>${this.formatDate(match.lastDetectedAt)}</td>
+                                <td>
+                                    ${match.status === 'pending' && this.canManageTracks() ? `
+                                        <div class="btn-group btn-group-sm">
+                                            <button class="btn btn-danger" data-review="confirm" data-match-id="${match.id}">Confirm</button>
+                                            <button class="btn btn-outline-secondary" data-review="dismiss" data-match-id="${match.id}">Dismiss</button>
+                                        </div>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderReferenceTracks(tracks) {
+        if (!tracks || tracks.length === 0) {
+            return '<p class="text-muted mb-0">No reference tracks registered</p>';
+        }
+
+        return `
+            <table class="table table-sm align-middle mb-0">
+                <thead>
+                    <tr>
+                        <th>Title</th>
+                        <th>Artist</th>
+                        <th>ISRC</th>
+                        <th>Length</th>
+                        <th>Status</th>
+                        <th>Pending matches</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${tracks.map(track => `
+                        <tr>
+                            <td>${track.title}</td>
+                            <td>${track.artist || '-'}</td>
+                            <td>${track.isrc || '-'}</td>
+                            <td>${track.durationSeconds ? `${Math.round(track.durationSeconds)}s` : '-'}</td>
+                            <td>
+                                <span class="badge bg-${track.status === 'active' ? 'success' : (track.status === 'failed' ? 'danger' : 'secondary')}"
+                                      title="${track.error || ''}">${track.status}</span>
+                            </td>
+                            <td>${track.pendingMatches}</td>
+                            <td>
+                                <button class="btn btn-outline-danger btn-sm" data-delete-track="${track.id}">Remove</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async registerReferenceTrack(form) {
+        const formData = new FormData(form);
+        ['artist', 'isrc'].forEach(field => {
+            if (!formData.get(field)) {
+                formData.delete(field);
+            }
+        });
+
+        try {
+            const response = await this.streamingRequest('/api/content/copyright/tracks', {
+                method: 'POST',
+                body: formData
+            });
+            if (response.success) {
+                form.reset();
+                this.showAlert('success', `Reference track "${response.data.title}" registered`);
+                this.loadCopyright();
+            }
+        } catch (error) {
+            console.error('Failed to register reference track:', error);
+            this.showAlert('error', 'Failed to register reference track');
+        }
+    }
+
+    async deleteReferenceTrack(trackId) {
+        if (!confirm('Remove this reference track? Its matches are removed too.')) return;
+
+        try {
+            await this.streamingRequest(`/api/content/copyright/tracks/${trackId}`, { method: 'DELETE' });
+            this.loadCopyright();
+        } catch (error) {
+            console.error('Failed to remove reference track:', error);
+            this.showAlert('error', 'Failed to remove reference track');
+        }
+    }
+
+    async reviewCopyrightMatch(matchId, decision) {
+        const payload = { decision };
+
+        if (decision === 'confirm') {
+            // Confirming is the takedown notice itself
+            if (!confirm('I have a good-faith belief that this use is not authorized, and this notice is accurate. File a DMCA notice?')) return;
+            payload.swornStatement = true;
+        } else {
+            const note = prompt('Why is this match being dismissed? (optional)');
+            if (note === null) return;
+            if (note) payload.note = note;
+        }
+
+        try {
+            const response = await this.streamingRequest(`/api/content/copyright/matches/${matchId}/review`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            if (response.success) {
+                this.showAlert('success', response.message);
+                this.loadCopyright();
+            }
+        } catch (error) {
+            console.error('Failed to review copyright match:', error);
+            this.showAlert('error', 'Failed to review copyright match');
+        }
+    }
+
+    renderAnalysisPlugins(plugins) {
+        const container = document.getElementById('analysis-plugins');
+        if (!container) return;
+
+        container.innerHTML = plugins.length > 0
+            ? `Detection plugins: ${plugins.map(plugin => `<span title="${plugin.description || ''}">${plugin.name} (${plugin.media})</span>`).join(', ')}`
+            : 'No detection plugins registered';
+    }
+
     renderAnalytics(data) {
         // This would render charts and analytics data
         // For now, return a placeholder
@@ -0,0 +1,266 @@
+/**
+ * Session Settings Page
+ * Lists the devices signed in to the account and signs them out
+ */
+
+import Auth from '../../services/auth.js';
+
+export default class SessionSettings {
+    constructor(options = {}) {
+        this.apiBaseUrl = options.apiBaseUrl || 'http://localhost:8081';
+        this.currentUser = Auth.getCurrentUser();
+        this.sessions = [];
+        this.container = null;
+    }
+
+    async render(container) {
+        this.container = container;
+
+        if (!this.currentUser) {
+            window.location.href = '/login';
+            return;
+        }
+
+        container.innerHTML = this.getLoadingHTML();
+
+        try {
+            await this.loadSessions();
+            this.renderSettings();
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            this.renderError('Failed to load signed-in devices');
+        }
+    }
+
+    /**
+     * Sessions are served by the streaming server, not the API
+     */
+    async streamingRequest(endpoint, options = {}) {
+        const token = localStorage.getItem('auth_token');
+        const response = await fetch(`${this.apiBaseUrl}${endpoint}`, {
+            ...options,
+            headers: {
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...options.headers
+            }
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+
+        return result;
+    }
+
+    async loadSessions() {
+        const response = await this.streamingRequest('/api/auth/sessions');
+
+        if (response.success) {
+            this.sessions = response.data;
+        } else {
+            throw new Error(response.message || 'Failed to load sessions');
+        }
+    }
+
+    renderSettings() {
+        this.container.innerHTML = this.getSettingsHTML();
+        this.setupEventListeners();
+    }
+
+    getLoadingHTML() {
+        return `
+            <div class="container mt-4">
+                <div class="row justify-content-center">
+                    <div class="col-md-8">
+                        <div class="card">
+                            <div class="card-body text-center py-5">
+                                <div class="spinner-border text-primary" role="status">
+                                    <span class="visually-hidden">Loading...</span>
+                                </div>
+                                <p class="mt-3">Loading signed-in devices...</p>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    getSettingsHTML() {
+        const hasOthers = this.sessions.some(session => !session.current);
+
+        return `
+            <div class="container mt-4">
+                <div class="row justify-content-center">
+                    <div class="col-md-8">
+                        <div class="d-flex justify-content-between align-items-center mb-4">
+                            <h2>Security</h2>
+                            <button class="btn btn-outline-secondary" onclick="history.back()">
+                                <i class="fas fa-arrow-left me-2"></i>Back
+                            </button>
+                        </div>
+
+                        <div class="card">
+                            <div class="card-header">
+                                <h5 class="mb-0">
+                                    <i class="fas fa-laptop me-2"></i>
+                                    Where You're Signed In
+                                </h5>
+                            </div>
+                            <div class="card-body">
+                                <p class="text-muted small">
+                                    If you don't recognize a device, sign it out and change your password.
+                                    We notify you whenever your account is used on a new device.
+                                </p>
+                                <ul class="list-group">
+                                    ${this.sessions.map(session => this.getSessionHTML(session)).join('')}
+                                </ul>
+                            </div>
+                            <div class="card-footer">
+                                <div class="d-flex justify-content-between align-items-center">
+                                    <div class="save-status text-muted small"></div>
+                                    <button class="btn btn-outline-danger sign-out-others-btn" ${hasOthers ? '' : 'disabled'}>
+                                        <i class="fas fa-sign-out-alt me-2"></i>
+                                        Sign Out All Other Devices
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    getSessionHTML(session) {
+        const { browser, os, type } = session.device;
+        const icon = type === 'mobile' ? 'fa-mobile-alt' : type === 'tablet' ? 'fa-tablet-alt' : 'fa-desktop';
+        const place = session.location
+            ? [session.location.city, session.location.country].filter(Boolean).join(', ')
+            : null;
+
+        return `
+            <li class="list-group-item d-flex justify-content-between align-items-start" data-session-id="${session.id}">
+                <div class="d-flex">
+                    <i class="fas ${icon} fa-2x text-muted me-3 mt-1"></i>
+                    <div>
+                        <div class="fw-semibold">
+                            ${this.escapeHtml(browser)} on ${this.escapeHtml(os)}
+                            ${session.current ? '<span class="badge bg-success ms-2">This device</span>' : ''}
+                        </div>
+                        <div class="small text-muted">
+                            ${this.escapeHtml(session.ipAddress || 'Unknown IP')}${place ? ` &middot; ${this.escapeHtml(place)}` : ''}
+                            &middot; ${session.current ? 'Active now' : `Last seen ${this.getTimeAgo(new Date(session.lastSeenAt))}`}
+                        </div>
+                        <div class="small text-muted text-break" title="Signed in ${new Date(session.createdAt).toLocaleString()}">
+                            ${this.escapeHtml(session.userAgent || '')}
+                        </div>
+                    </div>
+                </div>
+                ${session.current ? '' : `
+                    <button class="btn btn-sm btn-outline-danger sign-out-btn" data-session-id="${session.id}">
+                        Sign Out
+                    </button>
+                `}
+            </li>
+        `;
+    }
+
+    setupEventListeners() {
+        this.container.querySelectorAll('.sign-out-btn').forEach(button => {
+            button.addEventListener('click', () => this.signOutSession(button.dataset.sessionId));
+        });
+
+        this.container.querySelector('.sign-out-others-btn').addEventListener('click', () => this.signOutOtherSessions());
+    }
+
+    async signOutSession(sessionId) {
+        try {
+            const response = await this.streamingRequest(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+
+            if (response.success) {
+                this.sessions = this.sessions.filter(session => session.id !== sessionId);
+                this.renderSettings();
+                this.showMessage('Device signed out.', 'success');
+            } else {
+                throw new Error(response.message || 'Failed to sign out device');
+            }
+        } catch (error) {
+            console.error('Failed to sign out session:', error);
+            this.showMessage('Failed to sign out that device. Please try again.', 'error');
+        }
+    }
+
+    async signOutOtherSessions() {
+        if (!confirm('Sign out of every other device? They will need to sign in again.')) {
+            return;
+        }
+
+        try {
+            const response = await this.streamingRequest('/api/auth/sessions', { method: 'DELETE' });
+
+            if (response.success) {
+                this.sessions = this.sessions.filter(session => session.current);
+                this.renderSettings();
+                this.showMessage(response.message, 'success');
+            } else {
+                throw new Error(response.message || 'Failed to sign out other devices');
+            }
+        } catch (error) {
+            console.error('Failed to sign out other sessions:', error);
+            this.showMessage('Failed to sign out other devices. Please try again.', 'error');
+        }
+    }
+
+    getTimeAgo(date) {
+        const diffInSeconds = Math.floor((new Date() - date) / 1000);
+
+        if (diffInSeconds < 60) {
+            return 'just now';
+        } else if (diffInSeconds < 3600) {
+            return `${Math.floor(diffInSeconds / 60)}m ago`;
+        } else if (diffInSeconds < 86400) {
+            return `${Math.floor(diffInSeconds / 3600)}h ago`;
+        } else if (diffInSeconds < 2592000) {
+            return `${Math.floor(diffInSeconds / 86400)}d ago`;
+        }
+        return date.toLocaleDateString();
+    }
+
+    // User agents and locations come from whoever signed in
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    showMessage(message, type) {
+        const statusElement = this.container.querySelector('.save-status');
+        statusElement.className = `save-status small text-${type === 'error' ? 'danger' : type === 'success' ? 'success' : 'info'}`;
+        statusElement.textContent = message;
+
+        // Clear message after 5 seconds
+        setTimeout(() => {
+            statusElement.textContent = '';
+        }, 5000);
+    }
+
+    renderError(message) {
+        this.container.innerHTML = `
+            <div class="container mt-4">
+                <div class="row justify-content-center">
+                    <div class="col-md-8">
+                        <div class="alert alert-danger">
+                            <i class="fas fa-exclamation-triangle me-2"></i>
+                            ${message}
+                        </div>
+                        <button class="btn btn-primary" onclick="location.reload()">
+                            Try Again
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+}
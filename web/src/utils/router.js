@@ -34,6 +34,7 @@ import EventCreatePage from '../pages/Events/EventCreatePage.js';
 import SearchResultsPage from '../pages/Search/SearchResultsPage.js';
 import DiscoverPage from '../pages/Discover/DiscoverPage.js';
 import NotificationsPage from '../pages/Notifications/NotificationsPage.js';
+import SessionSettings from '../pages/Settings/SessionSettings.js';
 import ActivityFeedPage from '../pages/Feed/ActivityFeedPage.js';
 import NotFoundPage from '../pages/NotFound/NotFoundPage.js';
 
@@ -94,6 +95,7 @@ class Router {
             { path: '/search', component: SearchResultsPage, title: 'Search - Interviews.tv' },
             { path: '/discover', component: DiscoverPage, title: 'Discover Users - Interviews.tv' },
             { path: '/notifications', component: NotificationsPage, title: 'Notifications - Interviews.tv', requireAuth: true },
+            { path: '/settings/security', component: SessionSettings, title: 'Security - Interviews.tv', requireAuth: true },
             { path: '/feed', component: ActivityFeedPage, title: 'Activity Feed - Interviews.tv' },
             { path: '/profile/:username', component: ProfilePage, title: 'Profile - Interviews.tv' },
             { path: '/profile/:username/edit', component: EditProfilePage, title: 'Edit Profile - Interviews.tv', requireAuth: true }